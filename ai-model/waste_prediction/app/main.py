@@ -49,7 +49,14 @@ def predict_waste(item_name, expiry_date, quantity, used_quantity, category, sto
     }])
 
     prediction = model.predict(X_new)[0]
-    return prediction
+
+    # Probability of the predicted class, when the model can tell
+    confidence = None
+    if hasattr(model, "predict_proba"):
+        probabilities = model.predict_proba(X_new)[0]
+        confidence = float(max(probabilities))
+
+    return prediction, confidence
 
 # -------------------------
 # Pydantic model for request
@@ -74,7 +81,7 @@ def health_check():
 # -------------------------
 @app.post("/predict")
 def predict(item: Item):
-    risk = predict_waste(
+    risk, confidence = predict_waste(
         item_name=item.item_name,
         expiry_date=item.expiry_date,
         quantity=item.quantity,
@@ -84,7 +91,8 @@ def predict(item: Item):
     )
     return {
         "item_name": item.item_name,
-        "waste_risk": "At Risk" if risk == 1 else "Safe"
+        "waste_risk": "At Risk" if risk == 1 else "Safe",
+        "confidence": confidence
     }
 
 if __name__ == "__main__":
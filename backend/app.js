@@ -2,6 +2,11 @@ import express from "express"
 import cookieParser from "cookie-parser"
 import cors from "cors"
 import { CORS_ORIGIN } from "./constant.js"
+// Registers the audit trail on every model, so it must load before the routes import the models
+import "./src/utils/auditTrail.js"
+// Lets populated references find records in the trash; also has to load before the models
+import "./src/utils/softDelete.js"
+import { captureRequestContext } from "./src/middleware/audit.middleware.js"
 
 const app = express()
 
@@ -14,6 +19,7 @@ app.use(express.json({limit : "16kb"}))
 app.use(express.urlencoded({extended : true,limit : "16kb"}))
 app.use(express.static("public"))
 app.use(cookieParser())
+app.use(captureRequestContext)
 
 //routes
 import userRouter from "./src/routes/user.route.js"
@@ -24,6 +30,18 @@ import menuRouter from "./src/routes/menu.route.js"
 import orderRouter from "./src/routes/order.route.js"
 import salesRouter from "./src/routes/sales.route.js"
 import wasteRouter from "./src/routes/waste.route.js"
+import supplierRouter from "./src/routes/supplier.route.js"
+import purchaseOrderRouter from "./src/routes/purchaseOrder.route.js"
+import eventRouter from "./src/routes/event.route.js"
+import jobRouter from "./src/routes/job.route.js"
+import permissionRouter from "./src/routes/permission.route.js"
+import shiftRouter from "./src/routes/shift.route.js"
+import auditLogRouter from "./src/routes/auditLog.route.js"
+import timeclockRouter from "./src/routes/timeclock.route.js"
+import stocktakeRouter from "./src/routes/stocktake.route.js"
+import restaurantRouter from "./src/routes/restaurant.route.js"
+import promotionRouter from "./src/routes/promotion.route.js"
+import cashDrawerRouter from "./src/routes/cashDrawer.route.js"
 
 // Health check endpoint (before routes)
 app.get("/api/v1/health", (req, res) => {
@@ -43,6 +61,18 @@ app.use("/api/v1/menu",menuRouter)
 app.use("/api/v1/orders",orderRouter)
 app.use("/api/v1/sales",salesRouter)
 app.use("/api/v1/waste",wasteRouter)
+app.use("/api/v1/suppliers",supplierRouter)
+app.use("/api/v1/purchase-orders",purchaseOrderRouter)
+app.use("/api/v1/events",eventRouter)
+app.use("/api/v1/jobs",jobRouter)
+app.use("/api/v1/permissions",permissionRouter)
+app.use("/api/v1/shifts",shiftRouter)
+app.use("/api/v1/audit-logs",auditLogRouter)
+app.use("/api/v1/timeclock",timeclockRouter)
+app.use("/api/v1/stocktakes",stocktakeRouter)
+app.use("/api/v1/restaurant",restaurantRouter)
+app.use("/api/v1/promotions",promotionRouter)
+app.use("/api/v1/cash-drawer",cashDrawerRouter)
 
 // Log registered routes for debugging
 console.log("✅ Registered routes:");
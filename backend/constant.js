@@ -21,6 +21,104 @@ export const CLOUDINARY_API_SECRET = process.env.CLOUDINARY_API_SECRET;
 // AI Model Services
 export const SALES_PREDICTION_API_URL = process.env.SALES_PREDICTION_API_URL || "http://localhost:8001";
 export const WASTE_PREDICTION_API_URL = process.env.WASTE_PREDICTION_API_URL || "http://localhost:8002";
+// Timeout of a single call to the sales prediction service
+export const SALES_PREDICTION_TIMEOUT_MS = Number(process.env.SALES_PREDICTION_TIMEOUT_MS) || 5000;
+// Timeout of a single call to the waste prediction service
+export const WASTE_PREDICTION_TIMEOUT_MS = Number(process.env.WASTE_PREDICTION_TIMEOUT_MS) || 5000;
+// Hours between scheduled waste risk scoring runs (0 creates the job disabled)
+export const WASTE_PREDICTION_INTERVAL_HOURS = process.env.WASTE_PREDICTION_INTERVAL_HOURS !== undefined
+    ? Number(process.env.WASTE_PREDICTION_INTERVAL_HOURS)
+    : 24;
+// Days of Inventorylog history used as an item's used quantity
+export const WASTE_PREDICTION_LOOKBACK_DAYS = Number(process.env.WASTE_PREDICTION_LOOKBACK_DAYS) || 30;
+
+// Inventory Lots
+// Order in which open lots are consumed: 'fefo' (first expired, first out) or 'fifo' (first in, first out)
+export const LOT_CONSUMPTION_STRATEGY = process.env.LOT_CONSUMPTION_STRATEGY || "fefo";
+
+// Reorder Suggestions
+// Days of consumption history used to compute average daily usage
+export const REORDER_LOOKBACK_DAYS = Number(process.env.REORDER_LOOKBACK_DAYS) || 30;
+// Lead time assumed for items that no supplier sells yet
+export const REORDER_DEFAULT_LEAD_TIME_DAYS = Number(process.env.REORDER_DEFAULT_LEAD_TIME_DAYS) || 2;
+// Extra days of usage kept on hand on top of the lead time
+export const REORDER_SAFETY_DAYS = Number(process.env.REORDER_SAFETY_DAYS) || 2;
+// Days of usage to order up to when an item has no maxThreshold
+export const REORDER_TARGET_COVER_DAYS = Number(process.env.REORDER_TARGET_COVER_DAYS) || 7;
+
+// Sales Forecast
+// Days forecast when the request does not say, and the most it may ask for
+export const SALES_FORECAST_DEFAULT_DAYS = Number(process.env.SALES_FORECAST_DEFAULT_DAYS) || 7;
+export const SALES_FORECAST_MAX_DAYS = Number(process.env.SALES_FORECAST_MAX_DAYS) || 30;
+// Days of sales history used for the item's level and the weekday pattern
+export const SALES_FORECAST_LOOKBACK_DAYS = Number(process.env.SALES_FORECAST_LOOKBACK_DAYS) || 56;
+// Category the model is asked about for menu items whose category it was not trained on
+export const SALES_FORECAST_MODEL_CATEGORY = process.env.SALES_FORECAST_MODEL_CATEGORY || "Fast Food";
+// Weather sent to the model for future days when the request does not say (Sunny, Cloudy or Rainy)
+export const SALES_FORECAST_WEATHER = process.env.SALES_FORECAST_WEATHER || "Sunny";
+// Most calls to the sales prediction service made at once for one forecast
+export const SALES_FORECAST_MODEL_CONCURRENCY = Number(process.env.SALES_FORECAST_MODEL_CONCURRENCY) || 4;
+
+// Prep List
+// Past weeks averaged when the prep list uses the same weekday's sales instead of the forecast
+export const PREP_LIST_AVERAGE_WEEKS = Number(process.env.PREP_LIST_AVERAGE_WEEKS) || 4;
+
+// Time Zone
+// Time zone (an IANA name such as "Asia/Kolkata") of restaurants that have not set one on their
+// profile; business days, job schedules, labor reports, promotions and invoices all use it
+export const DEFAULT_RESTAURANT_TIMEZONE = process.env.RESTAURANT_TIMEZONE || "UTC";
+
+// Scheduled Jobs
+// Set JOB_SCHEDULER_ENABLED=false on instances that should not run background jobs
+export const JOB_SCHEDULER_ENABLED = process.env.JOB_SCHEDULER_ENABLED !== "false";
+// How often the scheduler looks for due jobs
+export const JOB_SCHEDULER_POLL_SECONDS = Number(process.env.JOB_SCHEDULER_POLL_SECONDS) || 30;
+// How long a running job stays locked before another instance may take it over
+export const JOB_LOCK_MINUTES = Number(process.env.JOB_LOCK_MINUTES) || 30;
+// Days of job run history kept
+export const JOB_RUN_HISTORY_DAYS = Number(process.env.JOB_RUN_HISTORY_DAYS) || 30;
+// Default times (HH:mm in the job's time zone) and intervals of the built-in jobs
+export const JOB_EXPIRY_SWEEP_TIME = process.env.JOB_EXPIRY_SWEEP_TIME || "02:00";
+export const JOB_DAY_ROLLOVER_TIME = process.env.JOB_DAY_ROLLOVER_TIME || "00:05";
+export const JOB_MENU_STOCK_REFRESH_MINUTES = Number(process.env.JOB_MENU_STOCK_REFRESH_MINUTES) || 60;
+// How often stock reservations left pending by interrupted orders are settled
+export const JOB_RESERVATION_CLEANUP_MINUTES = Number(process.env.JOB_RESERVATION_CLEANUP_MINUTES) || 5;
+
+// Employees
+// Shortest password an admin may set for a user
+export const MIN_PASSWORD_LENGTH = Number(process.env.MIN_PASSWORD_LENGTH) || 6;
+// Length of the temporary passwords generated for invited users and password resets
+export const TEMPORARY_PASSWORD_LENGTH = Number(process.env.TEMPORARY_PASSWORD_LENGTH) || 12;
+
+// Shifts and Time Clock
+// How early a user may clock in and still have the punch matched to their shift
+export const CLOCK_IN_EARLY_MINUTES = Number(process.env.CLOCK_IN_EARLY_MINUTES) || 30;
+// Days shown by the labor cost report when the request does not say, and the most it may ask for
+export const LABOR_REPORT_DEFAULT_DAYS = Number(process.env.LABOR_REPORT_DEFAULT_DAYS) || 14;
+export const LABOR_REPORT_MAX_DAYS = Number(process.env.LABOR_REPORT_MAX_DAYS) || 92;
+
+// Kitchen Display System
+// Minutes an order is expected to take when no estimatedTime is given
+export const KDS_DEFAULT_PREP_MINUTES = Number(process.env.KDS_DEFAULT_PREP_MINUTES) || 15;
+
+// Payments
+// Most bills an order's bill may be split into
+export const SPLIT_BILL_MAX_BILLS = Number(process.env.SPLIT_BILL_MAX_BILLS) || 20;
+
+// Live events
+// Interval of the keep-alive comments sent on the event stream
+export const EVENTS_HEARTBEAT_SECONDS = Number(process.env.EVENTS_HEARTBEAT_SECONDS) || 25;
+// Events are shared between backend instances through a capped collection of this size;
+// set EVENTS_RELAY_ENABLED=false to keep them in memory when only one instance runs
+export const EVENTS_RELAY_ENABLED = process.env.EVENTS_RELAY_ENABLED !== "false";
+export const EVENTS_RELAY_COLLECTION_MB = Number(process.env.EVENTS_RELAY_COLLECTION_MB) || 16;
+// Wait before reopening the shared event feed when it ends (empty collection, lost connection)
+export const EVENTS_RELAY_RETRY_MS = Number(process.env.EVENTS_RELAY_RETRY_MS) || 1000;
+
+// Audit Trail
+// Records an updateMany or deleteMany may touch and still be read before and after the write;
+// larger writes are logged per record from the update itself, without re-reading the records
+export const AUDIT_FULL_RECORD_LIMIT = Number(process.env.AUDIT_FULL_RECORD_LIMIT) || 500;
 
 // Environment
 export const NODE_ENV = process.env.NODE_ENV || "development";
\ No newline at end of file
@@ -10,13 +10,32 @@ console.log('Environment variables loaded:', {
 import connectDB  from "./src/db/index.js";
 import { app } from "./app.js";
 import { PORT } from "./constant.js";
+import { releaseStaleReservations } from "./src/utils/stockReservation.js";
+import { startJobScheduler } from "./src/utils/jobScheduler.js";
+import { startEventRelay } from "./src/utils/eventBus.js";
 
 const startServer = async () => {
   try {
     await connectDB(); // wait until DB connects
+
+    // Give back stock held by orders that were interrupted before they finished; while running,
+    // the reservation_cleanup job keeps doing this
+    const releasedReservations = await releaseStaleReservations();
+    if (releasedReservations > 0) {
+      console.log(`♻️ Released ${releasedReservations} stale stock reservation(s)`);
+    }
+
+    // Share live events with the other backend instances
+    if (await startEventRelay()) {
+      console.log('📡 Live events shared between instances');
+    }
+
     app.listen(PORT, () => {
       console.log(`🚀 Server is running on port ${PORT}`);
     });
+
+    // Run the scheduled background jobs (expiry sweep, day rollover, menu stock refresh, reservation cleanup, waste scoring)
+    startJobScheduler();
   } catch (err) {
     console.error("❌ MongoDB connection failed:", err);
     process.exit(1);
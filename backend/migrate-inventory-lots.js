@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * One-off migration: turn daily inventory entries written before lots existed into lots,
+ * so FEFO/FIFO consumption and the expiry sweep pick them up.
+ *
+ * Usage: node migrate-inventory-lots.js
+ *
+ * Carry-forward copies made by the old "start new day" are merged into the lot they were
+ * copied from, and open lots are trimmed where they add up to more than the item's stock.
+ * Entries that already have a status are left alone, so running it again changes nothing.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from './src/db/index.js';
+import { migrateLegacyLots } from './src/utils/lotMigration.js';
+
+dotenv.config();
+
+const migrate = async () => {
+    await connectDB();
+
+    console.log('\n📦 Converting daily inventory entries to lots');
+    const { lots, mergedCopies, trimmedItems } = await migrateLegacyLots();
+
+    console.log(`   Lots: ${lots}`);
+    console.log(`   Carry-forward copies merged: ${mergedCopies}`);
+    console.log(`   Items whose lots were trimmed to their stock: ${trimmedItems}`);
+    console.log('\n✅ Lot migration completed');
+
+    await mongoose.disconnect();
+};
+
+migrate().catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
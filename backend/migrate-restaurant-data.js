@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * One-off migration: scope inventory, waste and sales records created before
+ * restaurants existed to a restaurant.
+ *
+ * Usage: node migrate-restaurant-data.js <defaultRestaurant>
+ *
+ * The restaurant is taken from the user, inventory item or menu item each record
+ * references; records without a resolvable reference get <defaultRestaurant>.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from './src/db/index.js';
+import { assignRestaurantToExistingData } from './src/utils/restaurantDataMigration.js';
+
+dotenv.config();
+
+const migrate = async () => {
+    const defaultRestaurant = process.argv[2];
+    if (!defaultRestaurant) {
+        console.log('Usage: node migrate-restaurant-data.js <defaultRestaurant>');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    console.log(`\n🏷️  Assigning restaurants to existing records (default: ${defaultRestaurant})`);
+    const summary = await assignRestaurantToExistingData(defaultRestaurant);
+
+    for (const [collection, { updated, defaulted }] of Object.entries(summary)) {
+        console.log(`   ${collection}: ${updated} updated, ${defaulted} given the default`);
+    }
+
+    const totalUpdated = Object.values(summary).reduce((sum, entry) => sum + entry.updated, 0);
+    console.log(`\n✅ Assigned a restaurant to ${totalUpdated} existing records`);
+
+    await mongoose.disconnect();
+};
+
+migrate().catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
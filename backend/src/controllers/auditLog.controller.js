@@ -0,0 +1,99 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { AuditLog } from "../models/audit/auditLog.model.js";
+
+// Get the restaurant's audit log, latest first
+const getAuditLogs = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, entity, entityId, action, actor, from, to } = req.query;
+
+    // Build filter object - filter by restaurant
+    const filter = {
+        restaurant: req.user.restaurant
+    };
+
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = entityId;
+    if (action) filter.action = action;
+    if (actor) filter.actor = actor;
+
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+        if (Object.values(filter.createdAt).some(date => Number.isNaN(date.getTime()))) {
+            throw new apiError("Invalid from or to date", 400);
+        }
+    }
+
+    // Calculate pagination
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const skip = (pageNum - 1) * limitNum;
+
+    const total = await AuditLog.countDocuments(filter);
+
+    const logs = await AuditLog.find(filter)
+        .select('-snapshot')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum);
+
+    // Create pagination response object
+    const paginatedResponse = {
+        docs: logs,
+        totalDocs: total,
+        limit: limitNum,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < Math.ceil(total / limitNum) ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null
+    };
+
+    return res.status(200).json(
+        new apiResponse(200, paginatedResponse, "Audit log retrieved successfully")
+    );
+});
+
+// Get the entities and actors that appear in the restaurant's audit log (for filters)
+const getAuditLogFilters = asyncHandler(async (req, res) => {
+    const restaurant = req.user.restaurant;
+
+    const [entities, actors] = await Promise.all([
+        AuditLog.distinct('entity', { restaurant }),
+        AuditLog.aggregate([
+            { $match: { restaurant, actor: { $ne: null } } },
+            { $group: { _id: '$actor', name: { $last: '$actorName' }, role: { $last: '$actorRole' } } },
+            { $sort: { name: 1 } }
+        ])
+    ]);
+
+    return res.status(200).json(
+        new apiResponse(200, {
+            entities: entities.sort(),
+            actors: actors.map(actor => ({ _id: actor._id, fullname: actor.name, role: actor.role }))
+        }, "Audit log filters retrieved successfully")
+    );
+});
+
+// Get an audit log entry with the full record
+const getAuditLogById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const log = await AuditLog.findOne({ _id: id, restaurant: req.user.restaurant });
+    if (!log) {
+        throw new apiError("Audit log entry not found", 404);
+    }
+
+    return res.status(200).json(
+        new apiResponse(200, log, "Audit log entry retrieved successfully")
+    );
+});
+
+export {
+    getAuditLogs,
+    getAuditLogFilters,
+    getAuditLogById
+};
@@ -4,30 +4,40 @@ import { apiResponse } from "../utils/apiResponse.js";
 import { DailyInventoryEntry } from "../models/inventory/dailyInventoryEntry.model.js";
 import { DayStatus } from "../models/inventory/dayStatus.model.js";
 import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { convertQuantity } from "../utils/unitConverter.js";
+import { consumeLots, refreshItemExpiry, sortLotsForConsumption } from "../utils/lotManager.js";
+import { publishLowStockIfCrossed } from "../utils/eventBus.js";
+import { buildPrepList } from "../utils/prepListBuilder.js";
+import { endBusinessDay, startBusinessDay } from "../utils/dayRollover.js";
+import { getBusinessDay } from "../utils/restaurantTimezone.js";
 
-// Helper function to get today's date at midnight
-const getTodayDate = () => {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    return today;
-};
+// Helper function to get the restaurant's today, at midnight the way DayStatus stores days
+const getTodayDate = (restaurant) => getBusinessDay(restaurant);
 
-// Helper function to format date to YYYY-MM-DD
+// Helper function to format a business day (midnight, server time) as YYYY-MM-DD
 const formatDate = (date) => {
-    return date.toISOString().split('T')[0];
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
 };
 
 // Get today's inventory entries
 const getTodayInventory = asyncHandler(async (req, res) => {
-    const today = getTodayDate();
+    const today = await getTodayDate(req.user.restaurant);
     
-    const entries = await DailyInventoryEntry.find({ date: today })
+    // Lots received today, plus lots from earlier days that are still open (carried forward)
+    const entries = await DailyInventoryEntry.find({
+        restaurant: req.user.restaurant,
+        $or: [
+            { date: today },
+            { date: { $lt: today }, status: 'open', remainingQuantity: { $gt: 0 } }
+        ]
+    })
         .populate('inventoryItem')
         .populate('addedBy', 'fullname email')
-        .sort({ createdAt: -1 });
+        .sort({ date: -1, createdAt: -1 });
 
     // Get day status
-    const dayStatus = await DayStatus.findOne({ date: today });
+    const dayStatus = await DayStatus.findOne({ date: today, restaurant: req.user.restaurant });
 
     return res.status(200).json(
         new apiResponse(200, {
@@ -49,12 +59,12 @@ const getDateInventory = asyncHandler(async (req, res) => {
     const targetDate = new Date(date);
     targetDate.setHours(0, 0, 0, 0);
 
-    const entries = await DailyInventoryEntry.find({ date: targetDate })
+    const entries = await DailyInventoryEntry.find({ date: targetDate, restaurant: req.user.restaurant })
         .populate('inventoryItem')
         .populate('addedBy', 'fullname email')
         .sort({ createdAt: -1 });
 
-    const dayStatus = await DayStatus.findOne({ date: targetDate });
+    const dayStatus = await DayStatus.findOne({ date: targetDate, restaurant: req.user.restaurant });
 
     return res.status(200).json(
         new apiResponse(200, {
@@ -65,19 +75,19 @@ const getDateInventory = asyncHandler(async (req, res) => {
     );
 });
 
-// Add item to today's inventory
+// Add item to today's inventory (receives a new lot)
 // IMPORTANT: General inventory (InventoryItem.currentStock) is the SINGLE SOURCE OF TRUTH for stock
-// Daily inventory entries are just TRACKING entries for FIFO and daily usage tracking
+// Each daily inventory entry is a lot that breaks that stock down by batch
 const addItemToToday = asyncHandler(async (req, res) => {
-    const today = getTodayDate();
+    const today = await getTodayDate(req.user.restaurant);
     
     // Check if day is ended
-    const dayStatus = await DayStatus.findOne({ date: today });
+    const dayStatus = await DayStatus.findOne({ date: today, restaurant: req.user.restaurant });
     if (dayStatus?.isEnded) {
         throw new apiError("Cannot add items. The day has been ended.", 400);
     }
 
-    const { inventoryItemId, quantity, cost, expiryDate } = req.body;
+    const { inventoryItemId, quantity, cost, expiryDate, supplier, lotNumber } = req.body;
 
     if (!inventoryItemId || !quantity) {
         throw new apiError("Inventory item ID and quantity are required", 400);
@@ -88,8 +98,8 @@ const addItemToToday = asyncHandler(async (req, res) => {
         throw new apiError("Quantity must be a positive number", 400);
     }
 
-    // Verify inventory item exists
-    const inventoryItem = await InventoryItem.findById(inventoryItemId);
+    // Verify inventory item exists in this restaurant
+    const inventoryItem = await InventoryItem.findOne({ _id: inventoryItemId, restaurant: req.user.restaurant });
     if (!inventoryItem) {
         throw new apiError("Inventory item not found", 404);
     }
@@ -121,19 +131,24 @@ const addItemToToday = asyncHandler(async (req, res) => {
         throw new apiError("Failed to update inventory item", 500);
     }
 
-    // STEP 2: Create daily inventory entry (TRACKING ONLY - for FIFO and daily usage tracking)
-    // This entry tracks what was added today and what's remaining for FIFO purposes
-    // It does NOT hold actual stock - it's just a tracking/log entry
+    // STEP 2: Create the lot for this batch with its own quantity, cost, supplier and expiry
+    // The lot stays open across days until it is used up or expires
     const entry = await DailyInventoryEntry.create({
         date: today,
         inventoryItem: inventoryItemId,
+        lotNumber: lotNumber || undefined, // Generated when not given
         quantity: parsedQuantity,
-        remainingQuantity: parsedQuantity, // For FIFO tracking - tracks how much is left from this batch
+        remainingQuantity: parsedQuantity, // How much is left from this batch
         cost: parsedCost,
         expiryDate: finalExpiryDate,
-        addedBy: req.user._id
+        supplier: supplier || inventoryItem.supplier,
+        addedBy: req.user._id,
+        restaurant: req.user.restaurant
     });
 
+    // Keep the item's expiry date in line with its earliest expiring lot
+    await refreshItemExpiry(inventoryItemId);
+
     const populatedEntry = await DailyInventoryEntry.findById(entry._id)
         .populate('inventoryItem')
         .populate('addedBy', 'fullname email');
@@ -143,32 +158,29 @@ const addItemToToday = asyncHandler(async (req, res) => {
     );
 });
 
-// Deduct quantity from inventory (used when orders are made)
+// Deduct quantity from inventory (used when orders are edited)
 // IMPORTANT: General inventory (InventoryItem.currentStock) is the SINGLE SOURCE OF TRUTH
-// We deduct from general inventory first, then update daily inventory entries for FIFO tracking
-const deductFromDailyInventory = asyncHandler(async (inventoryItemId, quantity, userId) => {
-    const today = getTodayDate();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    // STEP 1: Get the inventory item and check stock in GENERAL INVENTORY (SINGLE SOURCE OF TRUTH)
+// We deduct from general inventory first, then consume the item's open lots (FIFO/FEFO)
+// `unit` is the unit the quantity is expressed in (e.g. the recipe unit); it is converted to the
+// item's stock unit before deducting. Returns the deducted quantity in the stock unit.
+const deductFromDailyInventory = async (inventoryItemId, requestedQuantity, userId, unit) => {
+    // STEP 1: Get the inventory item (GENERAL INVENTORY is the SINGLE SOURCE OF TRUTH)
     const inventoryItem = await InventoryItem.findById(inventoryItemId);
     if (!inventoryItem) {
         throw new apiError(`Inventory item ${inventoryItemId} not found`, 404);
     }
 
-    // Check if general inventory has sufficient stock
-    if (inventoryItem.currentStock < quantity) {
-        throw new apiError(
-            `Insufficient stock for ${inventoryItem.name}. Required: ${quantity}, Available: ${inventoryItem.currentStock}`,
-            400
-        );
-    }
+    // Convert the requested quantity into the item's stock unit
+    const quantity = convertQuantity(requestedQuantity, unit || inventoryItem.unit, inventoryItem.unit, inventoryItem);
     
     // STEP 2: Deduct from GENERAL INVENTORY (SINGLE SOURCE OF TRUTH)
-    // This is the ONLY place where actual stock is reduced
-    const updatedItem = await InventoryItem.findByIdAndUpdate(
-        inventoryItemId,
+    // The stock check and the deduction are one atomic update, so concurrent
+    // requests can never take more than is available
+    const updatedItem = await InventoryItem.findOneAndUpdate(
+        {
+            _id: inventoryItemId,
+            currentStock: { $gte: quantity }
+        },
         {
             $inc: { currentStock: -quantity },
             lastUpdatedBy: userId
@@ -177,145 +189,83 @@ const deductFromDailyInventory = asyncHandler(async (inventoryItemId, quantity,
     );
 
     if (!updatedItem) {
-        throw new apiError(`Failed to update inventory item ${inventoryItemId}`, 500);
+        const latestItem = await InventoryItem.findById(inventoryItemId).select('currentStock');
+        throw new apiError(
+            `Insufficient stock for ${inventoryItem.name}. Required: ${quantity} ${inventoryItem.unit}, Available: ${latestItem?.currentStock ?? 0} ${inventoryItem.unit}`,
+            400
+        );
     }
 
-    // STEP 3: Update daily inventory entries for FIFO tracking (TRACKING ONLY)
-    // Find today's entries for this inventory item, ordered by expiry date (FIFO)
-    // Use date range query to handle timezone issues
-    const entries = await DailyInventoryEntry.find({
-        date: {
-            $gte: today,
-            $lt: tomorrow
-        },
-        inventoryItem: inventoryItemId,
-        remainingQuantity: { $gt: 0 }
-    }).sort({ expiryDate: 1, createdAt: 1 }); // Use earliest expiry first, then earliest added
-
-    let remainingToTrack = quantity;
-    const now = new Date();
-
-    // Update daily inventory entries for FIFO tracking
-    // This is just for tracking purposes - the actual stock was already deducted above
-    if (entries.length > 0) {
-        for (const entry of entries) {
-            if (remainingToTrack <= 0) break;
-
-            // Skip expired items in tracking (they shouldn't be used)
-            if (entry.expiryDate && new Date(entry.expiryDate) < now) {
-                continue;
-            }
-
-            // Update remainingQuantity for FIFO tracking
-            const trackAmount = Math.min(entry.remainingQuantity, remainingToTrack);
-            entry.remainingQuantity -= trackAmount;
-            remainingToTrack -= trackAmount;
-            await entry.save();
-        }
-    }
+    publishLowStockIfCrossed(updatedItem, updatedItem.currentStock + quantity);
 
-    // Note: If there are no daily inventory entries or we couldn't track all of it,
-    // that's okay - the stock was already deducted from general inventory.
-    // Daily inventory entries are just for tracking/FIFO purposes, not for holding actual stock.
-});
+    // STEP 3: Take the quantity from the item's open lots across all days
+    await consumeLots(inventoryItemId, quantity);
 
-// End the day
+    return quantity;
+};
+
+// End the day; also closes the cash drawer, with the cash counted now (countedCash) or earlier
 const endDay = asyncHandler(async (req, res) => {
-    const today = getTodayDate();
-    
-    // Check if day is already ended
-    let dayStatus = await DayStatus.findOne({ date: today });
-    if (dayStatus?.isEnded) {
-        throw new apiError("The day has already been ended", 400);
-    }
+    const { countedCash } = req.body || {};
 
-    // Create or update day status
-    if (!dayStatus) {
-        dayStatus = await DayStatus.create({
-            date: today,
-            isEnded: true,
-            endedAt: new Date(),
-            endedBy: req.user._id
-        });
-    } else {
-        dayStatus.isEnded = true;
-        dayStatus.endedAt = new Date();
-        dayStatus.endedBy = req.user._id;
-        await dayStatus.save();
+    let parsedCountedCash;
+    if (countedCash !== undefined && countedCash !== null && countedCash !== '') {
+        parsedCountedCash = Number(countedCash);
+        if (Number.isNaN(parsedCountedCash) || parsedCountedCash < 0) {
+            throw new apiError("Counted cash must be a number of zero or more", 400);
+        }
     }
 
+    const result = await endBusinessDay(req.user.restaurant, await getTodayDate(req.user.restaurant), req.user._id, { countedCash: parsedCountedCash });
+
     return res.status(200).json(
-        new apiResponse(200, { date: formatDate(today), isEnded: true }, "Day ended successfully")
+        new apiResponse(200, result, "Day ended successfully")
     );
 });
 
-// Start new day (carry forward non-expired items from yesterday)
+// Start new day (non-expired open lots carry forward with their lot identity)
 const startNewDay = asyncHandler(async (req, res) => {
-    const today = getTodayDate();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(0, 0, 0, 0);
-
-    // Check if today is already started
-    const todayStatus = await DayStatus.findOne({ date: today });
-    if (todayStatus?.isEnded) {
-        throw new apiError("Today's day has already been ended. Cannot start a new day.", 400);
-    }
+    const result = await startBusinessDay(req.user.restaurant, await getTodayDate(req.user.restaurant));
 
-    // Check if yesterday was ended
-    const yesterdayStatus = await DayStatus.findOne({ date: yesterday });
-    if (!yesterdayStatus?.isEnded) {
-        throw new apiError("Yesterday's day must be ended before starting a new day", 400);
-    }
+    return res.status(200).json(
+        new apiResponse(200, result, "New day started successfully. Non-expired lots carried forward.")
+    );
+});
 
-    // Get yesterday's entries with remaining quantity
-    const yesterdayEntries = await DailyInventoryEntry.find({
-        date: yesterday,
-        remainingQuantity: { $gt: 0 }
-    }).populate('inventoryItem');
+// Get the prep list for a day (today by default)
+// Ingredients needed for the expected dishes, what is on hand and the shortfall
+const getPrepList = asyncHandler(async (req, res) => {
+    const { date, source = 'forecast', weeks } = req.query;
 
-    const now = new Date();
-    const carriedForward = [];
+    if (!['forecast', 'average'].includes(source)) {
+        throw new apiError("source must be 'forecast' or 'average'", 400);
+    }
 
-    // Carry forward non-expired items
-    for (const entry of yesterdayEntries) {
-        // Check if expired
-        if (entry.expiryDate && new Date(entry.expiryDate) < now) {
-            continue; // Skip expired items
+    let prepDate = new Date();
+    if (date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(date).getTime())) {
+            throw new apiError("date must be in YYYY-MM-DD format", 400);
         }
+        prepDate = new Date(date);
+    }
 
-        // Create new entry for today with remaining quantity
-        const newEntry = await DailyInventoryEntry.create({
-            date: today,
-            inventoryItem: entry.inventoryItem._id,
-            quantity: entry.remainingQuantity,
-            remainingQuantity: entry.remainingQuantity,
-            cost: entry.cost,
-            expiryDate: entry.expiryDate,
-            addedBy: req.user._id
-        });
-
-        carriedForward.push({
-            itemName: entry.inventoryItem.name,
-            quantity: entry.remainingQuantity,
-            unit: entry.inventoryItem.unit
-        });
+    const weekCount = weeks === undefined ? undefined : parseInt(weeks);
+    if (weekCount !== undefined && (!Number.isInteger(weekCount) || weekCount < 1 || weekCount > 52)) {
+        throw new apiError("weeks must be between 1 and 52", 400);
     }
 
+    const prepList = await buildPrepList(req.user.restaurant, { date: prepDate, source, weeks: weekCount });
+
     return res.status(200).json(
-        new apiResponse(200, {
-            date: formatDate(today),
-            carriedForwardCount: carriedForward.length,
-            carriedForward
-        }, "New day started successfully. Non-expired items carried forward from yesterday.")
+        new apiResponse(200, prepList, "Prep list retrieved successfully")
     );
 });
 
 // Get day status
 const getDayStatus = asyncHandler(async (req, res) => {
-    const today = getTodayDate();
+    const today = await getTodayDate(req.user.restaurant);
     
-    const dayStatus = await DayStatus.findOne({ date: today });
+    const dayStatus = await DayStatus.findOne({ date: today, restaurant: req.user.restaurant });
 
     return res.status(200).json(
         new apiResponse(200, {
@@ -326,10 +276,31 @@ const getDayStatus = asyncHandler(async (req, res) => {
     );
 });
 
+// Get lots, optionally for one inventory item and/or status
+const getLots = asyncHandler(async (req, res) => {
+    const { inventoryItemId, status = 'open' } = req.query;
+
+    const filter = { restaurant: req.user.restaurant };
+    if (inventoryItemId) {
+        filter.inventoryItem = inventoryItemId;
+    }
+    if (status !== 'all') {
+        filter.status = status;
+    }
+
+    const lots = await DailyInventoryEntry.find(filter)
+        .populate('inventoryItem', 'name unit category')
+        .populate('addedBy', 'fullname email');
+
+    return res.status(200).json(
+        new apiResponse(200, sortLotsForConsumption(lots), "Lots retrieved successfully")
+    );
+});
+
 // Get available items for today (items that can be added)
 const getAvailableItemsForToday = asyncHandler(async (req, res) => {
-    // Get all inventory items (generalized items)
-    const items = await InventoryItem.find({})
+    // Get all inventory items (generalized items) for this restaurant
+    const items = await InventoryItem.find({ restaurant: req.user.restaurant })
         .populate('addedBy', 'fullname')
         .sort({ name: 1 });
 
@@ -345,7 +316,9 @@ export {
     deductFromDailyInventory,
     endDay,
     startNewDay,
+    getPrepList,
     getDayStatus,
+    getLots,
     getAvailableItemsForToday
 };
 
@@ -6,13 +6,21 @@ import { Sales } from "../models/demand/salesData.model.js";
 import { WasteLog } from "../models/waste/wasteLog.model.js";
 import { MenuItem } from "../models/menu/menuItem.model.js";
 import { User } from "../models/auth/user.model.js";
+import { TimePunch } from "../models/labor/timePunch.model.js";
+import { buildLaborCostReport } from "../utils/laborCost.js";
+import { getRestaurantTimeZone } from "../utils/restaurantTimezone.js";
+import { LABOR_REPORT_DEFAULT_DAYS, LABOR_REPORT_MAX_DAYS } from "../../constant.js";
 
 // Get dashboard statistics
 const getDashboardStats = asyncHandler(async (req, res) => {
     try {
+        // Every statistic is scoped to the user's restaurant
+        const restaurant = req.user.restaurant;
+
         // Get inventory statistics
-        const totalInventoryItems = await InventoryItem.countDocuments();
+        const totalInventoryItems = await InventoryItem.countDocuments({ restaurant });
         const lowStockCount = await InventoryItem.countDocuments({
+            restaurant,
             $expr: {
                 $and: [
                     { $gt: ["$minThreshold", 0] },
@@ -21,20 +29,23 @@ const getDashboardStats = asyncHandler(async (req, res) => {
             }
         });
         const expiredCount = await InventoryItem.countDocuments({
+            restaurant,
             expiryDate: { $lt: new Date() }
         });
-        const outOfStockCount = await InventoryItem.countDocuments({ quantity: 0 });
+        const outOfStockCount = await InventoryItem.countDocuments({ restaurant, quantity: 0 });
 
         // Get sales statistics (total orders/transactions)
-        const totalSales = await Sales.countDocuments();
+        const totalSales = await Sales.countDocuments({ restaurant });
         const totalQuantitySold = await Sales.aggregate([
+            { $match: { restaurant } },
             { $group: { _id: null, total: { $sum: "$quantitySold" } } }
         ]);
         const totalQuantitySoldValue = totalQuantitySold.length > 0 ? totalQuantitySold[0].total : 0;
 
         // Get waste statistics
-        const totalWasteLogs = await WasteLog.countDocuments();
+        const totalWasteLogs = await WasteLog.countDocuments({ restaurant });
         const totalWasteQuantity = await WasteLog.aggregate([
+            { $match: { restaurant } },
             { $group: { _id: null, total: { $sum: "$quantity" } } }
         ]);
         const totalWasteQuantityValue = totalWasteQuantity.length > 0 ? totalWasteQuantity[0].total : 0;
@@ -45,31 +56,35 @@ const getDashboardStats = asyncHandler(async (req, res) => {
             Math.max(0, Math.min(100, Math.round((1 - (totalWasteQuantityValue / (totalInventoryItems * 10))) * 100))) : 15;
 
         // Get menu items count
-        const totalMenuItems = await MenuItem.countDocuments();
+        const totalMenuItems = await MenuItem.countDocuments({ restaurant });
 
         // Get user statistics
-        const totalUsers = await User.countDocuments();
-        const adminUsers = await User.countDocuments({ role: "admin" });
-        const chefUsers = await User.countDocuments({ role: "chef" });
+        const totalUsers = await User.countDocuments({ restaurant });
+        const adminUsers = await User.countDocuments({ restaurant, role: "admin" });
+        const chefUsers = await User.countDocuments({ restaurant, role: "chef" });
 
         // Get recent activity (last 7 days)
         const sevenDaysAgo = new Date();
         sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
 
         const recentInventoryUpdates = await InventoryItem.countDocuments({
+            restaurant,
             updatedAt: { $gte: sevenDaysAgo }
         });
 
         const recentSales = await Sales.countDocuments({
+            restaurant,
             createdAt: { $gte: sevenDaysAgo }
         });
 
         const recentWasteLogs = await WasteLog.countDocuments({
+            restaurant,
             createdAt: { $gte: sevenDaysAgo }
         });
 
         // Get category distribution for inventory
         const categoryStats = await InventoryItem.aggregate([
+            { $match: { restaurant } },
             {
                 $group: {
                     _id: "$category",
@@ -83,6 +98,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
 
         // Get storage condition distribution
         const storageStats = await InventoryItem.aggregate([
+            { $match: { restaurant } },
             {
                 $group: {
                     _id: "$storageCondition",
@@ -95,6 +111,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
 
         // Get waste category distribution
         const wasteCategoryStats = await WasteLog.aggregate([
+            { $match: { restaurant } },
             {
                 $group: {
                     _id: "$category",
@@ -105,6 +122,16 @@ const getDashboardStats = asyncHandler(async (req, res) => {
             { $sort: { count: -1 } }
         ]);
 
+        // Today's labor cost, only for users who may see it
+        let labor = null;
+        if (req.permissions?.includes("labor:read")) {
+            const [today, clockedIn] = await Promise.all([
+                buildLaborCostReport(restaurant, { days: 1, timeZone: await getRestaurantTimeZone(restaurant) }),
+                TimePunch.countDocuments({ restaurant, status: "open" })
+            ]);
+            labor = { today: today.days[0], clockedIn };
+        }
+
         const dashboardStats = {
             // Main metrics
             totalOrders: totalSales,
@@ -150,7 +177,10 @@ const getDashboardStats = asyncHandler(async (req, res) => {
                 inventoryUpdates: recentInventoryUpdates,
                 sales: recentSales,
                 wasteLogs: recentWasteLogs
-            }
+            },
+
+            // Labor details (null without labor:read)
+            labor
         };
 
         return res.status(200).json(
@@ -165,6 +195,8 @@ const getDashboardStats = asyncHandler(async (req, res) => {
 // Get dashboard charts data
 const getDashboardCharts = asyncHandler(async (req, res) => {
     try {
+        const restaurant = req.user.restaurant;
+
         // Get sales data for the last 30 days
         const thirtyDaysAgo = new Date();
         thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -172,6 +204,7 @@ const getDashboardCharts = asyncHandler(async (req, res) => {
         const salesChartData = await Sales.aggregate([
             {
                 $match: {
+                    restaurant,
                     saleDate: { $gte: thirtyDaysAgo }
                 }
             },
@@ -195,6 +228,7 @@ const getDashboardCharts = asyncHandler(async (req, res) => {
         const wasteChartData = await WasteLog.aggregate([
             {
                 $match: {
+                    restaurant,
                     createdAt: { $gte: thirtyDaysAgo }
                 }
             },
@@ -216,6 +250,7 @@ const getDashboardCharts = asyncHandler(async (req, res) => {
 
         // Get inventory status distribution
         const inventoryStatusData = await InventoryItem.aggregate([
+            { $match: { restaurant } },
             {
                 $group: {
                     _id: "$status",
@@ -239,7 +274,25 @@ const getDashboardCharts = asyncHandler(async (req, res) => {
     }
 });
 
+// Get labor cost against sales revenue per day, by the calendar days of the restaurant's time zone
+const getLaborCost = asyncHandler(async (req, res) => {
+    const { days = LABOR_REPORT_DEFAULT_DAYS } = req.query;
+
+    const dayCount = parseInt(days);
+    if (Number.isNaN(dayCount) || dayCount < 1 || dayCount > LABOR_REPORT_MAX_DAYS) {
+        throw new apiError(`Days must be between 1 and ${LABOR_REPORT_MAX_DAYS}`, 400);
+    }
+
+    const timeZone = await getRestaurantTimeZone(req.user.restaurant);
+    const report = await buildLaborCostReport(req.user.restaurant, { days: dayCount, timeZone });
+
+    return res.status(200).json(
+        new apiResponse(200, report, "Labor cost retrieved successfully")
+    );
+});
+
 export {
     getDashboardStats,
-    getDashboardCharts
+    getDashboardCharts,
+    getLaborCost
 };
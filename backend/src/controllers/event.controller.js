@@ -0,0 +1,25 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { EVENT_TYPES, openEventStream } from "../utils/eventBus.js";
+
+// Stream live events of the user's restaurant (Server-Sent Events)
+// Optional query: types=order.*,inventory.low_stock to receive only some events
+const streamEvents = asyncHandler(async (req, res) => {
+    const types = (req.query.types || '')
+        .split(',')
+        .map(type => type.trim())
+        .filter(Boolean);
+
+    const unknown = types.filter(type => type.endsWith('.*')
+        ? !EVENT_TYPES.some(eventType => eventType.startsWith(type.slice(0, -1)))
+        : !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new apiError(`Unknown event type(s): ${unknown.join(', ')}`, 400);
+    }
+
+    openEventStream(req, res, types);
+});
+
+export {
+    streamEvents
+};
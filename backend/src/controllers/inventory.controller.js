@@ -2,49 +2,86 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { apiError } from "../utils/apiError.js";
 import { apiResponse } from "../utils/apiResponse.js";
 import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { MenuItem } from "../models/menu/menuItem.model.js";
 import { uploadCloudinary } from "../utils/cloudinary.js";
 import { calculateExpiryDate, requiresManualExpiryDate, getDefaultExpiryDate } from "../utils/expiryCalculator.js";
 import { processExpiredItems, checkExpiredItems } from "../utils/expiredItemsHandler.js";
 import { Inventorylog } from "../models/inventory/inventorylog.model.js";
+import { calculateReorderSuggestions } from "../utils/reorderCalculator.js";
+import { recostMenuItemsUsingIngredient } from "../utils/recipeCosting.js";
+import { publishLowStockIfCrossed } from "../utils/eventBus.js";
+import { readImportFile, analyzeInventoryImport, commitInventoryImport, MAX_IMPORT_ROWS } from "../utils/inventoryImport.js";
+import { getExportFormat, streamExport } from "../utils/exporter.js";
 import fs from 'fs';
 import path from 'path';
 
-// Get all inventory items
-const getAllInventoryItems = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, category, status, storageCondition, search } = req.query;
-    
-    // Build filter object
-    const filter = {};
-    
+// Helper function to build the inventory list filter; the export uses the same filters
+const buildInventoryFilter = (query, restaurant) => {
+    const { category, status, storageCondition, search } = query;
+
+    // Build filter object - filter by restaurant
+    const filter = { restaurant };
+
     if (category) {
         filter.category = category;
     }
-    
+
     if (status) {
         filter.status = status;
     }
-    
+
     if (storageCondition) {
         filter.storageCondition = storageCondition;
     }
-    
+
     if (search) {
         filter.name = { $regex: search, $options: 'i' };
     }
 
+    return filter;
+};
+
+// Columns of the inventory export; the import reads the same layout
+const INVENTORY_EXPORT_COLUMNS = [
+    { header: 'ID', value: item => item._id.toString(), width: 1.6 },
+    { header: 'Name', value: item => item.name, width: 1.6 },
+    { header: 'Quantity', value: item => item.quantity, type: 'number' },
+    { header: 'Current Stock', value: item => item.currentStock, type: 'number' },
+    { header: 'Unit', value: item => item.unit, width: 0.6 },
+    { header: 'Category', value: item => item.category },
+    { header: 'Storage Condition', value: item => item.storageCondition },
+    { header: 'Status', value: item => item.status },
+    { header: 'Expiry Date', value: item => (item.expiryDate ? item.expiryDate.toISOString().split('T')[0] : '') },
+    { header: 'Added Date', value: item => (item.addedDate ? item.addedDate.toISOString().split('T')[0] : '') },
+    { header: 'Supplier', value: item => item.supplier },
+    { header: 'Cost', value: item => item.cost, type: 'money' },
+    { header: 'Min Threshold', value: item => item.minThreshold, type: 'number' },
+    { header: 'Max Threshold', value: item => item.maxThreshold, type: 'number' },
+    { header: 'Notes', value: item => item.notes, width: 1.4 },
+    { header: 'Added By', value: item => item.addedBy?.fullname },
+    { header: 'Last Updated By', value: item => item.lastUpdatedBy?.fullname },
+    { header: 'Created At', value: item => item.createdAt },
+    { header: 'Updated At', value: item => item.updatedAt }
+];
+
+// Get all inventory items
+const getAllInventoryItems = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+    const filter = buildInventoryFilter(req.query, req.user.restaurant);
+
     // Calculate pagination
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
     // Check and update expired items status (run in background, don't wait)
-    checkExpiredItems().catch(err => {
+    checkExpiredItems(req.user.restaurant).catch(err => {
         console.error('Error checking expired items:', err);
     });
     
     // Process expired items and log them as waste (run in background, don't wait)
     // This will automatically create waste logs for expired items
-    processExpiredItems().catch(err => {
+    processExpiredItems(null, req.user.restaurant).catch(err => {
         console.error('Error processing expired items:', err);
     });
 
@@ -81,7 +118,10 @@ const getAllInventoryItems = asyncHandler(async (req, res) => {
 const getInventoryItemById = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    const inventoryItem = await InventoryItem.findById(id)
+    const inventoryItem = await InventoryItem.findOne({ 
+        _id: id, 
+        restaurant: req.user.restaurant 
+    })
         .populate('addedBy', 'fullname email role')
         .populate('lastUpdatedBy', 'fullname email role');
 
@@ -113,10 +153,17 @@ const addInventoryItem = asyncHandler(async (req, res) => {
         cost,
         minThreshold,
         maxThreshold,
+        density,
+        pieceWeight,
         notes,
         freshness
     } = req.body;
 
+    // Validate restaurant
+    if (!req.user?.restaurant) {
+        throw new apiError("User restaurant information is missing", 400);
+    }
+
     // Handle image upload
     let imageUrl = null;
     if (req.file) {
@@ -158,6 +205,16 @@ const addInventoryItem = asyncHandler(async (req, res) => {
         throw new apiError("Maximum threshold must be a non-negative number", 400);
     }
 
+    const parsedDensity = density !== undefined && density !== null && density !== '' ? Number(density) : undefined;
+    if (parsedDensity !== undefined && (Number.isNaN(parsedDensity) || parsedDensity < 0)) {
+        throw new apiError("Density must be a non-negative number", 400);
+    }
+
+    const parsedPieceWeight = pieceWeight !== undefined && pieceWeight !== null && pieceWeight !== '' ? Number(pieceWeight) : undefined;
+    if (parsedPieceWeight !== undefined && (Number.isNaN(parsedPieceWeight) || parsedPieceWeight < 0)) {
+        throw new apiError("Piece weight must be a non-negative number", 400);
+    }
+
     // Calculate expiry date based on category and freshness
     let finalExpiryDate = null;
     
@@ -175,10 +232,11 @@ const addInventoryItem = asyncHandler(async (req, res) => {
         }
     }
 
-    // Check if item already exists with same name and category
+    // Check if item already exists with same name and category in this restaurant
     const existingItem = await InventoryItem.findOne({
         name: { $regex: new RegExp(`^${name}$`, 'i') },
-        category
+        category,
+        restaurant: req.user.restaurant
     });
 
     if (existingItem) {
@@ -202,9 +260,12 @@ const addInventoryItem = asyncHandler(async (req, res) => {
             cost: parsedCost,
             minThreshold: parsedMinThreshold,
             maxThreshold: parsedMaxThreshold,
+            density: parsedDensity,
+            pieceWeight: parsedPieceWeight,
             notes,
             image: imageUrl,
             addedBy: addedBy,
+            restaurant: req.user.restaurant,
             freshness
         });
         
@@ -219,9 +280,12 @@ const addInventoryItem = asyncHandler(async (req, res) => {
             cost: parsedCost,
             minThreshold: parsedMinThreshold,
             maxThreshold: parsedMaxThreshold,
+            density: parsedDensity,
+            pieceWeight: parsedPieceWeight,
             notes,
             image: imageUrl,
-            addedBy: addedBy
+            addedBy: addedBy,
+            restaurant: req.user.restaurant
         });
         console.log("✅ Inventory item created successfully:", inventoryItem);
     } catch (error) {
@@ -257,17 +321,21 @@ const updateInventoryItem = asyncHandler(async (req, res) => {
         }
     }
 
-    const inventoryItem = await InventoryItem.findById(id);
+    const inventoryItem = await InventoryItem.findOne({ _id: id, restaurant: req.user.restaurant });
 
     if (!inventoryItem) {
         throw new apiError("Inventory item not found", 404);
     }
 
+    // Items can never be moved to another restaurant
+    delete updateData.restaurant;
+
     // Check if updating name and category combination already exists
     if (updateData.name && updateData.category) {
         const existingItem = await InventoryItem.findOne({
             name: { $regex: new RegExp(`^${updateData.name}$`, 'i') },
             category: updateData.category,
+            restaurant: req.user.restaurant,
             _id: { $ne: id }
         });
 
@@ -292,38 +360,174 @@ const updateInventoryItem = asyncHandler(async (req, res) => {
     // Add lastUpdatedBy
     updateData.lastUpdatedBy = req.user._id;
 
-    const updatedItem = await InventoryItem.findByIdAndUpdate(
-        id,
+    const updatedItem = await InventoryItem.findOneAndUpdate(
+        { _id: id, restaurant: req.user.restaurant },
         updateData,
         { new: true, runValidators: true }
     ).populate('addedBy', 'fullname email role')
      .populate('lastUpdatedBy', 'fullname email role');
 
+    // Menu items costed from this item follow its new cost (or unit/conversion data)
+    const costChanged = ['cost', 'unit', 'density', 'pieceWeight'].some(field =>
+        updateData[field] !== undefined && String(updateData[field]) !== String(inventoryItem[field] ?? '')
+    );
+    if (costChanged) {
+        await recostMenuItemsUsingIngredient(updatedItem._id, req.user.restaurant, `${updatedItem.name} cost updated`);
+    }
+
+    publishLowStockIfCrossed(updatedItem, inventoryItem.currentStock);
+
     return res.status(200).json(
         new apiResponse(200, updatedItem, "Inventory item updated successfully")
     );
 });
 
-// Delete inventory item
+// Helper function to find the menu items whose recipes use an inventory item
+const findMenuItemsUsing = (inventoryItemId, restaurant) =>
+    MenuItem.find({ restaurant, 'ingredients.ingredient': inventoryItemId })
+        .select('name isAvailable')
+        .sort({ name: 1 });
+
+// Get the menu items whose recipes use an inventory item (checked before deleting it)
+const getInventoryItemUsage = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const inventoryItem = await InventoryItem.findOne({ _id: id, restaurant: req.user.restaurant }).select('name');
+    if (!inventoryItem) {
+        throw new apiError("Inventory item not found", 404);
+    }
+
+    const menuItems = await findMenuItemsUsing(inventoryItem._id, req.user.restaurant);
+
+    return res.status(200).json(
+        new apiResponse(200, { inventoryItem, menuItems }, "Inventory item usage retrieved successfully")
+    );
+});
+
+// Move inventory item to the trash
+// An item still used in recipes is only deleted with ?force=true
 const deleteInventoryItem = asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const force = req.query.force === 'true';
 
-    const inventoryItem = await InventoryItem.findById(id);
+    const inventoryItem = await InventoryItem.findOne({ 
+        _id: id, 
+        restaurant: req.user.restaurant 
+    });
 
     if (!inventoryItem) {
         throw new apiError("Inventory item not found", 404);
     }
 
-    await InventoryItem.findByIdAndDelete(id);
+    const usedIn = await findMenuItemsUsing(inventoryItem._id, req.user.restaurant);
+    if (usedIn.length > 0 && !force) {
+        throw new apiError(
+            `${inventoryItem.name} is used in ${usedIn.length} menu item(s). Remove it from their recipes first, or delete with force=true`,
+            409,
+            usedIn.map(menuItem => menuItem.name)
+        );
+    }
+
+    await InventoryItem.updateOne(
+        { _id: inventoryItem._id },
+        { deletedAt: new Date(), deletedBy: req.user._id }
+    );
 
     return res.status(200).json(
-        new apiResponse(200, null, "Inventory item deleted successfully")
+        new apiResponse(
+            200,
+            { usedIn },
+            usedIn.length > 0
+                ? `Inventory item deleted; it is still used in ${usedIn.length} menu item(s)`
+                : "Inventory item deleted successfully"
+        )
+    );
+});
+
+// Get the inventory items in the trash, latest deleted first
+const getDeletedInventoryItems = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, search } = req.query;
+
+    const filter = {
+        restaurant: req.user.restaurant,
+        deletedAt: { $ne: null }
+    };
+
+    if (search) {
+        filter.name = { $regex: search, $options: 'i' };
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const total = await InventoryItem.countDocuments(filter);
+
+    const inventoryItems = await InventoryItem.find(filter)
+        .populate('deletedBy', 'fullname email role')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limitNum);
+
+    // Create pagination response object
+    const paginatedResponse = {
+        docs: inventoryItems,
+        totalDocs: total,
+        limit: limitNum,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < Math.ceil(total / limitNum) ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null
+    };
+
+    return res.status(200).json(
+        new apiResponse(200, paginatedResponse, "Deleted inventory items retrieved successfully")
+    );
+});
+
+// Restore an inventory item from the trash
+const restoreInventoryItem = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const inventoryItem = await InventoryItem.findOne({
+        _id: id,
+        restaurant: req.user.restaurant,
+        deletedAt: { $ne: null }
+    });
+
+    if (!inventoryItem) {
+        throw new apiError("Deleted inventory item not found", 404);
+    }
+
+    // An item with the same name and category may have been added since
+    const existingItem = await InventoryItem.findOne({
+        name: { $regex: new RegExp(`^${inventoryItem.name}$`, 'i') },
+        category: inventoryItem.category,
+        restaurant: req.user.restaurant
+    });
+
+    if (existingItem) {
+        throw new apiError("Item with this name and category already exists", 409);
+    }
+
+    const restoredItem = await InventoryItem.findOneAndUpdate(
+        { _id: inventoryItem._id, deletedAt: { $ne: null } },
+        { deletedAt: null, deletedBy: null, lastUpdatedBy: req.user._id },
+        { new: true }
+    );
+
+    return res.status(200).json(
+        new apiResponse(200, restoredItem, "Inventory item restored successfully")
     );
 });
 
 // Get low stock items
 const getLowStockItems = asyncHandler(async (req, res) => {
     const lowStockItems = await InventoryItem.find({
+        restaurant: req.user.restaurant,
         $expr: {
             $and: [
                 { $gt: ["$minThreshold", 0] },
@@ -341,6 +545,7 @@ const getLowStockItems = asyncHandler(async (req, res) => {
 // Get expired items
 const getExpiredItems = asyncHandler(async (req, res) => {
     const expiredItems = await InventoryItem.find({
+        restaurant: req.user.restaurant,
         expiryDate: { $lt: new Date() }
     }).populate('addedBy', 'fullname email role')
       .sort({ expiryDate: 1 });
@@ -354,7 +559,7 @@ const getExpiredItems = asyncHandler(async (req, res) => {
 const getItemsByCategory = asyncHandler(async (req, res) => {
     const { category } = req.params;
 
-    const items = await InventoryItem.find({ category })
+    const items = await InventoryItem.find({ category, restaurant: req.user.restaurant })
         .populate('addedBy', 'fullname email role')
         .sort({ name: 1 });
 
@@ -365,8 +570,11 @@ const getItemsByCategory = asyncHandler(async (req, res) => {
 
 // Get inventory statistics
 const getInventoryStats = asyncHandler(async (req, res) => {
-    const totalItems = await InventoryItem.countDocuments();
+    const restaurant = req.user.restaurant;
+
+    const totalItems = await InventoryItem.countDocuments({ restaurant });
     const lowStockCount = await InventoryItem.countDocuments({
+        restaurant,
         $expr: {
             $and: [
                 { $gt: ["$minThreshold", 0] },
@@ -375,11 +583,13 @@ const getInventoryStats = asyncHandler(async (req, res) => {
         }
     });
     const expiredCount = await InventoryItem.countDocuments({
+        restaurant,
         expiryDate: { $lt: new Date() }
     });
-    const outOfStockCount = await InventoryItem.countDocuments({ quantity: 0 });
+    const outOfStockCount = await InventoryItem.countDocuments({ restaurant, quantity: 0 });
 
     const categoryStats = await InventoryItem.aggregate([
+        { $match: { restaurant } },
         {
             $group: {
                 _id: "$category",
@@ -391,6 +601,7 @@ const getInventoryStats = asyncHandler(async (req, res) => {
     ]);
 
     const storageStats = await InventoryItem.aggregate([
+        { $match: { restaurant } },
         {
             $group: {
                 _id: "$storageCondition",
@@ -415,105 +626,154 @@ const getInventoryStats = asyncHandler(async (req, res) => {
     );
 });
 
-// Export inventory data to CSV
-const exportInventoryToCSV = asyncHandler(async (req, res) => {
-    const { category, status, storageCondition } = req.query;
-    
-    // Build filter object
-    const filter = {};
-    
-    if (category) {
-        filter.category = category;
-    }
-    
-    if (status) {
-        filter.status = status;
-    }
-    
-    if (storageCondition) {
-        filter.storageCondition = storageCondition;
+// Export inventory items as CSV, XLSX or PDF (?format=), with the same filters as the list
+const exportInventory = asyncHandler(async (req, res) => {
+    const format = getExportFormat(req.query);
+    const filter = buildInventoryFilter(req.query, req.user.restaurant);
+
+    if (await InventoryItem.countDocuments(filter) === 0) {
+        throw new apiError("No inventory items found to export", 404);
     }
 
-    // Get all inventory items (without pagination for export)
-    const inventoryItems = await InventoryItem.find(filter)
+    const cursor = InventoryItem.find(filter)
         .populate('addedBy', 'fullname email')
         .populate('lastUpdatedBy', 'fullname email')
-        .sort({ createdAt: -1 });
+        .sort({ createdAt: -1 })
+        .cursor();
+
+    await streamExport(res, {
+        format,
+        filename: 'inventory_export',
+        title: 'Inventory',
+        columns: INVENTORY_EXPORT_COLUMNS,
+        rows: cursor
+    });
+});
 
-    if (!inventoryItems || inventoryItems.length === 0) {
-        throw new apiError("No inventory items found to export", 404);
+// Import inventory items from a CSV or XLSX file laid out like the export
+// Every row is checked first; without ?commit=true only this dry-run report is returned.
+// A commit is refused while any row has errors.
+const importInventoryItems = asyncHandler(async (req, res) => {
+    if (!req.file) {
+        throw new apiError("A CSV or XLSX file is required", 400);
     }
 
-    // Create CSV headers
-    const headers = [
-        'ID',
-        'Name',
-        'Quantity',
-        'Unit',
-        'Category',
-        'Storage Condition',
-        'Status',
-        'Expiry Date',
-        'Added Date',
-        'Supplier',
-        'Cost',
-        'Min Threshold',
-        'Max Threshold',
-        'Notes',
-        'Added By',
-        'Last Updated By',
-        'Created At',
-        'Updated At'
-    ];
-
-    // Convert data to CSV format
-    const csvData = inventoryItems.map(item => [
-        item._id.toString(),
-        `"${item.name}"`,
-        item.quantity,
-        item.unit,
-        item.category,
-        item.storageCondition,
-        item.status,
-        item.expiryDate ? item.expiryDate.toISOString().split('T')[0] : '',
-        item.addedDate ? item.addedDate.toISOString().split('T')[0] : '',
-        `"${item.supplier || ''}"`,
-        item.cost || '',
-        item.minThreshold || '',
-        item.maxThreshold || '',
-        `"${item.notes || ''}"`,
-        `"${item.addedBy?.fullname || ''}"`,
-        `"${item.lastUpdatedBy?.fullname || ''}"`,
-        item.createdAt ? item.createdAt.toISOString() : '',
-        item.updatedAt ? item.updatedAt.toISOString() : ''
-    ]);
+    const commit = req.query.commit === 'true';
+
+    let file;
+    try {
+        file = await readImportFile(req.file.path, req.file.originalname);
+    } catch (error) {
+        throw new apiError(`Could not read the file: ${error.message}`, 400);
+    } finally {
+        fs.promises.unlink(req.file.path).catch(() => {});
+    }
+
+    if (!file.columns.includes('name') && !file.columns.includes('_id')) {
+        throw new apiError("The file needs a Name or ID column", 400);
+    }
+    if (file.rows.length === 0) {
+        throw new apiError("The file has no rows to import", 400);
+    }
+    if (file.rows.length > MAX_IMPORT_ROWS) {
+        throw new apiError(`A file can import at most ${MAX_IMPORT_ROWS} rows`, 400);
+    }
 
-    // Combine headers and data
-    const csvContent = [
-        headers.join(','),
-        ...csvData.map(row => row.join(','))
-    ].join('\n');
+    const { report, pending } = await analyzeInventoryImport(file.rows, req.user);
+    report.ignoredColumns = file.ignoredColumns;
+
+    if (!commit) {
+        return res.status(200).json(
+            new apiResponse(200, { ...report, committed: false }, "Import checked; nothing was saved")
+        );
+    }
 
-    // Generate filename with timestamp
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-    const filename = `inventory_export_${timestamp}.csv`;
+    if (report.summary.error > 0) {
+        throw new apiError(
+            `${report.summary.error} row(s) have errors; fix them before importing`,
+            422,
+            report.rows.filter(line => line.action === 'error')
+        );
+    }
 
-    // Set response headers for file download
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Cache-Control', 'no-cache');
+    const result = await commitInventoryImport(pending, req.user);
 
-    // Send CSV content
-    res.status(200).send(csvContent);
+    return res.status(200).json(
+        new apiResponse(200, { ...report, committed: true, result }, `Imported ${result.created} new and ${result.updated} updated item(s)`)
+    );
 });
 
+// Helper function to read the reorder options from the query string
+const parseReorderOptions = (query) => {
+    const options = {};
+
+    if (query.lookbackDays !== undefined && query.lookbackDays !== '') {
+        const lookbackDays = Number(query.lookbackDays);
+        if (Number.isNaN(lookbackDays) || lookbackDays < 1 || lookbackDays > 365) {
+            throw new apiError("lookbackDays must be a number between 1 and 365", 400);
+        }
+        options.lookbackDays = lookbackDays;
+    }
+
+    options.includeAll = query.includeAll === 'true';
+    return options;
+};
+
+// Get reorder suggestions based on consumption rate, thresholds and supplier lead time
+const getReorderSuggestions = asyncHandler(async (req, res) => {
+    const suggestions = await calculateReorderSuggestions(req.user.restaurant, parseReorderOptions(req.query));
 
+    const summary = {
+        totalSuggestions: suggestions.filter(suggestion => suggestion.suggestedQuantity > 0).length,
+        critical: suggestions.filter(suggestion => suggestion.urgency === 'critical').length,
+        high: suggestions.filter(suggestion => suggestion.urgency === 'high').length,
+        withoutSupplier: suggestions.filter(suggestion => suggestion.suggestedQuantity > 0 && !suggestion.supplier).length,
+        estimatedTotalCost: Math.round(suggestions.reduce((sum, suggestion) => sum + (suggestion.estimatedCost || 0), 0) * 100) / 100
+    };
+
+    return res.status(200).json(
+        new apiResponse(200, { suggestions, summary }, "Reorder suggestions retrieved successfully")
+    );
+});
+
+// Export reorder suggestions as CSV, XLSX or PDF (?format=)
+const exportReorderSuggestions = asyncHandler(async (req, res) => {
+    const format = getExportFormat(req.query);
+    const suggestions = await calculateReorderSuggestions(req.user.restaurant, parseReorderOptions(req.query));
+
+    if (suggestions.length === 0) {
+        throw new apiError("No reorder suggestions found to export", 404);
+    }
+
+    await streamExport(res, {
+        format,
+        filename: 'reorder_suggestions',
+        title: 'Reorder Suggestions',
+        columns: [
+            { header: 'Item ID', value: suggestion => suggestion.inventoryItem._id.toString(), width: 1.6 },
+            { header: 'Name', value: suggestion => suggestion.inventoryItem.name, width: 1.6 },
+            { header: 'Category', value: suggestion => suggestion.inventoryItem.category },
+            { header: 'Unit', value: suggestion => suggestion.unit, width: 0.6 },
+            { header: 'Current Stock', value: suggestion => suggestion.currentStock, type: 'number' },
+            { header: 'On Order', value: suggestion => suggestion.onOrder, type: 'number' },
+            { header: 'Average Daily Usage', value: suggestion => suggestion.averageDailyUsage, type: 'number' },
+            { header: 'Days of Cover', value: suggestion => suggestion.daysOfCover, type: 'number' },
+            { header: 'Lead Time (days)', value: suggestion => suggestion.leadTimeDays, type: 'number' },
+            { header: 'Reorder Point', value: suggestion => suggestion.reorderPoint, type: 'number' },
+            { header: 'Suggested Quantity', value: suggestion => suggestion.suggestedQuantity, type: 'number' },
+            { header: 'Supplier', value: suggestion => suggestion.supplier?.name, width: 1.4 },
+            { header: 'Estimated Cost', value: suggestion => suggestion.estimatedCost, type: 'money' },
+            { header: 'Urgency', value: suggestion => suggestion.urgency }
+        ],
+        rows: suggestions
+    });
+});
 
 // Process expired items and log them as waste
 const processExpiredInventoryItems = asyncHandler(async (req, res) => {
     try {
         const userId = req.user?._id || null;
-        const result = await processExpiredItems(userId);
+        const result = await processExpiredItems(userId, req.user.restaurant);
 
         return res.status(200).json(
             new apiResponse(200, result, `Processed ${result.processedCount} expired items. Total waste cost: $${result.totalWasteCost.toFixed(2)}`)
@@ -547,8 +807,8 @@ const applyDailyIntake = asyncHandler(async (req, res) => {
             continue;
         }
 
-        const updated = await InventoryItem.findByIdAndUpdate(
-            inventoryItemId,
+        const updated = await InventoryItem.findOneAndUpdate(
+            { _id: inventoryItemId, restaurant: req.user.restaurant },
             {
                 $inc: { currentStock: addQty, quantity: addQty },
                 lastUpdatedBy: req.user?._id
@@ -565,9 +825,12 @@ const applyDailyIntake = asyncHandler(async (req, res) => {
                 ingredient: inventoryItemId,
                 change: addQty,
                 reason: reason || "Daily intake",
-                date: now
+                date: now,
+                restaurant: req.user.restaurant
             });
-        } catch (_) { /* ignore log failures */ }
+        } catch (logError) {
+            console.error('Failed to log daily intake:', logError.message);
+        }
 
         results.push({ id: updated._id, name: updated.name, newStock: updated.currentStock });
     }
@@ -583,11 +846,17 @@ export {
     addInventoryItem,
     updateInventoryItem,
     deleteInventoryItem,
+    getInventoryItemUsage,
+    getDeletedInventoryItems,
+    restoreInventoryItem,
     getLowStockItems,
     getExpiredItems,
     getItemsByCategory,
     getInventoryStats,
-    exportInventoryToCSV,
+    exportInventory,
+    importInventoryItems,
+    getReorderSuggestions,
+    exportReorderSuggestions,
     processExpiredInventoryItems,
     applyDailyIntake
 };
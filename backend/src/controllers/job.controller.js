@@ -0,0 +1,118 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { ScheduledJob } from "../models/jobs/scheduledJob.model.js";
+import { JobRun } from "../models/jobs/jobRun.model.js";
+import { ensureDefaultJobs, computeNextRun, acquireJobLock, runLockedJob } from "../utils/jobScheduler.js";
+
+// Get the restaurant's scheduled jobs
+const getJobs = asyncHandler(async (req, res) => {
+    await ensureDefaultJobs(req.user.restaurant);
+
+    const jobs = await ScheduledJob.find({ restaurant: req.user.restaurant }).sort({ type: 1 });
+
+    return res.status(200).json(
+        new apiResponse(200, jobs, "Scheduled jobs retrieved successfully")
+    );
+});
+
+// Get a job's run history (latest first)
+const getJobRuns = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { limit = 20 } = req.query;
+
+    const job = await ScheduledJob.findOne({ _id: id, restaurant: req.user.restaurant });
+    if (!job) {
+        throw new apiError("Scheduled job not found", 404);
+    }
+
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const runs = await JobRun.find({ job: job._id })
+        .populate('triggeredBy', 'fullname email')
+        .sort({ startedAt: -1 })
+        .limit(limitNum);
+
+    return res.status(200).json(
+        new apiResponse(200, { job, runs }, "Job runs retrieved successfully")
+    );
+});
+
+// Update a job: enable/disable it or change its schedule; jobs run in the restaurant's time zone
+// Daily jobs take a timeOfDay (HH:mm), interval jobs take intervalMinutes
+const updateJob = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { enabled, timezone, timeOfDay, intervalMinutes } = req.body;
+
+    const job = await ScheduledJob.findOne({ _id: id, restaurant: req.user.restaurant });
+    if (!job) {
+        throw new apiError("Scheduled job not found", 404);
+    }
+
+    if (enabled !== undefined) {
+        if (typeof enabled !== 'boolean') {
+            throw new apiError("enabled must be true or false", 400);
+        }
+        job.enabled = enabled;
+    }
+
+    if (timezone !== undefined) {
+        throw new apiError("Jobs run in the restaurant's time zone; change it on the restaurant profile", 400);
+    }
+
+    if (timeOfDay !== undefined) {
+        if (job.schedule.kind !== 'daily') {
+            throw new apiError("timeOfDay can only be set on daily jobs", 400);
+        }
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(timeOfDay)) {
+            throw new apiError("timeOfDay must be in HH:mm format", 400);
+        }
+        job.schedule.timeOfDay = timeOfDay;
+    }
+
+    if (intervalMinutes !== undefined) {
+        if (job.schedule.kind !== 'interval') {
+            throw new apiError("intervalMinutes can only be set on interval jobs", 400);
+        }
+        const parsed = Number(intervalMinutes);
+        if (!Number.isInteger(parsed) || parsed < 1) {
+            throw new apiError("intervalMinutes must be a whole number of at least 1", 400);
+        }
+        job.schedule.intervalMinutes = parsed;
+    }
+
+    // Re-plan from now so a changed schedule takes effect straight away
+    job.nextRunAt = computeNextRun(job, new Date());
+    await job.save();
+
+    return res.status(200).json(
+        new apiResponse(200, job, "Scheduled job updated successfully")
+    );
+});
+
+// Run a job now, whether or not it is due or enabled
+const runJobNow = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const job = await ScheduledJob.findOne({ _id: id, restaurant: req.user.restaurant }).select('_id');
+    if (!job) {
+        throw new apiError("Scheduled job not found", 404);
+    }
+
+    const lockedJob = await acquireJobLock(job._id, { manual: true });
+    if (!lockedJob) {
+        throw new apiError("This job is already running", 409);
+    }
+
+    const run = await runLockedJob(lockedJob, { trigger: 'manual', userId: req.user._id });
+
+    return res.status(200).json(
+        new apiResponse(200, run, run.status === 'success' ? "Job ran successfully" : "Job run failed")
+    );
+});
+
+export {
+    getJobs,
+    getJobRuns,
+    updateJob,
+    runJobNow
+};
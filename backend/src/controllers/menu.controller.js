@@ -4,21 +4,34 @@ import { apiResponse } from "../utils/apiResponse.js";
 import { MenuItem } from "../models/menu/menuItem.model.js";
 import { RecipeRecommendation } from "../models/menu/recipeRecommendation.model.js";
 import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
-import { checkIngredientAvailability, updateMenuItemStockStatus } from "../utils/stockChecker.js";
+import { MenuItemCostHistory } from "../models/menu/menuItemCostHistory.model.js";
+import { checkIngredientAvailability, updateMenuItemStockStatus, applyMenuStockStatus, refreshMenuStockStatuses } from "../utils/stockChecker.js";
+import { applyRecipeCost } from "../utils/recipeCosting.js";
+import { getExportFormat, streamExport } from "../utils/exporter.js";
+
+// Helper function to build the menu item list filter; the export uses the same filters
+const buildMenuItemFilter = (query, restaurant) => {
+    const { search, category } = query;
 
-// Get all menu items
-const getAllMenuItems = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, search } = req.query;
-    
     // Build filter object - filter by restaurant
-    const filter = {
-        restaurant: req.user.restaurant
-    };
-    
+    const filter = { restaurant };
+
+    if (category) {
+        filter.category = category;
+    }
+
     if (search) {
         filter.name = { $regex: search, $options: 'i' };
     }
 
+    return filter;
+};
+
+// Get all menu items
+const getAllMenuItems = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+    const filter = buildMenuItemFilter(req.query, req.user.restaurant);
+
     // Calculate pagination
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
@@ -44,11 +57,7 @@ const getAllMenuItems = asyncHandler(async (req, res) => {
             const stockCheck = await checkIngredientAvailability(item.ingredients, 1);
             
             // Update the menu item's stock status if it has changed
-            if (item.stockStatus !== stockCheck.stockStatus || item.isAvailable !== stockCheck.isAvailable) {
-                item.stockStatus = stockCheck.stockStatus;
-                item.isAvailable = stockCheck.isAvailable;
-                await item.save();
-            }
+            await applyMenuStockStatus(item, stockCheck);
             
             return {
                 ...item.toObject(),
@@ -79,6 +88,47 @@ const getAllMenuItems = asyncHandler(async (req, res) => {
     );
 });
 
+// Export the menu with costs as CSV, XLSX or PDF (?format=), with the same filters as the list
+const exportMenuItems = asyncHandler(async (req, res) => {
+    const format = getExportFormat(req.query);
+
+    const cursor = MenuItem.find(buildMenuItemFilter(req.query, req.user.restaurant))
+        .populate({
+            path: 'ingredients.ingredient',
+            model: 'InventoryItem',
+            select: 'name'
+        })
+        .sort({ name: 1 })
+        .cursor();
+
+    await streamExport(res, {
+        format,
+        filename: 'menu_export',
+        title: 'Menu',
+        columns: [
+            { header: 'Name', value: item => item.name, width: 1.5 },
+            { header: 'Description', value: item => item.description, width: 2 },
+            { header: 'Category', value: item => item.category },
+            { header: 'Price', value: item => item.suggestedPrice, type: 'money' },
+            { header: 'Base Cost', value: item => item.baseCost, type: 'money' },
+            { header: 'Profit', value: item => Math.round((item.suggestedPrice - item.baseCost) * 100) / 100, type: 'money' },
+            { header: 'Profit Margin (%)', value: item => item.profitMargin, type: 'number' },
+            {
+                header: 'Ingredients',
+                value: item => item.ingredients
+                    .map(entry => `${entry.ingredient?.name || 'Deleted item'} ${entry.quantity} ${entry.unit}`)
+                    .join('; '),
+                width: 3
+            },
+            { header: 'Uncosted Ingredients', value: item => item.uncostedIngredients.join('; ') },
+            { header: 'Available', value: item => (item.isAvailable ? 'Yes' : 'No'), width: 0.7 },
+            { header: 'Stock Status', value: item => item.stockStatus },
+            { header: 'Cost Updated At', value: item => item.costUpdatedAt }
+        ],
+        rows: cursor
+    });
+});
+
 // Get menu item by ID
 const getMenuItemById = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -101,11 +151,7 @@ const getMenuItemById = asyncHandler(async (req, res) => {
     const stockCheck = await checkIngredientAvailability(menuItem.ingredients, 1);
     
     // Update the menu item's stock status if it has changed
-    if (menuItem.stockStatus !== stockCheck.stockStatus || menuItem.isAvailable !== stockCheck.isAvailable) {
-        menuItem.stockStatus = stockCheck.stockStatus;
-        menuItem.isAvailable = stockCheck.isAvailable;
-        await menuItem.save();
-    }
+    await applyMenuStockStatus(menuItem, stockCheck);
 
     const menuItemWithStockInfo = {
         ...menuItem.toObject(),
@@ -122,8 +168,9 @@ const getMenuItemById = asyncHandler(async (req, res) => {
 });
 
 // Create new menu item
+// baseCost is computed from the ingredients' inventory costs, a client-sent value is ignored
 const createMenuItem = asyncHandler(async (req, res) => {
-    const { name, description, ingredients, baseCost, suggestedPrice, imageUrl } = req.body;
+    const { name, description, category, ingredients, suggestedPrice, imageUrl } = req.body;
 
     // Validate user authentication and restaurant
     if (!req.user || !req.user.restaurant) {
@@ -131,15 +178,11 @@ const createMenuItem = asyncHandler(async (req, res) => {
     }
 
     // Validate required fields
-    if (!name || !ingredients || baseCost === undefined || baseCost === null || suggestedPrice === undefined || suggestedPrice === null) {
-        throw new apiError(400, "Name, ingredients, base cost, and suggested price are required");
+    if (!name || !ingredients || suggestedPrice === undefined || suggestedPrice === null) {
+        throw new apiError("Name, ingredients, and suggested price are required", 400);
     }
 
     // Validate numeric fields
-    if (isNaN(baseCost) || baseCost < 0) {
-        throw new apiError(400, "Base cost must be a non-negative number");
-    }
-
     if (isNaN(suggestedPrice) || suggestedPrice < 0) {
         throw new apiError(400, "Suggested price must be a non-negative number");
     }
@@ -162,28 +205,27 @@ const createMenuItem = asyncHandler(async (req, res) => {
             throw new apiError(400, `Ingredient ${i + 1}: unit must be one of: pcs, kg, ltr, g, ml, lb, oz`);
         }
 
-        // Check if ingredient exists
-        const ingredientExists = await InventoryItem.findById(ing.ingredient);
+        // Check if ingredient exists in this restaurant's inventory
+        const ingredientExists = await InventoryItem.findOne({ _id: ing.ingredient, restaurant: req.user.restaurant });
         if (!ingredientExists) {
             throw new apiError(400, `Ingredient ${i + 1}: Inventory item with ID ${ing.ingredient} not found`);
         }
     }
 
-    // Calculate profit margin
-    const profitMargin = ((suggestedPrice - baseCost) / baseCost) * 100;
-
     try {
         const menuItem = await MenuItem.create({
             name,
             description,
+            category: category || undefined,
             ingredients,
-            baseCost: Number(baseCost),
             suggestedPrice: Number(suggestedPrice),
-            profitMargin,
             imageUrl,
             restaurant: req.user.restaurant
         });
 
+        // Cost the recipe from live ingredient costs and start its cost history
+        await applyRecipeCost(menuItem, 'Menu item created', true);
+
         // Check initial stock status and update the menu item
         const stockCheck = await checkIngredientAvailability(ingredients, 1);
         menuItem.isAvailable = stockCheck.isAvailable;
@@ -242,65 +284,217 @@ const updateMenuItem = asyncHandler(async (req, res) => {
     const { id } = req.params;
     const updateData = req.body;
 
+    // Menu items can never be moved to another restaurant
+    delete updateData.restaurant;
+
+    // Cost fields are computed from the recipe, never set by hand
+    delete updateData.baseCost;
+    delete updateData.profitMargin;
+    delete updateData.uncostedIngredients;
+    delete updateData.costUpdatedAt;
+
+    // A cleared category goes back to the default one
+    if (updateData.category !== undefined && !String(updateData.category).trim()) {
+        updateData.category = 'General';
+    }
+
     // If ingredients are being updated, validate them
     if (updateData.ingredients) {
         if (!Array.isArray(updateData.ingredients) || updateData.ingredients.length === 0) {
             throw new apiError(400, "At least one ingredient is required");
         }
 
-        // Check if all ingredients exist
+        // Check if all ingredients exist in this restaurant's inventory
         for (const ing of updateData.ingredients) {
-            const ingredientExists = await InventoryItem.findById(ing.ingredient);
+            const ingredientExists = await InventoryItem.findOne({ _id: ing.ingredient, restaurant: req.user.restaurant });
             if (!ingredientExists) {
                 throw new apiError(400, `Ingredient with ID ${ing.ingredient} not found`);
             }
         }
     }
 
-    // Recalculate profit margin if cost or price is updated
-    if (updateData.baseCost || updateData.suggestedPrice) {
-        const currentItem = await MenuItem.findById(id);
-        if (currentItem) {
-            const newBaseCost = updateData.baseCost || currentItem.baseCost;
-            const newSuggestedPrice = updateData.suggestedPrice || currentItem.suggestedPrice;
-            updateData.profitMargin = ((newSuggestedPrice - newBaseCost) / newBaseCost) * 100;
-        }
+    if (updateData.suggestedPrice !== undefined && (isNaN(updateData.suggestedPrice) || updateData.suggestedPrice < 0)) {
+        throw new apiError("Suggested price must be a non-negative number", 400);
     }
 
-    const menuItem = await MenuItem.findOneAndUpdate(
+    const currentItem = await MenuItem.findOne({ _id: id, restaurant: req.user.restaurant });
+    if (!currentItem) {
+        throw new apiError("Menu item not found", 404);
+    }
+
+    const priceChanged = updateData.suggestedPrice !== undefined && Number(updateData.suggestedPrice) !== currentItem.suggestedPrice;
+
+    const updatedItem = await MenuItem.findOneAndUpdate(
         { _id: id, restaurant: req.user.restaurant },
         updateData,
         { new: true, runValidators: true }
-    ).populate({
+    );
+
+    // Recost when the recipe or price changed; a price change is always recorded in the history
+    if (updateData.ingredients || priceChanged) {
+        await applyRecipeCost(updatedItem, updateData.ingredients ? 'Recipe updated' : 'Price changed', priceChanged);
+    }
+
+    const menuItem = await MenuItem.findById(updatedItem._id).populate({
         path: 'ingredients.ingredient',
         model: 'InventoryItem',
         select: 'name category unit'
     });
 
+    return res.status(200).json(
+        new apiResponse(200, menuItem, "Menu item updated successfully")
+    );
+});
+
+// Move menu item to the trash (its cost history is kept for a restore)
+const deleteMenuItem = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const menuItem = await MenuItem.findOneAndUpdate(
+        { _id: id, restaurant: req.user.restaurant },
+        { deletedAt: new Date(), deletedBy: req.user._id }
+    );
+
     if (!menuItem) {
-        throw new apiError(404, "Menu item not found");
+        throw new apiError("Menu item not found", 404);
     }
 
     return res.status(200).json(
-        new apiResponse(200, menuItem, "Menu item updated successfully")
+        new apiResponse(200, null, "Menu item deleted successfully")
     );
 });
 
-// Delete menu item
-const deleteMenuItem = asyncHandler(async (req, res) => {
+// Get the menu items in the trash, latest deleted first
+const getDeletedMenuItems = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, search } = req.query;
+
+    const filter = {
+        restaurant: req.user.restaurant,
+        deletedAt: { $ne: null }
+    };
+
+    if (search) {
+        filter.name = { $regex: search, $options: 'i' };
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const total = await MenuItem.countDocuments(filter);
+
+    const menuItems = await MenuItem.find(filter)
+        .populate('deletedBy', 'fullname email role')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limitNum);
+
+    // Create pagination response object
+    const paginatedResponse = {
+        docs: menuItems,
+        totalDocs: total,
+        limit: limitNum,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < Math.ceil(total / limitNum) ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null
+    };
+
+    return res.status(200).json(
+        new apiResponse(200, paginatedResponse, "Deleted menu items retrieved successfully")
+    );
+});
+
+// Restore a menu item from the trash
+// Its ingredients that were deleted since are reported; the stock check treats them as missing
+const restoreMenuItem = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    const menuItem = await MenuItem.findOneAndDelete({ 
-        _id: id, 
-        restaurant: req.user.restaurant 
+    const menuItem = await MenuItem.findOneAndUpdate(
+        { _id: id, restaurant: req.user.restaurant, deletedAt: { $ne: null } },
+        { deletedAt: null, deletedBy: null },
+        { new: true }
+    ).populate({
+        path: 'ingredients.ingredient',
+        model: 'InventoryItem',
+        select: 'name category unit deletedAt'
     });
 
     if (!menuItem) {
-        throw new apiError(404, "Menu item not found");
+        throw new apiError("Deleted menu item not found", 404);
     }
 
+    await updateMenuItemStockStatus(menuItem._id);
+
+    const deletedIngredients = menuItem.ingredients
+        .filter(ingredient => ingredient.ingredient?.deletedAt)
+        .map(ingredient => ingredient.ingredient.name);
+
     return res.status(200).json(
-        new apiResponse(200, null, "Menu item deleted successfully")
+        new apiResponse(
+            200,
+            { menuItem, deletedIngredients },
+            deletedIngredients.length > 0
+                ? `Menu item restored; its recipe uses deleted ingredients: ${deletedIngredients.join(', ')}`
+                : "Menu item restored successfully"
+        )
+    );
+});
+
+// Get the cost history of a menu item (newest first)
+const getMenuItemCostHistory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { limit = 50 } = req.query;
+
+    const menuItem = await MenuItem.findOne({ _id: id, restaurant: req.user.restaurant })
+        .select('name baseCost suggestedPrice profitMargin uncostedIngredients costUpdatedAt');
+    if (!menuItem) {
+        throw new apiError("Menu item not found", 404);
+    }
+
+    const history = await MenuItemCostHistory.find({ menuItem: id, restaurant: req.user.restaurant })
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit));
+
+    // Margin change between the oldest returned snapshot and now
+    const oldest = history[history.length - 1];
+    const marginChange = oldest && oldest.profitMargin != null && menuItem.profitMargin != null
+        ? Math.round((menuItem.profitMargin - oldest.profitMargin) * 100) / 100
+        : null;
+
+    return res.status(200).json(
+        new apiResponse(200, { menuItem, history, marginChange }, "Menu item cost history retrieved successfully")
+    );
+});
+
+// Recalculate the recipe cost of all menu items from current ingredient costs
+const recalculateAllMenuItemCosts = asyncHandler(async (req, res) => {
+    const menuItems = await MenuItem.find({ restaurant: req.user.restaurant });
+
+    const results = [];
+    for (const item of menuItems) {
+        const previousCost = item.baseCost;
+        const { menuItem, changed } = await applyRecipeCost(item, 'Recipe costs recalculated');
+        results.push({
+            menuItemId: menuItem._id,
+            name: menuItem.name,
+            previousCost,
+            baseCost: menuItem.baseCost,
+            profitMargin: menuItem.profitMargin,
+            uncostedIngredients: menuItem.uncostedIngredients,
+            changed
+        });
+    }
+
+    return res.status(200).json(
+        new apiResponse(200, {
+            changedItems: results.filter(r => r.changed).length,
+            totalItems: results.length,
+            results
+        }, "Recipe costs recalculated for all menu items")
     );
 });
 
@@ -366,9 +560,9 @@ const createRecipeRecommendation = asyncHandler(async (req, res) => {
         throw new apiError(400, "At least one ingredient is required");
     }
 
-    // Check if all ingredients exist
+    // Check if all ingredients exist in this restaurant's inventory
     for (const ing of usedIngredients) {
-        const ingredientExists = await InventoryItem.findById(ing.ingredient);
+        const ingredientExists = await InventoryItem.findOne({ _id: ing.ingredient, restaurant: req.user.restaurant });
         if (!ingredientExists) {
             throw new apiError(400, `Ingredient with ID ${ing.ingredient} not found`);
         }
@@ -401,6 +595,7 @@ const getAvailableIngredients = asyncHandler(async (req, res) => {
     
     // Build filter object - exclude expired items and items with no stock
     const filter = {
+        restaurant: req.user.restaurant,
         currentStock: { $gt: 0 }, // Only ingredients with stock > 0
         status: { $ne: 'expired' }, // Exclude items marked as expired
         $or: [
@@ -448,11 +643,7 @@ const checkMenuItemStockStatus = asyncHandler(async (req, res) => {
     const stockCheck = await checkIngredientAvailability(menuItem.ingredients, parseInt(quantity));
     
     // Update the menu item's stock status if it has changed
-    if (menuItem.stockStatus !== stockCheck.stockStatus || menuItem.isAvailable !== stockCheck.isAvailable) {
-        menuItem.stockStatus = stockCheck.stockStatus;
-        menuItem.isAvailable = stockCheck.isAvailable;
-        await menuItem.save();
-    }
+    await applyMenuStockStatus(menuItem, stockCheck);
 
     return res.status(200).json(
         new apiResponse(200, {
@@ -465,51 +656,24 @@ const checkMenuItemStockStatus = asyncHandler(async (req, res) => {
 
 // Update stock status for all menu items
 const updateAllMenuItemsStockStatus = asyncHandler(async (req, res) => {
-    const menuItems = await MenuItem.find({ restaurant: req.user.restaurant });
-    
-    const results = await Promise.all(
-        menuItems.map(async (item) => {
-            try {
-                const stockCheck = await checkIngredientAvailability(item.ingredients, 1);
-                
-                if (item.stockStatus !== stockCheck.stockStatus || item.isAvailable !== stockCheck.isAvailable) {
-                    item.stockStatus = stockCheck.stockStatus;
-                    item.isAvailable = stockCheck.isAvailable;
-                    await item.save();
-                }
-                
-                return {
-                    menuItemId: item._id,
-                    name: item.name,
-                    stockStatus: stockCheck.stockStatus,
-                    isAvailable: stockCheck.isAvailable
-                };
-            } catch (error) {
-                console.error(`Error updating stock for menu item ${item._id}:`, error);
-                return {
-                    menuItemId: item._id,
-                    name: item.name,
-                    error: error.message
-                };
-            }
-        })
-    );
+    const result = await refreshMenuStockStatuses(req.user.restaurant);
 
     return res.status(200).json(
-        new apiResponse(200, {
-            updatedItems: results.filter(r => !r.error).length,
-            totalItems: results.length,
-            results
-        }, "Stock status updated for all menu items")
+        new apiResponse(200, result, "Stock status updated for all menu items")
     );
 });
 
 export {
     getAllMenuItems,
+    exportMenuItems,
     getMenuItemById,
     createMenuItem,
     updateMenuItem,
     deleteMenuItem,
+    getDeletedMenuItems,
+    restoreMenuItem,
+    getMenuItemCostHistory,
+    recalculateAllMenuItemCosts,
     getAllRecipeRecommendations,
     createRecipeRecommendation,
     getAvailableIngredients,
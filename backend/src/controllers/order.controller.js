@@ -1,41 +1,99 @@
+import mongoose from "mongoose";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { apiError } from "../utils/apiError.js";
 import { apiResponse } from "../utils/apiResponse.js";
 import { Order } from "../models/order/order.model.js";
+import { Payment } from "../models/order/payment.model.js";
 import { MenuItem } from "../models/menu/menuItem.model.js";
 import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
 import { Inventorylog } from "../models/inventory/inventorylog.model.js";
 import { Sales } from "../models/demand/salesData.model.js";
 import { checkIngredientAvailability } from "../utils/stockChecker.js";
-import { deductFromDailyInventory } from "./dailyInventory.controller.js";
+import { convertQuantity } from "../utils/unitConverter.js";
+import {
+    reserveStock,
+    commitReservation,
+    releaseReservation,
+    mergeDeductions,
+    getHeldStock,
+    returnOrderStock,
+    diffHeldStock,
+    consumeReservedLots
+} from "../utils/stockReservation.js";
+import { StockReservation } from "../models/inventory/stockReservation.model.js";
+import { publishEvent } from "../utils/eventBus.js";
+import { getExportFormat, streamExport } from "../utils/exporter.js";
+import { issueInvoice, getIssuedInvoice, getInvoiceLayout, streamInvoicePdf } from "../utils/invoice.js";
+import { priceOrder } from "../utils/orderPricing.js";
+import { PAYMENT_METHODS, refundPayments } from "../utils/payments.js";
+import { getSeason } from "../utils/salesForecaster.js";
+import { KDS_DEFAULT_PREP_MINUTES } from "../../constant.js";
+
+// Statuses shown on the kitchen display, in the order a ticket moves through them
+const KDS_STATUSES = ['pending', 'confirmed', 'preparing', 'ready'];
+
+// Status a ticket moves to when it is bumped on the kitchen display
+const NEXT_KDS_STATUS = {
+    pending: 'confirmed',
+    confirmed: 'preparing',
+    preparing: 'ready',
+    ready: 'delivered'
+};
 
-// Create new order
-const createOrder = asyncHandler(async (req, res) => {
-    const { customerName, customerPhone, customerEmail, orderType, items, notes } = req.body;
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
 
-    // Validate user authentication
-    if (!req.user || !req.user._id) {
-        throw new apiError("User authentication required", 401);
-    }
+// Helper function to populate an order for the kitchen display
+const populateKitchenTicket = (query) => {
+    return query.populate({
+        path: 'items.menuItem',
+        model: 'MenuItem',
+        select: 'name description'
+    });
+};
 
-    // Validate restaurant
-    if (!req.user.restaurant) {
-        throw new apiError("User restaurant information is missing", 400);
-    }
+// Helper function to price order items with the restaurant's promotions and taxes
+// Tax rates follow each menu item's category, which is read here rather than stored on the order
+const priceOrderItems = async (items, { restaurant, orderType, couponCode, at }) => {
+    const menuItemIds = items.map(item => item.menuItem?._id ?? item.menuItem);
+    const menuItems = await MenuItem.find({ _id: { $in: menuItemIds }, restaurant }).select('category');
+    const categories = new Map(menuItems.map(menuItem => [String(menuItem._id), menuItem.category]));
+
+    return priceOrder({
+        restaurant,
+        orderType,
+        couponCode,
+        at,
+        lines: items.map((item, index) => ({
+            menuItem: menuItemIds[index],
+            category: categories.get(String(menuItemIds[index])),
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            totalPrice: item.quantity * item.unitPrice
+        }))
+    });
+};
 
-    // Validate required fields
-    if (!customerName || !items || items.length === 0) {
-        throw new apiError("Customer name and at least one item are required", 400);
-    }
+// Build the date fields of a sales data entry
+const buildSalesEntry = (saleDate) => {
+    const dayOfWeek = saleDate.toLocaleDateString('en-US', { weekday: 'long' });
 
-    // Validate items structure
+    return {
+        saleDate,
+        dayOfWeek,
+        season: getSeason(saleDate),
+        specialEvent: 'Reguler'
+    };
+};
+
+// Helper function to validate order items and work out the stock they use
+// Returns the order lines, priced from the menu, and the stock-unit deductions (alternative items included)
+const buildOrderItems = async (items, restaurant) => {
     if (!Array.isArray(items)) {
         throw new apiError("Items must be an array", 400);
     }
 
-    // Validate and check ingredient availability for each item
     const validatedItems = [];
-    let subtotal = 0;
+    const deductions = [];
 
     for (const orderItem of items) {
         // Validate order item structure
@@ -45,13 +103,9 @@ const createOrder = asyncHandler(async (req, res) => {
         if (!orderItem.quantity || orderItem.quantity < 1) {
             throw new apiError("Each item must have a valid quantity (at least 1)", 400);
         }
-        if (!orderItem.unitPrice || orderItem.unitPrice < 0) {
-            throw new apiError("Each item must have a valid unit price", 400);
-        }
-
-        const menuItem = await MenuItem.findById(orderItem.menuItem)
+        const menuItem = await MenuItem.findOne({ _id: orderItem.menuItem, restaurant })
             .populate('ingredients.ingredient');
-        
+
         if (!menuItem) {
             throw new apiError(`Menu item with ID ${orderItem.menuItem} not found`, 400);
         }
@@ -63,135 +117,199 @@ const createOrder = asyncHandler(async (req, res) => {
 
         // Check ingredient availability using the stock checker utility (with item mapping for alternatives)
         const stockCheck = await checkIngredientAvailability(menuItem.ingredients, orderItem.quantity, true);
-        
+
         if (!stockCheck.isAvailable) {
             const missingIngredientsList = stockCheck.missingIngredients
                 .map(ing => `${ing.name}: Required ${ing.required} ${ing.unit}, Available ${ing.available} ${ing.unit}`)
                 .join(', ');
-            
+
             throw new apiError(`Dish "${menuItem.name}" is out of stock. Missing ingredients: ${missingIngredientsList}`, 400);
         }
-        
-        // Store the item mapping for this menu item to use when deducting inventory
-        orderItem.itemMapping = stockCheck.itemMapping || {};
 
-        const totalPrice = orderItem.quantity * orderItem.unitPrice;
-        subtotal += totalPrice;
+        // Collect the stock-unit deductions for this dish (including alternative items)
+        for (const deduction of stockCheck.deductions || []) {
+            deductions.push({
+                ...deduction,
+                reason: `Used in order for ${menuItem.name}${deduction.inventoryItem !== deduction.ingredient ? ' (alternative item used)' : ''}`
+            });
+        }
 
+        // A unit price sent with the item is ignored; the menu's price is charged
         validatedItems.push({
             menuItem: orderItem.menuItem,
             quantity: orderItem.quantity,
-            unitPrice: orderItem.unitPrice,
-            totalPrice: totalPrice
+            unitPrice: menuItem.suggestedPrice,
+            totalPrice: orderItem.quantity * menuItem.suggestedPrice
         });
     }
 
-    // Create the order
+    return { validatedItems, deductions };
+};
+
+// Helper function to log stock changes of an order, in the items' stock units
+const logStockChanges = async (changes, reason, restaurant) => {
+    if (changes.length === 0) return;
+
+    try {
+        await Inventorylog.insertMany(changes.map(change => ({
+            ingredient: change.inventoryItem,
+            change: change.quantity,
+            reason,
+            date: new Date(),
+            restaurant
+        })));
+    } catch (logError) {
+        // Logging failure shouldn't block the flow, but must not go unnoticed
+        console.error('Failed to log stock changes:', logError.message);
+    }
+};
+
+// Helper function to give back the stock of an order placed before reservations were recorded
+// Such orders have no ledger, so their current recipes are the best record of what they used
+const restoreRecipeStock = async (order, userId) => {
+    const restored = [];
+
+    for (const orderItem of order.items) {
+        const menuItem = await MenuItem.findById(orderItem.menuItem?._id ?? orderItem.menuItem)
+            .populate('ingredients.ingredient');
+
+        if (!menuItem || !Array.isArray(menuItem.ingredients)) continue;
+
+        for (const ingredient of menuItem.ingredients) {
+            if (!ingredient || !ingredient.ingredient) continue;
+
+            const recipeQuantity = (ingredient.quantity || 0) * (orderItem.quantity || 0);
+            if (recipeQuantity <= 0) continue;
+
+            // Restore in the item's stock unit; skip items whose units cannot be converted
+            let restoredQuantity;
+            try {
+                restoredQuantity = convertQuantity(recipeQuantity, ingredient.unit, ingredient.ingredient.unit, ingredient.ingredient);
+            } catch (error) {
+                console.error(`Error converting restored quantity for ingredient ${ingredient.ingredient._id}:`, error);
+                continue;
+            }
+
+            await InventoryItem.findByIdAndUpdate(
+                ingredient.ingredient._id,
+                {
+                    $inc: { currentStock: restoredQuantity },
+                    lastUpdatedBy: userId
+                }
+            );
+            restored.push({ inventoryItem: ingredient.ingredient._id, quantity: restoredQuantity });
+        }
+    }
+
+    return restored;
+};
+
+// Create new order
+const createOrder = asyncHandler(async (req, res) => {
+    const { customerName, customerPhone, customerEmail, orderType, items, notes, estimatedTime, paymentMethod, couponCode } = req.body;
+
+    // Validate user authentication
+    if (!req.user || !req.user._id) {
+        throw new apiError("User authentication required", 401);
+    }
+
+    // Validate restaurant
+    if (!req.user.restaurant) {
+        throw new apiError("User restaurant information is missing", 400);
+    }
+
+    // Validate required fields
+    if (!customerName || !items || items.length === 0) {
+        throw new apiError("Customer name and at least one item are required", 400);
+    }
+
+    // Validate payment method before any stock is reserved
+    if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+        throw new apiError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+    }
+
+    // Validate and check ingredient availability for each item
+    const { validatedItems, deductions } = await buildOrderItems(items, req.user.restaurant);
+
+    // Apply promotions and taxes before any stock is reserved, so a bad coupon fails cleanly
+    const pricing = await priceOrderItems(validatedItems, {
+        restaurant: req.user.restaurant,
+        orderType: orderType || 'dine-in',
+        couponCode
+    });
+
+    // Reserve all ingredients atomically: each item is only decremented if it still has
+    // enough stock, and everything is given back if any ingredient runs short.
+    // The reservation names the order up front, so one interrupted after the order was
+    // written is kept rather than released at startup.
+    const orderId = new mongoose.Types.ObjectId();
+    const reservation = await reserveStock(deductions, {
+        userId: req.user._id,
+        restaurant: req.user.restaurant,
+        reason: `Order for ${customerName}`,
+        order: orderId
+    });
+
+    // Write the order, inventory logs and sales data; undo all of it if any write fails
     let order;
+    let inventoryLogs = [];
+    let salesEntries = [];
     try {
         order = await Order.create({
+            _id: orderId,
             customerName,
             customerPhone,
             customerEmail,
             orderType: orderType || 'dine-in',
             items: validatedItems,
-            subtotal,
-            totalAmount: subtotal,
+            ...pricing,
             notes: notes || '',
+            paymentMethod: paymentMethod || undefined,
+            // The kitchen display times tickets against this
+            estimatedTime: estimatedTime
+                ? new Date(estimatedTime)
+                : new Date(Date.now() + KDS_DEFAULT_PREP_MINUTES * 60 * 1000),
             createdBy: req.user._id,
             restaurant: req.user.restaurant || 'restaurant1'
         });
+
+        inventoryLogs = await Inventorylog.insertMany(deductions.map(deduction => ({
+            ingredient: deduction.inventoryItem,
+            change: -deduction.quantity,
+            reason: deduction.reason,
+            date: new Date(),
+            restaurant: req.user.restaurant
+        })));
+
+        salesEntries = await Sales.insertMany(validatedItems.map(item => ({
+            ...buildSalesEntry(new Date()),
+            product: item.menuItem,
+            quantitySold: item.quantity,
+            restaurant: req.user.restaurant
+        })));
+
+        const committed = await commitReservation(reservation._id, order._id);
+        if (!committed) {
+            throw new Error("Stock reservation expired before the order was saved");
+        }
     } catch (orderError) {
         console.error('Error creating order:', orderError);
-        throw new apiError(`Failed to create order: ${orderError.message}`, 500);
-    }
 
-    // Deduct ingredients from inventory and create sales data
-    for (const orderItem of items) {
+        // Compensate: remove everything written for this order and give the stock back
         try {
-            const menuItem = await MenuItem.findById(orderItem.menuItem)
-                .populate('ingredients.ingredient');
-            
-            if (!menuItem) {
-                console.error(`Menu item ${orderItem.menuItem} not found during inventory deduction`);
-                continue;
-            }
-
-            // Deduct ingredients from inventory
-            if (menuItem.ingredients && Array.isArray(menuItem.ingredients) && menuItem.ingredients.length > 0) {
-                // Get the item mapping for this menu item (which includes alternative items)
-                const itemMapping = orderItem.itemMapping || {};
-                
-                for (const ingredient of menuItem.ingredients) {
-                    if (!ingredient || !ingredient.ingredient) {
-                        console.error(`Invalid ingredient reference in menu item ${menuItem.name}`);
-                        continue;
-                    }
-
-                    const originalIngredientId = ingredient.ingredient._id || ingredient.ingredient;
-                    if (!originalIngredientId) {
-                        console.error(`Missing ingredient ID in menu item ${menuItem.name}`);
-                        continue;
-                    }
-
-                    // Use the actual item ID from mapping (which may be an alternative) or fall back to original
-                    const actualIngredientId = itemMapping[originalIngredientId.toString()] || originalIngredientId;
-                    const requiredQuantity = ingredient.quantity * orderItem.quantity;
-                    
-                    try {
-                        // Deduct from daily inventory (this also updates main inventory)
-                        // The deductFromDailyInventory function will check stock availability
-                        await deductFromDailyInventory(actualIngredientId, requiredQuantity, req.user._id);
-
-                        // Create inventory log entry
-                        await Inventorylog.create({
-                            ingredient: actualIngredientId,
-                            change: -requiredQuantity,
-                            reason: `Used in order for ${menuItem.name}${actualIngredientId.toString() !== originalIngredientId.toString() ? ' (alternative item used)' : ''}`,
-                            date: new Date()
-                        });
-                    } catch (error) {
-                        console.error(`Error updating inventory for ingredient ${actualIngredientId}:`, error);
-                        // If it's an apiError, throw it; otherwise continue
-                        if (error instanceof apiError) {
-                            throw error;
-                        }
-                        // Continue with other ingredients if it's not a critical error
-                    }
-                }
-            }
-
-            // Create sales data entry
-            try {
-                const saleDate = new Date();
-                const dayOfWeek = saleDate.toLocaleDateString('en-US', { weekday: 'long' });
-                
-                // Determine season based on month
-                const month = saleDate.getMonth();
-                let season;
-                if (month >= 2 && month <= 4) season = 'Spring';
-                else if (month >= 5 && month <= 7) season = 'Summer';
-                else if (month >= 8 && month <= 10) season = 'Autumn';
-                else season = 'Winter';
-
-                await Sales.create({
-                    product: orderItem.menuItem,
-                    quantitySold: orderItem.quantity,
-                    saleDate: saleDate,
-                    dayOfWeek: dayOfWeek,
-                    season: season,
-                    specialEvent: 'Reguler'
-                });
-            } catch (salesError) {
-                console.error(`Error creating sales data for order item ${orderItem.menuItem}:`, salesError);
-                // Don't fail the entire order if sales data creation fails
-            }
-        } catch (error) {
-            console.error(`Error processing order item ${orderItem.menuItem}:`, error);
-            // Continue with other items
+            if (order) await Order.deleteOne({ _id: order._id });
+            if (inventoryLogs.length > 0) await Inventorylog.deleteMany({ _id: { $in: inventoryLogs.map(log => log._id) } });
+            if (salesEntries.length > 0) await Sales.deleteMany({ _id: { $in: salesEntries.map(sale => sale._id) } });
+        } finally {
+            await releaseReservation(reservation._id, req.user._id);
         }
+
+        throw new apiError(`Failed to create order: ${orderError.message}`, 500);
     }
 
+    // Take the used quantities from the ingredients' open lots (the stock itself is already taken)
+    await consumeReservedLots(reservation._id);
+
     // Populate the created order
     const populatedOrder = await Order.findById(order._id)
         .populate({
@@ -201,28 +319,65 @@ const createOrder = asyncHandler(async (req, res) => {
         })
         .populate('createdBy', 'fullname email role');
 
+    publishEvent(req.user.restaurant, 'order.created', populatedOrder);
+
     return res.status(201).json(
         new apiResponse(201, populatedOrder, "Order created successfully")
     );
 });
 
-// Get all orders
-const getAllOrders = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, status, orderType, search } = req.query;
-    
+// Price a cart without placing it: promotions, service charge, taxes and total
+const quoteOrder = asyncHandler(async (req, res) => {
+    const { items, orderType, couponCode } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new apiError("At least one item is required", 400);
+    }
+    if (items.some(item => !item.menuItem || !(item.quantity >= 1))) {
+        throw new apiError("Each item needs a menuItem ID and a quantity of at least 1", 400);
+    }
+
+    // Lines are priced from the menu, as when the order is placed
+    const menuItems = await MenuItem.find({ _id: { $in: items.map(item => item.menuItem) }, restaurant: req.user.restaurant })
+        .select('suggestedPrice');
+    const prices = new Map(menuItems.map(menuItem => [String(menuItem._id), menuItem.suggestedPrice]));
+    const lines = items.map(item => {
+        if (!prices.has(String(item.menuItem))) {
+            throw new apiError(`Menu item with ID ${item.menuItem} not found`, 400);
+        }
+        return { menuItem: item.menuItem, quantity: item.quantity, unitPrice: prices.get(String(item.menuItem)) };
+    });
+
+    const pricing = await priceOrderItems(lines, {
+        restaurant: req.user.restaurant,
+        orderType: orderType || 'dine-in',
+        couponCode
+    });
+
+    return res.status(200).json(
+        new apiResponse(200, pricing, "Order priced successfully")
+    );
+});
+
+// Helper function to build the order list filter; the export uses the same filters
+const buildOrderFilter = (query, restaurant) => {
+    const { status, orderType, paymentStatus, search } = query;
+
     // Build filter object - filter by restaurant
-    const filter = {
-        restaurant: req.user.restaurant
-    };
-    
+    const filter = { restaurant };
+
     if (status) {
         filter.status = status;
     }
-    
+
     if (orderType) {
         filter.orderType = orderType;
     }
-    
+
+    if (paymentStatus) {
+        filter.paymentStatus = paymentStatus;
+    }
+
     if (search) {
         filter.$or = [
             { customerName: { $regex: search, $options: 'i' } },
@@ -230,6 +385,14 @@ const getAllOrders = asyncHandler(async (req, res) => {
         ];
     }
 
+    return filter;
+};
+
+// Get all orders
+const getAllOrders = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+    const filter = buildOrderFilter(req.query, req.user.restaurant);
+
     // Calculate pagination
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
@@ -268,6 +431,52 @@ const getAllOrders = asyncHandler(async (req, res) => {
     );
 });
 
+// Export orders as CSV, XLSX or PDF (?format=), with the same filters as the list
+const exportOrders = asyncHandler(async (req, res) => {
+    const format = getExportFormat(req.query);
+
+    const cursor = Order.find(buildOrderFilter(req.query, req.user.restaurant))
+        .populate({ path: 'items.menuItem', model: 'MenuItem', select: 'name' })
+        .populate({ path: 'recipes.recipe', model: 'RecipeRecommendation', select: 'generatedRecipeName' })
+        .populate('createdBy', 'fullname')
+        .sort({ createdAt: -1 })
+        .cursor();
+
+    await streamExport(res, {
+        format,
+        filename: 'orders_export',
+        title: 'Orders',
+        columns: [
+            { header: 'Order Number', value: order => order.orderNumber },
+            { header: 'Date', value: order => order.createdAt, width: 1.3 },
+            { header: 'Customer', value: order => order.customerName, width: 1.3 },
+            { header: 'Phone', value: order => order.customerPhone },
+            { header: 'Type', value: order => order.orderType },
+            { header: 'Status', value: order => order.status },
+            {
+                header: 'Items',
+                value: order => [
+                    ...order.items.map(item => `${item.quantity}x ${item.menuItem?.name || 'Deleted item'}`),
+                    ...order.recipes.map(entry => `${entry.quantity}x ${entry.recipe?.generatedRecipeName || 'Deleted recipe'}`)
+                ].join('; '),
+                width: 3
+            },
+            { header: 'Subtotal', value: order => order.subtotal, type: 'money' },
+            { header: 'Discount', value: order => order.discount, type: 'money' },
+            { header: 'Promotions', value: order => order.appliedPromotions.map(applied => applied.name).join('; '), width: 1.5 },
+            { header: 'Service Charge', value: order => order.serviceCharge, type: 'money' },
+            { header: 'Tax', value: order => order.tax, type: 'money' },
+            { header: 'Total', value: order => order.totalAmount, type: 'money' },
+            { header: 'Paid', value: order => order.amountPaid, type: 'money' },
+            { header: 'Refunded', value: order => order.amountRefunded, type: 'money' },
+            { header: 'Payment Status', value: order => order.paymentStatus },
+            { header: 'Payment Method', value: order => order.paymentMethod },
+            { header: 'Created By', value: order => order.createdBy?.fullname }
+        ],
+        rows: cursor
+    });
+});
+
 // Get order by ID
 const getOrderById = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -296,7 +505,7 @@ const getOrderById = asyncHandler(async (req, res) => {
 // Update order status
 const updateOrderStatus = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { status, estimatedTime, notes } = req.body;
+    const { status, estimatedTime, notes, refundAmount, refundReason } = req.body;
 
     if (!status) {
         throw new apiError("Status is required", 400);
@@ -308,56 +517,44 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     }
 
     // Load existing order to handle inventory adjustments on status transitions
-    const existingOrder = await Order.findById(id).populate({
-        path: 'items.menuItem',
-        model: 'MenuItem',
-        select: 'name ingredients',
-        populate: { path: 'ingredients.ingredient', model: 'InventoryItem' }
-    });
+    const existingOrder = await Order.findOne({ _id: id, restaurant: req.user.restaurant });
 
     if (!existingOrder) {
         throw new apiError("Order not found", 404);
     }
 
-    // If transitioning to cancelled (and wasn't already cancelled), restore inventory used by this order
+    // Cancelling a paid order gives the money back before anything else changes: everything
+    // still paid, or refundAmount (0 keeps the money, e.g. as a cancellation fee)
+    let refund = null;
     if (status === 'cancelled' && existingOrder.status !== 'cancelled') {
-        for (const orderItem of existingOrder.items) {
-            // Ensure we have full menu item with ingredients
-            const menuItem = await MenuItem.findById(orderItem.menuItem)
-                .populate('ingredients.ingredient');
-
-            if (!menuItem || !Array.isArray(menuItem.ingredients)) continue;
-
-            for (const ingredient of menuItem.ingredients) {
-                if (!ingredient || !ingredient.ingredient) continue;
-
-                const ingredientId = ingredient.ingredient._id || ingredient.ingredient;
-                const restoredQuantity = (ingredient.quantity || 0) * (orderItem.quantity || 0);
-                if (restoredQuantity <= 0) continue;
-
-                await InventoryItem.findByIdAndUpdate(
-                    ingredientId,
-                    {
-                        $inc: { currentStock: restoredQuantity },
-                        lastUpdatedBy: req.user?._id
-                    }
-                );
-
-                // Log the restoration
-                try {
-                    await Inventorylog.create({
-                        ingredient: ingredientId,
-                        change: restoredQuantity,
-                        reason: `Restored due to order cancellation ${existingOrder.orderNumber || id}`,
-                        date: new Date()
-                    });
-                } catch (_) {
-                    // Logging failure shouldn't block the flow
-                }
+        const netPaid = existingOrder.amountPaid - existingOrder.amountRefunded;
+        const keepPayment = refundAmount !== undefined && refundAmount !== null && refundAmount !== '' && Number(refundAmount) === 0;
+
+        if (netPaid > 0 && !keepPayment) {
+            if (!req.permissions.includes('payments:refund')) {
+                throw new apiError("Access denied. Missing permission: payments:refund (the order has been paid)", 403);
             }
+            refund = await refundPayments(id, {
+                amount: refundAmount,
+                reason: refundReason || `Order ${existingOrder.orderNumber} cancelled`
+            }, req.user);
         }
     }
 
+    // If transitioning to cancelled (and wasn't already cancelled), give back exactly the stock
+    // the order's reservations took, alternatives included
+    if (status === 'cancelled' && existingOrder.status !== 'cancelled') {
+        const restored = await StockReservation.exists({ order: id })
+            ? await returnOrderStock(id, null, req.user._id)
+            : await restoreRecipeStock(existingOrder, req.user._id);
+
+        await logStockChanges(
+            restored,
+            `Restored due to order cancellation ${existingOrder.orderNumber || id}`,
+            req.user.restaurant
+        );
+    }
+
     const updateData = {
         status,
         updatedBy: req.user._id
@@ -376,8 +573,8 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
         updateData.actualDeliveryTime = new Date();
     }
 
-    const updatedOrder = await Order.findByIdAndUpdate(
-        id,
+    const updatedOrder = await Order.findOneAndUpdate(
+        { _id: id, restaurant: req.user.restaurant },
         updateData,
         { new: true, runValidators: true }
     ).populate({
@@ -386,15 +583,21 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
         select: 'name description'
     }).populate('createdBy', 'fullname email role');
 
+    publishEvent(req.user.restaurant, 'order.status_changed', updatedOrder);
+
     return res.status(200).json(
-        new apiResponse(200, updatedOrder, "Order status updated successfully")
+        new apiResponse(
+            200,
+            updatedOrder,
+            refund ? `Order cancelled and ${refund.amount.toFixed(2)} refunded` : "Order status updated successfully"
+        )
     );
 });
 
 // Update order (edit order)
 const updateOrder = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { customerName, customerPhone, customerEmail, orderType, items, notes, tax, discount } = req.body;
+    const { customerName, customerPhone, customerEmail, orderType, items, notes, paymentMethod, couponCode } = req.body;
 
     // Find the existing order
     const existingOrder = await Order.findOne({ 
@@ -411,116 +614,81 @@ const updateOrder = asyncHandler(async (req, res) => {
         throw new apiError("Cannot edit order that is already delivered or cancelled", 400);
     }
 
-    // If items are being changed, we need to:
-    // 1. Restore ingredients from old items
-    // 2. Check availability for new items
-    // 3. Deduct ingredients for new items
-
-    if (items && items.length > 0) {
-        // Restore ingredients from existing order items
-        for (const orderItem of existingOrder.items) {
-            const menuItem = await MenuItem.findById(orderItem.menuItem)
-                .populate('ingredients.ingredient');
-            
-            if (menuItem) {
-                for (const ingredient of menuItem.ingredients) {
-                    const restoredQuantity = ingredient.quantity * orderItem.quantity;
-                    
-                    await InventoryItem.findByIdAndUpdate(
-                        ingredient.ingredient._id,
-                        { 
-                            $inc: { currentStock: restoredQuantity },
-                            lastUpdatedBy: req.user._id
-                        }
-                    );
-                }
-            }
-        }
+    // The invoice is a frozen copy of the order, so an invoiced order can no longer change
+    if (existingOrder.invoice?.number) {
+        throw new apiError(`Cannot edit order that has been invoiced (${existingOrder.invoice.number})`, 400);
+    }
 
-        // Validate and check ingredient availability for new items
-        const validatedItems = [];
-        let subtotal = 0;
+    // Reprice when the items, order type or coupon change, before any stock moves so a bad coupon
+    // fails cleanly. Happy hours are checked against when the order was placed.
+    const itemsChanged = items && items.length > 0;
+    const repricing = itemsChanged || orderType !== undefined || couponCode !== undefined;
 
-        for (const orderItem of items) {
-            const menuItem = await MenuItem.findById(orderItem.menuItem)
-                .populate('ingredients.ingredient');
-            
-            if (!menuItem) {
-                throw new apiError(`Menu item with ID ${orderItem.menuItem} not found`, 400);
-            }
+    // Payments were taken against the current total (and its split bills), and their methods
+    // decide paymentMethod
+    const hasPayments = existingOrder.amountPaid > 0;
+    if (repricing && hasPayments) {
+        throw new apiError("Cannot change the items, type or coupon of an order that has been paid for. Refund it first.", 400);
+    }
 
-            // Check ingredient availability (with item mapping for alternatives)
-            const stockCheck = await checkIngredientAvailability(menuItem.ingredients, orderItem.quantity, true);
-            
-            if (!stockCheck.isAvailable) {
-                const missingIngredientsList = stockCheck.missingIngredients
-                    .map(ing => `${ing.name}: Required ${ing.required} ${ing.unit}, Available ${ing.available} ${ing.unit}`)
-                    .join(', ');
-                
-                throw new apiError(`Dish "${menuItem.name}" is out of stock. Missing ingredients: ${missingIngredientsList}`, 400);
-            }
+    // Check the new items before any stock moves
+    const built = itemsChanged ? await buildOrderItems(items, req.user.restaurant) : null;
 
-            const totalPrice = orderItem.quantity * orderItem.unitPrice;
-            subtotal += totalPrice;
-
-            const validatedItem = {
-                menuItem: orderItem.menuItem,
-                quantity: orderItem.quantity,
-                unitPrice: orderItem.unitPrice,
-                totalPrice: totalPrice
-            };
-            
-            // Store the item mapping for this menu item to use when deducting inventory
-            validatedItem.itemMapping = stockCheck.itemMapping || {};
-            validatedItems.push(validatedItem);
-
-            // Deduct ingredients from inventory using the item mapping
-            const itemMapping = stockCheck.itemMapping || {};
-            for (const ingredient of menuItem.ingredients) {
-                const originalIngredientId = ingredient.ingredient._id || ingredient.ingredient;
-                // Use the actual item ID from mapping (which may be an alternative) or fall back to original
-                const actualIngredientId = itemMapping[originalIngredientId.toString()] || originalIngredientId;
-                const requiredQuantity = ingredient.quantity * orderItem.quantity;
-                
-                // Deduct from daily inventory (this also updates main inventory)
-                try {
-                    await deductFromDailyInventory(actualIngredientId, requiredQuantity, req.user._id);
-                    
-                    // Create inventory log entry
-                    await Inventorylog.create({
-                        ingredient: actualIngredientId,
-                        change: -requiredQuantity,
-                        reason: `Used in order update for ${menuItem.name}${actualIngredientId.toString() !== originalIngredientId.toString() ? ' (alternative item used)' : ''}`,
-                        date: new Date()
-                    });
-                } catch (error) {
-                    console.error(`Error deducting from daily inventory for ingredient ${actualIngredientId}:`, error);
-                    // If it's an apiError, throw it
-                    if (error instanceof apiError) {
-                        throw error;
-                    }
-                }
-            }
+    const pricing = repricing
+        ? await priceOrderItems(itemsChanged ? built.validatedItems : existingOrder.items, {
+            restaurant: req.user.restaurant,
+            orderType: orderType || existingOrder.orderType,
+            couponCode: couponCode !== undefined ? couponCode : existingOrder.couponCode,
+            at: existingOrder.createdAt
+        })
+        : null;
+
+    // Edited items take their stock through a reservation like new orders do: only what they
+    // need beyond what the order already holds is reserved (atomically, so edits cannot oversell),
+    // and what the order no longer needs is given back once it is saved
+    let reservation = null;
+    let extra = [];
+    let excess = new Map();
+    let placedBeforeReservations = false;
+
+    if (itemsChanged) {
+        // Orders placed before reservations were recorded have no ledger: reserve all of the new
+        // items and give back the old ones from their recipes
+        placedBeforeReservations = !(await StockReservation.exists({ order: id }));
+        const held = placedBeforeReservations ? new Map() : await getHeldStock(id);
+        ({ extra, excess } = diffHeldStock(held, built.deductions));
+
+        if (extra.length > 0) {
+            reservation = await reserveStock(extra, {
+                userId: req.user._id,
+                restaurant: req.user.restaurant,
+                reason: `Order update ${existingOrder.orderNumber}`,
+                order: id
+            });
+            await commitReservation(reservation._id, id);
         }
+    }
 
-        // Update order with new items
-        const updateData = {
-            items: validatedItems,
-            subtotal: subtotal,
-            totalAmount: subtotal - (discount || 0) + (tax || 0),
-            updatedBy: req.user._id
-        };
-
-        if (customerName) updateData.customerName = customerName;
-        if (customerPhone !== undefined) updateData.customerPhone = customerPhone;
-        if (customerEmail !== undefined) updateData.customerEmail = customerEmail;
-        if (orderType) updateData.orderType = orderType;
-        if (notes !== undefined) updateData.notes = notes;
-        if (tax !== undefined) updateData.tax = tax;
-        if (discount !== undefined) updateData.discount = discount;
-
-        const updatedOrder = await Order.findByIdAndUpdate(
-            id,
+    const updateData = {
+        ...pricing,
+        updatedBy: req.user._id
+    };
+
+    if (itemsChanged) updateData.items = built.validatedItems;
+    if (customerName) updateData.customerName = customerName;
+    if (customerPhone !== undefined) updateData.customerPhone = customerPhone;
+    if (customerEmail !== undefined) updateData.customerEmail = customerEmail;
+    if (orderType) updateData.orderType = orderType;
+    if (notes !== undefined) updateData.notes = notes;
+    if (paymentMethod !== undefined && !hasPayments) updateData.paymentMethod = paymentMethod || null;
+    // Split bills were worked out from the old items and total
+    if (pricing && existingOrder.splitBill) updateData.$unset = { splitBill: 1 };
+
+    // Only save over the order that was read, so a concurrent edit or cancellation is not overwritten
+    let updatedOrder;
+    try {
+        updatedOrder = await Order.findOneAndUpdate(
+            { _id: id, restaurant: req.user.restaurant, updatedAt: existingOrder.updatedAt },
             updateData,
             { new: true, runValidators: true }
         ).populate({
@@ -529,78 +697,225 @@ const updateOrder = asyncHandler(async (req, res) => {
             select: 'name description'
         }).populate('createdBy', 'fullname email role')
         .populate('updatedBy', 'fullname email role');
+    } catch (error) {
+        await returnOrderStock(id, new Map(extra.map(deduction => [deduction.inventoryItem, deduction.quantity])), req.user._id);
+        throw error;
+    }
 
-        return res.status(200).json(
-            new apiResponse(200, updatedOrder, "Order updated successfully")
-        );
-    } else {
-        // Update other fields without changing items
-        const updateData = {
-            updatedBy: req.user._id
-        };
-
-        if (customerName) updateData.customerName = customerName;
-        if (customerPhone !== undefined) updateData.customerPhone = customerPhone;
-        if (customerEmail !== undefined) updateData.customerEmail = customerEmail;
-        if (orderType) updateData.orderType = orderType;
-        if (notes !== undefined) updateData.notes = notes;
-        if (tax !== undefined) {
-            updateData.tax = tax;
-            updateData.totalAmount = existingOrder.subtotal - (discount || existingOrder.discount || 0) + tax;
-        }
-        if (discount !== undefined) {
-            updateData.discount = discount;
-            updateData.totalAmount = existingOrder.subtotal - discount + (tax || existingOrder.tax || 0);
+    if (!updatedOrder) {
+        await returnOrderStock(id, new Map(extra.map(deduction => [deduction.inventoryItem, deduction.quantity])), req.user._id);
+        throw new apiError("The order was changed while you were editing it. Reload it and try again.", 409);
+    }
+
+    if (itemsChanged) {
+        // Take the extra quantities from the ingredients' open lots (the stock itself is already taken)
+        if (reservation) {
+            await consumeReservedLots(reservation._id);
         }
+        await logStockChanges(
+            extra.map(deduction => ({ inventoryItem: deduction.inventoryItem, quantity: -deduction.quantity })),
+            `Used in order update ${existingOrder.orderNumber}`,
+            req.user.restaurant
+        );
 
-        const updatedOrder = await Order.findByIdAndUpdate(
-            id,
-            updateData,
-            { new: true, runValidators: true }
-        ).populate({
+        const returned = placedBeforeReservations
+            ? await restoreRecipeStock(existingOrder, req.user._id)
+            : await returnOrderStock(id, excess, req.user._id);
+        await logStockChanges(returned, `Returned by order update ${existingOrder.orderNumber}`, req.user.restaurant);
+    }
+
+    publishEvent(req.user.restaurant, 'order.updated', updatedOrder);
+
+    return res.status(200).json(
+        new apiResponse(200, updatedOrder, "Order updated successfully")
+    );
+});
+
+// Move order to the trash
+const deleteOrder = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const order = await Order.findOneAndUpdate(
+        { _id: id, restaurant: req.user.restaurant },
+        { deletedAt: new Date(), deletedBy: req.user._id }
+    );
+    if (!order) {
+        throw new apiError("Order not found", 404);
+    }
+
+    publishEvent(req.user.restaurant, 'order.deleted', { _id: order._id, orderNumber: order.orderNumber });
+
+    return res.status(200).json(
+        new apiResponse(200, null, "Order deleted successfully")
+    );
+});
+
+// Get the orders in the trash, latest deleted first
+const getDeletedOrders = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, search } = req.query;
+
+    const filter = {
+        restaurant: req.user.restaurant,
+        deletedAt: { $ne: null }
+    };
+
+    if (search) {
+        filter.$or = [
+            { customerName: { $regex: search, $options: 'i' } },
+            { orderNumber: { $regex: search, $options: 'i' } }
+        ];
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const total = await Order.countDocuments(filter);
+
+    const orders = await Order.find(filter)
+        .populate({
             path: 'items.menuItem',
             model: 'MenuItem',
             select: 'name description'
-        }).populate('createdBy', 'fullname email role')
-        .populate('updatedBy', 'fullname email role');
+        })
+        .populate('deletedBy', 'fullname email role')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limitNum);
 
-        return res.status(200).json(
-            new apiResponse(200, updatedOrder, "Order updated successfully")
-        );
+    // Create pagination response object
+    const paginatedResponse = {
+        docs: orders,
+        totalDocs: total,
+        limit: limitNum,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < Math.ceil(total / limitNum) ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null
+    };
+
+    return res.status(200).json(
+        new apiResponse(200, paginatedResponse, "Deleted orders retrieved successfully")
+    );
+});
+
+// Restore an order from the trash
+const restoreOrder = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const order = await Order.findOneAndUpdate(
+        { _id: id, restaurant: req.user.restaurant, deletedAt: { $ne: null } },
+        { deletedAt: null, deletedBy: null, updatedBy: req.user._id },
+        { new: true }
+    ).populate({
+        path: 'items.menuItem',
+        model: 'MenuItem',
+        select: 'name description'
+    });
+
+    if (!order) {
+        throw new apiError("Deleted order not found", 404);
     }
+
+    // To the order screens and the kitchen display a restored order is a new one
+    publishEvent(req.user.restaurant, 'order.created', order);
+
+    return res.status(200).json(
+        new apiResponse(200, order, "Order restored successfully")
+    );
 });
 
-// Delete order
-const deleteOrder = asyncHandler(async (req, res) => {
+// Get the kitchen queue (orders that are not delivered or cancelled yet, oldest first)
+const getKitchenQueue = asyncHandler(async (req, res) => {
+    const orders = await populateKitchenTicket(
+        Order.find({ restaurant: req.user.restaurant, status: { $in: KDS_STATUSES } })
+            .sort({ createdAt: 1 })
+    );
+
+    return res.status(200).json(
+        new apiResponse(200, orders, "Kitchen queue retrieved successfully")
+    );
+});
+
+// Bump a ticket on the kitchen display to its next status
+// The update only applies if the ticket is still in the status the screen showed,
+// so two screens bumping the same ticket at once cannot skip a status
+const bumpOrder = asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const { fromStatus } = req.body || {};
 
-    const order = await Order.findById(id);
+    const order = await Order.findOne({ _id: id, restaurant: req.user.restaurant }).select('status');
     if (!order) {
         throw new apiError("Order not found", 404);
     }
 
-    await Order.findByIdAndDelete(id);
+    const currentStatus = fromStatus || order.status;
+    const nextStatus = NEXT_KDS_STATUS[currentStatus];
+    if (!nextStatus) {
+        throw new apiError(`Orders in status ${currentStatus} cannot be bumped`, 400);
+    }
+
+    const updateData = {
+        status: nextStatus,
+        updatedBy: req.user._id
+    };
+    if (nextStatus === 'delivered') {
+        updateData.actualDeliveryTime = new Date();
+    }
+
+    const updatedOrder = await populateKitchenTicket(
+        Order.findOneAndUpdate(
+            { _id: id, restaurant: req.user.restaurant, status: currentStatus },
+            updateData,
+            { new: true, runValidators: true }
+        )
+    );
+
+    if (!updatedOrder) {
+        throw new apiError("Order status changed on another screen, refresh and try again", 409);
+    }
+
+    publishEvent(req.user.restaurant, 'order.status_changed', updatedOrder);
 
     return res.status(200).json(
-        new apiResponse(200, null, "Order deleted successfully")
+        new apiResponse(200, updatedOrder, `Order moved to ${nextStatus}`)
     );
 });
 
 // Get order statistics
 const getOrderStats = asyncHandler(async (req, res) => {
-    const totalOrders = await Order.countDocuments();
-    const pendingOrders = await Order.countDocuments({ status: 'pending' });
-    const preparingOrders = await Order.countDocuments({ status: 'preparing' });
-    const completedOrders = await Order.countDocuments({ status: 'delivered' });
-    const cancelledOrders = await Order.countDocuments({ status: 'cancelled' });
-
-    // Calculate total revenue
-    const revenueResult = await Order.aggregate([
-        { $match: { status: 'delivered' } },
-        { $group: { _id: null, totalRevenue: { $sum: '$totalAmount' } } }
+    const restaurant = req.user.restaurant;
+
+    const totalOrders = await Order.countDocuments({ restaurant });
+    const pendingOrders = await Order.countDocuments({ restaurant, status: 'pending' });
+    const preparingOrders = await Order.countDocuments({ restaurant, status: 'preparing' });
+    const completedOrders = await Order.countDocuments({ restaurant, status: 'delivered' });
+    const cancelledOrders = await Order.countDocuments({ restaurant, status: 'cancelled' });
+
+    // Revenue is the money actually taken, less refunds
+    const paymentResult = await Payment.aggregate([
+        { $match: { restaurant } },
+        { $group: { _id: '$kind', total: { $sum: '$amount' } } }
     ]);
+    const paymentTotal = (kind) => paymentResult.find(row => row._id === kind)?.total || 0;
 
-    const totalRevenue = revenueResult.length > 0 ? revenueResult[0].totalRevenue : 0;
+    // Delivered orders from before payments were recorded count at their total
+    const legacyResult = await Order.aggregate([
+        { $match: { restaurant, status: 'delivered', paymentStatus: { $exists: false } } },
+        { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+    ]);
+
+    // Money still owed on orders that were not cancelled
+    const outstandingResult = await Order.aggregate([
+        { $match: { restaurant, status: { $ne: 'cancelled' }, paymentStatus: { $in: ['unpaid', 'partially-paid'] } } },
+        { $group: { _id: null, total: { $sum: { $subtract: ['$totalAmount', { $subtract: ['$amountPaid', '$amountRefunded'] }] } } } }
+    ]);
+
+    const refundedAmount = round2(paymentTotal('refund'));
+    const totalRevenue = round2(paymentTotal('payment') - refundedAmount + (legacyResult[0]?.total || 0));
 
     const stats = {
         totalOrders,
@@ -608,7 +923,9 @@ const getOrderStats = asyncHandler(async (req, res) => {
         preparingOrders,
         completedOrders,
         cancelledOrders,
-        totalRevenue
+        totalRevenue,
+        refundedAmount,
+        outstandingAmount: round2(outstandingResult[0]?.total || 0)
     };
 
     return res.status(200).json(
@@ -616,38 +933,48 @@ const getOrderStats = asyncHandler(async (req, res) => {
     );
 });
 
-// Get invoice data for an order
-const getInvoice = asyncHandler(async (req, res) => {
-    const { id } = req.params;
+// Issue the invoice of a paid or completed order; issuing it again returns the same invoice
+const createInvoice = asyncHandler(async (req, res) => {
+    const { order, issued } = await issueInvoice(req.params.id, req.user);
 
-    const order = await Order.findOne({ 
-        _id: id, 
-        restaurant: req.user.restaurant 
-    })
-        .populate({
-            path: 'items.menuItem',
-            model: 'MenuItem',
-            select: 'name description'
-        })
-        .populate('createdBy', 'fullname email role');
+    return res.status(issued ? 201 : 200).json(
+        new apiResponse(issued ? 201 : 200, order, issued ? "Invoice issued successfully" : "Order was already invoiced")
+    );
+});
 
-    if (!order) {
-        throw new apiError("Order not found", 404);
-    }
+// Get invoice data for an order
+const getInvoice = asyncHandler(async (req, res) => {
+    const order = await getIssuedInvoice(req.params.id, req.user);
 
-    // Return invoice data
+    // Return invoice data; order.invoice holds the issued invoice
     return res.status(200).json(
         new apiResponse(200, order, "Invoice data retrieved successfully")
     );
 });
 
+// Download the invoice of an order as a PDF (A4, or an 80 mm receipt with ?layout=receipt)
+const getInvoicePdf = asyncHandler(async (req, res) => {
+    const layout = getInvoiceLayout(req.query);
+    const order = await getIssuedInvoice(req.params.id, req.user);
+
+    streamInvoicePdf(res, order.invoice, layout);
+});
+
 export {
     createOrder,
+    quoteOrder,
     getAllOrders,
+    exportOrders,
     getOrderById,
     updateOrderStatus,
     updateOrder,
     deleteOrder,
+    getDeletedOrders,
+    restoreOrder,
     getOrderStats,
-    getInvoice
+    createInvoice,
+    getInvoice,
+    getInvoicePdf,
+    getKitchenQueue,
+    bumpOrder
 };
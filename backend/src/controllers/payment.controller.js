@@ -0,0 +1,158 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Order } from "../models/order/order.model.js";
+import { Payment } from "../models/order/payment.model.js";
+import { publishEvent } from "../utils/eventBus.js";
+import { getBusinessDay } from "../utils/restaurantTimezone.js";
+import {
+    recordPayment,
+    refundPayments,
+    splitOrderBill,
+    removeSplitBill,
+    setOpeningFloat,
+    recordCashCount,
+    buildCashDrawerReport
+} from "../utils/payments.js";
+
+// Helper function to read a YYYY-MM-DD day from the query string (the restaurant's today when not given)
+const parseBusinessDate = async (date, restaurant) => {
+    if (!date) {
+        return getBusinessDay(restaurant);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(date).getTime())) {
+        throw new apiError("date must be in YYYY-MM-DD format", 400);
+    }
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Helper function to read a cash amount of zero or more from the body
+const parseCashAmount = (value, name) => {
+    const amount = Number(value);
+    if (value === undefined || value === null || value === '' || Number.isNaN(amount) || amount < 0) {
+        throw new apiError(`${name} must be a number of zero or more`, 400);
+    }
+    return amount;
+};
+
+// Get an order's payments and refunds, with what is left to pay
+const getOrderPayments = asyncHandler(async (req, res) => {
+    const order = await Order.findOne({ _id: req.params.id, restaurant: req.user.restaurant })
+        .select('orderNumber totalAmount amountPaid amountRefunded paymentStatus paymentMethod splitBill status');
+    if (!order) {
+        throw new apiError("Order not found", 404);
+    }
+
+    const payments = await Payment.find({ order: order._id })
+        .populate('recordedBy', 'fullname')
+        .sort({ createdAt: 1 });
+
+    return res.status(200).json(
+        new apiResponse(200, {
+            order,
+            due: Math.round((order.totalAmount - order.amountPaid + order.amountRefunded) * 100) / 100,
+            payments
+        }, "Payments retrieved successfully")
+    );
+});
+
+// Take payment for an order: one or more tenders, for the whole order or one split bill
+const takePayment = asyncHandler(async (req, res) => {
+    const { tenders, bill } = req.body;
+
+    const { order, payments } = await recordPayment(req.params.id, { tenders, bill }, req.user);
+
+    publishEvent(req.user.restaurant, 'order.updated', order);
+
+    return res.status(201).json(
+        new apiResponse(201, { order, payments }, "Payment recorded successfully")
+    );
+});
+
+// Refund an order's payments, in full or in part
+const refundOrder = asyncHandler(async (req, res) => {
+    const { amount, payment, method, reason } = req.body;
+
+    const result = await refundPayments(req.params.id, { amount, payment, method, reason }, req.user);
+
+    publishEvent(req.user.restaurant, 'order.updated', result.order);
+
+    return res.status(201).json(
+        new apiResponse(201, result, `Refunded ${result.amount.toFixed(2)}`)
+    );
+});
+
+// Split an order's bill evenly or by items
+const splitBill = asyncHandler(async (req, res) => {
+    const order = await splitOrderBill(req.params.id, req.body, req.user);
+
+    publishEvent(req.user.restaurant, 'order.updated', order);
+
+    return res.status(200).json(
+        new apiResponse(200, order, "Bill split successfully")
+    );
+});
+
+// Put a split bill back together
+const unsplitBill = asyncHandler(async (req, res) => {
+    const order = await removeSplitBill(req.params.id, req.user);
+
+    publishEvent(req.user.restaurant, 'order.updated', order);
+
+    return res.status(200).json(
+        new apiResponse(200, order, "Bill put back together successfully")
+    );
+});
+
+// Get the cash drawer reconciliation of a day (?date=YYYY-MM-DD, today by default)
+const getCashDrawer = asyncHandler(async (req, res) => {
+    const businessDate = await parseBusinessDate(req.query.date, req.user.restaurant);
+
+    const report = await buildCashDrawerReport(req.user.restaurant, businessDate);
+
+    return res.status(200).json(
+        new apiResponse(200, report, "Cash drawer retrieved successfully")
+    );
+});
+
+// Set the cash today's drawer starts with
+const updateOpeningFloat = asyncHandler(async (req, res) => {
+    const openingFloat = parseCashAmount(req.body.openingFloat, "Opening float");
+    const businessDate = await getBusinessDay(req.user.restaurant);
+
+    await setOpeningFloat(req.user.restaurant, businessDate, openingFloat);
+    const report = await buildCashDrawerReport(req.user.restaurant, businessDate);
+
+    return res.status(200).json(
+        new apiResponse(200, report, "Opening float saved successfully")
+    );
+});
+
+// Record the cash counted in today's drawer
+const countCashDrawer = asyncHandler(async (req, res) => {
+    const countedCash = parseCashAmount(req.body.countedCash, "Counted cash");
+    const businessDate = await getBusinessDay(req.user.restaurant);
+
+    await recordCashCount(req.user.restaurant, businessDate, {
+        countedCash,
+        notes: req.body.notes,
+        userId: req.user._id
+    });
+    const report = await buildCashDrawerReport(req.user.restaurant, businessDate);
+
+    return res.status(200).json(
+        new apiResponse(200, report, "Cash count saved successfully")
+    );
+});
+
+export {
+    getOrderPayments,
+    takePayment,
+    refundOrder,
+    splitBill,
+    unsplitBill,
+    getCashDrawer,
+    updateOpeningFloat,
+    countCashDrawer
+};
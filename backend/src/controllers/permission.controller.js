@@ -0,0 +1,147 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { User } from "../models/auth/user.model.js";
+import { RolePermission } from "../models/auth/rolePermission.model.js";
+import {
+    PERMISSIONS,
+    EDITABLE_ROLES,
+    DEFAULT_ROLE_PERMISSIONS,
+    validatePermissions,
+    getRolePermissions,
+    getUserPermissions
+} from "../utils/permissions.js";
+
+// Helper function to check a role can be edited
+const checkEditableRole = (role) => {
+    if (role === 'admin') {
+        throw new apiError("Admins always have every permission", 400);
+    }
+    if (!EDITABLE_ROLES.includes(role)) {
+        throw new apiError(`Unknown role: ${role}`, 400);
+    }
+};
+
+// Helper function to find a user of the restaurant
+const findRestaurantUser = async (userId, restaurant) => {
+    const user = await User.findOne({ _id: userId, restaurant }).select("-password -refreshToken");
+    if (!user) {
+        throw new apiError("User not found", 404);
+    }
+    return user;
+};
+
+// Get the logged-in user's permissions
+const getMyPermissions = asyncHandler(async (req, res) => {
+    const permissions = await getUserPermissions(req.user);
+
+    return res.status(200).json(
+        new apiResponse(200, { role: req.user.role, permissions }, "Permissions retrieved successfully")
+    );
+});
+
+// Get the permission matrix: every permission and what each role has
+const getPermissionMatrix = asyncHandler(async (req, res) => {
+    const roles = {
+        admin: { permissions: await getRolePermissions(req.user.restaurant, 'admin'), editable: false, isDefault: true }
+    };
+
+    for (const role of EDITABLE_ROLES) {
+        const stored = await RolePermission.findOne({ restaurant: req.user.restaurant, role });
+        roles[role] = {
+            permissions: stored ? stored.permissions : DEFAULT_ROLE_PERMISSIONS[role],
+            editable: true,
+            isDefault: !stored
+        };
+    }
+
+    return res.status(200).json(
+        new apiResponse(200, {
+            permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+            roles
+        }, "Permission matrix retrieved successfully")
+    );
+});
+
+// Set the permissions of a role
+const updateRolePermissions = asyncHandler(async (req, res) => {
+    const { role } = req.params;
+    checkEditableRole(role);
+
+    const permissions = validatePermissions(req.body.permissions);
+
+    const rolePermission = await RolePermission.findOneAndUpdate(
+        { restaurant: req.user.restaurant, role },
+        { $set: { permissions, updatedBy: req.user._id } },
+        { upsert: true, new: true, runValidators: true }
+    );
+
+    return res.status(200).json(
+        new apiResponse(200, rolePermission, `Permissions of ${role} updated successfully`)
+    );
+});
+
+// Reset a role to its default permissions
+const resetRolePermissions = asyncHandler(async (req, res) => {
+    const { role } = req.params;
+    checkEditableRole(role);
+
+    await RolePermission.deleteOne({ restaurant: req.user.restaurant, role });
+
+    return res.status(200).json(
+        new apiResponse(200, { role, permissions: DEFAULT_ROLE_PERMISSIONS[role] }, `Permissions of ${role} reset to the defaults`)
+    );
+});
+
+// Get a user's permissions: the role's, the user's own changes and the result
+const getUserPermissionDetails = asyncHandler(async (req, res) => {
+    const user = await findRestaurantUser(req.params.userId, req.user.restaurant);
+
+    return res.status(200).json(
+        new apiResponse(200, {
+            user: { _id: user._id, fullname: user.fullname, email: user.email, role: user.role },
+            rolePermissions: await getRolePermissions(user.restaurant, user.role),
+            granted: user.permissionOverrides?.granted || [],
+            revoked: user.permissionOverrides?.revoked || [],
+            permissions: await getUserPermissions(user)
+        }, "User permissions retrieved successfully")
+    );
+});
+
+// Grant or revoke permissions for a single user, on top of their role
+const updateUserPermissions = asyncHandler(async (req, res) => {
+    const { granted = [], revoked = [] } = req.body;
+
+    const user = await findRestaurantUser(req.params.userId, req.user.restaurant);
+    if (user.role === 'admin') {
+        throw new apiError("Admins always have every permission", 400);
+    }
+
+    const grantedList = validatePermissions(granted);
+    const revokedList = validatePermissions(revoked);
+    const both = grantedList.filter(permission => revokedList.includes(permission));
+    if (both.length > 0) {
+        throw new apiError(`Permission(s) both granted and revoked: ${both.join(', ')}`, 400);
+    }
+
+    user.permissionOverrides = { granted: grantedList, revoked: revokedList };
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json(
+        new apiResponse(200, {
+            user: { _id: user._id, fullname: user.fullname, email: user.email, role: user.role },
+            granted: grantedList,
+            revoked: revokedList,
+            permissions: await getUserPermissions(user)
+        }, "User permissions updated successfully")
+    );
+});
+
+export {
+    getMyPermissions,
+    getPermissionMatrix,
+    updateRolePermissions,
+    resetRolePermissions,
+    getUserPermissionDetails,
+    updateUserPermissions
+};
@@ -0,0 +1,167 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Promotion } from "../models/order/promotion.model.js";
+import { MenuItem } from "../models/menu/menuItem.model.js";
+import { isPromotionInWindow } from "../utils/orderPricing.js";
+import { getRestaurantTimeZone } from "../utils/restaurantTimezone.js";
+
+const PROMOTION_FIELDS = [
+    'name', 'description', 'type', 'value', 'scope', 'menuItems', 'categories', 'comboItems', 'comboPrice',
+    'minSubtotal', 'couponCode', 'daysOfWeek', 'startTime', 'endTime', 'validFrom', 'validUntil', 'stackable', 'isActive'
+];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Helper function to check that menu items belong to the restaurant
+const ensureMenuItems = async (ids, restaurant) => {
+    const unique = [...new Set(ids.map(String))];
+    const found = await MenuItem.countDocuments({ _id: { $in: unique }, restaurant });
+    if (found !== unique.length) {
+        throw new apiError("Some menu items were not found", 400);
+    }
+};
+
+// Helper function to merge a request body into a promotion's fields and check the result
+const buildPromotionData = async (body, restaurant, existing = {}) => {
+    const data = {};
+    for (const field of PROMOTION_FIELDS) {
+        data[field] = body[field] !== undefined ? body[field] : existing[field];
+    }
+
+    if (!data.name || !String(data.name).trim()) {
+        throw new apiError("Name is required", 400);
+    }
+    if (!['percentage', 'fixed', 'combo'].includes(data.type)) {
+        throw new apiError("Type must be one of: percentage, fixed, combo", 400);
+    }
+
+    if (data.type === 'combo') {
+        if (!Array.isArray(data.comboItems) || data.comboItems.length === 0) {
+            throw new apiError("A combo needs at least one menu item", 400);
+        }
+        if (data.comboItems.some(entry => !entry.menuItem || !(Number(entry.quantity || 1) >= 1))) {
+            throw new apiError("Each combo item needs a menu item and a quantity of at least 1", 400);
+        }
+        if (data.comboPrice === undefined || data.comboPrice === null || Number.isNaN(Number(data.comboPrice)) || Number(data.comboPrice) < 0) {
+            throw new apiError("A combo needs a price of zero or more", 400);
+        }
+        await ensureMenuItems(data.comboItems.map(entry => entry.menuItem), restaurant);
+    } else {
+        const value = Number(data.value);
+        if (!(value > 0) || (data.type === 'percentage' && value > 100)) {
+            throw new apiError(data.type === 'percentage' ? "Percentage must be between 0 and 100" : "Amount must be greater than zero", 400);
+        }
+        if (data.menuItems?.length > 0) {
+            await ensureMenuItems(data.menuItems, restaurant);
+        }
+    }
+
+    if (Boolean(data.startTime) !== Boolean(data.endTime)) {
+        throw new apiError("A happy hour needs both a start and an end time", 400);
+    }
+    if (data.startTime && (!TIME_PATTERN.test(data.startTime) || !TIME_PATTERN.test(data.endTime))) {
+        throw new apiError("Times must be given as HH:mm", 400);
+    }
+    if (data.validFrom && data.validUntil && new Date(data.validUntil) <= new Date(data.validFrom)) {
+        throw new apiError("A promotion must end after it starts", 400);
+    }
+
+    // An empty code removes it; codes are compared in upper case
+    data.couponCode = data.couponCode ? String(data.couponCode).trim().toUpperCase() : undefined;
+    if (data.couponCode) {
+        const taken = await Promotion.findOne({
+            restaurant,
+            couponCode: data.couponCode,
+            ...(existing._id ? { _id: { $ne: existing._id } } : {})
+        });
+        if (taken) {
+            throw new apiError(`Coupon code ${data.couponCode} is already used by "${taken.name}"`, 409);
+        }
+    }
+
+    data.startTime = data.startTime || undefined;
+    data.endTime = data.endTime || undefined;
+    data.validFrom = data.validFrom || undefined;
+    data.validUntil = data.validUntil || undefined;
+    return data;
+};
+
+// Helper function to find a promotion of the restaurant
+const findPromotion = async (id, restaurant) => {
+    const promotion = await Promotion.findOne({ _id: id, restaurant });
+    if (!promotion) {
+        throw new apiError("Promotion not found", 404);
+    }
+    return promotion;
+};
+
+// Get all promotions, with whether each could apply right now
+const getPromotions = asyncHandler(async (req, res) => {
+    const { active } = req.query;
+
+    const filter = { restaurant: req.user.restaurant };
+    if (active !== undefined) {
+        filter.isActive = active === 'true';
+    }
+
+    const [promotions, timeZone] = await Promise.all([
+        Promotion.find(filter)
+            .populate('menuItems', 'name')
+            .populate('comboItems.menuItem', 'name')
+            .sort({ isActive: -1, name: 1 }),
+        getRestaurantTimeZone(req.user.restaurant)
+    ]);
+
+    const now = new Date();
+    return res.status(200).json(
+        new apiResponse(200, promotions.map(promotion => ({
+            ...promotion.toObject(),
+            inWindow: promotion.isActive && isPromotionInWindow(promotion, now, timeZone)
+        })), "Promotions retrieved successfully")
+    );
+});
+
+// Create promotion
+const createPromotion = asyncHandler(async (req, res) => {
+    const data = await buildPromotionData(req.body, req.user.restaurant);
+
+    const promotion = await Promotion.create({
+        ...data,
+        createdBy: req.user._id,
+        restaurant: req.user.restaurant
+    });
+
+    return res.status(201).json(
+        new apiResponse(201, promotion, "Promotion created successfully")
+    );
+});
+
+// Update promotion; orders already placed keep the discount they were given
+const updatePromotion = asyncHandler(async (req, res) => {
+    const promotion = await findPromotion(req.params.id, req.user.restaurant);
+    const data = await buildPromotionData(req.body, req.user.restaurant, promotion.toObject());
+
+    promotion.set(data);
+    await promotion.save();
+
+    return res.status(200).json(
+        new apiResponse(200, promotion, "Promotion updated successfully")
+    );
+});
+
+// Delete promotion; orders keep its name and amount in appliedPromotions
+const deletePromotion = asyncHandler(async (req, res) => {
+    const promotion = await findPromotion(req.params.id, req.user.restaurant);
+    await promotion.deleteOne();
+
+    return res.status(200).json(
+        new apiResponse(200, { _id: promotion._id }, "Promotion deleted successfully")
+    );
+});
+
+export {
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion
+};
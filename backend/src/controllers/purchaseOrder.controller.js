@@ -0,0 +1,578 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { PurchaseOrder } from "../models/purchasing/purchaseOrder.model.js";
+import { Supplier } from "../models/purchasing/supplier.model.js";
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { DailyInventoryEntry } from "../models/inventory/dailyInventoryEntry.model.js";
+import { Inventorylog } from "../models/inventory/inventorylog.model.js";
+import { SUPPORTED_UNITS, convertQuantity, canConvert } from "../utils/unitConverter.js";
+import { calculateExpiryDate, requiresManualExpiryDate, getDefaultExpiryDate } from "../utils/expiryCalculator.js";
+import { refreshItemExpiry } from "../utils/lotManager.js";
+import { calculateReorderSuggestions } from "../utils/reorderCalculator.js";
+import { recostMenuItemsUsingIngredient } from "../utils/recipeCosting.js";
+
+// Helper function to get today's date at midnight
+const getTodayDate = () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+};
+
+// Helper function to populate a purchase order for responses
+const populatePurchaseOrder = (query) => {
+    return query
+        .populate('supplier', 'name email phone leadTimeDays')
+        .populate('items.inventoryItem', 'name unit category currentStock')
+        .populate('createdBy', 'fullname email')
+        .populate('updatedBy', 'fullname email');
+};
+
+// Helper function to validate order lines; unit cost defaults to the supplier's price list
+const parseOrderItems = async (items, supplier, restaurant) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new apiError("At least one item is required", 400);
+    }
+
+    const parsed = [];
+    for (const item of items) {
+        if (!item?.inventoryItem) {
+            throw new apiError("Each item must have an inventoryItem ID", 400);
+        }
+
+        const inventoryItem = await InventoryItem.findOne({ _id: item.inventoryItem, restaurant });
+        if (!inventoryItem) {
+            throw new apiError(`Inventory item ${item.inventoryItem} not found`, 404);
+        }
+
+        const quantityOrdered = Number(item.quantityOrdered ?? item.quantity);
+        if (Number.isNaN(quantityOrdered) || quantityOrdered <= 0) {
+            throw new apiError(`Quantity for ${inventoryItem.name} must be a positive number`, 400);
+        }
+
+        const price = supplier.priceList.find(entry => entry.inventoryItem.toString() === inventoryItem._id.toString());
+        const unit = item.unit || price?.unit || inventoryItem.unit;
+        if (!SUPPORTED_UNITS.includes(unit)) {
+            throw new apiError(`Unsupported unit: ${unit}`, 400);
+        }
+        if (!canConvert(unit, inventoryItem.unit, inventoryItem)) {
+            throw new apiError(`Cannot convert ${unit} to ${inventoryItem.unit} for ${inventoryItem.name}`, 400);
+        }
+
+        let unitCost;
+        if (item.unitCost !== undefined && item.unitCost !== null && item.unitCost !== '') {
+            unitCost = Number(item.unitCost);
+            if (Number.isNaN(unitCost) || unitCost < 0) {
+                throw new apiError("Unit cost must be a non-negative number", 400);
+            }
+        } else if (price && canConvert(unit, price.unit, inventoryItem)) {
+            // Price list price per list unit -> price per order unit
+            unitCost = price.unitPrice * convertQuantity(1, unit, price.unit, inventoryItem);
+        } else {
+            unitCost = 0;
+        }
+
+        parsed.push({
+            inventoryItem: inventoryItem._id,
+            quantityOrdered,
+            unit,
+            unitCost
+        });
+    }
+
+    return parsed;
+};
+
+// Get all purchase orders
+const getAllPurchaseOrders = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, status, supplier, search } = req.query;
+
+    // Build filter object - filter by restaurant
+    const filter = {
+        restaurant: req.user.restaurant
+    };
+
+    if (status) {
+        filter.status = status;
+    }
+
+    if (supplier) {
+        filter.supplier = supplier;
+    }
+
+    if (search) {
+        filter.poNumber = { $regex: search, $options: 'i' };
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const total = await PurchaseOrder.countDocuments(filter);
+
+    const purchaseOrders = await populatePurchaseOrder(
+        PurchaseOrder.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limitNum)
+    );
+
+    // Create pagination response object
+    const paginatedResponse = {
+        docs: purchaseOrders,
+        totalDocs: total,
+        limit: limitNum,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < Math.ceil(total / limitNum) ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null
+    };
+
+    return res.status(200).json(
+        new apiResponse(200, paginatedResponse, "Purchase orders retrieved successfully")
+    );
+});
+
+// Get purchase order by ID
+const getPurchaseOrderById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const purchaseOrder = await populatePurchaseOrder(
+        PurchaseOrder.findOne({ _id: id, restaurant: req.user.restaurant })
+            .populate('receipts.receivedBy', 'fullname email')
+    );
+
+    if (!purchaseOrder) {
+        throw new apiError("Purchase order not found", 404);
+    }
+
+    return res.status(200).json(
+        new apiResponse(200, purchaseOrder, "Purchase order retrieved successfully")
+    );
+});
+
+// Create purchase order (as a draft)
+const createPurchaseOrder = asyncHandler(async (req, res) => {
+    const { supplier: supplierId, items, expectedDeliveryDate, notes } = req.body;
+
+    if (!supplierId) {
+        throw new apiError("Supplier is required", 400);
+    }
+
+    const supplier = await Supplier.findOne({ _id: supplierId, restaurant: req.user.restaurant });
+    if (!supplier) {
+        throw new apiError("Supplier not found", 404);
+    }
+    if (!supplier.isActive) {
+        throw new apiError("Cannot order from an inactive supplier", 400);
+    }
+
+    const purchaseOrder = await PurchaseOrder.create({
+        supplier: supplier._id,
+        items: await parseOrderItems(items, supplier, req.user.restaurant),
+        expectedDeliveryDate: expectedDeliveryDate ? new Date(expectedDeliveryDate) : undefined,
+        notes,
+        createdBy: req.user._id,
+        restaurant: req.user.restaurant
+    });
+
+    const createdOrder = await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id));
+
+    return res.status(201).json(
+        new apiResponse(201, createdOrder, "Purchase order created successfully")
+    );
+});
+
+// Create draft purchase orders from reorder suggestions, one per supplier
+// Without a body every current suggestion that has a supplier is ordered; pass
+// items: [{ inventoryItem, quantity, supplier }] to order a reviewed selection instead
+const createPurchaseOrdersFromSuggestions = asyncHandler(async (req, res) => {
+    const { items } = req.body || {};
+
+    let selection;
+    if (Array.isArray(items) && items.length > 0) {
+        selection = items.map(item => ({
+            inventoryItem: item?.inventoryItem,
+            quantity: item?.quantity,
+            supplier: item?.supplier
+        }));
+    } else {
+        const suggestions = await calculateReorderSuggestions(req.user.restaurant);
+        selection = suggestions
+            .filter(suggestion => suggestion.suggestedQuantity > 0)
+            .map(suggestion => ({
+                inventoryItem: suggestion.inventoryItem._id.toString(),
+                quantity: suggestion.suggestedQuantity,
+                supplier: suggestion.supplier?._id?.toString(),
+                name: suggestion.inventoryItem.name
+            }));
+    }
+
+    if (selection.length === 0) {
+        throw new apiError("No reorder suggestions to convert", 400);
+    }
+
+    // Group the lines by supplier; lines without one cannot be ordered
+    const linesBySupplier = new Map();
+    const skipped = [];
+    for (const line of selection) {
+        if (!line.supplier) {
+            skipped.push({ inventoryItem: line.inventoryItem, name: line.name, reason: "No supplier sells this item" });
+            continue;
+        }
+        const key = line.supplier.toString();
+        if (!linesBySupplier.has(key)) linesBySupplier.set(key, []);
+        linesBySupplier.get(key).push({ inventoryItem: line.inventoryItem, quantity: line.quantity });
+    }
+
+    if (linesBySupplier.size === 0) {
+        throw new apiError("None of the selected items has a supplier to order from", 400);
+    }
+
+    // Validate every supplier before creating anything
+    const suppliers = [];
+    for (const supplierId of linesBySupplier.keys()) {
+        const supplier = await Supplier.findOne({ _id: supplierId, restaurant: req.user.restaurant });
+        if (!supplier) {
+            throw new apiError(`Supplier ${supplierId} not found`, 404);
+        }
+        if (!supplier.isActive) {
+            throw new apiError(`Cannot order from inactive supplier ${supplier.name}`, 400);
+        }
+        suppliers.push({ supplier, items: await parseOrderItems(linesBySupplier.get(supplierId), supplier, req.user.restaurant) });
+    }
+
+    const createdOrders = [];
+    for (const { supplier, items: orderItems } of suppliers) {
+        const purchaseOrder = await PurchaseOrder.create({
+            supplier: supplier._id,
+            items: orderItems,
+            notes: "Created from reorder suggestions",
+            createdBy: req.user._id,
+            restaurant: req.user.restaurant
+        });
+        createdOrders.push(await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id)));
+    }
+
+    return res.status(201).json(
+        new apiResponse(201, { purchaseOrders: createdOrders, skipped }, `${createdOrders.length} draft purchase order(s) created from reorder suggestions`)
+    );
+});
+
+// Update purchase order (drafts only)
+const updatePurchaseOrder = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { supplier: supplierId, items, expectedDeliveryDate, notes } = req.body;
+
+    const purchaseOrder = await PurchaseOrder.findOne({ _id: id, restaurant: req.user.restaurant });
+    if (!purchaseOrder) {
+        throw new apiError("Purchase order not found", 404);
+    }
+    if (purchaseOrder.status !== 'draft') {
+        throw new apiError("Only draft purchase orders can be edited", 400);
+    }
+
+    const supplier = await Supplier.findOne({
+        _id: supplierId || purchaseOrder.supplier,
+        restaurant: req.user.restaurant
+    });
+    if (!supplier) {
+        throw new apiError("Supplier not found", 404);
+    }
+
+    purchaseOrder.supplier = supplier._id;
+    if (items !== undefined) {
+        purchaseOrder.items = await parseOrderItems(items, supplier, req.user.restaurant);
+    }
+    if (expectedDeliveryDate !== undefined) {
+        purchaseOrder.expectedDeliveryDate = expectedDeliveryDate ? new Date(expectedDeliveryDate) : undefined;
+    }
+    if (notes !== undefined) {
+        purchaseOrder.notes = notes;
+    }
+    purchaseOrder.updatedBy = req.user._id;
+    await purchaseOrder.save();
+
+    const updatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id));
+
+    return res.status(200).json(
+        new apiResponse(200, updatedOrder, "Purchase order updated successfully")
+    );
+});
+
+// Mark a draft purchase order as sent to the supplier
+const sendPurchaseOrder = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const purchaseOrder = await PurchaseOrder.findOne({ _id: id, restaurant: req.user.restaurant })
+        .populate('supplier', 'leadTimeDays');
+    if (!purchaseOrder) {
+        throw new apiError("Purchase order not found", 404);
+    }
+    if (purchaseOrder.status !== 'draft') {
+        throw new apiError("Only draft purchase orders can be sent", 400);
+    }
+
+    const now = new Date();
+    const update = {
+        status: 'sent',
+        sentAt: now,
+        updatedBy: req.user._id
+    };
+
+    // Expect delivery after the supplier's lead time unless a date was set
+    if (!purchaseOrder.expectedDeliveryDate) {
+        const expected = new Date(now);
+        expected.setDate(expected.getDate() + (purchaseOrder.supplier?.leadTimeDays || 0));
+        update.expectedDeliveryDate = expected;
+    }
+
+    // Only move on if no one else changed the status in the meantime
+    const sentOrder = await PurchaseOrder.findOneAndUpdate(
+        { _id: id, restaurant: req.user.restaurant, status: 'draft' },
+        update,
+        { new: true }
+    );
+    if (!sentOrder) {
+        throw new apiError("Purchase order status changed, please reload", 409);
+    }
+
+    const populatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(id));
+
+    return res.status(200).json(
+        new apiResponse(200, populatedOrder, "Purchase order sent successfully")
+    );
+});
+
+// Receive a delivery against a sent purchase order
+// Each delivered line becomes a lot and an Inventorylog row with the actual unit cost
+const receivePurchaseOrder = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { items, notes } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new apiError("At least one received item is required", 400);
+    }
+
+    const purchaseOrder = await PurchaseOrder.findOne({ _id: id, restaurant: req.user.restaurant })
+        .populate('supplier', 'name');
+    if (!purchaseOrder) {
+        throw new apiError("Purchase order not found", 404);
+    }
+    if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+        throw new apiError("Only sent or partially received purchase orders can be received", 400);
+    }
+
+    // STEP 1: Validate every delivered line before touching stock
+    const deliveries = [];
+    for (const received of items) {
+        const line = purchaseOrder.items.find(item =>
+            item._id.toString() === received?.lineId ||
+            item.inventoryItem.toString() === received?.inventoryItem
+        );
+        if (!line) {
+            throw new apiError(`Item ${received?.inventoryItem || received?.lineId} is not on this purchase order`, 400);
+        }
+
+        const quantity = Number(received.quantity);
+        if (Number.isNaN(quantity) || quantity < 0) {
+            throw new apiError("Received quantity must be a non-negative number", 400);
+        }
+        if (quantity === 0) continue;
+
+        const unitCost = received.unitCost !== undefined && received.unitCost !== null && received.unitCost !== ''
+            ? Number(received.unitCost)
+            : line.unitCost;
+        if (Number.isNaN(unitCost) || unitCost < 0) {
+            throw new apiError("Unit cost must be a non-negative number", 400);
+        }
+
+        const inventoryItem = await InventoryItem.findOne({ _id: line.inventoryItem, restaurant: req.user.restaurant });
+        if (!inventoryItem) {
+            throw new apiError(`Inventory item ${line.inventoryItem} not found`, 404);
+        }
+
+        // Stock is kept in the item's unit; the cost per stock unit follows from the line total
+        const stockQuantity = convertQuantity(quantity, line.unit, inventoryItem.unit, inventoryItem);
+        const stockUnitCost = stockQuantity > 0 ? (quantity * unitCost) / stockQuantity : unitCost;
+
+        let expiryDate;
+        if (received.expiryDate) {
+            expiryDate = new Date(received.expiryDate);
+            if (Number.isNaN(expiryDate.getTime())) {
+                throw new apiError(`Invalid expiry date for ${inventoryItem.name}`, 400);
+            }
+        } else if (requiresManualExpiryDate(inventoryItem.category)) {
+            expiryDate = getDefaultExpiryDate(inventoryItem.category);
+        } else {
+            expiryDate = calculateExpiryDate(inventoryItem.category, 'fresh');
+        }
+
+        if (received.lotNumber !== undefined && received.lotNumber !== null && typeof received.lotNumber !== 'string') {
+            throw new apiError("Lot number must be a string", 400);
+        }
+
+        deliveries.push({ line, inventoryItem, quantity, unitCost, stockQuantity, stockUnitCost, expiryDate, lotNumber: received.lotNumber });
+    }
+
+    if (deliveries.length === 0) {
+        throw new apiError("No quantities to receive", 400);
+    }
+
+    // STEP 2: Work out the receipt and the lots (not saved yet) and claim the delivery on the order.
+    // The claim only succeeds on the version that was read, so two people receiving at once
+    // cannot both add the stock.
+    const now = new Date();
+    const today = getTodayDate();
+    const receipt = {
+        receivedAt: now,
+        receivedBy: req.user._id,
+        notes,
+        items: []
+    };
+
+    for (const delivery of deliveries) {
+        const { line, inventoryItem, quantity, unitCost, stockQuantity, stockUnitCost, expiryDate, lotNumber } = delivery;
+
+        delivery.lot = new DailyInventoryEntry({
+            date: today,
+            inventoryItem: inventoryItem._id,
+            lotNumber: lotNumber || undefined,
+            quantity: stockQuantity,
+            remainingQuantity: stockQuantity,
+            cost: stockUnitCost,
+            expiryDate,
+            supplier: purchaseOrder.supplier?.name,
+            addedBy: req.user._id,
+            restaurant: req.user.restaurant
+        });
+
+        line.quantityReceived = (line.quantityReceived || 0) + quantity;
+        receipt.items.push({
+            inventoryItem: inventoryItem._id,
+            quantity,
+            unitCost,
+            lot: delivery.lot._id,
+            lotNumber: delivery.lot.lotNumber,
+            expiryDate
+        });
+    }
+
+    const fullyReceived = purchaseOrder.items.every(item => (item.quantityReceived || 0) >= item.quantityOrdered);
+    const claimedOrder = await PurchaseOrder.findOneAndUpdate(
+        {
+            _id: purchaseOrder._id,
+            restaurant: req.user.restaurant,
+            status: purchaseOrder.status,
+            __v: purchaseOrder.__v
+        },
+        {
+            $set: {
+                items: purchaseOrder.items.map(item => item.toObject()),
+                status: fullyReceived ? 'received' : 'partially_received',
+                ...(fullyReceived && { receivedAt: now }),
+                updatedBy: req.user._id
+            },
+            $push: { receipts: receipt },
+            $inc: { __v: 1 }
+        }
+    );
+    if (!claimedOrder) {
+        throw new apiError("This purchase order was changed while the delivery was being entered. Reload it and try again.", 409);
+    }
+
+    // STEP 3: Add the stock, save the lot and log the intake for each delivered line
+    for (const delivery of deliveries) {
+        const { inventoryItem, stockQuantity, stockUnitCost, lot } = delivery;
+
+        await InventoryItem.findByIdAndUpdate(inventoryItem._id, {
+            $inc: { currentStock: stockQuantity },
+            cost: stockUnitCost, // Latest actual purchase cost
+            lastUpdatedBy: req.user._id
+        });
+
+        await lot.save();
+
+        await Inventorylog.create({
+            ingredient: inventoryItem._id,
+            change: stockQuantity,
+            reason: `Received on ${purchaseOrder.poNumber}${purchaseOrder.supplier?.name ? ` from ${purchaseOrder.supplier.name}` : ''}`,
+            date: now,
+            unitCost: stockUnitCost,
+            purchaseOrder: purchaseOrder._id,
+            restaurant: req.user.restaurant
+        });
+
+        await refreshItemExpiry(inventoryItem._id);
+
+        // The received price is the item's new cost, so recost the recipes that use it
+        if (stockUnitCost !== inventoryItem.cost) {
+            await recostMenuItemsUsingIngredient(inventoryItem._id, req.user.restaurant, `${inventoryItem.name} received at a new cost on ${purchaseOrder.poNumber}`);
+        }
+    }
+
+    const populatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(id));
+
+    return res.status(200).json(
+        new apiResponse(200, populatedOrder, fullyReceived ? "Purchase order fully received" : "Delivery received, purchase order partially received")
+    );
+});
+
+// Cancel a draft or sent purchase order
+const cancelPurchaseOrder = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const cancelledOrder = await PurchaseOrder.findOneAndUpdate(
+        { _id: id, restaurant: req.user.restaurant, status: { $in: ['draft', 'sent'] } },
+        { status: 'cancelled', updatedBy: req.user._id },
+        { new: true }
+    );
+
+    if (!cancelledOrder) {
+        const exists = await PurchaseOrder.exists({ _id: id, restaurant: req.user.restaurant });
+        if (!exists) {
+            throw new apiError("Purchase order not found", 404);
+        }
+        throw new apiError("Only draft or sent purchase orders can be cancelled", 400);
+    }
+
+    const populatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(id));
+
+    return res.status(200).json(
+        new apiResponse(200, populatedOrder, "Purchase order cancelled successfully")
+    );
+});
+
+// Delete purchase order (drafts only)
+const deletePurchaseOrder = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const purchaseOrder = await PurchaseOrder.findOne({ _id: id, restaurant: req.user.restaurant });
+    if (!purchaseOrder) {
+        throw new apiError("Purchase order not found", 404);
+    }
+    if (purchaseOrder.status !== 'draft') {
+        throw new apiError("Only draft purchase orders can be deleted", 400);
+    }
+
+    await PurchaseOrder.deleteOne({ _id: id });
+
+    return res.status(200).json(
+        new apiResponse(200, {}, "Purchase order deleted successfully")
+    );
+});
+
+export {
+    getAllPurchaseOrders,
+    getPurchaseOrderById,
+    createPurchaseOrder,
+    createPurchaseOrdersFromSuggestions,
+    updatePurchaseOrder,
+    sendPurchaseOrder,
+    receivePurchaseOrder,
+    cancelPurchaseOrder,
+    deletePurchaseOrder
+};
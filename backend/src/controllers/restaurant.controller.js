@@ -0,0 +1,48 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { RestaurantProfile } from "../models/restaurant/restaurantProfile.model.js";
+import { syncJobTimeZone } from "../utils/jobScheduler.js";
+
+// Profile fields an admin can change; the invoice counter is only moved by issuing invoices
+const EDITABLE_PROFILE_FIELDS = [
+    'name', 'address', 'phone', 'email', 'taxId', 'currencySymbol', 'invoicePrefix', 'receiptFooter', 'timezone',
+    'taxLabel', 'pricesIncludeTax', 'taxRate', 'categoryTaxRates',
+    'serviceChargeRate', 'serviceChargeLabel', 'serviceChargeOrderTypes', 'serviceChargeTaxable'
+];
+
+// Get the restaurant's profile (defaults until it is first saved)
+const getRestaurantProfile = asyncHandler(async (req, res) => {
+    const profile = await RestaurantProfile.findOne({ restaurant: req.user.restaurant })
+        || new RestaurantProfile({ restaurant: req.user.restaurant });
+
+    return res.status(200).json(
+        new apiResponse(200, profile, "Restaurant profile retrieved successfully")
+    );
+});
+
+// Update the restaurant's profile; invoices already issued keep the details they were issued with,
+// new tax settings apply to orders created or repriced from now on, and the scheduled jobs follow
+// a new time zone straight away
+const updateRestaurantProfile = asyncHandler(async (req, res) => {
+    const updates = {};
+    for (const field of EDITABLE_PROFILE_FIELDS) {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const profile = await RestaurantProfile.findOneAndUpdate(
+        { restaurant: req.user.restaurant },
+        { $set: { ...updates, updatedBy: req.user._id } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await syncJobTimeZone(req.user.restaurant, profile.timezone);
+
+    return res.status(200).json(
+        new apiResponse(200, profile, "Restaurant profile updated successfully")
+    );
+});
+
+export {
+    getRestaurantProfile,
+    updateRestaurantProfile
+};
@@ -1,73 +1,82 @@
+import mongoose from "mongoose";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { apiError } from "../utils/apiError.js";
 import { apiResponse } from "../utils/apiResponse.js";
 import { Sales } from "../models/demand/salesData.model.js";
 import { MenuItem } from "../models/menu/menuItem.model.js";
 import { Order } from "../models/order/order.model.js";
+import { forecastSales } from "../utils/salesForecaster.js";
+import { getExportFormat, streamExport } from "../utils/exporter.js";
+import { SALES_FORECAST_DEFAULT_DAYS, SALES_FORECAST_MAX_DAYS } from "../../constant.js";
+
+// Helper function to build the sales analytics date filter; the export uses the same filters
+const buildSalesDateFilter = (query, now) => {
+    const { startDate, endDate, period = '30d' } = query;
 
-// Get comprehensive sales analytics
-const getSalesAnalytics = asyncHandler(async (req, res) => {
-    const { startDate, endDate, period = '30d' } = req.query;
-    
     // Calculate date range based on period
-    let dateFilter = {};
-    const now = new Date();
-    
     if (startDate && endDate) {
-        dateFilter = {
+        return {
             saleDate: {
                 $gte: new Date(startDate),
                 $lte: new Date(endDate)
             }
         };
-    } else {
-        // Default to last 30 days
-        const daysBack = period === '7d' ? 7 : period === '30d' ? 30 : period === '90d' ? 90 : 30;
-        const startDate = new Date(now.getTime() - (daysBack * 24 * 60 * 60 * 1000));
-        dateFilter = {
-            saleDate: { $gte: startDate }
-        };
     }
 
+    // Default to last 30 days
+    const daysBack = period === '7d' ? 7 : period === '30d' ? 30 : period === '90d' ? 90 : 30;
+    return {
+        saleDate: { $gte: new Date(now.getTime() - (daysBack * 24 * 60 * 60 * 1000)) }
+    };
+};
+
+// Helper function to build the per-menu-item sales pipeline, best sellers first
+const salesByMenuItemPipeline = (match) => [
+    { $match: match },
+    {
+        $lookup: {
+            from: 'menuitems',
+            localField: 'product',
+            foreignField: '_id',
+            as: 'menuItem'
+        }
+    },
+    { $unwind: '$menuItem' },
+    {
+        $group: {
+            _id: '$product',
+            totalQuantitySold: { $sum: '$quantitySold' },
+            totalSales: { $sum: { $multiply: ['$quantitySold', '$menuItem.suggestedPrice'] } },
+            totalCost: { $sum: { $multiply: ['$quantitySold', '$menuItem.baseCost'] } },
+            menuItem: { $first: '$menuItem' },
+            salesCount: { $sum: 1 }
+        }
+    },
+    {
+        $addFields: {
+            profitMargin: {
+                $multiply: [
+                    { $divide: [{ $subtract: ['$totalSales', '$totalCost'] }, '$totalSales'] },
+                    100
+                ]
+            },
+            profitAmount: { $subtract: ['$totalSales', '$totalCost'] }
+        }
+    },
+    { $sort: { totalSales: -1 } }
+];
+
+// Get comprehensive sales analytics
+const getSalesAnalytics = asyncHandler(async (req, res) => {
+    const now = new Date();
+    const dateFilter = buildSalesDateFilter(req.query, now);
+
     // Get sales data with menu item details
-    const salesData = await Sales.aggregate([
-        { $match: dateFilter },
-        {
-            $lookup: {
-                from: 'menuitems',
-                localField: 'product',
-                foreignField: '_id',
-                as: 'menuItem'
-            }
-        },
-        { $unwind: '$menuItem' },
-        {
-            $group: {
-                _id: '$product',
-                totalQuantitySold: { $sum: '$quantitySold' },
-                totalSales: { $sum: { $multiply: ['$quantitySold', '$menuItem.suggestedPrice'] } },
-                totalCost: { $sum: { $multiply: ['$quantitySold', '$menuItem.baseCost'] } },
-                menuItem: { $first: '$menuItem' },
-                salesCount: { $sum: 1 }
-            }
-        },
-        {
-            $addFields: {
-                profitMargin: {
-                    $multiply: [
-                        { $divide: [{ $subtract: ['$totalSales', '$totalCost'] }, '$totalSales'] },
-                        100
-                    ]
-                },
-                profitAmount: { $subtract: ['$totalSales', '$totalCost'] }
-            }
-        },
-        { $sort: { totalSales: -1 } }
-    ]);
+    const salesData = await Sales.aggregate(salesByMenuItemPipeline({ ...dateFilter, restaurant: req.user.restaurant }));
 
     // Get overall statistics
     const overallStats = await Sales.aggregate([
-        { $match: dateFilter },
+        { $match: { ...dateFilter, restaurant: req.user.restaurant } },
         {
             $lookup: {
                 from: 'menuitems',
@@ -124,6 +133,30 @@ const getSalesAnalytics = asyncHandler(async (req, res) => {
     );
 });
 
+// Export sales analytics per menu item as CSV, XLSX or PDF (?format=), with the same filters
+const exportSalesAnalytics = asyncHandler(async (req, res) => {
+    const format = getExportFormat(req.query);
+    const dateFilter = buildSalesDateFilter(req.query, new Date());
+
+    const cursor = Sales.aggregate(salesByMenuItemPipeline({ ...dateFilter, restaurant: req.user.restaurant })).cursor();
+
+    await streamExport(res, {
+        format,
+        filename: 'sales_analytics_export',
+        title: 'Sales Analytics',
+        columns: [
+            { header: 'Menu Item', value: row => row.menuItem.name, width: 2 },
+            { header: 'Quantity Sold', value: row => row.totalQuantitySold, type: 'number' },
+            { header: 'Sales Records', value: row => row.salesCount, type: 'number' },
+            { header: 'Sales', value: row => row.totalSales, type: 'money' },
+            { header: 'Cost', value: row => row.totalCost, type: 'money' },
+            { header: 'Profit', value: row => row.profitAmount, type: 'money' },
+            { header: 'Profit Margin (%)', value: row => (row.profitMargin === null ? null : Math.round(row.profitMargin * 100) / 100), type: 'number' }
+        ],
+        rows: cursor
+    });
+});
+
 // Get sales trends over time
 const getSalesTrends = asyncHandler(async (req, res) => {
     const { period = '30d', groupBy = 'day' } = req.query;
@@ -156,7 +189,8 @@ const getSalesTrends = asyncHandler(async (req, res) => {
     const trends = await Sales.aggregate([
         {
             $match: {
-                saleDate: { $gte: startDate }
+                saleDate: { $gte: startDate },
+                restaurant: req.user.restaurant
             }
         },
         {
@@ -228,7 +262,8 @@ const getTopProducts = asyncHandler(async (req, res) => {
     const topProducts = await Sales.aggregate([
         {
             $match: {
-                saleDate: { $gte: startDate }
+                saleDate: { $gte: startDate },
+                restaurant: req.user.restaurant
             }
         },
         {
@@ -288,7 +323,8 @@ const getSalesByCategory = asyncHandler(async (req, res) => {
     const salesByDay = await Sales.aggregate([
         {
             $match: {
-                saleDate: { $gte: startDate }
+                saleDate: { $gte: startDate },
+                restaurant: req.user.restaurant
             }
         },
         {
@@ -315,7 +351,8 @@ const getSalesByCategory = asyncHandler(async (req, res) => {
     const salesBySeason = await Sales.aggregate([
         {
             $match: {
-                saleDate: { $gte: startDate }
+                saleDate: { $gte: startDate },
+                restaurant: req.user.restaurant
             }
         },
         {
@@ -343,7 +380,8 @@ const getSalesByCategory = asyncHandler(async (req, res) => {
         {
             $match: {
                 createdAt: { $gte: startDate },
-                status: 'delivered'
+                status: 'delivered',
+                restaurant: req.user.restaurant
             }
         },
         {
@@ -378,7 +416,8 @@ const getProfitMarginAnalysis = asyncHandler(async (req, res) => {
     const profitAnalysis = await Sales.aggregate([
         {
             $match: {
-                saleDate: { $gte: startDate }
+                saleDate: { $gte: startDate },
+                restaurant: req.user.restaurant
             }
         },
         {
@@ -459,10 +498,172 @@ const getProfitMarginAnalysis = asyncHandler(async (req, res) => {
     );
 });
 
+// Suggested action for each menu engineering class
+const MENU_ENGINEERING_ACTIONS = {
+    star: {
+        action: 'keep',
+        suggestion: 'Keep: protect quality and portion, give it the best menu placement'
+    },
+    plowhorse: {
+        action: 'reprice',
+        suggestion: 'Reprice: raise the price slightly or lower the recipe cost (portion, ingredients)'
+    },
+    puzzle: {
+        action: 'reposition',
+        suggestion: 'Reposition: promote it, rename or describe it better, move it to a more visible spot'
+    },
+    dog: {
+        action: 'remove',
+        suggestion: 'Remove or rework: replace it, or redesign it so it can become a plowhorse or puzzle'
+    }
+};
+
+// Get menu engineering report (popularity x contribution margin matrix)
+// Popularity is high when an item's menu mix share is at least 70% of an equal share (1/N);
+// contribution margin is high when it is at least the sales-weighted average margin
+const getMenuEngineeringReport = asyncHandler(async (req, res) => {
+    const { period = '30d', startDate: from, endDate: to } = req.query;
+
+    const now = new Date();
+    let startDate;
+    let endDate = now;
+    if (from || to) {
+        startDate = from ? new Date(from) : new Date(0);
+        endDate = to ? new Date(to) : now;
+        if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime()) || startDate > endDate) {
+            throw new apiError("startDate and endDate must be valid dates with startDate before endDate", 400);
+        }
+        // Include the whole end day
+        if (to) endDate.setHours(23, 59, 59, 999);
+    } else {
+        const daysBack = period === '7d' ? 7 : period === '30d' ? 30 : period === '90d' ? 90 : 30;
+        startDate = new Date(now.getTime() - (daysBack * 24 * 60 * 60 * 1000));
+    }
+
+    const [salesByItem, menuItems] = await Promise.all([
+        Sales.aggregate([
+            {
+                $match: {
+                    saleDate: { $gte: startDate, $lte: endDate },
+                    restaurant: req.user.restaurant
+                }
+            },
+            {
+                $group: {
+                    _id: '$product',
+                    quantitySold: { $sum: '$quantitySold' }
+                }
+            }
+        ]),
+        MenuItem.find({ restaurant: req.user.restaurant }).select('name baseCost suggestedPrice isAvailable')
+    ]);
+
+    const soldById = new Map(salesByItem.map(entry => [entry._id.toString(), entry.quantitySold]));
+
+    // Every menu item takes part, items that did not sell at all are the clearest dogs
+    const rows = menuItems.map(item => {
+        const quantitySold = soldById.get(item._id.toString()) || 0;
+        const contributionMargin = (item.suggestedPrice || 0) - (item.baseCost || 0);
+        return {
+            menuItem: { _id: item._id, name: item.name, isAvailable: item.isAvailable },
+            quantitySold,
+            price: item.suggestedPrice || 0,
+            cost: item.baseCost || 0,
+            contributionMargin: Math.round(contributionMargin * 100) / 100,
+            totalContribution: Math.round(contributionMargin * quantitySold * 100) / 100,
+            revenue: Math.round((item.suggestedPrice || 0) * quantitySold * 100) / 100
+        };
+    });
+
+    const totalQuantity = rows.reduce((sum, row) => sum + row.quantitySold, 0);
+    const totalContribution = rows.reduce((sum, row) => sum + row.contributionMargin * row.quantitySold, 0);
+    const itemCount = rows.length;
+
+    const popularityThreshold = itemCount > 0 ? (100 / itemCount) * 0.7 : 0;
+    const averageContributionMargin = totalQuantity > 0
+        ? totalContribution / totalQuantity
+        : (itemCount > 0 ? rows.reduce((sum, row) => sum + row.contributionMargin, 0) / itemCount : 0);
+
+    const summary = { star: 0, plowhorse: 0, puzzle: 0, dog: 0 };
+    const items = rows.map(row => {
+        const menuMix = totalQuantity > 0 ? (row.quantitySold / totalQuantity) * 100 : 0;
+        const highPopularity = totalQuantity > 0 && menuMix >= popularityThreshold;
+        const highMargin = row.contributionMargin >= averageContributionMargin;
+
+        let classification;
+        if (highPopularity && highMargin) classification = 'star';
+        else if (highPopularity) classification = 'plowhorse';
+        else if (highMargin) classification = 'puzzle';
+        else classification = 'dog';
+        summary[classification]++;
+
+        return {
+            ...row,
+            menuMix: Math.round(menuMix * 100) / 100,
+            classification,
+            ...MENU_ENGINEERING_ACTIONS[classification]
+        };
+    }).sort((a, b) => b.totalContribution - a.totalContribution);
+
+    return res.status(200).json(
+        new apiResponse(200, {
+            items,
+            thresholds: {
+                popularityThreshold: Math.round(popularityThreshold * 100) / 100,
+                averageContributionMargin: Math.round(averageContributionMargin * 100) / 100
+            },
+            summary,
+            totals: {
+                itemsSold: totalQuantity,
+                totalContribution: Math.round(totalContribution * 100) / 100
+            },
+            period: from || to ? 'custom' : period,
+            startDate,
+            endDate
+        }, "Menu engineering report retrieved successfully")
+    );
+});
+
+// Forecast units sold per menu item for the next days
+// Uses the sales prediction service when it is up, otherwise a weekday heuristic
+const getSalesForecast = asyncHandler(async (req, res) => {
+    const { days, menuItem, method, weather } = req.query;
+
+    const dayCount = days === undefined ? SALES_FORECAST_DEFAULT_DAYS : parseInt(days);
+    if (!Number.isInteger(dayCount) || dayCount < 1 || dayCount > SALES_FORECAST_MAX_DAYS) {
+        throw new apiError(`days must be between 1 and ${SALES_FORECAST_MAX_DAYS}`, 400);
+    }
+    if (method && !['model', 'heuristic'].includes(method)) {
+        throw new apiError("method must be 'model' or 'heuristic'", 400);
+    }
+    if (menuItem && !mongoose.Types.ObjectId.isValid(menuItem)) {
+        throw new apiError("Invalid menu item ID", 400);
+    }
+    if (weather && !['Sunny', 'Cloudy', 'Rainy'].includes(weather)) {
+        throw new apiError("weather must be 'Sunny', 'Cloudy' or 'Rainy'", 400);
+    }
+
+    const forecast = await forecastSales(req.user.restaurant, {
+        days: dayCount,
+        menuItemId: menuItem || null,
+        useModel: method !== 'heuristic',
+        ...(weather && { weather })
+    });
+
+    return res.status(200).json(
+        new apiResponse(200, forecast, forecast.fallbackReason && method !== 'heuristic'
+            ? "Sales forecast retrieved with the heuristic fallback"
+            : "Sales forecast retrieved successfully")
+    );
+});
+
 export {
     getSalesAnalytics,
+    exportSalesAnalytics,
     getSalesTrends,
     getTopProducts,
     getSalesByCategory,
-    getProfitMarginAnalysis
+    getProfitMarginAnalysis,
+    getMenuEngineeringReport,
+    getSalesForecast
 };
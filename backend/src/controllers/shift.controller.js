@@ -0,0 +1,221 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Shift } from "../models/labor/shift.model.js";
+import { User } from "../models/auth/user.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to parse and check a shift's start and end
+const parseShiftTimes = (startTime, endTime) => {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (!startTime || !endTime || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        throw new apiError("Valid start and end times are required", 400);
+    }
+    if (end <= start) {
+        throw new apiError("A shift must end after it starts", 400);
+    }
+    if (end - start > DAY_MS) {
+        throw new apiError("A shift cannot be longer than 24 hours", 400);
+    }
+    return { start, end };
+};
+
+// Helper function to find an active user of the restaurant to schedule
+const findSchedulableEmployee = async (employeeId, restaurant) => {
+    const employee = await User.findOne({ _id: employeeId, restaurant, isActive: { $ne: false } })
+        .select('fullname role hourlyRate');
+
+    if (!employee) {
+        throw new apiError("Employee not found or deactivated", 404);
+    }
+    return employee;
+};
+
+// Helper function to reject a shift that overlaps another shift of the same user
+const ensureNoOverlap = async ({ employee, start, end, restaurant, excludeId }) => {
+    const overlapping = await Shift.findOne({
+        restaurant,
+        employee,
+        startTime: { $lt: end },
+        endTime: { $gt: start },
+        ...(excludeId ? { _id: { $ne: excludeId } } : {})
+    });
+
+    if (overlapping) {
+        throw new apiError(
+            `Overlaps another shift from ${overlapping.startTime.toISOString()} to ${overlapping.endTime.toISOString()}`,
+            409
+        );
+    }
+};
+
+// Get the shifts in a period (defaults to the next 7 days)
+const getShifts = asyncHandler(async (req, res) => {
+    const { from, to, employee } = req.query;
+
+    const start = from ? new Date(from) : new Date(new Date().setHours(0, 0, 0, 0));
+    const end = to ? new Date(to) : new Date(start.getTime() + 7 * DAY_MS);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+        throw new apiError("Invalid period", 400);
+    }
+    if (end - start > 31 * DAY_MS) {
+        throw new apiError("The period cannot be longer than 31 days", 400);
+    }
+
+    const filter = {
+        restaurant: req.user.restaurant,
+        startTime: { $lt: end },
+        endTime: { $gt: start }
+    };
+    if (employee) {
+        filter.employee = employee;
+    }
+
+    const [shifts, employees] = await Promise.all([
+        Shift.find(filter)
+            .populate('employee', 'fullname role avatar')
+            .sort({ startTime: 1 }),
+        // Everyone who can be scheduled, so the schedule can show a row per person
+        User.find({ restaurant: req.user.restaurant, isActive: { $ne: false } })
+            .select('fullname role avatar')
+            .sort({ fullname: 1 })
+    ]);
+
+    return res.status(200).json(
+        new apiResponse(200, { from: start, to: end, shifts, employees }, "Shifts retrieved successfully")
+    );
+});
+
+// Create shift
+const createShift = asyncHandler(async (req, res) => {
+    const { employee, startTime, endTime, position, notes } = req.body;
+
+    if (!employee) {
+        throw new apiError("Employee is required", 400);
+    }
+
+    const { start, end } = parseShiftTimes(startTime, endTime);
+    const scheduled = await findSchedulableEmployee(employee, req.user.restaurant);
+    await ensureNoOverlap({ employee: scheduled._id, start, end, restaurant: req.user.restaurant });
+
+    const shift = await Shift.create({
+        employee: scheduled._id,
+        startTime: start,
+        endTime: end,
+        position: position || '',
+        notes: notes || '',
+        createdBy: req.user._id,
+        restaurant: req.user.restaurant
+    });
+
+    await shift.populate('employee', 'fullname role avatar');
+
+    return res.status(201).json(
+        new apiResponse(201, shift, "Shift created successfully")
+    );
+});
+
+// Update shift
+const updateShift = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { employee, startTime, endTime, position, notes } = req.body;
+
+    const shift = await Shift.findOne({ _id: id, restaurant: req.user.restaurant });
+    if (!shift) {
+        throw new apiError("Shift not found", 404);
+    }
+
+    const { start, end } = parseShiftTimes(startTime ?? shift.startTime, endTime ?? shift.endTime);
+    const employeeId = employee
+        ? (await findSchedulableEmployee(employee, req.user.restaurant))._id
+        : shift.employee;
+    await ensureNoOverlap({ employee: employeeId, start, end, restaurant: req.user.restaurant, excludeId: shift._id });
+
+    shift.employee = employeeId;
+    shift.startTime = start;
+    shift.endTime = end;
+    if (position !== undefined) shift.position = position;
+    if (notes !== undefined) shift.notes = notes;
+    await shift.save();
+
+    await shift.populate('employee', 'fullname role avatar');
+
+    return res.status(200).json(
+        new apiResponse(200, shift, "Shift updated successfully")
+    );
+});
+
+// Delete shift
+const deleteShift = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const shift = await Shift.findOneAndDelete({ _id: id, restaurant: req.user.restaurant });
+    if (!shift) {
+        throw new apiError("Shift not found", 404);
+    }
+
+    return res.status(200).json(
+        new apiResponse(200, {}, "Shift deleted successfully")
+    );
+});
+
+// Copy a week's shifts to another week (shifts that would overlap existing ones are skipped)
+const copyWeek = asyncHandler(async (req, res) => {
+    const { fromWeekStart, toWeekStart } = req.body;
+
+    const source = new Date(fromWeekStart);
+    const target = new Date(toWeekStart);
+    if (!fromWeekStart || !toWeekStart || Number.isNaN(source.getTime()) || Number.isNaN(target.getTime())) {
+        throw new apiError("Valid fromWeekStart and toWeekStart are required", 400);
+    }
+
+    const shiftBy = target - source;
+    if (shiftBy === 0) {
+        throw new apiError("The weeks must be different", 400);
+    }
+
+    const shifts = await Shift.find({
+        restaurant: req.user.restaurant,
+        startTime: { $gte: source, $lt: new Date(source.getTime() + 7 * DAY_MS) }
+    });
+
+    const created = [];
+    const skipped = [];
+    for (const shift of shifts) {
+        const start = new Date(shift.startTime.getTime() + shiftBy);
+        const end = new Date(shift.endTime.getTime() + shiftBy);
+
+        try {
+            await findSchedulableEmployee(shift.employee, req.user.restaurant);
+            await ensureNoOverlap({ employee: shift.employee, start, end, restaurant: req.user.restaurant });
+        } catch (error) {
+            skipped.push({ shift: shift._id, reason: error.message });
+            continue;
+        }
+
+        created.push(await Shift.create({
+            employee: shift.employee,
+            startTime: start,
+            endTime: end,
+            position: shift.position,
+            notes: shift.notes,
+            createdBy: req.user._id,
+            restaurant: req.user.restaurant
+        }));
+    }
+
+    return res.status(201).json(
+        new apiResponse(201, { createdCount: created.length, skipped }, `Copied ${created.length} shift(s)`)
+    );
+});
+
+export {
+    getShifts,
+    createShift,
+    updateShift,
+    deleteShift,
+    copyWeek
+};
@@ -0,0 +1,421 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Stocktake } from "../models/inventory/stocktake.model.js";
+import { StocktakeCount } from "../models/inventory/stocktakeCount.model.js";
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { computeVariance, summarizeCounts, postStocktakeAdjustments } from "../utils/stocktake.js";
+import { publishEvent } from "../utils/eventBus.js";
+
+const STORAGE_CONDITIONS = InventoryItem.schema.path('storageCondition').enumValues;
+
+// Helper function to find a stocktake of the restaurant
+const findStocktake = async (id, restaurant) => {
+    const stocktake = await Stocktake.findOne({ _id: id, restaurant });
+    if (!stocktake) {
+        throw new apiError("Stocktake not found", 404);
+    }
+    return stocktake;
+};
+
+// Helper function to reject changes to a stocktake that is no longer being counted
+const ensureCounting = (stocktake) => {
+    if (stocktake.status !== 'counting') {
+        throw new apiError(`Stocktake is ${stocktake.status}; counts can no longer change`, 409);
+    }
+};
+
+// Helper function to build the filter for the items a stocktake covers
+const getItemScope = (stocktake) => ({
+    restaurant: stocktake.restaurant,
+    ...(stocktake.storageConditions.length > 0 && { storageCondition: { $in: stocktake.storageConditions } })
+});
+
+// Get the restaurant's stocktakes, latest first
+const getStocktakes = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const filter = {
+        restaurant: req.user.restaurant
+    };
+
+    if (status) {
+        filter.status = status;
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const total = await Stocktake.countDocuments(filter);
+
+    const stocktakes = await Stocktake.find(filter)
+        .populate('startedBy', 'fullname')
+        .populate('approvedBy', 'fullname')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum);
+
+    // Create pagination response object
+    const paginatedResponse = {
+        docs: stocktakes,
+        totalDocs: total,
+        limit: limitNum,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < Math.ceil(total / limitNum) ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null
+    };
+
+    return res.status(200).json(
+        new apiResponse(200, paginatedResponse, "Stocktakes retrieved successfully")
+    );
+});
+
+// Start a stocktake of all items or of some storage areas
+const startStocktake = asyncHandler(async (req, res) => {
+    const { name, storageConditions = [], notes } = req.body;
+
+    if (!Array.isArray(storageConditions)) {
+        throw new apiError("Storage conditions must be an array", 400);
+    }
+    const unknown = storageConditions.filter(condition => !STORAGE_CONDITIONS.includes(condition));
+    if (unknown.length > 0) {
+        throw new apiError(`Unknown storage condition(s): ${unknown.join(', ')}`, 400);
+    }
+
+    let stocktake;
+    try {
+        stocktake = await Stocktake.create({
+            name: name || `Stocktake ${new Date().toLocaleDateString('en-CA')}`,
+            storageConditions: [...new Set(storageConditions)],
+            notes: notes || '',
+            startedBy: req.user._id,
+            restaurant: req.user.restaurant
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new apiError("Another stocktake is being counted; approve or cancel it first", 409);
+        }
+        throw error;
+    }
+
+    return res.status(201).json(
+        new apiResponse(201, stocktake, "Stocktake started successfully")
+    );
+});
+
+// Get a stocktake with its count sheet
+// While counting, every item in scope is listed with its count (if any) and current stock;
+// once closed, only the counted items are listed
+const getStocktake = asyncHandler(async (req, res) => {
+    const stocktake = await findStocktake(req.params.id, req.user.restaurant);
+    await stocktake.populate([
+        { path: 'startedBy', select: 'fullname' },
+        { path: 'approvedBy', select: 'fullname' },
+        { path: 'cancelledBy', select: 'fullname' }
+    ]);
+
+    const counts = await StocktakeCount.find({ stocktake: stocktake._id })
+        .populate('inventoryItem', 'name category unit storageCondition currentStock cost')
+        .populate('countedBy', 'fullname');
+    const countByItem = new Map(counts.map(count => [String(count.inventoryItem?._id), count]));
+
+    let lines;
+    if (stocktake.status === 'counting') {
+        const items = await InventoryItem.find(getItemScope(stocktake))
+            .select('name category unit storageCondition currentStock cost')
+            .sort({ storageCondition: 1, name: 1 });
+
+        lines = items.map(item => ({ inventoryItem: item, count: countByItem.get(String(item._id)) || null }));
+
+        // Items counted here but moved to another area since
+        const listed = new Set(items.map(item => String(item._id)));
+        for (const count of counts) {
+            if (count.inventoryItem && !listed.has(String(count.inventoryItem._id))) {
+                lines.push({ inventoryItem: count.inventoryItem, count });
+            }
+        }
+    } else {
+        lines = counts.map(count => ({ inventoryItem: count.inventoryItem, count }));
+    }
+
+    const summary = {
+        ...summarizeCounts(counts),
+        totalItems: lines.length
+    };
+
+    return res.status(200).json(
+        new apiResponse(200, { stocktake, lines, summary }, "Stocktake retrieved successfully")
+    );
+});
+
+// Record counted quantities; any number of devices can send counts for the same stocktake
+// A recount replaces the earlier count of the item
+const recordCounts = asyncHandler(async (req, res) => {
+    const { counts } = req.body;
+
+    if (!Array.isArray(counts) || counts.length === 0) {
+        throw new apiError("At least one count is required", 400);
+    }
+
+    const stocktake = await findStocktake(req.params.id, req.user.restaurant);
+    ensureCounting(stocktake);
+
+    const recorded = [];
+    for (const entry of counts) {
+        const countedQuantity = Number(entry.countedQuantity);
+        if (entry.countedQuantity === '' || entry.countedQuantity === null || Number.isNaN(countedQuantity) || countedQuantity < 0) {
+            throw new apiError("Counted quantity must be a non-negative number", 400);
+        }
+
+        const item = await InventoryItem.findOne({ _id: entry.inventoryItem, ...getItemScope(stocktake) });
+        if (!item) {
+            throw new apiError(`Inventory item ${entry.inventoryItem} is not part of this stocktake`, 404);
+        }
+
+        const unitCost = item.cost || 0;
+        const { variance, varianceCost } = computeVariance(countedQuantity, item.currentStock, unitCost);
+
+        const count = await StocktakeCount.findOneAndUpdate(
+            { stocktake: stocktake._id, inventoryItem: item._id },
+            {
+                $set: {
+                    storageCondition: item.storageCondition,
+                    countedQuantity,
+                    expectedQuantity: item.currentStock,
+                    unit: item.unit,
+                    variance,
+                    unitCost,
+                    varianceCost,
+                    notes: entry.notes || '',
+                    countedBy: req.user._id,
+                    countedAt: new Date()
+                },
+                $setOnInsert: { restaurant: req.user.restaurant }
+            },
+            { upsert: true, new: true, runValidators: true }
+        ).populate('countedBy', 'fullname');
+
+        recorded.push(count);
+    }
+
+    publishEvent(req.user.restaurant, 'stocktake.counted', { stocktake: stocktake._id, counts: recorded });
+
+    return res.status(200).json(
+        new apiResponse(200, recorded, "Counts recorded successfully")
+    );
+});
+
+// Remove the count of an item (e.g. entered for the wrong item)
+const deleteCount = asyncHandler(async (req, res) => {
+    const { id, inventoryItemId } = req.params;
+
+    const stocktake = await findStocktake(id, req.user.restaurant);
+    ensureCounting(stocktake);
+
+    const count = await StocktakeCount.findOneAndDelete({ stocktake: stocktake._id, inventoryItem: inventoryItemId });
+    if (!count) {
+        throw new apiError("Count not found", 404);
+    }
+
+    publishEvent(req.user.restaurant, 'stocktake.counted', { stocktake: stocktake._id, removed: [inventoryItemId] });
+
+    return res.status(200).json(
+        new apiResponse(200, null, "Count removed successfully")
+    );
+});
+
+// Approve a stocktake: post every variance as a stock adjustment
+// Items that were not counted keep their stock
+const approveStocktake = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const existing = await findStocktake(id, req.user.restaurant);
+    ensureCounting(existing);
+
+    const countCount = await StocktakeCount.countDocuments({ stocktake: existing._id });
+    if (countCount === 0) {
+        throw new apiError("Nothing has been counted yet", 400);
+    }
+
+    // Only one request can move the stocktake out of counting, so variances are posted once
+    const stocktake = await Stocktake.findOneAndUpdate(
+        { _id: existing._id, status: 'counting' },
+        { status: 'approved', approvedBy: req.user._id, approvedAt: new Date() },
+        { new: true }
+    );
+    if (!stocktake) {
+        throw new apiError("Stocktake is no longer being counted", 409);
+    }
+
+    const { counts, adjustments } = await postStocktakeAdjustments(stocktake, req.user._id);
+
+    stocktake.totals = summarizeCounts(counts);
+    await stocktake.save();
+
+    publishEvent(req.user.restaurant, 'stocktake.closed', { _id: stocktake._id, name: stocktake.name, status: stocktake.status });
+
+    return res.status(200).json(
+        new apiResponse(200, { stocktake, adjustments }, `Stocktake approved; ${adjustments.length} item(s) adjusted`)
+    );
+});
+
+// Cancel a stocktake; its counts are kept but no stock changes
+const cancelStocktake = asyncHandler(async (req, res) => {
+    const stocktake = await Stocktake.findOneAndUpdate(
+        { _id: req.params.id, restaurant: req.user.restaurant, status: 'counting' },
+        { status: 'cancelled', cancelledBy: req.user._id, cancelledAt: new Date() },
+        { new: true }
+    );
+    if (!stocktake) {
+        throw new apiError("Stocktake not found or no longer being counted", 404);
+    }
+
+    publishEvent(req.user.restaurant, 'stocktake.closed', { _id: stocktake._id, name: stocktake.name, status: stocktake.status });
+
+    return res.status(200).json(
+        new apiResponse(200, stocktake, "Stocktake cancelled successfully")
+    );
+});
+
+// Get the variances of approved stocktakes per item and per storage area
+// Items are sorted by shrinkage cost, so the biggest losses come first
+const getVarianceReport = asyncHandler(async (req, res) => {
+    const { from, to, storageCondition } = req.query;
+
+    const match = {
+        restaurant: req.user.restaurant,
+        approvedAt: { $ne: null }
+    };
+
+    if (from || to) {
+        if (from) match.approvedAt.$gte = new Date(from);
+        if (to) match.approvedAt.$lte = new Date(to);
+        if ([match.approvedAt.$gte, match.approvedAt.$lte].some(date => date && Number.isNaN(date.getTime()))) {
+            throw new apiError("Invalid from or to date", 400);
+        }
+    }
+
+    if (storageCondition) {
+        match.storageCondition = storageCondition;
+    }
+
+    const varianceTotals = {
+        counts: { $sum: 1 },
+        netVariance: { $sum: '$variance' },
+        shrinkageQuantity: { $sum: { $cond: [{ $lt: ['$variance', 0] }, { $multiply: ['$variance', -1] }, 0] } },
+        shrinkageCost: { $sum: { $cond: [{ $lt: ['$varianceCost', 0] }, { $multiply: ['$varianceCost', -1] }, 0] } },
+        overageCost: { $sum: { $cond: [{ $gt: ['$varianceCost', 0] }, '$varianceCost', 0] } },
+        netCost: { $sum: '$varianceCost' }
+    };
+
+    const [items, areas] = await Promise.all([
+        StocktakeCount.aggregate([
+            { $match: match },
+            { $sort: { approvedAt: 1 } },
+            {
+                $group: {
+                    _id: '$inventoryItem',
+                    ...varianceTotals,
+                    storageCondition: { $last: '$storageCondition' },
+                    unit: { $last: '$unit' },
+                    lastCountedAt: { $max: '$approvedAt' }
+                }
+            },
+            // Items deleted since are still named
+            {
+                $lookup: {
+                    from: 'inventoryitems',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'item'
+                }
+            },
+            { $unwind: { path: '$item', preserveNullAndEmptyArrays: true } },
+            {
+                $project: {
+                    _id: 0,
+                    inventoryItem: '$_id',
+                    name: '$item.name',
+                    category: '$item.category',
+                    deleted: { $ne: [{ $ifNull: ['$item.deletedAt', null] }, null] },
+                    storageCondition: 1,
+                    unit: 1,
+                    counts: 1,
+                    netVariance: { $round: ['$netVariance', 3] },
+                    shrinkageQuantity: { $round: ['$shrinkageQuantity', 3] },
+                    shrinkageCost: { $round: ['$shrinkageCost', 2] },
+                    overageCost: { $round: ['$overageCost', 2] },
+                    netCost: { $round: ['$netCost', 2] },
+                    lastCountedAt: 1
+                }
+            },
+            { $sort: { shrinkageCost: -1, name: 1 } }
+        ]),
+        StocktakeCount.aggregate([
+            { $match: match },
+            { $group: { _id: '$storageCondition', ...varianceTotals } },
+            {
+                $project: {
+                    _id: 0,
+                    storageCondition: '$_id',
+                    counts: 1,
+                    shrinkageCost: { $round: ['$shrinkageCost', 2] },
+                    overageCost: { $round: ['$overageCost', 2] },
+                    netCost: { $round: ['$netCost', 2] }
+                }
+            },
+            { $sort: { shrinkageCost: -1 } }
+        ])
+    ]);
+
+    return res.status(200).json(
+        new apiResponse(200, { items, areas }, "Stock variance report retrieved successfully")
+    );
+});
+
+// Get the variance of an item in every approved stocktake, latest first
+const getItemVarianceHistory = asyncHandler(async (req, res) => {
+    const { inventoryItemId } = req.params;
+
+    if (!mongoose.isValidObjectId(inventoryItemId)) {
+        throw new apiError("Invalid inventory item ID", 400);
+    }
+
+    const inventoryItem = await InventoryItem.findOne({ _id: inventoryItemId, restaurant: req.user.restaurant })
+        .setOptions({ withDeleted: true })
+        .select('name category unit storageCondition currentStock deletedAt');
+    if (!inventoryItem) {
+        throw new apiError("Inventory item not found", 404);
+    }
+
+    const history = await StocktakeCount.find({
+        restaurant: req.user.restaurant,
+        inventoryItem: inventoryItem._id,
+        approvedAt: { $ne: null }
+    })
+        .populate('stocktake', 'name approvedAt')
+        .populate('countedBy', 'fullname')
+        .sort({ approvedAt: -1 });
+
+    return res.status(200).json(
+        new apiResponse(200, { inventoryItem, history }, "Item variance history retrieved successfully")
+    );
+});
+
+export {
+    getStocktakes,
+    startStocktake,
+    getStocktake,
+    recordCounts,
+    deleteCount,
+    approveStocktake,
+    cancelStocktake,
+    getVarianceReport,
+    getItemVarianceHistory
+};
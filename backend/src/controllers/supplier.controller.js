@@ -0,0 +1,276 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Supplier } from "../models/purchasing/supplier.model.js";
+import { PurchaseOrder } from "../models/purchasing/purchaseOrder.model.js";
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { SUPPORTED_UNITS } from "../utils/unitConverter.js";
+
+// Helper function to validate a price list and check its items belong to the restaurant
+const parsePriceList = async (priceList, restaurant) => {
+    if (!Array.isArray(priceList)) {
+        throw new apiError("Price list must be an array", 400);
+    }
+
+    const parsed = [];
+    for (const entry of priceList) {
+        if (!entry?.inventoryItem) {
+            throw new apiError("Each price list entry must have an inventoryItem ID", 400);
+        }
+
+        const inventoryItem = await InventoryItem.findOne({ _id: entry.inventoryItem, restaurant }).select('unit');
+        if (!inventoryItem) {
+            throw new apiError(`Inventory item ${entry.inventoryItem} not found`, 404);
+        }
+
+        const unitPrice = Number(entry.unitPrice);
+        if (Number.isNaN(unitPrice) || unitPrice < 0) {
+            throw new apiError("Unit price must be a non-negative number", 400);
+        }
+
+        const unit = entry.unit || inventoryItem.unit;
+        if (!SUPPORTED_UNITS.includes(unit)) {
+            throw new apiError(`Unsupported unit: ${unit}`, 400);
+        }
+
+        const minOrderQuantity = entry.minOrderQuantity !== undefined && entry.minOrderQuantity !== '' ? Number(entry.minOrderQuantity) : 0;
+        if (Number.isNaN(minOrderQuantity) || minOrderQuantity < 0) {
+            throw new apiError("Minimum order quantity must be a non-negative number", 400);
+        }
+
+        parsed.push({
+            inventoryItem: inventoryItem._id,
+            unitPrice,
+            unit,
+            minOrderQuantity,
+            supplierSku: entry.supplierSku
+        });
+    }
+
+    return parsed;
+};
+
+// Helper function to validate the lead time
+const parseLeadTime = (leadTimeDays) => {
+    if (leadTimeDays === undefined || leadTimeDays === null || leadTimeDays === '') {
+        return undefined;
+    }
+
+    const parsed = Number(leadTimeDays);
+    if (Number.isNaN(parsed) || parsed < 0) {
+        throw new apiError("Lead time must be a non-negative number of days", 400);
+    }
+    return parsed;
+};
+
+// Get all suppliers
+const getAllSuppliers = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, search, isActive } = req.query;
+
+    // Build filter object - filter by restaurant
+    const filter = {
+        restaurant: req.user.restaurant
+    };
+
+    if (search) {
+        filter.name = { $regex: search, $options: 'i' };
+    }
+
+    if (isActive !== undefined) {
+        filter.isActive = isActive === 'true';
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const total = await Supplier.countDocuments(filter);
+
+    const suppliers = await Supplier.find(filter)
+        .populate('priceList.inventoryItem', 'name unit category')
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(limitNum);
+
+    // Create pagination response object
+    const paginatedResponse = {
+        docs: suppliers,
+        totalDocs: total,
+        limit: limitNum,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < Math.ceil(total / limitNum) ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null
+    };
+
+    return res.status(200).json(
+        new apiResponse(200, paginatedResponse, "Suppliers retrieved successfully")
+    );
+});
+
+// Get supplier by ID
+const getSupplierById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const supplier = await Supplier.findOne({ _id: id, restaurant: req.user.restaurant })
+        .populate('priceList.inventoryItem', 'name unit category currentStock')
+        .populate('createdBy', 'fullname email');
+
+    if (!supplier) {
+        throw new apiError("Supplier not found", 404);
+    }
+
+    return res.status(200).json(
+        new apiResponse(200, supplier, "Supplier retrieved successfully")
+    );
+});
+
+// Get the active suppliers that sell an inventory item, cheapest first
+const getSuppliersForItem = asyncHandler(async (req, res) => {
+    const { inventoryItemId } = req.params;
+
+    const suppliers = await Supplier.find({
+        restaurant: req.user.restaurant,
+        isActive: true,
+        'priceList.inventoryItem': inventoryItemId
+    }).select('name leadTimeDays priceList');
+
+    const offers = suppliers
+        .map(supplier => {
+            const price = supplier.priceList.find(entry => entry.inventoryItem.toString() === inventoryItemId);
+            return {
+                supplier: { _id: supplier._id, name: supplier.name, leadTimeDays: supplier.leadTimeDays },
+                unitPrice: price.unitPrice,
+                unit: price.unit,
+                minOrderQuantity: price.minOrderQuantity,
+                supplierSku: price.supplierSku
+            };
+        })
+        .sort((a, b) => a.unitPrice - b.unitPrice);
+
+    return res.status(200).json(
+        new apiResponse(200, offers, "Item suppliers retrieved successfully")
+    );
+});
+
+// Create supplier
+const createSupplier = asyncHandler(async (req, res) => {
+    const { name, contacts, email, phone, address, leadTimeDays, paymentTerms, priceList, notes } = req.body;
+
+    if (!name) {
+        throw new apiError("Supplier name is required", 400);
+    }
+
+    const existingSupplier = await Supplier.findOne({
+        name: { $regex: new RegExp(`^${name}$`, 'i') },
+        restaurant: req.user.restaurant
+    });
+
+    if (existingSupplier) {
+        throw new apiError("Supplier with this name already exists", 409);
+    }
+
+    const supplier = await Supplier.create({
+        name,
+        contacts: Array.isArray(contacts) ? contacts : [],
+        email,
+        phone,
+        address,
+        leadTimeDays: parseLeadTime(leadTimeDays),
+        paymentTerms,
+        priceList: priceList ? await parsePriceList(priceList, req.user.restaurant) : [],
+        notes,
+        createdBy: req.user._id,
+        restaurant: req.user.restaurant
+    });
+
+    const createdSupplier = await Supplier.findById(supplier._id)
+        .populate('priceList.inventoryItem', 'name unit category');
+
+    return res.status(201).json(
+        new apiResponse(201, createdSupplier, "Supplier created successfully")
+    );
+});
+
+// Update supplier
+const updateSupplier = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const updateData = { ...req.body };
+
+    const supplier = await Supplier.findOne({ _id: id, restaurant: req.user.restaurant });
+    if (!supplier) {
+        throw new apiError("Supplier not found", 404);
+    }
+
+    // Suppliers can never be moved to another restaurant
+    delete updateData.restaurant;
+    delete updateData.createdBy;
+
+    if (updateData.name) {
+        const existingSupplier = await Supplier.findOne({
+            name: { $regex: new RegExp(`^${updateData.name}$`, 'i') },
+            restaurant: req.user.restaurant,
+            _id: { $ne: id }
+        });
+
+        if (existingSupplier) {
+            throw new apiError("Supplier with this name already exists", 409);
+        }
+    }
+
+    if (updateData.leadTimeDays !== undefined) {
+        updateData.leadTimeDays = parseLeadTime(updateData.leadTimeDays) ?? 0;
+    }
+
+    if (updateData.priceList !== undefined) {
+        updateData.priceList = await parsePriceList(updateData.priceList, req.user.restaurant);
+    }
+
+    const updatedSupplier = await Supplier.findOneAndUpdate(
+        { _id: id, restaurant: req.user.restaurant },
+        updateData,
+        { new: true, runValidators: true }
+    ).populate('priceList.inventoryItem', 'name unit category');
+
+    return res.status(200).json(
+        new apiResponse(200, updatedSupplier, "Supplier updated successfully")
+    );
+});
+
+// Delete supplier (deactivated instead when purchase orders reference it)
+const deleteSupplier = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const supplier = await Supplier.findOne({ _id: id, restaurant: req.user.restaurant });
+    if (!supplier) {
+        throw new apiError("Supplier not found", 404);
+    }
+
+    const purchaseOrderCount = await PurchaseOrder.countDocuments({ supplier: id, restaurant: req.user.restaurant });
+    if (purchaseOrderCount > 0) {
+        supplier.isActive = false;
+        await supplier.save();
+
+        return res.status(200).json(
+            new apiResponse(200, supplier, "Supplier has purchase orders and was deactivated instead of deleted")
+        );
+    }
+
+    await Supplier.deleteOne({ _id: id });
+
+    return res.status(200).json(
+        new apiResponse(200, {}, "Supplier deleted successfully")
+    );
+});
+
+export {
+    getAllSuppliers,
+    getSupplierById,
+    getSuppliersForItem,
+    createSupplier,
+    updateSupplier,
+    deleteSupplier
+};
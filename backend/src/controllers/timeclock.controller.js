@@ -0,0 +1,268 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { TimePunch } from "../models/labor/timePunch.model.js";
+import { Shift } from "../models/labor/shift.model.js";
+import { User } from "../models/auth/user.model.js";
+import { getPunchHours } from "../utils/laborCost.js";
+import { publishEvent } from "../utils/eventBus.js";
+import { CLOCK_IN_EARLY_MINUTES } from "../../constant.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to check a break against the time worked
+const parseBreakMinutes = (breakMinutes, clockInAt, clockOutAt) => {
+    const parsed = Number(breakMinutes);
+    if (Number.isNaN(parsed) || parsed < 0) {
+        throw new apiError("Break must be a non-negative number of minutes", 400);
+    }
+    if (clockOutAt && parsed * 60 * 1000 >= clockOutAt - clockInAt) {
+        throw new apiError("Break must be shorter than the time worked", 400);
+    }
+    return parsed;
+};
+
+// Get the logged-in user's open punch, recent punches and upcoming shifts
+const getMyTimeClock = asyncHandler(async (req, res) => {
+    const now = new Date();
+
+    const [openPunch, recentPunches, upcomingShifts] = await Promise.all([
+        TimePunch.findOne({ employee: req.user._id, status: 'open' }).populate('shift'),
+        TimePunch.find({ employee: req.user._id, clockInAt: { $gte: new Date(now.getTime() - 14 * DAY_MS) } })
+            .sort({ clockInAt: -1 })
+            .limit(20),
+        Shift.find({ employee: req.user._id, endTime: { $gt: now } })
+            .sort({ startTime: 1 })
+            .limit(10)
+    ]);
+
+    return res.status(200).json(
+        new apiResponse(200, {
+            clockedIn: Boolean(openPunch),
+            openPunch,
+            recentPunches: recentPunches.map(punch => ({
+                ...punch.toObject(),
+                hours: Math.round(getPunchHours(punch, now) * 100) / 100
+            })),
+            upcomingShifts
+        }, "Time clock retrieved successfully")
+    );
+});
+
+// Clock the logged-in user in (matched to their current or next shift when there is one)
+const clockIn = asyncHandler(async (req, res) => {
+    const now = new Date();
+
+    const existing = await TimePunch.findOne({ employee: req.user._id, status: 'open' });
+    if (existing) {
+        throw new apiError("You are already clocked in", 400);
+    }
+
+    const shift = await Shift.findOne({
+        employee: req.user._id,
+        restaurant: req.user.restaurant,
+        startTime: { $lte: new Date(now.getTime() + CLOCK_IN_EARLY_MINUTES * 60 * 1000) },
+        endTime: { $gt: now }
+    }).sort({ startTime: 1 });
+
+    let punch;
+    try {
+        punch = await TimePunch.create({
+            employee: req.user._id,
+            shift: shift?._id,
+            clockInAt: now,
+            hourlyRate: req.user.hourlyRate || 0,
+            notes: req.body?.notes || '',
+            restaurant: req.user.restaurant
+        });
+    } catch (error) {
+        // Clocked in from another screen at the same moment
+        if (error.code === 11000) {
+            throw new apiError("You are already clocked in", 400);
+        }
+        throw error;
+    }
+
+    publishEvent(req.user.restaurant, 'staff.clocked_in', {
+        punch: punch._id,
+        employee: { _id: req.user._id, fullname: req.user.fullname, role: req.user.role },
+        clockInAt: punch.clockInAt
+    });
+
+    return res.status(201).json(
+        new apiResponse(201, punch, "Clocked in successfully")
+    );
+});
+
+// Clock the logged-in user out
+const clockOut = asyncHandler(async (req, res) => {
+    const now = new Date();
+    const { breakMinutes = 0, notes } = req.body || {};
+
+    const punch = await TimePunch.findOne({ employee: req.user._id, status: 'open' });
+    if (!punch) {
+        throw new apiError("You are not clocked in", 400);
+    }
+
+    punch.breakMinutes = parseBreakMinutes(breakMinutes, punch.clockInAt, now);
+    punch.clockOutAt = now;
+    punch.status = 'closed';
+    if (notes !== undefined) punch.notes = notes;
+    await punch.save();
+
+    const hours = Math.round(getPunchHours(punch) * 100) / 100;
+
+    publishEvent(req.user.restaurant, 'staff.clocked_out', {
+        punch: punch._id,
+        employee: { _id: req.user._id, fullname: req.user.fullname, role: req.user.role },
+        clockOutAt: punch.clockOutAt,
+        hours
+    });
+
+    return res.status(200).json(
+        new apiResponse(200, { ...punch.toObject(), hours }, "Clocked out successfully")
+    );
+});
+
+// Get the restaurant's punches in a period (defaults to the last 7 days)
+const getPunches = asyncHandler(async (req, res) => {
+    const { from, to, employee, status } = req.query;
+    const now = new Date();
+
+    const end = to ? new Date(to) : now;
+    const start = from ? new Date(from) : new Date(end.getTime() - 7 * DAY_MS);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+        throw new apiError("Invalid period", 400);
+    }
+
+    const filter = {
+        restaurant: req.user.restaurant,
+        clockInAt: { $gte: start, $lt: end }
+    };
+    if (employee) filter.employee = employee;
+    if (status) filter.status = status;
+
+    const punches = await TimePunch.find(filter)
+        .populate('employee', 'fullname role')
+        .populate('shift', 'startTime endTime position')
+        .populate('editedBy', 'fullname')
+        .sort({ clockInAt: -1 });
+
+    const rows = punches.map(punch => {
+        const hours = getPunchHours(punch, now);
+        return {
+            ...punch.toObject(),
+            hours: Math.round(hours * 100) / 100,
+            laborCost: Math.round(hours * (punch.hourlyRate || 0) * 100) / 100
+        };
+    });
+
+    return res.status(200).json(
+        new apiResponse(200, rows, "Time punches retrieved successfully")
+    );
+});
+
+// Correct a punch (times, break or notes); giving clockOutAt closes an open punch
+const updatePunch = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { clockInAt, clockOutAt, breakMinutes, notes } = req.body;
+
+    const punch = await TimePunch.findOne({ _id: id, restaurant: req.user.restaurant });
+    if (!punch) {
+        throw new apiError("Time punch not found", 404);
+    }
+
+    const start = clockInAt !== undefined ? new Date(clockInAt) : punch.clockInAt;
+    const end = clockOutAt !== undefined && clockOutAt !== null ? new Date(clockOutAt) : punch.clockOutAt;
+    if (Number.isNaN(start.getTime()) || (end && Number.isNaN(end.getTime()))) {
+        throw new apiError("Invalid clock-in or clock-out time", 400);
+    }
+    if (end && end <= start) {
+        throw new apiError("Clock-out must be after clock-in", 400);
+    }
+    if (end && end > new Date()) {
+        throw new apiError("Clock-out cannot be in the future", 400);
+    }
+
+    punch.clockInAt = start;
+    if (end) {
+        punch.clockOutAt = end;
+        punch.status = 'closed';
+    }
+    punch.breakMinutes = parseBreakMinutes(breakMinutes ?? punch.breakMinutes, start, end);
+    if (notes !== undefined) punch.notes = notes;
+    punch.editedBy = req.user._id;
+    punch.editedAt = new Date();
+    await punch.save();
+
+    await punch.populate('employee', 'fullname role');
+
+    return res.status(200).json(
+        new apiResponse(200, punch, "Time punch updated successfully")
+    );
+});
+
+// Add a punch for a user who forgot to clock in
+const createPunch = asyncHandler(async (req, res) => {
+    const { employee, clockInAt, clockOutAt, breakMinutes = 0, notes } = req.body;
+
+    const user = await User.findOne({ _id: employee, restaurant: req.user.restaurant }).select('hourlyRate');
+    if (!user) {
+        throw new apiError("Employee not found", 404);
+    }
+
+    const start = new Date(clockInAt);
+    const end = new Date(clockOutAt);
+    if (!clockInAt || !clockOutAt || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        throw new apiError("Valid clock-in and clock-out times are required", 400);
+    }
+    if (end <= start) {
+        throw new apiError("Clock-out must be after clock-in", 400);
+    }
+    if (end > new Date()) {
+        throw new apiError("Clock-out cannot be in the future", 400);
+    }
+
+    const punch = await TimePunch.create({
+        employee: user._id,
+        clockInAt: start,
+        clockOutAt: end,
+        status: 'closed',
+        breakMinutes: parseBreakMinutes(breakMinutes, start, end),
+        hourlyRate: user.hourlyRate || 0,
+        notes: notes || '',
+        editedBy: req.user._id,
+        editedAt: new Date(),
+        restaurant: req.user.restaurant
+    });
+
+    await punch.populate('employee', 'fullname role');
+
+    return res.status(201).json(
+        new apiResponse(201, punch, "Time punch created successfully")
+    );
+});
+
+// Delete a punch made by mistake
+const deletePunch = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const punch = await TimePunch.findOneAndDelete({ _id: id, restaurant: req.user.restaurant });
+    if (!punch) {
+        throw new apiError("Time punch not found", 404);
+    }
+
+    return res.status(200).json(
+        new apiResponse(200, {}, "Time punch deleted successfully")
+    );
+});
+
+export {
+    getMyTimeClock,
+    clockIn,
+    clockOut,
+    getPunches,
+    updatePunch,
+    createPunch,
+    deletePunch
+};
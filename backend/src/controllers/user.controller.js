@@ -3,8 +3,10 @@ import { apiError } from "../utils/apiError.js";
 import { User } from "../models/auth/user.model.js"
 import { uploadCloudinary } from "../utils/cloudinary.js";
 import { apiResponse } from "../utils/apiResponse.js";
+import { getUserPermissions } from "../utils/permissions.js";
 import jwt from "jsonwebtoken";
-import { ACCESS_TOKEN_SECRET, REFRESH_TOKEN_SECRET, ACCESS_TOKEN_EXPIRY, REFRESH_TOKEN_EXPIRY } from "../../constant.js";
+import crypto from "crypto";
+import { ACCESS_TOKEN_SECRET, REFRESH_TOKEN_SECRET, ACCESS_TOKEN_EXPIRY, REFRESH_TOKEN_EXPIRY, MIN_PASSWORD_LENGTH, TEMPORARY_PASSWORD_LENGTH } from "../../constant.js";
 
 
 const registerUser = asyncHandler(async (req, res) => {
@@ -113,16 +115,23 @@ const loginUser = asyncHandler(async (req, res) => {
         throw new apiError("Invalid credentials", 401);
     }
 
+    // Deactivated users keep their account but may not log in
+    if (user.isActive === false) {
+        throw new apiError("Account is deactivated", 403);
+    }
+
     // Generate access and refresh tokens
     const accessToken = user.generateAccessToken();
     const refreshToken = user.generateRefreshToken();
 
-    // Update user's refresh token in database
+    // Update user's refresh token and last login in database
     user.refreshToken = refreshToken;
+    user.lastLoginAt = new Date();
     await user.save({ validateBeforeSave: false });
 
-    // Get user details without password and refresh token
+    // Get user details without password and refresh token, with the user's permissions
     const loggedInUser = await User.findById(user._id).select("-password -refreshToken");
+    const permissions = await getUserPermissions(loggedInUser);
 
     // Set cookie options
     const options = {
@@ -139,7 +148,7 @@ const loginUser = asyncHandler(async (req, res) => {
             new apiResponse(
                 200,
                 {
-                    user: loggedInUser,
+                    user: { ...loggedInUser.toObject(), permissions },
                     accessToken,
                     refreshToken
                 },
@@ -198,6 +207,10 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
             throw new apiError("Refresh token is expired or used", 401);
         }
 
+        if (user.isActive === false) {
+            throw new apiError("Account is deactivated", 401);
+        }
+
         const options = {
             httpOnly: true,
             secure: false // Set to false for development, true for production with HTTPS
@@ -366,6 +379,295 @@ const migrateExistingUsers = asyncHandler(async (req, res) => {
     }
 });
 
+const STAFF_ROLES = ["admin", "chef", "employee"];
+
+// Helper function to generate a random temporary password
+const generateTemporaryPassword = () => {
+    return crypto.randomBytes(TEMPORARY_PASSWORD_LENGTH).toString("base64url").slice(0, TEMPORARY_PASSWORD_LENGTH);
+};
+
+// Helper function to check a password set by an admin
+const validatePassword = (password) => {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        throw new apiError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+    return password;
+};
+
+// Helper function to check an hourly rate
+const parseHourlyRate = (hourlyRate) => {
+    const parsed = Number(hourlyRate);
+    if (hourlyRate === "" || Number.isNaN(parsed) || parsed < 0) {
+        throw new apiError("Hourly rate must be a non-negative number", 400);
+    }
+    return parsed;
+};
+
+// Helper function to make sure only admins create, change or promote admin accounts
+const ensureCanManageRole = (req, role) => {
+    if (role === "admin" && req.user.role !== "admin") {
+        throw new apiError("Only admins can manage admin accounts", 403);
+    }
+};
+
+// Helper function to reject text fields sent as anything but strings
+const ensureTextFields = (fields) => {
+    for (const [name, value] of Object.entries(fields)) {
+        if (value !== undefined && typeof value !== "string") {
+            throw new apiError(`${name} must be text`, 400);
+        }
+    }
+};
+
+// Helper function to find a user of the admin's restaurant
+const findStaffMember = async (req) => {
+    const user = await User.findOne({ _id: req.params.userId, restaurant: req.user.restaurant })
+        .select("-password -refreshToken");
+
+    if (!user) {
+        throw new apiError("User not found", 404);
+    }
+    return user;
+};
+
+// Helper function to make sure a change leaves the restaurant with an active admin
+const ensureAnotherActiveAdmin = async (user) => {
+    if (user.role !== "admin" || user.isActive === false) {
+        return;
+    }
+
+    const otherAdmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        restaurant: user.restaurant,
+        role: "admin",
+        isActive: { $ne: false }
+    });
+
+    if (otherAdmins === 0) {
+        throw new apiError("The restaurant must keep at least one active admin", 400);
+    }
+};
+
+// Get the users of the restaurant
+const getStaff = asyncHandler(async (req, res) => {
+    const { search, role, isActive } = req.query;
+
+    // Build filter object - filter by restaurant
+    const filter = {
+        restaurant: req.user.restaurant
+    };
+
+    if (search) {
+        filter.$or = [
+            { fullname: { $regex: search, $options: 'i' } },
+            { email: { $regex: search, $options: 'i' } },
+            { username: { $regex: search, $options: 'i' } }
+        ];
+    }
+
+    if (role) {
+        filter.role = role;
+    }
+
+    if (isActive !== undefined) {
+        filter.isActive = isActive === 'true' ? { $ne: false } : false;
+    }
+
+    const users = await User.find(filter)
+        .select("-password -refreshToken")
+        .populate('invitedBy', 'fullname')
+        .sort({ isActive: -1, fullname: 1 });
+
+    return res.status(200).json(
+        new apiResponse(200, users, "Users retrieved successfully")
+    );
+});
+
+// Get a user of the restaurant
+const getStaffMember = asyncHandler(async (req, res) => {
+    const user = await findStaffMember(req);
+    await user.populate('invitedBy', 'fullname');
+
+    return res.status(200).json(
+        new apiResponse(200, user, "User retrieved successfully")
+    );
+});
+
+// Invite a user to the restaurant (without a password a temporary one is generated and returned once)
+const inviteStaffMember = asyncHandler(async (req, res) => {
+    const { fullname, email, username, role = "employee", password, hourlyRate = 0 } = req.body;
+
+    if ([fullname, email, username].some((field) => typeof field !== "string" || !field.trim())) {
+        throw new apiError("Full name, email and username are required", 400);
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+        throw new apiError(`Role must be one of: ${STAFF_ROLES.join(', ')}`, 400);
+    }
+    ensureCanManageRole(req, role);
+
+    const existedUser = await User.findOne({
+        $or: [{ username: username.toLowerCase() }, { email: email.toLowerCase() }]
+    });
+
+    if (existedUser) {
+        throw new apiError("A user with this email or username already exists", 409);
+    }
+
+    const temporaryPassword = password ? null : generateTemporaryPassword();
+
+    const user = await User.create({
+        fullname,
+        email,
+        username: username.toLowerCase(),
+        password: password ? validatePassword(password) : temporaryPassword,
+        avatar: `https://ui-avatars.com/api/?name=${encodeURIComponent(fullname)}&background=random&color=fff&size=200`,
+        role,
+        hourlyRate: parseHourlyRate(hourlyRate),
+        restaurant: req.user.restaurant,
+        invitedBy: req.user._id
+    });
+
+    const createdUser = await User.findById(user._id).select("-password -refreshToken");
+
+    return res.status(201).json(
+        new apiResponse(201, { user: createdUser, temporaryPassword }, "User invited successfully")
+    );
+});
+
+// Update a user's details, role and hourly rate
+const updateStaffMember = asyncHandler(async (req, res) => {
+    const { fullname, email, username, role, hourlyRate } = req.body;
+    ensureTextFields({ "Full name": fullname, "Email": email, "Username": username });
+
+    const user = await findStaffMember(req);
+    ensureCanManageRole(req, user.role);
+
+    if (role !== undefined && role !== user.role) {
+        if (!STAFF_ROLES.includes(role)) {
+            throw new apiError(`Role must be one of: ${STAFF_ROLES.join(', ')}`, 400);
+        }
+        ensureCanManageRole(req, role);
+        if (user._id.equals(req.user._id)) {
+            throw new apiError("You cannot change your own role", 400);
+        }
+        await ensureAnotherActiveAdmin(user);
+        user.role = role;
+    }
+
+    if (email !== undefined || username !== undefined) {
+        const duplicate = await User.findOne({
+            _id: { $ne: user._id },
+            $or: [
+                ...(email !== undefined ? [{ email: email.toLowerCase() }] : []),
+                ...(username !== undefined ? [{ username: username.toLowerCase() }] : [])
+            ]
+        });
+
+        if (duplicate) {
+            throw new apiError("A user with this email or username already exists", 409);
+        }
+    }
+
+    if (fullname !== undefined) {
+        if (!fullname.trim()) throw new apiError("Full name cannot be empty", 400);
+        user.fullname = fullname;
+    }
+    if (email !== undefined) {
+        if (!email.trim()) throw new apiError("Email cannot be empty", 400);
+        user.email = email;
+    }
+    if (username !== undefined) {
+        if (!username.trim()) throw new apiError("Username cannot be empty", 400);
+        user.username = username;
+    }
+    if (hourlyRate !== undefined) {
+        user.hourlyRate = parseHourlyRate(hourlyRate);
+    }
+
+    await user.save();
+
+    return res.status(200).json(
+        new apiResponse(200, user, "User updated successfully")
+    );
+});
+
+// Deactivate a user (logs them out and blocks login)
+const deactivateStaffMember = asyncHandler(async (req, res) => {
+    const user = await findStaffMember(req);
+    ensureCanManageRole(req, user.role);
+
+    if (user._id.equals(req.user._id)) {
+        throw new apiError("You cannot deactivate your own account", 400);
+    }
+
+    if (user.isActive === false) {
+        throw new apiError("User is already deactivated", 400);
+    }
+
+    await ensureAnotherActiveAdmin(user);
+
+    const updatedUser = await User.findByIdAndUpdate(
+        user._id,
+        {
+            $set: { isActive: false, deactivatedAt: new Date() },
+            $unset: { refreshToken: 1 }
+        },
+        { new: true }
+    ).select("-password -refreshToken");
+
+    return res.status(200).json(
+        new apiResponse(200, updatedUser, "User deactivated successfully")
+    );
+});
+
+// Reactivate a deactivated user
+const activateStaffMember = asyncHandler(async (req, res) => {
+    const user = await findStaffMember(req);
+    ensureCanManageRole(req, user.role);
+
+    if (user.isActive !== false) {
+        throw new apiError("User is already active", 400);
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+        user._id,
+        {
+            $set: { isActive: true },
+            $unset: { deactivatedAt: 1 }
+        },
+        { new: true }
+    ).select("-password -refreshToken");
+
+    return res.status(200).json(
+        new apiResponse(200, updatedUser, "User activated successfully")
+    );
+});
+
+// Reset a user's password (without a password a temporary one is generated and returned once)
+const resetStaffPassword = asyncHandler(async (req, res) => {
+    const { password } = req.body || {};
+
+    // The password is needed to save it, so the user is loaded with it
+    const user = await User.findOne({ _id: req.params.userId, restaurant: req.user.restaurant });
+    if (!user) {
+        throw new apiError("User not found", 404);
+    }
+    ensureCanManageRole(req, user.role);
+
+    const temporaryPassword = password ? null : generateTemporaryPassword();
+
+    user.password = password ? validatePassword(password) : temporaryPassword;
+    user.passwordResetAt = new Date();
+    // Existing sessions end with the old password
+    user.refreshToken = undefined;
+    await user.save();
+
+    return res.status(200).json(
+        new apiResponse(200, { userId: user._id, temporaryPassword }, "Password reset successfully")
+    );
+});
+
 // Helper function to generate both access and refresh tokens
 const generateAccessAndRefreshTokens = async (userId) => {
     try {
@@ -382,4 +684,4 @@ const generateAccessAndRefreshTokens = async (userId) => {
     }
 };
 
-export { registerUser, loginUser, logoutUser, refreshAccessToken, createDefaultUsers, createRestaurantUsers, migrateExistingUsers }
\ No newline at end of file
+export { registerUser, loginUser, logoutUser, refreshAccessToken, createDefaultUsers, createRestaurantUsers, migrateExistingUsers, getStaff, getStaffMember, inviteStaffMember, updateStaffMember, deactivateStaffMember, activateStaffMember, resetStaffPassword }
\ No newline at end of file
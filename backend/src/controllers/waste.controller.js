@@ -5,18 +5,21 @@ import { WasteLog } from "../models/waste/wasteLog.model.js";
 import { WastePrediction } from "../models/demand/wastePrediction.model.js";
 import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
 import { processExpiredItems as processExpiredItemsUtil } from "../utils/expiredItemsHandler.js";
+import { calculateIngredientCost } from "../utils/unitConverter.js";
+import { scoreRestaurantWasteRisk } from "../utils/wasteRiskScorer.js";
+import { getExportFormat, streamExport } from "../utils/exporter.js";
+
+// Helper function to build the waste log list filter; the export uses the same filters
+const buildWasteLogFilter = (query, restaurant) => {
+    const { category, startDate, endDate } = query;
+
+    // Build filter object - filter by restaurant
+    const filter = { restaurant };
 
-// Get all waste logs
-const getAllWasteLogs = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, category, startDate, endDate } = req.query;
-    
-    // Build filter object
-    const filter = {};
-    
     if (category) {
         filter.category = category;
     }
-    
+
     if (startDate || endDate) {
         filter.loggedAt = {};
         if (startDate) {
@@ -27,6 +30,14 @@ const getAllWasteLogs = asyncHandler(async (req, res) => {
         }
     }
 
+    return filter;
+};
+
+// Get all waste logs
+const getAllWasteLogs = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+    const filter = buildWasteLogFilter(req.query, req.user.restaurant);
+
     // Calculate pagination
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
@@ -61,11 +72,40 @@ const getAllWasteLogs = asyncHandler(async (req, res) => {
     );
 });
 
+// Export waste logs as CSV, XLSX or PDF (?format=), with the same filters as the list
+const exportWasteLogs = asyncHandler(async (req, res) => {
+    const format = getExportFormat(req.query);
+
+    const cursor = WasteLog.find(buildWasteLogFilter(req.query, req.user.restaurant))
+        .populate('ingredient', 'name category unit cost density pieceWeight')
+        .populate('loggedBy', 'fullname')
+        .sort({ loggedAt: -1 })
+        .cursor();
+
+    await streamExport(res, {
+        format,
+        filename: 'waste_logs_export',
+        title: 'Waste Logs',
+        columns: [
+            { header: 'Logged At', value: log => log.loggedAt, width: 1.3 },
+            { header: 'Ingredient', value: log => log.ingredient?.name, width: 1.5 },
+            { header: 'Ingredient Category', value: log => log.ingredient?.category },
+            { header: 'Waste Reason', value: log => log.category },
+            { header: 'Quantity', value: log => log.quantity, type: 'number' },
+            { header: 'Unit', value: log => log.unit, width: 0.6 },
+            { header: 'Cost', value: log => Math.round(calculateIngredientCost(log.quantity, log.unit, log.ingredient) * 100) / 100, type: 'money' },
+            { header: 'Notes', value: log => log.notes, width: 2 },
+            { header: 'Logged By', value: log => log.loggedBy?.fullname }
+        ],
+        rows: cursor
+    });
+});
+
 // Get waste log by ID
 const getWasteLogById = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    const wasteLog = await WasteLog.findById(id)
+    const wasteLog = await WasteLog.findOne({ _id: id, restaurant: req.user.restaurant })
         .populate('ingredient', 'name category unit cost')
         .populate('loggedBy', 'fullname email role');
 
@@ -86,8 +126,8 @@ const createWasteLog = asyncHandler(async (req, res) => {
         throw new apiError(400, "Missing required fields: ingredient, category, quantity, unit");
     }
 
-    // Verify ingredient exists
-    const inventoryItem = await InventoryItem.findById(ingredient);
+    // Verify ingredient exists in this restaurant's inventory
+    const inventoryItem = await InventoryItem.findOne({ _id: ingredient, restaurant: req.user.restaurant });
     if (!inventoryItem) {
         throw new apiError(404, "Ingredient not found");
     }
@@ -100,7 +140,8 @@ const createWasteLog = asyncHandler(async (req, res) => {
         unit,
         notes,
         capturedImageUrl,
-        loggedBy: req.user?._id || null
+        loggedBy: req.user?._id || null,
+        restaurant: req.user.restaurant
     });
 
     // Populate the created waste log
@@ -116,8 +157,8 @@ const createWasteLog = asyncHandler(async (req, res) => {
 const getWasteStats = asyncHandler(async (req, res) => {
     const { startDate, endDate, period = '30d' } = req.query;
     
-    // Build date filter
-    let dateFilter = {};
+    // Build date filter - always scoped to the user's restaurant
+    let dateFilter = { restaurant: req.user.restaurant };
     const now = new Date();
     
     if (startDate || endDate) {
@@ -185,12 +226,13 @@ const getWasteStats = asyncHandler(async (req, res) => {
 
     // Calculate financial loss (if cost is available)
     const wasteLogsWithCost = await WasteLog.find(dateFilter)
-        .populate('ingredient', 'cost unit');
+        .populate('ingredient', 'cost unit density pieceWeight');
     
+    // Waste may be logged in a different unit than the item's cost unit
     let totalFinancialLoss = 0;
     wasteLogsWithCost.forEach(log => {
         if (log.ingredient && log.ingredient.cost) {
-            totalFinancialLoss += log.quantity * log.ingredient.cost;
+            totalFinancialLoss += calculateIngredientCost(log.quantity, log.unit, log.ingredient);
         }
     });
 
@@ -235,7 +277,7 @@ const getWasteStats = asyncHandler(async (req, res) => {
 const processExpiredItems = asyncHandler(async (req, res) => {
     try {
         const userId = req.user?._id || null;
-        const result = await processExpiredItemsUtil(userId);
+        const result = await processExpiredItemsUtil(userId, req.user.restaurant);
 
         return res.status(200).json(
             new apiResponse(200, result, `Processed ${result.processedCount} expired items. Total waste cost: $${result.totalWasteCost.toFixed(2)}`)
@@ -252,8 +294,8 @@ const getExpiredItems = asyncHandler(async (req, res) => {
         const { startDate, endDate, period = '30d' } = req.query;
         const now = new Date();
         
-        // Build date filter for waste logs
-        let dateFilter = {};
+        // Build date filter for waste logs - always scoped to the user's restaurant
+        let dateFilter = { restaurant: req.user.restaurant };
         
         if (startDate || endDate) {
             dateFilter.loggedAt = {};
@@ -286,7 +328,7 @@ const getExpiredItems = asyncHandler(async (req, res) => {
         })
             .populate({
                 path: 'ingredient',
-                select: 'name category unit cost'
+                select: 'name category unit cost density pieceWeight'
             })
             .populate({
                 path: 'loggedBy',
@@ -313,9 +355,8 @@ const getExpiredItems = asyncHandler(async (req, res) => {
         
         const totalExpiredCost = validLogs.reduce((sum, log) => {
             if (log.ingredient && log.ingredient.cost && log.quantity) {
-                const cost = parseFloat(log.ingredient.cost) || 0;
                 const qty = parseFloat(log.quantity) || 0;
-                return sum + (qty * cost);
+                return sum + calculateIngredientCost(qty, log.unit, log.ingredient);
             }
             return sum;
         }, 0);
@@ -336,8 +377,7 @@ const getExpiredItems = asyncHandler(async (req, res) => {
             }
             acc[ingredientId].totalQuantity += qty;
             if (log.ingredient && log.ingredient.cost) {
-                const cost = parseFloat(log.ingredient.cost) || 0;
-                acc[ingredientId].totalCost += qty * cost;
+                acc[ingredientId].totalCost += calculateIngredientCost(qty, log.unit, log.ingredient);
             }
             acc[ingredientId].count += 1;
             acc[ingredientId].logs.push(log);
@@ -369,8 +409,7 @@ const getExpiredItems = asyncHandler(async (req, res) => {
                 }
                 acc[dateKey].totalQuantity += qty;
                 if (log.ingredient && log.ingredient.cost) {
-                    const cost = parseFloat(log.ingredient.cost) || 0;
-                    acc[dateKey].totalCost += qty * cost;
+                    acc[dateKey].totalCost += calculateIngredientCost(qty, log.unit, log.ingredient);
                 }
                 acc[dateKey].count += 1;
             } catch (error) {
@@ -413,8 +452,10 @@ const getExpiredItems = asyncHandler(async (req, res) => {
 const getAllWastePredictions = asyncHandler(async (req, res) => {
     const { page = 1, limit = 10, startDate, endDate, predictionModel } = req.query;
     
-    // Build filter object
-    const filter = {};
+    // Build filter object - filter by restaurant
+    const filter = {
+        restaurant: req.user.restaurant
+    };
     
     if (predictionModel) {
         filter.predictionModel = predictionModel;
@@ -468,8 +509,8 @@ const getWastePredictionStats = asyncHandler(async (req, res) => {
     const { startDate, endDate, period = '30d' } = req.query;
     const now = new Date();
     
-    // Build date filter
-    let dateFilter = {};
+    // Build date filter - always scoped to the user's restaurant
+    let dateFilter = { restaurant: req.user.restaurant };
     
     if (startDate || endDate) {
         dateFilter.predictionDate = {};
@@ -558,14 +599,33 @@ const getWastePredictionStats = asyncHandler(async (req, res) => {
     );
 });
 
+// Score the restaurant's inventory with the waste prediction model now
+const runWastePredictions = asyncHandler(async (req, res) => {
+    let summary;
+    try {
+        summary = await scoreRestaurantWasteRisk(req.user.restaurant);
+    } catch (error) {
+        if (error.unavailable) {
+            throw new apiError(error.message, 503);
+        }
+        throw error;
+    }
+
+    return res.status(200).json(
+        new apiResponse(200, summary, `${summary.scored} item(s) scored, ${summary.atRisk} at risk of waste`)
+    );
+});
+
 export {
     getAllWasteLogs,
+    exportWasteLogs,
     getWasteLogById,
     createWasteLog,
     getWasteStats,
     processExpiredItems,
     getExpiredItems,
     getAllWastePredictions,
-    getWastePredictionStats
+    getWastePredictionStats,
+    runWastePredictions
 };
 
@@ -0,0 +1,14 @@
+import crypto from "crypto";
+import { runWithRequestContext } from "../utils/requestContext.js";
+
+// Give every request a context so the audit trail knows where a change came from;
+// verifyJWT adds the user once the request is authenticated
+export const captureRequestContext = (req, res, next) => {
+    runWithRequestContext({
+        requestId: crypto.randomUUID(),
+        ip: req.ip,
+        userAgent: req.get("user-agent") || "",
+        method: req.method,
+        path: req.originalUrl
+    }, next);
+};
@@ -2,6 +2,8 @@ import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
 import { User } from "../models/auth/user.model.js";
 import { apiError } from "../utils/apiError.js";
+import { getUserPermissions } from "../utils/permissions.js";
+import { setRequestActor } from "../utils/requestContext.js";
 import { ACCESS_TOKEN_SECRET } from "../../constant.js";
 
 export const verifyJWT = async (req, res, next) => {
@@ -19,42 +21,12 @@ export const verifyJWT = async (req, res, next) => {
             throw new apiError("Invalid access token - user not found", 401);
         }
 
-        req.user = user;
-        next();
-    } catch (error) {
-        if (error.name === 'JsonWebTokenError') {
-            throw new apiError("Invalid access token", 401);
-        } else if (error.name === 'TokenExpiredError') {
-            throw new apiError("Access token has expired", 401);
-        } else if (error.name === 'apiError') {
-            throw error;
-        } else {
-            throw new apiError("Invalid access token", 401);
-        }
-    }
-};
-
-export const verifyAdminOrChef = async (req, res, next) => {
-    try {
-        const token = req.header("Authorization")?.replace("Bearer ", "");
-        
-        if (!token) {
-            throw new apiError("Access token required", 401);
-        }
-
-        const decodedToken = jwt.verify(token, ACCESS_TOKEN_SECRET);
-        const user = await User.findById(decodedToken._id).select("-password -refreshToken");
-        
-        if (!user) {
-            throw new apiError("Invalid access token - user not found", 401);
-        }
-
-        // Check if user has admin or chef role
-        if (user.role !== "admin" && user.role !== "chef") {
-            throw new apiError("Access denied. Admin or Chef role required", 403);
+        if (user.isActive === false) {
+            throw new apiError("Account is deactivated", 401);
         }
 
         req.user = user;
+        setRequestActor(user);
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError') {
@@ -69,34 +41,24 @@ export const verifyAdminOrChef = async (req, res, next) => {
     }
 };
 
-export const verifyAdmin = async (req, res, next) => {
-    try {
-        if (!req.user) {
-            throw new apiError("User not authenticated", 401);
-        }
-
-        if (req.user.role !== "admin") {
-            throw new apiError("Access denied. Admin role required", 403);
-        }
-
-        next();
-    } catch (error) {
-        throw new apiError(error.message || "Admin access required", error.statusCode || 403);
+/**
+ * Require permissions for a route (use after verifyJWT)
+ * The user's effective permissions are loaded once per request into req.permissions.
+ * @param {...String} permissions - Permissions the user must all have, e.g. "inventory:write"
+ */
+export const requirePermission = (...permissions) => async (req, res, next) => {
+    if (!req.user) {
+        throw new apiError("User not authenticated", 401);
     }
-};
-
-export const verifyChef = async (req, res, next) => {
-    try {
-        if (!req.user) {
-            throw new apiError("User not authenticated", 401);
-        }
 
-        if (req.user.role !== "chef" && req.user.role !== "admin") {
-            throw new apiError("Access denied. Chef or Admin role required", 403);
-        }
+    if (!req.permissions) {
+        req.permissions = await getUserPermissions(req.user);
+    }
 
-        next();
-    } catch (error) {
-        throw new apiError(error.message || "Chef access required", error.statusCode || 403);
+    const missing = permissions.filter(permission => !req.permissions.includes(permission));
+    if (missing.length > 0) {
+        throw new apiError(`Access denied. Missing permission: ${missing.join(', ')}`, 403);
     }
+
+    next();
 };
@@ -1,6 +1,7 @@
 import multer from "multer";
 import path from "path";
 import fs from "fs";
+import { apiError } from "../utils/apiError.js";
 
 // Ensure temp directory exists
 const tempDir = "./public/temp";
@@ -34,4 +35,22 @@ export const upload = multer({
   limits: {
     fileSize: 10 * 1024 * 1024 // 10MB limit
   }
+});
+
+// File filter for imports: CSV or XLSX spreadsheets
+const spreadsheetFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (extension === '.csv' || extension === '.xlsx') {
+    cb(null, true);
+  } else {
+    cb(new apiError('Only CSV and XLSX files can be imported', 400), false);
+  }
+};
+
+export const uploadSpreadsheet = multer({
+  storage: storage,
+  fileFilter: spreadsheetFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
 });
\ No newline at end of file
@@ -26,7 +26,8 @@ export const updateMenuStockStatus = async (req, res, next) => {
 
 /**
  * Middleware to update stock status after inventory operations
- * This can be used as a post-operation hook
+ * This can be used as a post-operation hook. Menu items whose status changes
+ * are announced on the event bus (menu.stock_status_changed)
  */
 export const postInventoryUpdate = async (req, res, next) => {
     // Store the original res.json method
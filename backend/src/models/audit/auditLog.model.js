@@ -0,0 +1,76 @@
+import mongoose, { Schema } from "mongoose";
+
+// Audit Log Schema
+// One create, update or delete made through the API. Entries are never changed or removed.
+const auditLogSchema = new Schema({
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete'],
+        required: true
+    },
+    // Model name, e.g. "InventoryItem"
+    entity: {
+        type: String,
+        required: true
+    },
+    entityId: {
+        type: String,
+        required: true
+    },
+    // Fields that changed; sensitive fields show "[redacted]"
+    changes: [{
+        _id: false,
+        path: String,
+        before: Schema.Types.Mixed,
+        after: Schema.Types.Mixed
+    }],
+    // The whole record after a create or before a delete
+    snapshot: Schema.Types.Mixed,
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: false
+    },
+    actorName: String,
+    actorRole: String,
+    ip: String,
+    userAgent: String,
+    method: String,
+    path: String,
+    requestId: {
+        type: String,
+        index: true
+    },
+    restaurant: {
+        type: String,
+        trim: true,
+        index: true
+    }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Indexes for the admin's filters
+auditLogSchema.index({ restaurant: 1, createdAt: -1 });
+auditLogSchema.index({ restaurant: 1, entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ restaurant: 1, actor: 1, createdAt: -1 });
+
+// Entries are immutable: refuse every change and delete
+const refuseChange = function (next) {
+    next(new Error("Audit log entries cannot be changed or deleted"));
+};
+
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    { document: false, query: true },
+    refuseChange
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+auditLogSchema.pre('bulkWrite', refuseChange);
+
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return refuseChange(next);
+    }
+    next();
+});
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
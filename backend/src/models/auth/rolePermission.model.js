@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose";
+
+// Role Permission Schema
+// A restaurant's permissions for a role. Roles without a document use the defaults
+// from utils/permissions.js; admins always have every permission.
+const rolePermissionSchema = new Schema({
+    role: {
+        type: String,
+        enum: ["chef", "employee"],
+        required: [true, "Role is required"]
+    },
+    permissions: [{
+        type: String,
+        trim: true
+    }],
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: false
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// Each restaurant has one permission set per role
+rolePermissionSchema.index({ restaurant: 1, role: 1 }, { unique: true });
+
+export const RolePermission = mongoose.model("RolePermission", rolePermissionSchema);
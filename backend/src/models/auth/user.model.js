@@ -57,6 +57,35 @@ const userSchema = new Schema({
         trim : true,
         index : true,
         default : "restaurant1"
+    },
+    // Changes to the role's permissions for this user only (see utils/permissions.js)
+    permissionOverrides : {
+        granted : [{ type : String, trim : true }],
+        revoked : [{ type : String, trim : true }]
+    },
+    // Deactivated users cannot log in; their history stays linked to them
+    isActive : {
+        type : Boolean,
+        default : true
+    },
+    deactivatedAt : {
+        type : Date
+    },
+    lastLoginAt : {
+        type : Date
+    },
+    // Pay per hour worked, used for labor cost
+    hourlyRate : {
+        type : Number,
+        min : [0, "Hourly rate cannot be negative"],
+        default : 0
+    },
+    invitedBy : {
+        type : Schema.Types.ObjectId,
+        ref : "User"
+    },
+    passwordResetAt : {
+        type : Date
     }
 },{timestamps : true})
 
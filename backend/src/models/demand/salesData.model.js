@@ -36,6 +36,12 @@ const salesSchema = new mongoose.Schema(
       enum : ["Reguler","Festival","Holiday","Promotion"],
       default: "Reguler",
     },
+    restaurant: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
   },
   { timestamps: true }
 );
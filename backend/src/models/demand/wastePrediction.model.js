@@ -28,6 +28,12 @@ const wastePredictionSchema = new mongoose.Schema(
     additionalNotes: {
       type: String,
     },
+    restaurant: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose";
+import { EVENTS_RELAY_COLLECTION_MB } from "../../../constant.js";
+
+// Live Event Schema
+// Events published on the bus, shared between backend instances. Every instance tails the
+// collection and hands new events to its own event stream clients. The collection is capped,
+// so old events drop off by themselves.
+const liveEventSchema = new Schema({
+    restaurant: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    data: Schema.Types.Mixed,
+    at: {
+        type: Date,
+        required: true
+    }
+}, {
+    capped: { size: EVENTS_RELAY_COLLECTION_MB * 1024 * 1024 },
+    versionKey: false
+});
+
+export const LiveEvent = mongoose.model("LiveEvent", liveEventSchema);
@@ -1,17 +1,31 @@
 import mongoose, { Schema } from "mongoose";
 
+// Generate a lot number from the received date, e.g. LOT-20250114-4F9A2C
+const generateLotNumber = (date) => {
+    const day = (date ? new Date(date) : new Date()).toISOString().split('T')[0].replace(/-/g, '');
+    const suffix = new mongoose.Types.ObjectId().toString().slice(-6).toUpperCase();
+    return `LOT-${day}-${suffix}`;
+};
+
 // Daily Inventory Entry Schema
-// IMPORTANT: This is a TRACKING/LOG entry, NOT a separate stock system.
-// The actual stock is stored in InventoryItem.currentStock (single source of truth).
-// This schema tracks:
-// - What was added to daily inventory on a specific date
-// - What's remaining from that day's additions (for FIFO tracking)
-// - Cost and expiry date for that specific batch
+// Each entry is a LOT (batch) of an inventory item received on a specific date.
+// The total available stock is still InventoryItem.currentStock (single source of truth);
+// lots break that stock down by batch so it can be consumed and expired batch by batch:
+// - Quantity received, cost, supplier and expiry date for that specific batch
+// - What's remaining from the batch (consumed FIFO/FEFO across all open lots)
+// - A lot stays open across days until it is used up (depleted) or expires
 const dailyInventoryEntrySchema = new Schema({
     date: {
         type: Date,
         required: [true, "Date is required"],
         index: true
+        // Date the lot was received
+    },
+    lotNumber: {
+        type: String,
+        trim: true,
+        default: function() { return generateLotNumber(this.date); }
+        // Supplier lot code, or LOT-YYYYMMDD-XXXXXX when none is given
     },
     inventoryItem: {
         type: Schema.Types.ObjectId,
@@ -35,22 +49,42 @@ const dailyInventoryEntrySchema = new Schema({
         required: false
         // Expiry date for this specific batch
     },
+    supplier: {
+        type: String,
+        required: false,
+        trim: true
+        // Supplier of this specific batch
+    },
     remainingQuantity: {
         type: Number,
         required: true,
         min: [0, "Remaining quantity cannot be negative"],
         default: function() { return this.quantity; }
-        // TRACKING ONLY: For FIFO tracking (not actual stock)
+        // Quantity of this batch not yet used or expired (in the item's stock unit)
+    },
+    status: {
+        type: String,
+        enum: ['open', 'depleted', 'expired'],
+        default: 'open'
     },
     addedBy: {
         type: Schema.Types.ObjectId,
         ref: "User",
         required: true
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
     }
 }, { timestamps: true });
 
-// Compound index for date and inventory item
-dailyInventoryEntrySchema.index({ date: 1, inventoryItem: 1 });
+// Compound index for restaurant, date and inventory item
+dailyInventoryEntrySchema.index({ restaurant: 1, date: 1, inventoryItem: 1 });
+
+// Index for finding the open lots of an item
+dailyInventoryEntrySchema.index({ restaurant: 1, inventoryItem: 1, status: 1 });
 
 // Index for date queries
 dailyInventoryEntrySchema.index({ date: -1 });
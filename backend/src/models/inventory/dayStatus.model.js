@@ -4,7 +4,6 @@ const dayStatusSchema = new Schema({
     date: {
         type: Date,
         required: [true, "Date is required"],
-        unique: true,
         index: true
     },
     isEnded: {
@@ -20,9 +19,18 @@ const dayStatusSchema = new Schema({
         type: Schema.Types.ObjectId,
         ref: "User",
         required: false
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
     }
 }, { timestamps: true });
 
+// Each restaurant has exactly one status document per day
+dayStatusSchema.index({ restaurant: 1, date: 1 }, { unique: true });
+
 // Index for date queries
 dayStatusSchema.index({ date: -1 });
 
@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { softDeletePlugin } from "../../utils/softDelete.js";
 
 const inventoryItemSchema = new Schema({
     name: {
@@ -68,6 +69,18 @@ const inventoryItemSchema = new Schema({
         required: false,
         min: [0, "Maximum threshold cannot be negative"]
     },
+    density: {
+        type: Number,
+        required: false,
+        min: [0, "Density cannot be negative"]
+        // Grams per millilitre, used to convert between mass and volume units
+    },
+    pieceWeight: {
+        type: Number,
+        required: false,
+        min: [0, "Piece weight cannot be negative"]
+        // Grams per piece, used to convert between pcs and mass/volume units
+    },
     status: {
         type: String,
         enum: ['active', 'low_stock', 'out_of_stock', 'expired', 'discontinued'],
@@ -91,11 +104,17 @@ const inventoryItemSchema = new Schema({
         type: Schema.Types.ObjectId,
         ref: "User",
         required: false
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
     }
 }, { timestamps: true });
 
 // Index for better query performance
-inventoryItemSchema.index({ name: 1, category: 1 });
+inventoryItemSchema.index({ restaurant: 1, name: 1, category: 1 });
 inventoryItemSchema.index({ status: 1 });
 inventoryItemSchema.index({ expiryDate: 1 });
 
@@ -129,4 +148,7 @@ inventoryItemSchema.pre('save', function(next) {
     next();
 });
 
+// Deleted items go to the trash
+inventoryItemSchema.plugin(softDeletePlugin);
+
 export const InventoryItem = mongoose.model("InventoryItem", inventoryItemSchema);
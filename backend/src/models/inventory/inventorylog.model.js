@@ -14,6 +14,24 @@ const inventoryLogSchema = new mongoose.Schema(
         date : {
             type : Date,
             required : true,
+        },
+        unitCost : {
+            type : Number,
+            min : 0,
+        }, //actual cost per stock unit (stock received from suppliers)
+        purchaseOrder : {
+            type : mongoose.Schema.Types.ObjectId,
+            ref : 'PurchaseOrder',
+        },
+        stocktake : {
+            type : mongoose.Schema.Types.ObjectId,
+            ref : 'Stocktake',
+        }, //set on adjustments posted by an approved stocktake
+        restaurant : {
+            type : String,
+            required : true,
+            trim : true,
+            index : true,
         }
     },
     {timestamps : true}
@@ -0,0 +1,74 @@
+import mongoose, { Schema } from "mongoose";
+
+// Stock Reservation Schema
+// Ledger of stock taken from InventoryItem.currentStock for an order. Each deduction is recorded
+// as soon as it is applied, so a failed (or interrupted) order can give back exactly what it took,
+// and a cancelled or edited order returns exactly what it holds:
+// - pending: stock is held, the order and its logs are not written yet
+// - committed: the order was written, the order holds the stock
+// - released: the order failed, the deducted stock was returned
+// - returned: the order was cancelled or edited, all of the stock was returned
+const stockReservationSchema = new Schema({
+    order: {
+        type: Schema.Types.ObjectId,
+        ref: "Order",
+        required: false
+    },
+    items: [{
+        inventoryItem: {
+            type: Schema.Types.ObjectId,
+            ref: "InventoryItem",
+            required: true
+        },
+        // Still held by the order, in the inventory item's stock unit; lowered as stock is returned
+        quantity: {
+            type: Number,
+            required: true,
+            min: [0, "Quantity cannot be negative"]
+        },
+        // Lots the quantity was taken from, so returned stock goes back into them; whatever
+        // no lot covered comes back as untracked stock
+        lots: [{
+            lot: {
+                type: Schema.Types.ObjectId,
+                ref: "DailyInventoryEntry",
+                required: true
+            },
+            quantity: {
+                type: Number,
+                required: true,
+                min: [0, "Quantity cannot be negative"]
+            }
+        }]
+    }],
+    status: {
+        type: String,
+        enum: ['pending', 'committed', 'released', 'returned'],
+        default: 'pending',
+        index: true
+    },
+    reason: {
+        type: String,
+        required: false,
+        trim: true
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: false
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// Index for finding stale pending reservations
+stockReservationSchema.index({ status: 1, createdAt: 1 });
+
+// Index for finding the stock an order holds
+stockReservationSchema.index({ order: 1, status: 1 });
+
+export const StockReservation = mongoose.model("StockReservation", stockReservationSchema);
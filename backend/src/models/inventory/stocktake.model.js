@@ -0,0 +1,66 @@
+import mongoose, { Schema } from "mongoose";
+
+// Stocktake Schema
+// A physical count of the stock; staff enter counts (StocktakeCount) until it is approved,
+// which posts the variances as stock adjustments
+const stocktakeSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, "Name is required"],
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['counting', 'approved', 'cancelled'],
+        default: 'counting'
+    },
+    // Storage areas being counted; all items when empty
+    storageConditions: [{
+        type: String
+    }],
+    notes: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    startedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: false
+    },
+    approvedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+    },
+    approvedAt: Date,
+    cancelledBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+    },
+    cancelledAt: Date,
+    // Filled in on approval
+    totals: {
+        itemsCounted: { type: Number, default: 0 },
+        itemsWithVariance: { type: Number, default: 0 },
+        shrinkageCost: { type: Number, default: 0 },
+        overageCost: { type: Number, default: 0 },
+        varianceCost: { type: Number, default: 0 }
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// Index for the restaurant's stocktakes, latest first
+stocktakeSchema.index({ restaurant: 1, createdAt: -1 });
+
+// A restaurant counts one stocktake at a time, so no item is adjusted twice
+stocktakeSchema.index(
+    { restaurant: 1 },
+    { unique: true, partialFilterExpression: { status: 'counting' } }
+);
+
+export const Stocktake = mongoose.model("Stocktake", stocktakeSchema);
@@ -0,0 +1,80 @@
+import mongoose, { Schema } from "mongoose";
+
+// Stocktake Count Schema
+// The counted quantity of one item in a stocktake. Each item has one count, whichever device
+// entered it last; the expected quantity is the item's stock when it was counted, so stock used
+// while counting goes on does not show as variance.
+const stocktakeCountSchema = new Schema({
+    stocktake: {
+        type: Schema.Types.ObjectId,
+        ref: "Stocktake",
+        required: [true, "Stocktake is required"]
+    },
+    inventoryItem: {
+        type: Schema.Types.ObjectId,
+        ref: "InventoryItem",
+        required: [true, "Inventory item is required"]
+    },
+    // Storage area of the item when it was counted
+    storageCondition: {
+        type: String
+    },
+    countedQuantity: {
+        type: Number,
+        required: [true, "Counted quantity is required"],
+        min: [0, "Counted quantity cannot be negative"]
+    },
+    expectedQuantity: {
+        type: Number,
+        required: true
+    },
+    unit: {
+        type: String
+    },
+    // counted - expected, in the item's stock unit; negative is shrinkage
+    variance: {
+        type: Number,
+        required: true
+    },
+    // Item cost per stock unit when it was counted
+    unitCost: {
+        type: Number,
+        default: 0
+    },
+    varianceCost: {
+        type: Number,
+        default: 0
+    },
+    notes: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    countedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+    },
+    countedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set when the stocktake is approved; only approved counts make up the variance history
+    approvedAt: {
+        type: Date,
+        default: null
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// One count per item in a stocktake
+stocktakeCountSchema.index({ stocktake: 1, inventoryItem: 1 }, { unique: true });
+
+// Index for the variance history of an item
+stocktakeCountSchema.index({ restaurant: 1, inventoryItem: 1, approvedAt: -1 });
+
+export const StocktakeCount = mongoose.model("StocktakeCount", stocktakeCountSchema);
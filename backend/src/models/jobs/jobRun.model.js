@@ -0,0 +1,58 @@
+import mongoose, { Schema } from "mongoose";
+import { JOB_RUN_HISTORY_DAYS } from "../../../constant.js";
+
+// Job Run Schema
+// History of scheduled job runs, kept for JOB_RUN_HISTORY_DAYS
+const jobRunSchema = new Schema({
+    job: {
+        type: Schema.Types.ObjectId,
+        ref: "ScheduledJob",
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual'],
+        default: 'schedule'
+    },
+    triggeredBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: false
+    },
+    instance: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['running', 'success', 'failed'],
+        default: 'running'
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    finishedAt: Date,
+    durationMs: Number,
+    result: Schema.Types.Mixed,
+    error: String,
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// Index for a job's latest runs
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+// Old runs are removed by MongoDB
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: JOB_RUN_HISTORY_DAYS * 24 * 60 * 60 });
+
+export const JobRun = mongoose.model("JobRun", jobRunSchema);
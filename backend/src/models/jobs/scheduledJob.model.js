@@ -0,0 +1,69 @@
+import mongoose, { Schema } from "mongoose";
+
+// Scheduled Job Schema
+// One document per job and restaurant. The scheduler runs a job once nextRunAt has passed;
+// lockedBy / lockedUntil make sure only one backend instance runs it at a time.
+// Schedules are either a fixed interval or a time of day in the job's time zone.
+const scheduledJobSchema = new Schema({
+    type: {
+        type: String,
+        enum: ['expiry_sweep', 'day_rollover', 'menu_stock_refresh', 'reservation_cleanup', 'waste_prediction'],
+        required: [true, "Job type is required"]
+    },
+    name: {
+        type: String,
+        required: [true, "Job name is required"],
+        trim: true
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    schedule: {
+        kind: {
+            type: String,
+            enum: ['interval', 'daily'],
+            required: true
+        },
+        intervalMinutes: {
+            type: Number,
+            min: [1, "Interval must be at least 1 minute"]
+        },
+        timeOfDay: {
+            type: String, // HH:mm in the job's time zone
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Time of day must be HH:mm"]
+        }
+    },
+    // The restaurant's time zone (see utils/restaurantTimezone.js); moved with it
+    timezone: {
+        type: String,
+        default: "UTC"
+    },
+    nextRunAt: {
+        type: Date,
+        index: true
+    },
+    lastRunAt: Date,
+    lastFinishedAt: Date,
+    lastStatus: {
+        type: String,
+        enum: ['success', 'failed', 'skipped']
+    },
+    lastError: String,
+    lockedBy: String,
+    lockedUntil: Date,
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// Each restaurant has one job of each type
+scheduledJobSchema.index({ restaurant: 1, type: 1 }, { unique: true });
+
+// Index for finding due jobs
+scheduledJobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+export const ScheduledJob = mongoose.model("ScheduledJob", scheduledJobSchema);
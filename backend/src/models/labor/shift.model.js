@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose";
+
+// Shift Schema
+// A scheduled shift of a user; the weekly schedule is the restaurant's shifts in a week
+const shiftSchema = new Schema({
+    employee: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "Employee is required"]
+    },
+    startTime: {
+        type: Date,
+        required: [true, "Start time is required"]
+    },
+    endTime: {
+        type: Date,
+        required: [true, "End time is required"]
+    },
+    // Station or job worked, e.g. "Grill" or "Prep"
+    position: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    notes: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: false
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// Index for the restaurant's schedule of a week
+shiftSchema.index({ restaurant: 1, startTime: 1 });
+
+// Index for a user's shifts
+shiftSchema.index({ employee: 1, startTime: 1 });
+
+export const Shift = mongoose.model("Shift", shiftSchema);
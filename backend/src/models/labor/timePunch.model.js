@@ -0,0 +1,70 @@
+import mongoose, { Schema } from "mongoose";
+
+// Time Punch Schema
+// One clock-in/clock-out of a user; open until the user clocks out
+const timePunchSchema = new Schema({
+    employee: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "Employee is required"]
+    },
+    // Scheduled shift the punch was matched to when clocking in, if any
+    shift: {
+        type: Schema.Types.ObjectId,
+        ref: "Shift",
+        required: false
+    },
+    clockInAt: {
+        type: Date,
+        required: [true, "Clock-in time is required"]
+    },
+    clockOutAt: {
+        type: Date
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    // Unpaid break time taken during the punch
+    breakMinutes: {
+        type: Number,
+        min: [0, "Break cannot be negative"],
+        default: 0
+    },
+    // The user's hourly rate when clocking in, so later rate changes don't rewrite past labor cost
+    hourlyRate: {
+        type: Number,
+        min: [0, "Hourly rate cannot be negative"],
+        default: 0
+    },
+    notes: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Set when a manager corrects the punch
+    editedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: false
+    },
+    editedAt: Date,
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// Index for the restaurant's punches of a period
+timePunchSchema.index({ restaurant: 1, clockInAt: 1 });
+
+// A user can only be clocked in once at a time
+timePunchSchema.index(
+    { employee: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+export const TimePunch = mongoose.model("TimePunch", timePunchSchema);
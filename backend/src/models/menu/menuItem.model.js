@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import { softDeletePlugin } from '../../utils/softDelete.js'
 
 const menuItemSchema = new mongoose.Schema({
     name: {
@@ -6,6 +7,12 @@ const menuItemSchema = new mongoose.Schema({
         required: true
     },
     description: String,
+    // Menu section, e.g. "Beverages"; tax rates can differ per category
+    category: {
+        type: String,
+        trim: true,
+        default: 'General'
+    },
     ingredients: [{
         ingredient: {
             type: mongoose.Schema.Types.ObjectId,
@@ -24,8 +31,11 @@ const menuItemSchema = new mongoose.Schema({
     }],
     baseCost: {
         type: Number,
-        required: true
-    },
+        required: true,
+        default: 0
+    }, // computed from the ingredients' InventoryItem.cost, see utils/recipeCosting.js
+    uncostedIngredients: [String], // ingredients left out of baseCost (no cost or unconvertible unit)
+    costUpdatedAt: Date,
     suggestedPrice: {
         type: Number,
         required: true
@@ -49,4 +59,7 @@ const menuItemSchema = new mongoose.Schema({
     }
 }, { timestamps: true })
 
+// Deleted menu items go to the trash
+menuItemSchema.plugin(softDeletePlugin)
+
 export const MenuItem = mongoose.model('MenuItem', menuItemSchema)
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose'
+
+// One snapshot per change of a menu item's recipe cost or price,
+// so margin erosion can be followed over time
+const menuItemCostHistorySchema = new mongoose.Schema({
+    menuItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem',
+        required: true
+    },
+    baseCost: {
+        type: Number,
+        required: true
+    },
+    suggestedPrice: {
+        type: Number,
+        required: true
+    },
+    profitMargin: Number,
+    ingredientCosts: [{
+        ingredient: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'InventoryItem'
+        },
+        name: String,
+        quantity: Number,
+        unit: String,
+        unitCost: Number, // cost per stock unit of the inventory item at the time
+        cost: Number // cost of the recipe quantity
+    }],
+    reason: {
+        type: String,
+        trim: true
+    },
+    restaurant: {
+        type: String,
+        required: true,
+        trim: true,
+        index: true
+    }
+}, { timestamps: true })
+
+menuItemCostHistorySchema.index({ menuItem: 1, createdAt: -1 })
+
+export const MenuItemCostHistory = mongoose.model('MenuItemCostHistory', menuItemCostHistorySchema)
@@ -0,0 +1,70 @@
+import mongoose, { Schema } from "mongoose";
+
+// Cash Drawer Schema
+// The till of one business day: the float it starts with, the cash counted at the end and,
+// once the day is ended, a frozen copy of the day's takings and the variance
+const cashDrawerSchema = new Schema({
+    businessDate: {
+        type: Date,
+        required: true
+    },
+    openingFloat: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Cash counted in the drawer; null until someone counts it
+    countedCash: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    countedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+    },
+    countedAt: Date,
+    notes: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    // Filled in when the day is ended
+    closedAt: Date,
+    closedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+    },
+    totals: {
+        // Per payment method: { method, payments, refunds, net, count }
+        byMethod: [{
+            _id: false,
+            method: String,
+            payments: Number,
+            refunds: Number,
+            net: Number,
+            count: Number
+        }],
+        cashIn: Number,
+        cashOut: Number,
+        expectedCash: Number,
+        // countedCash - expectedCash; null when the drawer was not counted
+        variance: Number
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// Each restaurant has one drawer per day
+cashDrawerSchema.index({ restaurant: 1, businessDate: 1 }, { unique: true });
+
+export const CashDrawer = mongoose.model("CashDrawer", cashDrawerSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import { softDeletePlugin } from '../../utils/softDelete.js'
 
 const orderSchema = new mongoose.Schema({
     orderNumber: {
@@ -59,10 +60,42 @@ const orderSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Sum of appliedPromotions
     discount: {
         type: Number,
         default: 0
     },
+    couponCode: String,
+    appliedPromotions: [{
+        _id: false,
+        promotion: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Promotion'
+        },
+        name: String,
+        type: {
+            type: String
+        },
+        couponCode: String,
+        amount: Number
+    }],
+    serviceCharge: {
+        type: Number,
+        default: 0
+    },
+    // Tax per rate; `tax` is their sum. With pricesIncludeTax the tax is part of the prices
+    // and not added to totalAmount.
+    taxLines: [{
+        _id: false,
+        label: String,
+        rate: Number,
+        taxableAmount: Number,
+        amount: Number
+    }],
+    pricesIncludeTax: {
+        type: Boolean,
+        default: false
+    },
     totalAmount: {
         type: Number,
         required: true
@@ -77,6 +110,51 @@ const orderSchema = new mongoose.Schema({
         enum: ['dine-in', 'takeaway', 'delivery'],
         default: 'dine-in'
     },
+    // Set by hand, or from the payments taken ('split' when more than one method was used)
+    paymentMethod: {
+        type: String,
+        enum: ['cash', 'card', 'upi', 'mobile', 'online', 'other', 'split']
+    },
+    // Sums of the order's payments and refunds (see Payment), kept by utils/payments.js
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0
+    },
+    paymentStatus: {
+        type: String,
+        enum: ['unpaid', 'partially-paid', 'paid', 'partially-refunded', 'refunded'],
+        default: 'unpaid'
+    },
+    // The bill divided between guests, evenly or by the items each one had; every bill is
+    // paid on its own. Cleared when the order is repriced.
+    splitBill: {
+        type: new mongoose.Schema({
+            mode: {
+                type: String,
+                enum: ['even', 'items']
+            },
+            bills: [{
+                _id: false,
+                label: String,
+                // Lines of order.items or order.recipes (by _id) on this bill
+                lines: [{
+                    _id: false,
+                    line: mongoose.Schema.Types.ObjectId,
+                    quantity: Number
+                }],
+                amount: Number,
+                amountPaid: {
+                    type: Number,
+                    default: 0
+                }
+            }]
+        }, { _id: false }),
+        default: undefined
+    },
     notes: String,
     estimatedTime: Date,
     actualDeliveryTime: Date,
@@ -89,6 +167,73 @@ const orderSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    // Frozen copy of everything the invoice shows, taken when its number is issued, so the
+    // PDF renders the same for audits even after the menu or restaurant details change
+    invoice: {
+        number: String,
+        // Position in the restaurant's invoice series; numbers are taken by writing it
+        sequence: Number,
+        // Restaurant's time zone, which the issue date is printed in
+        timezone: String,
+        issuedAt: Date,
+        seller: {
+            name: String,
+            address: String,
+            phone: String,
+            email: String,
+            taxId: String
+        },
+        customer: {
+            name: String,
+            phone: String,
+            email: String
+        },
+        orderNumber: String,
+        orderType: String,
+        lines: {
+            type: [{
+                _id: false,
+                description: String,
+                quantity: Number,
+                unitPrice: Number,
+                totalPrice: Number
+            }],
+            // Orders that were never invoiced have no invoice at all
+            default: undefined
+        },
+        subtotal: Number,
+        // Promotions and charges, each printed on its own line
+        discounts: {
+            type: [{
+                _id: false,
+                label: String,
+                amount: Number
+            }],
+            default: undefined
+        },
+        charges: {
+            type: [{
+                _id: false,
+                label: String,
+                amount: Number
+            }],
+            default: undefined
+        },
+        taxes: {
+            type: [{
+                _id: false,
+                label: String,
+                amount: Number
+            }],
+            default: undefined
+        },
+        discount: Number,
+        pricesIncludeTax: Boolean,
+        total: Number,
+        paymentMethod: String,
+        currencySymbol: String,
+        footer: String
+    },
     restaurant: {
         type: String,
         required: true,
@@ -97,11 +242,16 @@ const orderSchema = new mongoose.Schema({
     }
 }, { timestamps: true })
 
+// Invoice numbers are unique within a restaurant
+orderSchema.index({ restaurant: 1, 'invoice.number': 1 }, { unique: true, partialFilterExpression: { 'invoice.number': { $type: 'string' } } })
+orderSchema.index({ restaurant: 1, 'invoice.sequence': 1 }, { unique: true, partialFilterExpression: { 'invoice.sequence': { $type: 'number' } } })
+
 // Generate order number before saving
 orderSchema.pre('save', async function(next) {
     if (this.isNew && !this.orderNumber) {
         try {
-            const count = await this.constructor.countDocuments();
+            // Orders in the trash still hold their numbers
+            const count = await this.constructor.countDocuments().setOptions({ withDeleted: true });
             this.orderNumber = `ORD-${String(count + 1).padStart(4, '0')}`;
         } catch (error) {
             // Fallback to timestamp-based order number if count fails
@@ -111,4 +261,7 @@ orderSchema.pre('save', async function(next) {
     next();
 });
 
+// Deleted orders go to the trash
+orderSchema.plugin(softDeletePlugin)
+
 export const Order = mongoose.model('Order', orderSchema)
@@ -0,0 +1,78 @@
+import mongoose, { Schema } from "mongoose";
+
+// Payment Schema
+// Money taken for an order, or given back (kind 'refund'). One tender per document, so an
+// order paid partly in cash and partly by card has two payments. The order's amountPaid,
+// amountRefunded and paymentStatus are kept in step by utils/payments.js.
+const paymentSchema = new Schema({
+    order: {
+        type: Schema.Types.ObjectId,
+        ref: "Order",
+        required: [true, "Order is required"],
+        index: true
+    },
+    kind: {
+        type: String,
+        enum: ['payment', 'refund'],
+        default: 'payment'
+    },
+    method: {
+        type: String,
+        enum: ['cash', 'card', 'upi', 'mobile', 'online', 'other'],
+        required: [true, "Payment method is required"]
+    },
+    // What the order keeps (payment) or gives back (refund)
+    amount: {
+        type: Number,
+        required: [true, "Amount is required"],
+        min: 0.01
+    },
+    // Cash handed over by the customer and the change given back
+    tendered: Number,
+    change: Number,
+    // Card slip, UPI transaction ID or similar
+    reference: {
+        type: String,
+        trim: true
+    },
+    // Index of the split bill (order.splitBill.bills) the payment settles, if the bill is split
+    bill: {
+        type: Number,
+        min: 0
+    },
+    // Refunds: the payment given back, and why
+    refundOf: {
+        type: Schema.Types.ObjectId,
+        ref: "Payment"
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    // Payments: how much of it has been refunded so far
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Day (midnight, the way DayStatus stores days) whose cash drawer the money went through
+    businessDate: {
+        type: Date,
+        required: true
+    },
+    recordedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// Index for the cash drawer report of a day
+paymentSchema.index({ restaurant: 1, businessDate: 1 });
+
+export const Payment = mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,108 @@
+import mongoose, { Schema } from "mongoose";
+
+// Promotion Schema
+// A discount the order pricing applies automatically when its conditions hold (see
+// utils/orderPricing.js), or only when the order carries its coupon code
+const promotionSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, "Name is required"],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // percentage: `value` percent off; fixed: `value` off; combo: each full set of comboItems costs comboPrice
+    type: {
+        type: String,
+        enum: ['percentage', 'fixed', 'combo'],
+        required: [true, "Type is required"]
+    },
+    value: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // What percentage and fixed promotions discount: the whole order, or the matching items
+    // (a fixed amount is then taken off each matching unit)
+    scope: {
+        type: String,
+        enum: ['order', 'items'],
+        default: 'order'
+    },
+    menuItems: [{
+        type: Schema.Types.ObjectId,
+        ref: "MenuItem"
+    }],
+    categories: [{
+        type: String,
+        trim: true
+    }],
+    comboItems: [{
+        _id: false,
+        menuItem: {
+            type: Schema.Types.ObjectId,
+            ref: "MenuItem",
+            required: true
+        },
+        quantity: {
+            type: Number,
+            min: 1,
+            default: 1
+        }
+    }],
+    comboPrice: {
+        type: Number,
+        min: 0
+    },
+    // Smallest order subtotal the promotion applies to
+    minSubtotal: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Promotions with a code only apply to orders that carry it
+    couponCode: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    // Happy-hour window: weekdays (0 = Sunday; all days when empty) and HH:mm times in the
+    // restaurant's time zone; a window may run past midnight (e.g. 22:00 to 02:00)
+    daysOfWeek: [{
+        type: Number,
+        min: 0,
+        max: 6
+    }],
+    startTime: String,
+    endTime: String,
+    validFrom: Date,
+    validUntil: Date,
+    // Stackable promotions combine with each other; any other promotion only applies alone
+    stackable: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: false
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// Coupon codes are unique within a restaurant
+promotionSchema.index({ restaurant: 1, couponCode: 1 }, { unique: true, partialFilterExpression: { couponCode: { $type: 'string' } } });
+
+export const Promotion = mongoose.model("Promotion", promotionSchema);
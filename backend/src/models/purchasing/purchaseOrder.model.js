@@ -0,0 +1,131 @@
+import mongoose, { Schema } from "mongoose";
+
+// Purchase Order Schema
+// Workflow: draft -> sent -> partially_received -> received (draft or sent orders can be cancelled)
+// Every delivery is recorded in `receipts`; receiving creates a lot (DailyInventoryEntry)
+// and an Inventorylog row with the actual unit cost for each delivered line.
+const purchaseOrderSchema = new Schema({
+    poNumber: {
+        type: String
+    },
+    supplier: {
+        type: Schema.Types.ObjectId,
+        ref: "Supplier",
+        required: [true, "Supplier is required"]
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'sent', 'partially_received', 'received', 'cancelled'],
+        default: 'draft'
+    },
+    items: [{
+        inventoryItem: {
+            type: Schema.Types.ObjectId,
+            ref: "InventoryItem",
+            required: [true, "Inventory item is required"]
+        },
+        quantityOrdered: {
+            type: Number,
+            required: [true, "Quantity is required"],
+            min: [0, "Quantity cannot be negative"]
+        },
+        unit: {
+            type: String,
+            enum: ['pcs', 'kg', 'ltr', 'g', 'ml', 'lb', 'oz'],
+            required: [true, "Unit is required"]
+        },
+        unitCost: {
+            type: Number,
+            min: [0, "Unit cost cannot be negative"],
+            default: 0
+            // Expected cost per `unit`, from the supplier's price list unless overridden
+        },
+        quantityReceived: {
+            type: Number,
+            min: [0, "Received quantity cannot be negative"],
+            default: 0
+            // In the order line's `unit`
+        }
+    }],
+    receipts: [{
+        receivedAt: {
+            type: Date,
+            default: Date.now
+        },
+        receivedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        notes: String,
+        items: [{
+            inventoryItem: {
+                type: Schema.Types.ObjectId,
+                ref: "InventoryItem"
+            },
+            quantity: Number, // In the order line's unit
+            unitCost: Number, // Actual cost per order line unit
+            lot: {
+                type: Schema.Types.ObjectId,
+                ref: "DailyInventoryEntry"
+            },
+            lotNumber: String,
+            expiryDate: Date
+        }]
+    }],
+    expectedDeliveryDate: {
+        type: Date
+    },
+    sentAt: {
+        type: Date
+    },
+    receivedAt: {
+        type: Date
+    },
+    totalCost: {
+        type: Number,
+        default: 0
+        // Expected total of the order lines
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// PO numbers are unique within a restaurant
+purchaseOrderSchema.index({ restaurant: 1, poNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ restaurant: 1, status: 1 });
+
+// Keep the expected total in line with the order lines
+purchaseOrderSchema.pre('save', async function(next) {
+    this.totalCost = this.items.reduce((sum, item) => sum + (item.quantityOrdered || 0) * (item.unitCost || 0), 0);
+
+    // Generate PO number before saving
+    if (this.isNew && !this.poNumber) {
+        try {
+            const count = await this.constructor.countDocuments({ restaurant: this.restaurant });
+            this.poNumber = `PO-${String(count + 1).padStart(4, '0')}`;
+        } catch (error) {
+            // Fallback to timestamp-based PO number if count fails
+            this.poNumber = `PO-${Date.now().toString().slice(-6)}`;
+        }
+    }
+    next();
+});
+
+export const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
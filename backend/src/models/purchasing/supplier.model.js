@@ -0,0 +1,110 @@
+import mongoose, { Schema } from "mongoose";
+
+const supplierSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, "Supplier name is required"],
+        trim: true
+    },
+    contacts: [{
+        name: {
+            type: String,
+            required: [true, "Contact name is required"],
+            trim: true
+        },
+        role: {
+            type: String,
+            trim: true
+        },
+        email: {
+            type: String,
+            trim: true,
+            lowercase: true
+        },
+        phone: {
+            type: String,
+            trim: true
+        },
+        isPrimary: {
+            type: Boolean,
+            default: false
+        }
+    }],
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    leadTimeDays: {
+        type: Number,
+        min: [0, "Lead time cannot be negative"],
+        default: 0
+        // Days between sending a purchase order and delivery
+    },
+    paymentTerms: {
+        type: String,
+        trim: true
+    },
+    priceList: [{
+        inventoryItem: {
+            type: Schema.Types.ObjectId,
+            ref: "InventoryItem",
+            required: [true, "Inventory item is required"]
+        },
+        unitPrice: {
+            type: Number,
+            required: [true, "Unit price is required"],
+            min: [0, "Unit price cannot be negative"]
+        },
+        unit: {
+            type: String,
+            enum: ['pcs', 'kg', 'ltr', 'g', 'ml', 'lb', 'oz'],
+            required: [true, "Unit is required"]
+            // Unit the supplier sells in (converted to the item's stock unit on receipt)
+        },
+        minOrderQuantity: {
+            type: Number,
+            min: [0, "Minimum order quantity cannot be negative"],
+            default: 0
+        },
+        supplierSku: {
+            type: String,
+            trim: true
+        }
+    }],
+    notes: {
+        type: String,
+        trim: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        index: true
+    }
+}, { timestamps: true });
+
+// Supplier names are unique within a restaurant
+supplierSchema.index({ restaurant: 1, name: 1 }, { unique: true });
+
+// Index for finding the suppliers of an item
+supplierSchema.index({ 'priceList.inventoryItem': 1 });
+
+export const Supplier = mongoose.model("Supplier", supplierSchema);
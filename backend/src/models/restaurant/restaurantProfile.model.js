@@ -0,0 +1,141 @@
+import mongoose, { Schema } from "mongoose";
+import { isValidTimeZone } from "../../utils/timezone.js";
+import { DEFAULT_RESTAURANT_TIMEZONE } from "../../../constant.js";
+
+// Restaurant Profile Schema
+// The details a restaurant prints on its invoices and receipts, the counter its invoice
+// numbers are taken from, how its orders are taxed (see utils/orderPricing.js) and its time zone.
+// Restaurants without a document use the defaults.
+const restaurantProfileSchema = new Schema({
+    name: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    address: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    phone: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: ""
+    },
+    // Tax registration number (VAT, GST, ...) printed on invoices
+    taxId: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    // Name the tax lines are printed with
+    taxLabel: {
+        type: String,
+        trim: true,
+        default: "Tax"
+    },
+    // Inclusive: menu prices already contain the tax. Exclusive: tax is added on top.
+    pricesIncludeTax: {
+        type: Boolean,
+        default: false
+    },
+    // Percent charged on items whose category has no rate of its own
+    taxRate: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+    },
+    // Percent charged on the menu items of a category, e.g. { category: "Beverages", rate: 18 }
+    categoryTaxRates: [{
+        _id: false,
+        category: {
+            type: String,
+            trim: true,
+            required: true
+        },
+        rate: {
+            type: Number,
+            min: 0,
+            max: 100,
+            required: true
+        }
+    }],
+    // Percent of the discounted subtotal added as a service charge
+    serviceChargeRate: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+    },
+    serviceChargeLabel: {
+        type: String,
+        trim: true,
+        default: "Service charge"
+    },
+    serviceChargeOrderTypes: {
+        type: [{
+            type: String,
+            enum: ['dine-in', 'takeaway', 'delivery']
+        }],
+        default: () => ['dine-in']
+    },
+    // Whether the service charge is taxed at taxRate
+    serviceChargeTaxable: {
+        type: Boolean,
+        default: false
+    },
+    currencySymbol: {
+        type: String,
+        trim: true,
+        default: "$"
+    },
+    invoicePrefix: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9-]{1,10}$/, "Invoice prefix may only use letters, digits and dashes (at most 10)"],
+        default: "INV"
+    },
+    receiptFooter: {
+        type: String,
+        trim: true,
+        default: "Thank you for your visit!"
+    },
+    // IANA time zone of the restaurant; business days, job schedules, labor reports, promotion
+    // windows and invoice dates are all read in it (see utils/restaurantTimezone.js)
+    timezone: {
+        type: String,
+        trim: true,
+        validate: {
+            validator: isValidTimeZone,
+            message: props => `Unknown time zone: ${props.value}`
+        },
+        default: DEFAULT_RESTAURANT_TIMEZONE
+    },
+    // Number of the last invoice issued; only ever raised, by issuing invoices
+    lastInvoiceNumber: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: false
+    },
+    restaurant: {
+        type: String,
+        required: [true, "Restaurant is required"],
+        trim: true,
+        unique: true
+    }
+}, { timestamps: true });
+
+export const RestaurantProfile = mongoose.model("RestaurantProfile", restaurantProfileSchema);
@@ -29,7 +29,13 @@ const wasteLogSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
-    notes: String
+    notes: String,
+    restaurant: {
+        type: String,
+        required: true,
+        trim: true,
+        index: true
+    }
 }, { timestamps: true })
 
 export const WasteLog = mongoose.model('WasteLog', wasteLogSchema)
@@ -0,0 +1,23 @@
+import { Router } from "express";
+import {
+    getAuditLogs,
+    getAuditLogFilters,
+    getAuditLogById
+} from "../controllers/auditLog.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
+
+// Get the audit log (there are no routes to change or delete entries)
+router.route("/").get(requirePermission("audit:read"), getAuditLogs);
+
+// Get the entities and users to filter by
+router.route("/filters").get(requirePermission("audit:read"), getAuditLogFilters);
+
+// Get an audit log entry
+router.route("/:id").get(requirePermission("audit:read"), getAuditLogById);
+
+export default router;
@@ -0,0 +1,23 @@
+import { Router } from "express";
+import {
+    getCashDrawer,
+    updateOpeningFloat,
+    countCashDrawer
+} from "../controllers/payment.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
+
+// Get the cash drawer reconciliation of a day (?date=YYYY-MM-DD, today by default)
+router.route("/").get(requirePermission("cashdrawer:manage"), getCashDrawer);
+
+// Set today's opening float
+router.route("/float").put(requirePermission("cashdrawer:manage"), updateOpeningFloat);
+
+// Record the cash counted in today's drawer (compared with the expected cash when the day ends)
+router.route("/count").put(requirePermission("cashdrawer:manage"), countCashDrawer);
+
+export default router;
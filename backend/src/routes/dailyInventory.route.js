@@ -5,36 +5,45 @@ import {
     addItemToToday,
     endDay,
     startNewDay,
+    getPrepList,
     getDayStatus,
+    getLots,
     getAvailableItemsForToday
 } from "../controllers/dailyInventory.controller.js";
-import { verifyAdminOrChef, verifyChef } from "../middleware/auth.middleware.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+import { postInventoryUpdate } from "../middleware/stockUpdate.middleware.js";
 
 const router = Router();
 
-// Apply authentication middleware to all routes
-router.use(verifyAdminOrChef);
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
 
 // Get today's inventory
-router.route("/today").get(getTodayInventory);
+router.route("/today").get(requirePermission("inventory:read"), getTodayInventory);
 
 // Get inventory for a specific date
-router.route("/date/:date").get(getDateInventory);
+router.route("/date/:date").get(requirePermission("inventory:read"), getDateInventory);
 
 // Get day status
-router.route("/day-status").get(getDayStatus);
+router.route("/day-status").get(requirePermission("inventory:read"), getDayStatus);
+
+// Get lots (open by default, ?status=depleted|expired|all, ?inventoryItemId=)
+router.route("/lots").get(requirePermission("inventory:read"), getLots);
+
+// Get the prep list (?date=YYYY-MM-DD, ?source=forecast|average, ?weeks=)
+router.route("/prep-list").get(requirePermission("inventory:read"), getPrepList);
 
 // Get available items (generalized inventory items)
-router.route("/available-items").get(getAvailableItemsForToday);
+router.route("/available-items").get(requirePermission("inventory:read"), getAvailableItemsForToday);
 
-// Add item to today's inventory (requires chef role)
-router.route("/add-item").post(verifyChef, addItemToToday);
+// Add item to today's inventory
+router.route("/add-item").post(requirePermission("inventory:write"), postInventoryUpdate, addItemToToday);
 
-// End the day (requires chef role)
-router.route("/end-day").post(verifyChef, endDay);
+// End the day
+router.route("/end-day").post(requirePermission("day:manage"), endDay);
 
-// Start new day (requires chef role)
-router.route("/start-new-day").post(verifyChef, startNewDay);
+// Start new day
+router.route("/start-new-day").post(requirePermission("day:manage"), startNewDay);
 
 export default router;
 
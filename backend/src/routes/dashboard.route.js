@@ -1,19 +1,23 @@
 import { Router } from "express";
 import {
     getDashboardStats,
-    getDashboardCharts
+    getDashboardCharts,
+    getLaborCost
 } from "../controllers/dashboard.controller.js";
-import { verifyAdminOrChef } from "../middleware/auth.middleware.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
 
 const router = Router();
 
-// Apply authentication middleware to all routes
-router.use(verifyAdminOrChef);
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
 
 // Get dashboard statistics
-router.route("/stats").get(getDashboardStats);
+router.route("/stats").get(requirePermission("reports:read"), getDashboardStats);
 
 // Get dashboard charts data
-router.route("/charts").get(getDashboardCharts);
+router.route("/charts").get(requirePermission("reports:read"), getDashboardCharts);
+
+// Get labor cost against sales revenue per day
+router.route("/labor-cost").get(requirePermission("labor:read"), getLaborCost);
 
 export default router;
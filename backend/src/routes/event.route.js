@@ -0,0 +1,15 @@
+import { Router } from "express";
+import {
+    streamEvents
+} from "../controllers/event.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
+
+// Live order, inventory and menu events (Server-Sent Events)
+router.route("/").get(requirePermission("events:read"), streamEvents);
+
+export default router;
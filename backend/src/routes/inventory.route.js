@@ -5,66 +5,98 @@ import {
     addInventoryItem,
     updateInventoryItem,
     deleteInventoryItem,
+    getInventoryItemUsage,
+    getDeletedInventoryItems,
+    restoreInventoryItem,
     getLowStockItems,
     getExpiredItems,
     getItemsByCategory,
     getInventoryStats,
-    exportInventoryToCSV,
+    exportInventory,
+    importInventoryItems,
+    getReorderSuggestions,
+    exportReorderSuggestions,
     processExpiredInventoryItems,
     applyDailyIntake
 } from "../controllers/inventory.controller.js";
-import { verifyAdminOrChef, verifyChef } from "../middleware/auth.middleware.js";
-import { upload } from "../middleware/multer.middleware.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+import { upload, uploadSpreadsheet } from "../middleware/multer.middleware.js";
+import { postInventoryUpdate } from "../middleware/stockUpdate.middleware.js";
 
 const router = Router();
 
-// Apply authentication middleware to all routes
-router.use(verifyAdminOrChef);
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
 
 // Get all inventory items with filtering and pagination
-router.route("/").get(getAllInventoryItems);
+router.route("/").get(requirePermission("inventory:read"), getAllInventoryItems);
 
 // Get inventory statistics
-router.route("/stats").get(getInventoryStats);
+router.route("/stats").get(requirePermission("inventory:read"), getInventoryStats);
 
-// Export inventory to CSV
-router.route("/export").get(exportInventoryToCSV);
+// Export inventory as CSV, XLSX or PDF
+router.route("/export").get(requirePermission("inventory:read"), exportInventory);
+
+// Import inventory items from a CSV or XLSX file (dry run unless ?commit=true)
+router.route("/import").post(
+    requirePermission("inventory:write"),
+    uploadSpreadsheet.single("file"),
+    postInventoryUpdate,
+    importInventoryItems
+);
 
 
+// Get the inventory items in the trash
+router.route("/trash").get(requirePermission("inventory:delete"), getDeletedInventoryItems);
+
 // Get low stock items
-router.route("/low-stock").get(getLowStockItems);
+router.route("/low-stock").get(requirePermission("inventory:read"), getLowStockItems);
+
+// Get reorder suggestions
+router.route("/reorder-suggestions").get(requirePermission("inventory:read"), getReorderSuggestions);
+
+// Export reorder suggestions as CSV, XLSX or PDF
+router.route("/reorder-suggestions/export").get(requirePermission("inventory:read"), exportReorderSuggestions);
 
 // Get expired items
-router.route("/expired").get(getExpiredItems);
+router.route("/expired").get(requirePermission("inventory:read"), getExpiredItems);
 
 // Process expired items and log them as waste
-router.route("/process-expired").post(verifyChef, processExpiredInventoryItems);
+router.route("/process-expired").post(requirePermission("waste:process"), postInventoryUpdate, processExpiredInventoryItems);
 
 // Apply daily intake (bulk add to stock)
-router.route("/daily-intake").post(verifyChef, applyDailyIntake);
+router.route("/daily-intake").post(requirePermission("inventory:write"), postInventoryUpdate, applyDailyIntake);
 
 // Get items by category
-router.route("/category/:category").get(getItemsByCategory);
+router.route("/category/:category").get(requirePermission("inventory:read"), getItemsByCategory);
 
-// Add new inventory item (requires chef or admin role)
+// Add new inventory item
 router.route("/").post(
-    verifyChef,
+    requirePermission("inventory:write"),
     upload.single("image"),
+    postInventoryUpdate,
     addInventoryItem
 );
 
 // Get single inventory item by ID
-router.route("/:id").get(getInventoryItemById);
+router.route("/:id").get(requirePermission("inventory:read"), getInventoryItemById);
 
-// Update inventory item (requires chef or admin role)
+// Update inventory item
 router.route("/:id").put(
-    verifyChef,
+    requirePermission("inventory:write"),
     upload.single("image"),
+    postInventoryUpdate,
     updateInventoryItem
 );
 
-// Delete inventory item (requires chef or admin role)
-router.route("/:id").delete(verifyChef, deleteInventoryItem);
+// Get the menu items whose recipes use an inventory item
+router.route("/:id/usage").get(requirePermission("inventory:read"), getInventoryItemUsage);
+
+// Move inventory item to the trash (?force=true when it is still used in recipes)
+router.route("/:id").delete(requirePermission("inventory:delete"), postInventoryUpdate, deleteInventoryItem);
+
+// Restore inventory item from the trash
+router.route("/:id/restore").post(requirePermission("inventory:delete"), postInventoryUpdate, restoreInventoryItem);
 
 
 export default router;
@@ -0,0 +1,27 @@
+import { Router } from "express";
+import {
+    getJobs,
+    getJobRuns,
+    updateJob,
+    runJobNow
+} from "../controllers/job.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
+
+// Get the restaurant's scheduled jobs
+router.route("/").get(requirePermission("jobs:manage"), getJobs);
+
+// Get a job's run history (?limit=)
+router.route("/:id/runs").get(requirePermission("jobs:manage"), getJobRuns);
+
+// Update a job's schedule, time zone or enabled flag
+router.route("/:id").patch(requirePermission("jobs:manage"), updateJob);
+
+// Run a job now
+router.route("/:id/run").post(requirePermission("jobs:manage"), runJobNow);
+
+export default router;
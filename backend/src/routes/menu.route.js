@@ -1,53 +1,73 @@
 import { Router } from "express";
 import {
     getAllMenuItems,
+    exportMenuItems,
     getMenuItemById,
     createMenuItem,
     updateMenuItem,
     deleteMenuItem,
+    getDeletedMenuItems,
+    restoreMenuItem,
+    getMenuItemCostHistory,
+    recalculateAllMenuItemCosts,
     getAllRecipeRecommendations,
     createRecipeRecommendation,
     getAvailableIngredients,
     checkMenuItemStockStatus,
     updateAllMenuItemsStockStatus
 } from "../controllers/menu.controller.js";
-import { verifyAdminOrChef, verifyChef } from "../middleware/auth.middleware.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
 
 const router = Router();
 
-// Apply authentication middleware to all routes
-router.use(verifyAdminOrChef);
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
 
 // Menu Items Routes
 // Get all menu items with filtering and pagination
-router.route("/items").get(getAllMenuItems);
+router.route("/items").get(requirePermission("menu:read"), getAllMenuItems);
+
+// Export the menu with costs as CSV, XLSX or PDF
+router.route("/items/export").get(requirePermission("menu:read"), exportMenuItems);
 
 // Get available ingredients for menu creation
-router.route("/ingredients").get(getAvailableIngredients);
+router.route("/ingredients").get(requirePermission("menu:read"), getAvailableIngredients);
+
+// Create new menu item
+router.route("/items").post(requirePermission("menu:write"), createMenuItem);
 
-// Create new menu item (requires chef or admin role)
-router.route("/items").post(verifyChef, createMenuItem);
+// Get the menu items in the trash
+router.route("/items/trash").get(requirePermission("menu:write"), getDeletedMenuItems);
 
 // Get single menu item by ID
-router.route("/items/:id").get(getMenuItemById);
+router.route("/items/:id").get(requirePermission("menu:read"), getMenuItemById);
+
+// Update menu item
+router.route("/items/:id").put(requirePermission("menu:write"), updateMenuItem);
 
-// Update menu item (requires chef or admin role)
-router.route("/items/:id").put(verifyChef, updateMenuItem);
+// Move menu item to the trash
+router.route("/items/:id").delete(requirePermission("menu:write"), deleteMenuItem);
 
-// Delete menu item (requires chef or admin role)
-router.route("/items/:id").delete(verifyChef, deleteMenuItem);
+// Restore menu item from the trash
+router.route("/items/:id/restore").post(requirePermission("menu:write"), restoreMenuItem);
 
 // Check stock status for a specific menu item
-router.route("/items/:id/stock-status").get(checkMenuItemStockStatus);
+router.route("/items/:id/stock-status").get(requirePermission("menu:read"), checkMenuItemStockStatus);
 
 // Update stock status for all menu items
-router.route("/items/update-stock-status").post(updateAllMenuItemsStockStatus);
+router.route("/items/update-stock-status").post(requirePermission("menu:write"), updateAllMenuItemsStockStatus);
+
+// Get the recipe cost history of a menu item
+router.route("/items/:id/cost-history").get(requirePermission("menu:read"), getMenuItemCostHistory);
+
+// Recalculate recipe costs for all menu items
+router.route("/items/recalculate-costs").post(requirePermission("menu:write"), recalculateAllMenuItemCosts);
 
 // Recipe Recommendations Routes
 // Get all recipe recommendations
-router.route("/recipes").get(getAllRecipeRecommendations);
+router.route("/recipes").get(requirePermission("menu:read"), getAllRecipeRecommendations);
 
-// Create new recipe recommendation (requires chef or admin role)
-router.route("/recipes").post(verifyChef, createRecipeRecommendation);
+// Create new recipe recommendation
+router.route("/recipes").post(requirePermission("menu:write"), createRecipeRecommendation);
 
 export default router;
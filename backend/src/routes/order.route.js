@@ -1,44 +1,97 @@
 import { Router } from "express";
 import {
     createOrder,
+    quoteOrder,
     getAllOrders,
+    exportOrders,
     getOrderById,
     updateOrderStatus,
     updateOrder,
     deleteOrder,
+    getDeletedOrders,
+    restoreOrder,
     getOrderStats,
-    getInvoice
+    createInvoice,
+    getInvoice,
+    getInvoicePdf,
+    getKitchenQueue,
+    bumpOrder
 } from "../controllers/order.controller.js";
-import { verifyAdminOrChef, verifyChef } from "../middleware/auth.middleware.js";
+import {
+    getOrderPayments,
+    takePayment,
+    refundOrder,
+    splitBill,
+    unsplitBill
+} from "../controllers/payment.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+import { postInventoryUpdate } from "../middleware/stockUpdate.middleware.js";
 
 const router = Router();
 
-// Apply authentication middleware to all routes
-router.use(verifyAdminOrChef);
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
 
 // Get all orders with filtering and pagination
-router.route("/").get(getAllOrders);
+router.route("/").get(requirePermission("orders:read"), getAllOrders);
+
+// Export orders as CSV, XLSX or PDF
+router.route("/export").get(requirePermission("orders:read"), exportOrders);
 
 // Get order statistics
-router.route("/stats").get(getOrderStats);
+router.route("/stats").get(requirePermission("orders:read"), getOrderStats);
+
+// Get the orders in the trash
+router.route("/trash").get(requirePermission("orders:delete"), getDeletedOrders);
+
+// Get the kitchen display queue (active orders, oldest first)
+router.route("/kds").get(requirePermission("orders:read"), getKitchenQueue);
 
-// Create new order (requires chef or admin role)
-router.route("/").post(verifyChef, createOrder);
+// Create new order
+router.route("/").post(requirePermission("orders:create"), postInventoryUpdate, createOrder);
+
+// Price a cart with the restaurant's promotions and taxes without placing it
+router.route("/quote").post(requirePermission("orders:create"), quoteOrder);
 
 // IMPORTANT: More specific routes must come before parameterized routes
-// Get invoice for order (must come before /:id routes)
-router.route("/:id/invoice").get(getInvoice);
+// Get invoice for order (must come before /:id routes); 404 until the invoice is issued
+router.route("/:id/invoice").get(requirePermission("orders:read"), getInvoice);
+
+// Issue the invoice of a paid or completed order, taking the restaurant's next invoice number
+router.route("/:id/invoice").post(requirePermission("payments:take"), createInvoice);
+
+// Download the invoice as a PDF: A4 by default, ?layout=receipt for an 80 mm receipt
+router.route("/:id/invoice.pdf").get(requirePermission("orders:read"), getInvoicePdf);
 
-// Update order status (requires chef or admin role) - specific route before /:id
-router.route("/:id/status").put(verifyChef, updateOrderStatus);
+// Get an order's payments and refunds
+router.route("/:id/payments").get(requirePermission("orders:read"), getOrderPayments);
+
+// Take payment: one or more tenders, for the order or one of its split bills
+router.route("/:id/payments").post(requirePermission("payments:take"), takePayment);
+
+// Refund payments, in full or in part
+router.route("/:id/refunds").post(requirePermission("payments:refund"), refundOrder);
+
+// Split the bill evenly or by items, or put it back together
+router.route("/:id/split-bill").put(requirePermission("payments:take"), splitBill);
+router.route("/:id/split-bill").delete(requirePermission("payments:take"), unsplitBill);
+
+// Bump a kitchen ticket to its next status
+router.route("/:id/bump").post(requirePermission("orders:update"), bumpOrder);
+
+// Update order status - specific route before /:id; cancelling a paid order refunds it
+router.route("/:id/status").put(requirePermission("orders:update"), postInventoryUpdate, updateOrderStatus);
 
 // Get single order by ID
-router.route("/:id").get(getOrderById);
+router.route("/:id").get(requirePermission("orders:read"), getOrderById);
+
+// Update order (edit order)
+router.route("/:id").put(requirePermission("orders:update"), postInventoryUpdate, updateOrder);
 
-// Update order (edit order) - requires chef or admin role
-router.route("/:id").put(verifyChef, updateOrder);
+// Move order to the trash
+router.route("/:id").delete(requirePermission("orders:delete"), deleteOrder);
 
-// Delete order (requires chef or admin role)
-router.route("/:id").delete(verifyChef, deleteOrder);
+// Restore order from the trash
+router.route("/:id/restore").post(requirePermission("orders:delete"), restoreOrder);
 
 export default router;
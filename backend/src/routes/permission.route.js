@@ -0,0 +1,31 @@
+import { Router } from "express";
+import {
+    getMyPermissions,
+    getPermissionMatrix,
+    updateRolePermissions,
+    resetRolePermissions,
+    getUserPermissionDetails,
+    updateUserPermissions
+} from "../controllers/permission.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
+
+// Get the logged-in user's permissions (any user)
+router.route("/me").get(getMyPermissions);
+
+// Get the permission matrix of all roles
+router.route("/").get(requirePermission("permissions:manage"), getPermissionMatrix);
+
+// Set or reset a role's permissions
+router.route("/roles/:role").put(requirePermission("permissions:manage"), updateRolePermissions);
+router.route("/roles/:role").delete(requirePermission("permissions:manage"), resetRolePermissions);
+
+// Get or change a single user's permissions
+router.route("/users/:userId").get(requirePermission("permissions:manage"), getUserPermissionDetails);
+router.route("/users/:userId").put(requirePermission("permissions:manage"), updateUserPermissions);
+
+export default router;
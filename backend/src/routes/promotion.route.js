@@ -0,0 +1,25 @@
+import { Router } from "express";
+import {
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion
+} from "../controllers/promotion.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
+
+// Get all promotions (?active=true for the active ones)
+router.route("/").get(requirePermission("orders:read"), getPromotions);
+
+// Create promotion
+router.route("/").post(requirePermission("promotions:manage"), createPromotion);
+
+// Update or delete promotion
+router.route("/:id").put(requirePermission("promotions:manage"), updatePromotion);
+router.route("/:id").delete(requirePermission("promotions:manage"), deletePromotion);
+
+export default router;
@@ -0,0 +1,48 @@
+import { Router } from "express";
+import {
+    getAllPurchaseOrders,
+    getPurchaseOrderById,
+    createPurchaseOrder,
+    createPurchaseOrdersFromSuggestions,
+    updatePurchaseOrder,
+    sendPurchaseOrder,
+    receivePurchaseOrder,
+    cancelPurchaseOrder,
+    deletePurchaseOrder
+} from "../controllers/purchaseOrder.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+import { postInventoryUpdate } from "../middleware/stockUpdate.middleware.js";
+
+const router = Router();
+
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
+
+// Get all purchase orders
+router.route("/").get(requirePermission("purchasing:read"), getAllPurchaseOrders);
+
+// Create purchase order as a draft
+router.route("/").post(requirePermission("purchasing:write"), createPurchaseOrder);
+
+// Create draft purchase orders from reorder suggestions
+router.route("/from-suggestions").post(requirePermission("purchasing:write"), createPurchaseOrdersFromSuggestions);
+
+// Get purchase order by ID
+router.route("/:id").get(requirePermission("purchasing:read"), getPurchaseOrderById);
+
+// Update draft purchase order
+router.route("/:id").put(requirePermission("purchasing:write"), updatePurchaseOrder);
+
+// Delete draft purchase order
+router.route("/:id").delete(requirePermission("purchasing:write"), deletePurchaseOrder);
+
+// Send purchase order to the supplier
+router.route("/:id/send").post(requirePermission("purchasing:write"), sendPurchaseOrder);
+
+// Receive a delivery
+router.route("/:id/receive").post(requirePermission("purchasing:receive"), postInventoryUpdate, receivePurchaseOrder);
+
+// Cancel purchase order
+router.route("/:id/cancel").post(requirePermission("purchasing:write"), cancelPurchaseOrder);
+
+export default router;
@@ -0,0 +1,19 @@
+import { Router } from "express";
+import {
+    getRestaurantProfile,
+    updateRestaurantProfile
+} from "../controllers/restaurant.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
+
+// Get the restaurant's invoice details (any user)
+router.route("/profile").get(getRestaurantProfile);
+
+// Change the restaurant's invoice details
+router.route("/profile").put(requirePermission("users:manage"), updateRestaurantProfile);
+
+export default router;
@@ -1,31 +1,43 @@
 import { Router } from "express";
 import {
     getSalesAnalytics,
+    exportSalesAnalytics,
     getSalesTrends,
     getTopProducts,
     getSalesByCategory,
-    getProfitMarginAnalysis
+    getProfitMarginAnalysis,
+    getMenuEngineeringReport,
+    getSalesForecast
 } from "../controllers/sales.controller.js";
-import { verifyAdminOrChef } from "../middleware/auth.middleware.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
 
 const router = Router();
 
-// Apply authentication middleware to all routes
-router.use(verifyAdminOrChef);
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
 
 // Get comprehensive sales analytics
-router.route("/analytics").get(getSalesAnalytics);
+router.route("/analytics").get(requirePermission("reports:read"), getSalesAnalytics);
+
+// Export sales analytics per menu item as CSV, XLSX or PDF
+router.route("/analytics/export").get(requirePermission("reports:read"), exportSalesAnalytics);
 
 // Get sales trends over time
-router.route("/trends").get(getSalesTrends);
+router.route("/trends").get(requirePermission("reports:read"), getSalesTrends);
 
 // Get top performing products
-router.route("/top-products").get(getTopProducts);
+router.route("/top-products").get(requirePermission("reports:read"), getTopProducts);
 
 // Get sales by category analysis
-router.route("/by-category").get(getSalesByCategory);
+router.route("/by-category").get(requirePermission("reports:read"), getSalesByCategory);
 
 // Get profit margin analysis
-router.route("/profit-margin").get(getProfitMarginAnalysis);
+router.route("/profit-margin").get(requirePermission("reports:read"), getProfitMarginAnalysis);
+
+// Get menu engineering report (stars, plowhorses, puzzles, dogs)
+router.route("/menu-engineering").get(requirePermission("reports:read"), getMenuEngineeringReport);
+
+// Forecast units sold per menu item for the next days
+router.route("/forecast").get(requirePermission("reports:read"), getSalesForecast);
 
 export default router;
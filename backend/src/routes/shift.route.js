@@ -0,0 +1,31 @@
+import { Router } from "express";
+import {
+    getShifts,
+    createShift,
+    updateShift,
+    deleteShift,
+    copyWeek
+} from "../controllers/shift.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
+
+// Get the shifts in a period
+router.route("/").get(requirePermission("shifts:read"), getShifts);
+
+// Create shift
+router.route("/").post(requirePermission("shifts:manage"), createShift);
+
+// Copy a week's shifts to another week
+router.route("/copy-week").post(requirePermission("shifts:manage"), copyWeek);
+
+// Update shift
+router.route("/:id").put(requirePermission("shifts:manage"), updateShift);
+
+// Delete shift
+router.route("/:id").delete(requirePermission("shifts:manage"), deleteShift);
+
+export default router;
@@ -0,0 +1,48 @@
+import { Router } from "express";
+import {
+    getStocktakes,
+    startStocktake,
+    getStocktake,
+    recordCounts,
+    deleteCount,
+    approveStocktake,
+    cancelStocktake,
+    getVarianceReport,
+    getItemVarianceHistory
+} from "../controllers/stocktake.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+import { postInventoryUpdate } from "../middleware/stockUpdate.middleware.js";
+
+const router = Router();
+
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
+
+// Get the stocktakes
+router.route("/").get(requirePermission("stocktake:count"), getStocktakes);
+
+// Start a stocktake
+router.route("/").post(requirePermission("stocktake:approve"), startStocktake);
+
+// Get the stock variances per item and storage area (must come before /:id)
+router.route("/variance").get(requirePermission("stocktake:approve"), getVarianceReport);
+
+// Get the variance history of an item
+router.route("/variance/:inventoryItemId").get(requirePermission("stocktake:approve"), getItemVarianceHistory);
+
+// Get a stocktake with its count sheet
+router.route("/:id").get(requirePermission("stocktake:count"), getStocktake);
+
+// Record counted quantities
+router.route("/:id/counts").put(requirePermission("stocktake:count"), recordCounts);
+
+// Remove the count of an item
+router.route("/:id/counts/:inventoryItemId").delete(requirePermission("stocktake:count"), deleteCount);
+
+// Approve a stocktake and adjust the stock
+router.route("/:id/approve").post(requirePermission("stocktake:approve"), postInventoryUpdate, approveStocktake);
+
+// Cancel a stocktake
+router.route("/:id/cancel").post(requirePermission("stocktake:approve"), cancelStocktake);
+
+export default router;
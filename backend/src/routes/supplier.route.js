@@ -0,0 +1,35 @@
+import { Router } from "express";
+import {
+    getAllSuppliers,
+    getSupplierById,
+    getSuppliersForItem,
+    createSupplier,
+    updateSupplier,
+    deleteSupplier
+} from "../controllers/supplier.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
+
+// Get all suppliers
+router.route("/").get(requirePermission("purchasing:read"), getAllSuppliers);
+
+// Get the suppliers that sell an inventory item
+router.route("/item/:inventoryItemId").get(requirePermission("purchasing:read"), getSuppliersForItem);
+
+// Create supplier
+router.route("/").post(requirePermission("purchasing:write"), createSupplier);
+
+// Get supplier by ID
+router.route("/:id").get(requirePermission("purchasing:read"), getSupplierById);
+
+// Update supplier
+router.route("/:id").put(requirePermission("purchasing:write"), updateSupplier);
+
+// Delete supplier
+router.route("/:id").delete(requirePermission("purchasing:write"), deleteSupplier);
+
+export default router;
@@ -0,0 +1,39 @@
+import { Router } from "express";
+import {
+    getMyTimeClock,
+    clockIn,
+    clockOut,
+    getPunches,
+    updatePunch,
+    createPunch,
+    deletePunch
+} from "../controllers/timeclock.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
+
+// Get the logged-in user's time clock
+router.route("/me").get(requirePermission("timeclock:use"), getMyTimeClock);
+
+// Clock in
+router.route("/clock-in").post(requirePermission("timeclock:use"), clockIn);
+
+// Clock out
+router.route("/clock-out").post(requirePermission("timeclock:use"), clockOut);
+
+// Get the restaurant's punches
+router.route("/punches").get(requirePermission("shifts:manage"), getPunches);
+
+// Add a missed punch
+router.route("/punches").post(requirePermission("shifts:manage"), createPunch);
+
+// Correct a punch
+router.route("/punches/:id").put(requirePermission("shifts:manage"), updatePunch);
+
+// Delete a punch
+router.route("/punches/:id").delete(requirePermission("shifts:manage"), deletePunch);
+
+export default router;
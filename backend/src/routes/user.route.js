@@ -1,6 +1,6 @@
 import { Router } from "express";
-import { registerUser, loginUser, logoutUser, refreshAccessToken, createDefaultUsers, createRestaurantUsers, migrateExistingUsers } from "../controllers/user.controller.js";
-import { verifyJWT } from "../middleware/auth.middleware.js";
+import { registerUser, loginUser, logoutUser, refreshAccessToken, createDefaultUsers, createRestaurantUsers, migrateExistingUsers, getStaff, getStaffMember, inviteStaffMember, updateStaffMember, deactivateStaffMember, activateStaffMember, resetStaffPassword } from "../controllers/user.controller.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
 import { upload } from "../middleware/multer.middleware.js";
 
 const router = Router();
@@ -25,4 +25,19 @@ router.route("/create-restaurant-users").post(createRestaurantUsers)
 
 router.route("/migrate-users").post(migrateExistingUsers)
 
+// Staff management: the users of the admin's own restaurant
+router.route("/staff").get(verifyJWT, requirePermission("users:manage"), getStaff)
+
+router.route("/staff").post(verifyJWT, requirePermission("users:manage"), inviteStaffMember)
+
+router.route("/staff/:userId").get(verifyJWT, requirePermission("users:manage"), getStaffMember)
+
+router.route("/staff/:userId").patch(verifyJWT, requirePermission("users:manage"), updateStaffMember)
+
+router.route("/staff/:userId/deactivate").post(verifyJWT, requirePermission("users:manage"), deactivateStaffMember)
+
+router.route("/staff/:userId/activate").post(verifyJWT, requirePermission("users:manage"), activateStaffMember)
+
+router.route("/staff/:userId/reset-password").post(verifyJWT, requirePermission("users:manage"), resetStaffPassword)
+
 export default router;
\ No newline at end of file
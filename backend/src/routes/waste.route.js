@@ -1,44 +1,53 @@
 import { Router } from "express";
 import {
     getAllWasteLogs,
+    exportWasteLogs,
     getWasteLogById,
     createWasteLog,
     getWasteStats,
     processExpiredItems,
     getExpiredItems,
     getAllWastePredictions,
-    getWastePredictionStats
+    getWastePredictionStats,
+    runWastePredictions
 } from "../controllers/waste.controller.js";
-import { verifyAdminOrChef, verifyChef } from "../middleware/auth.middleware.js";
+import { verifyJWT, requirePermission } from "../middleware/auth.middleware.js";
+import { postInventoryUpdate } from "../middleware/stockUpdate.middleware.js";
 
 const router = Router();
 
-// Apply authentication middleware to all routes
-router.use(verifyAdminOrChef);
+// Apply authentication middleware to all routes; each route names the permission it needs
+router.use(verifyJWT);
 
 // Get all waste logs
-router.route("/").get(getAllWasteLogs);
+router.route("/").get(requirePermission("waste:read"), getAllWasteLogs);
+
+// Export waste logs as CSV, XLSX or PDF
+router.route("/export").get(requirePermission("waste:read"), exportWasteLogs);
 
 // Get waste statistics
-router.route("/stats").get(getWasteStats);
+router.route("/stats").get(requirePermission("waste:read"), getWasteStats);
 
 // Get expired items for analytics
-router.route("/expired").get(getExpiredItems);
+router.route("/expired").get(requirePermission("waste:read"), getExpiredItems);
 
 // Process expired items and log them as waste
-router.route("/process-expired").post(verifyChef, processExpiredItems);
+router.route("/process-expired").post(requirePermission("waste:process"), postInventoryUpdate, processExpiredItems);
 
 // Create new waste log
-router.route("/").post(verifyChef, createWasteLog);
+router.route("/").post(requirePermission("waste:write"), createWasteLog);
 
 // Get all waste predictions
-router.route("/predictions").get(getAllWastePredictions);
+router.route("/predictions").get(requirePermission("waste:read"), getAllWastePredictions);
+
+// Score inventory with the waste prediction model
+router.route("/predictions/run").post(requirePermission("waste:process"), runWastePredictions);
 
 // Get waste prediction statistics
-router.route("/predictions/stats").get(getWastePredictionStats);
+router.route("/predictions/stats").get(requirePermission("waste:read"), getWastePredictionStats);
 
 // Get single waste log by ID
-router.route("/:id").get(getWasteLogById);
+router.route("/:id").get(requirePermission("waste:read"), getWasteLogById);
 
 export default router;
 
@@ -0,0 +1,285 @@
+import mongoose from "mongoose";
+import { AuditLog } from "../models/audit/auditLog.model.js";
+import { getRequestContext } from "./requestContext.js";
+import { AUDIT_FULL_RECORD_LIMIT } from "../../constant.js";
+
+// Models that are not audited: the audit log itself and bookkeeping of other features
+const EXCLUDED_MODELS = ['AuditLog', 'JobRun', 'StockReservation', 'LiveEvent'];
+
+// Fields whose values are never written to the audit log
+const REDACTED_FIELDS = ['password', 'refreshToken'];
+
+// Fields that change as a side effect (timestamps, logins) and are left out of the changes
+const IGNORED_FIELDS = ['createdAt', 'updatedAt', '__v', 'refreshToken', 'lastLoginAt'];
+
+const QUERY_UPDATES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const QUERY_DELETES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+// Queries that return the record they wrote
+const FIND_AND_MODIFY = ['findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'];
+
+// Helper function to check whether a write should be recorded
+// Only writes made while handling an API request are audited; queries can opt out with { skipAudit: true }
+const shouldAudit = (modelName, options = {}) =>
+    Boolean(getRequestContext()) && !EXCLUDED_MODELS.includes(modelName) && !options.skipAudit;
+
+// Helper function to turn a document into plain JSON values (ObjectIds and dates become strings)
+const toPlain = (doc) => (doc ? JSON.parse(JSON.stringify(doc)) : null);
+
+// Helper function to hide sensitive fields
+const redact = (doc) => {
+    if (!doc) return doc;
+    const copy = { ...doc };
+    for (const field of REDACTED_FIELDS) {
+        if (copy[field] !== undefined) copy[field] = '[redacted]';
+    }
+    return copy;
+};
+
+// Helper function to flatten nested objects into dotted paths; arrays are kept whole
+const flatten = (value, prefix = '', out = {}) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+        for (const [key, nested] of Object.entries(value)) {
+            flatten(nested, prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else if (prefix) {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+/**
+ * Fields that differ between two versions of a record
+ * @param {Object} before - Record before the change (null for a create)
+ * @param {Object} after - Record after the change (null for a delete)
+ * @returns {Array} - [{ path, before, after }]
+ */
+export const diffRecords = (before, after) => {
+    const beforeFields = flatten(toPlain(before) || {});
+    const afterFields = flatten(toPlain(after) || {});
+    const paths = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+
+    const changes = [];
+    for (const path of paths) {
+        const root = path.split('.')[0];
+        if (IGNORED_FIELDS.includes(root) || path === '_id') continue;
+        if (JSON.stringify(beforeFields[path]) === JSON.stringify(afterFields[path])) continue;
+
+        const redacted = REDACTED_FIELDS.includes(root);
+        changes.push({
+            path,
+            before: redacted && beforeFields[path] !== undefined ? '[redacted]' : beforeFields[path],
+            after: redacted && afterFields[path] !== undefined ? '[redacted]' : afterFields[path]
+        });
+    }
+    return changes;
+};
+
+/**
+ * Write audit log entries for changed records
+ * Changes that only touch ignored fields are not recorded. A failure to write the log is reported
+ * but does not undo or fail the change itself.
+ * @param {String} entity - Model name
+ * @param {Array} records - [{ action, before, after }]
+ */
+export const recordChanges = async (entity, records) => {
+    const context = getRequestContext();
+    if (!context || records.length === 0) return;
+
+    const entries = [];
+    for (const { action, before, after } of records) {
+        const changes = diffRecords(before, after);
+        if (changes.length === 0) continue;
+
+        const record = after || before;
+        entries.push({
+            action,
+            entity,
+            entityId: String(record._id),
+            changes,
+            snapshot: action === 'create' ? redact(toPlain(after)) : action === 'delete' ? redact(toPlain(before)) : undefined,
+            actor: context.actor?._id,
+            actorName: context.actor?.fullname,
+            actorRole: context.actor?.role,
+            ip: context.ip,
+            userAgent: context.userAgent,
+            method: context.method,
+            path: context.path,
+            requestId: context.requestId,
+            restaurant: record.restaurant || context.actor?.restaurant
+        });
+    }
+
+    if (entries.length === 0) return;
+
+    try {
+        await AuditLog.insertMany(entries);
+    } catch (error) {
+        console.error(`Failed to write audit log for ${entity}:`, error.message);
+    }
+};
+
+// Helper function to get the whole record a findOneAnd* query returned (null when it returned
+// nothing, or only some fields)
+const getReturnedRecord = (query, result) => {
+    if (!FIND_AND_MODIFY.includes(query.op)) return null;
+
+    const options = query.getOptions();
+    const returned = options.includeResultMetadata || options.rawResult ? result?.value : result;
+    if (!returned || (query._fields && Object.keys(query._fields).length > 0)) return null;
+    return typeof returned.toObject === 'function' ? returned.toObject() : returned;
+};
+
+// Helper function to describe what an update sets on each record, for writes too large to re-read:
+// $set values as they are, unset fields as null and other operators as { $inc: 2 }-style values
+const changesFromUpdate = (update) => {
+    if (!update || Array.isArray(update)) return {};
+
+    const fields = {};
+    for (const [key, value] of Object.entries(update)) {
+        if (!key.startsWith('$')) {
+            fields[key] = value;
+        } else if (key === '$set' || key === '$setOnInsert') {
+            Object.assign(fields, value);
+        } else if (key === '$unset') {
+            Object.keys(value).forEach(path => { fields[path] = null; });
+        } else {
+            Object.entries(value).forEach(([path, operand]) => { fields[path] = { [key]: operand }; });
+        }
+    }
+    return fields;
+};
+
+/**
+ * Mongoose plugin recording every create, update and delete in the audit log
+ * Covers document saves, insertMany and the update/delete queries; the record is read before and
+ * after the write to get the changes. A findOneAnd* query's own result is used where it holds the
+ * record, and updateMany/deleteMany over more than AUDIT_FULL_RECORD_LIMIT records are logged
+ * from the update alone.
+ * @param {Object} schema - Schema to audit
+ */
+export const auditPlugin = (schema) => {
+    schema.pre('save', async function () {
+        // Embedded documents are part of their parent's record
+        if (this.$isSubdocument || !shouldAudit(this.constructor.modelName)) return;
+
+        this.$locals.auditAction = this.isNew ? 'create' : 'update';
+        this.$locals.auditBefore = this.isNew ? null : await this.constructor.findById(this._id).setOptions({ withDeleted: true }).lean();
+    });
+
+    schema.post('save', async function (doc) {
+        if (doc.$isSubdocument || !doc.$locals.auditAction) return;
+
+        const action = doc.$locals.auditAction;
+        const before = doc.$locals.auditBefore;
+        delete doc.$locals.auditAction;
+        delete doc.$locals.auditBefore;
+
+        // Re-read an update: the saved document may have been loaded without some fields
+        const after = action === 'update' ? await doc.constructor.findById(doc._id).setOptions({ withDeleted: true }).lean() : doc.toObject();
+        await recordChanges(doc.constructor.modelName, [{ action, before, after }]);
+    });
+
+    schema.post('insertMany', async function (docs) {
+        if (!shouldAudit(this.modelName)) return;
+
+        await recordChanges(this.modelName, docs.map(doc => ({
+            action: 'create',
+            before: null,
+            after: typeof doc.toObject === 'function' ? doc.toObject() : doc
+        })));
+    });
+
+    schema.pre([...QUERY_UPDATES, ...QUERY_DELETES], { document: false, query: true }, async function () {
+        if (!shouldAudit(this.model.modelName, this.getOptions())) return;
+
+        const many = this.op === 'updateMany' || this.op === 'deleteMany';
+        const query = this.model.find(this.getFilter()).setOptions({ withDeleted: true }).lean();
+        if (many) {
+            query.limit(AUDIT_FULL_RECORD_LIMIT + 1);
+        } else {
+            // The same record the write picks when several match
+            const { sort } = this.getOptions();
+            if (sort) query.sort(sort);
+            query.limit(1);
+        }
+        this._auditBefore = await query;
+
+        // Too many records to read twice: only their ids are kept
+        if (many && this._auditBefore.length > AUDIT_FULL_RECORD_LIMIT) {
+            this._auditBefore = await this.model.find(this.getFilter()).setOptions({ withDeleted: true })
+                .select('_id restaurant deletedAt').lean();
+            this._auditIdsOnly = true;
+        }
+    });
+
+    schema.post(QUERY_UPDATES, { document: false, query: true }, async function (result) {
+        const before = this._auditBefore;
+        if (!before) return;
+
+        if (this._auditIdsOnly) {
+            const fields = changesFromUpdate(this.getUpdate());
+            const trashed = fields.deletedAt != null && typeof fields.deletedAt !== 'object';
+            await recordChanges(this.model.modelName, before.map(doc => ({
+                action: doc.deletedAt == null && trashed ? 'delete' : 'update',
+                before: { _id: doc._id, restaurant: doc.restaurant },
+                after: { _id: doc._id, restaurant: doc.restaurant, ...fields }
+            })));
+            return;
+        }
+
+        // The record the query returned is the one it wrote, whichever the snapshot found
+        const returned = getReturnedRecord(this, result);
+        if (returned) {
+            const { new: returnsNew, returnDocument } = this.getOptions();
+            const returnsAfter = returnsNew || returnDocument === 'after';
+            const snapshot = before.find(doc => String(doc._id) === String(returned._id)) || null;
+
+            const recordBefore = returnsAfter ? snapshot : returned;
+            const recordAfter = returnsAfter
+                ? returned
+                : await this.model.findById(returned._id).setOptions({ withDeleted: true }).lean();
+            if (!recordAfter) return;
+
+            await recordChanges(this.model.modelName, [{
+                action: recordBefore?.deletedAt == null && recordAfter.deletedAt != null
+                    ? 'delete'
+                    : (!recordBefore && this.getOptions().upsert ? 'create' : 'update'),
+                before: recordBefore,
+                after: recordAfter
+            }]);
+            return;
+        }
+
+        const ids = before.map(doc => doc._id);
+        const after = ids.length > 0 ? await this.model.find({ _id: { $in: ids } }).setOptions({ withDeleted: true }).lean() : [];
+        const afterById = new Map(after.map(doc => [String(doc._id), doc]));
+
+        // Moving a record to the trash counts as deleting it
+        const records = before.map(doc => ({
+            action: doc.deletedAt == null && afterById.get(String(doc._id))?.deletedAt != null ? 'delete' : 'update',
+            before: doc,
+            after: afterById.get(String(doc._id)) || null
+        })).filter(record => record.after);
+
+        // An upsert that matched nothing created the record
+        if (ids.length === 0 && this.getOptions().upsert) {
+            const created = await this.model.findOne(this.getFilter()).setOptions({ withDeleted: true }).lean();
+            if (created) records.push({ action: 'create', before: null, after: created });
+        }
+
+        await recordChanges(this.model.modelName, records);
+    });
+
+    schema.post(QUERY_DELETES, { document: false, query: true }, async function (result) {
+        if (!this._auditBefore) return;
+
+        // findOneAndDelete returns the record it deleted
+        const returned = getReturnedRecord(this, result);
+        const before = returned ? [returned] : this._auditBefore;
+
+        await recordChanges(this.model.modelName, before.map(doc => ({ action: 'delete', before: doc, after: null })));
+    });
+};
+
+// Audit every model compiled from here on; this module must be loaded before the models
+mongoose.plugin(auditPlugin);
@@ -0,0 +1,120 @@
+import { DailyInventoryEntry } from "../models/inventory/dailyInventoryEntry.model.js";
+import { DayStatus } from "../models/inventory/dayStatus.model.js";
+import { apiError } from "./apiError.js";
+import { sortLotsForConsumption } from "./lotManager.js";
+import { buildPrepList } from "./prepListBuilder.js";
+import { closeCashDrawer } from "./payments.js";
+
+// Helper function to format date to YYYY-MM-DD
+const formatDate = (date) => {
+    return date.toISOString().split('T')[0];
+};
+
+/**
+ * End a restaurant's business day
+ * The day's cash drawer is closed first, freezing its takings and the variance against the
+ * counted cash; a day the scheduler ends without a count has no variance.
+ * @param {String} restaurant - Restaurant whose day ends
+ * @param {Date} day - The day, at midnight
+ * @param {String} userId - User ending the day (null when ended by the scheduler)
+ * @param {Object} options
+ * @param {Number} options.countedCash - Cash counted in the drawer, if counted now
+ * @returns {Object} - { date, isEnded, cashDrawer }
+ */
+export const endBusinessDay = async (restaurant, day, userId = null, { countedCash } = {}) => {
+    // Check if day is already ended
+    let dayStatus = await DayStatus.findOne({ date: day, restaurant });
+    if (dayStatus?.isEnded) {
+        throw new apiError("The day has already been ended", 400);
+    }
+
+    const cashDrawer = await closeCashDrawer(restaurant, day, { countedCash, userId });
+
+    // Create or update day status
+    if (!dayStatus) {
+        dayStatus = await DayStatus.create({
+            date: day,
+            isEnded: true,
+            endedAt: new Date(),
+            endedBy: userId || undefined,
+            restaurant
+        });
+    } else {
+        dayStatus.isEnded = true;
+        dayStatus.endedAt = new Date();
+        dayStatus.endedBy = userId || undefined;
+        await dayStatus.save();
+    }
+
+    return { date: formatDate(day), isEnded: true, cashDrawer };
+};
+
+/**
+ * Start a restaurant's business day (non-expired open lots carry forward with their lot identity)
+ * The previous day must have been ended. Also builds the day's prep list; the day still
+ * starts if the list cannot be built.
+ * @param {String} restaurant - Restaurant whose day starts
+ * @param {Date} today - The new day, at midnight
+ * @returns {Object} - { date, carriedForwardCount, carriedForward, prepList }
+ */
+export const startBusinessDay = async (restaurant, today) => {
+    const yesterday = new Date(today);
+    yesterday.setDate(yesterday.getDate() - 1);
+    yesterday.setHours(0, 0, 0, 0);
+
+    // Check if today is already started
+    const todayStatus = await DayStatus.findOne({ date: today, restaurant });
+    if (todayStatus?.isEnded) {
+        throw new apiError("Today's day has already been ended. Cannot start a new day.", 400);
+    }
+
+    // Check if yesterday was ended
+    const yesterdayStatus = await DayStatus.findOne({ date: yesterday, restaurant });
+    if (!yesterdayStatus?.isEnded) {
+        throw new apiError("Yesterday's day must be ended before starting a new day", 400);
+    }
+
+    // Lots are not copied: every lot received before today that is still open stays open
+    const openLots = await DailyInventoryEntry.find({
+        date: { $lt: today },
+        restaurant,
+        status: 'open',
+        remainingQuantity: { $gt: 0 }
+    }).populate('inventoryItem');
+
+    const now = new Date();
+    const carriedForward = [];
+
+    for (const lot of sortLotsForConsumption(openLots)) {
+        // Expired lots are moved to waste by the expired items processing, not carried forward
+        if (lot.expiryDate && new Date(lot.expiryDate) < now) {
+            continue;
+        }
+
+        carriedForward.push({
+            lotId: lot._id,
+            lotNumber: lot.lotNumber,
+            itemName: lot.inventoryItem?.name,
+            quantity: lot.remainingQuantity,
+            unit: lot.inventoryItem?.unit,
+            receivedDate: formatDate(lot.date),
+            expiryDate: lot.expiryDate
+        });
+    }
+
+    // Give the chef the day's prep list straight away
+    let prepList = null;
+    try {
+        const prepDate = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+        prepList = await buildPrepList(restaurant, { date: prepDate });
+    } catch (error) {
+        console.error('Failed to build the prep list for the new day:', error.message);
+    }
+
+    return {
+        date: formatDate(today),
+        carriedForwardCount: carriedForward.length,
+        carriedForward,
+        prepList
+    };
+};
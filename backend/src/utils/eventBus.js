@@ -0,0 +1,179 @@
+import { EventEmitter } from "events";
+import { LiveEvent } from "../models/events/liveEvent.model.js";
+import { EVENTS_HEARTBEAT_SECONDS, EVENTS_RELAY_ENABLED, EVENTS_RELAY_RETRY_MS } from "../../constant.js";
+
+// Events published on the bus. Subscribers may also ask for a whole group, e.g. 'order.*'
+export const EVENT_TYPES = [
+    'order.created',
+    'order.updated',
+    'order.status_changed',
+    'order.deleted',
+    'inventory.low_stock',
+    'inventory.expired',
+    'stocktake.counted',
+    'stocktake.closed',
+    'menu.stock_status_changed',
+    'staff.clocked_in',
+    'staff.clocked_out'
+];
+
+// In-process bus; listeners are keyed by restaurant so a client only ever
+// receives events of its own restaurant. Once the relay is started, events reach it
+// through the shared LiveEvent collection, so clients of every instance get them.
+const emitter = new EventEmitter();
+
+// Whether events go through the shared collection (see startEventRelay)
+let relayStarted = false;
+
+// One listener per open connection; don't warn when many screens are open
+emitter.setMaxListeners(0);
+
+// Helper function to check an event type against a subscription list
+const matchesTypes = (type, types) => {
+    if (!types || types.length === 0) return true;
+    return types.some(pattern => pattern.endsWith('.*')
+        ? type.startsWith(pattern.slice(0, -1))
+        : type === pattern);
+};
+
+/**
+ * Publish an event to every subscriber of a restaurant
+ * @param {String} restaurant - Restaurant the event belongs to
+ * @param {String} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload (Mongoose documents are converted to plain objects)
+ */
+export const publishEvent = (restaurant, type, data) => {
+    if (!restaurant) return;
+
+    const payload = data && typeof data.toObject === 'function' ? data.toObject() : data;
+    const event = { type, data: payload, at: new Date().toISOString() };
+
+    if (!relayStarted) {
+        emitter.emit(`events:${restaurant}`, event);
+        return;
+    }
+
+    // Every instance, this one included, hands the event to its clients when it reads it back
+    LiveEvent.create({ restaurant, ...event }).catch((error) => {
+        console.error(`Failed to share ${type} event:`, error.message);
+        emitter.emit(`events:${restaurant}`, event);
+    });
+};
+
+/**
+ * Share events between backend instances
+ * Events are written to the capped LiveEvent collection, which every instance tails, so
+ * clients see the events published on any instance (orders taken elsewhere, scheduled jobs).
+ * Until this is called, or with EVENTS_RELAY_ENABLED=false, events stay in this process.
+ * @returns {Boolean} - true if the relay was started
+ */
+export const startEventRelay = async () => {
+    if (!EVENTS_RELAY_ENABLED || relayStarted) {
+        return false;
+    }
+
+    // Creates the capped collection if it does not exist yet
+    await LiveEvent.init();
+
+    // Only events published from now on are relayed
+    let lastSeen = (await LiveEvent.findOne().sort({ $natural: -1 }).select('_id').lean())?._id;
+
+    const tail = async () => {
+        for (;;) {
+            try {
+                const cursor = LiveEvent.find(lastSeen ? { _id: { $gt: lastSeen } } : {})
+                    .tailable(true, { awaitData: true })
+                    .lean()
+                    .cursor();
+
+                for await (const event of cursor) {
+                    lastSeen = event._id;
+                    emitter.emit(`events:${event.restaurant}`, {
+                        type: event.type,
+                        data: event.data,
+                        at: event.at.toISOString()
+                    });
+                }
+            } catch (error) {
+                console.error('Event relay feed failed:', error.message);
+            }
+
+            // The feed ends while the collection is empty or when the connection drops
+            await new Promise(resolve => setTimeout(resolve, EVENTS_RELAY_RETRY_MS));
+        }
+    };
+
+    relayStarted = true;
+    tail();
+    return true;
+};
+
+/**
+ * Listen to the events of a restaurant
+ * @param {String} restaurant - Restaurant to listen to
+ * @param {Function} listener - Called with { type, data, at }
+ * @param {Array} types - Event types or groups ('order.*') to receive; all when empty
+ * @returns {Function} - Call to stop listening
+ */
+export const subscribeToEvents = (restaurant, listener, types = []) => {
+    const channel = `events:${restaurant}`;
+    const filtered = (event) => {
+        if (matchesTypes(event.type, types)) listener(event);
+    };
+    emitter.on(channel, filtered);
+    return () => emitter.off(channel, filtered);
+};
+
+/**
+ * Publish inventory.low_stock when an item's stock has just dropped to its minimum threshold
+ * Only the crossing is reported, not every later deduction below the threshold
+ * @param {Object} item - Inventory item after the change
+ * @param {Number} previousStock - Stock before the change
+ */
+export const publishLowStockIfCrossed = (item, previousStock) => {
+    if (!item || !(item.minThreshold > 0)) return;
+    if (previousStock > item.minThreshold && item.currentStock <= item.minThreshold) {
+        publishEvent(item.restaurant, 'inventory.low_stock', {
+            _id: item._id,
+            name: item.name,
+            currentStock: item.currentStock,
+            minThreshold: item.minThreshold,
+            unit: item.unit
+        });
+    }
+};
+
+/**
+ * Stream a restaurant's events to a client as Server-Sent Events
+ * Each event is sent with its type as the SSE event name. A comment line is sent
+ * periodically so proxies do not close an idle connection.
+ * @param {Object} req - Express request (authenticated)
+ * @param {Object} res - Express response
+ * @param {Array} types - Event types or groups to send; all when empty
+ * @returns {Function} - send(event, data) to write extra messages on the stream
+ */
+export const openEventStream = (req, res, types = []) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const unsubscribe = subscribeToEvents(req.user.restaurant, (event) => send(event.type, event), types);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENTS_HEARTBEAT_SECONDS * 1000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+
+    // Tell the client it is connected, so it can load its initial state
+    send('ready', { types: types.length ? types : EVENT_TYPES, at: new Date().toISOString() });
+
+    return send;
+};
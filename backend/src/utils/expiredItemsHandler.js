@@ -3,194 +3,204 @@ import { WasteLog } from "../models/waste/wasteLog.model.js";
 import { WastePrediction } from "../models/demand/wastePrediction.model.js";
 import { Inventorylog } from "../models/inventory/inventorylog.model.js";
 import { DailyInventoryEntry } from "../models/inventory/dailyInventoryEntry.model.js";
+import { getUntrackedStock, refreshItemExpiry } from "./lotManager.js";
+import { publishEvent } from "./eventBus.js";
+
+/**
+ * Take wasted stock out of an item without going below zero and record it as waste
+ * @param {Object} item - Inventory item the stock belongs to
+ * @param {Number} quantity - Quantity to waste, in the item's stock unit
+ * @param {Object} details - { cost, expiryDate, source, notes, reason, loggedByUserId, now }
+ * @returns {Object|null} - Waste summary, or null if the item had no stock left
+ */
+const wasteExpiredStock = async (item, quantity, details) => {
+    const { cost, expiryDate, notes, reason, loggedByUserId, now } = details;
+
+    // Clamp to the stock actually left, atomically (orders may be using the item right now)
+    const previousItem = await InventoryItem.findOneAndUpdate(
+        { _id: item._id, currentStock: { $gt: 0 } },
+        [{
+            $set: {
+                currentStock: { $max: [0, { $subtract: ['$currentStock', quantity] }] },
+                lastUpdatedBy: loggedByUserId
+            }
+        }],
+        { new: false }
+    );
+
+    if (!previousItem) {
+        return null;
+    }
+
+    const wasteQuantity = Math.min(quantity, previousItem.currentStock);
+    if (previousItem.currentStock - wasteQuantity <= 0) {
+        await InventoryItem.findByIdAndUpdate(item._id, { status: 'expired' });
+    }
+
+    const wasteCost = cost ? wasteQuantity * cost : 0;
+
+    // Create waste log entry
+    const wasteLog = await WasteLog.create({
+        ingredient: item._id,
+        category: 'expired',
+        quantity: wasteQuantity,
+        unit: item.unit,
+        loggedBy: loggedByUserId,
+        loggedAt: now,
+        notes,
+        restaurant: item.restaurant
+    });
+
+    // Create inventory log entry for tracking
+    await Inventorylog.create({
+        ingredient: item._id,
+        change: -wasteQuantity,
+        reason,
+        date: now,
+        restaurant: item.restaurant
+    });
+
+    // Create waste prediction record for analytics
+    await WastePrediction.create({
+        ingredient: item._id,
+        predictedWasteQuantity: wasteQuantity,
+        predictionDate: now,
+        predictionModel: 'Expired',
+        confidenceScore: 1.0, // 100% confidence since item is already expired
+        additionalNotes: `${notes} Automatically moved to waste.`,
+        restaurant: item.restaurant
+    });
+
+    publishEvent(item.restaurant, 'inventory.expired', {
+        _id: item._id,
+        name: item.name,
+        wastedQuantity: wasteQuantity,
+        unit: item.unit,
+        wasteCost,
+        expiryDate
+    });
+
+    return {
+        itemId: item._id,
+        name: item.name,
+        quantity: wasteQuantity,
+        unit: item.unit,
+        wasteCost: wasteCost,
+        wasteLogId: wasteLog._id,
+        expiryDate: expiryDate
+    };
+};
 
 /**
  * Process expired items and log them as waste
+ * Expired lots are wasted one by one, so fresh lots of the same item stay in stock.
+ * Item-level expiry only wastes the stock that is not held in any lot.
  * @param {String} loggedByUserId - User ID who is processing the waste (optional)
+ * @param {String} restaurant - Restaurant to limit processing to (optional, all restaurants when omitted)
  * @returns {Object} - Summary of processed expired items
  */
-export const processExpiredItems = async (loggedByUserId = null) => {
+export const processExpiredItems = async (loggedByUserId = null, restaurant = null) => {
     try {
         const now = new Date();
-        
-        // Find all items that have expired and still have stock
-        const expiredItems = await InventoryItem.find({
-            expiryDate: { $lt: now },
-            currentStock: { $gt: 0 },
-            status: { $ne: 'discontinued' }
-        });
+        const restaurantFilter = restaurant ? { restaurant } : {};
 
-        // Also process expired daily inventory entries
-        const expiredDailyEntries = await DailyInventoryEntry.find({
+        const processedItems = [];
+        let totalWasteCost = 0;
+        const touchedItemIds = new Set(); // Items whose expiry date needs refreshing afterwards
+
+        // STEP 1: Expire individual lots
+        const expiredLots = await DailyInventoryEntry.find({
+            ...restaurantFilter,
+            status: 'open',
             expiryDate: { $lt: now },
             remainingQuantity: { $gt: 0 }
         }).populate('inventoryItem');
 
-        const processedItems = [];
-        let totalWasteCost = 0;
-        const processedItemIds = new Set(); // Track processed items to avoid duplicates
-
-        // Process expired inventory items
-        for (const item of expiredItems) {
+        for (const lot of expiredLots) {
             try {
-                // Skip if already processed
-                if (processedItemIds.has(item._id.toString())) {
-                    continue;
-                }
-
-                // Calculate waste cost (current stock * cost per unit)
-                const wasteQuantity = item.currentStock;
-                const wasteCost = item.cost ? wasteQuantity * item.cost : 0;
-                totalWasteCost += wasteCost;
+                // Close the lot first so it is never consumed or expired twice
+                const closedLot = await DailyInventoryEntry.findOneAndUpdate(
+                    { _id: lot._id, status: 'open' },
+                    { status: 'expired', remainingQuantity: 0 },
+                    { new: false }
+                );
 
-                // Map unit from inventory to waste log format (they should match now, but handle edge cases)
-                let wasteUnit = item.unit;
-                // Convert 'ltr' to 'litre' if needed (though we fixed the enum, keep this for safety)
-                if (wasteUnit === 'ltr') {
-                    wasteUnit = 'ltr'; // Keep as is since we fixed the enum
+                if (!closedLot || !lot.inventoryItem || !lot.inventoryItem._id) {
+                    continue;
                 }
 
-                // Create waste log entry
-                const wasteLog = await WasteLog.create({
-                    ingredient: item._id,
-                    category: 'expired',
-                    quantity: wasteQuantity,
-                    unit: wasteUnit,
-                    loggedBy: loggedByUserId,
-                    loggedAt: now,
-                    notes: `Automatically logged expired item. Expired on ${item.expiryDate.toLocaleDateString()}`
-                });
-
-                // Create inventory log entry for tracking
-                await Inventorylog.create({
-                    ingredient: item._id,
-                    change: -wasteQuantity,
-                    reason: 'Item expired - moved to waste',
-                    date: now
+                const item = lot.inventoryItem;
+                const expiredOn = lot.expiryDate.toLocaleDateString();
+                const processed = await wasteExpiredStock(item, closedLot.remainingQuantity, {
+                    cost: lot.cost ?? item.cost,
+                    expiryDate: lot.expiryDate,
+                    notes: `Automatically logged expired lot ${lot.lotNumber || lot._id}. Expired on ${expiredOn}.`,
+                    reason: `Lot ${lot.lotNumber || lot._id} expired - moved to waste`,
+                    loggedByUserId,
+                    now
                 });
 
-                // Create waste prediction record for analytics
-                await WastePrediction.create({
-                    ingredient: item._id,
-                    predictedWasteQuantity: wasteQuantity,
-                    predictionDate: now,
-                    predictionModel: 'Expired',
-                    confidenceScore: 1.0, // 100% confidence since item is already expired
-                    additionalNotes: `Item expired on ${item.expiryDate.toLocaleDateString()}. Automatically moved to waste.`
-                });
+                touchedItemIds.add(item._id.toString());
 
-                // Update inventory item - set stock to 0 and status to expired
-                await InventoryItem.findByIdAndUpdate(
-                    item._id,
-                    {
-                        currentStock: 0,
-                        quantity: 0, // Also update quantity to match
-                        status: 'expired',
-                        lastUpdatedBy: loggedByUserId
-                    }
-                );
-
-                processedItems.push({
-                    itemId: item._id,
-                    name: item.name,
-                    quantity: wasteQuantity,
-                    unit: wasteUnit,
-                    wasteCost: wasteCost,
-                    wasteLogId: wasteLog._id,
-                    expiryDate: item.expiryDate
-                });
-                
-                processedItemIds.add(item._id.toString());
+                if (processed) {
+                    totalWasteCost += processed.wasteCost;
+                    processedItems.push({
+                        ...processed,
+                        lotId: lot._id,
+                        lotNumber: lot.lotNumber,
+                        source: 'lot'
+                    });
+                }
             } catch (error) {
-                console.error(`Error processing expired item ${item._id}:`, error);
-                // Continue with other items even if one fails
+                console.error(`Error processing expired lot ${lot._id}:`, error);
+                // Continue with other lots even if one fails
             }
         }
 
-        // Process expired daily inventory entries
-        for (const entry of expiredDailyEntries) {
-            try {
-                // Skip if entry doesn't have inventory item
-                if (!entry.inventoryItem || !entry.inventoryItem._id) {
-                    continue;
-                }
+        // STEP 2: Expire stock that is not held in any lot (e.g. added through the general inventory form)
+        const expiredItems = await InventoryItem.find({
+            ...restaurantFilter,
+            expiryDate: { $lt: now },
+            currentStock: { $gt: 0 },
+            status: { $ne: 'discontinued' }
+        });
 
-                // Skip if the inventory item was already processed
-                const itemId = entry.inventoryItem._id.toString();
-                if (processedItemIds.has(itemId)) {
-                    // Update the daily entry to mark it as processed
-                    entry.remainingQuantity = 0;
-                    await entry.save();
+        for (const item of expiredItems) {
+            try {
+                const untrackedStock = await getUntrackedStock(item);
+                if (untrackedStock <= 0) {
+                    touchedItemIds.add(item._id.toString());
                     continue;
                 }
 
-                const item = entry.inventoryItem;
-                const wasteQuantity = entry.remainingQuantity;
-                const wasteCost = entry.cost ? wasteQuantity * entry.cost : (item.cost ? wasteQuantity * item.cost : 0);
-                totalWasteCost += wasteCost;
-
-                // Create waste log entry for this expired daily entry
-                const wasteLog = await WasteLog.create({
-                    ingredient: itemId,
-                    category: 'expired',
-                    quantity: wasteQuantity,
-                    unit: item.unit,
-                    loggedBy: loggedByUserId,
-                    loggedAt: now,
-                    notes: `Automatically logged expired daily inventory entry. Expired on ${entry.expiryDate ? entry.expiryDate.toLocaleDateString() : 'unknown date'}`
+                const expiredOn = item.expiryDate.toLocaleDateString();
+                const processed = await wasteExpiredStock(item, untrackedStock, {
+                    cost: item.cost,
+                    expiryDate: item.expiryDate,
+                    notes: `Automatically logged expired item. Expired on ${expiredOn}.`,
+                    reason: 'Item expired - moved to waste',
+                    loggedByUserId,
+                    now
                 });
 
-                // Create inventory log entry for tracking
-                await Inventorylog.create({
-                    ingredient: itemId,
-                    change: -wasteQuantity,
-                    reason: 'Daily inventory entry expired - moved to waste',
-                    date: now
-                });
+                touchedItemIds.add(item._id.toString());
 
-                // Create waste prediction record for analytics
-                await WastePrediction.create({
-                    ingredient: itemId,
-                    predictedWasteQuantity: wasteQuantity,
-                    predictionDate: now,
-                    predictionModel: 'Expired',
-                    confidenceScore: 1.0, // 100% confidence since item is already expired
-                    additionalNotes: `Daily inventory entry expired on ${entry.expiryDate ? entry.expiryDate.toLocaleDateString() : 'unknown date'}. Automatically moved to waste.`
-                });
-
-                // Update the daily entry to mark it as processed
-                entry.remainingQuantity = 0;
-                await entry.save();
-
-                // Update inventory item stock if it hasn't been updated yet
-                const currentItem = await InventoryItem.findById(itemId);
-                if (currentItem && currentItem.currentStock > 0) {
-                    const newStock = Math.max(0, currentItem.currentStock - wasteQuantity);
-                    await InventoryItem.findByIdAndUpdate(
-                        itemId,
-                        {
-                            currentStock: newStock,
-                            status: newStock === 0 ? 'expired' : currentItem.status,
-                            lastUpdatedBy: loggedByUserId
-                        }
-                    );
+                if (processed) {
+                    totalWasteCost += processed.wasteCost;
+                    processedItems.push({ ...processed, source: 'inventory_item' });
                 }
+            } catch (error) {
+                console.error(`Error processing expired item ${item._id}:`, error);
+                // Continue with other items even if one fails
+            }
+        }
 
-                processedItems.push({
-                    itemId: itemId,
-                    name: item.name,
-                    quantity: wasteQuantity,
-                    unit: item.unit,
-                    wasteCost: wasteCost,
-                    wasteLogId: wasteLog._id,
-                    expiryDate: entry.expiryDate,
-                    source: 'daily_inventory'
-                });
-                
-                processedItemIds.add(itemId);
+        // STEP 3: Items with fresh lots left take the expiry date of their earliest remaining lot
+        for (const itemId of touchedItemIds) {
+            try {
+                await refreshItemExpiry(itemId);
             } catch (error) {
-                console.error(`Error processing expired daily entry ${entry._id}:`, error);
-                // Continue with other entries even if one fails
+                console.error(`Error refreshing expiry date for item ${itemId}:`, error);
             }
         }
 
@@ -208,22 +218,36 @@ export const processExpiredItems = async (loggedByUserId = null) => {
 
 /**
  * Check and update expired item statuses (called periodically)
+ * @param {String} restaurant - Restaurant to limit the check to (optional)
  */
-export const checkExpiredItems = async () => {
+export const checkExpiredItems = async (restaurant = null) => {
     try {
         const now = new Date();
-        
+
+        const newlyExpired = await InventoryItem.find({
+            ...(restaurant ? { restaurant } : {}),
+            expiryDate: { $lt: now },
+            status: { $nin: ['expired', 'discontinued'] }
+        }).select('name unit currentStock expiryDate restaurant');
+
         // Update status of expired items
         await InventoryItem.updateMany(
-            {
-                expiryDate: { $lt: now },
-                status: { $ne: 'expired', $ne: 'discontinued' }
-            },
+            { _id: { $in: newlyExpired.map(item => item._id) } },
             {
                 $set: { status: 'expired' }
             }
         );
 
+        for (const item of newlyExpired) {
+            publishEvent(item.restaurant, 'inventory.expired', {
+                _id: item._id,
+                name: item.name,
+                currentStock: item.currentStock,
+                unit: item.unit,
+                expiryDate: item.expiryDate
+            });
+        }
+
         return { success: true };
     } catch (error) {
         console.error('Error checking expired items:', error);
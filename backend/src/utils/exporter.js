@@ -0,0 +1,192 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+import { apiError } from "./apiError.js";
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// PDF layout: landscape A4, one text line per 10pt, cells wrap to at most this many lines
+const PDF_MARGIN = 36;
+const PDF_FONT_SIZE = 8;
+const PDF_MAX_CELL_LINES = 3;
+
+/**
+ * Read and check the export format from the query string
+ * @param {Object} query - req.query; `format` is csv (default), xlsx or pdf
+ * @returns {String} - The format
+ */
+export const getExportFormat = (query) => {
+    const format = String(query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        throw new apiError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400);
+    }
+    return format;
+};
+
+// Helper function to turn a cell value into text for CSV and PDF
+const toText = (value, column, format) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+        return format === 'pdf' ? value.toISOString().slice(0, 16).replace('T', ' ') : value.toISOString();
+    }
+    if (column.type === 'money' && typeof value === 'number') return value.toFixed(2);
+    return String(value);
+};
+
+const escapeCSV = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+// Helper function to keep spreadsheets from running text that starts like a formula;
+// numbers are left alone so negative amounts stay numbers
+const guardFormula = (value, text) => (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text);
+
+// Helper function to turn a cell into CSV
+const toCSVCell = (value, column) => escapeCSV(guardFormula(value, toText(value, column, 'csv')));
+
+// Whether the client went away; the export then stops reading rows, which closes the cursor
+const isClosed = (res) => res.destroyed;
+
+// Helper function to write to the response, waiting while the client catches up
+// (or until it disconnects, which ends the wait without a drain)
+const write = (res, chunk) => new Promise((resolve) => {
+    if (res.write(chunk)) return resolve();
+
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+const writeCSV = async (res, { columns, rows }) => {
+    await write(res, columns.map(column => escapeCSV(guardFormula(column.header, column.header))).join(',') + '\n');
+    for await (const row of rows) {
+        if (isClosed(res)) break;
+        const line = columns.map(column => toCSVCell(column.value(row), column)).join(',');
+        await write(res, line + '\n');
+    }
+    if (!isClosed(res)) res.end();
+};
+
+const writeXLSX = async (res, { title, columns, rows }) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(title.slice(0, 31));
+    sheet.columns = columns.map(column => ({
+        header: column.header,
+        width: Math.max(12, (column.width || 1) * 12),
+        style: column.type === 'money' ? { numFmt: '0.00' } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const row of rows) {
+        if (isClosed(res)) return;
+        sheet.addRow(columns.map(column => column.value(row) ?? null)).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+};
+
+const writePDF = async (res, { title, columns, rows }) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PDF_MARGIN });
+    doc.pipe(res);
+
+    const pageWidth = doc.page.width - PDF_MARGIN * 2;
+    const totalWidth = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+    const widths = columns.map(column => ((column.width || 1) / totalWidth) * pageWidth);
+    const lineHeight = PDF_FONT_SIZE + 2;
+    const bottom = doc.page.height - PDF_MARGIN;
+
+    const drawRow = (cells, bold) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(PDF_FONT_SIZE);
+        const height = Math.min(
+            PDF_MAX_CELL_LINES * lineHeight,
+            Math.max(...cells.map((text, i) => doc.heightOfString(text || ' ', { width: widths[i] - 4 })))
+        ) + 4;
+
+        if (doc.y + height > bottom) {
+            doc.addPage();
+            if (!bold) drawRow(columns.map(column => column.header), true);
+        }
+
+        const y = doc.y;
+        let x = PDF_MARGIN;
+        cells.forEach((text, i) => {
+            doc.text(text, x + 2, y + 2, {
+                width: widths[i] - 4,
+                height: height - 4,
+                ellipsis: true,
+                align: columns[i].type === 'money' || columns[i].type === 'number' ? 'right' : 'left'
+            });
+            x += widths[i];
+        });
+        doc.moveTo(PDF_MARGIN, y + height).lineTo(PDF_MARGIN + pageWidth, y + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+        doc.x = PDF_MARGIN;
+        doc.y = y + height;
+    };
+
+    doc.font('Helvetica-Bold').fontSize(14).text(title);
+    doc.font('Helvetica').fontSize(PDF_FONT_SIZE).text(`Generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`);
+    doc.moveDown();
+
+    drawRow(columns.map(column => column.header), true);
+    for await (const row of rows) {
+        if (isClosed(res)) {
+            doc.unpipe(res);
+            return;
+        }
+        drawRow(columns.map(column => toText(column.value(row), column, 'pdf')), false);
+    }
+
+    // A client that leaves while the last pages are sent closes the response without a finish
+    const finished = Promise.race([once(res, 'finish'), once(res, 'close')]);
+    doc.end();
+    await finished;
+};
+
+/**
+ * Stream rows to the client as a CSV, XLSX or PDF download
+ * Rows are read one at a time (pass a Mongoose query or aggregation cursor for large result
+ * sets), so the whole export is never held in memory.
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {String} options.format - csv, xlsx or pdf (see getExportFormat)
+ * @param {String} options.filename - File name without date or extension
+ * @param {String} options.title - Worksheet name and PDF heading
+ * @param {Array} options.columns - [{ header, value: (row) => value, type: 'money' | 'number', width }];
+ *   width is relative (default 1)
+ * @param {AsyncIterable|Array} options.rows - Rows to export
+ */
+export const streamExport = async (res, { format, filename, title, columns, rows }) => {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const date = new Date().toISOString().split('T')[0];
+
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}_${date}.${extension}"`);
+    res.setHeader('Cache-Control', 'no-cache');
+
+    try {
+        if (format === 'xlsx') {
+            await writeXLSX(res, { title, columns, rows });
+        } else if (format === 'pdf') {
+            await writePDF(res, { title, columns, rows });
+        } else {
+            await writeCSV(res, { columns, rows });
+        }
+    } catch (error) {
+        // Before anything is sent the error is reported as usual; once the download has started it can only end it
+        if (!res.headersSent) {
+            ['Content-Type', 'Content-Disposition', 'Cache-Control'].forEach(header => res.removeHeader(header));
+            throw error;
+        }
+        console.error(`Export of ${filename} failed:`, error.message);
+        res.destroy(error);
+    }
+};
@@ -0,0 +1,398 @@
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import ExcelJS from "exceljs";
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { Inventorylog } from "../models/inventory/inventorylog.model.js";
+import { recostMenuItemsUsingIngredient } from "./recipeCosting.js";
+import { publishLowStockIfCrossed } from "./eventBus.js";
+import { calculateExpiryDate, requiresManualExpiryDate, getDefaultExpiryDate } from "./expiryCalculator.js";
+
+// Largest file accepted in one import
+export const MAX_IMPORT_ROWS = 5000;
+
+// Columns read from the file, keyed by the export's header (case, spaces and underscores don't matter).
+// The export's other columns (Status, Added By, dates) are ignored.
+const IMPORT_COLUMNS = {
+    id: '_id',
+    name: 'name',
+    quantity: 'quantity',
+    currentstock: 'currentStock',
+    unit: 'unit',
+    category: 'category',
+    storagecondition: 'storageCondition',
+    expirydate: 'expiryDate',
+    supplier: 'supplier',
+    cost: 'cost',
+    minthreshold: 'minThreshold',
+    maxthreshold: 'maxThreshold',
+    notes: 'notes'
+};
+
+const NUMBER_FIELDS = {
+    quantity: 'Quantity',
+    currentStock: 'Current stock',
+    cost: 'Cost',
+    minThreshold: 'Minimum threshold',
+    maxThreshold: 'Maximum threshold'
+};
+
+const ENUM_FIELDS = {
+    unit: 'Unit',
+    category: 'Category',
+    storageCondition: 'Storage condition'
+};
+
+// Fields an import can change on an existing item; Quantity is the item's first intake and is
+// only used for new items
+const UPDATABLE_FIELDS = ['name', 'unit', 'category', 'storageCondition', 'expiryDate', 'supplier', 'cost', 'minThreshold', 'maxThreshold', 'notes', 'currentStock'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const normalizeEnum = (value) => value.toLowerCase().replace(/[\s-]+/g, '_');
+
+const dayOf = (date) => (date ? new Date(date).toISOString().split('T')[0] : null);
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells with commas, line breaks and doubled quotes.
+ * @param {String} text - CSV content
+ * @returns {Array} - Rows, each an array of cell strings
+ */
+export const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Helper function to read the first worksheet of an XLSX file as rows of cell strings
+const readXLSX = async (filePath) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (sheetRow, rowNumber) => {
+        const cells = [];
+        sheetRow.eachCell({ includeEmpty: true }, (cell, column) => {
+            cells[column - 1] = cell.value instanceof Date ? dayOf(cell.value) : cell.text;
+        });
+        rows[rowNumber - 1] = Array.from(cells, value => value ?? '');
+    });
+    return Array.from(rows, row => row || []);
+};
+
+/**
+ * Read an uploaded CSV or XLSX file into rows keyed by field
+ * The first row holds the headers; blank rows are skipped.
+ * @param {String} filePath - Path of the uploaded file
+ * @param {String} originalName - File name as uploaded, used to tell the format
+ * @returns {Object} - { rows: [{ rowNumber, values }], columns, ignoredColumns }
+ */
+export const readImportFile = async (filePath, originalName) => {
+    const extension = path.extname(originalName || filePath).toLowerCase();
+    const table = extension === '.xlsx'
+        ? await readXLSX(filePath)
+        : parseCSV(await fs.promises.readFile(filePath, 'utf8'));
+
+    const [headers = [], ...dataRows] = table;
+    const fields = headers.map(header => IMPORT_COLUMNS[normalizeHeader(header)] || null);
+
+    const rows = [];
+    dataRows.forEach((cells, index) => {
+        if (cells.every(cell => String(cell ?? '').trim() === '')) return;
+
+        const values = {};
+        fields.forEach((field, column) => {
+            const value = String(cells[column] ?? '').trim();
+            if (field && value !== '') values[field] = value;
+        });
+        rows.push({ rowNumber: index + 2, values });
+    });
+
+    return {
+        rows,
+        columns: fields.filter(Boolean),
+        ignoredColumns: headers.filter((header, column) => !fields[column] && String(header).trim() !== '')
+    };
+};
+
+// Helper function to turn a row's cell strings into typed values, collecting what is wrong with them
+const parseRowValues = (values) => {
+    const data = {};
+    const errors = [];
+
+    for (const [field, value] of Object.entries(values)) {
+        if (field in NUMBER_FIELDS) {
+            const number = Number(value);
+            if (Number.isNaN(number) || number < 0) {
+                errors.push(`${NUMBER_FIELDS[field]} must be a non-negative number`);
+            } else {
+                data[field] = number;
+            }
+        } else if (field in ENUM_FIELDS) {
+            const allowed = InventoryItem.schema.path(field).enumValues;
+            const normalized = normalizeEnum(value);
+            if (!allowed.includes(normalized)) {
+                errors.push(`${ENUM_FIELDS[field]} '${value}' must be one of: ${allowed.join(', ')}`);
+            } else {
+                data[field] = normalized;
+            }
+        } else if (field === 'expiryDate') {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                errors.push(`Expiry date '${value}' is not a valid date`);
+            } else {
+                data.expiryDate = date;
+            }
+        } else if (field === '_id') {
+            if (!mongoose.isValidObjectId(value)) {
+                errors.push(`ID '${value}' is not a valid inventory item ID`);
+            } else {
+                data._id = value;
+            }
+        } else {
+            data[field] = value;
+        }
+    }
+
+    return { data, errors };
+};
+
+// Helper function to compare an imported value with the item's current one
+const isSameValue = (field, current, next) => {
+    if (field === 'expiryDate') return dayOf(current) === dayOf(next);
+    return String(current ?? '') === String(next ?? '');
+};
+
+/**
+ * Check every row of an import against the restaurant's items without saving anything
+ * Rows match an item by ID, or else by name and category (by name alone when only one item has
+ * that name). Unmatched rows create items. Blank cells leave an existing item's field unchanged.
+ * @param {Array} rows - Rows from readImportFile
+ * @param {Object} user - Importing user; the items are looked up in their restaurant
+ * @returns {Object} - { report: { summary, rows }, pending: [{ rowNumber, document, previousStock, costChanged }] }
+ */
+export const analyzeInventoryImport = async (rows, user) => {
+    const items = await InventoryItem.find({ restaurant: user.restaurant });
+    const itemsById = new Map(items.map(item => [String(item._id), item]));
+    const itemsByName = new Map();
+    for (const item of items) {
+        const key = item.name.toLowerCase();
+        itemsByName.set(key, [...(itemsByName.get(key) || []), item]);
+    }
+
+    // Items already claimed by an earlier row, and the name + category of items about to be created
+    const claimed = new Map();
+    const reportRows = [];
+    const pending = [];
+
+    for (const { rowNumber, values } of rows) {
+        const { data, errors } = parseRowValues(values);
+        const line = { row: rowNumber, action: 'error', matchedBy: null, inventoryItem: null, name: data.name || values.name || null, changes: [], errors };
+
+        // Find the item the row refers to
+        let item = null;
+        if (data._id) {
+            item = itemsById.get(String(data._id)) || null;
+            if (!item) errors.push(`No inventory item with ID ${data._id}`);
+            line.matchedBy = item ? 'id' : null;
+        } else if (data.name) {
+            const sameName = itemsByName.get(data.name.toLowerCase()) || [];
+            item = data.category
+                ? sameName.find(candidate => candidate.category === data.category) || null
+                : sameName.length === 1 ? sameName[0] : null;
+            if (!data.category && sameName.length > 1) {
+                errors.push(`Several items are named '${data.name}'; add a Category or ID to choose one`);
+            }
+            line.matchedBy = item ? 'name' : null;
+        } else if (!values._id) {
+            errors.push('Name or ID is required');
+        }
+
+        if (item) {
+            line.inventoryItem = item._id;
+            line.name = item.name;
+        }
+
+        if (errors.length > 0) {
+            reportRows.push(line);
+            continue;
+        }
+
+        // Name and category together identify an item; two rows may not target the same one
+        const target = item || { name: data.name, category: data.category };
+        const nextName = data.name || target.name;
+        const nextCategory = data.category || target.category;
+        const key = `${String(nextName).toLowerCase()}|${nextCategory}`;
+        const clash = (itemsByName.get(String(nextName).toLowerCase()) || [])
+            .find(candidate => candidate.category === nextCategory && (!item || !candidate._id.equals(item._id)));
+
+        if (item && claimed.has(String(item._id))) {
+            errors.push(`Row ${claimed.get(String(item._id))} already imports this item`);
+        } else if (claimed.has(key)) {
+            errors.push(`Row ${claimed.get(key)} already imports an item named '${nextName}' in ${nextCategory}`);
+        } else if (clash && item) {
+            errors.push(`Another item named '${clash.name}' already exists in ${nextCategory}`);
+        }
+
+        let document;
+        let previousStock = null;
+        let costChanged = false;
+
+        if (errors.length === 0 && item) {
+            // Update the matched item with the row's non-blank fields
+            previousStock = item.currentStock;
+            for (const field of UPDATABLE_FIELDS) {
+                if (data[field] === undefined || isSameValue(field, item[field], data[field])) continue;
+                line.changes.push({ field, before: item[field] ?? null, after: data[field] });
+                item.set(field, data[field]);
+            }
+            costChanged = line.changes.some(change => ['cost', 'unit'].includes(change.field));
+            document = item;
+            line.action = line.changes.length > 0 ? 'update' : 'unchanged';
+        } else if (errors.length === 0) {
+            // Create a new item the way addInventoryItem does
+            if (!data.category) errors.push('Category is required for new items');
+            if (!data.storageCondition) errors.push('Storage condition is required for new items');
+            if (data.quantity === undefined && data.currentStock === undefined) {
+                errors.push('Quantity or Current Stock is required for new items');
+            }
+
+            if (errors.length === 0) {
+                const expiryDate = data.expiryDate || (requiresManualExpiryDate(data.category)
+                    ? getDefaultExpiryDate(data.category)
+                    : calculateExpiryDate(data.category));
+
+                document = new InventoryItem({
+                    ...data,
+                    quantity: data.quantity ?? data.currentStock,
+                    currentStock: data.currentStock ?? data.quantity,
+                    unit: data.unit || 'pcs',
+                    expiryDate,
+                    addedBy: user._id,
+                    restaurant: user.restaurant
+                });
+                line.action = 'create';
+                line.inventoryItem = document._id;
+            }
+        }
+
+        // Anything else the model would reject
+        if (document && errors.length === 0) {
+            const validationError = document.validateSync();
+            if (validationError) {
+                errors.push(...Object.values(validationError.errors).map(error => error.message));
+            }
+        }
+
+        if (errors.length > 0) {
+            line.action = 'error';
+            line.changes = [];
+            if (!item) line.inventoryItem = null;
+        } else {
+            if (item) claimed.set(String(item._id), rowNumber);
+            claimed.set(key, rowNumber);
+            if (line.action !== 'unchanged') {
+                pending.push({ rowNumber, document, previousStock, costChanged });
+            }
+        }
+
+        reportRows.push(line);
+    }
+
+    const summary = { totalRows: rows.length, create: 0, update: 0, unchanged: 0, error: 0 };
+    for (const line of reportRows) summary[line.action]++;
+
+    return { report: { summary, rows: reportRows }, pending };
+};
+
+/**
+ * Save the creates and updates of a checked import in one bulk write
+ * Every stock change (the opening stock of a new item, or a new Current Stock) is logged
+ * with reason "import".
+ * @param {Array} pending - Pending changes from analyzeInventoryImport
+ * @param {Object} user - Importing user
+ * @returns {Object} - { created, updated, stockChanges }
+ */
+export const commitInventoryImport = async (pending, user) => {
+    if (pending.length === 0) {
+        return { created: 0, updated: 0, stockChanges: 0 };
+    }
+
+    for (const { document } of pending) {
+        if (!document.isNew) document.lastUpdatedBy = user._id;
+    }
+    const created = pending.filter(({ document }) => document.isNew).length;
+
+    await InventoryItem.bulkSave(pending.map(({ document }) => document));
+
+    const now = new Date();
+    const logs = [];
+    for (const { document, previousStock } of pending) {
+        const change = document.currentStock - (previousStock ?? 0);
+        if (change === 0) continue;
+
+        logs.push({
+            ingredient: document._id,
+            change,
+            reason: 'import',
+            date: now,
+            unitCost: document.cost,
+            restaurant: document.restaurant
+        });
+    }
+
+    try {
+        await Inventorylog.insertMany(logs);
+    } catch (logError) {
+        console.error('Failed to log inventory import:', logError.message);
+    }
+
+    for (const { document, previousStock, costChanged } of pending) {
+        if (previousStock === null) continue;
+        publishLowStockIfCrossed(document, previousStock);
+        if (costChanged) {
+            await recostMenuItemsUsingIngredient(document._id, document.restaurant, `${document.name} cost imported`);
+        }
+    }
+
+    return { created, updated: pending.length - created, stockChanges: logs.length };
+};
@@ -0,0 +1,401 @@
+import PDFDocument from "pdfkit";
+import { Order } from "../models/order/order.model.js";
+import { RestaurantProfile } from "../models/restaurant/restaurantProfile.model.js";
+import { apiError } from "./apiError.js";
+import { getZonedParts } from "./timezone.js";
+import { DEFAULT_RESTAURANT_TIMEZONE } from "../../constant.js";
+
+// Page sizes in points: A4 portrait, and an 80 mm thermal roll whose height follows the content
+export const INVOICE_LAYOUTS = ['a4', 'receipt'];
+const A4_MARGIN = 50;
+const RECEIPT_WIDTH = 80 / 25.4 * 72;
+const RECEIPT_MARGIN = 10;
+const RECEIPT_FONT_SIZE = 8;
+const RECEIPT_LINE_HEIGHT = 11;
+
+// Numbers tried when other orders are being invoiced at the same moment
+const INVOICE_NUMBER_ATTEMPTS = 5;
+
+const PAYMENT_METHOD_LABELS = {
+    cash: 'Cash',
+    card: 'Card',
+    upi: 'UPI',
+    mobile: 'Mobile payment',
+    online: 'Online',
+    other: 'Other',
+    split: 'Split payment'
+};
+
+/**
+ * Read and check the invoice layout from the query string
+ * @param {Object} query - req.query; `layout` is a4 (default) or receipt
+ * @returns {String} - The layout
+ */
+export const getInvoiceLayout = (query) => {
+    const layout = String(query.layout || 'a4').toLowerCase();
+    if (!INVOICE_LAYOUTS.includes(layout)) {
+        throw new apiError(`layout must be one of: ${INVOICE_LAYOUTS.join(', ')}`, 400);
+    }
+    return layout;
+};
+
+// Helper function to build the frozen invoice of an order (items and recipes must be populated)
+const buildInvoiceSnapshot = (order, profile, number, issuedAt) => {
+    const lines = [
+        ...order.items.map(item => ({
+            description: item.menuItem?.name || 'Deleted menu item',
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            totalPrice: item.totalPrice
+        })),
+        ...(order.recipes || []).map(entry => ({
+            description: entry.recipe?.generatedRecipeName || 'Deleted recipe',
+            quantity: entry.quantity,
+            unitPrice: entry.unitPrice,
+            totalPrice: entry.totalPrice
+        }))
+    ];
+
+    return {
+        number,
+        issuedAt,
+        timezone: profile.timezone,
+        seller: {
+            name: profile.name || order.restaurant,
+            address: profile.address,
+            phone: profile.phone,
+            email: profile.email,
+            taxId: profile.taxId
+        },
+        customer: {
+            name: order.customerName,
+            phone: order.customerPhone || '',
+            email: order.customerEmail || ''
+        },
+        orderNumber: order.orderNumber,
+        orderType: order.orderType,
+        lines,
+        subtotal: order.subtotal,
+        discounts: order.appliedPromotions.map(applied => ({
+            label: applied.couponCode ? `${applied.name} (${applied.couponCode})` : applied.name,
+            amount: applied.amount
+        })),
+        charges: order.serviceCharge ? [{ label: profile.serviceChargeLabel, amount: order.serviceCharge }] : [],
+        // Orders priced before tax lines existed only have the total
+        taxes: order.taxLines.length > 0
+            ? order.taxLines.map(line => ({ label: line.label, amount: line.amount }))
+            : (order.tax ? [{ label: profile.taxLabel, amount: order.tax }] : []),
+        discount: order.discount || 0,
+        pricesIncludeTax: order.pricesIncludeTax,
+        total: order.totalAmount,
+        paymentMethod: order.paymentMethod || '',
+        currencySymbol: profile.currencySymbol,
+        footer: profile.receiptFooter
+    };
+};
+
+// Helper function to load an order the way its invoice is built from
+const findOrderForInvoice = (orderId, user) => Order.findOne({ _id: orderId, restaurant: user.restaurant })
+    .populate('items.menuItem', 'name')
+    .populate('recipes.recipe', 'generatedRecipeName');
+
+/**
+ * Issue the invoice of an order
+ * Takes the restaurant's next invoice number and freezes the order's lines, totals, payment and
+ * the restaurant's details into order.invoice. The number is taken by writing it onto the order:
+ * the unique index on invoice numbers turns away a number another order got first and the next
+ * one is tried, so a number only exists once an invoice holds it and the series has no gaps.
+ * @param {String} orderId - Order ID
+ * @param {Object} user - Requesting user (restaurant scope)
+ * @returns {Object} - { order, issued }: the order with items, recipes and invoice populated;
+ * issued is false when the order already had an invoice
+ */
+export const issueInvoice = async (orderId, user) => {
+    const order = await findOrderForInvoice(orderId, user);
+    if (!order) {
+        throw new apiError("Order not found", 404);
+    }
+    if (order.invoice?.number) {
+        return { order, issued: false };
+    }
+    if (order.status === 'cancelled') {
+        throw new apiError("Cancelled orders cannot be invoiced", 400);
+    }
+    // The invoice records how the order was paid, so it waits for the payment
+    if (order.paymentStatus !== 'paid' && order.status !== 'completed') {
+        throw new apiError("Take payment or complete the order before invoicing it", 400);
+    }
+
+    for (let attempt = 0; attempt < INVOICE_NUMBER_ATTEMPTS; attempt++) {
+        const [latest, profile] = await Promise.all([
+            Order.findOne({ restaurant: user.restaurant, 'invoice.sequence': { $type: 'number' } })
+                .setOptions({ withDeleted: true })
+                .sort({ 'invoice.sequence': -1 })
+                .select('invoice.sequence')
+                .lean(),
+            RestaurantProfile.findOne({ restaurant: user.restaurant })
+        ]);
+        const restaurantProfile = profile || new RestaurantProfile({ restaurant: user.restaurant });
+
+        // Invoices issued before sequences were stored only moved the profile's counter
+        const sequence = Math.max(latest?.invoice.sequence || 0, restaurantProfile.lastInvoiceNumber) + 1;
+        const number = `${restaurantProfile.invoicePrefix}-${String(sequence).padStart(6, '0')}`;
+        // Whole seconds, so the date printed and the PDF's creation date match exactly
+        const issuedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+        let issued;
+        try {
+            issued = await Order.findOneAndUpdate(
+                { _id: order._id, restaurant: user.restaurant, 'invoice.number': { $exists: false } },
+                { $set: { invoice: { ...buildInvoiceSnapshot(order, restaurantProfile, number, issuedAt), sequence } } }
+            );
+        } catch (error) {
+            // Another order was invoiced with this number first
+            if (error.code === 11000) continue;
+            throw error;
+        }
+
+        if (!issued) {
+            // Another request invoiced this order first; its invoice stands
+            return { order: await findOrderForInvoice(orderId, user), issued: false };
+        }
+
+        await RestaurantProfile.updateOne(
+            { restaurant: user.restaurant },
+            { $max: { lastInvoiceNumber: sequence } },
+            { upsert: true, setDefaultsOnInsert: true }
+        );
+
+        return { order: await findOrderForInvoice(orderId, user), issued: true };
+    }
+
+    throw new apiError("Other invoices are being issued right now. Try again.", 409);
+};
+
+/**
+ * Get the invoice of an order
+ * @param {String} orderId - Order ID
+ * @param {Object} user - Requesting user (restaurant scope)
+ * @returns {Object} - The order, with items and recipes populated and invoice set
+ */
+export const getIssuedInvoice = async (orderId, user) => {
+    const order = await findOrderForInvoice(orderId, user);
+    if (!order) {
+        throw new apiError("Order not found", 404);
+    }
+    if (!order.invoice?.number) {
+        throw new apiError("This order has not been invoiced yet", 404);
+    }
+    return order;
+};
+
+// Helper function to format an amount with the invoice's currency
+const formatMoney = (amount, symbol) => {
+    const sign = amount < 0 ? '-' : '';
+    return `${sign}${symbol}${Math.abs(amount || 0).toFixed(2)}`;
+};
+
+// Helper function to format the issue date in the restaurant's time zone when it was issued
+const formatIssuedAt = (date, timeZone) => {
+    const parts = getZonedParts(date, timeZone || DEFAULT_RESTAURANT_TIMEZONE);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+// Helper function to list the totals block: subtotal, discounts, charges, taxes, total
+// Taxes included in the prices are listed after the total, as they are not added to it
+const buildTotals = (invoice) => {
+    const discounts = invoice.discounts?.length > 0
+        ? invoice.discounts
+        : (invoice.discount ? [{ label: 'Discount', amount: invoice.discount }] : []);
+    const taxes = invoice.taxes.map(tax => ({
+        label: invoice.pricesIncludeTax ? `Incl. ${tax.label}` : tax.label,
+        amount: tax.amount
+    }));
+
+    return [
+        { label: 'Subtotal', amount: invoice.subtotal },
+        ...discounts.map(discount => ({ label: discount.label, amount: -discount.amount })),
+        ...(invoice.charges || []),
+        ...(invoice.pricesIncludeTax ? [] : taxes),
+        { label: 'Total', amount: invoice.total, bold: true },
+        ...(invoice.pricesIncludeTax ? taxes : [])
+    ];
+};
+
+const sellerLines = (invoice) => [
+    invoice.seller.address,
+    [invoice.seller.phone, invoice.seller.email].filter(Boolean).join('  |  '),
+    invoice.seller.taxId ? `Tax ID: ${invoice.seller.taxId}` : ''
+].filter(Boolean);
+
+const drawA4 = (doc, invoice) => {
+    const symbol = invoice.currencySymbol;
+    const left = A4_MARGIN;
+    const width = doc.page.width - A4_MARGIN * 2;
+    const columns = [
+        { header: 'Description', width: width * 0.5, align: 'left' },
+        { header: 'Qty', width: width * 0.1, align: 'right' },
+        { header: 'Unit Price', width: width * 0.2, align: 'right' },
+        { header: 'Amount', width: width * 0.2, align: 'right' }
+    ];
+
+    // Seller on the left, invoice details on the right
+    doc.font('Helvetica-Bold').fontSize(16).text(invoice.seller.name, left, A4_MARGIN, { width: width * 0.6 });
+    doc.font('Helvetica').fontSize(9);
+    sellerLines(invoice).forEach(line => doc.text(line, { width: width * 0.6 }));
+    const sellerBottom = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(16).text('INVOICE', left, A4_MARGIN, { width, align: 'right' });
+    doc.font('Helvetica').fontSize(9);
+    [
+        `Invoice No: ${invoice.number}`,
+        `Date: ${formatIssuedAt(invoice.issuedAt, invoice.timezone)}`,
+        `Order: ${invoice.orderNumber}`,
+        `Type: ${invoice.orderType}`
+    ].forEach(line => doc.text(line, left, doc.y, { width, align: 'right' }));
+
+    doc.y = Math.max(sellerBottom, doc.y) + 20;
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', left);
+    doc.font('Helvetica').fontSize(9);
+    [invoice.customer.name, invoice.customer.phone, invoice.customer.email].filter(Boolean).forEach(line => doc.text(line, left));
+    doc.moveDown();
+
+    const drawRow = (cells, bold) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        const height = Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: columns[i].width - 8 }))) + 8;
+        if (doc.y + height > doc.page.height - A4_MARGIN) {
+            doc.addPage();
+            doc.y = A4_MARGIN;
+            if (!bold) drawRow(columns.map(column => column.header), true);
+        }
+        const y = doc.y;
+        let x = left;
+        cells.forEach((text, i) => {
+            doc.text(text, x + 4, y + 4, { width: columns[i].width - 8, align: columns[i].align });
+            x += columns[i].width;
+        });
+        doc.moveTo(left, y + height).lineTo(left + width, y + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+        doc.y = y + height;
+    };
+
+    drawRow(columns.map(column => column.header), true);
+    invoice.lines.forEach(line => drawRow([
+        line.description,
+        String(line.quantity),
+        formatMoney(line.unitPrice, symbol),
+        formatMoney(line.totalPrice, symbol)
+    ], false));
+
+    doc.moveDown();
+    // Keep the totals, payment and footer together on one page
+    const totals = buildTotals(invoice);
+    if (doc.y + totals.length * 16 + 60 > doc.page.height - A4_MARGIN) {
+        doc.addPage();
+        doc.y = A4_MARGIN;
+    }
+    const labelX = left + width * 0.55;
+    totals.forEach(({ label, amount, bold }) => {
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9);
+        doc.text(label, labelX, y, { width: width * 0.25 });
+        doc.text(formatMoney(amount, symbol), labelX + width * 0.25, y, { width: width * 0.2, align: 'right' });
+        doc.y = y + (bold ? 16 : 13);
+    });
+
+    doc.font('Helvetica').fontSize(9);
+    if (invoice.paymentMethod) {
+        doc.text(`Paid by: ${PAYMENT_METHOD_LABELS[invoice.paymentMethod] || invoice.paymentMethod}`, labelX, doc.y, { width: width * 0.45 });
+    }
+    if (invoice.footer) {
+        doc.moveDown(2);
+        doc.text(invoice.footer, left, doc.y, { width, align: 'center' });
+    }
+};
+
+// Helper function to list the receipt one printed line at a time, so its height is known up front
+const buildReceiptLines = (invoice) => {
+    const symbol = invoice.currencySymbol;
+    const rule = { rule: true };
+    return [
+        { text: invoice.seller.name, align: 'center', bold: true },
+        ...sellerLines(invoice).map(text => ({ text, align: 'center' })),
+        rule,
+        { left: `Invoice ${invoice.number}` },
+        { left: formatIssuedAt(invoice.issuedAt, invoice.timezone), right: invoice.orderNumber },
+        { left: invoice.customer.name, right: invoice.orderType },
+        rule,
+        ...invoice.lines.flatMap(line => [
+            { left: line.description },
+            { left: `  ${line.quantity} x ${formatMoney(line.unitPrice, symbol)}`, right: formatMoney(line.totalPrice, symbol) }
+        ]),
+        rule,
+        ...buildTotals(invoice).map(({ label, amount, bold }) => ({ left: label, right: formatMoney(amount, symbol), bold })),
+        ...(invoice.paymentMethod
+            ? [{ left: 'Paid by', right: PAYMENT_METHOD_LABELS[invoice.paymentMethod] || invoice.paymentMethod }]
+            : []),
+        ...(invoice.footer ? [rule, { text: invoice.footer, align: 'center' }] : [])
+    ];
+};
+
+const drawReceipt = (doc, lines) => {
+    const width = RECEIPT_WIDTH - RECEIPT_MARGIN * 2;
+    let y = RECEIPT_MARGIN;
+
+    lines.forEach(line => {
+        if (line.rule) {
+            const middle = y + RECEIPT_LINE_HEIGHT / 2;
+            doc.moveTo(RECEIPT_MARGIN, middle).lineTo(RECEIPT_MARGIN + width, middle)
+                .dash(2, { space: 2 }).lineWidth(0.5).strokeColor('#000000').stroke().undash();
+        } else {
+            // Every line is cut to one printed line with an ellipsis
+            const options = { lineBreak: false, ellipsis: true, height: RECEIPT_LINE_HEIGHT };
+            doc.font(line.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(RECEIPT_FONT_SIZE);
+            if (line.text !== undefined) {
+                doc.text(line.text, RECEIPT_MARGIN, y, { ...options, width, align: line.align });
+            } else {
+                const rightWidth = line.right ? width * 0.4 : 0;
+                doc.text(line.left, RECEIPT_MARGIN, y, { ...options, width: width - rightWidth });
+                if (line.right) {
+                    doc.text(line.right, RECEIPT_MARGIN + width - rightWidth, y, { ...options, width: rightWidth, align: 'right' });
+                }
+            }
+        }
+        y += RECEIPT_LINE_HEIGHT;
+    });
+};
+
+/**
+ * Stream an issued invoice to the client as a PDF
+ * The PDF only depends on order.invoice, and its creation date and file ID are taken from the
+ * issue date, so the same invoice always downloads as the same bytes.
+ * @param {Object} res - Express response
+ * @param {Object} invoice - order.invoice (see issueInvoice)
+ * @param {String} layout - a4 or receipt (see getInvoiceLayout)
+ */
+export const streamInvoicePdf = (res, invoice, layout) => {
+    const receiptLines = layout === 'receipt' ? buildReceiptLines(invoice) : null;
+    const doc = new PDFDocument({
+        size: receiptLines
+            ? [RECEIPT_WIDTH, receiptLines.length * RECEIPT_LINE_HEIGHT + RECEIPT_MARGIN * 2]
+            : 'A4',
+        margin: receiptLines ? RECEIPT_MARGIN : A4_MARGIN,
+        info: {
+            Title: `Invoice ${invoice.number}`,
+            Author: invoice.seller.name,
+            CreationDate: invoice.issuedAt
+        }
+    });
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.number}${receiptLines ? '_receipt' : ''}.pdf"`);
+    doc.pipe(res);
+
+    if (receiptLines) {
+        drawReceipt(doc, receiptLines);
+    } else {
+        drawA4(doc, invoice);
+    }
+    doc.end();
+};
@@ -0,0 +1,297 @@
+import os from "os";
+import { ScheduledJob } from "../models/jobs/scheduledJob.model.js";
+import { JobRun } from "../models/jobs/jobRun.model.js";
+import { User } from "../models/auth/user.model.js";
+import { JOB_DEFINITIONS, JOB_TYPES } from "./scheduledJobs.js";
+import { getZonedDate, zonedTimeToDate } from "./timezone.js";
+import { getRestaurantTimeZone } from "./restaurantTimezone.js";
+import {
+    JOB_SCHEDULER_ENABLED,
+    JOB_SCHEDULER_POLL_SECONDS,
+    JOB_LOCK_MINUTES
+} from "../../constant.js";
+
+// Identifies this backend instance in job locks and run history
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// New restaurants get their jobs on the next check
+const ENSURE_JOBS_EVERY_MS = 60 * 60 * 1000;
+
+/**
+ * When a job should run next
+ * Interval jobs run intervalMinutes after `from`; daily jobs run at the next timeOfDay
+ * on the clock of the job's time zone.
+ * @param {Object} job - { schedule, timezone }
+ * @param {Date} from - Time to count from
+ * @returns {Date} - Next run time
+ */
+export const computeNextRun = (job, from = new Date()) => {
+    const { schedule } = job;
+    if (schedule.kind === 'interval') {
+        return new Date(from.getTime() + schedule.intervalMinutes * 60 * 1000);
+    }
+
+    const [hour, minute] = schedule.timeOfDay.split(':').map(Number);
+    for (let offsetDays = 0; ; offsetDays++) {
+        const candidate = zonedTimeToDate({ ...getZonedDate(from, job.timezone, offsetDays), hour, minute }, job.timezone);
+        if (candidate > from) {
+            return candidate;
+        }
+    }
+};
+
+/**
+ * Move a restaurant's jobs to its time zone
+ * Jobs run by the restaurant's clock, so when its time zone changes their next runs are planned
+ * again. A job that is running keeps its lock; the filter on the old zone leaves alone a job
+ * changed in the meantime.
+ * @param {String} restaurant - Restaurant whose jobs to move
+ * @param {String} timeZone - The restaurant's time zone
+ * @returns {Number} - Number of jobs moved
+ */
+export const syncJobTimeZone = async (restaurant, timeZone) => {
+    const now = new Date();
+    const jobs = await ScheduledJob.find({ restaurant, timezone: { $ne: timeZone } });
+
+    for (const job of jobs) {
+        const update = { timezone: timeZone };
+        // Interval jobs do not depend on the clock
+        if (job.schedule.kind === 'daily') {
+            update.nextRunAt = computeNextRun({ schedule: job.schedule, timezone: timeZone }, now);
+        }
+        await ScheduledJob.updateOne({ _id: job._id, timezone: job.timezone }, { $set: update });
+    }
+    return jobs.length;
+};
+
+/**
+ * Create the built-in jobs a restaurant does not have yet
+ * Existing jobs keep their settings, and are moved to the restaurant's time zone if they are
+ * not in it.
+ * @param {String} restaurant - Restaurant to create jobs for
+ */
+export const ensureDefaultJobs = async (restaurant) => {
+    const now = new Date();
+    const timeZone = await getRestaurantTimeZone(restaurant);
+
+    for (const type of JOB_TYPES) {
+        const definition = JOB_DEFINITIONS[type];
+        const job = { schedule: definition.schedule, timezone: timeZone };
+
+        try {
+            await ScheduledJob.updateOne(
+                { restaurant, type },
+                {
+                    $setOnInsert: {
+                        name: definition.name,
+                        enabled: definition.enabled,
+                        schedule: definition.schedule,
+                        timezone: timeZone,
+                        nextRunAt: computeNextRun(job, now)
+                    }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            // Another instance created the same job first
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    await syncJobTimeZone(restaurant, timeZone);
+};
+
+// A running job renews its lock this often, well before it would be taken as abandoned
+const LOCK_HEARTBEAT_MS = JOB_LOCK_MINUTES * 60 * 1000 / 3;
+
+/**
+ * Lock a job for this instance
+ * Scheduled runs only take enabled jobs that are due; manual runs take any job.
+ * A lock older than JOB_LOCK_MINUTES is considered abandoned and can be taken over; a running
+ * job keeps renewing its lock (see runLockedJob). Taking the lock also plans the next run, so
+ * the run it starts is no longer due even if the lock is lost.
+ * @param {String} jobId - Job to lock
+ * @param {Object} options - { manual }
+ * @returns {Object|null} - The locked job, or null if it is locked by a run elsewhere (or not due)
+ */
+export const acquireJobLock = async (jobId, { manual = false } = {}) => {
+    const now = new Date();
+    const filter = {
+        _id: jobId,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    };
+    if (!manual) {
+        filter.enabled = true;
+        filter.nextRunAt = { $lte: now };
+    }
+
+    const job = await ScheduledJob.findOne(filter);
+    if (!job) {
+        return null;
+    }
+
+    // The unchanged nextRunAt makes sure no other instance took the job since it was read
+    return ScheduledJob.findOneAndUpdate(
+        { ...filter, nextRunAt: job.nextRunAt },
+        {
+            $set: {
+                lockedBy: INSTANCE_ID,
+                lockedUntil: new Date(now.getTime() + JOB_LOCK_MINUTES * 60 * 1000),
+                nextRunAt: computeNextRun(job, now)
+            }
+        },
+        // Locking is bookkeeping, not a change to audit
+        { new: true, skipAudit: true }
+    );
+};
+
+// Helper function to keep renewing this instance's lock on a job while it runs
+const startLockHeartbeat = (job) => setInterval(async () => {
+    try {
+        const renewed = await ScheduledJob.updateOne(
+            { _id: job._id, lockedBy: INSTANCE_ID },
+            { $set: { lockedUntil: new Date(Date.now() + JOB_LOCK_MINUTES * 60 * 1000) } },
+            { skipAudit: true }
+        );
+        if (renewed.matchedCount === 0) {
+            console.warn(`Job ${job.type} of ${job.restaurant} lost its lock while running`);
+        }
+    } catch (error) {
+        console.error(`Failed to renew the lock of job ${job.type}:`, error.message);
+    }
+}, LOCK_HEARTBEAT_MS);
+
+/**
+ * Run a job this instance has locked, record the run and release the lock
+ * A failing job is recorded as failed; the error is not thrown.
+ * @param {Object} job - Locked ScheduledJob document
+ * @param {Object} options - { trigger: 'schedule' | 'manual', userId }
+ * @returns {Object} - The JobRun document
+ */
+export const runLockedJob = async (job, { trigger = 'schedule', userId = null } = {}) => {
+    const startedAt = new Date();
+    const run = await JobRun.create({
+        job: job._id,
+        type: job.type,
+        trigger,
+        triggeredBy: userId || undefined,
+        instance: INSTANCE_ID,
+        startedAt,
+        restaurant: job.restaurant
+    });
+
+    let status = 'success';
+    let result = null;
+    let errorMessage = null;
+    const heartbeat = startLockHeartbeat(job);
+    try {
+        result = await JOB_DEFINITIONS[job.type].run(job, startedAt);
+    } catch (error) {
+        status = 'failed';
+        errorMessage = error.message;
+        console.error(`Job ${job.type} failed for ${job.restaurant}:`, error.message);
+    } finally {
+        clearInterval(heartbeat);
+    }
+
+    // The next run was planned when the lock was taken; a run that outlasted it plans again
+    const finishedAt = new Date();
+    let nextRunAt = job.nextRunAt || computeNextRun(job, startedAt);
+    if (nextRunAt <= finishedAt) {
+        nextRunAt = computeNextRun(job, finishedAt);
+    }
+
+    await ScheduledJob.updateOne(
+        { _id: job._id, lockedBy: INSTANCE_ID },
+        {
+            $set: {
+                lastRunAt: startedAt,
+                lastFinishedAt: finishedAt,
+                lastStatus: status,
+                lastError: errorMessage,
+                nextRunAt
+            },
+            $unset: { lockedBy: 1, lockedUntil: 1 }
+        },
+        { skipAudit: true }
+    );
+
+    return JobRun.findByIdAndUpdate(
+        run._id,
+        {
+            $set: {
+                status,
+                result,
+                error: errorMessage,
+                finishedAt,
+                durationMs: finishedAt - startedAt
+            }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Run every job that is due, one after another
+ * Jobs locked by another instance are left to it.
+ * @returns {Number} - Number of jobs run
+ */
+export const runDueJobs = async () => {
+    const now = new Date();
+    const dueJobs = await ScheduledJob.find({
+        enabled: true,
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    }).select('_id').sort({ nextRunAt: 1 });
+
+    let ran = 0;
+    for (const { _id } of dueJobs) {
+        const job = await acquireJobLock(_id);
+        if (!job) continue;
+
+        await runLockedJob(job);
+        ran++;
+    }
+
+    return ran;
+};
+
+/**
+ * Start the in-process job scheduler
+ * Checks for due jobs every JOB_SCHEDULER_POLL_SECONDS; every restaurant gets the built-in jobs.
+ * @returns {Object|null} - The interval timer, or null when the scheduler is disabled
+ */
+export const startJobScheduler = () => {
+    if (!JOB_SCHEDULER_ENABLED) {
+        return null;
+    }
+
+    let running = false;
+    let jobsEnsuredAt = 0;
+
+    const tick = async () => {
+        // A slow job must not make the next tick run the same jobs again
+        if (running) return;
+        running = true;
+
+        try {
+            if (Date.now() - jobsEnsuredAt >= ENSURE_JOBS_EVERY_MS) {
+                const restaurants = await User.distinct('restaurant');
+                for (const restaurant of restaurants.filter(Boolean)) {
+                    await ensureDefaultJobs(restaurant);
+                }
+                jobsEnsuredAt = Date.now();
+            }
+
+            await runDueJobs();
+        } catch (error) {
+            console.error('Job scheduler tick failed:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    console.log(`⏰ Job scheduler started on ${INSTANCE_ID}`);
+    tick();
+    return setInterval(tick, JOB_SCHEDULER_POLL_SECONDS * 1000);
+};
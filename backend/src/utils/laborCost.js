@@ -0,0 +1,148 @@
+import { TimePunch } from "../models/labor/timePunch.model.js";
+import { Shift } from "../models/labor/shift.model.js";
+import { Order } from "../models/order/order.model.js";
+import { getZonedDate, zonedTimeToDate } from "./timezone.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Round to cents (and hundredths of an hour)
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Calendar date as YYYY-MM-DD
+const formatDateKey = ({ year, month, day }) =>
+    `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Paid hours of a time punch
+ * An open punch counts up to `now`; the break is taken off, never going below zero.
+ * @param {Object} punch - { clockInAt, clockOutAt, breakMinutes }
+ * @param {Date} now - End of an open punch
+ * @returns {Number} - Hours
+ */
+export const getPunchHours = (punch, now = new Date()) => {
+    const end = punch.clockOutAt || now;
+    const hours = (new Date(end) - new Date(punch.clockInAt)) / HOUR_MS - (punch.breakMinutes || 0) / 60;
+    return Math.max(0, hours);
+};
+
+/**
+ * Labor cost against sales revenue per day
+ * A punch counts on the day it was clocked in, at the hourly rate it was clocked in with.
+ * Scheduled hours and cost come from the shifts starting that day at the users' current rates.
+ * Revenue is the total of the orders taken that day that were not cancelled.
+ * @param {String} restaurant - Restaurant to report on
+ * @param {Object} options - { days (ending today), timeZone (whose calendar days are used), now }
+ * @returns {Object} - { from, to, timeZone, days, totals, employees }
+ */
+export const buildLaborCostReport = async (restaurant, { days, timeZone, now = new Date() }) => {
+    const from = zonedTimeToDate({ ...getZonedDate(now, timeZone, -(days - 1)), hour: 0, minute: 0 }, timeZone);
+    const to = zonedTimeToDate({ ...getZonedDate(now, timeZone, 1), hour: 0, minute: 0 }, timeZone);
+
+    const [punches, shifts, revenueRows] = await Promise.all([
+        TimePunch.find({ restaurant, clockInAt: { $gte: from, $lt: to } }).populate('employee', 'fullname role'),
+        Shift.find({ restaurant, startTime: { $gte: from, $lt: to } }).populate('employee', 'fullname role hourlyRate'),
+        Order.aggregate([
+            { $match: { restaurant, status: { $ne: 'cancelled' }, createdAt: { $gte: from, $lt: to } } },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: timeZone } },
+                    revenue: { $sum: '$totalAmount' },
+                    orders: { $sum: 1 }
+                }
+            }
+        ])
+    ]);
+
+    const byDay = new Map();
+    for (let offset = -(days - 1); offset <= 0; offset++) {
+        const date = formatDateKey(getZonedDate(now, timeZone, offset));
+        byDay.set(date, { date, hours: 0, laborCost: 0, scheduledHours: 0, scheduledCost: 0, revenue: 0, orders: 0, openPunches: 0 });
+    }
+    const byEmployee = new Map();
+
+    for (const punch of punches) {
+        const day = byDay.get(formatDateKey(getZonedDate(punch.clockInAt, timeZone)));
+        if (!day) continue;
+
+        const hours = getPunchHours(punch, now);
+        const cost = hours * (punch.hourlyRate || 0);
+        day.hours += hours;
+        day.laborCost += cost;
+        if (punch.status === 'open') day.openPunches++;
+
+        const key = punch.employee?._id?.toString() || 'unknown';
+        if (!byEmployee.has(key)) {
+            byEmployee.set(key, { employee: punch.employee, hours: 0, laborCost: 0, scheduledHours: 0 });
+        }
+        byEmployee.get(key).hours += hours;
+        byEmployee.get(key).laborCost += cost;
+    }
+
+    for (const shift of shifts) {
+        const day = byDay.get(formatDateKey(getZonedDate(shift.startTime, timeZone)));
+        if (!day) continue;
+
+        const hours = Math.max(0, (shift.endTime - shift.startTime) / HOUR_MS);
+        day.scheduledHours += hours;
+        day.scheduledCost += hours * (shift.employee?.hourlyRate || 0);
+
+        const key = shift.employee?._id?.toString() || 'unknown';
+        if (!byEmployee.has(key)) {
+            byEmployee.set(key, { employee: shift.employee, hours: 0, laborCost: 0, scheduledHours: 0 });
+        }
+        byEmployee.get(key).scheduledHours += hours;
+    }
+
+    for (const row of revenueRows) {
+        const day = byDay.get(row._id);
+        if (!day) continue;
+        day.revenue = row.revenue;
+        day.orders = row.orders;
+    }
+
+    const laborCostPercent = (laborCost, revenue) =>
+        revenue > 0 ? Math.round((laborCost / revenue) * 1000) / 10 : null;
+
+    const dayRows = [...byDay.values()].map(day => ({
+        ...day,
+        hours: roundAmount(day.hours),
+        laborCost: roundAmount(day.laborCost),
+        scheduledHours: roundAmount(day.scheduledHours),
+        scheduledCost: roundAmount(day.scheduledCost),
+        revenue: roundAmount(day.revenue),
+        laborCostPercent: laborCostPercent(day.laborCost, day.revenue)
+    }));
+
+    const totals = dayRows.reduce((sum, day) => ({
+        hours: sum.hours + day.hours,
+        laborCost: sum.laborCost + day.laborCost,
+        scheduledHours: sum.scheduledHours + day.scheduledHours,
+        scheduledCost: sum.scheduledCost + day.scheduledCost,
+        revenue: sum.revenue + day.revenue,
+        orders: sum.orders + day.orders
+    }), { hours: 0, laborCost: 0, scheduledHours: 0, scheduledCost: 0, revenue: 0, orders: 0 });
+
+    return {
+        from,
+        to,
+        timeZone,
+        days: dayRows,
+        totals: {
+            hours: roundAmount(totals.hours),
+            laborCost: roundAmount(totals.laborCost),
+            scheduledHours: roundAmount(totals.scheduledHours),
+            scheduledCost: roundAmount(totals.scheduledCost),
+            revenue: roundAmount(totals.revenue),
+            orders: totals.orders,
+            laborCostPercent: laborCostPercent(totals.laborCost, totals.revenue)
+        },
+        employees: [...byEmployee.values()]
+            .map(entry => ({
+                employee: entry.employee ? { _id: entry.employee._id, fullname: entry.employee.fullname, role: entry.employee.role } : null,
+                hours: roundAmount(entry.hours),
+                laborCost: roundAmount(entry.laborCost),
+                scheduledHours: roundAmount(entry.scheduledHours)
+            }))
+            .sort((a, b) => b.laborCost - a.laborCost)
+    };
+};
@@ -0,0 +1,169 @@
+import { DailyInventoryEntry } from "../models/inventory/dailyInventoryEntry.model.js";
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { LOT_CONSUMPTION_STRATEGY } from "../../constant.js";
+
+// Round away floating point noise when splitting quantities across lots
+const roundQuantity = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Sort lots in the order they should be consumed
+ * FEFO: earliest expiry first, lots without an expiry date last, then oldest received first
+ * FIFO: oldest received first
+ * @param {Array} lots - Lot (DailyInventoryEntry) documents
+ * @param {String} strategy - 'fefo' or 'fifo'
+ * @returns {Array} - Sorted copy of the lots
+ */
+export const sortLotsForConsumption = (lots, strategy = LOT_CONSUMPTION_STRATEGY) => {
+    const receivedOrder = (a, b) =>
+        new Date(a.date) - new Date(b.date) || new Date(a.createdAt) - new Date(b.createdAt);
+
+    if (strategy === 'fifo') {
+        return [...lots].sort(receivedOrder);
+    }
+
+    return [...lots].sort((a, b) => {
+        const expiryA = a.expiryDate ? new Date(a.expiryDate).getTime() : Infinity;
+        const expiryB = b.expiryDate ? new Date(b.expiryDate).getTime() : Infinity;
+        if (expiryA !== expiryB) return expiryA - expiryB;
+        return receivedOrder(a, b);
+    });
+};
+
+/**
+ * Get the open lots of an inventory item that still hold stock
+ * @param {String} inventoryItemId - ID of the inventory item
+ * @param {Boolean} includeExpired - Also return lots past their expiry date
+ * @returns {Array} - Open lot documents
+ */
+export const getOpenLots = async (inventoryItemId, includeExpired = false) => {
+    const filter = {
+        inventoryItem: inventoryItemId,
+        status: 'open',
+        remainingQuantity: { $gt: 0 }
+    };
+
+    if (!includeExpired) {
+        filter.$or = [
+            { expiryDate: null },
+            { expiryDate: { $gte: new Date() } }
+        ];
+    }
+
+    return DailyInventoryEntry.find(filter);
+};
+
+/**
+ * Take a quantity from the open lots of an item (FIFO or FEFO across all open lots)
+ * The stock itself must already be deducted from InventoryItem.currentStock;
+ * this only attributes the deduction to lots. Expired lots are never consumed.
+ * @param {String} inventoryItemId - ID of the inventory item
+ * @param {Number} quantity - Quantity to consume, in the item's stock unit
+ * @param {String} strategy - 'fefo' or 'fifo' (defaults to LOT_CONSUMPTION_STRATEGY)
+ * @returns {Object} - { consumed: [{ lot, lotNumber, quantity, cost }], untracked }
+ */
+export const consumeLots = async (inventoryItemId, quantity, strategy = LOT_CONSUMPTION_STRATEGY) => {
+    const consumed = [];
+    let remaining = roundQuantity(quantity);
+
+    // Another request may drain a lot between reading and updating it, so re-read and retry
+    for (let attempt = 0; attempt < 3 && remaining > 0; attempt++) {
+        const lots = sortLotsForConsumption(await getOpenLots(inventoryItemId), strategy);
+        if (lots.length === 0) break;
+
+        for (const lot of lots) {
+            if (remaining <= 0) break;
+
+            const take = roundQuantity(Math.min(lot.remainingQuantity, remaining));
+            const updatedLot = await DailyInventoryEntry.findOneAndUpdate(
+                { _id: lot._id, status: 'open', remainingQuantity: { $gte: take } },
+                { $inc: { remainingQuantity: -take } },
+                { new: true }
+            );
+
+            if (!updatedLot) continue;
+
+            if (updatedLot.remainingQuantity <= 0) {
+                await DailyInventoryEntry.updateOne(
+                    { _id: lot._id, remainingQuantity: { $lte: 0 } },
+                    { status: 'depleted', remainingQuantity: 0 }
+                );
+            }
+
+            consumed.push({
+                lot: lot._id,
+                lotNumber: lot.lotNumber,
+                quantity: take,
+                cost: lot.cost
+            });
+            remaining = roundQuantity(remaining - take);
+        }
+    }
+
+    // Stock that no lot covers (e.g. added through the general inventory form)
+    return { consumed, untracked: Math.max(0, remaining) };
+};
+
+/**
+ * Put stock given back (e.g. by a cancelled order) back into the lot it was taken from
+ * Expired lots stay closed: their stock was already wasted, so what comes back is untracked.
+ * @param {String} lotId - ID of the lot
+ * @param {Number} quantity - Quantity to put back, in the item's stock unit
+ * @returns {Boolean} - true if the lot took the quantity back
+ */
+export const returnToLot = async (lotId, quantity) => {
+    const lot = await DailyInventoryEntry.findOneAndUpdate(
+        { _id: lotId, status: { $in: ['open', 'depleted'] } },
+        { $inc: { remainingQuantity: roundQuantity(quantity) }, status: 'open' },
+        { new: true }
+    );
+
+    return !!lot;
+};
+
+/**
+ * Stock of an item that is not covered by any open lot
+ * @param {Object} inventoryItem - Inventory item document
+ * @returns {Number} - currentStock minus the remaining quantity of all open lots
+ */
+export const getUntrackedStock = async (inventoryItem) => {
+    const lots = await getOpenLots(inventoryItem._id, true);
+    const lotStock = lots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+    return Math.max(0, roundQuantity(inventoryItem.currentStock - lotStock));
+};
+
+/**
+ * Set an item's expiry date to the earliest expiry of its open lots
+ * Only done when all of the item's stock is held in lots, so the item-level
+ * expiry of untracked stock is never lost
+ * @param {String} inventoryItemId - ID of the inventory item
+ * @returns {Date|null} - The new expiry date, or null if it was left unchanged or cleared
+ */
+export const refreshItemExpiry = async (inventoryItemId) => {
+    const inventoryItem = await InventoryItem.findById(inventoryItemId);
+    if (!inventoryItem) return null;
+
+    const lots = await getOpenLots(inventoryItemId, true);
+    if (lots.length === 0) return null;
+
+    const lotStock = lots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+    if (roundQuantity(lotStock) < roundQuantity(inventoryItem.currentStock)) return null;
+
+    const expiries = lots
+        .filter(lot => lot.expiryDate)
+        .map(lot => new Date(lot.expiryDate).getTime());
+
+    // None of the lots expire, so neither does the item
+    const earliestExpiry = expiries.length > 0 ? new Date(Math.min(...expiries)) : undefined;
+
+    // Re-derive the status too, an item marked expired may only have fresh lots left
+    inventoryItem.expiryDate = earliestExpiry;
+    const status = inventoryItem.updateStatus();
+
+    await InventoryItem.findByIdAndUpdate(
+        inventoryItemId,
+        earliestExpiry
+            ? { expiryDate: earliestExpiry, status }
+            : { $unset: { expiryDate: 1 }, status }
+    );
+    return earliestExpiry || null;
+};
@@ -0,0 +1,127 @@
+import { DailyInventoryEntry } from "../models/inventory/dailyInventoryEntry.model.js";
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { sortLotsForConsumption } from "./lotManager.js";
+
+// Round away floating point noise when comparing and trimming quantities
+const roundQuantity = (value) => Math.round(value * 1e6) / 1e6;
+
+// Whether b falls on the calendar day after a
+const isNextDay = (a, b) => {
+    const next = new Date(a);
+    next.setDate(next.getDate() + 1);
+    return next.toDateString() === new Date(b).toDateString();
+};
+
+/**
+ * Follow the carry-forward copies of one batch of entries
+ * Starting a day used to copy every entry with stock left into a new entry for the next day,
+ * leaving the old one untouched. A copy is an entry on the next day with the same item, cost
+ * and expiry whose quantity is what the previous entry had left.
+ * @param {Array} entries - Entries of one item, cost and expiry, oldest first
+ * @returns {Array} - One chain per received lot: [received entry, copy, copy of the copy, ...]
+ */
+const findCarryForwardChains = (entries) => {
+    const chains = [];
+    const chainOf = new Map();
+
+    for (const entry of entries) {
+        let chain = chainOf.get(entry.id);
+        if (!chain) {
+            chain = [entry];
+            chains.push(chain);
+            chainOf.set(entry.id, chain);
+        }
+
+        if (entry.remainingQuantity <= 0) continue;
+
+        const copy = entries.find(candidate =>
+            !chainOf.has(candidate.id) &&
+            isNextDay(entry.date, candidate.date) &&
+            roundQuantity(candidate.quantity) === roundQuantity(entry.remainingQuantity)
+        );
+        if (copy) {
+            chain.push(copy);
+            chainOf.set(copy.id, chain);
+        }
+    }
+
+    return chains;
+};
+
+/**
+ * Turn daily inventory entries written before lots existed into lots
+ * - Carry-forward copies are merged into the entry the stock was received with: it keeps its
+ *   received date and takes what the last copy has left, and the copies are deleted
+ * - Every entry gets a status (open while it has stock left, depleted otherwise) and a lot number
+ * - Entries only tracked what was left, so where an item's open lots add up to more than its
+ *   stock, the lots it would have used first are trimmed down to the stock
+ * @returns {Object} - { lots, mergedCopies, trimmedItems }
+ */
+export const migrateLegacyLots = async () => {
+    const legacyEntries = await DailyInventoryEntry.find({ status: { $exists: false } })
+        .sort({ date: 1, createdAt: 1 });
+
+    const batches = new Map();
+    for (const entry of legacyEntries) {
+        const key = [
+            entry.restaurant,
+            entry.inventoryItem,
+            entry.cost ?? '',
+            entry.expiryDate ? entry.expiryDate.getTime() : ''
+        ].join('|');
+        if (!batches.has(key)) batches.set(key, []);
+        batches.get(key).push(entry);
+    }
+
+    let lots = 0;
+    let mergedCopies = 0;
+    for (const entries of batches.values()) {
+        for (const [received, ...copies] of findCarryForwardChains(entries)) {
+            const remainingQuantity = roundQuantity(copies.length > 0 ? copies[copies.length - 1].remainingQuantity : received.remainingQuantity);
+
+            // lotNumber is filled in by the schema default when the entry is loaded
+            await DailyInventoryEntry.updateOne(
+                { _id: received._id },
+                {
+                    $set: {
+                        lotNumber: received.lotNumber,
+                        remainingQuantity: Math.max(0, remainingQuantity),
+                        status: remainingQuantity > 0 ? 'open' : 'depleted'
+                    }
+                }
+            );
+            lots++;
+
+            if (copies.length > 0) {
+                await DailyInventoryEntry.deleteMany({ _id: { $in: copies.map(copy => copy._id) } });
+                mergedCopies += copies.length;
+            }
+        }
+    }
+
+    // Bring the open lots of each migrated item back in line with its stock
+    let trimmedItems = 0;
+    const itemIds = [...new Set(legacyEntries.map(entry => entry.inventoryItem.toString()))];
+    for (const itemId of itemIds) {
+        const item = await InventoryItem.findById(itemId).setOptions({ withDeleted: true }).select('currentStock');
+        const openLots = await DailyInventoryEntry.find({ inventoryItem: itemId, status: 'open', remainingQuantity: { $gt: 0 } });
+
+        let surplus = roundQuantity(openLots.reduce((sum, lot) => sum + lot.remainingQuantity, 0) - (item?.currentStock || 0));
+        if (surplus <= 0) continue;
+
+        for (const lot of sortLotsForConsumption(openLots)) {
+            if (surplus <= 0) break;
+
+            const trim = roundQuantity(Math.min(lot.remainingQuantity, surplus));
+            const remainingQuantity = roundQuantity(lot.remainingQuantity - trim);
+            await DailyInventoryEntry.updateOne(
+                { _id: lot._id },
+                { remainingQuantity, status: remainingQuantity > 0 ? 'open' : 'depleted' }
+            );
+            surplus = roundQuantity(surplus - trim);
+        }
+        trimmedItems++;
+    }
+
+    return { lots, mergedCopies, trimmedItems };
+};
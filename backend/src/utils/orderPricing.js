@@ -0,0 +1,253 @@
+import { Promotion } from "../models/order/promotion.model.js";
+import { RestaurantProfile } from "../models/restaurant/restaurantProfile.model.js";
+import { apiError } from "./apiError.js";
+import { getZonedParts } from "./timezone.js";
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Helper function to turn "HH:mm" into minutes after midnight
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Check whether a promotion's dates, weekdays and happy-hour times include an instant
+ * A window that runs past midnight belongs to the weekday it started on.
+ * @param {Object} promotion - Promotion
+ * @param {Date} at - Instant to check
+ * @param {String} timeZone - Restaurant's time zone, which weekdays and times are read in
+ * @returns {Boolean} - true if the promotion may apply at that instant
+ */
+export const isPromotionInWindow = (promotion, at, timeZone) => {
+    if (promotion.validFrom && at < promotion.validFrom) return false;
+    if (promotion.validUntil && at > promotion.validUntil) return false;
+
+    const parts = getZonedParts(at, timeZone);
+    let weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+
+    if (promotion.startTime && promotion.endTime) {
+        const now = parts.hour * 60 + parts.minute;
+        const start = toMinutes(promotion.startTime);
+        const end = toMinutes(promotion.endTime);
+
+        if (start <= end) {
+            if (now < start || now >= end) return false;
+        } else if (now < end) {
+            // After midnight in a window that started the day before
+            weekday = (weekday + 6) % 7;
+        } else if (now < start) {
+            return false;
+        }
+    }
+
+    const days = promotion.daysOfWeek || [];
+    return days.length === 0 || days.includes(weekday);
+};
+
+// Helper function to check whether an order line is one of the items a promotion discounts
+const matchesLine = (promotion, line) => {
+    const menuItems = (promotion.menuItems || []).map(String);
+    const categories = (promotion.categories || []).map(category => category.toLowerCase());
+    if (menuItems.length === 0 && categories.length === 0) return true;
+    return menuItems.includes(String(line.menuItem))
+        || categories.includes(String(line.category || '').toLowerCase());
+};
+
+// Helper function to spread an amount over lines in proportion to their weights
+const allocate = (amount, weights) => {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map(weight => (total > 0 ? amount * weight / total : 0));
+};
+
+// Helper function to work out a promotion's discount on each line (zeros when it does not apply)
+const computeLineDiscounts = (promotion, lines) => {
+    const none = lines.map(() => 0);
+
+    if (promotion.type === 'combo') {
+        const combo = promotion.comboItems || [];
+        if (combo.length === 0 || promotion.comboPrice === undefined || promotion.comboPrice === null) return none;
+
+        // Quantity and value of each combo item in the order
+        const inOrder = combo.map(entry => {
+            const itemLines = lines.filter(line => String(line.menuItem) === String(entry.menuItem));
+            const quantity = itemLines.reduce((sum, line) => sum + line.quantity, 0);
+            const value = itemLines.reduce((sum, line) => sum + line.totalPrice, 0);
+            return { entry, quantity, unitPrice: quantity > 0 ? value / quantity : 0 };
+        });
+
+        const sets = Math.min(...inOrder.map(item => Math.floor(item.quantity / item.entry.quantity)));
+        if (sets < 1) return none;
+
+        const setValues = inOrder.map(item => sets * item.entry.quantity * item.unitPrice);
+        const discount = setValues.reduce((sum, value) => sum + value, 0) - sets * promotion.comboPrice;
+        if (discount <= 0) return none;
+
+        // Each combo item carries the discount in proportion to the value it adds to the sets
+        const perItem = allocate(discount, setValues);
+        const result = [...none];
+        inOrder.forEach((item, index) => {
+            const lineIndexes = lines
+                .map((line, lineIndex) => (String(line.menuItem) === String(item.entry.menuItem) ? lineIndex : -1))
+                .filter(lineIndex => lineIndex >= 0);
+            allocate(perItem[index], lineIndexes.map(lineIndex => lines[lineIndex].totalPrice))
+                .forEach((share, i) => { result[lineIndexes[i]] += share; });
+        });
+        return result;
+    }
+
+    const matching = lines.map(line => promotion.scope !== 'items' || matchesLine(promotion, line));
+
+    if (promotion.type === 'percentage') {
+        const rate = Math.min(promotion.value, 100) / 100;
+        return lines.map((line, index) => (matching[index] ? line.totalPrice * rate : 0));
+    }
+
+    // Fixed: an amount off the order, or off each matching unit
+    if (promotion.scope === 'items') {
+        return lines.map((line, index) => (matching[index] ? Math.min(promotion.value * line.quantity, line.totalPrice) : 0));
+    }
+    const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+    return allocate(Math.min(promotion.value, subtotal), lines.map(line => line.totalPrice));
+};
+
+// Helper function to find the coupon's promotion, explaining why it cannot be used
+const findCoupon = (promotions, couponCode, subtotal, { at, timeZone }, lines) => {
+    const promotion = promotions.find(candidate => candidate.couponCode === couponCode);
+    if (!promotion) {
+        throw new apiError(`Coupon code ${couponCode} is not valid`, 400);
+    }
+    if (!isPromotionInWindow(promotion, at, timeZone)) {
+        throw new apiError(`Coupon code ${couponCode} is not valid at this time`, 400);
+    }
+    if (subtotal < (promotion.minSubtotal || 0)) {
+        throw new apiError(`Coupon code ${couponCode} needs an order subtotal of at least ${promotion.minSubtotal}`, 400);
+    }
+    const discounts = computeLineDiscounts(promotion, lines);
+    if (!discounts.some(amount => amount > 0)) {
+        throw new apiError(`Coupon code ${couponCode} does not apply to the items in this order`, 400);
+    }
+    return { promotion, discounts };
+};
+
+/**
+ * Choose the promotions an order gets
+ * A valid coupon always applies: on its own if it is not stackable, otherwise with the other
+ * stackable promotions. Without a coupon the order gets whichever is larger: the best
+ * non-stackable promotion, or all stackable promotions together.
+ * @returns {Array} - [{ promotion, discounts }] with a discount per line
+ */
+const choosePromotions = (promotions, lines, { couponCode, at, timeZone }) => {
+    const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+
+    const automatic = promotions
+        .filter(promotion => !promotion.couponCode)
+        .filter(promotion => subtotal >= (promotion.minSubtotal || 0) && isPromotionInWindow(promotion, at, timeZone))
+        .map(promotion => ({ promotion, discounts: computeLineDiscounts(promotion, lines) }))
+        .map(candidate => ({ ...candidate, amount: candidate.discounts.reduce((sum, amount) => sum + amount, 0) }))
+        .filter(candidate => candidate.amount > 0);
+
+    const stackable = automatic.filter(candidate => candidate.promotion.stackable);
+
+    if (couponCode) {
+        const coupon = findCoupon(promotions, couponCode, subtotal, { at, timeZone }, lines);
+        return coupon.promotion.stackable ? [coupon, ...stackable] : [coupon];
+    }
+
+    const bestSingle = automatic
+        .filter(candidate => !candidate.promotion.stackable)
+        .sort((a, b) => b.amount - a.amount)[0];
+    const stackedAmount = stackable.reduce((sum, candidate) => sum + candidate.amount, 0);
+
+    if (bestSingle && bestSingle.amount > stackedAmount) return [bestSingle];
+    return stackable;
+};
+
+/**
+ * Price an order: promotions, service charge and taxes from the restaurant's settings
+ * Line amounts are menu prices; with pricesIncludeTax they already contain the tax, which is
+ * then only reported, otherwise it is added to the total.
+ * @param {Object} options
+ * @param {String} options.restaurant - Restaurant of the order
+ * @param {Array} options.lines - [{ menuItem, category, quantity, unitPrice, totalPrice }]
+ * @param {String} options.orderType - dine-in, takeaway or delivery
+ * @param {String} options.couponCode - Coupon code entered for the order, if any
+ * @param {Date} options.at - When the order was placed; happy hours are checked against it
+ * @returns {Object} - { subtotal, discount, appliedPromotions, couponCode, serviceCharge, taxLines,
+ *   tax, pricesIncludeTax, totalAmount }
+ */
+export const priceOrder = async ({ restaurant, lines, orderType, couponCode, at = new Date() }) => {
+    const code = couponCode ? String(couponCode).trim().toUpperCase() : '';
+
+    const [profile, promotions] = await Promise.all([
+        RestaurantProfile.findOne({ restaurant }),
+        Promotion.find({ restaurant, isActive: true })
+    ]);
+    const settings = profile || new RestaurantProfile({ restaurant });
+
+    const subtotal = round2(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+
+    // Apply the chosen promotions in turn; a line is never discounted below zero
+    const remaining = lines.map(line => line.totalPrice);
+    const appliedPromotions = [];
+    for (const { promotion, discounts } of choosePromotions(promotions, lines, { couponCode: code, at, timeZone: settings.timezone })) {
+        let amount = 0;
+        discounts.forEach((discount, index) => {
+            const applied = Math.min(discount, remaining[index]);
+            remaining[index] -= applied;
+            amount += applied;
+        });
+        if (amount > 0) {
+            appliedPromotions.push({
+                promotion: promotion._id,
+                name: promotion.name,
+                type: promotion.type,
+                couponCode: promotion.couponCode || undefined,
+                amount: round2(amount)
+            });
+        }
+    }
+    const discount = round2(appliedPromotions.reduce((sum, applied) => sum + applied.amount, 0));
+    const discountedSubtotal = round2(subtotal - discount);
+
+    const serviceCharge = settings.serviceChargeRate > 0 && settings.serviceChargeOrderTypes.includes(orderType)
+        ? round2(discountedSubtotal * settings.serviceChargeRate / 100)
+        : 0;
+
+    // Taxable amount per rate: each line at its category's rate, the service charge at the default rate
+    const rateFor = (category) => {
+        const match = settings.categoryTaxRates.find(entry => entry.category.toLowerCase() === String(category || '').toLowerCase());
+        return match ? match.rate : settings.taxRate;
+    };
+    const taxableByRate = new Map();
+    const addTaxable = (rate, amount) => taxableByRate.set(rate, (taxableByRate.get(rate) || 0) + amount);
+    lines.forEach((line, index) => addTaxable(rateFor(line.category), remaining[index]));
+    if (settings.serviceChargeTaxable && serviceCharge > 0) addTaxable(settings.taxRate, serviceCharge);
+
+    const pricesIncludeTax = settings.pricesIncludeTax;
+    const taxLines = [...taxableByRate.entries()]
+        .filter(([rate, taxableAmount]) => rate > 0 && taxableAmount > 0)
+        .sort(([a], [b]) => a - b)
+        .map(([rate, taxableAmount]) => ({
+            label: `${settings.taxLabel} ${rate}%`,
+            rate,
+            taxableAmount: round2(taxableAmount),
+            amount: round2(pricesIncludeTax
+                ? taxableAmount - taxableAmount / (1 + rate / 100)
+                : taxableAmount * rate / 100)
+        }));
+    const tax = round2(taxLines.reduce((sum, line) => sum + line.amount, 0));
+
+    return {
+        subtotal,
+        discount,
+        appliedPromotions,
+        // null rather than undefined, so repricing an order clears a removed coupon
+        couponCode: code || null,
+        serviceCharge,
+        taxLines,
+        tax,
+        pricesIncludeTax,
+        totalAmount: round2(discountedSubtotal + serviceCharge + (pricesIncludeTax ? 0 : tax))
+    };
+};
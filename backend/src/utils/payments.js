@@ -0,0 +1,674 @@
+import { Order } from "../models/order/order.model.js";
+import { Payment } from "../models/order/payment.model.js";
+import { CashDrawer } from "../models/order/cashDrawer.model.js";
+import { DayStatus } from "../models/inventory/dayStatus.model.js";
+import { apiError } from "./apiError.js";
+import { getBusinessDay, getBusinessDayBounds } from "./restaurantTimezone.js";
+import { SPLIT_BILL_MAX_BILLS } from "../../constant.js";
+
+export const PAYMENT_METHODS = Payment.schema.path('method').enumValues;
+
+// Amounts within half a cent of each other count as equal
+const CENT_TOLERANCE = 0.005;
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Helper function to format a business day (midnight, server time) as YYYY-MM-DD
+const formatDate = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Helper function to refuse money movements once the day, and with it the cash drawer, is closed
+const ensureDayOpen = async (restaurant, businessDate) => {
+    const dayStatus = await DayStatus.findOne({ date: businessDate, restaurant });
+    if (dayStatus?.isEnded) {
+        throw new apiError("The day has been ended and its cash drawer closed. Payments and refunds can be recorded again on the next day.", 400);
+    }
+};
+
+// Helper function to divide an amount in proportion to weights, in whole cents that add up exactly
+// (left-over cents go to the first shares)
+const divideInCents = (amount, weights) => {
+    const totalWeight = sum(weights);
+    const parts = totalWeight > 0 ? weights : weights.map(() => 1);
+    const partsTotal = totalWeight > 0 ? totalWeight : parts.length;
+
+    const cents = Math.round(amount * 100);
+    const shares = parts.map(part => Math.floor(cents * part / partsTotal));
+    let left = cents - sum(shares);
+    for (let index = 0; left > 0; index = (index + 1) % shares.length, left--) {
+        shares[index] += 1;
+    }
+    return shares.map(share => share / 100);
+};
+
+// Payment status from the totals, as an aggregation expression so it is worked out in the same
+// atomic update that changes them
+const PAYMENT_STATUS_EXPRESSION = {
+    $let: {
+        vars: { net: { $subtract: ['$amountPaid', '$amountRefunded'] } },
+        in: {
+            $switch: {
+                branches: [
+                    { case: { $and: [{ $gt: ['$amountRefunded', 0] }, { $lte: ['$$net', CENT_TOLERANCE] }] }, then: 'refunded' },
+                    { case: { $gt: ['$amountRefunded', 0] }, then: 'partially-refunded' },
+                    { case: { $gte: ['$$net', { $subtract: ['$totalAmount', CENT_TOLERANCE] }] }, then: 'paid' },
+                    { case: { $gt: ['$$net', 0] }, then: 'partially-paid' }
+                ],
+                default: 'unpaid'
+            }
+        }
+    }
+};
+
+// Helper function to build the expression that adds an amount to one split bill's amountPaid
+const addToBill = (bill, amount) => ({
+    $map: {
+        input: { $range: [0, { $size: '$splitBill.bills' }] },
+        as: 'index',
+        in: {
+            $let: {
+                vars: { entry: { $arrayElemAt: ['$splitBill.bills', '$$index'] } },
+                in: {
+                    $cond: [
+                        { $eq: ['$$index', bill] },
+                        { $mergeObjects: ['$$entry', { amountPaid: { $round: [{ $add: ['$$entry.amountPaid', amount] }, 2] } }] },
+                        '$$entry'
+                    ]
+                }
+            }
+        }
+    }
+});
+
+/**
+ * Add to an order's payment totals (and to one split bill) in a single atomic update,
+ * recomputing its payment status
+ * @param {Object} filter - Order filter, including the guards that must still hold
+ * @param {Object} change
+ * @param {Number} change.paid - Added to amountPaid
+ * @param {Number} change.refunded - Added to amountRefunded
+ * @param {Number} change.bill - Split bill whose amountPaid changes by paid - refunded
+ * @param {String} change.method - Method of the payment; the order's paymentMethod becomes 'split'
+ *   once more than one method was used
+ * @returns {Object|null} - The updated order, or null when the filter no longer matches
+ */
+const updateOrderTotals = (filter, { paid = 0, refunded = 0, bill, method }) => Order.findOneAndUpdate(filter, [
+    {
+        $set: {
+            amountPaid: { $round: [{ $add: [{ $ifNull: ['$amountPaid', 0] }, paid] }, 2] },
+            amountRefunded: { $round: [{ $add: [{ $ifNull: ['$amountRefunded', 0] }, refunded] }, 2] },
+            ...(method ? {
+                paymentMethod: {
+                    $cond: [
+                        { $or: [{ $lte: [{ $ifNull: ['$amountPaid', 0] }, 0] }, { $eq: [{ $ifNull: ['$paymentMethod', method] }, method] }] },
+                        method,
+                        'split'
+                    ]
+                }
+            } : {}),
+            ...(bill !== undefined ? { 'splitBill.bills': addToBill(bill, round2(paid - refunded)) } : {})
+        }
+    },
+    { $set: { paymentStatus: PAYMENT_STATUS_EXPRESSION } }
+], { new: true });
+
+// Helper function to find an order of the user's restaurant
+const findOrder = async (orderId, restaurant) => {
+    const order = await Order.findOne({ _id: orderId, restaurant });
+    if (!order) {
+        throw new apiError("Order not found", 404);
+    }
+    return order;
+};
+
+// Helper function to check the tenders of a payment
+const parseTenders = (tenders) => {
+    if (!Array.isArray(tenders) || tenders.length === 0) {
+        throw new apiError("At least one tender is required", 400);
+    }
+
+    return tenders.map(tender => {
+        if (!PAYMENT_METHODS.includes(tender.method)) {
+            throw new apiError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+        }
+
+        const amount = round2(Number(tender.amount));
+        if (!(amount > 0)) {
+            throw new apiError("Each tender needs an amount greater than zero", 400);
+        }
+
+        // Cash handed over beyond the amount comes back as change
+        let tendered;
+        let change;
+        if (tender.tendered !== undefined && tender.tendered !== null && tender.tendered !== '') {
+            if (tender.method !== 'cash') {
+                throw new apiError("Only cash tenders can give change", 400);
+            }
+            tendered = round2(Number(tender.tendered));
+            if (!(tendered >= amount)) {
+                throw new apiError("Cash tendered must cover the amount paid", 400);
+            }
+            change = round2(tendered - amount);
+        }
+
+        return {
+            method: tender.method,
+            amount,
+            tendered,
+            change,
+            reference: tender.reference ? String(tender.reference).trim() : undefined
+        };
+    });
+};
+
+/**
+ * Take payment for an order in one or more tenders (e.g. part cash, part card)
+ * When the bill is split, the payment settles one of its bills.
+ * @param {String} orderId - Order ID
+ * @param {Object} options
+ * @param {Array} options.tenders - [{ method, amount, tendered, reference }]
+ * @param {Number} options.bill - Index of the split bill being paid
+ * @param {Object} user - User taking the payment (restaurant scope)
+ * @returns {Object} - { order, payments }
+ */
+export const recordPayment = async (orderId, { tenders, bill }, user) => {
+    const parsedTenders = parseTenders(tenders);
+    const amount = round2(sum(parsedTenders.map(tender => tender.amount)));
+
+    const order = await findOrder(orderId, user.restaurant);
+    if (order.status === 'cancelled') {
+        throw new apiError("Cannot take payment for a cancelled order", 400);
+    }
+
+    let billIndex;
+    if (order.splitBill) {
+        billIndex = Number(bill);
+        const splitBill = order.splitBill.bills[billIndex];
+        if (bill === undefined || bill === null || bill === '' || !Number.isInteger(billIndex) || !splitBill) {
+            throw new apiError(`This order's bill is split; name the bill being paid (0 to ${order.splitBill.bills.length - 1})`, 400);
+        }
+        const due = round2(splitBill.amount - splitBill.amountPaid);
+        if (amount > due + CENT_TOLERANCE) {
+            throw new apiError(`${splitBill.label} has ${due.toFixed(2)} left to pay`, 400);
+        }
+    } else {
+        const due = round2(order.totalAmount - order.amountPaid + order.amountRefunded);
+        if (amount > due + CENT_TOLERANCE) {
+            throw new apiError(`The order has ${due.toFixed(2)} left to pay`, 400);
+        }
+    }
+
+    const businessDate = await getBusinessDay(user.restaurant);
+    await ensureDayOpen(user.restaurant, businessDate);
+
+    // The amount due is checked again in the update, so two tills can never overpay an order
+    const guards = [{
+        $lte: [
+            { $add: [{ $subtract: [{ $ifNull: ['$amountPaid', 0] }, { $ifNull: ['$amountRefunded', 0] }] }, amount] },
+            { $add: ['$totalAmount', CENT_TOLERANCE] }
+        ]
+    }];
+    if (billIndex !== undefined) {
+        guards.push({
+            $lte: [
+                { $add: [{ $arrayElemAt: ['$splitBill.bills.amountPaid', billIndex] }, amount] },
+                { $add: [{ $arrayElemAt: ['$splitBill.bills.amount', billIndex] }, CENT_TOLERANCE] }
+            ]
+        });
+    }
+    const methods = [...new Set(parsedTenders.map(tender => tender.method))];
+    const updatedOrder = await updateOrderTotals(
+        {
+            _id: order._id,
+            status: { $ne: 'cancelled' },
+            'splitBill.mode': billIndex === undefined ? { $exists: false } : order.splitBill.mode,
+            $expr: { $and: guards }
+        },
+        { paid: amount, bill: billIndex, method: methods.length === 1 ? methods[0] : 'split' }
+    );
+    if (!updatedOrder) {
+        throw new apiError("The order changed while the payment was being taken. Check the amount due and try again.", 409);
+    }
+
+    let payments;
+    try {
+        payments = await Payment.insertMany(parsedTenders.map(tender => ({
+            ...tender,
+            order: order._id,
+            kind: 'payment',
+            bill: billIndex,
+            businessDate,
+            recordedBy: user._id,
+            restaurant: user.restaurant
+        })));
+    } catch (error) {
+        // Give the amount back to the order so it can be taken again
+        await updateOrderTotals({ _id: order._id }, { paid: -amount, bill: billIndex });
+        throw error;
+    }
+
+    return { order: updatedOrder, payments };
+};
+
+/**
+ * Refund money paid for an order
+ * Without a payment named, the latest payments are refunded first. Each refund goes back the
+ * way it was paid unless a method is given (e.g. a card payment refunded in cash).
+ * @param {String} orderId - Order ID
+ * @param {Object} options
+ * @param {Number} options.amount - Amount to refund (everything still refundable when not given)
+ * @param {String} options.payment - Payment to refund
+ * @param {String} options.method - Method the money goes back by
+ * @param {String} options.reason - Why the money is given back
+ * @param {Object} user - User giving the refund (restaurant scope)
+ * @returns {Object} - { order, refunds, amount }
+ */
+export const refundPayments = async (orderId, { amount, payment, method, reason } = {}, user) => {
+    if (method && !PAYMENT_METHODS.includes(method)) {
+        throw new apiError(`Refund method must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+    }
+
+    const order = await findOrder(orderId, user.restaurant);
+    const payments = await Payment.find({
+        order: order._id,
+        kind: 'payment',
+        ...(payment ? { _id: payment } : {})
+    }).sort({ createdAt: -1 });
+    if (payment && payments.length === 0) {
+        throw new apiError("Payment not found", 404);
+    }
+
+    const refundable = round2(sum(payments.map(paid => paid.amount - paid.refundedAmount)));
+    if (refundable <= 0) {
+        throw new apiError("Nothing paid for this order is left to refund", 400);
+    }
+
+    const requested = amount === undefined || amount === null || amount === '' ? refundable : round2(Number(amount));
+    if (!(requested > 0)) {
+        throw new apiError("Refund amount must be greater than zero", 400);
+    }
+    if (requested > refundable + CENT_TOLERANCE) {
+        throw new apiError(`At most ${refundable.toFixed(2)} can be refunded`, 400);
+    }
+
+    const businessDate = await getBusinessDay(user.restaurant);
+    await ensureDayOpen(user.restaurant, businessDate);
+
+    // Take the amount from the latest payments first
+    const plan = [];
+    let left = requested;
+    for (const paid of payments) {
+        if (left <= 0) break;
+        const share = round2(Math.min(left, paid.amount - paid.refundedAmount));
+        if (share > 0) {
+            plan.push({ paid, share });
+            left = round2(left - share);
+        }
+    }
+
+    const refunds = [];
+    let updatedOrder = order;
+    for (const { paid, share } of plan) {
+        // Claim the amount on the payment atomically, so it is never refunded twice over
+        const claimed = await Payment.findOneAndUpdate(
+            { _id: paid._id, $expr: { $lte: [{ $add: ['$refundedAmount', share] }, { $add: ['$amount', CENT_TOLERANCE] }] } },
+            { $inc: { refundedAmount: share } }
+        );
+        if (!claimed) {
+            if (refunds.length === 0) {
+                throw new apiError("The payments changed while the refund was being made. Check what is left to refund and try again.", 409);
+            }
+            break;
+        }
+
+        let refund;
+        try {
+            refund = await Payment.create({
+                order: order._id,
+                kind: 'refund',
+                method: method || paid.method,
+                amount: share,
+                refundOf: paid._id,
+                bill: order.splitBill ? paid.bill : undefined,
+                reason: reason || undefined,
+                businessDate,
+                recordedBy: user._id,
+                restaurant: user.restaurant
+            });
+        } catch (error) {
+            // Give the claimed amount back, so the payment can still be refunded
+            await Payment.updateOne({ _id: paid._id }, { $inc: { refundedAmount: -share } });
+            if (refunds.length === 0) throw error;
+
+            console.error(`Error recording refund of payment ${paid._id}:`, error);
+            break;
+        }
+        refunds.push(refund);
+
+        updatedOrder = await updateOrderTotals(
+            { _id: order._id },
+            { refunded: share, bill: order.splitBill && paid.bill !== undefined ? paid.bill : undefined }
+        );
+    }
+
+    return {
+        order: updatedOrder,
+        refunds,
+        amount: round2(sum(refunds.map(refund => refund.amount)))
+    };
+};
+
+/**
+ * Split an order's bill between guests, evenly or by the items each one had
+ * Tax, service charge and discounts are shared in proportion to each bill's items, so the
+ * bills always add up to the order total. A bill cannot be split once payment has been taken.
+ * @param {String} orderId - Order ID
+ * @param {Object} split - { mode: 'even', count } or
+ *   { mode: 'items', bills: [{ label, lines: [{ line, quantity }] }] } where line is the _id of
+ *   an entry of order.items or order.recipes; every unit must be on exactly one bill
+ * @param {Object} user - Requesting user (restaurant scope)
+ * @returns {Object} - The order
+ */
+export const splitOrderBill = async (orderId, split, user) => {
+    const order = await Order.findOne({ _id: orderId, restaurant: user.restaurant })
+        .populate('items.menuItem', 'name')
+        .populate('recipes.recipe', 'generatedRecipeName');
+    if (!order) {
+        throw new apiError("Order not found", 404);
+    }
+    if (order.status === 'cancelled') {
+        throw new apiError("Cannot split the bill of a cancelled order", 400);
+    }
+    if (order.amountPaid > 0) {
+        throw new apiError("The bill cannot be split once payment has been taken", 400);
+    }
+
+    const { mode } = split;
+    let bills;
+
+    if (mode === 'even') {
+        const count = parseInt(split.count);
+        if (!Number.isInteger(count) || count < 2 || count > SPLIT_BILL_MAX_BILLS) {
+            throw new apiError(`count must be between 2 and ${SPLIT_BILL_MAX_BILLS}`, 400);
+        }
+        bills = divideInCents(order.totalAmount, Array(count).fill(1)).map((billAmount, index) => ({
+            label: `Guest ${index + 1}`,
+            lines: [],
+            amount: billAmount,
+            amountPaid: 0
+        }));
+    } else if (mode === 'items') {
+        if (!Array.isArray(split.bills) || split.bills.length < 2 || split.bills.length > SPLIT_BILL_MAX_BILLS) {
+            throw new apiError(`bills must list between 2 and ${SPLIT_BILL_MAX_BILLS} bills`, 400);
+        }
+
+        const lines = [
+            ...order.items.map(item => ({ line: item, name: item.menuItem?.name || 'Deleted menu item' })),
+            ...order.recipes.map(entry => ({ line: entry, name: entry.recipe?.generatedRecipeName || 'Deleted recipe' }))
+        ];
+        const linesById = new Map(lines.map(entry => [String(entry.line._id), entry]));
+        const assigned = new Map();
+
+        const parsedBills = split.bills.map((bill, index) => {
+            const billLines = (bill.lines || []).map(entry => {
+                const orderLine = linesById.get(String(entry.line));
+                if (!orderLine) {
+                    throw new apiError(`Bill ${index + 1}: item ${entry.line} is not on this order`, 400);
+                }
+                const quantity = Number(entry.quantity);
+                if (!Number.isInteger(quantity) || quantity < 1) {
+                    throw new apiError(`Bill ${index + 1}: quantities must be whole numbers of at least 1`, 400);
+                }
+                assigned.set(String(entry.line), (assigned.get(String(entry.line)) || 0) + quantity);
+                return {
+                    line: orderLine.line._id,
+                    quantity,
+                    value: orderLine.line.totalPrice * quantity / orderLine.line.quantity
+                };
+            });
+            if (billLines.length === 0) {
+                throw new apiError(`Bill ${index + 1} has no items`, 400);
+            }
+            return {
+                label: bill.label ? String(bill.label).trim() : `Guest ${index + 1}`,
+                lines: billLines
+            };
+        });
+
+        for (const { line, name } of lines) {
+            const count = assigned.get(String(line._id)) || 0;
+            if (count !== line.quantity) {
+                throw new apiError(`${name}: ${count} of ${line.quantity} put on bills; every item must be on exactly one bill`, 400);
+            }
+        }
+
+        const amounts = divideInCents(order.totalAmount, parsedBills.map(bill => sum(bill.lines.map(entry => entry.value))));
+        bills = parsedBills.map((bill, index) => ({
+            label: bill.label,
+            lines: bill.lines.map(({ line, quantity }) => ({ line, quantity })),
+            amount: amounts[index],
+            amountPaid: 0
+        }));
+    } else {
+        throw new apiError("mode must be 'even' or 'items'", 400);
+    }
+
+    const updatedOrder = await Order.findOneAndUpdate(
+        { _id: order._id, amountPaid: { $not: { $gt: 0 } } },
+        { splitBill: { mode, bills }, updatedBy: user._id },
+        { new: true, runValidators: true }
+    );
+    if (!updatedOrder) {
+        throw new apiError("The bill cannot be split once payment has been taken", 400);
+    }
+    return updatedOrder;
+};
+
+/**
+ * Put a split bill back together (only before any payment)
+ * @param {String} orderId - Order ID
+ * @param {Object} user - Requesting user (restaurant scope)
+ * @returns {Object} - The order
+ */
+export const removeSplitBill = async (orderId, user) => {
+    await findOrder(orderId, user.restaurant);
+
+    const updatedOrder = await Order.findOneAndUpdate(
+        { _id: orderId, restaurant: user.restaurant, amountPaid: { $not: { $gt: 0 } } },
+        { $unset: { splitBill: 1 }, updatedBy: user._id },
+        { new: true }
+    );
+    if (!updatedOrder) {
+        throw new apiError("The bill cannot be put back together once payment has been taken", 400);
+    }
+    return updatedOrder;
+};
+
+// Helper function to add up a day's payments and refunds per method
+const summarizeDay = async (restaurant, businessDate) => {
+    const rows = await Payment.aggregate([
+        { $match: { restaurant, businessDate } },
+        { $group: { _id: { method: '$method', kind: '$kind' }, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+
+    const byMethod = PAYMENT_METHODS.map(method => {
+        const payments = rows.find(row => row._id.method === method && row._id.kind === 'payment');
+        const refunds = rows.find(row => row._id.method === method && row._id.kind === 'refund');
+        return {
+            method,
+            payments: round2(payments?.total || 0),
+            refunds: round2(refunds?.total || 0),
+            net: round2((payments?.total || 0) - (refunds?.total || 0)),
+            count: (payments?.count || 0) + (refunds?.count || 0)
+        };
+    }).filter(entry => entry.count > 0);
+
+    const cash = byMethod.find(entry => entry.method === 'cash');
+    return {
+        byMethod,
+        cashIn: cash?.payments || 0,
+        cashOut: cash?.refunds || 0
+    };
+};
+
+// Helper function to find a day's drawer, refusing changes once it is closed
+const findOpenDrawer = async (restaurant, businessDate) => {
+    await ensureDayOpen(restaurant, businessDate);
+
+    const drawer = await CashDrawer.findOne({ restaurant, businessDate });
+    if (drawer?.status === 'closed') {
+        throw new apiError("The cash drawer of this day has been closed", 400);
+    }
+    return drawer || new CashDrawer({ restaurant, businessDate });
+};
+
+/**
+ * Set the cash the drawer starts the day with
+ * @param {String} restaurant - Restaurant of the drawer
+ * @param {Date} businessDate - The day, at midnight
+ * @param {Number} openingFloat - Cash in the drawer before any sale
+ * @returns {Object} - The drawer
+ */
+export const setOpeningFloat = async (restaurant, businessDate, openingFloat) => {
+    const drawer = await findOpenDrawer(restaurant, businessDate);
+    drawer.openingFloat = round2(openingFloat);
+    await drawer.save();
+    return drawer;
+};
+
+/**
+ * Record the cash counted in the drawer; it is compared with the expected cash when the day ends
+ * @param {String} restaurant - Restaurant of the drawer
+ * @param {Date} businessDate - The day, at midnight
+ * @param {Object} count - { countedCash, notes, userId }
+ * @returns {Object} - The drawer
+ */
+export const recordCashCount = async (restaurant, businessDate, { countedCash, notes, userId }) => {
+    const drawer = await findOpenDrawer(restaurant, businessDate);
+    drawer.countedCash = round2(countedCash);
+    drawer.countedBy = userId;
+    drawer.countedAt = new Date();
+    if (notes !== undefined) drawer.notes = notes;
+    await drawer.save();
+    return drawer;
+};
+
+/**
+ * Cash drawer reconciliation of a business day
+ * Expected cash is the opening float plus the cash taken minus the cash refunded; the variance
+ * is the counted cash minus that. Once the day is ended the drawer reports the totals frozen
+ * when it closed. Also lists the day's payments and the day's orders still not fully paid.
+ * @param {String} restaurant - Restaurant of the drawer
+ * @param {Date} businessDate - The day, at midnight
+ * @returns {Object} - { date, status, dayEnded, openingFloat, countedCash, byMethod, cashIn, cashOut,
+ *   expectedCash, variance, sales, outstandingOrders, payments, ... }
+ */
+export const buildCashDrawerReport = async (restaurant, businessDate) => {
+    // Orders of the day by the restaurant's clock
+    const { start, end } = await getBusinessDayBounds(restaurant, businessDate);
+    const today = await getBusinessDay(restaurant);
+
+    const [drawer, dayStatus, payments, orders] = await Promise.all([
+        CashDrawer.findOne({ restaurant, businessDate })
+            .populate('countedBy', 'fullname')
+            .populate('closedBy', 'fullname'),
+        DayStatus.findOne({ date: businessDate, restaurant }),
+        Payment.find({ restaurant, businessDate })
+            .populate('order', 'orderNumber customerName')
+            .populate('recordedBy', 'fullname')
+            .sort({ createdAt: 1 }),
+        Order.find({ restaurant, createdAt: { $gte: start, $lt: end }, status: { $ne: 'cancelled' } })
+            .select('orderNumber customerName status totalAmount amountPaid amountRefunded paymentStatus')
+            .sort({ createdAt: 1 })
+    ]);
+
+    const openingFloat = drawer?.openingFloat || 0;
+    const countedCash = drawer?.countedCash ?? null;
+
+    let totals;
+    if (drawer?.status === 'closed') {
+        const { byMethod, cashIn, cashOut, expectedCash, variance } = drawer.totals;
+        totals = { byMethod, cashIn, cashOut, expectedCash, variance };
+    } else {
+        const day = await summarizeDay(restaurant, businessDate);
+        const expectedCash = round2(openingFloat + day.cashIn - day.cashOut);
+        totals = {
+            ...day,
+            expectedCash,
+            variance: countedCash === null ? null : round2(countedCash - expectedCash)
+        };
+    }
+
+    const outstandingOrders = orders
+        .filter(order => ['unpaid', 'partially-paid'].includes(order.paymentStatus))
+        .map(order => ({
+            _id: order._id,
+            orderNumber: order.orderNumber,
+            customerName: order.customerName,
+            status: order.status,
+            totalAmount: order.totalAmount,
+            due: round2(order.totalAmount - order.amountPaid + order.amountRefunded)
+        }));
+
+    return {
+        date: formatDate(businessDate),
+        today: formatDate(today),
+        status: drawer?.status || 'open',
+        dayEnded: dayStatus?.isEnded || false,
+        openingFloat,
+        countedCash,
+        countedBy: drawer?.countedBy || null,
+        countedAt: drawer?.countedAt || null,
+        notes: drawer?.notes || '',
+        closedAt: drawer?.closedAt || null,
+        closedBy: drawer?.closedBy || null,
+        ...totals,
+        // The day's orders against the money taken that day (which may pay for earlier orders)
+        sales: {
+            orders: orders.length,
+            ordersTotal: round2(sum(orders.map(order => order.totalAmount))),
+            netTakings: round2(sum(totals.byMethod.map(entry => entry.net))),
+            outstanding: round2(sum(outstandingOrders.map(order => order.due)))
+        },
+        outstandingOrders,
+        payments
+    };
+};
+
+/**
+ * Close a day's cash drawer: freeze the day's takings and the variance against the count
+ * Part of ending the day; closing again (e.g. after a failed end of day) recomputes the totals.
+ * @param {String} restaurant - Restaurant of the drawer
+ * @param {Date} businessDate - The day, at midnight
+ * @param {Object} options
+ * @param {Number} options.countedCash - Cash counted now; an earlier count is kept when not given
+ * @param {String} options.userId - User ending the day (null when ended by the scheduler)
+ * @returns {Object} - The drawer report
+ */
+export const closeCashDrawer = async (restaurant, businessDate, { countedCash, userId = null } = {}) => {
+    const drawer = await CashDrawer.findOne({ restaurant, businessDate }) || new CashDrawer({ restaurant, businessDate });
+
+    if (countedCash !== undefined && countedCash !== null) {
+        drawer.countedCash = round2(countedCash);
+        drawer.countedBy = userId || undefined;
+        drawer.countedAt = new Date();
+    }
+
+    const day = await summarizeDay(restaurant, businessDate);
+    const expectedCash = round2(drawer.openingFloat + day.cashIn - day.cashOut);
+    drawer.totals = {
+        ...day,
+        expectedCash,
+        variance: drawer.countedCash === null ? null : round2(drawer.countedCash - expectedCash)
+    };
+    drawer.status = 'closed';
+    drawer.closedAt = new Date();
+    drawer.closedBy = userId || undefined;
+    await drawer.save();
+
+    return buildCashDrawerReport(restaurant, businessDate);
+};
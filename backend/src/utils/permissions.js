@@ -0,0 +1,101 @@
+import { RolePermission } from "../models/auth/rolePermission.model.js";
+import { apiError } from "./apiError.js";
+
+// Every permission a role or user can be given
+export const PERMISSIONS = {
+    'inventory:read': 'View inventory items, lots, reorder suggestions and the prep list',
+    'inventory:write': 'Add and update inventory items and receive daily stock',
+    'inventory:delete': 'Delete inventory items',
+    'day:manage': 'End the day and start a new day',
+    'stocktake:count': 'Enter counted quantities in a stocktake',
+    'stocktake:approve': 'Start, approve and cancel stocktakes and view stock variances',
+    'menu:read': 'View menu items, costs and recipes',
+    'menu:write': 'Create, update and delete menu items and recipes',
+    'orders:read': 'View orders, invoices and the kitchen display',
+    'orders:create': 'Take new orders',
+    'orders:update': 'Edit orders, change their status and bump kitchen tickets',
+    'orders:delete': 'Delete orders',
+    'promotions:manage': 'Create, change and delete promotions and coupon codes',
+    'payments:take': 'Take payments and split bills',
+    'payments:refund': 'Refund payments, including when cancelling a paid order',
+    'cashdrawer:manage': 'Set the cash drawer float, count the drawer and view the cash reconciliation',
+    'purchasing:read': 'View suppliers and purchase orders',
+    'purchasing:write': 'Manage suppliers and create, send and cancel purchase orders',
+    'purchasing:receive': 'Receive purchase order deliveries into stock',
+    'waste:read': 'View waste logs and waste predictions',
+    'waste:write': 'Log waste',
+    'waste:process': 'Move expired stock to waste and run waste predictions',
+    'reports:read': 'View the dashboard, sales reports and forecasts',
+    'events:read': 'Receive live updates',
+    'shifts:read': 'View the shift schedule',
+    'shifts:manage': 'Schedule shifts and correct time punches',
+    'timeclock:use': 'Clock in and out',
+    'labor:read': 'View hours worked and labor cost',
+    'jobs:manage': 'View, change and run scheduled jobs',
+    'users:manage': 'Manage users and restaurant data, including the details printed on invoices',
+    'permissions:manage': 'Change role and user permissions',
+    'audit:read': 'View the audit log of changes'
+};
+
+export const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// Roles whose permissions can be changed; admins always have every permission
+export const EDITABLE_ROLES = ['chef', 'employee'];
+
+// Permissions a role has until an admin changes them
+export const DEFAULT_ROLE_PERMISSIONS = {
+    chef: PERMISSION_KEYS.filter(permission => !['jobs:manage', 'users:manage', 'permissions:manage', 'audit:read'].includes(permission)),
+    employee: ['inventory:read', 'stocktake:count', 'menu:read', 'orders:read', 'orders:create', 'payments:take', 'events:read', 'shifts:read', 'timeclock:use']
+};
+
+/**
+ * Check that a list only holds known permissions
+ * @param {Array} permissions - Permissions to check
+ * @returns {Array} - The permissions without duplicates
+ */
+export const validatePermissions = (permissions) => {
+    if (!Array.isArray(permissions)) {
+        throw new apiError("Permissions must be an array", 400);
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+        throw new apiError(`Unknown permission(s): ${unknown.join(', ')}`, 400);
+    }
+
+    return [...new Set(permissions)];
+};
+
+/**
+ * Permissions of a role in a restaurant
+ * @param {String} restaurant - Restaurant to read the role's permissions for
+ * @param {String} role - admin, chef or employee
+ * @returns {Array} - Permission keys
+ */
+export const getRolePermissions = async (restaurant, role) => {
+    if (role === 'admin') {
+        return [...PERMISSION_KEYS];
+    }
+
+    const rolePermission = await RolePermission.findOne({ restaurant, role });
+    return rolePermission ? rolePermission.permissions : [...(DEFAULT_ROLE_PERMISSIONS[role] || [])];
+};
+
+/**
+ * Effective permissions of a user: the role's permissions plus the user's granted ones,
+ * minus the user's revoked ones. Admins always have every permission.
+ * @param {Object} user - User document
+ * @returns {Array} - Permission keys
+ */
+export const getUserPermissions = async (user) => {
+    const rolePermissions = await getRolePermissions(user.restaurant, user.role);
+    if (user.role === 'admin') {
+        return rolePermissions;
+    }
+
+    const granted = user.permissionOverrides?.granted || [];
+    const revoked = new Set(user.permissionOverrides?.revoked || []);
+
+    return [...new Set([...rolePermissions, ...granted])]
+        .filter(permission => PERMISSIONS[permission] && !revoked.has(permission));
+};
@@ -0,0 +1,150 @@
+import { Sales } from "../models/demand/salesData.model.js";
+import { MenuItem } from "../models/menu/menuItem.model.js";
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { forecastSales } from "./salesForecaster.js";
+import { canConvert, convertQuantity } from "./unitConverter.js";
+import { PREP_LIST_AVERAGE_WEEKS } from "../../constant.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Round away floating point noise in quantities
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Dishes expected for a day from the sales forecast
+ * @param {String} restaurant - Restaurant to forecast
+ * @param {Date} day - Start of the day (UTC)
+ * @returns {Object} - { units: Map(menuItemId -> units), method, fallbackReason }
+ */
+const getForecastDemand = async (restaurant, day) => {
+    // The forecaster starts the day after `now`
+    const forecast = await forecastSales(restaurant, { days: 1, now: new Date(day.getTime() - DAY_MS) });
+
+    const units = new Map();
+    for (const item of forecast.items) {
+        units.set(item.menuItem._id.toString(), item.forecast[0]?.units || 0);
+    }
+
+    return { units, method: forecast.method, fallbackReason: forecast.fallbackReason };
+};
+
+/**
+ * Dishes expected for a day from the average sales on the same weekday
+ * Weeks without sales of an item count as zero.
+ * @param {String} restaurant - Restaurant to read sales for
+ * @param {Date} day - Start of the day (UTC)
+ * @param {Number} weeks - Number of past weeks to average
+ * @returns {Object} - { units: Map(menuItemId -> units), method, fallbackReason }
+ */
+const getAverageDemand = async (restaurant, day, weeks) => {
+    const rows = await Sales.aggregate([
+        {
+            $match: {
+                restaurant,
+                saleDate: { $gte: new Date(day.getTime() - weeks * 7 * DAY_MS), $lt: day }
+            }
+        },
+        // $dayOfWeek counts from 1 (Sunday)
+        { $match: { $expr: { $eq: [{ $dayOfWeek: '$saleDate' }, day.getUTCDay() + 1] } } },
+        { $group: { _id: '$product', units: { $sum: '$quantitySold' } } }
+    ]);
+
+    const units = new Map(rows.map(row => [row._id.toString(), row.units / weeks]));
+    return { units, method: 'average', fallbackReason: null };
+};
+
+/**
+ * Build the prep list for a day
+ * Each menu item's expected dishes (forecast, or the average of the same weekday over the
+ * last weeks) are rounded up to whole dishes and multiplied out through its recipe. The
+ * quantities are converted to the ingredient's stock unit and summed per ingredient, then
+ * compared with what is on hand (currentStock) to give the shortfall.
+ * @param {String} restaurant - Restaurant to build the list for
+ * @param {Object} options - { date, source: 'forecast' | 'average', weeks }
+ * @returns {Object} - { date, dayOfWeek, source, method, fallbackReason, dishes, ingredients, unconverted, summary }
+ */
+export const buildPrepList = async (restaurant, { date = new Date(), source = 'forecast', weeks = PREP_LIST_AVERAGE_WEEKS } = {}) => {
+    const day = new Date(`${date.toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+    const demand = source === 'average'
+        ? await getAverageDemand(restaurant, day, weeks)
+        : await getForecastDemand(restaurant, day);
+
+    const menuItems = await MenuItem.find({ restaurant, isAvailable: true }).select('name ingredients');
+
+    const dishes = [];
+    for (const menuItem of menuItems) {
+        const plannedUnits = Math.ceil(demand.units.get(menuItem._id.toString()) || 0);
+        if (plannedUnits > 0) {
+            dishes.push({ menuItem, plannedUnits });
+        }
+    }
+
+    const ingredientIds = dishes.flatMap(dish => dish.menuItem.ingredients.map(line => line.ingredient));
+    const inventoryItems = await InventoryItem.find({ _id: { $in: ingredientIds }, restaurant });
+    const itemsById = new Map(inventoryItems.map(item => [item._id.toString(), item]));
+
+    const required = new Map();
+    const unconverted = [];
+
+    for (const { menuItem, plannedUnits } of dishes) {
+        for (const line of menuItem.ingredients) {
+            const item = itemsById.get(line.ingredient.toString());
+            if (!item) continue;
+
+            if (line.unit && !canConvert(line.unit, item.unit, item)) {
+                unconverted.push({ menuItem: menuItem.name, ingredient: item.name, unit: line.unit, stockUnit: item.unit });
+                continue;
+            }
+
+            const quantity = convertQuantity(line.quantity * plannedUnits, line.unit, item.unit, item);
+            const key = item._id.toString();
+            if (!required.has(key)) {
+                required.set(key, { item, quantity: 0, usedBy: [] });
+            }
+            const entry = required.get(key);
+            entry.quantity += quantity;
+            entry.usedBy.push({ menuItem: menuItem.name, dishes: plannedUnits, quantity: roundQuantity(quantity) });
+        }
+    }
+
+    const ingredients = [...required.values()].map(({ item, quantity, usedBy }) => {
+        const onHand = Math.max(0, item.currentStock || 0);
+        return {
+            inventoryItem: {
+                _id: item._id,
+                name: item.name,
+                category: item.category,
+                storageCondition: item.storageCondition
+            },
+            requiredQuantity: roundQuantity(quantity),
+            onHand: roundQuantity(onHand),
+            shortfall: roundQuantity(Math.max(0, quantity - onHand)),
+            unit: item.unit,
+            usedBy
+        };
+    }).sort((a, b) =>
+        (b.shortfall > 0) - (a.shortfall > 0) ||
+        a.inventoryItem.name.localeCompare(b.inventoryItem.name)
+    );
+
+    return {
+        date: day.toISOString().slice(0, 10),
+        dayOfWeek: WEEKDAYS[day.getUTCDay()],
+        source: source === 'average' ? 'average' : 'forecast',
+        method: demand.method,
+        fallbackReason: demand.fallbackReason,
+        weeks: source === 'average' ? weeks : null,
+        dishes: dishes
+            .map(({ menuItem, plannedUnits }) => ({ menuItem: { _id: menuItem._id, name: menuItem.name }, plannedUnits }))
+            .sort((a, b) => b.plannedUnits - a.plannedUnits),
+        ingredients,
+        unconverted,
+        summary: {
+            dishCount: dishes.reduce((sum, dish) => sum + dish.plannedUnits, 0),
+            ingredientCount: ingredients.length,
+            shortfallCount: ingredients.filter(ingredient => ingredient.shortfall > 0).length
+        }
+    };
+};
@@ -0,0 +1,125 @@
+import { MenuItem } from "../models/menu/menuItem.model.js";
+import { MenuItemCostHistory } from "../models/menu/menuItemCostHistory.model.js";
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { canConvert, calculateIngredientCost } from "./unitConverter.js";
+
+// Costs are money, keep them to the cent
+const roundCost = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Profit margin of a price over a cost, as a percentage of the cost
+ * @param {Number} baseCost - Cost of the dish
+ * @param {Number} suggestedPrice - Selling price of the dish
+ * @returns {Number|null} - Margin in percent, null when the cost is unknown (0)
+ */
+export const calculateProfitMargin = (baseCost, suggestedPrice) => {
+    if (!baseCost || baseCost <= 0) return null;
+    return Math.round(((suggestedPrice - baseCost) / baseCost) * 100 * 100) / 100;
+};
+
+/**
+ * Cost a recipe from the live cost of its inventory items
+ * Each ingredient quantity is converted to the item's stock unit and multiplied by
+ * InventoryItem.cost (cost per stock unit). Ingredients without a cost, or whose unit
+ * cannot be converted, are left out and reported in `uncosted`.
+ * @param {Array} ingredients - Recipe lines: { ingredient, quantity, unit }
+ * @param {String} restaurant - Restaurant the inventory items belong to
+ * @returns {Object} - { baseCost, ingredientCosts, uncosted }
+ */
+export const calculateRecipeCost = async (ingredients, restaurant) => {
+    const ids = ingredients.map(ing => ing.ingredient?._id || ing.ingredient);
+    const inventoryItems = await InventoryItem.find({ _id: { $in: ids }, restaurant })
+        .select('name unit cost density pieceWeight');
+    const itemsById = new Map(inventoryItems.map(item => [item._id.toString(), item]));
+
+    const ingredientCosts = [];
+    const uncosted = [];
+    let baseCost = 0;
+
+    for (const ing of ingredients) {
+        const id = (ing.ingredient?._id || ing.ingredient).toString();
+        const inventoryItem = itemsById.get(id);
+        const unit = ing.unit || inventoryItem?.unit;
+
+        if (!inventoryItem) {
+            uncosted.push(id);
+            continue;
+        }
+        if (!inventoryItem.cost || !canConvert(unit, inventoryItem.unit, inventoryItem)) {
+            uncosted.push(inventoryItem.name);
+            continue;
+        }
+
+        const cost = calculateIngredientCost(ing.quantity, unit, inventoryItem);
+        baseCost += cost;
+        ingredientCosts.push({
+            ingredient: inventoryItem._id,
+            name: inventoryItem.name,
+            quantity: ing.quantity,
+            unit,
+            unitCost: inventoryItem.cost,
+            cost: roundCost(cost)
+        });
+    }
+
+    return { baseCost: roundCost(baseCost), ingredientCosts, uncosted };
+};
+
+/**
+ * Recompute a menu item's baseCost and profitMargin and record a history snapshot
+ * A snapshot is only written when the cost changed, or when forced (a new item,
+ * or a price change made by the caller)
+ * @param {Object} menuItem - MenuItem document
+ * @param {String} reason - Why the cost was recomputed
+ * @param {Boolean} forceHistory - Record a snapshot even if the cost did not change
+ * @returns {Object} - { menuItem, changed }
+ */
+export const applyRecipeCost = async (menuItem, reason = 'Recipe cost recalculated', forceHistory = false) => {
+    const previousCost = menuItem.baseCost;
+    const { baseCost, ingredientCosts, uncosted } = await calculateRecipeCost(menuItem.ingredients, menuItem.restaurant);
+
+    menuItem.baseCost = baseCost;
+    menuItem.profitMargin = calculateProfitMargin(baseCost, menuItem.suggestedPrice);
+    menuItem.uncostedIngredients = uncosted;
+    menuItem.costUpdatedAt = new Date();
+    await menuItem.save();
+
+    const changed = previousCost !== baseCost;
+    if (changed || forceHistory) {
+        await MenuItemCostHistory.create({
+            menuItem: menuItem._id,
+            baseCost,
+            suggestedPrice: menuItem.suggestedPrice,
+            profitMargin: menuItem.profitMargin,
+            ingredientCosts,
+            reason,
+            restaurant: menuItem.restaurant
+        });
+    }
+
+    return { menuItem, changed };
+};
+
+/**
+ * Recost every menu item that uses an inventory item, e.g. after its cost changed
+ * Failures are logged and skipped so a cost update never fails because of one recipe
+ * @param {String} inventoryItemId - ID of the inventory item whose cost changed
+ * @param {String} restaurant - Restaurant of the inventory item
+ * @param {String} reason - Why the cost changed (stored in the history)
+ * @returns {Number} - Number of menu items whose cost changed
+ */
+export const recostMenuItemsUsingIngredient = async (inventoryItemId, restaurant, reason = 'Ingredient cost changed') => {
+    const menuItems = await MenuItem.find({ restaurant, 'ingredients.ingredient': inventoryItemId });
+
+    let changedCount = 0;
+    for (const menuItem of menuItems) {
+        try {
+            const { changed } = await applyRecipeCost(menuItem, reason);
+            if (changed) changedCount++;
+        } catch (error) {
+            console.error(`Failed to recost menu item ${menuItem.name}:`, error.message);
+        }
+    }
+
+    return changedCount;
+};
@@ -0,0 +1,217 @@
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { Inventorylog } from "../models/inventory/inventorylog.model.js";
+import { Supplier } from "../models/purchasing/supplier.model.js";
+import { PurchaseOrder } from "../models/purchasing/purchaseOrder.model.js";
+import { canConvert, convertQuantity } from "./unitConverter.js";
+import {
+    REORDER_LOOKBACK_DAYS,
+    REORDER_DEFAULT_LEAD_TIME_DAYS,
+    REORDER_SAFETY_DAYS,
+    REORDER_TARGET_COVER_DAYS
+} from "../../constant.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round away floating point noise in usage figures
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// Waste is not consumption, and restored stock gives back what an order took
+const isWasteLog = (log) => /waste/i.test(log.reason || '');
+const isRestoreLog = (log) => /^Restored/i.test(log.reason || '');
+
+/**
+ * Sum the stock each item consumed since a date, in stock units
+ * Outgoing changes count as usage unless they were waste; restorations
+ * (e.g. cancelled orders) are subtracted again
+ * @param {String} restaurant - Restaurant to read logs for
+ * @param {Date} since - Start of the lookback window
+ * @returns {Map} - inventoryItemId -> consumed quantity
+ */
+export const getConsumptionByItem = async (restaurant, since) => {
+    const logs = await Inventorylog.find({
+        restaurant,
+        ingredient: { $ne: null },
+        date: { $gte: since }
+    }).select('ingredient change reason');
+
+    const usage = new Map();
+    for (const log of logs) {
+        let used = 0;
+        if (log.change < 0 && !isWasteLog(log)) {
+            used = -log.change;
+        } else if (log.change > 0 && isRestoreLog(log)) {
+            used = -log.change;
+        }
+        if (used === 0) continue;
+
+        const key = log.ingredient.toString();
+        usage.set(key, (usage.get(key) || 0) + used);
+    }
+
+    return usage;
+};
+
+/**
+ * Find the cheapest active supplier for each item from the supplier price lists
+ * @param {String} restaurant - Restaurant to read suppliers for
+ * @returns {Map} - inventoryItemId -> { supplier, unitPrice, unit, minOrderQuantity }
+ */
+const getBestSupplierByItem = async (restaurant) => {
+    const suppliers = await Supplier.find({ restaurant, isActive: true }).select('name leadTimeDays priceList');
+
+    const best = new Map();
+    for (const supplier of suppliers) {
+        for (const price of supplier.priceList) {
+            const key = price.inventoryItem.toString();
+            const current = best.get(key);
+            if (!current || price.unitPrice < current.unitPrice) {
+                best.set(key, {
+                    supplier: { _id: supplier._id, name: supplier.name, leadTimeDays: supplier.leadTimeDays || 0 },
+                    unitPrice: price.unitPrice,
+                    unit: price.unit,
+                    minOrderQuantity: price.minOrderQuantity || 0
+                });
+            }
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Quantity of each item already ordered but not yet received, in stock units
+ * Drafts count too, so converting suggestions into a draft does not suggest them again
+ * @param {String} restaurant - Restaurant to read purchase orders for
+ * @param {Map} itemsById - inventoryItemId -> inventory item document (for unit conversion)
+ * @returns {Map} - inventoryItemId -> quantity on order
+ */
+const getOnOrderByItem = async (restaurant, itemsById) => {
+    const purchaseOrders = await PurchaseOrder.find({
+        restaurant,
+        status: { $in: ['draft', 'sent', 'partially_received'] }
+    }).select('items');
+
+    const onOrder = new Map();
+    for (const purchaseOrder of purchaseOrders) {
+        for (const line of purchaseOrder.items) {
+            const key = line.inventoryItem.toString();
+            const item = itemsById.get(key);
+            const outstanding = line.quantityOrdered - (line.quantityReceived || 0);
+            if (!item || outstanding <= 0 || !canConvert(line.unit, item.unit, item)) continue;
+
+            const quantity = convertQuantity(outstanding, line.unit, item.unit, item);
+            onOrder.set(key, (onOrder.get(key) || 0) + quantity);
+        }
+    }
+
+    return onOrder;
+};
+
+/**
+ * Compute reorder suggestions for a restaurant's inventory
+ * Average daily usage comes from the Inventorylog history. An item needs reordering
+ * once its stock (plus what is already on order) drops to the reorder point: the larger
+ * of minThreshold and the usage expected during the supplier lead time plus safety days.
+ * The suggested quantity tops stock up to maxThreshold, or to REORDER_TARGET_COVER_DAYS
+ * of usage beyond the lead time when no maxThreshold is set.
+ * @param {String} restaurant - Restaurant to compute suggestions for
+ * @param {Object} options - { lookbackDays, includeAll } (includeAll also returns items that need nothing)
+ * @returns {Array} - Suggestions sorted by urgency, then days of cover
+ */
+export const calculateReorderSuggestions = async (restaurant, { lookbackDays = REORDER_LOOKBACK_DAYS, includeAll = false } = {}) => {
+    const now = new Date();
+    const since = new Date(now.getTime() - lookbackDays * DAY_MS);
+
+    const items = await InventoryItem.find({ restaurant, status: { $ne: 'discontinued' } });
+    const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+
+    const [consumption, bestSuppliers, onOrderByItem] = await Promise.all([
+        getConsumptionByItem(restaurant, since),
+        getBestSupplierByItem(restaurant),
+        getOnOrderByItem(restaurant, itemsById)
+    ]);
+
+    const urgencyRank = { critical: 0, high: 1, normal: 2, none: 3 };
+    const suggestions = [];
+
+    for (const item of items) {
+        const key = item._id.toString();
+        const offer = bestSuppliers.get(key) || null;
+        const leadTimeDays = offer ? offer.supplier.leadTimeDays : REORDER_DEFAULT_LEAD_TIME_DAYS;
+
+        // Items younger than the lookback window are averaged over the days they existed
+        const ageDays = item.createdAt ? (now - item.createdAt) / DAY_MS : lookbackDays;
+        const usageDays = Math.max(1, Math.min(lookbackDays, ageDays));
+        const totalUsage = Math.max(0, consumption.get(key) || 0);
+        const averageDailyUsage = totalUsage / usageDays;
+
+        const currentStock = Math.max(0, item.currentStock || 0);
+        const onOrder = onOrderByItem.get(key) || 0;
+        const daysOfCover = averageDailyUsage > 0 ? currentStock / averageDailyUsage : null;
+
+        const reorderPoint = Math.max(item.minThreshold || 0, averageDailyUsage * (leadTimeDays + REORDER_SAFETY_DAYS));
+        const targetLevel = item.maxThreshold > 0
+            ? item.maxThreshold
+            : Math.max(reorderPoint, averageDailyUsage * (leadTimeDays + REORDER_TARGET_COVER_DAYS), (item.minThreshold || 0) * 2);
+
+        let suggestedQuantity = 0;
+        if (reorderPoint > 0 && currentStock + onOrder <= reorderPoint) {
+            suggestedQuantity = Math.max(0, targetLevel - currentStock - onOrder);
+        }
+
+        // Respect the supplier's minimum order quantity (given in the supplier's unit)
+        if (suggestedQuantity > 0 && offer?.minOrderQuantity && canConvert(offer.unit, item.unit, item)) {
+            const minimum = convertQuantity(offer.minOrderQuantity, offer.unit, item.unit, item);
+            suggestedQuantity = Math.max(suggestedQuantity, minimum);
+        }
+        suggestedQuantity = roundQuantity(suggestedQuantity);
+
+        let urgency = 'none';
+        if (suggestedQuantity > 0) {
+            if (currentStock <= 0 || (daysOfCover !== null && daysOfCover < leadTimeDays)) {
+                urgency = 'critical';
+            } else if (item.minThreshold > 0 && currentStock <= item.minThreshold) {
+                urgency = 'high';
+            } else {
+                urgency = 'normal';
+            }
+        }
+
+        if (!includeAll && suggestedQuantity <= 0) continue;
+
+        // Price per stock unit, so the estimate matches the suggested quantity
+        let estimatedCost = null;
+        if (offer && canConvert(item.unit, offer.unit, item)) {
+            estimatedCost = Math.round(suggestedQuantity * offer.unitPrice * convertQuantity(1, item.unit, offer.unit, item) * 100) / 100;
+        } else if (item.cost) {
+            estimatedCost = Math.round(suggestedQuantity * item.cost * 100) / 100;
+        }
+
+        suggestions.push({
+            inventoryItem: {
+                _id: item._id,
+                name: item.name,
+                category: item.category,
+                unit: item.unit
+            },
+            currentStock,
+            onOrder: roundQuantity(onOrder),
+            minThreshold: item.minThreshold || 0,
+            maxThreshold: item.maxThreshold || 0,
+            averageDailyUsage: roundQuantity(averageDailyUsage),
+            daysOfCover: daysOfCover !== null ? Math.round(daysOfCover * 10) / 10 : null,
+            leadTimeDays,
+            reorderPoint: roundQuantity(reorderPoint),
+            suggestedQuantity,
+            unit: item.unit,
+            supplier: offer ? offer.supplier : null,
+            estimatedCost,
+            urgency
+        });
+    }
+
+    return suggestions.sort((a, b) =>
+        urgencyRank[a.urgency] - urgencyRank[b.urgency] ||
+        (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity)
+    );
+};
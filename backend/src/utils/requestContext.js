@@ -0,0 +1,34 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Holds who is making the current API request, for code far from the request (e.g. model hooks)
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ * Everything the function starts, including async work, sees the same context.
+ * @param {Object} context - { requestId, ip, userAgent, method, path }
+ * @param {Function} callback - Function to run
+ */
+export const runWithRequestContext = (context, callback) => storage.run(context, callback);
+
+/**
+ * Context of the API request being handled
+ * @returns {Object|undefined} - The context, or undefined outside a request (e.g. scheduled jobs)
+ */
+export const getRequestContext = () => storage.getStore();
+
+/**
+ * Record the authenticated user on the current request context
+ * @param {Object} user - User document
+ */
+export const setRequestActor = (user) => {
+    const context = storage.getStore();
+    if (!context || !user) return;
+
+    context.actor = {
+        _id: user._id,
+        fullname: user.fullname,
+        role: user.role,
+        restaurant: user.restaurant
+    };
+};
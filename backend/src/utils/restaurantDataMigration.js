@@ -0,0 +1,140 @@
+import { User } from "../models/auth/user.model.js";
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { DailyInventoryEntry } from "../models/inventory/dailyInventoryEntry.model.js";
+import { DayStatus } from "../models/inventory/dayStatus.model.js";
+import { Inventorylog } from "../models/inventory/inventorylog.model.js";
+import { WasteLog } from "../models/waste/wasteLog.model.js";
+import { WastePrediction } from "../models/demand/wastePrediction.model.js";
+import { Sales } from "../models/demand/salesData.model.js";
+import { MenuItem } from "../models/menu/menuItem.model.js";
+
+// Matches documents created before records were scoped to a restaurant
+const missingRestaurant = {
+    $or: [
+        { restaurant: { $exists: false } },
+        { restaurant: null },
+        { restaurant: "" }
+    ]
+};
+
+/**
+ * Build a cached lookup that resolves a referenced document ID to its restaurant
+ * @param {Object} Model - Mongoose model holding the referenced documents
+ * @returns {Function} - async (id) => restaurant name or null
+ */
+const createRestaurantResolver = (Model) => {
+    const cache = new Map();
+
+    return async (id) => {
+        if (!id) return null;
+
+        const key = id.toString();
+        if (!cache.has(key)) {
+            const doc = await Model.findById(id).select('restaurant').lean();
+            cache.set(key, doc?.restaurant || null);
+        }
+        return cache.get(key);
+    };
+};
+
+/**
+ * Assign a restaurant to every document of a model that has none
+ * @param {Object} Model - Mongoose model to backfill
+ * @param {Array} refFields - Reference fields to try in order when resolving the restaurant
+ * @param {Object} resolvers - Map of reference field name to resolver function
+ * @param {String} defaultRestaurant - Restaurant used when no reference resolves
+ * @returns {Object} - { updated, defaulted }
+ */
+const backfillRestaurant = async (Model, refFields, resolvers, defaultRestaurant) => {
+    const docs = await Model.find(missingRestaurant).select(refFields.join(' ')).lean();
+    let defaulted = 0;
+
+    for (const doc of docs) {
+        let restaurant = null;
+        for (const field of refFields) {
+            restaurant = await resolvers[field](doc[field]);
+            if (restaurant) break;
+        }
+
+        if (!restaurant) {
+            restaurant = defaultRestaurant;
+            defaulted++;
+        }
+
+        await Model.updateOne({ _id: doc._id }, { $set: { restaurant } });
+    }
+
+    return { updated: docs.length, defaulted };
+};
+
+/**
+ * Scope existing inventory, waste and sales records to a restaurant.
+ * The restaurant is derived from the user, inventory item or menu item each
+ * record references; records with no resolvable reference get the default.
+ * @param {String} defaultRestaurant - Fallback restaurant (defaults to "restaurant1")
+ * @returns {Object} - Per-collection summary of updated documents
+ */
+export const assignRestaurantToExistingData = async (defaultRestaurant = "restaurant1") => {
+    const userRestaurant = createRestaurantResolver(User);
+    const menuItemRestaurant = createRestaurantResolver(MenuItem);
+
+    const summary = {};
+
+    // Inventory items first: most other records resolve their restaurant through them
+    summary.inventoryItems = await backfillRestaurant(
+        InventoryItem,
+        ['addedBy', 'lastUpdatedBy'],
+        { addedBy: userRestaurant, lastUpdatedBy: userRestaurant },
+        defaultRestaurant
+    );
+
+    const itemRestaurant = createRestaurantResolver(InventoryItem);
+
+    summary.dailyInventoryEntries = await backfillRestaurant(
+        DailyInventoryEntry,
+        ['inventoryItem', 'addedBy'],
+        { inventoryItem: itemRestaurant, addedBy: userRestaurant },
+        defaultRestaurant
+    );
+
+    summary.dayStatuses = await backfillRestaurant(
+        DayStatus,
+        ['endedBy'],
+        { endedBy: userRestaurant },
+        defaultRestaurant
+    );
+
+    summary.inventoryLogs = await backfillRestaurant(
+        Inventorylog,
+        ['ingredient'],
+        { ingredient: itemRestaurant },
+        defaultRestaurant
+    );
+
+    summary.wasteLogs = await backfillRestaurant(
+        WasteLog,
+        ['ingredient', 'loggedBy'],
+        { ingredient: itemRestaurant, loggedBy: userRestaurant },
+        defaultRestaurant
+    );
+
+    summary.wastePredictions = await backfillRestaurant(
+        WastePrediction,
+        ['ingredient'],
+        { ingredient: itemRestaurant },
+        defaultRestaurant
+    );
+
+    summary.sales = await backfillRestaurant(
+        Sales,
+        ['product'],
+        { product: menuItemRestaurant },
+        defaultRestaurant
+    );
+
+    // DayStatus used to be unique per date across all restaurants;
+    // replace that index with the per-restaurant one
+    await DayStatus.syncIndexes();
+
+    return summary;
+};
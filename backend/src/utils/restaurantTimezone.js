@@ -0,0 +1,46 @@
+import { RestaurantProfile } from "../models/restaurant/restaurantProfile.model.js";
+import { getZonedDate, zonedTimeToDate } from "./timezone.js";
+import { DEFAULT_RESTAURANT_TIMEZONE } from "../../constant.js";
+
+/**
+ * Time zone of a restaurant
+ * Every feature that reads dates in local time (business days, job schedules, labor reports,
+ * promotion windows, invoice dates) takes the zone from here, so they never disagree.
+ * @param {String} restaurant - Restaurant
+ * @returns {String} - The profile's time zone, or DEFAULT_RESTAURANT_TIMEZONE without a profile
+ */
+export const getRestaurantTimeZone = async (restaurant) => {
+    const profile = await RestaurantProfile.findOne({ restaurant }).select('timezone').lean();
+    return profile?.timezone || DEFAULT_RESTAURANT_TIMEZONE;
+};
+
+// Midnight (server time) of a calendar date, the way DayStatus stores days
+export const toBusinessDay = ({ year, month, day }) => new Date(year, month - 1, day);
+
+/**
+ * Business day a moment falls in, by the restaurant's calendar
+ * @param {String} restaurant - Restaurant
+ * @param {Date} date - The moment (now by default)
+ * @returns {Date} - The day, the way DayStatus stores days
+ */
+export const getBusinessDay = async (restaurant, date = new Date()) => {
+    return toBusinessDay(getZonedDate(date, await getRestaurantTimeZone(restaurant)));
+};
+
+/**
+ * Instants a business day starts and ends at on the restaurant's clock
+ * @param {String} restaurant - Restaurant
+ * @param {Date} businessDate - The day, the way DayStatus stores days
+ * @returns {Object} - { start, end }
+ */
+export const getBusinessDayBounds = async (restaurant, businessDate) => {
+    const timeZone = await getRestaurantTimeZone(restaurant);
+    const nextDay = new Date(businessDate);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const toParts = (day) => ({ year: day.getFullYear(), month: day.getMonth() + 1, day: day.getDate() });
+    return {
+        start: zonedTimeToDate(toParts(businessDate), timeZone),
+        end: zonedTimeToDate(toParts(nextDay), timeZone)
+    };
+};
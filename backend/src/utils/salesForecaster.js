@@ -0,0 +1,354 @@
+import mongoose from "mongoose";
+import { Sales } from "../models/demand/salesData.model.js";
+import { MenuItem } from "../models/menu/menuItem.model.js";
+import { predictSales } from "./salesPredictionClient.js";
+import {
+    SALES_FORECAST_LOOKBACK_DAYS,
+    SALES_FORECAST_MODEL_CATEGORY,
+    SALES_FORECAST_WEATHER,
+    SALES_FORECAST_MODEL_CONCURRENCY
+} from "../../constant.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// A season needs this many regular days of history before it sets an item's level on its own
+const MIN_SEASON_DAYS = 7;
+
+// Categories the sales prediction model was trained on
+const MODEL_CATEGORIES = ['Fast Food', 'Dessert', 'Beverage', 'Pasta', 'Veg', 'Seafood'];
+
+// Special events the model counts as a holiday
+const HOLIDAY_EVENTS = ['Holiday', 'Festival'];
+
+// Forecasts are in dishes, one decimal is enough
+const roundUnits = (value) => Math.round(value * 10) / 10;
+
+// Days are keyed by their UTC date, like the Sales aggregation below
+const toDayKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Season of a date, as stored on Sales entries
+ * @param {Date} date - Date to classify
+ * @returns {String} - Spring, Summer, Autumn or Winter
+ */
+export const getSeason = (date) => {
+    const month = date.getUTCMonth();
+    if (month >= 2 && month <= 4) return 'Spring';
+    if (month >= 5 && month <= 7) return 'Summer';
+    if (month >= 8 && month <= 10) return 'Autumn';
+    return 'Winter';
+};
+
+// Helper function to list the days of a range as { key, date, dayOfWeek, season }
+const listDays = (start, count) => {
+    return Array.from({ length: count }, (_, index) => {
+        const date = new Date(start.getTime() + index * DAY_MS);
+        return { key: toDayKey(date), date, dayOfWeek: WEEKDAYS[date.getUTCDay()], season: getSeason(date) };
+    });
+};
+
+/**
+ * Read daily units sold per menu item, and the days with a special event
+ * @param {String} restaurant - Restaurant to read sales for
+ * @param {Date} since - First day of the history window
+ * @param {Date} until - Day after the last day of the window
+ * @returns {Object} - { unitsByItem: Map(itemId -> Map(dayKey -> units)), specialDays: Set(dayKey) }
+ */
+const getSalesHistory = async (restaurant, since, until) => {
+    const rows = await Sales.aggregate([
+        { $match: { restaurant, saleDate: { $gte: since, $lt: until } } },
+        {
+            $group: {
+                _id: {
+                    product: '$product',
+                    day: { $dateToString: { format: '%Y-%m-%d', date: '$saleDate' } }
+                },
+                units: { $sum: '$quantitySold' },
+                events: { $addToSet: '$specialEvent' }
+            }
+        }
+    ]);
+
+    const unitsByItem = new Map();
+    const specialDays = new Set();
+    for (const row of rows) {
+        const itemKey = row._id.product.toString();
+        if (!unitsByItem.has(itemKey)) unitsByItem.set(itemKey, new Map());
+        unitsByItem.get(itemKey).set(row._id.day, row.units);
+
+        // Festivals, holidays and promotions are not a normal day's demand
+        if (row.events.some(event => event && event !== 'Reguler')) {
+            specialDays.add(row._id.day);
+        }
+    }
+
+    return { unitsByItem, specialDays };
+};
+
+/**
+ * How much busier each weekday is than the average day, from the whole restaurant's regular days
+ * @param {Array} historyDays - Days of the history window
+ * @param {Map} unitsByItem - Daily units per item
+ * @param {Set} specialDays - Days to leave out
+ * @returns {Object} - dayOfWeek -> factor (1 = an average day)
+ */
+const getWeekdayFactors = (historyDays, unitsByItem, specialDays) => {
+    const totals = {};
+    const counts = {};
+    let grandTotal = 0;
+    let dayCount = 0;
+
+    for (const day of historyDays) {
+        if (specialDays.has(day.key)) continue;
+        let units = 0;
+        for (const daily of unitsByItem.values()) {
+            units += daily.get(day.key) || 0;
+        }
+        totals[day.dayOfWeek] = (totals[day.dayOfWeek] || 0) + units;
+        counts[day.dayOfWeek] = (counts[day.dayOfWeek] || 0) + 1;
+        grandTotal += units;
+        dayCount++;
+    }
+
+    const averageDay = dayCount > 0 ? grandTotal / dayCount : 0;
+    return Object.fromEntries(WEEKDAYS.map(weekday => [
+        weekday,
+        averageDay > 0 && counts[weekday] ? (totals[weekday] / counts[weekday]) / averageDay : 1
+    ]));
+};
+
+/**
+ * Average regular-day units of an item, per season
+ * A season with too little history falls back to the average over all regular days.
+ * @param {Array} historyDays - Days of the history window
+ * @param {Map} daily - dayKey -> units for the item
+ * @param {Set} specialDays - Days to leave out
+ * @param {Date} createdAt - Days before the item existed are left out
+ * @returns {Object} - { overall, bySeason: { season -> average } }
+ */
+const getItemLevels = (historyDays, daily, specialDays, createdAt) => {
+    const firstDay = createdAt ? toDayKey(createdAt) : null;
+    const seasonTotals = {};
+    const seasonCounts = {};
+    let total = 0;
+    let count = 0;
+
+    for (const day of historyDays) {
+        if (specialDays.has(day.key) || (firstDay && day.key < firstDay)) continue;
+        const units = daily?.get(day.key) || 0;
+        seasonTotals[day.season] = (seasonTotals[day.season] || 0) + units;
+        seasonCounts[day.season] = (seasonCounts[day.season] || 0) + 1;
+        total += units;
+        count++;
+    }
+
+    const overall = count > 0 ? total / count : 0;
+    const bySeason = {};
+    for (const season of Object.keys(seasonCounts)) {
+        bySeason[season] = seasonCounts[season] >= MIN_SEASON_DAYS
+            ? seasonTotals[season] / seasonCounts[season]
+            : overall;
+    }
+
+    return { overall, bySeason };
+};
+
+// Helper function to match a menu category to one the model knows ("Desserts" -> "Dessert")
+// Categories it was not trained on are sent as SALES_FORECAST_MODEL_CATEGORY
+const toModelCategory = (category) => {
+    const name = String(category || '').trim().toLowerCase();
+    return MODEL_CATEGORIES.find(known => {
+        const knownName = known.toLowerCase();
+        return name === knownName || name === `${knownName}s`;
+    }) || SALES_FORECAST_MODEL_CATEGORY;
+};
+
+/**
+ * Days of the forecast that are holidays
+ * Holidays and festivals are not planned ahead in Sales, so a day counts as one when the same
+ * date a year earlier had Sales entries with that special event.
+ * @param {String} restaurant - Restaurant to check
+ * @param {Array} forecastDays - Days being forecast
+ * @returns {Set} - dayKeys of the holidays
+ */
+const getHolidays = async (restaurant, forecastDays) => {
+    if (forecastDays.length === 0) return new Set();
+
+    const yearEarlier = (date) => {
+        const shifted = new Date(date);
+        shifted.setUTCFullYear(shifted.getUTCFullYear() - 1);
+        return shifted;
+    };
+    const rows = await Sales.aggregate([
+        {
+            $match: {
+                restaurant,
+                specialEvent: { $in: HOLIDAY_EVENTS },
+                saleDate: {
+                    $gte: yearEarlier(forecastDays[0].date),
+                    $lt: yearEarlier(new Date(forecastDays[forecastDays.length - 1].date.getTime() + DAY_MS))
+                }
+            }
+        },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$saleDate' } } } }
+    ]);
+
+    const pastDays = new Set(rows.map(row => row._id));
+    return new Set(forecastDays.filter(day => pastDays.has(toDayKey(yearEarlier(day.date)))).map(day => day.key));
+};
+
+// Helper function to run async tasks with at most `limit` running at once
+// Stops starting new tasks after the first failure, and rejects with it
+const runWithLimit = async (tasks, limit) => {
+    const results = new Array(tasks.length);
+    let next = 0;
+    let failed = false;
+
+    const worker = async () => {
+        while (!failed && next < tasks.length) {
+            const index = next++;
+            try {
+                results[index] = await tasks[index]();
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), tasks.length) }, worker));
+    return results;
+};
+
+/**
+ * Forecast units sold per menu item for the next days
+ * The heuristic forecast is the item's average regular-day sales (for the day's season when
+ * there is enough history) times how busy that weekday usually is. With the model, the units are
+ * the sales prediction service's own predictions for the item's category, price, weekday, month
+ * and holidays; the heuristic is still returned per item for comparison. If the service cannot be
+ * used, the heuristic forecast is returned with the reason.
+ * @param {String} restaurant - Restaurant to forecast
+ * @param {Object} options - { days, menuItemId, useModel, weather, now, baseUrl, timeout }
+ * @returns {Object} - { method, fallbackReason, startDate, endDate, daily, history, items }
+ */
+export const forecastSales = async (restaurant, { days = 7, menuItemId = null, useModel = true, weather = SALES_FORECAST_WEATHER, now = new Date(), ...clientOptions } = {}) => {
+    const today = new Date(`${toDayKey(now)}T00:00:00.000Z`);
+    const historyStart = new Date(today.getTime() - SALES_FORECAST_LOOKBACK_DAYS * DAY_MS);
+    const historyDays = listDays(historyStart, SALES_FORECAST_LOOKBACK_DAYS);
+    const forecastDays = listDays(new Date(today.getTime() + DAY_MS), days);
+
+    const menuFilter = { restaurant };
+    if (menuItemId) menuFilter._id = new mongoose.Types.ObjectId(menuItemId);
+    const menuItems = await MenuItem.find(menuFilter).select('name category suggestedPrice createdAt');
+
+    // Weekday factors always use the whole restaurant, even when one item is asked for
+    const { unitsByItem, specialDays } = await getSalesHistory(restaurant, historyStart, today);
+    const weekdayFactors = getWeekdayFactors(historyDays, unitsByItem, specialDays);
+
+    const items = menuItems.map(menuItem => {
+        const daily = unitsByItem.get(menuItem._id.toString());
+        const levels = getItemLevels(historyDays, daily, specialDays, menuItem.createdAt);
+        const expected = (day) => (levels.bySeason[day.season] ?? levels.overall) * weekdayFactors[day.dayOfWeek];
+
+        return {
+            menuItem,
+            levels,
+            heuristic: forecastDays.map(expected),
+            history: historyDays.map(day => ({
+                date: day.key,
+                actual: daily?.get(day.key) || 0,
+                expected: roundUnits(expected(day))
+            }))
+        };
+    });
+
+    let method = 'heuristic';
+    let fallbackReason = null;
+    let modelForecasts = null;
+
+    if (useModel && items.length > 0) {
+        try {
+            const holidays = await getHolidays(restaurant, forecastDays);
+
+            // The model only sees a dish's category and price, so dishes that share both share a call per day
+            const features = new Map();
+            const keys = items.map(item => forecastDays.map(day => {
+                const category = toModelCategory(item.menuItem.category);
+                const key = `${category}|${item.menuItem.suggestedPrice}|${day.key}`;
+                if (!features.has(key)) {
+                    features.set(key, {
+                        month: day.date.getUTCMonth() + 1,
+                        is_weekend: day.dayOfWeek === 'Saturday' || day.dayOfWeek === 'Sunday' ? 1 : 0,
+                        day_of_week: day.dayOfWeek,
+                        category,
+                        price: item.menuItem.suggestedPrice,
+                        holiday: holidays.has(day.key) ? 1 : 0,
+                        weather
+                    });
+                }
+                return key;
+            }));
+
+            const calls = [...features.entries()];
+            const predictions = await runWithLimit(
+                calls.map(([, input]) => () => predictSales(input, clientOptions)),
+                SALES_FORECAST_MODEL_CONCURRENCY
+            );
+            const predictionByKey = new Map(calls.map(([key], index) => [key, predictions[index]]));
+
+            modelForecasts = keys.map(itemKeys => itemKeys.map(key => predictionByKey.get(key)));
+            method = 'model';
+        } catch (error) {
+            modelForecasts = null;
+            fallbackReason = error.message;
+        }
+    }
+
+    const resultItems = items.map((item, index) => {
+        const units = modelForecasts ? modelForecasts[index] : item.heuristic;
+
+        const forecast = forecastDays.map((day, dayIndex) => ({ date: day.key, units: roundUnits(units[dayIndex]) }));
+        return {
+            menuItem: {
+                _id: item.menuItem._id,
+                name: item.menuItem.name,
+                category: item.menuItem.category,
+                suggestedPrice: item.menuItem.suggestedPrice
+            },
+            averageDailyUnits: roundUnits(item.levels.overall),
+            totalForecast: roundUnits(units.reduce((sum, value) => sum + value, 0)),
+            heuristicTotal: roundUnits(item.heuristic.reduce((sum, value) => sum + value, 0)),
+            forecast,
+            history: item.history
+        };
+    }).sort((a, b) => b.totalForecast - a.totalForecast);
+
+    const daily = forecastDays.map((day, dayIndex) => ({
+        date: day.key,
+        dayOfWeek: day.dayOfWeek,
+        season: day.season,
+        forecast: roundUnits(resultItems.reduce((sum, item) => sum + item.forecast[dayIndex].units, 0))
+    }));
+
+    const history = historyDays.map((day, dayIndex) => ({
+        date: day.key,
+        dayOfWeek: day.dayOfWeek,
+        specialEvent: specialDays.has(day.key),
+        actual: resultItems.reduce((sum, item) => sum + item.history[dayIndex].actual, 0),
+        expected: roundUnits(resultItems.reduce((sum, item) => sum + item.history[dayIndex].expected, 0))
+    }));
+
+    return {
+        method,
+        fallbackReason,
+        days,
+        lookbackDays: SALES_FORECAST_LOOKBACK_DAYS,
+        startDate: forecastDays[0]?.key,
+        endDate: forecastDays[forecastDays.length - 1]?.key,
+        weekdayFactors,
+        daily,
+        history,
+        items: resultItems
+    };
+};
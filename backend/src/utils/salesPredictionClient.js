@@ -0,0 +1,29 @@
+import axios from "axios";
+import { SALES_PREDICTION_API_URL, SALES_PREDICTION_TIMEOUT_MS } from "../../constant.js";
+
+/**
+ * Ask the sales prediction service how many units of a dish will sell on a day
+ * Errors without a response (service down, timeout) are thrown with `unavailable: true`.
+ * @param {Object} features - { month, is_weekend, day_of_week, category, price, holiday, weather }
+ * @param {Object} options - { baseUrl, timeout }
+ * @returns {Number} - Predicted units sold (never negative)
+ */
+export const predictSales = async (features, { baseUrl = SALES_PREDICTION_API_URL, timeout = SALES_PREDICTION_TIMEOUT_MS } = {}) => {
+    let response;
+    try {
+        response = await axios.post(`${baseUrl.replace(/\/$/, '')}/predict`, features, { timeout });
+    } catch (error) {
+        const wrapped = new Error(error.response
+            ? `Sales prediction failed: ${error.response.status} ${JSON.stringify(error.response.data)}`
+            : `Sales prediction service unavailable at ${baseUrl}: ${error.message}`);
+        wrapped.unavailable = !error.response;
+        throw wrapped;
+    }
+
+    const predicted = Number(response.data?.predicted_sales);
+    if (!Number.isFinite(predicted)) {
+        throw new Error(`Unexpected sales prediction response: ${JSON.stringify(response.data)}`);
+    }
+
+    return Math.max(0, predicted);
+};
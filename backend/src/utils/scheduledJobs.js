@@ -0,0 +1,125 @@
+import { DayStatus } from "../models/inventory/dayStatus.model.js";
+import { processExpiredItems, checkExpiredItems } from "./expiredItemsHandler.js";
+import { refreshMenuStockStatuses } from "./stockChecker.js";
+import { endBusinessDay, startBusinessDay } from "./dayRollover.js";
+import { scoreRestaurantWasteRisk } from "./wasteRiskScorer.js";
+import { getZonedDate } from "./timezone.js";
+import { releaseStaleReservations } from "./stockReservation.js";
+import { toBusinessDay } from "./restaurantTimezone.js";
+import {
+    JOB_EXPIRY_SWEEP_TIME,
+    JOB_DAY_ROLLOVER_TIME,
+    JOB_MENU_STOCK_REFRESH_MINUTES,
+    JOB_RESERVATION_CLEANUP_MINUTES,
+    WASTE_PREDICTION_INTERVAL_HOURS
+} from "../../constant.js";
+
+/**
+ * Waste expired lots and stock, mark expired items and refresh the menu
+ * @param {Object} job - ScheduledJob document
+ * @returns {Object} - Run result
+ */
+const runExpirySweep = async (job) => {
+    const expired = await processExpiredItems(null, job.restaurant);
+    await checkExpiredItems(job.restaurant);
+    const menu = await refreshMenuStockStatuses(job.restaurant);
+
+    return {
+        processedCount: expired.processedCount,
+        totalWasteCost: expired.totalWasteCost,
+        menuItemsChanged: menu.changedItems
+    };
+};
+
+/**
+ * End yesterday and start today, by the calendar of the job's time zone
+ * A day that was already ended by hand is left as it is.
+ * @param {Object} job - ScheduledJob document
+ * @param {Date} now - Time of the run
+ * @returns {Object} - Run result
+ */
+const runDayRollover = async (job, now) => {
+    const yesterday = toBusinessDay(getZonedDate(now, job.timezone, -1));
+    const today = toBusinessDay(getZonedDate(now, job.timezone));
+
+    const yesterdayStatus = await DayStatus.findOne({ date: yesterday, restaurant: job.restaurant });
+    const endedYesterday = !yesterdayStatus?.isEnded;
+    if (endedYesterday) {
+        await endBusinessDay(job.restaurant, yesterday);
+    }
+
+    const started = await startBusinessDay(job.restaurant, today);
+
+    return {
+        endedYesterday,
+        date: started.date,
+        carriedForwardCount: started.carriedForwardCount,
+        prepList: started.prepList?.summary || null
+    };
+};
+
+/**
+ * Recheck the stock status of every menu item
+ * @param {Object} job - ScheduledJob document
+ * @returns {Object} - Run result
+ */
+const runMenuStockRefresh = async (job) => {
+    const { updatedItems, changedItems, totalItems } = await refreshMenuStockStatuses(job.restaurant);
+    return { updatedItems, changedItems, totalItems };
+};
+
+/**
+ * Settle stock reservations left pending by requests that never finished
+ * @param {Object} job - ScheduledJob document
+ * @returns {Object} - Run result
+ */
+const runReservationCleanup = async (job) => {
+    const released = await releaseStaleReservations(undefined, job.restaurant);
+    return { released };
+};
+
+/**
+ * Score the inventory with the waste prediction model
+ * @param {Object} job - ScheduledJob document
+ * @returns {Object} - Run result
+ */
+const runWastePrediction = async (job) => {
+    const { scored, atRisk, skipped, failed } = await scoreRestaurantWasteRisk(job.restaurant);
+    return { scored, atRisk, skipped, failed };
+};
+
+// Built-in jobs: the name and schedule new restaurants start with, and what a run does
+export const JOB_DEFINITIONS = {
+    expiry_sweep: {
+        name: "Nightly expiry sweep",
+        schedule: { kind: 'daily', timeOfDay: JOB_EXPIRY_SWEEP_TIME },
+        enabled: true,
+        run: runExpirySweep
+    },
+    day_rollover: {
+        name: "Automatic day end and start",
+        schedule: { kind: 'daily', timeOfDay: JOB_DAY_ROLLOVER_TIME },
+        enabled: true,
+        run: runDayRollover
+    },
+    menu_stock_refresh: {
+        name: "Menu stock status refresh",
+        schedule: { kind: 'interval', intervalMinutes: JOB_MENU_STOCK_REFRESH_MINUTES },
+        enabled: true,
+        run: runMenuStockRefresh
+    },
+    reservation_cleanup: {
+        name: "Stale stock reservation cleanup",
+        schedule: { kind: 'interval', intervalMinutes: JOB_RESERVATION_CLEANUP_MINUTES },
+        enabled: true,
+        run: runReservationCleanup
+    },
+    waste_prediction: {
+        name: "Waste risk scoring",
+        schedule: { kind: 'interval', intervalMinutes: Math.max(1, WASTE_PREDICTION_INTERVAL_HOURS * 60) },
+        enabled: WASTE_PREDICTION_INTERVAL_HOURS > 0,
+        run: runWastePrediction
+    }
+};
+
+export const JOB_TYPES = Object.keys(JOB_DEFINITIONS);
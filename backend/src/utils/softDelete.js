@@ -0,0 +1,60 @@
+import mongoose, { Schema } from "mongoose";
+
+// Models whose records are moved to the trash instead of being deleted
+export const SOFT_DELETE_MODELS = ['InventoryItem', 'MenuItem', 'Order'];
+
+// Queries that leave out records in the trash
+const FILTERED_QUERIES = [
+    'countDocuments',
+    'distinct',
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'updateOne',
+    'updateMany',
+    'replaceOne'
+];
+
+/**
+ * Mongoose plugin for records that go to the trash when deleted
+ * Adds deletedAt and deletedBy; queries and aggregations leave out deleted records unless
+ * the filter names deletedAt or the query is run with { withDeleted: true }.
+ * Delete queries still remove records for good.
+ * @param {Object} schema - Schema of the model
+ */
+export const softDeletePlugin = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true
+        },
+        deletedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    });
+
+    schema.pre(FILTERED_QUERIES, { document: false, query: true }, function () {
+        if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function () {
+        const [firstStage] = this.pipeline();
+        if (firstStage?.$match && 'deletedAt' in firstStage.$match) return;
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    });
+};
+
+// References keep pointing at records in the trash: populating finds them too, so old orders,
+// waste logs and purchase orders still show what they refer to
+mongoose.plugin((schema) => {
+    schema.eachPath((path, schemaType) => {
+        if (SOFT_DELETE_MODELS.includes(schemaType.options.ref)) {
+            schemaType.options.populate = { withDeleted: true, ...schemaType.options.populate };
+        }
+    });
+});
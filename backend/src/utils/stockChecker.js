@@ -1,19 +1,23 @@
 import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { canConvert, convertQuantity } from "./unitConverter.js";
+import { publishEvent } from "./eventBus.js";
 
 /**
  * Find alternative available inventory items with the same name
  * @param {String} ingredientName - Name of the ingredient to search for
  * @param {String} excludeId - ID to exclude from search (the original item)
  * @param {String} requiredUnit - Required unit for the ingredient
+ * @param {String} restaurant - Restaurant the alternative must belong to
  * @returns {Object|null} - Available inventory item or null
  */
-const findAlternativeIngredient = async (ingredientName, excludeId, requiredUnit) => {
+const findAlternativeIngredient = async (ingredientName, excludeId, requiredUnit, restaurant) => {
     const now = new Date();
     
-    // Find all items with the same name, excluding expired items and the original item
+    // Find all items with the same name in the same restaurant, excluding expired items and the original item
     // Only check actual expiry date, not status field
     const alternatives = await InventoryItem.find({
         name: ingredientName,
+        restaurant,
         _id: { $ne: excludeId },
         currentStock: { $gt: 0 },
         $or: [
@@ -28,23 +32,32 @@ const findAlternativeIngredient = async (ingredientName, excludeId, requiredUnit
         return matchingUnit;
     }
     
-    // If no matching unit, return the first available alternative
+    // Then an item whose unit the required unit can be converted to
+    const convertibleUnit = alternatives.find(item => !requiredUnit || canConvert(requiredUnit, item.unit, item));
+    if (convertibleUnit) {
+        return convertibleUnit;
+    }
+    
+    // If no convertible unit, return the first available alternative
     return alternatives.length > 0 ? alternatives[0] : null;
 };
 
 /**
  * Check if all ingredients for a menu item are available in sufficient quantities
  * Also returns a mapping of which actual inventory items to use (including alternatives)
+ * Recipe quantities are converted to each inventory item's stock unit before comparing;
+ * required and available quantities of missing ingredients are reported in the stock unit
  * @param {Array} ingredients - Array of ingredient objects with ingredient ID, quantity, and unit
  * @param {Number} quantity - Number of dishes to make (default: 1)
  * @param {Boolean} returnItemMapping - If true, also return mapping of original to actual item IDs
- * @returns {Object} - { isAvailable: boolean, stockStatus: string, missingIngredients: Array, itemMapping?: Object }
+ * @returns {Object} - { isAvailable: boolean, stockStatus: string, missingIngredients: Array, itemMapping?: Object, deductions?: Array }
  */
 export const checkIngredientAvailability = async (ingredients, quantity = 1, returnItemMapping = false) => {
     const missingIngredients = [];
     let hasLowStock = false;
     let hasOutOfStock = false;
     const itemMapping = {}; // Maps original ingredient ID to actual item ID to use
+    const deductions = []; // Quantities to take from each actual item, in its stock unit
 
     for (const ingredient of ingredients) {
         const originalIngredientId = typeof ingredient.ingredient === 'object' 
@@ -72,22 +85,30 @@ export const checkIngredientAvailability = async (ingredients, quantity = 1, ret
         const now = new Date();
         // Only check actual expiry date, not status field (status might be incorrectly set)
         const isExpired = inventoryItem.expiryDate && new Date(inventoryItem.expiryDate) < now;
-        const requiredQuantity = ingredient.quantity * quantity;
+        const recipeQuantity = ingredient.quantity * quantity;
+        // Required quantity in the item's stock unit (null if the units cannot be converted)
+        const toStockUnit = (item) => canConvert(ingredient.unit || item.unit, item.unit, item)
+            ? convertQuantity(recipeQuantity, ingredient.unit || item.unit, item.unit, item)
+            : null;
+        let requiredQuantity = toStockUnit(inventoryItem);
         let availableQuantity = inventoryItem.currentStock;
+        const isUnconvertible = requiredQuantity === null;
         
-        // Check if the original ingredient is expired or out of stock
+        // Check if the original ingredient is expired, out of stock or stocked in an incompatible unit
         // Only use actual expiry date check, not status field
-        if (isExpired || availableQuantity < requiredQuantity) {
+        if (isExpired || isUnconvertible || availableQuantity < requiredQuantity) {
             // Try to find an alternative available item with the same name
             const alternative = await findAlternativeIngredient(
                 ingredientName,
                 originalIngredientId,
-                ingredient.unit
+                ingredient.unit,
+                inventoryItem.restaurant
             );
             
-            if (alternative) {
+            if (alternative && toStockUnit(alternative) !== null) {
                 // Use the alternative item
                 inventoryItem = alternative;
+                requiredQuantity = toStockUnit(alternative);
                 availableQuantity = alternative.currentStock;
                 actualItemId = alternative._id.toString();
                 usedAlternative = true;
@@ -99,19 +120,29 @@ export const checkIngredientAvailability = async (ingredients, quantity = 1, ret
                     missingIngredients.push({
                         ingredient: originalIngredientId,
                         name: inventoryItem.name,
-                        required: requiredQuantity,
+                        required: isUnconvertible ? recipeQuantity : requiredQuantity,
                         available: 0,
-                        unit: ingredient.unit,
+                        unit: isUnconvertible ? ingredient.unit : inventoryItem.unit,
                         reason: 'Ingredient expired (no alternatives available)'
                     });
                     hasOutOfStock = true;
+                } else if (isUnconvertible) {
+                    missingIngredients.push({
+                        ingredient: originalIngredientId,
+                        name: inventoryItem.name,
+                        required: recipeQuantity,
+                        available: 0,
+                        unit: ingredient.unit,
+                        reason: `Cannot convert ${ingredient.unit} to ${inventoryItem.unit} (set density or piece weight on the item)`
+                    });
+                    hasOutOfStock = true;
                 } else {
                     missingIngredients.push({
                         ingredient: originalIngredientId,
                         name: inventoryItem.name,
                         required: requiredQuantity,
                         available: availableQuantity,
-                        unit: ingredient.unit,
+                        unit: inventoryItem.unit,
                         reason: availableQuantity === 0 ? 'Out of stock (no alternatives available)' : 'Insufficient quantity (no alternatives available)'
                     });
                     
@@ -135,7 +166,7 @@ export const checkIngredientAvailability = async (ingredients, quantity = 1, ret
                 name: inventoryItem.name,
                 required: requiredQuantity,
                 available: availableQuantity,
-                unit: ingredient.unit,
+                unit: inventoryItem.unit,
                 reason: availableQuantity === 0 ? 'Out of stock' : 'Insufficient quantity'
             });
             
@@ -144,9 +175,19 @@ export const checkIngredientAvailability = async (ingredients, quantity = 1, ret
             } else {
                 hasLowStock = true;
             }
-        } else if (inventoryItem.status === 'low_stock' || 
-                   (inventoryItem.minThreshold > 0 && availableQuantity <= inventoryItem.minThreshold)) {
-            hasLowStock = true;
+        } else {
+            deductions.push({
+                ingredient: originalIngredientId.toString(),
+                inventoryItem: actualItemId.toString(),
+                name: inventoryItem.name,
+                quantity: requiredQuantity,
+                unit: inventoryItem.unit
+            });
+
+            if (inventoryItem.status === 'low_stock' || 
+                (inventoryItem.minThreshold > 0 && availableQuantity <= inventoryItem.minThreshold)) {
+                hasLowStock = true;
+            }
         }
     }
 
@@ -170,11 +211,40 @@ export const checkIngredientAvailability = async (ingredients, quantity = 1, ret
 
     if (returnItemMapping) {
         result.itemMapping = itemMapping;
+        result.deductions = deductions;
     }
 
     return result;
 };
 
+/**
+ * Store a stock check on a menu item and announce the change
+ * Saves and publishes menu.stock_status_changed only when the status or availability changed
+ * @param {Object} menuItem - MenuItem document
+ * @param {Object} stockCheck - Result of checkIngredientAvailability
+ * @returns {Boolean} - true if the menu item changed
+ */
+export const applyMenuStockStatus = async (menuItem, stockCheck) => {
+    if (menuItem.stockStatus === stockCheck.stockStatus && menuItem.isAvailable === stockCheck.isAvailable) {
+        return false;
+    }
+
+    const previousStatus = menuItem.stockStatus;
+    menuItem.stockStatus = stockCheck.stockStatus;
+    menuItem.isAvailable = stockCheck.isAvailable;
+    await menuItem.save();
+
+    publishEvent(menuItem.restaurant, 'menu.stock_status_changed', {
+        _id: menuItem._id,
+        name: menuItem.name,
+        previousStatus,
+        stockStatus: stockCheck.stockStatus,
+        isAvailable: stockCheck.isAvailable
+    });
+
+    return true;
+};
+
 /**
  * Update menu item stock status based on ingredient availability
  * @param {String} menuItemId - ID of the menu item to update
@@ -194,9 +264,7 @@ export const updateMenuItemStockStatus = async (menuItemId, quantity = 1) => {
     const stockCheck = await checkIngredientAvailability(menuItem.ingredients, quantity);
     
     // Update menu item with new stock status
-    menuItem.isAvailable = stockCheck.isAvailable;
-    menuItem.stockStatus = stockCheck.stockStatus;
-    await menuItem.save();
+    await applyMenuStockStatus(menuItem, stockCheck);
 
     return {
         menuItem,
@@ -225,3 +293,48 @@ export const updateMultipleMenuItemStockStatus = async (menuItemIds) => {
     
     return results;
 };
+
+/**
+ * Recheck the stock status of every menu item of a restaurant
+ * @param {String} restaurant - Restaurant whose menu is refreshed
+ * @returns {Object} - { updatedItems, changedItems, totalItems, results }
+ */
+export const refreshMenuStockStatuses = async (restaurant) => {
+    const { MenuItem } = await import("../models/menu/menuItem.model.js");
+
+    const menuItems = await MenuItem.find({ restaurant });
+
+    let changedItems = 0;
+    const results = await Promise.all(
+        menuItems.map(async (item) => {
+            try {
+                const stockCheck = await checkIngredientAvailability(item.ingredients, 1);
+
+                if (await applyMenuStockStatus(item, stockCheck)) {
+                    changedItems++;
+                }
+
+                return {
+                    menuItemId: item._id,
+                    name: item.name,
+                    stockStatus: stockCheck.stockStatus,
+                    isAvailable: stockCheck.isAvailable
+                };
+            } catch (error) {
+                console.error(`Error updating stock for menu item ${item._id}:`, error);
+                return {
+                    menuItemId: item._id,
+                    name: item.name,
+                    error: error.message
+                };
+            }
+        })
+    );
+
+    return {
+        updatedItems: results.filter(r => !r.error).length,
+        changedItems,
+        totalItems: results.length,
+        results
+    };
+};
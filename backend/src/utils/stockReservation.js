@@ -0,0 +1,303 @@
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { StockReservation } from "../models/inventory/stockReservation.model.js";
+import { Order } from "../models/order/order.model.js";
+import { apiError } from "./apiError.js";
+import { publishLowStockIfCrossed } from "./eventBus.js";
+import { consumeLots, returnToLot } from "./lotManager.js";
+
+// Round away floating point noise when splitting quantities across reservations
+const roundQuantity = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Merge deductions that target the same inventory item
+ * @param {Array} deductions - Array of { inventoryItem, quantity, name }
+ * @returns {Array} - One entry per inventory item with the summed quantity
+ */
+export const mergeDeductions = (deductions) => {
+    const merged = new Map();
+
+    for (const deduction of deductions) {
+        const key = deduction.inventoryItem.toString();
+        const existing = merged.get(key);
+        if (existing) {
+            existing.quantity += deduction.quantity;
+        } else {
+            merged.set(key, { ...deduction, inventoryItem: key });
+        }
+    }
+
+    return Array.from(merged.values()).filter(deduction => deduction.quantity > 0);
+};
+
+/**
+ * Return the stock held by a pending reservation and mark it released
+ * Only the first caller releases a reservation, so stock is never returned twice
+ * @param {String} reservationId - ID of the reservation to release
+ * @param {String} userId - User releasing the stock
+ * @returns {Boolean} - true if this call released the reservation
+ */
+export const releaseReservation = async (reservationId, userId = null) => {
+    const reservation = await StockReservation.findOneAndUpdate(
+        { _id: reservationId, status: 'pending' },
+        { status: 'released' },
+        { new: true }
+    );
+
+    if (!reservation) {
+        return false;
+    }
+
+    for (const item of reservation.items) {
+        const update = { $inc: { currentStock: item.quantity } };
+        if (userId) {
+            update.lastUpdatedBy = userId;
+        }
+        await InventoryItem.findByIdAndUpdate(item.inventoryItem, update);
+    }
+
+    return true;
+};
+
+/**
+ * Atomically take stock for a set of deductions
+ * Each item is decremented only if it still has enough stock, so concurrent
+ * reservations can never drive currentStock below zero. If any item is short,
+ * everything taken so far is given back and an error is thrown.
+ * @param {Array} deductions - Array of { inventoryItem, quantity, name } in stock units
+ * @param {Object} options - { userId, restaurant, reason, order }
+ * @param {String} options.order - ID of the order the stock is for (may not be written yet)
+ * @returns {Object} - The pending reservation document
+ */
+export const reserveStock = async (deductions, { userId = null, restaurant, reason = '', order = null } = {}) => {
+    const reservation = await StockReservation.create({
+        order,
+        items: [],
+        reason,
+        createdBy: userId,
+        restaurant
+    });
+
+    for (const deduction of mergeDeductions(deductions)) {
+        const update = { $inc: { currentStock: -deduction.quantity } };
+        if (userId) {
+            update.lastUpdatedBy = userId;
+        }
+
+        const updatedItem = await InventoryItem.findOneAndUpdate(
+            {
+                _id: deduction.inventoryItem,
+                restaurant,
+                currentStock: { $gte: deduction.quantity }
+            },
+            update,
+            { new: true }
+        );
+
+        if (!updatedItem) {
+            await releaseReservation(reservation._id, userId);
+
+            const item = await InventoryItem.findById(deduction.inventoryItem).select('name unit currentStock');
+            const name = item?.name || deduction.name || deduction.inventoryItem;
+            throw new apiError(
+                `Insufficient stock for ${name}. Required: ${deduction.quantity} ${item?.unit || ''}, Available: ${item?.currentStock ?? 0} ${item?.unit || ''}`.trim(),
+                400
+            );
+        }
+
+        publishLowStockIfCrossed(updatedItem, updatedItem.currentStock + deduction.quantity);
+
+        // Record the deduction right away so it can be given back if the order fails
+        await StockReservation.updateOne(
+            { _id: reservation._id },
+            { $push: { items: { inventoryItem: deduction.inventoryItem, quantity: deduction.quantity } } }
+        );
+    }
+
+    return reservation;
+};
+
+/**
+ * Mark a reservation as final once the order it belongs to has been written
+ * @param {String} reservationId - ID of the reservation
+ * @param {String} orderId - ID of the created order
+ * @returns {Boolean} - true if the reservation was still pending and is now committed
+ */
+export const commitReservation = async (reservationId, orderId) => {
+    const reservation = await StockReservation.findOneAndUpdate(
+        { _id: reservationId, status: 'pending' },
+        { status: 'committed', order: orderId },
+        { new: true }
+    );
+
+    return !!reservation;
+};
+
+/**
+ * Stock an order holds through its committed reservations
+ * @param {String} orderId - ID of the order
+ * @returns {Map} - Inventory item ID -> quantity held, in stock units
+ */
+export const getHeldStock = async (orderId) => {
+    const reservations = await StockReservation.find({ order: orderId, status: 'committed' }).select('items');
+
+    const held = new Map();
+    for (const reservation of reservations) {
+        for (const item of reservation.items) {
+            const key = item.inventoryItem.toString();
+            held.set(key, roundQuantity((held.get(key) || 0) + item.quantity));
+        }
+    }
+    return held;
+};
+
+/**
+ * Compare the stock an order holds with what its (edited) items need
+ * @param {Map} held - Inventory item ID -> quantity held (see getHeldStock)
+ * @param {Array} deductions - Array of { inventoryItem, quantity, name } the items need
+ * @returns {Object} - { extra: deductions still to reserve, excess: Map of quantities to give back }
+ */
+export const diffHeldStock = (held, deductions) => {
+    const needed = mergeDeductions(deductions);
+    const neededByItem = new Map(needed.map(deduction => [deduction.inventoryItem, deduction.quantity]));
+
+    const extra = needed
+        .map(deduction => ({ ...deduction, quantity: roundQuantity(deduction.quantity - (held.get(deduction.inventoryItem) || 0)) }))
+        .filter(deduction => deduction.quantity > 0);
+
+    const excess = new Map();
+    for (const [inventoryItem, quantity] of held) {
+        const surplus = roundQuantity(quantity - (neededByItem.get(inventoryItem) || 0));
+        if (surplus > 0) {
+            excess.set(inventoryItem, surplus);
+        }
+    }
+
+    return { extra, excess };
+};
+
+/**
+ * Give back stock an order holds, e.g. when it is cancelled or its items are edited
+ * Each quantity is taken off its reservation atomically before the stock is returned,
+ * so concurrent returns (a cancellation racing an edit) never give the same stock back twice.
+ * @param {String} orderId - ID of the order
+ * @param {Map} quantities - Inventory item ID -> quantity to return; null returns everything held
+ * @param {String} userId - User returning the stock
+ * @returns {Array} - Array of { inventoryItem, quantity } actually returned
+ */
+export const returnOrderStock = async (orderId, quantities = null, userId = null) => {
+    // Latest reservations first, so an edit gives back what it added last
+    const reservations = await StockReservation.find({ order: orderId, status: 'committed' }).sort({ createdAt: -1 });
+    const wanted = quantities ? new Map(quantities) : null;
+    const returned = new Map();
+
+    for (const reservation of reservations) {
+        for (const item of reservation.items) {
+            const key = item.inventoryItem.toString();
+            const amount = wanted ? Math.min(item.quantity, wanted.get(key) || 0) : item.quantity;
+            if (amount <= 0) continue;
+
+            const claimed = await StockReservation.updateOne(
+                {
+                    _id: reservation._id,
+                    status: 'committed',
+                    items: { $elemMatch: { _id: item._id, quantity: { $gte: amount } } }
+                },
+                { $inc: { 'items.$.quantity': -amount } }
+            );
+            if (claimed.modifiedCount === 0) continue;
+
+            const update = { $inc: { currentStock: amount } };
+            if (userId) {
+                update.lastUpdatedBy = userId;
+            }
+            await InventoryItem.findByIdAndUpdate(key, update);
+
+            // Put the quantity back into the lots it came from, last taken first; each portion is
+            // claimed off the reservation first so it is never put back twice
+            let toLots = amount;
+            for (const entry of [...item.lots].reverse()) {
+                const portion = roundQuantity(Math.min(entry.quantity, toLots));
+                if (portion <= 0) continue;
+
+                const claimedLot = await StockReservation.updateOne(
+                    { _id: reservation._id },
+                    { $inc: { 'items.$[item].lots.$[lot].quantity': -portion } },
+                    { arrayFilters: [{ 'item._id': item._id }, { 'lot._id': entry._id, 'lot.quantity': { $gte: portion } }] }
+                );
+                if (claimedLot.modifiedCount === 0) continue;
+
+                await returnToLot(entry.lot, portion);
+                toLots = roundQuantity(toLots - portion);
+            }
+
+            returned.set(key, roundQuantity((returned.get(key) || 0) + amount));
+            if (wanted) {
+                wanted.set(key, roundQuantity(wanted.get(key) - amount));
+            }
+        }
+    }
+
+    // Reservations with nothing left to hold are done
+    await StockReservation.updateMany(
+        { order: orderId, status: 'committed', 'items.quantity': { $not: { $gt: 0 } } },
+        { status: 'returned' }
+    );
+
+    return Array.from(returned, ([inventoryItem, quantity]) => ({ inventoryItem, quantity }));
+};
+
+/**
+ * Take a committed reservation's quantities from the ingredients' open lots (FIFO/FEFO)
+ * The stock itself is already taken; the lots used are recorded on the reservation so
+ * returned stock can go back into them.
+ * @param {String} reservationId - ID of the reservation
+ */
+export const consumeReservedLots = async (reservationId) => {
+    const reservation = await StockReservation.findById(reservationId);
+    if (!reservation) return;
+
+    for (const item of reservation.items) {
+        try {
+            const { consumed } = await consumeLots(item.inventoryItem, item.quantity);
+            if (consumed.length === 0) continue;
+
+            await StockReservation.updateOne(
+                { _id: reservation._id, 'items._id': item._id },
+                { $push: { 'items.$.lots': { $each: consumed.map(entry => ({ lot: entry.lot, quantity: entry.quantity })) } } }
+            );
+        } catch (error) {
+            console.error(`Error consuming lots for ingredient ${item.inventoryItem}:`, error);
+        }
+    }
+};
+
+/**
+ * Settle reservations left pending by requests that never finished (e.g. server crash)
+ * A reservation whose order was already written is committed, since the order holds the
+ * stock; the others are released.
+ * Runs at startup for every restaurant and as the reservation_cleanup job per restaurant.
+ * @param {Number} maxAgeMinutes - Age after which a pending reservation is considered abandoned
+ * @param {String} restaurant - Only settle this restaurant's reservations (all when not given)
+ * @returns {Number} - Number of reservations released
+ */
+export const releaseStaleReservations = async (maxAgeMinutes = 10, restaurant = null) => {
+    const cutoff = new Date(Date.now() - maxAgeMinutes * 60 * 1000);
+    const filter = { status: 'pending', createdAt: { $lt: cutoff } };
+    if (restaurant) {
+        filter.restaurant = restaurant;
+    }
+    const staleReservations = await StockReservation.find(filter).select('_id order');
+
+    let releasedCount = 0;
+    for (const reservation of staleReservations) {
+        if (reservation.order && await Order.exists({ _id: reservation.order }).setOptions({ withDeleted: true })) {
+            await commitReservation(reservation._id, reservation.order);
+            continue;
+        }
+        if (await releaseReservation(reservation._id)) {
+            releasedCount++;
+        }
+    }
+
+    return releasedCount;
+};
@@ -0,0 +1,104 @@
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { Inventorylog } from "../models/inventory/inventorylog.model.js";
+import { StocktakeCount } from "../models/inventory/stocktakeCount.model.js";
+import { consumeLots } from "./lotManager.js";
+import { publishLowStockIfCrossed } from "./eventBus.js";
+
+// Round away floating point noise in quantities and costs
+const roundQuantity = (value) => Math.round(value * 1e6) / 1e6;
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Variance of a count against the stock the system expected
+ * @param {Number} countedQuantity - Quantity counted, in the item's stock unit
+ * @param {Number} expectedQuantity - The item's currentStock when it was counted
+ * @param {Number} unitCost - Cost per stock unit
+ * @returns {Object} - { variance, varianceCost }; negative is shrinkage
+ */
+export const computeVariance = (countedQuantity, expectedQuantity, unitCost = 0) => {
+    const variance = roundQuantity(countedQuantity - expectedQuantity);
+    return { variance, varianceCost: roundAmount(variance * (unitCost || 0)) };
+};
+
+/**
+ * Totals of a stocktake's counts
+ * @param {Array} counts - StocktakeCount documents
+ * @returns {Object} - { itemsCounted, itemsWithVariance, shrinkageCost, overageCost, varianceCost }
+ */
+export const summarizeCounts = (counts) => {
+    const totals = { itemsCounted: counts.length, itemsWithVariance: 0, shrinkageCost: 0, overageCost: 0, varianceCost: 0 };
+
+    for (const count of counts) {
+        if (count.variance !== 0) totals.itemsWithVariance++;
+        if (count.varianceCost < 0) totals.shrinkageCost -= count.varianceCost;
+        if (count.varianceCost > 0) totals.overageCost += count.varianceCost;
+        totals.varianceCost += count.varianceCost;
+    }
+
+    totals.shrinkageCost = roundAmount(totals.shrinkageCost);
+    totals.overageCost = roundAmount(totals.overageCost);
+    totals.varianceCost = roundAmount(totals.varianceCost);
+    return totals;
+};
+
+/**
+ * Post the variances of an approved stocktake as stock adjustments
+ * Each item's stock moves by its variance (never below zero) and the change is logged with
+ * reason "stocktake". Shrinkage is taken from the item's lots. Items deleted since they were
+ * counted are left alone.
+ * @param {Object} stocktake - The approved Stocktake document
+ * @param {String} userId - User who approved it
+ * @returns {Object} - { counts, adjustments: [{ inventoryItem, name, change, newStock }] }
+ */
+export const postStocktakeAdjustments = async (stocktake, userId) => {
+    const now = new Date();
+    const counts = await StocktakeCount.find({ stocktake: stocktake._id });
+    const adjustments = [];
+
+    for (const count of counts) {
+        if (count.variance === 0) continue;
+
+        // Read and move the stock in one step; stock used since the count keeps counting
+        const previousItem = await InventoryItem.findOneAndUpdate(
+            { _id: count.inventoryItem, restaurant: stocktake.restaurant },
+            [{
+                $set: {
+                    currentStock: { $max: [0, { $add: ['$currentStock', count.variance] }] },
+                    lastUpdatedBy: userId
+                }
+            }]
+        );
+        if (!previousItem) continue;
+
+        const newStock = roundQuantity(Math.max(0, previousItem.currentStock + count.variance));
+        const change = roundQuantity(newStock - previousItem.currentStock);
+        if (change === 0) continue;
+
+        try {
+            await Inventorylog.create({
+                ingredient: count.inventoryItem,
+                change,
+                reason: 'stocktake',
+                date: now,
+                unitCost: count.unitCost,
+                stocktake: stocktake._id,
+                restaurant: stocktake.restaurant
+            });
+        } catch (logError) {
+            console.error('Failed to log stocktake adjustment:', logError.message);
+        }
+
+        if (change < 0) {
+            await consumeLots(count.inventoryItem, -change);
+        }
+
+        previousItem.currentStock = newStock;
+        publishLowStockIfCrossed(previousItem, newStock - change);
+
+        adjustments.push({ inventoryItem: count.inventoryItem, name: previousItem.name, change, newStock });
+    }
+
+    await StocktakeCount.updateMany({ stocktake: stocktake._id }, { approvedAt: now });
+
+    return { counts, adjustments };
+};
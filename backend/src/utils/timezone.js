@@ -0,0 +1,88 @@
+/**
+ * Check whether a string is an IANA time zone the runtime knows (e.g. "Asia/Kolkata")
+ * @param {String} timeZone - Time zone name
+ * @returns {Boolean} - true if valid
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Calendar date and wall-clock time of an instant in a time zone
+ * @param {Date} date - Instant to read
+ * @param {String} timeZone - Time zone name
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second }
+ */
+export const getZonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    const values = Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+    return {
+        year: values.year,
+        month: values.month,
+        day: values.day,
+        hour: values.hour,
+        minute: values.minute,
+        second: values.second
+    };
+};
+
+// Milliseconds the time zone is ahead of UTC at an instant
+const getOffset = (date, timeZone) => {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant at which a time zone's clock shows a given date and time
+ * Times skipped by a daylight saving change are moved forward by the length of the change;
+ * times that occur twice resolve to the first of the two.
+ * @param {Object} parts - { year, month (1-12), day, hour, minute }
+ * @param {String} timeZone - Time zone name
+ * @returns {Date} - The instant
+ */
+export const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const firstGuess = wallClock - getOffset(new Date(wallClock), timeZone);
+    const secondGuess = wallClock - getOffset(new Date(firstGuess), timeZone);
+    if (firstGuess === secondGuess) {
+        return new Date(firstGuess);
+    }
+
+    // A daylight saving change lies in between: use the guess that shows the asked time,
+    // or the later one when the time does not exist that day
+    const parts = getZonedParts(new Date(secondGuess), timeZone);
+    if (parts.hour === hour && parts.minute === minute) {
+        return new Date(secondGuess);
+    }
+    return new Date(Math.max(firstGuess, secondGuess));
+};
+
+/**
+ * Calendar date of an instant in a time zone, shifted by whole days
+ * @param {Date} date - Instant to read
+ * @param {String} timeZone - Time zone name
+ * @param {Number} offsetDays - Days to add (e.g. -1 for the previous day)
+ * @returns {Object} - { year, month (1-12), day }
+ */
+export const getZonedDate = (date, timeZone, offsetDays = 0) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    const shifted = new Date(Date.UTC(year, month - 1, day + offsetDays));
+    return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+};
@@ -0,0 +1,109 @@
+import { apiError } from "./apiError.js";
+
+// Conversion factors to the base unit of each dimension
+// mass -> grams, volume -> millilitres, count -> pieces
+const UNIT_DEFINITIONS = {
+    g: { dimension: 'mass', factor: 1 },
+    kg: { dimension: 'mass', factor: 1000 },
+    lb: { dimension: 'mass', factor: 453.59237 },
+    oz: { dimension: 'mass', factor: 28.349523125 },
+    ml: { dimension: 'volume', factor: 1 },
+    ltr: { dimension: 'volume', factor: 1000 },
+    pcs: { dimension: 'count', factor: 1 }
+};
+
+export const SUPPORTED_UNITS = Object.keys(UNIT_DEFINITIONS);
+
+// Round away floating point noise (e.g. 0.2 kg -> 0.20000000000000004)
+const roundQuantity = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Grams in one base unit of a dimension for a given item
+ * Volume needs the item's density (g/ml), count needs its piece weight (g/pcs)
+ * @param {String} dimension - 'mass', 'volume' or 'count'
+ * @param {Object} item - Inventory item holding density / pieceWeight
+ * @returns {Number|null} - Grams per base unit, or null when the item lacks the data
+ */
+const gramsPerBaseUnit = (dimension, item = {}) => {
+    if (dimension === 'mass') return 1;
+    if (dimension === 'volume') return item?.density > 0 ? item.density : null;
+    if (dimension === 'count') return item?.pieceWeight > 0 ? item.pieceWeight : null;
+    return null;
+};
+
+/**
+ * Get the conversion factor from one unit to another
+ * @param {String} fromUnit - Unit the quantity is expressed in
+ * @param {String} toUnit - Unit to convert to
+ * @param {Object} item - Inventory item (density / pieceWeight) for cross-dimension conversions
+ * @returns {Number|null} - Multiplier, or null if the units cannot be converted
+ */
+const getConversionFactor = (fromUnit, toUnit, item = {}) => {
+    const from = UNIT_DEFINITIONS[fromUnit];
+    const to = UNIT_DEFINITIONS[toUnit];
+
+    if (!from || !to) return null;
+    if (fromUnit === toUnit) return 1;
+
+    if (from.dimension === to.dimension) {
+        return from.factor / to.factor;
+    }
+
+    // Cross-dimension: go through grams using the item's density or piece weight
+    const fromGrams = gramsPerBaseUnit(from.dimension, item);
+    const toGrams = gramsPerBaseUnit(to.dimension, item);
+    if (!fromGrams || !toGrams) return null;
+
+    return (from.factor * fromGrams) / (to.factor * toGrams);
+};
+
+/**
+ * Check whether a quantity can be converted between two units
+ * @param {String} fromUnit - Unit the quantity is expressed in
+ * @param {String} toUnit - Unit to convert to
+ * @param {Object} item - Inventory item (density / pieceWeight) for cross-dimension conversions
+ * @returns {Boolean} - true if convertible
+ */
+export const canConvert = (fromUnit, toUnit, item = {}) => {
+    return getConversionFactor(fromUnit, toUnit, item) !== null;
+};
+
+/**
+ * Convert a quantity between units
+ * Mass (g, kg, lb, oz) and volume (ml, ltr) convert within their dimension;
+ * volume <-> mass needs item.density and pcs <-> mass/volume needs item.pieceWeight
+ * @param {Number} quantity - Quantity to convert
+ * @param {String} fromUnit - Unit the quantity is expressed in
+ * @param {String} toUnit - Unit to convert to
+ * @param {Object} item - Inventory item (density / pieceWeight) for cross-dimension conversions
+ * @returns {Number} - Converted quantity
+ */
+export const convertQuantity = (quantity, fromUnit, toUnit, item = {}) => {
+    // Recipes without a unit are assumed to already use the stock unit
+    if (!fromUnit || !toUnit) return quantity;
+
+    const factor = getConversionFactor(fromUnit, toUnit, item);
+    if (factor === null) {
+        const name = item?.name ? ` for ${item.name}` : '';
+        throw new apiError(`Cannot convert ${fromUnit} to ${toUnit}${name}`, 400);
+    }
+
+    return roundQuantity(quantity * factor);
+};
+
+/**
+ * Calculate the cost of a quantity of an inventory item
+ * The item's cost is per one unit of its stock unit
+ * @param {Number} quantity - Quantity used
+ * @param {String} unit - Unit the quantity is expressed in
+ * @param {Object} inventoryItem - Inventory item with cost, unit, density and pieceWeight
+ * @returns {Number} - Cost of the quantity (0 if the item has no cost or units are not convertible)
+ */
+export const calculateIngredientCost = (quantity, unit, inventoryItem) => {
+    if (!inventoryItem?.cost || !quantity) return 0;
+
+    const factor = getConversionFactor(unit || inventoryItem.unit, inventoryItem.unit, inventoryItem);
+    if (factor === null) return 0;
+
+    return quantity * factor * inventoryItem.cost;
+};
@@ -0,0 +1,115 @@
+import axios from "axios";
+import { WASTE_PREDICTION_API_URL, WASTE_PREDICTION_TIMEOUT_MS } from "../../constant.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The model was trained on these categories only; each inventory category is sent
+// as the trained category with the closest shelf life
+const MODEL_CATEGORIES = {
+    vegetables: 'Vegetable',
+    fruits: 'Vegetable',
+    dairy: 'Dairy',
+    meat: 'Meat',
+    seafood: 'Seafood',
+    frozen: 'Meat',
+    grains: 'Grain',
+    spices: 'Grain',
+    canned: 'Grain',
+    beverages: 'Liquid',
+    other: 'Grain'
+};
+
+// Storage conditions known to the model
+const MODEL_STORAGE_CONDITIONS = {
+    fridge: 'Fridge',
+    freezer: 'Freezer',
+    normal_temperature: 'Shelf',
+    room_temperature: 'Shelf',
+    pantry: 'Shelf',
+    dry_storage: 'Shelf'
+};
+
+// Confidence stored when the service does not report one
+const DEFAULT_CONFIDENCE = 0.5;
+
+// Helper function to format a date as the service expects it (dd-mm-yyyy)
+const formatModelDate = (date) => {
+    const d = new Date(date);
+    const day = String(d.getDate()).padStart(2, '0');
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    return `${day}-${month}-${d.getFullYear()}`;
+};
+
+/**
+ * Build the /predict request body for an inventory item
+ * @param {Object} item - Inventory item (needs name, expiryDate, currentStock, category, storageCondition)
+ * @param {Number} usedQuantity - Quantity of the item used recently, in stock units
+ * @returns {Object} - Request body for the waste prediction service
+ */
+export const buildWasteFeatures = (item, usedQuantity = 0) => {
+    return {
+        item_name: item.name,
+        expiry_date: formatModelDate(item.expiryDate),
+        quantity: Math.round(item.currentStock || 0),
+        used_quantity: Math.round((usedQuantity || 0) * 1000) / 1000,
+        category: MODEL_CATEGORIES[item.category] || MODEL_CATEGORIES.other,
+        storage_condition: MODEL_STORAGE_CONDITIONS[item.storageCondition] || 'Shelf'
+    };
+};
+
+/**
+ * Days left until a date, rounded down (negative once it has passed)
+ * @param {Date} expiryDate - Expiry date
+ * @param {Date} now - Reference date
+ * @returns {Number} - Whole days to expiry
+ */
+export const daysToExpiry = (expiryDate, now = new Date()) => {
+    return Math.floor((new Date(expiryDate) - now) / DAY_MS);
+};
+
+/**
+ * Ask the waste prediction service whether an item is at risk of being wasted
+ * Errors without a response (service down, timeout) are thrown with `unavailable: true`
+ * so callers can stop instead of trying every item.
+ * @param {Object} features - Request body from buildWasteFeatures
+ * @param {Object} options - { baseUrl, timeout }
+ * @returns {Object} - { atRisk, confidence, label }
+ */
+export const predictWasteRisk = async (features, { baseUrl = WASTE_PREDICTION_API_URL, timeout = WASTE_PREDICTION_TIMEOUT_MS } = {}) => {
+    let response;
+    try {
+        response = await axios.post(`${baseUrl.replace(/\/$/, '')}/predict`, features, { timeout });
+    } catch (error) {
+        const wrapped = new Error(error.response
+            ? `Waste prediction failed for ${features.item_name}: ${error.response.status} ${JSON.stringify(error.response.data)}`
+            : `Waste prediction service unavailable at ${baseUrl}: ${error.message}`);
+        wrapped.unavailable = !error.response;
+        throw wrapped;
+    }
+
+    const label = response.data?.waste_risk;
+    if (label !== 'At Risk' && label !== 'Safe') {
+        throw new Error(`Unexpected waste prediction response for ${features.item_name}: ${JSON.stringify(response.data)}`);
+    }
+
+    const confidence = Number(response.data.confidence);
+    return {
+        atRisk: label === 'At Risk',
+        confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : DEFAULT_CONFIDENCE,
+        label
+    };
+};
+
+/**
+ * Check that the waste prediction service is reachable
+ * @param {Object} options - { baseUrl, timeout }
+ * @returns {Boolean} - true if /health answered
+ */
+export const isWastePredictionServiceUp = async ({ baseUrl = WASTE_PREDICTION_API_URL, timeout = WASTE_PREDICTION_TIMEOUT_MS } = {}) => {
+    try {
+        await axios.get(`${baseUrl.replace(/\/$/, '')}/health`, { timeout });
+        return true;
+    } catch {
+        return false;
+    }
+};
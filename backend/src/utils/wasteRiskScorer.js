@@ -0,0 +1,87 @@
+import { InventoryItem } from "../models/inventory/inventoryItem.model.js";
+import { WastePrediction } from "../models/demand/wastePrediction.model.js";
+import { getConsumptionByItem } from "./reorderCalculator.js";
+import { buildWasteFeatures, daysToExpiry, predictWasteRisk } from "./wastePredictionClient.js";
+import { WASTE_PREDICTION_LOOKBACK_DAYS } from "../../constant.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round away floating point noise in quantities
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Score every active inventory item of a restaurant with the waste prediction model
+ * Each item with stock and an expiry date is sent to the service with its days to expiry,
+ * stock, recent usage (from the Inventorylog), category and storage condition. The result
+ * is stored as a 'Regression' WastePrediction; an item scored again on the same day
+ * replaces that day's prediction. At-risk items predict the stock that will be left at
+ * expiry at the current rate of use; safe items predict no waste.
+ * @param {String} restaurant - Restaurant to score
+ * @param {Object} options - { baseUrl, timeout, now } passed on to the service client
+ * @returns {Object} - { scored, atRisk, skipped, failed, errors }
+ */
+export const scoreRestaurantWasteRisk = async (restaurant, { now = new Date(), ...clientOptions } = {}) => {
+    const items = await InventoryItem.find({
+        restaurant,
+        status: { $in: ['active', 'low_stock'] },
+        currentStock: { $gt: 0 }
+    });
+
+    const since = new Date(now.getTime() - WASTE_PREDICTION_LOOKBACK_DAYS * DAY_MS);
+    const consumption = await getConsumptionByItem(restaurant, since);
+
+    const startOfDay = new Date(now);
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const summary = { scored: 0, atRisk: 0, skipped: 0, failed: 0, errors: [] };
+
+    for (const item of items) {
+        // The model needs an expiry date; items that never expire cannot be scored
+        if (!item.expiryDate) {
+            summary.skipped++;
+            continue;
+        }
+
+        const usedQuantity = Math.max(0, consumption.get(item._id.toString()) || 0);
+        const features = buildWasteFeatures(item, usedQuantity);
+
+        let result;
+        try {
+            result = await predictWasteRisk(features, clientOptions);
+        } catch (error) {
+            if (error.unavailable) throw error;
+            summary.failed++;
+            summary.errors.push({ item: item.name, error: error.message });
+            continue;
+        }
+
+        const days = Math.max(0, daysToExpiry(item.expiryDate, now));
+        const dailyUsage = usedQuantity / WASTE_PREDICTION_LOOKBACK_DAYS;
+        const predictedWasteQuantity = result.atRisk
+            ? roundQuantity(Math.max(0, item.currentStock - dailyUsage * days))
+            : 0;
+
+        await WastePrediction.findOneAndUpdate(
+            {
+                ingredient: item._id,
+                restaurant,
+                predictionModel: 'Regression',
+                predictionDate: { $gte: startOfDay }
+            },
+            {
+                $set: {
+                    predictedWasteQuantity,
+                    predictionDate: now,
+                    confidenceScore: result.confidence,
+                    additionalNotes: `${result.label}: ${days} day(s) to expiry, ${features.quantity} ${item.unit} in stock, ${roundQuantity(usedQuantity)} ${item.unit} used in the last ${WASTE_PREDICTION_LOOKBACK_DAYS} days.`
+                }
+            },
+            { upsert: true, new: true, runValidators: true }
+        );
+
+        summary.scored++;
+        if (result.atRisk) summary.atRisk++;
+    }
+
+    return summary;
+};
@@ -0,0 +1,153 @@
+/**
+ * Test script to verify that concurrent orders never oversell stock
+ * Fires many orders at once against an ingredient that can only cover a few of them,
+ * then checks that currentStock never went negative and that every unit of stock
+ * is accounted for by a successful order. Finally cancels one order twice at once
+ * and checks its stock comes back exactly once.
+ * Run this with: node test-order-concurrency.js
+ * (uses MONGODB_URI if set, otherwise a local MongoDB)
+ */
+
+import mongoose from 'mongoose';
+import { InventoryItem } from './src/models/inventory/inventoryItem.model.js';
+import { Inventorylog } from './src/models/inventory/inventorylog.model.js';
+import { StockReservation } from './src/models/inventory/stockReservation.model.js';
+import { MenuItem } from './src/models/menu/menuItem.model.js';
+import { Order } from './src/models/order/order.model.js';
+import { Sales } from './src/models/demand/salesData.model.js';
+import { createOrder, updateOrderStatus } from './src/controllers/order.controller.js';
+
+const RESTAURANT = 'test-restaurant-concurrency';
+const INITIAL_STOCK = 1; // kg
+const GRAMS_PER_DISH = 200; // recipe uses grams, stock is kept in kg
+const CONCURRENT_ORDERS = 20;
+
+// Call a handler directly and resolve with the HTTP status it produced
+const callHandler = (handler, req) => {
+    return new Promise((resolve) => {
+        const res = {
+            status(code) {
+                return {
+                    json: (body) => resolve({ status: code, body })
+                };
+            }
+        };
+        const next = (error) => resolve({ status: error?.statusCode || 500, error });
+
+        handler(req, res, next);
+    });
+};
+
+const placeOrder = (user, menuItemId) => callHandler(createOrder, {
+    user,
+    body: {
+        customerName: 'Concurrency Test',
+        items: [{ menuItem: menuItemId, quantity: 1 }]
+    }
+});
+
+const cancelOrder = (user, orderId) => callHandler(updateOrderStatus, {
+    user,
+    permissions: [],
+    params: { id: orderId },
+    body: { status: 'cancelled' }
+});
+
+const cleanup = async () => {
+    await Order.deleteMany({ restaurant: RESTAURANT });
+    await Sales.deleteMany({ restaurant: RESTAURANT });
+    await Inventorylog.deleteMany({ restaurant: RESTAURANT });
+    await StockReservation.deleteMany({ restaurant: RESTAURANT });
+    await MenuItem.deleteMany({ restaurant: RESTAURANT });
+    await InventoryItem.deleteMany({ restaurant: RESTAURANT });
+};
+
+async function testOrderConcurrency() {
+    let failed = false;
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/smart-kitchen');
+        console.log('Connected to MongoDB');
+
+        await cleanup();
+
+        const user = {
+            _id: new mongoose.Types.ObjectId(),
+            restaurant: RESTAURANT
+        };
+
+        const ingredient = await InventoryItem.create({
+            name: 'Concurrency Test Flour',
+            quantity: INITIAL_STOCK,
+            currentStock: INITIAL_STOCK,
+            unit: 'kg',
+            category: 'grains',
+            storageCondition: 'dry_storage',
+            addedBy: user._id,
+            restaurant: RESTAURANT
+        });
+
+        const menuItem = await MenuItem.create({
+            name: 'Concurrency Test Bread',
+            ingredients: [{ ingredient: ingredient._id, quantity: GRAMS_PER_DISH, unit: 'g' }],
+            baseCost: 1,
+            suggestedPrice: 10,
+            restaurant: RESTAURANT
+        });
+
+        console.log(`Placing ${CONCURRENT_ORDERS} orders at once against ${INITIAL_STOCK} kg of stock (${GRAMS_PER_DISH} g per dish)`);
+
+        const results = await Promise.all(
+            Array.from({ length: CONCURRENT_ORDERS }, () => placeOrder(user, menuItem._id))
+        );
+
+        const succeeded = results.filter(result => result.status === 201).length;
+        const rejected = results.filter(result => result.status !== 201);
+        const finalItem = await InventoryItem.findById(ingredient._id);
+        const pendingReservations = await StockReservation.countDocuments({ restaurant: RESTAURANT, status: 'pending' });
+        const orderCount = await Order.countDocuments({ restaurant: RESTAURANT });
+        const maxPossible = Math.floor((INITIAL_STOCK * 1000) / GRAMS_PER_DISH);
+        const expectedStock = Math.round((INITIAL_STOCK - succeeded * GRAMS_PER_DISH / 1000) * 1e6) / 1e6;
+
+        console.log(`Succeeded: ${succeeded}, rejected: ${rejected.length}`);
+        console.log(`Rejection reasons: ${[...new Set(rejected.map(result => result.error?.message))].join(' | ')}`);
+        console.log(`Final stock: ${finalItem.currentStock} kg`);
+
+        const checks = [
+            ['currentStock never negative', finalItem.currentStock >= 0],
+            ['no more orders than stock allows', succeeded <= maxPossible],
+            ['stock matches successful orders', Math.abs(finalItem.currentStock - expectedStock) < 1e-6],
+            ['one order document per successful order', orderCount === succeeded],
+            ['no reservation left pending', pendingReservations === 0]
+        ];
+
+        // Cancelling the same order twice at once gives its stock back once
+        const cancelled = results.find(result => result.status === 201)?.body.data;
+        if (cancelled) {
+            await Promise.all([cancelOrder(user, cancelled._id), cancelOrder(user, cancelled._id)]);
+            const restoredItem = await InventoryItem.findById(ingredient._id);
+            const restoredStock = Math.round((expectedStock + GRAMS_PER_DISH / 1000) * 1e6) / 1e6;
+            console.log(`Stock after cancelling order #${cancelled.orderNumber}: ${restoredItem.currentStock} kg`);
+            checks.push(['cancelled order returns its stock exactly once', Math.abs(restoredItem.currentStock - restoredStock) < 1e-6]);
+        }
+
+        for (const [name, passed] of checks) {
+            console.log(`${passed ? '✅' : '❌'} ${name}`);
+            if (!passed) failed = true;
+        }
+
+        await cleanup();
+
+        console.log(failed ? 'Test failed!' : 'Test completed successfully!');
+    } catch (error) {
+        failed = true;
+        console.error('Test failed:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected from MongoDB');
+        process.exitCode = failed ? 1 : 0;
+    }
+}
+
+// Run the test
+testOrderConcurrency();
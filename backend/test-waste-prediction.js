@@ -0,0 +1,176 @@
+/**
+ * Test script for the waste prediction service client and the scoring job
+ * Starts a local stub of the FastAPI /predict endpoint, checks the request the client
+ * sends and how it reads answers and errors, then scores a test restaurant's inventory
+ * and checks the stored WastePrediction documents.
+ * Run this with: node test-waste-prediction.js
+ * (uses MONGODB_URI if set, otherwise a local MongoDB)
+ */
+
+import http from 'http';
+import mongoose from 'mongoose';
+import { InventoryItem } from './src/models/inventory/inventoryItem.model.js';
+import { Inventorylog } from './src/models/inventory/inventorylog.model.js';
+import { WastePrediction } from './src/models/demand/wastePrediction.model.js';
+import { buildWasteFeatures, predictWasteRisk } from './src/utils/wastePredictionClient.js';
+import { scoreRestaurantWasteRisk } from './src/utils/wasteRiskScorer.js';
+
+const RESTAURANT = 'test-restaurant-waste-prediction';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stub of the waste prediction service: items expiring within 3 days are at risk,
+// items named 'Unknown Label' are rejected like an unseen category would be
+const startStubServer = () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/health') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ status: 'API is running' }));
+        }
+
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const item = JSON.parse(body || '{}');
+            requests.push(item);
+
+            if (item.item_name === 'Unknown Label') {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ detail: 'y contains previously unseen labels' }));
+            }
+
+            const [day, month, year] = item.expiry_date.split('-').map(Number);
+            const days = Math.floor((new Date(year, month - 1, day) - new Date()) / DAY_MS);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                item_name: item.item_name,
+                waste_risk: days <= 3 ? 'At Risk' : 'Safe',
+                confidence: days <= 3 ? 0.85 : 0.7
+            }));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+};
+
+const cleanup = async () => {
+    await WastePrediction.deleteMany({ restaurant: RESTAURANT });
+    await Inventorylog.deleteMany({ restaurant: RESTAURANT });
+    await InventoryItem.deleteMany({ restaurant: RESTAURANT });
+};
+
+async function testWastePrediction() {
+    let failed = false;
+    const check = (name, passed) => {
+        console.log(`${passed ? '✅' : '❌'} ${name}`);
+        if (!passed) failed = true;
+    };
+
+    const { server, requests, baseUrl } = await startStubServer();
+    console.log(`Stub waste prediction service on ${baseUrl}`);
+
+    try {
+        // Client: request body and answer parsing
+        const soon = new Date(Date.now() + 2 * DAY_MS);
+        const features = buildWasteFeatures({
+            name: 'Milk',
+            expiryDate: soon,
+            currentStock: 4.6,
+            category: 'dairy',
+            storageCondition: 'fridge'
+        }, 1.23456);
+
+        check('features use the model categories', features.category === 'Dairy' && features.storage_condition === 'Fridge');
+        check('expiry date is sent as dd-mm-yyyy', /^\d{2}-\d{2}-\d{4}$/.test(features.expiry_date));
+        check('quantity is sent as an integer', features.quantity === 5);
+
+        const result = await predictWasteRisk(features, { baseUrl });
+        check('at-risk answer is read', result.atRisk === true && result.confidence === 0.85);
+
+        let rejected = null;
+        try {
+            await predictWasteRisk({ ...features, item_name: 'Unknown Label' }, { baseUrl });
+        } catch (error) {
+            rejected = error;
+        }
+        check('service errors are thrown per item', rejected && !rejected.unavailable);
+
+        let unavailable = null;
+        try {
+            await predictWasteRisk(features, { baseUrl: 'http://127.0.0.1:1', timeout: 1000 });
+        } catch (error) {
+            unavailable = error;
+        }
+        check('unreachable service is reported as unavailable', unavailable?.unavailable === true);
+
+        // Scoring job: stored predictions
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/smart-kitchen', {
+            serverSelectionTimeoutMS: 5000
+        });
+        console.log('Connected to MongoDB');
+
+        await cleanup();
+
+        const addedBy = new mongoose.Types.ObjectId();
+        const base = { unit: 'kg', storageCondition: 'fridge', addedBy, restaurant: RESTAURANT };
+        const atRiskItem = await InventoryItem.create({
+            ...base, name: 'Test Spinach', category: 'vegetables', quantity: 10, currentStock: 10,
+            expiryDate: new Date(Date.now() + 2.5 * DAY_MS)
+        });
+        const safeItem = await InventoryItem.create({
+            ...base, name: 'Test Rice', category: 'grains', storageCondition: 'dry_storage', quantity: 20, currentStock: 20,
+            expiryDate: new Date(Date.now() + 90 * DAY_MS)
+        });
+        await InventoryItem.create({
+            ...base, name: 'Test Salt', category: 'spices', quantity: 5, currentStock: 5
+        });
+        await InventoryItem.create({
+            ...base, name: 'Unknown Label', category: 'other', quantity: 1, currentStock: 1,
+            expiryDate: new Date(Date.now() + 5 * DAY_MS)
+        });
+
+        // 30 kg of spinach used in the lookback window: 1 kg a day for 2 days, so 8 kg left at expiry
+        await Inventorylog.create({ ingredient: atRiskItem._id, change: -30, reason: 'Order', date: new Date(), restaurant: RESTAURANT });
+
+        requests.length = 0;
+        const summary = await scoreRestaurantWasteRisk(RESTAURANT, { baseUrl });
+        console.log('Summary:', JSON.stringify(summary));
+
+        check('items with an expiry date are scored', summary.scored === 2);
+        check('items without an expiry date are skipped', summary.skipped === 1);
+        check('a rejected item does not stop the run', summary.failed === 1);
+
+        const spinachRequest = requests.find(r => r.item_name === 'Test Spinach');
+        check('used quantity comes from the inventory log', spinachRequest?.used_quantity === 30);
+
+        const atRiskPrediction = await WastePrediction.findOne({ ingredient: atRiskItem._id });
+        const safePrediction = await WastePrediction.findOne({ ingredient: safeItem._id });
+        check('predictions are stored as Regression', atRiskPrediction?.predictionModel === 'Regression');
+        check('confidence score is stored', atRiskPrediction?.confidenceScore === 0.85);
+        check('at-risk item predicts the stock left at expiry', atRiskPrediction?.predictedWasteQuantity === 8);
+        check('safe item predicts no waste', safePrediction?.predictedWasteQuantity === 0);
+
+        await scoreRestaurantWasteRisk(RESTAURANT, { baseUrl });
+        const count = await WastePrediction.countDocuments({ ingredient: atRiskItem._id });
+        check('scoring twice on one day keeps one prediction', count === 1);
+
+        await cleanup();
+
+        console.log(failed ? 'Test failed!' : 'Test completed successfully!');
+    } catch (error) {
+        failed = true;
+        console.error('Test failed:', error);
+    } finally {
+        server.close();
+        await mongoose.disconnect();
+        console.log('Disconnected from MongoDB');
+        process.exitCode = failed ? 1 : 0;
+    }
+}
+
+// Run the test
+testWastePrediction();
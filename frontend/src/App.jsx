@@ -19,10 +19,21 @@ function App() {
             <Route path="/inventory" element={<Home />} />
             <Route path="/orders" element={<Home />} />
             <Route path="/menu" element={<Home />} />
+            <Route path="/promotions" element={<Home />} />
+            <Route path="/cash-drawer" element={<Home />} />
+            <Route path="/purchasing" element={<Home />} />
+            <Route path="/kds" element={<Home />} />
+            <Route path="/prep-list" element={<Home />} />
+            <Route path="/stocktake" element={<Home />} />
+            <Route path="/permissions" element={<Home />} />
+            <Route path="/shifts" element={<Home />} />
+            <Route path="/audit-log" element={<Home />} />
+            <Route path="/trash" element={<Home />} />
             <Route path="/recipes" element={<Home />} />
             <Route path="/waste" element={<Home />} />
             <Route path="/reports" element={<Home />} />
             <Route path="/employees" element={<Home />} />
+            <Route path="/restaurant-profile" element={<Home />} />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
           <Toaster position="top-right" richColors />
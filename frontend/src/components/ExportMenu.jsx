@@ -0,0 +1,76 @@
+import { useState, useEffect, useRef } from "react";
+import { toast } from "sonner";
+
+const FORMATS = [
+  { format: "csv", label: "CSV" },
+  { format: "xlsx", label: "Excel (XLSX)" },
+  { format: "pdf", label: "PDF" }
+];
+
+// Export button with a format menu; onExport(format) fetches the file as a Blob
+function ExportMenu({ onExport, filename, label = "Export", className = "px-4 py-2 rounded bg-purple-500 hover:bg-purple-600" }) {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close the menu on a click anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    setExporting(true);
+    try {
+      const blob = await onExport(format);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${filename}_${new Date().toISOString().split("T")[0]}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+      toast.success("Export downloaded");
+    } catch (error) {
+      toast.error("Failed to export: " + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative inline-block" ref={menuRef}>
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        disabled={exporting}
+        className={`text-white disabled:opacity-50 flex items-center space-x-2 ${className}`}
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+        </svg>
+        <span>{exporting ? "Exporting..." : label}</span>
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-40 bg-white border border-gray-200 rounded shadow-lg z-20">
+          {FORMATS.map(({ format, label: formatLabel }) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              className="block w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-100"
+            >
+              {formatLabel}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
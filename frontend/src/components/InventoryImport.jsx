@@ -0,0 +1,177 @@
+import { useState } from "react";
+import { toast } from "sonner";
+import { InventoryAPI } from "../utils/api";
+
+const ACTION_STYLES = {
+  create: "bg-green-100 text-green-800",
+  update: "bg-blue-100 text-blue-800",
+  unchanged: "bg-gray-100 text-gray-700",
+  error: "bg-red-100 text-red-800"
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value)) return value.split("T")[0];
+  return String(value);
+};
+
+// Upload a CSV or XLSX file, review the dry-run report, then import it
+function InventoryImport({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [showAllRows, setShowAllRows] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+  };
+
+  const handleCheck = async () => {
+    if (!file) return;
+    setChecking(true);
+    try {
+      const response = await InventoryAPI.importItems(file);
+      setReport(response.data);
+    } catch (error) {
+      toast.error("Failed to check the file: " + error.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const response = await InventoryAPI.importItems(file, true);
+      toast.success(response.message);
+      onImported?.();
+      onClose();
+    } catch (error) {
+      toast.error("Failed to import: " + error.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const summary = report?.summary;
+  const changeCount = summary ? summary.create + summary.update : 0;
+  const rows = report ? report.rows.filter(row => showAllRows || row.action !== "unchanged") : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold mb-1">Import Inventory</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Use the columns of the CSV export. Rows match items by ID, or by name and category; blank cells keep the current value.
+          The file is checked first and nothing is saved until you import it.
+        </p>
+
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <input
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={handleFileChange}
+            className="text-sm"
+          />
+          <button
+            onClick={handleCheck}
+            disabled={!file || checking}
+            className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            {checking ? "Checking..." : "Check File"}
+          </button>
+        </div>
+
+        {summary && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+              {["create", "update", "unchanged", "error"].map(action => (
+                <div key={action} className={`rounded p-3 ${ACTION_STYLES[action]}`}>
+                  <p className="text-xs capitalize">{action === "error" ? "Errors" : action}</p>
+                  <p className="text-xl font-semibold">{summary[action]}</p>
+                </div>
+              ))}
+            </div>
+
+            {report.ignoredColumns.length > 0 && (
+              <p className="text-xs text-gray-500 mb-2">Ignored columns: {report.ignoredColumns.join(", ")}</p>
+            )}
+
+            <label className="flex items-center space-x-2 text-sm mb-2">
+              <input type="checkbox" checked={showAllRows} onChange={(e) => setShowAllRows(e.target.checked)} />
+              <span>Show unchanged rows</span>
+            </label>
+
+            <div className="overflow-auto border rounded flex-1 min-h-0">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Row</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Action</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Item</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.row} className="border-t align-top">
+                      <td className="py-2 px-3">{row.row}</td>
+                      <td className="py-2 px-3">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${ACTION_STYLES[row.action]}`}>
+                          {row.action}
+                        </span>
+                      </td>
+                      <td className="py-2 px-3">
+                        {row.name || "—"}
+                        {row.matchedBy && <div className="text-xs text-gray-500">matched by {row.matchedBy}</div>}
+                      </td>
+                      <td className="py-2 px-3">
+                        {row.errors.map((error, index) => (
+                          <div key={index} className="text-red-600">{error}</div>
+                        ))}
+                        {row.changes.map(change => (
+                          <div key={change.field} className="text-gray-700">
+                            {change.field}: {formatValue(change.before)} → {formatValue(change.after)}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {rows.length === 0 && (
+                <div className="text-center py-6 text-gray-500">
+                  <p>Nothing to change.</p>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-end items-center gap-2 mt-4">
+          {summary?.error > 0 && (
+            <span className="text-sm text-red-600 mr-auto">Fix the rows with errors and check the file again.</span>
+          )}
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!summary || summary.error > 0 || changeCount === 0 || importing}
+            className="px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 disabled:opacity-50"
+          >
+            {importing ? "Importing..." : `Import ${changeCount} Change(s)`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default InventoryImport;
@@ -0,0 +1,114 @@
+import { useState, useEffect } from "react";
+import { toast } from "sonner";
+import {
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from "recharts";
+import { DashboardAPI } from "../utils/api";
+
+const formatMoney = (value) => `$${(value || 0).toFixed(2)}`;
+
+function LaborCostChart() {
+  const [report, setReport] = useState(null);
+  const [days, setDays] = useState(14);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      setLoading(true);
+      try {
+        const response = await DashboardAPI.getLaborCost({ days });
+        setReport(response.data);
+      } catch (error) {
+        toast.error("Failed to fetch labor cost: " + error.message);
+        setReport(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchReport();
+  }, [days]);
+
+  if (loading && !report) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 flex items-center justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (!report) return null;
+
+  const { totals } = report;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-medium">Labor Cost vs Sales</h3>
+          <p className="text-sm text-gray-500">
+            Hours worked at each punch's hourly rate against the revenue of the day's orders.
+          </p>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+        >
+          <option value={7}>Last 7 days</option>
+          <option value={14}>Last 14 days</option>
+          <option value={30}>Last 30 days</option>
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        <div>
+          <p className="text-sm text-gray-500">Labor Cost</p>
+          <p className="text-xl font-bold text-orange-600">{formatMoney(totals.laborCost)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-500">Revenue</p>
+          <p className="text-xl font-bold text-green-600">{formatMoney(totals.revenue)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-500">Labor %</p>
+          <p className="text-xl font-bold text-blue-600">
+            {totals.laborCostPercent !== null ? `${totals.laborCostPercent}%` : "-"}
+          </p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-500">Hours (scheduled)</p>
+          <p className="text-xl font-bold text-gray-700">
+            {totals.hours} <span className="text-sm font-normal text-gray-500">({totals.scheduledHours})</span>
+          </p>
+        </div>
+      </div>
+
+      <ResponsiveContainer width="100%" height={300}>
+        <ComposedChart data={report.days}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="date" tick={{ fontSize: 11 }} />
+          <YAxis yAxisId="money" />
+          <YAxis yAxisId="percent" orientation="right" unit="%" />
+          <Tooltip
+            formatter={(value, name) => (name === "Labor %" ? [`${value}%`, name] : [formatMoney(value), name])}
+          />
+          <Legend />
+          <Bar yAxisId="money" dataKey="revenue" name="Revenue" fill="#16a34a" />
+          <Bar yAxisId="money" dataKey="laborCost" name="Labor Cost" fill="#f97316" />
+          <Bar yAxisId="money" dataKey="scheduledCost" name="Scheduled Cost" fill="#fdba74" />
+          <Line yAxisId="percent" type="monotone" dataKey="laborCostPercent" name="Labor %" stroke="#2563eb" strokeWidth={2} connectNulls />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+export default LaborCostChart;
@@ -0,0 +1,143 @@
+import { useState, useEffect } from "react";
+import { toast } from "sonner";
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  ZAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from "recharts";
+import { SalesAPI } from "../utils/api";
+
+const CLASSES = {
+  star: { label: "Stars", color: "#16a34a", badge: "bg-green-100 text-green-800" },
+  plowhorse: { label: "Plowhorses", color: "#2563eb", badge: "bg-blue-100 text-blue-800" },
+  puzzle: { label: "Puzzles", color: "#d97706", badge: "bg-yellow-100 text-yellow-800" },
+  dog: { label: "Dogs", color: "#dc2626", badge: "bg-red-100 text-red-800" }
+};
+
+function MenuEngineeringTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const item = payload[0].payload;
+  return (
+    <div className="bg-white border border-gray-200 rounded p-3 shadow text-sm">
+      <p className="font-semibold">{item.menuItem.name}</p>
+      <p>Sold: {item.quantitySold} ({item.menuMix}% of mix)</p>
+      <p>Margin per dish: ${item.contributionMargin.toFixed(2)}</p>
+      <p className="capitalize">Class: {item.classification}</p>
+    </div>
+  );
+}
+
+function MenuEngineering({ period }) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      setLoading(true);
+      try {
+        const response = await SalesAPI.getMenuEngineering({ period });
+        setReport(response.data);
+      } catch (error) {
+        toast.error("Failed to fetch menu engineering report: " + error.message);
+        setReport(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchReport();
+  }, [period]);
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 flex items-center justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (!report || report.items.length === 0) return null;
+
+  const { items, thresholds, summary } = report;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold mb-1">Menu Engineering</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Popularity (menu mix) against contribution margin per dish. Lines mark the popularity
+        threshold ({thresholds.popularityThreshold}%) and the average margin (${thresholds.averageContributionMargin.toFixed(2)}).
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        {Object.entries(CLASSES).map(([key, meta]) => (
+          <div key={key} className="p-4 rounded-lg border" style={{ borderColor: meta.color }}>
+            <h4 className="text-sm font-medium" style={{ color: meta.color }}>{meta.label}</h4>
+            <p className="text-2xl font-bold text-gray-800">{summary[key] || 0}</p>
+          </div>
+        ))}
+      </div>
+
+      <ResponsiveContainer width="100%" height={360}>
+        <ScatterChart margin={{ top: 20, right: 30, bottom: 20, left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis type="number" dataKey="menuMix" name="Menu Mix" unit="%" />
+          <YAxis type="number" dataKey="contributionMargin" name="Contribution Margin" unit="$" />
+          <ZAxis range={[80, 80]} />
+          <Tooltip content={<MenuEngineeringTooltip />} />
+          <Legend />
+          <ReferenceLine x={thresholds.popularityThreshold} stroke="#6b7280" strokeDasharray="4 4" />
+          <ReferenceLine y={thresholds.averageContributionMargin} stroke="#6b7280" strokeDasharray="4 4" />
+          {Object.entries(CLASSES).map(([key, meta]) => (
+            <Scatter
+              key={key}
+              name={meta.label}
+              data={items.filter(item => item.classification === key)}
+              fill={meta.color}
+            />
+          ))}
+        </ScatterChart>
+      </ResponsiveContainer>
+
+      <div className="overflow-x-auto mt-6">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="py-2 px-3 text-left font-medium text-gray-700">Item</th>
+              <th className="py-2 px-3 text-left font-medium text-gray-700">Sold</th>
+              <th className="py-2 px-3 text-left font-medium text-gray-700">Menu Mix</th>
+              <th className="py-2 px-3 text-left font-medium text-gray-700">Margin / Dish</th>
+              <th className="py-2 px-3 text-left font-medium text-gray-700">Total Contribution</th>
+              <th className="py-2 px-3 text-left font-medium text-gray-700">Class</th>
+              <th className="py-2 px-3 text-left font-medium text-gray-700">Suggested Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map(item => (
+              <tr key={item.menuItem._id} className="border-t">
+                <td className="py-2 px-3 font-medium text-gray-800">{item.menuItem.name}</td>
+                <td className="py-2 px-3 text-gray-700">{item.quantitySold}</td>
+                <td className="py-2 px-3 text-gray-700">{item.menuMix}%</td>
+                <td className="py-2 px-3 text-gray-700">${item.contributionMargin.toFixed(2)}</td>
+                <td className="py-2 px-3 text-gray-700">${item.totalContribution.toFixed(2)}</td>
+                <td className="py-2 px-3">
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${CLASSES[item.classification].badge}`}>
+                    {item.classification}
+                  </span>
+                </td>
+                <td className="py-2 px-3 text-gray-600">{item.suggestion}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default MenuEngineering;
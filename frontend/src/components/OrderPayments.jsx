@@ -0,0 +1,465 @@
+import { useState, useEffect } from "react";
+import { toast } from "sonner";
+import { OrderAPI } from "../utils/api";
+import { useAuth } from "../utils/useAuth";
+import { hasPermission } from "../utils/permissions";
+
+export const PAYMENT_METHOD_LABELS = {
+  cash: "Cash",
+  card: "Card",
+  upi: "UPI",
+  mobile: "Mobile payment",
+  online: "Online",
+  other: "Other",
+  split: "Split payment"
+};
+
+const TENDER_METHODS = ["cash", "card", "upi", "mobile", "online", "other"];
+
+const money = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+const emptyTender = (amount = "") => ({ method: "cash", amount, tendered: "", reference: "" });
+
+// Lines of an order that can be put on split bills
+const orderLines = (order) => [
+  ...(order.items || []).map(item => ({ _id: item._id, name: item.menuItem?.name || "Unknown Item", quantity: item.quantity })),
+  ...(order.recipes || []).map(entry => ({ _id: entry._id, name: entry.recipe?.generatedRecipeName || "Recipe", quantity: entry.quantity }))
+];
+
+// Payments of one order: split the bill, take payment in one or more tenders, and refund
+function OrderPayments({ order, onClose }) {
+  const { user } = useAuth();
+  const canTake = hasPermission(user, "payments:take");
+  const canRefund = hasPermission(user, "payments:refund");
+
+  const [summary, setSummary] = useState(null);
+  const [bill, setBill] = useState("");
+  const [tenders, setTenders] = useState([emptyTender()]);
+  const [splitMode, setSplitMode] = useState(null);
+  const [evenCount, setEvenCount] = useState(2);
+  const [itemBills, setItemBills] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPayments = async () => {
+    try {
+      const response = await OrderAPI.getPayments(order._id);
+      setSummary(response.data);
+      const firstDueBill = response.data.order.splitBill?.bills.findIndex(entry => entry.amount - entry.amountPaid > 0.005);
+      const selectedBill = firstDueBill !== undefined && firstDueBill >= 0 ? firstDueBill : "";
+      setBill(selectedBill);
+      const due = selectedBill === ""
+        ? response.data.due
+        : response.data.order.splitBill.bills[selectedBill].amount - response.data.order.splitBill.bills[selectedBill].amountPaid;
+      setTenders([emptyTender(due > 0 ? due.toFixed(2) : "")]);
+    } catch (error) {
+      toast.error("Failed to fetch payments: " + error.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchPayments();
+  }, [order._id]);
+
+  if (!summary) {
+    return null;
+  }
+
+  const { order: paidOrder, due, payments } = summary;
+  const splitBill = paidOrder.splitBill;
+  const lines = orderLines(order);
+  const billDue = (index) => splitBill.bills[index].amount - splitBill.bills[index].amountPaid;
+  const amountDue = splitBill && bill !== "" ? billDue(bill) : due;
+  const tenderTotal = tenders.reduce((total, tender) => total + (Number(tender.amount) || 0), 0);
+
+  const updateTender = (index, field, value) => {
+    setTenders(prev => prev.map((tender, i) => (i === index ? { ...tender, [field]: value } : tender)));
+  };
+
+  const handleSelectBill = (value) => {
+    const index = Number(value);
+    setBill(index);
+    setTenders([emptyTender(billDue(index).toFixed(2))]);
+  };
+
+  const handleTakePayment = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await OrderAPI.takePayment(order._id, {
+        tenders: tenders.map(tender => ({
+          method: tender.method,
+          amount: Number(tender.amount),
+          tendered: tender.method === "cash" && tender.tendered !== "" ? Number(tender.tendered) : undefined,
+          reference: tender.reference || undefined
+        })),
+        bill: splitBill ? bill : undefined
+      });
+      const change = tenders.reduce((total, tender) => (
+        tender.method === "cash" && tender.tendered !== "" ? total + Number(tender.tendered) - Number(tender.amount) : total
+      ), 0);
+      toast.success(change > 0 ? `Payment recorded. Change due: ${money(change)}` : "Payment recorded");
+      await fetchPayments();
+    } catch (error) {
+      toast.error("Failed to take payment: " + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRefund = async (payment) => {
+    const refundable = payment.amount - payment.refundedAmount;
+    const amount = window.prompt(`Amount to refund (up to ${money(refundable)}):`, refundable.toFixed(2));
+    if (amount === null) return;
+    const reason = window.prompt("Reason for the refund:", "") ?? "";
+
+    setSaving(true);
+    try {
+      const response = await OrderAPI.refundOrder(order._id, { payment: payment._id, amount: Number(amount), reason });
+      toast.success(response.message);
+      await fetchPayments();
+    } catch (error) {
+      toast.error("Failed to refund: " + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openItemSplit = () => {
+    // Everything starts on the first of two bills
+    setItemBills([
+      { label: "Guest 1", quantities: Object.fromEntries(lines.map(line => [line._id, line.quantity])) },
+      { label: "Guest 2", quantities: Object.fromEntries(lines.map(line => [line._id, 0])) }
+    ]);
+    setSplitMode("items");
+  };
+
+  const updateItemBill = (index, changes) => {
+    setItemBills(prev => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  };
+
+  const handleSplit = async () => {
+    setSaving(true);
+    try {
+      if (splitMode === "even") {
+        await OrderAPI.splitBill(order._id, { mode: "even", count: Number(evenCount) });
+      } else {
+        await OrderAPI.splitBill(order._id, {
+          mode: "items",
+          bills: itemBills.map(entry => ({
+            label: entry.label,
+            lines: lines
+              .filter(line => Number(entry.quantities[line._id]) > 0)
+              .map(line => ({ line: line._id, quantity: Number(entry.quantities[line._id]) }))
+          }))
+        });
+      }
+      toast.success("Bill split");
+      setSplitMode(null);
+      await fetchPayments();
+    } catch (error) {
+      toast.error("Failed to split the bill: " + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnsplit = async () => {
+    setSaving(true);
+    try {
+      await OrderAPI.unsplitBill(order._id);
+      toast.success("Bill put back together");
+      await fetchPayments();
+    } catch (error) {
+      toast.error("Failed to put the bill back together: " + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canPay = canTake && paidOrder.status !== "cancelled" && amountDue > 0.005;
+  const canSplit = canTake && paidOrder.status !== "cancelled" && !(paidOrder.amountPaid > 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold">Payments · Order #{paidOrder.orderNumber}</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">✕</button>
+        </div>
+
+        <div className="grid grid-cols-4 gap-3 mb-4 text-sm">
+          {[["Total", paidOrder.totalAmount], ["Paid", paidOrder.amountPaid], ["Refunded", paidOrder.amountRefunded], ["Due", due]].map(([label, amount]) => (
+            <div key={label} className="bg-gray-50 rounded-lg p-3">
+              <div className="text-gray-500">{label}</div>
+              <div className="text-lg font-semibold">{money(amount)}</div>
+            </div>
+          ))}
+        </div>
+
+        {splitBill && (
+          <div className="mb-4">
+            <div className="flex justify-between items-center mb-2">
+              <h4 className="font-medium">Split bill ({splitBill.mode === "even" ? "evenly" : "by items"})</h4>
+              {canSplit && (
+                <button onClick={handleUnsplit} disabled={saving} className="text-sm text-blue-600 hover:underline">
+                  Put back together
+                </button>
+              )}
+            </div>
+            <ul className="space-y-1 text-sm">
+              {splitBill.bills.map((entry, index) => (
+                <li key={index} className="flex justify-between">
+                  <span>
+                    {entry.label}
+                    {entry.lines.length > 0 && (
+                      <span className="text-gray-500">
+                        {" "}({entry.lines.map(billLine => `${billLine.quantity}x ${lines.find(line => line._id === billLine.line)?.name || "item"}`).join(", ")})
+                      </span>
+                    )}
+                  </span>
+                  <span>
+                    {money(entry.amount)}
+                    {billDue(index) <= 0.005
+                      ? <span className="ml-2 text-green-700">Paid</span>
+                      : <span className="ml-2 text-gray-500">{money(billDue(index))} due</span>}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {canSplit && !splitBill && (
+          <div className="mb-4">
+            {splitMode === null && (
+              <div className="flex space-x-2">
+                <button onClick={() => setSplitMode("even")} className="px-3 py-1 rounded bg-gray-200 hover:bg-gray-300 text-sm">
+                  Split evenly
+                </button>
+                <button onClick={openItemSplit} className="px-3 py-1 rounded bg-gray-200 hover:bg-gray-300 text-sm">
+                  Split by items
+                </button>
+              </div>
+            )}
+
+            {splitMode === "even" && (
+              <div className="flex items-center space-x-2 text-sm">
+                <span>Split between</span>
+                <input
+                  type="number"
+                  min="2"
+                  value={evenCount}
+                  onChange={(e) => setEvenCount(e.target.value)}
+                  className="w-20 px-2 py-1 border border-gray-300 rounded"
+                />
+                <span>guests</span>
+                <button onClick={handleSplit} disabled={saving} className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700">
+                  Split
+                </button>
+                <button onClick={() => setSplitMode(null)} className="px-3 py-1 rounded bg-gray-200 hover:bg-gray-300">
+                  Cancel
+                </button>
+              </div>
+            )}
+
+            {splitMode === "items" && (
+              <div className="text-sm">
+                <div className="overflow-x-auto">
+                  <table className="min-w-full">
+                    <thead>
+                      <tr>
+                        <th className="py-1 pr-3 text-left font-medium text-gray-700">Item</th>
+                        {itemBills.map((entry, index) => (
+                          <th key={index} className="py-1 px-1 text-left">
+                            <input
+                              type="text"
+                              value={entry.label}
+                              onChange={(e) => updateItemBill(index, { label: e.target.value })}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded font-medium"
+                            />
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {lines.map(line => {
+                        const assigned = itemBills.reduce((total, entry) => total + (Number(entry.quantities[line._id]) || 0), 0);
+                        return (
+                          <tr key={line._id} className="border-t">
+                            <td className={`py-1 pr-3 ${assigned !== line.quantity ? "text-red-600" : ""}`}>
+                              {line.name} ({assigned}/{line.quantity})
+                            </td>
+                            {itemBills.map((entry, index) => (
+                              <td key={index} className="py-1 px-1">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max={line.quantity}
+                                  value={entry.quantities[line._id]}
+                                  onChange={(e) => updateItemBill(index, { quantities: { ...entry.quantities, [line._id]: e.target.value } })}
+                                  className="w-24 px-2 py-1 border border-gray-300 rounded"
+                                />
+                              </td>
+                            ))}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="flex space-x-2 mt-2">
+                  <button
+                    onClick={() => setItemBills(prev => [...prev, {
+                      label: `Guest ${prev.length + 1}`,
+                      quantities: Object.fromEntries(lines.map(line => [line._id, 0]))
+                    }])}
+                    className="px-3 py-1 rounded bg-gray-200 hover:bg-gray-300"
+                  >
+                    + Guest
+                  </button>
+                  <button onClick={handleSplit} disabled={saving} className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700">
+                    Split
+                  </button>
+                  <button onClick={() => setSplitMode(null)} className="px-3 py-1 rounded bg-gray-200 hover:bg-gray-300">
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {canPay && (
+          <form onSubmit={handleTakePayment} className="mb-4 border-t pt-4 space-y-2">
+            <div className="flex justify-between items-center">
+              <h4 className="font-medium">Take payment</h4>
+              {splitBill && (
+                <select
+                  value={bill}
+                  onChange={(e) => handleSelectBill(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                >
+                  {splitBill.bills.map((entry, index) => (
+                    <option key={index} value={index} disabled={billDue(index) <= 0.005}>
+                      {entry.label} ({money(billDue(index))} due)
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+            {tenders.map((tender, index) => (
+              <div key={index} className="flex space-x-2 text-sm">
+                <select
+                  value={tender.method}
+                  onChange={(e) => updateTender(index, "method", e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded"
+                >
+                  {TENDER_METHODS.map(method => (
+                    <option key={method} value={method}>{PAYMENT_METHOD_LABELS[method]}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0.01"
+                  value={tender.amount}
+                  onChange={(e) => updateTender(index, "amount", e.target.value)}
+                  placeholder="Amount"
+                  className="w-28 px-2 py-1 border border-gray-300 rounded"
+                  required
+                />
+                {tender.method === "cash" ? (
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={tender.tendered}
+                    onChange={(e) => updateTender(index, "tendered", e.target.value)}
+                    placeholder="Cash given"
+                    className="w-28 px-2 py-1 border border-gray-300 rounded"
+                  />
+                ) : (
+                  <input
+                    type="text"
+                    value={tender.reference}
+                    onChange={(e) => updateTender(index, "reference", e.target.value)}
+                    placeholder="Reference"
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded"
+                  />
+                )}
+                {tenders.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => setTenders(prev => prev.filter((_, i) => i !== index))}
+                    className="text-red-600 hover:text-red-800 px-2"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+            <div className="flex justify-between items-center text-sm">
+              <button
+                type="button"
+                onClick={() => setTenders(prev => [...prev, emptyTender(Math.max(amountDue - tenderTotal, 0).toFixed(2))])}
+                className="text-blue-600 hover:underline"
+              >
+                + Add tender
+              </button>
+              <div className="space-x-3">
+                <span className={tenderTotal > amountDue + 0.005 ? "text-red-600" : "text-gray-600"}>
+                  {money(tenderTotal)} of {money(amountDue)}
+                </span>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-1 rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                >
+                  Record Payment
+                </button>
+              </div>
+            </div>
+          </form>
+        )}
+
+        <div className="border-t pt-4">
+          <h4 className="font-medium mb-2">History</h4>
+          {payments.length === 0 ? (
+            <p className="text-sm text-gray-500">No payments yet.</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <tbody>
+                {payments.map(payment => (
+                  <tr key={payment._id} className="border-t">
+                    <td className="py-1 pr-2">{new Date(payment.createdAt).toLocaleString([], { dateStyle: "short", timeStyle: "short" })}</td>
+                    <td className="py-1 pr-2">
+                      {payment.kind === "refund" ? "Refund" : "Payment"} · {PAYMENT_METHOD_LABELS[payment.method] || payment.method}
+                      {splitBill && payment.bill !== undefined && splitBill.bills[payment.bill] && (
+                        <span className="text-gray-500"> · {splitBill.bills[payment.bill].label}</span>
+                      )}
+                      {payment.reference && <span className="text-gray-500"> · {payment.reference}</span>}
+                      {payment.reason && <span className="text-gray-500"> · {payment.reason}</span>}
+                      {payment.change > 0 && <span className="text-gray-500"> · change {money(payment.change)}</span>}
+                    </td>
+                    <td className={`py-1 pr-2 text-right ${payment.kind === "refund" ? "text-red-600" : ""}`}>
+                      {payment.kind === "refund" ? "-" : ""}{money(payment.amount)}
+                    </td>
+                    <td className="py-1 text-right">
+                      {canRefund && payment.kind === "payment" && payment.amount - payment.refundedAmount > 0.005 && (
+                        <button onClick={() => handleRefund(payment)} disabled={saving} className="text-red-600 hover:underline">
+                          Refund
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OrderPayments;
@@ -0,0 +1,84 @@
+import { useState, useEffect } from "react";
+import { OrderAPI } from "../utils/api";
+
+// Totals of an order being entered, priced by the server with its promotions and taxes
+function OrderPriceSummary({ items, orderType, couponCode }) {
+  const [quote, setQuote] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (items.length === 0) {
+      setQuote(null);
+      setError("");
+      return;
+    }
+
+    // Wait for typing to settle before asking the server
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await OrderAPI.quoteOrder({
+          items: items.map(item => ({
+            menuItem: item.menuItem._id,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice
+          })),
+          orderType,
+          couponCode
+        });
+        if (!cancelled) {
+          setQuote(response.data);
+          setError("");
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setQuote(null);
+          setError(err.message);
+        }
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [items, orderType, couponCode]);
+
+  if (items.length === 0) return null;
+
+  const subtotal = items.reduce((total, item) => total + item.totalPrice, 0);
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 rounded-lg text-sm space-y-1">
+      <div className="flex justify-between">
+        <span>Subtotal:</span>
+        <span>${subtotal.toFixed(2)}</span>
+      </div>
+      {quote?.appliedPromotions.map(applied => (
+        <div key={applied.promotion} className="flex justify-between text-green-700">
+          <span>{applied.name}{applied.couponCode ? ` (${applied.couponCode})` : ""}:</span>
+          <span>-${applied.amount.toFixed(2)}</span>
+        </div>
+      ))}
+      {quote?.serviceCharge > 0 && (
+        <div className="flex justify-between">
+          <span>Service charge:</span>
+          <span>${quote.serviceCharge.toFixed(2)}</span>
+        </div>
+      )}
+      {quote?.taxLines.map(line => (
+        <div key={line.rate} className="flex justify-between text-gray-600">
+          <span>{quote.pricesIncludeTax ? `Incl. ${line.label}` : line.label}:</span>
+          <span>${line.amount.toFixed(2)}</span>
+        </div>
+      ))}
+      <div className="flex justify-between font-medium text-base">
+        <span>Total:</span>
+        <span>${(quote ? quote.totalAmount : subtotal).toFixed(2)}</span>
+      </div>
+      {error && <p className="text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+export default OrderPriceSummary;
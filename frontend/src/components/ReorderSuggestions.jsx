@@ -0,0 +1,163 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "sonner";
+import { InventoryAPI, PurchaseOrderAPI } from "../utils/api";
+import ExportMenu from "./ExportMenu";
+
+const URGENCY_STYLES = {
+  critical: "bg-red-100 text-red-800",
+  high: "bg-yellow-100 text-yellow-800",
+  normal: "bg-blue-100 text-blue-800"
+};
+
+function ReorderSuggestions() {
+  const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [selected, setSelected] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [converting, setConverting] = useState(false);
+
+  const fetchSuggestions = async () => {
+    setLoading(true);
+    try {
+      const response = await InventoryAPI.getReorderSuggestions();
+      const docs = response.data?.suggestions || [];
+      setSuggestions(docs);
+      setSummary(response.data?.summary || null);
+      // Pre-select everything that can be ordered from a supplier
+      setSelected(Object.fromEntries(
+        docs.filter(s => s.supplier).map(s => [s.inventoryItem._id, true])
+      ));
+    } catch (error) {
+      console.error("Failed to fetch reorder suggestions:", error);
+      setSuggestions([]);
+      setSummary(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSuggestions();
+  }, []);
+
+  const handleCreateDrafts = async () => {
+    const items = suggestions
+      .filter(s => selected[s.inventoryItem._id] && s.supplier)
+      .map(s => ({
+        inventoryItem: s.inventoryItem._id,
+        quantity: s.suggestedQuantity,
+        supplier: s.supplier._id
+      }));
+
+    if (items.length === 0) {
+      toast.error("Select at least one item that has a supplier");
+      return;
+    }
+
+    setConverting(true);
+    try {
+      const response = await PurchaseOrderAPI.createFromSuggestions({ items });
+      toast.success(response.message || "Draft purchase orders created");
+      navigate("/purchasing");
+    } catch (error) {
+      toast.error("Failed to create purchase orders: " + error.message);
+    } finally {
+      setConverting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h3 className="text-lg font-medium">Reorder Suggestions</h3>
+          {summary && (
+            <p className="text-sm text-gray-500">
+              {summary.totalSuggestions} item(s) to reorder · {summary.critical} critical · est. ${summary.estimatedTotalCost.toFixed(2)}
+            </p>
+          )}
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={fetchSuggestions}
+            disabled={loading}
+            className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300 text-sm disabled:opacity-50"
+          >
+            {loading ? "Loading..." : "Refresh"}
+          </button>
+          {suggestions.length > 0 && (
+            <ExportMenu
+              onExport={(format) => InventoryAPI.exportReorderSuggestions({ format })}
+              filename="reorder_suggestions"
+              className="px-3 py-1 rounded-md bg-green-600 hover:bg-green-700 text-sm"
+            />
+          )}
+          <button
+            onClick={handleCreateDrafts}
+            disabled={converting || suggestions.length === 0}
+            className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm disabled:opacity-50"
+          >
+            {converting ? "Creating..." : "Create Draft POs"}
+          </button>
+        </div>
+      </div>
+
+      {suggestions.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {loading ? "Calculating suggestions..." : "Stock levels cover expected usage. Nothing to reorder."}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="py-2 px-3 text-left font-medium text-gray-700"></th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Item</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Stock</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Daily Usage</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Days of Cover</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Suggested</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Supplier</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Urgency</th>
+              </tr>
+            </thead>
+            <tbody>
+              {suggestions.map((s) => (
+                <tr key={s.inventoryItem._id} className="border-t hover:bg-gray-50">
+                  <td className="py-2 px-3">
+                    <input
+                      type="checkbox"
+                      disabled={!s.supplier}
+                      checked={!!selected[s.inventoryItem._id]}
+                      onChange={(e) => setSelected(prev => ({ ...prev, [s.inventoryItem._id]: e.target.checked }))}
+                    />
+                  </td>
+                  <td className="py-2 px-3 font-medium text-gray-800">{s.inventoryItem.name}</td>
+                  <td className="py-2 px-3 text-gray-700">
+                    {s.currentStock} {s.unit}
+                    {s.onOrder > 0 && <span className="text-xs text-blue-600"> (+{s.onOrder} on order)</span>}
+                  </td>
+                  <td className="py-2 px-3 text-gray-700">{s.averageDailyUsage} {s.unit}</td>
+                  <td className="py-2 px-3 text-gray-700">{s.daysOfCover ?? "-"}</td>
+                  <td className="py-2 px-3 font-medium text-gray-800">{s.suggestedQuantity} {s.unit}</td>
+                  <td className="py-2 px-3 text-gray-700">
+                    {s.supplier ? `${s.supplier.name} (${s.leadTimeDays}d)` : <span className="text-gray-400">No supplier</span>}
+                  </td>
+                  <td className="py-2 px-3">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${URGENCY_STYLES[s.urgency] || ""}`}>
+                      {s.urgency}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReorderSuggestions;
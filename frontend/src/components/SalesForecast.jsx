@@ -0,0 +1,149 @@
+import { useState, useEffect } from "react";
+import { toast } from "sonner";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from "recharts";
+import { SalesAPI } from "../utils/api";
+
+// Days of history shown before the forecast
+const HISTORY_DAYS_SHOWN = 28;
+
+function SalesForecast() {
+  const [forecast, setForecast] = useState(null);
+  const [days, setDays] = useState(7);
+  const [selectedItem, setSelectedItem] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchForecast = async () => {
+      setLoading(true);
+      try {
+        const response = await SalesAPI.getSalesForecast({ days });
+        setForecast(response.data);
+      } catch (error) {
+        toast.error("Failed to fetch sales forecast: " + error.message);
+        setForecast(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchForecast();
+  }, [days]);
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 flex items-center justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (!forecast || forecast.items.length === 0) return null;
+
+  // Actuals and the heuristic's expectation for past days, then the forecast
+  const item = forecast.items.find(i => i.menuItem._id === selectedItem);
+  const history = (item ? item.history : forecast.history).slice(-HISTORY_DAYS_SHOWN);
+  const upcoming = item
+    ? item.forecast.map(day => ({ date: day.date, forecast: day.units }))
+    : forecast.daily.map(day => ({ date: day.date, forecast: day.forecast }));
+
+  const chartData = [
+    ...history.map(day => ({ date: day.date, actual: day.actual, expected: day.expected })),
+    ...upcoming
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-semibold">Sales Forecast</h3>
+          <p className="text-sm text-gray-500">
+            Units sold over the last {HISTORY_DAYS_SHOWN} days and forecast for the next {forecast.days}.
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+            forecast.method === "model" ? "bg-green-100 text-green-800" : "bg-yellow-100 text-yellow-800"
+          }`}>
+            {forecast.method === "model" ? "Prediction model" : "Heuristic"}
+          </span>
+          <select
+            value={selectedItem}
+            onChange={(e) => setSelectedItem(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            <option value="">All menu items</option>
+            {forecast.items.map(i => (
+              <option key={i.menuItem._id} value={i.menuItem._id}>{i.menuItem.name}</option>
+            ))}
+          </select>
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            <option value={7}>Next 7 days</option>
+            <option value={14}>Next 14 days</option>
+            <option value={30}>Next 30 days</option>
+          </select>
+        </div>
+      </div>
+
+      {forecast.fallbackReason && forecast.method === "heuristic" && (
+        <p className="text-xs text-yellow-700 bg-yellow-50 rounded p-2 mb-4">
+          Prediction service not used: {forecast.fallbackReason}. Showing the weekday average forecast.
+        </p>
+      )}
+
+      <ResponsiveContainer width="100%" height={320}>
+        <LineChart data={chartData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="date" tick={{ fontSize: 11 }} />
+          <YAxis />
+          <Tooltip />
+          <Legend />
+          <ReferenceLine x={upcoming[0]?.date} stroke="#6b7280" strokeDasharray="4 4" label="Today" />
+          <Line type="monotone" dataKey="actual" name="Actual" stroke="#2563eb" strokeWidth={2} dot={false} />
+          <Line type="monotone" dataKey="expected" name="Expected" stroke="#9ca3af" strokeDasharray="4 4" dot={false} />
+          <Line type="monotone" dataKey="forecast" name="Forecast" stroke="#16a34a" strokeWidth={2} />
+        </LineChart>
+      </ResponsiveContainer>
+
+      <div className="overflow-x-auto mt-6">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="py-2 px-3 text-left font-medium text-gray-700">Item</th>
+              <th className="py-2 px-3 text-left font-medium text-gray-700">Avg / Day</th>
+              <th className="py-2 px-3 text-left font-medium text-gray-700">Forecast ({forecast.days} days)</th>
+              <th className="py-2 px-3 text-left font-medium text-gray-700">Peak Day</th>
+            </tr>
+          </thead>
+          <tbody>
+            {forecast.items.map(i => {
+              const peak = i.forecast.reduce((best, day) => (day.units > best.units ? day : best), i.forecast[0]);
+              return (
+                <tr key={i.menuItem._id} className="border-t">
+                  <td className="py-2 px-3 font-medium text-gray-800">{i.menuItem.name}</td>
+                  <td className="py-2 px-3 text-gray-700">{i.averageDailyUnits}</td>
+                  <td className="py-2 px-3 text-gray-700">{i.totalForecast}</td>
+                  <td className="py-2 px-3 text-gray-700">{peak ? `${peak.date} (${peak.units})` : "-"}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default SalesForecast;
@@ -1,5 +1,6 @@
 import { Link, useLocation, useNavigate } from "react-router-dom";
 import { useAuth } from "../utils/useAuth";
+import { hasPermission } from "../utils/permissions";
 import { toast } from "sonner";
 
 function Sidebar() {
@@ -17,10 +18,8 @@ function Sidebar() {
     }
   };
 
-  // Use role-based access control instead of hardcoded emails
-  const isAdmin = user?.role === "admin";
-  const isChef = user?.role === "chef";
-  const canManageInventory = isAdmin || isChef;
+  // Links follow the user's permissions
+  const can = (permission) => hasPermission(user, permission);
 
   const avatarUrl = user?.avatar || user?.profileImage || user?.photoURL;
   const displayName = user?.fullname || user?.username || user?.email || "Guest";
@@ -37,10 +36,21 @@ function Sidebar() {
     if (path === "/inventory") return "inventory";
     if (path === "/orders") return "orders";
     if (path === "/menu") return "menu";
+    if (path === "/promotions") return "promotions";
+    if (path === "/cash-drawer") return "cash-drawer";
+    if (path === "/purchasing") return "purchasing";
+    if (path === "/kds") return "kds";
+    if (path === "/prep-list") return "prep-list";
+    if (path === "/stocktake") return "stocktake";
     if (path === "/recipes") return "recipes";
     if (path === "/waste") return "waste";
     if (path === "/reports") return "reports";
     if (path === "/employees") return "employees";
+    if (path === "/restaurant-profile") return "restaurant-profile";
+    if (path === "/permissions") return "permissions";
+    if (path === "/shifts") return "shifts";
+    if (path === "/audit-log") return "audit-log";
+    if (path === "/trash") return "trash";
     if (path === "/admin/dashboard") return "dashboard";
     return "dashboard";
   };
@@ -48,7 +58,7 @@ function Sidebar() {
   const activeSection = getActiveSection();
 
   return (
-    <aside className="fixed left-0 top-0 h-full w-72 bg-white border-r border-gray-200 p-4 flex flex-col z-10 hidden md:flex">
+    <aside className="fixed left-0 top-0 h-full w-72 bg-white border-r border-gray-200 p-4 flex flex-col z-10 hidden md:flex print:hidden">
       <div className="flex items-center gap-3 mb-6">
         {user ? (
           <div className="flex items-center gap-3">
@@ -77,7 +87,7 @@ function Sidebar() {
       {/* Menu */}
       <nav className="flex-1">
         <ul className="space-y-1 text-gray-700">
-          {(isAdmin || isChef) && (
+          {can("reports:read") && (
             <li>
               <Link 
                 to="/admin/dashboard"
@@ -90,42 +100,124 @@ function Sidebar() {
             </li>
           )}
 
-          {canManageInventory && (
-            <>
-              <li>
-                <Link 
-                  to="/inventory"
-                  className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
-                    activeSection === "inventory" ? "bg-blue-100 text-blue-700 font-medium" : ""
-                  }`}
-                >
-                  📦 Inventory Management
-                </Link>
-              </li>
-              <li>
-                <Link 
-                  to="/orders"
-                  className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
-                    activeSection === "orders" ? "bg-blue-100 text-blue-700 font-medium" : ""
-                  }`}
-                >
-                  🛒 Order Management
-                </Link>
-              </li>
-              <li>
-                <Link 
-                  to="/menu"
-                  className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
-                    activeSection === "menu" ? "bg-blue-100 text-blue-700 font-medium" : ""
-                  }`}
-                >
-                  🍽️ Menu Management
-                </Link>
-              </li>
-            </>
-          )}
-
-          {isChef && (
+          {can("inventory:read") && (
+            <li>
+              <Link 
+                to="/inventory"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "inventory" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                📦 Inventory Management
+              </Link>
+            </li>
+          )}
+
+          {can("orders:read") && (
+            <li>
+              <Link 
+                to="/orders"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "orders" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                🛒 Order Management
+              </Link>
+            </li>
+          )}
+
+          {can("menu:read") && (
+            <li>
+              <Link 
+                to="/menu"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "menu" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                🍽️ Menu Management
+              </Link>
+            </li>
+          )}
+
+          {can("promotions:manage") && (
+            <li>
+              <Link 
+                to="/promotions"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "promotions" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                🏷️ Promotions
+              </Link>
+            </li>
+          )}
+
+          {can("cashdrawer:manage") && (
+            <li>
+              <Link 
+                to="/cash-drawer"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "cash-drawer" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                💵 Cash Drawer
+              </Link>
+            </li>
+          )}
+
+          {can("purchasing:read") && (
+            <li>
+              <Link 
+                to="/purchasing"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "purchasing" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                🚚 Purchasing
+              </Link>
+            </li>
+          )}
+
+          {can("orders:read") && (
+            <li>
+              <Link 
+                to="/kds"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "kds" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                🍳 Kitchen Display
+              </Link>
+            </li>
+          )}
+
+          {can("inventory:read") && (
+            <li>
+              <Link 
+                to="/prep-list"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "prep-list" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                🔪 Prep List
+              </Link>
+            </li>
+          )}
+
+          {(can("stocktake:count") || can("stocktake:approve")) && (
+            <li>
+              <Link 
+                to="/stocktake"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "stocktake" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                📋 Stocktake
+              </Link>
+            </li>
+          )}
+
+          {can("menu:write") && (
             <li>
               <Link 
                 to="/recipes"
@@ -138,39 +230,108 @@ function Sidebar() {
             </li>
           )}
 
-          {isAdmin && (
-            <>
-              <li>
-                <Link 
-                  to="/waste"
-                  className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
-                    activeSection === "waste" ? "bg-blue-100 text-blue-700 font-medium" : ""
-                  }`}
-                >
-                  🗑️ Waste Prediction
-                </Link>
-              </li>
-              <li>
-                <Link 
-                  to="/reports"
-                  className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
-                    activeSection === "reports" ? "bg-blue-100 text-blue-700 font-medium" : ""
-                  }`}
-                >
-                  📈 Report and Analysis
-                </Link>
-              </li>
-              <li>
-                <Link 
-                  to="/employees"
-                  className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
-                    activeSection === "employees" ? "bg-blue-100 text-blue-700 font-medium" : ""
-                  }`}
-                >
-                  👥 Employee Management
-                </Link>
-              </li>
-            </>
+          {can("waste:read") && (
+            <li>
+              <Link 
+                to="/waste"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "waste" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                🗑️ Waste Prediction
+              </Link>
+            </li>
+          )}
+
+          {can("reports:read") && (
+            <li>
+              <Link 
+                to="/reports"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "reports" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                📈 Report and Analysis
+              </Link>
+            </li>
+          )}
+
+          {(can("shifts:read") || can("timeclock:use")) && (
+            <li>
+              <Link 
+                to="/shifts"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "shifts" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                🗓️ Shifts
+              </Link>
+            </li>
+          )}
+
+          {can("users:manage") && (
+            <li>
+              <Link 
+                to="/employees"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "employees" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                👥 Employee Management
+              </Link>
+            </li>
+          )}
+
+          {can("users:manage") && (
+            <li>
+              <Link 
+                to="/restaurant-profile"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "restaurant-profile" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                🏪 Restaurant Profile
+              </Link>
+            </li>
+          )}
+
+          {can("permissions:manage") && (
+            <li>
+              <Link 
+                to="/permissions"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "permissions" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                🔐 Permissions
+              </Link>
+            </li>
+          )}
+
+          {can("audit:read") && (
+            <li>
+              <Link 
+                to="/audit-log"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "audit-log" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                📜 Audit Log
+              </Link>
+            </li>
+          )}
+
+          {(can("inventory:delete") || can("menu:write") || can("orders:delete")) && (
+            <li>
+              <Link 
+                to="/trash"
+                className={`block w-full text-left px-3 py-2 rounded hover:bg-gray-100 ${
+                  activeSection === "trash" ? "bg-blue-100 text-blue-700 font-medium" : ""
+                }`}
+              >
+                🗑️ Trash
+              </Link>
+            </li>
           )}
         </ul>
       </nav>
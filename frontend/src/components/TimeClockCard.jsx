@@ -0,0 +1,110 @@
+import { useState, useEffect } from "react";
+import { toast } from "sonner";
+import { TimeClockAPI } from "../utils/api";
+
+const formatTime = (value) =>
+  new Date(value).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+const formatShift = (shift) =>
+  `${new Date(shift.startTime).toLocaleDateString([], { weekday: "short", day: "numeric", month: "short" })} ` +
+  `${formatTime(shift.startTime)} - ${formatTime(shift.endTime)}`;
+
+function TimeClockCard({ onChange }) {
+  const [clock, setClock] = useState(null);
+  const [breakMinutes, setBreakMinutes] = useState(0);
+  const [saving, setSaving] = useState(false);
+
+  const fetchClock = async () => {
+    try {
+      const response = await TimeClockAPI.getMine();
+      setClock(response.data);
+    } catch (error) {
+      toast.error("Failed to fetch time clock: " + error.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchClock();
+  }, []);
+
+  const handleClockIn = async () => {
+    setSaving(true);
+    try {
+      await TimeClockAPI.clockIn();
+      toast.success("Clocked in");
+      await fetchClock();
+      onChange?.();
+    } catch (error) {
+      toast.error("Failed to clock in: " + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClockOut = async () => {
+    setSaving(true);
+    try {
+      const response = await TimeClockAPI.clockOut(Number(breakMinutes) || 0);
+      toast.success(`Clocked out after ${response.data.hours} hours`);
+      setBreakMinutes(0);
+      await fetchClock();
+      onChange?.();
+    } catch (error) {
+      toast.error("Failed to clock out: " + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!clock) return null;
+
+  const nextShift = clock.upcomingShifts[0];
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap justify-between items-center gap-4">
+      <div>
+        <h3 className="font-semibold">Time Clock</h3>
+        {clock.clockedIn ? (
+          <p className="text-green-700">
+            Clocked in since {formatTime(clock.openPunch.clockInAt)}
+            {clock.openPunch.shift && ` (shift ${formatShift(clock.openPunch.shift)})`}
+          </p>
+        ) : (
+          <p className="text-gray-600">
+            {nextShift ? `Next shift: ${formatShift(nextShift)}` : "No upcoming shifts"}
+          </p>
+        )}
+      </div>
+
+      {clock.clockedIn ? (
+        <div className="flex items-center space-x-2">
+          <label className="text-sm text-gray-600">Break (min)</label>
+          <input
+            type="number"
+            min="0"
+            value={breakMinutes}
+            onChange={(e) => setBreakMinutes(e.target.value)}
+            className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+          />
+          <button
+            onClick={handleClockOut}
+            disabled={saving}
+            className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:opacity-50"
+          >
+            Clock Out
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={handleClockIn}
+          disabled={saving}
+          className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50"
+        >
+          Clock In
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TimeClockCard;
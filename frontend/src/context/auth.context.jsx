@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { PermissionAPI } from "../utils/api";
 
 const AuthContext = createContext();
 
@@ -26,6 +27,19 @@ const AuthProvider = ({ children }) => {
     } catch {}
   }, [user]);
 
+  // Permissions may have been changed by an admin since the user logged in
+  useEffect(() => {
+    if (!user) return;
+    PermissionAPI.getMine()
+      .then((response) => {
+        const permissions = response?.data?.permissions;
+        if (permissions) {
+          setUser((prev) => (prev ? { ...prev, permissions } : prev));
+        }
+      })
+      .catch((error) => console.warn("Could not refresh permissions:", error));
+  }, [user?._id]);
+
   const login = (userData) => setUser(userData);
   const logout = () => {
     setUser(null);
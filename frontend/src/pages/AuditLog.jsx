@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { AuditLogAPI } from '../utils/api.js';
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800'
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const AuditLog = () => {
+  const [logs, setLogs] = useState([]);
+  const [filterOptions, setFilterOptions] = useState({ entities: [], actors: [] });
+  const [filters, setFilters] = useState({ entity: '', action: '', actor: '', from: '', to: '' });
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 50,
+    totalPages: 1,
+    totalDocs: 0
+  });
+
+  useEffect(() => {
+    fetchFilterOptions();
+  }, []);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [pagination.page, filters]);
+
+  const fetchFilterOptions = async () => {
+    try {
+      const response = await AuditLogAPI.getFilters();
+      setFilterOptions(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch audit log filters: ' + error.message);
+    }
+  };
+
+  const fetchLogs = async () => {
+    setLoading(true);
+    try {
+      const params = {
+        page: pagination.page,
+        limit: pagination.limit,
+        ...(filters.entity && { entity: filters.entity }),
+        ...(filters.action && { action: filters.action }),
+        ...(filters.actor && { actor: filters.actor }),
+        // Date inputs are local days; the whole "to" day is included
+        ...(filters.from && { from: new Date(`${filters.from}T00:00:00`).toISOString() }),
+        ...(filters.to && { to: new Date(`${filters.to}T23:59:59.999`).toISOString() })
+      };
+
+      const response = await AuditLogAPI.getLogs(params);
+      setLogs(response.data.docs || []);
+      setPagination(prev => ({
+        ...prev,
+        totalPages: response.data.totalPages || 1,
+        totalDocs: response.data.totalDocs || 0
+      }));
+    } catch (error) {
+      toast.error('Failed to fetch audit log: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+    setExpandedId(null);
+  };
+
+  const clearFilters = () => {
+    setFilters({ entity: '', action: '', actor: '', from: '', to: '' });
+    setPagination(prev => ({ ...prev, page: 1 }));
+    setExpandedId(null);
+  };
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-semibold">Audit Log</h2>
+        <p className="text-gray-600">Every change made through the app: who made it, when, and what changed. Entries cannot be edited or deleted.</p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-4 mb-6 grid grid-cols-1 md:grid-cols-6 gap-4">
+        <select
+          name="entity"
+          value={filters.entity}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">All records</option>
+          {filterOptions.entities.map(entity => (
+            <option key={entity} value={entity}>{entity}</option>
+          ))}
+        </select>
+        <select
+          name="action"
+          value={filters.action}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">All actions</option>
+          <option value="create">Create</option>
+          <option value="update">Update</option>
+          <option value="delete">Delete</option>
+        </select>
+        <select
+          name="actor"
+          value={filters.actor}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">All users</option>
+          {filterOptions.actors.map(actor => (
+            <option key={actor._id} value={actor._id}>{actor.fullname} ({actor.role})</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          name="from"
+          value={filters.from}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        />
+        <input
+          type="date"
+          name="to"
+          value={filters.to}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        />
+        <button
+          onClick={clearFilters}
+          className="bg-gray-200 text-gray-800 px-4 py-2 rounded-lg hover:bg-gray-300"
+        >
+          Clear
+        </button>
+      </div>
+
+      {loading && logs.length === 0 ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <div className="px-4 py-3 border-b font-medium text-gray-700">
+            Entries ({pagination.totalDocs})
+          </div>
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">When</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">User</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Action</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Record</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Changes</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {logs.map(log => (
+                <React.Fragment key={log._id}>
+                  <tr
+                    onClick={() => setExpandedId(expandedId === log._id ? null : log._id)}
+                    className="border-t cursor-pointer hover:bg-gray-50"
+                  >
+                    <td className="py-2 px-3 whitespace-nowrap">{new Date(log.createdAt).toLocaleString()}</td>
+                    <td className="py-2 px-3">
+                      {log.actorName || 'System'}
+                      {log.actorRole && <span className="text-xs text-gray-500 ml-1">({log.actorRole})</span>}
+                    </td>
+                    <td className="py-2 px-3">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${ACTION_STYLES[log.action]}`}>
+                        {log.action}
+                      </span>
+                    </td>
+                    <td className="py-2 px-3">
+                      <div>{log.entity}</div>
+                      <div className="text-xs text-gray-500 font-mono">{log.entityId}</div>
+                    </td>
+                    <td className="py-2 px-3">
+                      {log.changes.length} field{log.changes.length === 1 ? '' : 's'}
+                    </td>
+                    <td className="py-2 px-3 text-gray-600">{log.ip || '—'}</td>
+                  </tr>
+                  {expandedId === log._id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan="6" className="px-3 py-3">
+                        <div className="text-xs text-gray-500 mb-2">
+                          {log.method} {log.path}
+                        </div>
+                        <table className="min-w-full text-xs bg-white border rounded">
+                          <thead>
+                            <tr className="bg-gray-100">
+                              <th className="py-1 px-2 text-left font-medium text-gray-700">Field</th>
+                              <th className="py-1 px-2 text-left font-medium text-gray-700">Before</th>
+                              <th className="py-1 px-2 text-left font-medium text-gray-700">After</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {log.changes.map(change => (
+                              <tr key={change.path} className="border-t align-top">
+                                <td className="py-1 px-2 font-mono">{change.path}</td>
+                                <td className="py-1 px-2 text-red-700 break-all">{formatValue(change.before)}</td>
+                                <td className="py-1 px-2 text-green-700 break-all">{formatValue(change.after)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+
+          {logs.length === 0 && (
+            <div className="text-center py-8 text-gray-500">
+              <p>No changes recorded.</p>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="flex justify-center space-x-2 my-4">
+              <button
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                disabled={pagination.page === 1}
+                className="px-4 py-2 border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Previous
+              </button>
+              <span className="px-4 py-2">
+                Page {pagination.page} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                disabled={pagination.page === pagination.totalPages}
+                className="px-4 py-2 border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
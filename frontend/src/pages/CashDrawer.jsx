@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { CashDrawerAPI } from '../utils/api.js';
+import { PAYMENT_METHOD_LABELS } from '../components/OrderPayments.jsx';
+
+const money = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+const CashDrawer = () => {
+  // Empty for the restaurant's today, which the report tells
+  const [date, setDate] = useState('');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [countedCash, setCountedCash] = useState('');
+  const [notes, setNotes] = useState('');
+
+  useEffect(() => {
+    fetchReport();
+  }, [date]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    try {
+      const response = await CashDrawerAPI.getReport(date);
+      showReport(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch the cash drawer: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showReport = (data) => {
+    setReport(data);
+    setOpeningFloat(String(data.openingFloat));
+    setCountedCash(data.countedCash === null ? '' : String(data.countedCash));
+    setNotes(data.notes || '');
+  };
+
+  const handleSaveFloat = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await CashDrawerAPI.setFloat(Number(openingFloat));
+      showReport(response.data);
+      toast.success('Opening float saved');
+    } catch (error) {
+      toast.error('Failed to save the opening float: ' + error.message);
+    }
+  };
+
+  const handleSaveCount = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await CashDrawerAPI.countCash({ countedCash: Number(countedCash), notes });
+      showReport(response.data);
+      toast.success(response.data.variance === 0
+        ? 'Cash count saved. The drawer balances.'
+        : `Cash count saved. Variance: ${money(response.data.variance)}`);
+    } catch (error) {
+      toast.error('Failed to save the cash count: ' + error.message);
+    }
+  };
+
+  const getVarianceColor = (variance) => {
+    if (variance === null || variance === undefined) return 'text-gray-500';
+    if (Math.abs(variance) < 0.005) return 'text-green-700';
+    return variance < 0 ? 'text-red-600' : 'text-orange-600';
+  };
+
+  if (loading && !report) {
+    return (
+      <div className="p-8 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  // Float and count can only change on today's open drawer
+  const editable = report && report.date === report.today && report.status === 'open' && !report.dayEnded;
+
+  return (
+    <div className="p-8">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-semibold">Cash Drawer</h2>
+        <input
+          type="date"
+          value={date || report?.date || ''}
+          max={report?.today}
+          onChange={(e) => setDate(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      {report && (
+        <div className="space-y-6">
+          {report.status === 'closed' && (
+            <div className="bg-gray-100 text-gray-700 rounded-lg p-4 text-sm">
+              Closed {new Date(report.closedAt).toLocaleString()}
+              {report.closedBy && <span> by {report.closedBy.fullname}</span>} when the day was ended. The totals below are frozen.
+            </div>
+          )}
+
+          {/* Reconciliation */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              ['Opening float', money(report.openingFloat), ''],
+              ['Expected cash', money(report.expectedCash), ''],
+              ['Counted cash', report.countedCash === null ? 'Not counted' : money(report.countedCash), ''],
+              ['Variance', report.variance === null ? '—' : money(report.variance), getVarianceColor(report.variance)]
+            ].map(([label, value, color]) => (
+              <div key={label} className="bg-white rounded-lg shadow-md p-4">
+                <div className="text-sm text-gray-500">{label}</div>
+                <div className={`text-2xl font-semibold ${color}`}>{value}</div>
+              </div>
+            ))}
+          </div>
+
+          {editable && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <form onSubmit={handleSaveFloat} className="bg-white rounded-lg shadow-md p-4 space-y-2">
+                <h3 className="font-semibold">Opening float</h3>
+                <div className="flex space-x-2">
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={openingFloat}
+                    onChange={(e) => setOpeningFloat(e.target.value)}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                    required
+                  />
+                  <button type="submit" className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600">
+                    Save
+                  </button>
+                </div>
+              </form>
+              <form onSubmit={handleSaveCount} className="bg-white rounded-lg shadow-md p-4 space-y-2">
+                <h3 className="font-semibold">Count the drawer</h3>
+                <div className="flex space-x-2">
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={countedCash}
+                    onChange={(e) => setCountedCash(e.target.value)}
+                    placeholder="Cash in the drawer"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                    required
+                  />
+                  <button type="submit" className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600">
+                    Save
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  placeholder="Notes (optional)"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                />
+                {report.countedAt && (
+                  <p className="text-xs text-gray-500">
+                    Last counted {new Date(report.countedAt).toLocaleTimeString()}
+                    {report.countedBy && <span> by {report.countedBy.fullname}</span>}
+                  </p>
+                )}
+              </form>
+            </div>
+          )}
+
+          {/* Takings by method */}
+          <div className="bg-white rounded-lg shadow-md p-4">
+            <h3 className="font-semibold mb-3">Takings by method</h3>
+            {report.byMethod.length === 0 ? (
+              <p className="text-sm text-gray-500">No payments on this day.</p>
+            ) : (
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-2">Method</th>
+                    <th className="py-2 text-right">Transactions</th>
+                    <th className="py-2 text-right">Payments</th>
+                    <th className="py-2 text-right">Refunds</th>
+                    <th className="py-2 text-right">Net</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.byMethod.map(entry => (
+                    <tr key={entry.method} className="border-t">
+                      <td className="py-2">{PAYMENT_METHOD_LABELS[entry.method] || entry.method}</td>
+                      <td className="py-2 text-right">{entry.count}</td>
+                      <td className="py-2 text-right">{money(entry.payments)}</td>
+                      <td className="py-2 text-right text-red-600">{entry.refunds > 0 ? `-${money(entry.refunds)}` : money(0)}</td>
+                      <td className="py-2 text-right font-medium">{money(entry.net)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {/* Sales against takings */}
+          <div className="bg-white rounded-lg shadow-md p-4">
+            <h3 className="font-semibold mb-3">Sales</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div>
+                <div className="text-gray-500">Orders</div>
+                <div className="text-lg font-semibold">{report.sales.orders}</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Orders total</div>
+                <div className="text-lg font-semibold">{money(report.sales.ordersTotal)}</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Net takings</div>
+                <div className="text-lg font-semibold">{money(report.sales.netTakings)}</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Outstanding</div>
+                <div className={`text-lg font-semibold ${report.sales.outstanding > 0 ? 'text-orange-600' : ''}`}>
+                  {money(report.sales.outstanding)}
+                </div>
+              </div>
+            </div>
+            {report.outstandingOrders.length > 0 && (
+              <ul className="mt-3 space-y-1 text-sm">
+                {report.outstandingOrders.map(order => (
+                  <li key={order._id} className="flex justify-between">
+                    <span>Order #{order.orderNumber} · {order.customerName} ({order.status})</span>
+                    <span>{money(order.due)} due of {money(order.totalAmount)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Payments */}
+          <div className="bg-white rounded-lg shadow-md p-4">
+            <h3 className="font-semibold mb-3">Payments and refunds ({report.payments.length})</h3>
+            {report.payments.length === 0 ? (
+              <p className="text-sm text-gray-500">Nothing recorded on this day.</p>
+            ) : (
+              <table className="min-w-full text-sm">
+                <tbody>
+                  {report.payments.map(payment => (
+                    <tr key={payment._id} className="border-t">
+                      <td className="py-2 pr-2">{new Date(payment.createdAt).toLocaleTimeString([], { timeStyle: 'short' })}</td>
+                      <td className="py-2 pr-2">
+                        {payment.order ? `Order #${payment.order.orderNumber} · ${payment.order.customerName}` : 'Deleted order'}
+                      </td>
+                      <td className="py-2 pr-2">
+                        {payment.kind === 'refund' ? 'Refund' : 'Payment'} · {PAYMENT_METHOD_LABELS[payment.method] || payment.method}
+                        {payment.reason && <span className="text-gray-500"> · {payment.reason}</span>}
+                      </td>
+                      <td className="py-2 pr-2 text-gray-500">{payment.recordedBy?.fullname}</td>
+                      <td className={`py-2 text-right ${payment.kind === 'refund' ? 'text-red-600' : ''}`}>
+                        {payment.kind === 'refund' ? '-' : ''}{money(payment.amount)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CashDrawer;
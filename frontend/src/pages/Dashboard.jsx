@@ -1,7 +1,11 @@
 import { useState, useEffect } from "react";
 import { useAuth } from "../utils/useAuth";
+import { hasPermission } from "../utils/permissions";
 import { toast } from "sonner";
 import { DashboardAPI } from "../utils/api";
+import { useLiveEvents } from "../utils/useLiveEvents";
+import ReorderSuggestions from "../components/ReorderSuggestions";
+import LaborCostChart from "../components/LaborCostChart";
 
 function Dashboard() {
   const { user } = useAuth();
@@ -13,17 +17,14 @@ function Dashboard() {
   });
   const [loading, setLoading] = useState(false);
 
-  // Use role-based access control
-  const isAdmin = user?.role === "admin";
-  const isChef = user?.role === "chef";
-  const canAccessDashboard = isAdmin || isChef;
+  // Use permission-based access control
+  const canAccessDashboard = hasPermission(user, "reports:read");
 
   // Debug logging
   console.log("Dashboard Debug:", {
     user: user,
     role: user?.role,
-    isAdmin,
-    isChef,
+    permissions: user?.permissions,
     canAccessDashboard
   });
 
@@ -57,6 +58,11 @@ function Dashboard() {
     }
   }, [user, canAccessDashboard]);
 
+  // Stock counts follow low stock and expiry events instead of a manual refresh
+  useLiveEvents(['inventory.low_stock', 'inventory.expired'], () => {
+    fetchDashboardData();
+  }, { enabled: !!user && canAccessDashboard });
+
   // If user doesn't have access, show access denied
   if (!canAccessDashboard) {
     return (
@@ -64,7 +70,7 @@ function Dashboard() {
         <div className="text-center">
           <h1 className="text-2xl font-bold text-gray-800 mb-4">Access Denied</h1>
           <p className="text-gray-600">You don't have permission to view the dashboard.</p>
-          <p className="text-sm text-gray-500 mt-2">Only admins and chefs can access this page.</p>
+          <p className="text-sm text-gray-500 mt-2">Ask an admin for the reports permission.</p>
         </div>
       </div>
     );
@@ -180,6 +186,40 @@ function Dashboard() {
             </div>
           </div>
 
+          {/* Labor (only for users who may see labor cost) */}
+          {dashboardData?.labor && (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              <div className="bg-white p-6 rounded-lg shadow">
+                <h3 className="text-lg font-medium mb-2">Clocked In</h3>
+                <p className="text-2xl font-bold text-indigo-600">{dashboardData.labor.clockedIn}</p>
+              </div>
+              <div className="bg-white p-6 rounded-lg shadow">
+                <h3 className="text-lg font-medium mb-2">Labor Today</h3>
+                <p className="text-2xl font-bold text-orange-600">
+                  ${(dashboardData.labor.today?.laborCost || 0).toFixed(2)}
+                </p>
+                <p className="text-sm text-gray-600">{dashboardData.labor.today?.hours || 0} hours</p>
+              </div>
+              <div className="bg-white p-6 rounded-lg shadow">
+                <h3 className="text-lg font-medium mb-2">Revenue Today</h3>
+                <p className="text-2xl font-bold text-green-600">
+                  ${(dashboardData.labor.today?.revenue || 0).toFixed(2)}
+                </p>
+              </div>
+              <div className="bg-white p-6 rounded-lg shadow">
+                <h3 className="text-lg font-medium mb-2">Labor % Today</h3>
+                <p className="text-2xl font-bold text-blue-600">
+                  {dashboardData.labor.today?.laborCostPercent != null ? `${dashboardData.labor.today.laborCostPercent}%` : "-"}
+                </p>
+              </div>
+            </div>
+          )}
+
+          {hasPermission(user, "labor:read") && <LaborCostChart />}
+
+          {/* Reorder Suggestions */}
+          <ReorderSuggestions />
+
           {/* Category Distribution */}
           {dashboardData?.inventory?.categoryStats && dashboardData.inventory.categoryStats.length > 0 && (
             <div className="bg-white p-6 rounded-lg shadow">
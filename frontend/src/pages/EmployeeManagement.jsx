@@ -1,11 +1,354 @@
-function EmployeeManagement() {
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { StaffAPI } from '../utils/api.js';
+import { useAuth } from '../utils/useAuth';
+
+const ROLES = ['admin', 'chef', 'employee'];
+
+const ROLE_COLORS = {
+  admin: 'bg-purple-100 text-purple-800',
+  chef: 'bg-orange-100 text-orange-800',
+  employee: 'bg-blue-100 text-blue-800'
+};
+
+const EMPTY_FORM = { fullname: '', email: '', username: '', role: 'employee', hourlyRate: 0, password: '' };
+
+const formatLastLogin = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const EmployeeManagement = () => {
+  const { user: currentUser } = useAuth();
+  const [staff, setStaff] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [filters, setFilters] = useState({ search: '', role: '', isActive: 'true' });
+  const [showForm, setShowForm] = useState(false);
+  const [editingUser, setEditingUser] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [credentials, setCredentials] = useState(null);
+
+  const fetchStaff = async () => {
+    setLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+      const response = await StaffAPI.getStaff(params);
+      setStaff(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch employees: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStaff();
+  }, [filters.role, filters.isActive]);
+
+  const openInviteForm = () => {
+    setEditingUser(null);
+    setForm(EMPTY_FORM);
+    setShowForm(true);
+  };
+
+  const openEditForm = (member) => {
+    setEditingUser(member);
+    setForm({
+      fullname: member.fullname,
+      email: member.email,
+      username: member.username,
+      role: member.role,
+      hourlyRate: member.hourlyRate || 0,
+      password: ''
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingUser(null);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editingUser) {
+        const { password, ...details } = form;
+        await StaffAPI.updateStaffMember(editingUser._id, details);
+        toast.success(`${form.fullname} updated`);
+      } else {
+        const response = await StaffAPI.inviteStaffMember({ ...form, password: form.password || undefined });
+        toast.success(`${form.fullname} invited`);
+        if (response.data.temporaryPassword) {
+          setCredentials({ name: form.fullname, email: form.email, password: response.data.temporaryPassword });
+        }
+      }
+      closeForm();
+      fetchStaff();
+    } catch (error) {
+      toast.error('Failed to save employee: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (member) => {
+    const deactivate = member.isActive !== false;
+    if (deactivate && !window.confirm(`Deactivate ${member.fullname}? They will be logged out and cannot log in.`)) {
+      return;
+    }
+
+    try {
+      if (deactivate) {
+        await StaffAPI.deactivateStaffMember(member._id);
+        toast.success(`${member.fullname} deactivated`);
+      } else {
+        await StaffAPI.activateStaffMember(member._id);
+        toast.success(`${member.fullname} activated`);
+      }
+      fetchStaff();
+    } catch (error) {
+      toast.error('Failed to update employee: ' + error.message);
+    }
+  };
+
+  const handleResetPassword = async (member) => {
+    if (!window.confirm(`Reset the password of ${member.fullname}? They will be logged out.`)) {
+      return;
+    }
+
+    try {
+      const response = await StaffAPI.resetPassword(member._id);
+      setCredentials({ name: member.fullname, email: member.email, password: response.data.temporaryPassword });
+    } catch (error) {
+      toast.error('Failed to reset password: ' + error.message);
+    }
+  };
+
+  const copyPassword = async () => {
+    try {
+      await navigator.clipboard.writeText(credentials.password);
+      toast.success('Password copied');
+    } catch {
+      toast.error('Could not copy the password');
+    }
+  };
+
   return (
-    <div className="p-8">
-      <h2 className="text-2xl font-semibold">Employee Management</h2>
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold">Employee Management</h2>
+          <p className="text-gray-600">Invite staff, change their role and manage their access.</p>
+        </div>
+        <button
+          onClick={openInviteForm}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+        >
+          + Invite Employee
+        </button>
+      </div>
+
+      {credentials && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6 flex justify-between items-start">
+          <div>
+            <p className="font-medium text-green-800">Temporary password for {credentials.name} ({credentials.email})</p>
+            <p className="font-mono text-lg mt-1">{credentials.password}</p>
+            <p className="text-xs text-green-700 mt-1">It is shown only once. Share it with the employee securely.</p>
+          </div>
+          <div className="flex space-x-2">
+            <button onClick={copyPassword} className="text-sm text-green-700 hover:underline">Copy</button>
+            <button onClick={() => setCredentials(null)} className="text-gray-500 hover:text-gray-700">✕</button>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap gap-3">
+        <form
+          onSubmit={(e) => { e.preventDefault(); fetchStaff(); }}
+          className="flex-1 min-w-[200px]"
+        >
+          <input
+            type="text"
+            placeholder="Search name, email or username"
+            value={filters.search}
+            onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </form>
+        <select
+          value={filters.role}
+          onChange={(e) => setFilters(prev => ({ ...prev, role: e.target.value }))}
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">All roles</option>
+          {ROLES.map(role => (
+            <option key={role} value={role}>{role.charAt(0).toUpperCase() + role.slice(1)}</option>
+          ))}
+        </select>
+        <select
+          value={filters.isActive}
+          onChange={(e) => setFilters(prev => ({ ...prev, isActive: e.target.value }))}
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="true">Active</option>
+          <option value="false">Deactivated</option>
+          <option value="">All</option>
+        </select>
+      </div>
+
+      {loading && staff.length === 0 ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        </div>
+      ) : staff.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-6 text-gray-600">No employees found.</div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Name</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Username</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Role</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Hourly Rate</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Status</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Last Login</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {staff.map(member => {
+                const isSelf = member._id === currentUser?._id;
+                const isActive = member.isActive !== false;
+
+                return (
+                  <tr key={member._id} className={`border-t ${isActive ? '' : 'bg-gray-50 text-gray-500'}`}>
+                    <td className="py-2 px-3">
+                      <div className="flex items-center space-x-3">
+                        <img src={member.avatar} alt="" className="h-8 w-8 rounded-full" />
+                        <div>
+                          <div className="font-medium text-gray-800">
+                            {member.fullname} {isSelf && <span className="text-xs text-gray-500">(you)</span>}
+                          </div>
+                          <div className="text-xs text-gray-500">{member.email}</div>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="py-2 px-3">{member.username}</td>
+                    <td className="py-2 px-3">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${ROLE_COLORS[member.role]}`}>
+                        {member.role}
+                      </span>
+                    </td>
+                    <td className="py-2 px-3">${(member.hourlyRate || 0).toFixed(2)}</td>
+                    <td className="py-2 px-3">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${isActive ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'}`}>
+                        {isActive ? 'Active' : 'Deactivated'}
+                      </span>
+                    </td>
+                    <td className="py-2 px-3">{formatLastLogin(member.lastLoginAt)}</td>
+                    <td className="py-2 px-3 space-x-3 whitespace-nowrap">
+                      <button onClick={() => openEditForm(member)} className="text-blue-600 hover:underline">Edit</button>
+                      <button onClick={() => handleResetPassword(member)} className="text-yellow-700 hover:underline">Reset Password</button>
+                      {!isSelf && (
+                        <button
+                          onClick={() => handleToggleActive(member)}
+                          className={isActive ? 'text-red-600 hover:underline' : 'text-green-600 hover:underline'}
+                        >
+                          {isActive ? 'Deactivate' : 'Activate'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-semibold">{editingUser ? `Edit ${editingUser.fullname}` : 'Invite Employee'}</h3>
+              <button onClick={closeForm} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+            <form onSubmit={handleSave} className="space-y-4">
+              {[
+                ['fullname', 'Full Name *', 'text'],
+                ['email', 'Email *', 'email'],
+                ['username', 'Username *', 'text']
+              ].map(([field, label, type]) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium mb-1">{label}</label>
+                  <input
+                    type={type}
+                    value={form[field]}
+                    onChange={(e) => setForm(prev => ({ ...prev, [field]: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    required
+                  />
+                </div>
+              ))}
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Role</label>
+                <select
+                  value={form.role}
+                  onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+                  disabled={editingUser?._id === currentUser?._id}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100"
+                >
+                  {ROLES.map(role => (
+                    <option key={role} value={role}>{role.charAt(0).toUpperCase() + role.slice(1)}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Hourly Rate</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.hourlyRate}
+                  onChange={(e) => setForm(prev => ({ ...prev, hourlyRate: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
+              {!editingUser && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Password</label>
+                  <input
+                    type="password"
+                    value={form.password}
+                    onChange={(e) => setForm(prev => ({ ...prev, password: e.target.value }))}
+                    placeholder="Leave empty to generate a temporary password"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-2">
+                <button type="button" onClick={closeForm} className="px-4 py-2 rounded-lg bg-gray-200 hover:bg-gray-300">
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {editingUser ? 'Save' : 'Invite'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
-}
+};
 
 export default EmployeeManagement;
-
-
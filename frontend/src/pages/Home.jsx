@@ -5,8 +5,20 @@ import InventoryManagement from "./InventoryManagement";
 import Dashboard from "./Dashboard";
 import OrderManagement from "./OrderManagement";
 import MenuManagement from "./MenuManagement";
+import Promotions from "./Promotions";
+import CashDrawer from "./CashDrawer";
 import ReportAnalysis from "./ReportAnalysis";
 import WastePrediction from "./WastePrediction";
+import Purchasing from "./Purchasing";
+import KitchenDisplay from "./KitchenDisplay";
+import PrepList from "./PrepList";
+import Stocktake from "./Stocktake";
+import Permissions from "./Permissions";
+import EmployeeManagement from "./EmployeeManagement";
+import RestaurantProfile from "./RestaurantProfile";
+import Shifts from "./Shifts";
+import AuditLog from "./AuditLog";
+import Trash from "./Trash";
 import Sidebar from "../components/Sidebar";
 
 function Home() {
@@ -23,14 +35,36 @@ function Home() {
       setActiveSection("orders");
     } else if (path === "/menu") {
       setActiveSection("menu");
+    } else if (path === "/promotions") {
+      setActiveSection("promotions");
+    } else if (path === "/cash-drawer") {
+      setActiveSection("cash-drawer");
+    } else if (path === "/purchasing") {
+      setActiveSection("purchasing");
+    } else if (path === "/kds") {
+      setActiveSection("kds");
+    } else if (path === "/prep-list") {
+      setActiveSection("prep-list");
+    } else if (path === "/stocktake") {
+      setActiveSection("stocktake");
     } else if (path === "/recipes") {
       setActiveSection("recipes");
     } else if (path === "/waste") {
       setActiveSection("waste");
     } else if (path === "/reports") {
       setActiveSection("reports");
+    } else if (path === "/shifts") {
+      setActiveSection("shifts");
     } else if (path === "/employees") {
       setActiveSection("employees");
+    } else if (path === "/restaurant-profile") {
+      setActiveSection("restaurant-profile");
+    } else if (path === "/permissions") {
+      setActiveSection("permissions");
+    } else if (path === "/audit-log") {
+      setActiveSection("audit-log");
+    } else if (path === "/trash") {
+      setActiveSection("trash");
     } else if (path === "/admin/dashboard") {
       setActiveSection("dashboard");
     }
@@ -48,6 +82,18 @@ function Home() {
         return <OrderManagement />;
       case "menu":
         return <MenuManagement />;
+      case "promotions":
+        return <Promotions />;
+      case "cash-drawer":
+        return <CashDrawer />;
+      case "purchasing":
+        return <Purchasing />;
+      case "kds":
+        return <KitchenDisplay />;
+      case "prep-list":
+        return <PrepList />;
+      case "stocktake":
+        return <Stocktake />;
       case "recipes":
         return (
           <div>
@@ -61,15 +107,18 @@ function Home() {
         return <WastePrediction />;
       case "reports":
         return <ReportAnalysis />;
+      case "shifts":
+        return <Shifts />;
       case "employees":
-        return (
-          <div>
-            <h2 className="text-2xl font-semibold mb-4">Employee Management</h2>
-            <div className="bg-white p-6 rounded-lg shadow">
-              <p className="text-gray-600">Employee management features will be displayed here.</p>
-            </div>
-          </div>
-        );
+        return <EmployeeManagement />;
+      case "restaurant-profile":
+        return <RestaurantProfile />;
+      case "permissions":
+        return <Permissions />;
+      case "audit-log":
+        return <AuditLog />;
+      case "trash":
+        return <Trash />;
       default:
         return (
           <div>
@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { toast } from 'sonner';
 import { InventoryAPI, DailyInventoryAPI } from '../utils/api.js';
+import { useLiveEvents } from '../utils/useLiveEvents.js';
+import InventoryImport from '../components/InventoryImport.jsx';
+import ExportMenu from '../components/ExportMenu.jsx';
 import { 
   getFreshnessOptions, 
   requiresManualExpiryDate, 
@@ -12,6 +16,7 @@ import {
 } from '../utils/expiryUtils.js';
 
 const InventoryManagement = () => {
+  const navigate = useNavigate();
   const [items, setItems] = useState([]);
   const [todayEntries, setTodayEntries] = useState([]);
   const [availableItems, setAvailableItems] = useState([]);
@@ -21,6 +26,7 @@ const InventoryManagement = () => {
   const [showAddForm, setShowAddForm] = useState(false);
   const [showUpdateForm, setShowUpdateForm] = useState(false);
   const [showDailyInventory, setShowDailyInventory] = useState(true);
+  const [showImport, setShowImport] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     quantity: 0, // Set to 0 by default for General Inventory
@@ -29,6 +35,8 @@ const InventoryManagement = () => {
     category: 'other',
     minThreshold: '',
     maxThreshold: '',
+    density: '',
+    pieceWeight: '',
     notes: '',
     image: null
   });
@@ -43,6 +51,7 @@ const InventoryManagement = () => {
     expiryDate: '',
     cost: '',
     supplier: '',
+    lotNumber: '',
     minThreshold: '',
     maxThreshold: '',
     notes: '',
@@ -64,6 +73,17 @@ const InventoryManagement = () => {
     fetchAvailableItems();
   }, []);
 
+  // Stock alerts are pushed by the server as they happen
+  useLiveEvents(['inventory.low_stock', 'inventory.expired'], (type, changed) => {
+    if (type === 'inventory.low_stock') {
+      toast.warning(`${changed.name} is low: ${changed.currentStock} ${changed.unit} left`);
+      setItems(prev => prev.map(item => item._id === changed._id ? { ...item, currentStock: changed.currentStock } : item));
+    } else {
+      toast.error(`${changed.name} expired`);
+      fetchItems();
+    }
+  });
+
   const fetchItems = async () => {
     try {
       setLoading(true);
@@ -268,7 +288,9 @@ const InventoryManagement = () => {
         inventoryItemId: inventoryItemId,
         quantity: dailyFormData.quantity,
         cost: dailyFormData.cost || undefined,
-        expiryDate: dailyFormData.expiryDate || undefined
+        expiryDate: dailyFormData.expiryDate || undefined,
+        supplier: dailyFormData.supplier || undefined,
+        lotNumber: dailyFormData.lotNumber || undefined
       });
 
       toast.success('Item added to today\'s inventory successfully');
@@ -283,6 +305,7 @@ const InventoryManagement = () => {
         expiryDate: '',
         cost: '',
         supplier: '',
+        lotNumber: '',
         minThreshold: '',
         maxThreshold: '',
         notes: '',
@@ -300,14 +323,21 @@ const InventoryManagement = () => {
   };
 
   const handleEndDay = async () => {
-    if (!window.confirm('Are you sure you want to end the day? You will not be able to add new items after ending the day.')) {
+    if (!window.confirm('Are you sure you want to end the day? You will not be able to add new items, take payments or give refunds after ending the day, and the cash drawer will be closed with the last cash count.')) {
       return;
     }
 
     try {
       setLoadingDaily(true);
-      await DailyInventoryAPI.endDay();
-      toast.success('Day ended successfully');
+      const response = await DailyInventoryAPI.endDay();
+      const variance = response.data.cashDrawer?.variance;
+      if (variance === null || variance === undefined) {
+        toast.success('Day ended successfully. The cash drawer was closed without a count.');
+      } else if (Math.abs(variance) < 0.005) {
+        toast.success('Day ended successfully. The cash drawer balances.');
+      } else {
+        toast.warning(`Day ended. The cash drawer is ${variance > 0 ? 'over' : 'short'} by $${Math.abs(variance).toFixed(2)}.`);
+      }
       fetchDayStatus();
       fetchTodayInventory();
     } catch (error) {
@@ -318,14 +348,23 @@ const InventoryManagement = () => {
   };
 
   const handleStartNewDay = async () => {
-    if (!window.confirm('Start a new day? Non-expired items from yesterday will be carried forward.')) {
+    if (!window.confirm('Start a new day? Non-expired lots will be carried forward.')) {
       return;
     }
 
     try {
       setLoadingDaily(true);
       const response = await DailyInventoryAPI.startNewDay();
-      toast.success(`New day started! ${response.data.carriedForwardCount} items carried forward from yesterday.`);
+      toast.success(`New day started! ${response.data.carriedForwardCount} lots carried forward.`);
+      const prepSummary = response.data.prepList?.summary;
+      if (prepSummary?.ingredientCount > 0) {
+        const message = prepSummary.shortfallCount > 0
+          ? `Today's prep list: ${prepSummary.shortfallCount} ingredient(s) short`
+          : `Today's prep list: ${prepSummary.ingredientCount} ingredient(s) to prep`;
+        (prepSummary.shortfallCount > 0 ? toast.warning : toast.info)(message, {
+          action: { label: 'View', onClick: () => navigate('/prep-list') }
+        });
+      }
       fetchDayStatus();
       fetchTodayInventory();
     } catch (error) {
@@ -360,11 +399,25 @@ const InventoryManagement = () => {
   };
 
   const handleRemoveItem = async (itemId) => {
-    if (window.confirm('Are you sure you want to delete this item?')) {
+    // Items still used in recipes need a second confirmation naming the menu items
+    let usedIn = [];
+    try {
+      const response = await InventoryAPI.getItemUsage(itemId);
+      usedIn = response.data.menuItems;
+    } catch (error) {
+      toast.error('Failed to check where the item is used: ' + error.message);
+      return;
+    }
+
+    const message = usedIn.length > 0
+      ? `This item is used in the recipes of: ${usedIn.map(menuItem => menuItem.name).join(', ')}.\n\nThose menu items will show it as missing. Move it to the trash anyway?`
+      : 'Move this item to the trash? It can be restored from the Trash page.';
+
+    if (window.confirm(message)) {
       try {
         setLoading(true);
-        await InventoryAPI.deleteItem(itemId);
-        toast.success('Item removed successfully');
+        await InventoryAPI.deleteItem(itemId, usedIn.length > 0);
+        toast.success('Item moved to the trash');
         fetchItems();
         fetchAvailableItems();
       } catch (error) {
@@ -375,36 +428,6 @@ const InventoryManagement = () => {
     }
   };
 
-  const handleExportCSV = async () => {
-    try {
-      setLoading(true);
-      const blob = await InventoryAPI.exportToCSV();
-      
-      // Create download link
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      
-      // Generate filename with current date
-      const timestamp = new Date().toISOString().split('T')[0];
-      link.download = `inventory_export_${timestamp}.csv`;
-      
-      // Trigger download
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      
-      // Clean up
-      window.URL.revokeObjectURL(url);
-      
-      toast.success('Inventory data exported successfully!');
-    } catch (error) {
-      toast.error('Failed to export data: ' + error.message);
-    } finally {
-      setLoading(false);
-    }
-  };
-
   const startUpdate = (item) => {
     setFormData({
       name: item.name,
@@ -414,6 +437,8 @@ const InventoryManagement = () => {
       category: item.category,
       minThreshold: item.minThreshold || '',
       maxThreshold: item.maxThreshold || '',
+      density: item.density || '',
+      pieceWeight: item.pieceWeight || '',
       notes: item.notes || '',
       image: null
     });
@@ -430,6 +455,8 @@ const InventoryManagement = () => {
       category: 'other',
       minThreshold: '',
       maxThreshold: '',
+      density: '',
+      pieceWeight: '',
       notes: '',
       image: null
     });
@@ -646,26 +673,17 @@ const InventoryManagement = () => {
                       )}
                     </div>
 
-                    {/* Supplier */}
+                    {/* Supplier (of this lot, defaults to the item's supplier) */}
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
-                      {dailyFormData.isNewItem ? (
-                        <input
-                          type="text"
-                          name="supplier"
-                          value={dailyFormData.supplier}
-                          onChange={handleDailyInputChange}
-                          placeholder="Supplier Name"
-                          className="p-2 border border-gray-300 rounded w-full"
-                        />
-                      ) : (
-                        <input
-                          type="text"
-                          value={dailyFormData.supplier || 'N/A'}
-                          className="p-2 border border-gray-300 rounded w-full bg-gray-100"
-                          disabled
-                        />
-                      )}
+                      <input
+                        type="text"
+                        name="supplier"
+                        value={dailyFormData.supplier}
+                        onChange={handleDailyInputChange}
+                        placeholder="Supplier Name"
+                        className="p-2 border border-gray-300 rounded w-full"
+                      />
                     </div>
 
                     {/* Min Threshold */}
@@ -846,6 +864,19 @@ const InventoryManagement = () => {
                       />
                     </div>
 
+                    {/* Lot Number */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Lot Number</label>
+                      <input
+                        type="text"
+                        name="lotNumber"
+                        value={dailyFormData.lotNumber}
+                        onChange={handleDailyInputChange}
+                        placeholder="Generated automatically if empty"
+                        className="p-2 border border-gray-300 rounded w-full"
+                      />
+                    </div>
+
                     {/* Max Threshold */}
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">Max Threshold</label>
@@ -892,6 +923,7 @@ const InventoryManagement = () => {
                       expiryDate: '',
                       cost: '',
                       supplier: '',
+                      lotNumber: '',
                       minThreshold: '',
                       maxThreshold: '',
                       notes: '',
@@ -921,6 +953,7 @@ const InventoryManagement = () => {
                 <thead className="bg-blue-100">
                   <tr>
                     <th className="py-2 px-4 border-b text-left text-sm font-medium text-gray-700">Item Name</th>
+                    <th className="py-2 px-4 border-b text-left text-sm font-medium text-gray-700">Lot</th>
                     <th className="py-2 px-4 border-b text-left text-sm font-medium text-gray-700">Quantity Added</th>
                     <th className="py-2 px-4 border-b text-left text-sm font-medium text-gray-700">Remaining</th>
                     <th className="py-2 px-4 border-b text-left text-sm font-medium text-gray-700">Unit</th>
@@ -933,6 +966,15 @@ const InventoryManagement = () => {
                   {todayEntries.map((entry) => (
                     <tr key={entry._id} className="hover:bg-gray-50">
                       <td className="py-2 px-4 border-b text-sm text-gray-800">{entry.inventoryItem?.name || 'N/A'}</td>
+                      <td className="py-2 px-4 border-b text-sm text-gray-800">
+                        <div className="font-mono text-xs">{entry.lotNumber || 'N/A'}</div>
+                        {entry.supplier && <div className="text-xs text-gray-500">{entry.supplier}</div>}
+                        {entry.date && new Date(entry.date) < new Date(new Date().setHours(0, 0, 0, 0)) && (
+                          <div className="text-xs text-blue-600">
+                            Carried forward from {new Date(entry.date).toLocaleDateString()}
+                          </div>
+                        )}
+                      </td>
                       <td className="py-2 px-4 border-b text-sm text-gray-800">{entry.quantity}</td>
                       <td className="py-2 px-4 border-b text-sm text-gray-800">
                         <span className={entry.remainingQuantity === 0 ? 'text-red-600 font-semibold' : 'text-green-600 font-semibold'}>
@@ -960,7 +1002,9 @@ const InventoryManagement = () => {
                           )}
                       </td>
                       <td className="py-2 px-4 border-b text-sm">
-                        {entry.remainingQuantity === 0 ? (
+                        {entry.status === 'expired' ? (
+                          <span className="px-2 py-1 rounded-full text-xs bg-red-100 text-red-800">Expired</span>
+                        ) : entry.remainingQuantity === 0 ? (
                           <span className="px-2 py-1 rounded-full text-xs bg-red-100 text-red-800">Used</span>
                         ) : entry.expiryDate && new Date(entry.expiryDate) < new Date() ? (
                           <span className="px-2 py-1 rounded-full text-xs bg-red-100 text-red-800">Expired</span>
@@ -1219,18 +1263,32 @@ const InventoryManagement = () => {
               </svg>
               <span>{loadingExpired ? 'Loading...' : 'Fetch Expired Items'}</span>
             </button>
+            <ExportMenu
+              onExport={(format) => InventoryAPI.exportItems({ format })}
+              filename="inventory_export"
+            />
             <button
-              onClick={handleExportCSV}
-              className="px-4 py-2 bg-purple-500 text-white rounded hover:bg-purple-600 disabled:opacity-50 flex items-center space-x-2"
+              onClick={() => setShowImport(true)}
+              className="px-4 py-2 bg-indigo-500 text-white rounded hover:bg-indigo-600 disabled:opacity-50 flex items-center space-x-2"
               disabled={loading}
             >
               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
               </svg>
-              <span>{loading ? 'Exporting...' : 'Export to CSV'}</span>
+              <span>Import CSV/XLSX</span>
             </button>
           </div>
 
+          {showImport && (
+            <InventoryImport
+              onClose={() => setShowImport(false)}
+              onImported={() => {
+                fetchItems();
+                fetchAvailableItems();
+              }}
+            />
+          )}
+
           {/* Add Item Form */}
           {showAddForm && (
             <div className="bg-white p-6 rounded-lg shadow-md mb-6">
@@ -1330,6 +1388,32 @@ const InventoryManagement = () => {
                       min="0"
                     />
                   </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Density (g/ml)</label>
+                    <input
+                      type="number"
+                      name="density"
+                      value={formData.density}
+                      onChange={handleInputChange}
+                      placeholder="Needed to convert between weight and volume"
+                      className="p-2 border border-gray-300 rounded w-full"
+                      min="0"
+                      step="any"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Piece Weight (g)</label>
+                    <input
+                      type="number"
+                      name="pieceWeight"
+                      value={formData.pieceWeight}
+                      onChange={handleInputChange}
+                      placeholder="Needed to convert pieces to weight or volume"
+                      className="p-2 border border-gray-300 rounded w-full"
+                      min="0"
+                      step="any"
+                    />
+                  </div>
                   <div className="md:col-span-2">
                     <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
                     <textarea
@@ -1473,6 +1557,32 @@ const InventoryManagement = () => {
                       min="0"
                     />
                   </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Density (g/ml)</label>
+                    <input
+                      type="number"
+                      name="density"
+                      value={formData.density}
+                      onChange={handleInputChange}
+                      placeholder="Needed to convert between weight and volume"
+                      className="p-2 border border-gray-300 rounded w-full"
+                      min="0"
+                      step="any"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Piece Weight (g)</label>
+                    <input
+                      type="number"
+                      name="pieceWeight"
+                      value={formData.pieceWeight}
+                      onChange={handleInputChange}
+                      placeholder="Needed to convert pieces to weight or volume"
+                      className="p-2 border border-gray-300 rounded w-full"
+                      min="0"
+                      step="any"
+                    />
+                  </div>
                   <div className="md:col-span-2">
                     <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
                     <textarea
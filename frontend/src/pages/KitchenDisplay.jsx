@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { OrderAPI } from '../utils/api.js';
+import { useLiveEvents } from '../utils/useLiveEvents.js';
+
+const COLUMNS = [
+  { status: 'pending', label: 'New', header: 'bg-gray-600', bump: 'Confirm' },
+  { status: 'confirmed', label: 'Confirmed', header: 'bg-blue-600', bump: 'Start' },
+  { status: 'preparing', label: 'Preparing', header: 'bg-yellow-500', bump: 'Ready' },
+  { status: 'ready', label: 'Ready', header: 'bg-green-600', bump: 'Served' }
+];
+
+const ACTIVE_STATUSES = COLUMNS.map(column => column.status);
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(Math.abs(ms) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+const KitchenDisplay = () => {
+  const [orders, setOrders] = useState([]);
+  const [now, setNow] = useState(Date.now());
+  const [bumping, setBumping] = useState({});
+
+  // Tick every second so ticket timers stay current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const fetchQueue = async () => {
+    try {
+      const response = await OrderAPI.getKitchenQueue();
+      setOrders(response.data || []);
+    } catch (error) {
+      toast.error('Failed to fetch kitchen queue: ' + error.message);
+    }
+  };
+
+  // Tickets follow the live order events; the queue is reloaded on every (re)connect
+  const connection = useLiveEvents(['order.*'], (type, changed) => {
+    setOrders(prev => {
+      const rest = prev.filter(order => order._id !== changed._id);
+      if (type === 'order.deleted' || !ACTIVE_STATUSES.includes(changed.status)) {
+        return rest;
+      }
+      return [...rest, changed].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    });
+
+    if (type === 'order.created') {
+      toast.info(`New order ${changed.orderNumber}`);
+    }
+  }, { onConnect: fetchQueue });
+
+  const handleBump = async (order) => {
+    setBumping(prev => ({ ...prev, [order._id]: true }));
+    try {
+      const response = await OrderAPI.bumpOrder(order._id, order.status);
+      // The event stream delivers the same change, this just avoids waiting for it
+      const updated = response.data;
+      setOrders(prev => {
+        const rest = prev.filter(o => o._id !== updated._id);
+        return ACTIVE_STATUSES.includes(updated.status)
+          ? [...rest, updated].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+          : rest;
+      });
+    } catch (error) {
+      toast.error('Failed to bump order: ' + error.message);
+    } finally {
+      setBumping(prev => ({ ...prev, [order._id]: false }));
+    }
+  };
+
+  const renderTimer = (order) => {
+    const elapsed = now - new Date(order.createdAt).getTime();
+    if (!order.estimatedTime) {
+      return <span className="text-gray-600">{formatDuration(elapsed)}</span>;
+    }
+
+    const remaining = new Date(order.estimatedTime).getTime() - now;
+    const late = remaining < 0;
+    return (
+      <span className={late ? 'text-red-600 font-bold' : 'text-gray-600'}>
+        {formatDuration(elapsed)} · {late ? `${formatDuration(remaining)} late` : `${formatDuration(remaining)} left`}
+      </span>
+    );
+  };
+
+  const connectionStyles = {
+    live: 'bg-green-100 text-green-800',
+    connecting: 'bg-yellow-100 text-yellow-800',
+    offline: 'bg-red-100 text-red-800'
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold">Kitchen Display</h2>
+        <span className={`px-3 py-1 rounded-full text-sm font-medium capitalize ${connectionStyles[connection]}`}>
+          {connection === 'live' ? '● Live' : connection}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+        {COLUMNS.map(column => {
+          const tickets = orders.filter(order => order.status === column.status);
+          return (
+            <div key={column.status} className="bg-gray-100 rounded-lg overflow-hidden">
+              <div className={`${column.header} text-white px-4 py-2 flex justify-between`}>
+                <span className="font-semibold">{column.label}</span>
+                <span>{tickets.length}</span>
+              </div>
+
+              <div className="p-3 space-y-3 min-h-[200px]">
+                {tickets.length === 0 && (
+                  <p className="text-sm text-gray-400 text-center py-6">No tickets</p>
+                )}
+                {tickets.map(order => {
+                  const late = order.estimatedTime && new Date(order.estimatedTime).getTime() < now;
+                  return (
+                    <div
+                      key={order._id}
+                      className={`bg-white rounded-lg shadow p-4 border-l-4 ${late ? 'border-red-500' : 'border-transparent'}`}
+                    >
+                      <div className="flex justify-between items-start mb-2">
+                        <div>
+                          <p className="font-bold text-gray-800">{order.orderNumber}</p>
+                          <p className="text-xs text-gray-500 capitalize">
+                            {order.orderType} · {order.customerName}
+                          </p>
+                        </div>
+                        <div className="text-sm text-right">{renderTimer(order)}</div>
+                      </div>
+
+                      <ul className="text-sm text-gray-800 mb-2">
+                        {order.items?.map((item, index) => (
+                          <li key={item._id || index}>
+                            <span className="font-semibold">{item.quantity}×</span> {item.menuItem?.name || 'Unknown item'}
+                          </li>
+                        ))}
+                      </ul>
+
+                      {order.notes && (
+                        <p className="text-xs bg-yellow-50 text-yellow-800 rounded p-2 mb-2">{order.notes}</p>
+                      )}
+
+                      <button
+                        onClick={() => handleBump(order)}
+                        disabled={bumping[order._id]}
+                        className="w-full px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm font-medium disabled:opacity-50"
+                      >
+                        {bumping[order._id] ? 'Bumping...' : `${column.bump} →`}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default KitchenDisplay;
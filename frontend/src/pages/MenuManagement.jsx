@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { toast } from 'sonner';
 import { MenuAPI, InventoryAPI } from '../utils/api.js';
+import { useLiveEvents } from '../utils/useLiveEvents.js';
+import ExportMenu from '../components/ExportMenu.jsx';
 
 const MenuManagement = () => {
   const [menuItems, setMenuItems] = useState([]);
@@ -11,11 +13,13 @@ const MenuManagement = () => {
   const [selectedCategory, setSelectedCategory] = useState('');
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
+  const [costHistoryItem, setCostHistoryItem] = useState(null);
+  const [costHistory, setCostHistory] = useState(null);
   const [formData, setFormData] = useState({
     name: '',
     description: '',
+    category: '',
     ingredients: [],
-    baseCost: '',
     suggestedPrice: '',
     imageUrl: ''
   });
@@ -80,6 +84,19 @@ const MenuManagement = () => {
     fetchData();
   }, []);
 
+  // Menu items follow ingredient stock live (e.g. after an order or a delivery)
+  useLiveEvents(['menu.stock_status_changed'], (type, changed) => {
+    setMenuItems(prev => prev.map(item => item._id === changed._id
+      ? {
+          ...item,
+          stockStatus: changed.stockStatus,
+          isAvailable: changed.isAvailable,
+          stockInfo: { ...item.stockInfo, stockStatus: changed.stockStatus, isAvailable: changed.isAvailable }
+        }
+      : item
+    ));
+  });
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -123,7 +140,7 @@ const MenuManagement = () => {
 
   const handleCreateMenuItem = async (e) => {
     e.preventDefault();
-    if (!formData.name || !formData.ingredients.length || !formData.baseCost || !formData.suggestedPrice) {
+    if (!formData.name || !formData.ingredients.length || !formData.suggestedPrice) {
       toast.error('Please fill in all required fields');
       return;
     }
@@ -140,8 +157,8 @@ const MenuManagement = () => {
       setFormData({
         name: '',
         description: '',
+        category: '',
         ingredients: [],
-        baseCost: '',
         suggestedPrice: '',
         imageUrl: ''
       });
@@ -169,21 +186,40 @@ const MenuManagement = () => {
     setFormData({
       name: item.name || '',
       description: item.description || '',
+      category: item.category || '',
       ingredients: normalizedIngredients,
-      baseCost: item.baseCost || '',
       suggestedPrice: item.suggestedPrice || '',
       imageUrl: item.imageUrl || ''
     });
     setShowCreateForm(true);
   };
 
+  const handleShowCostHistory = async (item) => {
+    setCostHistoryItem(item);
+    setCostHistory(null);
+    try {
+      const response = await MenuAPI.getMenuItemCostHistory(item._id);
+      setCostHistory(response.data);
+    } catch (error) {
+      toast.error('Failed to load cost history: ' + error.message);
+      setCostHistoryItem(null);
+    }
+  };
+
+  // Rough client-side estimate; the server converts units and computes the real cost on save
+  const estimatedBaseCost = formData.ingredients.reduce((sum, ing) => {
+    const ingredient = availableIngredients.find(ai => ai._id === ing.ingredient);
+    if (!ingredient?.cost || ingredient.unit !== ing.unit) return sum;
+    return sum + (Number(ing.quantity) || 0) * ingredient.cost;
+  }, 0);
+
   const handleCancelEdit = () => {
     setEditingItem(null);
     setFormData({
       name: '',
       description: '',
+      category: '',
       ingredients: [],
-      baseCost: '',
       suggestedPrice: '',
       imageUrl: ''
     });
@@ -239,6 +275,10 @@ const MenuManagement = () => {
       <div className="flex justify-between items-center mb-6">
         <h2 className="text-2xl font-semibold">Menu Management</h2>
         <div className="flex space-x-3">
+          <ExportMenu
+            filename="menu_export"
+            onExport={(format) => MenuAPI.exportMenuItems({ format, ...(searchTerm && { search: searchTerm }) })}
+          />
           <button
             onClick={async () => {
               try {
@@ -256,14 +296,31 @@ const MenuManagement = () => {
           >
             Refresh Stock Status
           </button>
+          <button
+            onClick={async () => {
+              try {
+                setLoading(true);
+                const response = await MenuAPI.recalculateAllCosts();
+                await fetchData();
+                toast.success(`Recipe costs recalculated (${response.data?.changedItems || 0} changed)`);
+              } catch (error) {
+                toast.error('Failed to recalculate costs: ' + error.message);
+              } finally {
+                setLoading(false);
+              }
+            }}
+            className="bg-green-500 text-white px-4 py-2 rounded-lg hover:bg-green-600 transition-colors"
+          >
+            Recalculate Costs
+          </button>
           <button
             onClick={() => {
               setEditingItem(null);
               setFormData({
                 name: '',
                 description: '',
+                category: '',
                 ingredients: [],
-                baseCost: '',
                 suggestedPrice: '',
                 imageUrl: ''
               });
@@ -318,12 +375,24 @@ const MenuManagement = () => {
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {filteredMenuItems.map((item) => (
             <div key={item._id} className="bg-white rounded-lg shadow-md p-6">
-              <h3 className="text-lg font-semibold mb-2">{item.name}</h3>
+              <div className="flex justify-between items-start mb-2">
+                <h3 className="text-lg font-semibold">{item.name}</h3>
+                {item.category && (
+                  <span className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded">{item.category}</span>
+                )}
+              </div>
               {item.description && (
                 <p className="text-gray-600 mb-3">{item.description}</p>
               )}
               <div className="space-y-2 mb-4">
-                <p><span className="font-medium">Base Cost:</span> ${item.baseCost}</p>
+                <p>
+                  <span className="font-medium">Base Cost:</span> ${Number(item.baseCost || 0).toFixed(2)}
+                  {item.uncostedIngredients?.length > 0 && (
+                    <span className="ml-2 text-xs text-yellow-700" title={`No cost for: ${item.uncostedIngredients.join(', ')}`}>
+                      ({item.uncostedIngredients.length} ingredient(s) without cost)
+                    </span>
+                  )}
+                </p>
                 <p><span className="font-medium">Suggested Price:</span> ${item.suggestedPrice}</p>
                 <p>
                   <span className="font-medium">Profit Margin:</span>{' '}
@@ -402,12 +471,70 @@ const MenuManagement = () => {
                 >
                   Edit
                 </button>
+                <button 
+                  onClick={() => handleShowCostHistory(item)}
+                  className="bg-gray-500 text-white px-3 py-1 rounded text-sm hover:bg-gray-600"
+                >
+                  Cost History
+                </button>
               </div>
             </div>
           ))}
         </div>
       )}
 
+      {/* Cost History Modal */}
+      {costHistoryItem && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-semibold">Cost History: {costHistoryItem.name}</h3>
+              <button
+                onClick={() => setCostHistoryItem(null)}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                ✕
+              </button>
+            </div>
+            {!costHistory ? (
+              <p className="text-gray-500">Loading...</p>
+            ) : costHistory.history.length === 0 ? (
+              <p className="text-gray-500">No cost history recorded yet.</p>
+            ) : (
+              <>
+                {costHistory.marginChange != null && (
+                  <p className={`mb-4 text-sm font-medium ${costHistory.marginChange < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    Margin {costHistory.marginChange < 0 ? 'eroded' : 'improved'} by {Math.abs(costHistory.marginChange).toFixed(1)} points since {new Date(costHistory.history[costHistory.history.length - 1].createdAt).toLocaleDateString()}
+                  </p>
+                )}
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="py-2 px-3 text-left font-medium text-gray-700">Date</th>
+                      <th className="py-2 px-3 text-left font-medium text-gray-700">Base Cost</th>
+                      <th className="py-2 px-3 text-left font-medium text-gray-700">Price</th>
+                      <th className="py-2 px-3 text-left font-medium text-gray-700">Margin</th>
+                      <th className="py-2 px-3 text-left font-medium text-gray-700">Reason</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {costHistory.history.map(entry => (
+                      <tr key={entry._id} className="border-t">
+                        <td className="py-2 px-3 text-gray-700">{new Date(entry.createdAt).toLocaleString()}</td>
+                        <td className="py-2 px-3 text-gray-800">${Number(entry.baseCost).toFixed(2)}</td>
+                        <td className="py-2 px-3 text-gray-800">${Number(entry.suggestedPrice).toFixed(2)}</td>
+                        <td className="py-2 px-3 text-gray-800">{entry.profitMargin != null ? `${Number(entry.profitMargin).toFixed(1)}%` : '-'}</td>
+                        <td className="py-2 px-3 text-gray-600">{entry.reason}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Create Form Modal */}
       {showCreateForm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -448,16 +575,34 @@ const MenuManagement = () => {
               </div>
 
               <div>
-                <label className="block text-sm font-medium mb-1">Base Cost *</label>
+                <label className="block text-sm font-medium mb-1">Category</label>
                 <input
-                  type="number"
-                  step="0.01"
-                  name="baseCost"
-                  value={formData.baseCost}
+                  type="text"
+                  name="category"
+                  value={formData.category}
                   onChange={handleInputChange}
+                  list="menu-categories"
+                  placeholder="General"
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  required
                 />
+                <datalist id="menu-categories">
+                  {[...new Set(menuItems.map(item => item.category).filter(Boolean))].map(category => (
+                    <option key={category} value={category} />
+                  ))}
+                </datalist>
+                <p className="text-xs text-gray-500 mt-1">
+                  Used by category tax rates and category promotions
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Base Cost</label>
+                <div className="w-full px-3 py-2 border border-gray-200 bg-gray-50 rounded-lg text-gray-700">
+                  ~${estimatedBaseCost.toFixed(2)}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  Calculated from the ingredients' inventory costs when saved, and kept up to date when those costs change
+                </p>
               </div>
 
               <div>
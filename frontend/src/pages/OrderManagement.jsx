@@ -1,6 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { toast } from 'sonner';
 import { OrderAPI, MenuAPI } from '../utils/api.js';
+import { useLiveEvents } from '../utils/useLiveEvents.js';
+import ExportMenu from '../components/ExportMenu.jsx';
+import OrderPriceSummary from '../components/OrderPriceSummary.jsx';
+import OrderPayments from '../components/OrderPayments.jsx';
+
+const PAYMENT_METHODS = [
+  { value: '', label: 'Not paid yet' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Card' },
+  { value: 'upi', label: 'UPI' },
+  { value: 'mobile', label: 'Mobile payment' },
+  { value: 'online', label: 'Online' },
+  { value: 'other', label: 'Other' }
+];
 
 const OrderManagement = () => {
   const [orders, setOrders] = useState([]);
@@ -10,6 +24,8 @@ const OrderManagement = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
   const [orderTypeFilter, setOrderTypeFilter] = useState('');
+  const [paymentStatusFilter, setPaymentStatusFilter] = useState('');
+  const [paymentsOrder, setPaymentsOrder] = useState(null);
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [showEditForm, setShowEditForm] = useState(false);
   const [editingOrderId, setEditingOrderId] = useState(null);
@@ -18,6 +34,8 @@ const OrderManagement = () => {
     customerPhone: '',
     customerEmail: '',
     orderType: 'dine-in',
+    paymentMethod: '',
+    couponCode: '',
     items: [],
     notes: ''
   });
@@ -26,6 +44,8 @@ const OrderManagement = () => {
     customerPhone: '',
     customerEmail: '',
     orderType: 'dine-in',
+    paymentMethod: '',
+    couponCode: '',
     items: [],
     notes: ''
   });
@@ -41,7 +61,26 @@ const OrderManagement = () => {
   useEffect(() => {
     fetchOrders();
     fetchMenuItems();
-  }, [pagination.page, statusFilter, orderTypeFilter, searchTerm]);
+  }, [pagination.page, statusFilter, orderTypeFilter, paymentStatusFilter, searchTerm]);
+
+  // Orders changed anywhere (another screen, the kitchen display) show up live.
+  // Changes patch the visible order in place; new or deleted orders reload the page
+  // because they shift pagination.
+  const connection = useLiveEvents(['order.*'], (type, changed) => {
+    if (type === 'order.created' || type === 'order.deleted') {
+      fetchOrders();
+      return;
+    }
+    setOrders(prev => prev.map(order => order._id === changed._id ? { ...order, ...changed } : order));
+  });
+
+  // Filters shared by the list and the export
+  const listFilters = () => ({
+    ...(statusFilter && { status: statusFilter }),
+    ...(orderTypeFilter && { orderType: orderTypeFilter }),
+    ...(paymentStatusFilter && { paymentStatus: paymentStatusFilter }),
+    ...(searchTerm && { search: searchTerm })
+  });
 
   const fetchOrders = async () => {
     setLoading(true);
@@ -49,9 +88,7 @@ const OrderManagement = () => {
       const params = {
         page: pagination.page,
         limit: pagination.limit,
-        ...(statusFilter && { status: statusFilter }),
-        ...(orderTypeFilter && { orderType: orderTypeFilter }),
-        ...(searchTerm && { search: searchTerm })
+        ...listFilters()
       };
 
       const response = await OrderAPI.getAllOrders(params);
@@ -233,12 +270,14 @@ const OrderManagement = () => {
         customerPhone: '',
         customerEmail: '',
         orderType: 'dine-in',
+        paymentMethod: '',
+        couponCode: '',
         items: [],
         notes: ''
       });
       setOrderSearchTerm('');
       setShowCreateForm(false);
-      fetchOrders(); // Refresh orders list
+      if (connection !== 'live') fetchOrders(); // The live event refreshes the list otherwise
     } catch (error) {
       toast.error('Failed to create order: ' + error.message);
     } finally {
@@ -252,7 +291,7 @@ const OrderManagement = () => {
       setLoading(true);
       await OrderAPI.updateOrderStatus(orderId, { status: newStatus });
       toast.success('Order status updated successfully!');
-      fetchOrders(); // Refresh orders list
+      if (connection !== 'live') fetchOrders(); // The live event refreshes the list otherwise
     } catch (error) {
       toast.error('Failed to update order status: ' + error.message);
     } finally {
@@ -260,17 +299,42 @@ const OrderManagement = () => {
     }
   };
 
+  // Cancel an order; money already taken is refunded unless the user keeps some of it
+  const handleCancelPaidOrder = async (order) => {
+    const paid = (order.amountPaid || 0) - (order.amountRefunded || 0);
+    if (paid <= 0) {
+      return handleUpdateOrderStatus(order._id, 'cancelled');
+    }
+
+    const refundAmount = window.prompt(
+      `Order #${order.orderNumber} has $${paid.toFixed(2)} paid. Amount to refund on cancelling (0 keeps the money):`,
+      paid.toFixed(2)
+    );
+    if (refundAmount === null) return;
+
+    try {
+      setLoading(true);
+      const response = await OrderAPI.updateOrderStatus(order._id, { status: 'cancelled', refundAmount: Number(refundAmount) });
+      toast.success(response.message);
+      if (connection !== 'live') fetchOrders(); // The live event refreshes the list otherwise
+    } catch (error) {
+      toast.error('Failed to cancel order: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Delete order
   const handleDeleteOrder = async (orderId) => {
-    if (!window.confirm('Are you sure you want to delete this order?')) {
+    if (!window.confirm('Move this order to the trash? It can be restored from the Trash page.')) {
       return;
     }
 
     try {
       setLoading(true);
       await OrderAPI.deleteOrder(orderId);
-      toast.success('Order deleted successfully!');
-      fetchOrders(); // Refresh orders list
+      toast.success('Order moved to the trash');
+      if (connection !== 'live') fetchOrders(); // The live event refreshes the list otherwise
     } catch (error) {
       toast.error('Failed to delete order: ' + error.message);
     } finally {
@@ -278,6 +342,30 @@ const OrderManagement = () => {
     }
   };
 
+  // Issue the invoice of a paid or completed order
+  const handleIssueInvoice = async (order) => {
+    try {
+      const response = await OrderAPI.issueInvoice(order._id);
+      toast.success(`Invoice ${response.data.invoice.number} issued`);
+      fetchOrders(); // Show the new invoice number
+    } catch (error) {
+      toast.error('Failed to issue invoice: ' + error.message);
+    }
+  };
+
+  // Open the PDF of an issued invoice in a new tab
+  const handleOpenInvoice = async (order, layout) => {
+    // Open the tab before the request so the browser does not block it as a popup
+    const invoiceWindow = window.open('', '_blank');
+    try {
+      const blob = await OrderAPI.getInvoicePdf(order._id, layout);
+      invoiceWindow.location.href = window.URL.createObjectURL(blob);
+    } catch (error) {
+      invoiceWindow.close();
+      toast.error('Failed to get invoice: ' + error.message);
+    }
+  };
+
   // Reset order modal
   const handleCancelOrder = () => {
     setOrderData({
@@ -285,6 +373,8 @@ const OrderManagement = () => {
       customerPhone: '',
       customerEmail: '',
       orderType: 'dine-in',
+      paymentMethod: '',
+      couponCode: '',
       items: [],
       notes: ''
     });
@@ -299,6 +389,8 @@ const OrderManagement = () => {
       customerPhone: order.customerPhone || '',
       customerEmail: order.customerEmail || '',
       orderType: order.orderType || 'dine-in',
+      paymentMethod: order.paymentMethod || '',
+      couponCode: order.couponCode || '',
       items: (order.items || []).map(it => ({
         menuItem: it.menuItem,
         quantity: it.quantity,
@@ -380,6 +472,16 @@ const OrderManagement = () => {
     }
   };
 
+  const getPaymentStatusColor = (paymentStatus) => {
+    switch (paymentStatus) {
+      case 'paid': return 'bg-green-100 text-green-800';
+      case 'partially-paid': return 'bg-yellow-100 text-yellow-800';
+      case 'partially-refunded': return 'bg-orange-100 text-orange-800';
+      case 'refunded': return 'bg-red-100 text-red-800';
+      default: return 'bg-gray-100 text-gray-800';
+    }
+  };
+
   const getOrderTypeColor = (orderType) => {
     switch (orderType) {
       case 'dine-in': return 'bg-green-100 text-green-800';
@@ -401,12 +503,19 @@ const OrderManagement = () => {
     <div className="p-8">
       <div className="flex justify-between items-center mb-6">
         <h2 className="text-2xl font-semibold">Order Management</h2>
-        <button
-          onClick={() => setShowCreateForm(true)}
-          className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors"
-        >
-          Create New Order
-        </button>
+        <div className="flex space-x-2">
+          <ExportMenu
+            onExport={(format) => OrderAPI.exportOrders({ format, ...listFilters() })}
+            filename="orders_export"
+            className="px-4 py-2 rounded-lg bg-purple-500 hover:bg-purple-600"
+          />
+          <button
+            onClick={() => setShowCreateForm(true)}
+            className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors"
+          >
+            Create New Order
+          </button>
+        </div>
       </div>
 
       {/* Tabs */}
@@ -453,6 +562,18 @@ const OrderManagement = () => {
           <option value="takeaway">Takeaway</option>
           <option value="delivery">Delivery</option>
         </select>
+        <select
+          value={paymentStatusFilter}
+          onChange={(e) => setPaymentStatusFilter(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">All Payments</option>
+          <option value="unpaid">Unpaid</option>
+          <option value="partially-paid">Partially paid</option>
+          <option value="paid">Paid</option>
+          <option value="partially-refunded">Partially refunded</option>
+          <option value="refunded">Refunded</option>
+        </select>
       </div>
 
       {/* Orders List */}
@@ -468,6 +589,11 @@ const OrderManagement = () => {
                     <p className="text-gray-600">Phone: {order.customerPhone}</p>
                   )}
                   <p className="text-gray-600">Total: ${order.totalAmount}</p>
+                  {order.discount > 0 && (
+                    <p className="text-sm text-green-700">
+                      Saved ${order.discount.toFixed(2)} ({order.appliedPromotions?.map(applied => applied.name).join(', ')})
+                    </p>
+                  )}
                 </div>
                 <div className="flex space-x-2">
                   <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(order.status)}`}>
@@ -476,6 +602,11 @@ const OrderManagement = () => {
                   <span className={`px-3 py-1 rounded-full text-sm font-medium ${getOrderTypeColor(order.orderType)}`}>
                     {order.orderType.charAt(0).toUpperCase() + order.orderType.slice(1)}
                   </span>
+                  {order.paymentStatus && (
+                    <span className={`px-3 py-1 rounded-full text-sm font-medium ${getPaymentStatusColor(order.paymentStatus)}`}>
+                      {(order.paymentStatus.charAt(0).toUpperCase() + order.paymentStatus.slice(1)).replace('-', ' ')}
+                    </span>
+                  )}
                 </div>
               </div>
 
@@ -504,16 +635,54 @@ const OrderManagement = () => {
                   {order.createdBy && (
                     <span> by {order.createdBy.fullname || order.createdBy.email}</span>
                   )}
+                  {order.invoice?.number && (
+                    <span> · Invoice {order.invoice.number}</span>
+                  )}
                 </div>
                 <div className="flex space-x-2">
-                  {order.status === 'pending' && (
+                  {order.paymentStatus && (
+                    <button
+                      onClick={() => setPaymentsOrder(order)}
+                      className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700"
+                    >
+                      Payments
+                    </button>
+                  )}
+                  {!order.invoice?.number && order.status !== 'cancelled' &&
+                    (order.paymentStatus === 'paid' || order.status === 'completed') && (
+                    <button
+                      onClick={() => handleIssueInvoice(order)}
+                      className="bg-indigo-500 text-white px-3 py-1 rounded text-sm hover:bg-indigo-600"
+                    >
+                      Issue Invoice
+                    </button>
+                  )}
+                  {order.invoice?.number && (
                     <>
                       <button
-                        onClick={() => openEditOrder(order)}
-                        className="bg-gray-500 text-white px-3 py-1 rounded text-sm hover:bg-gray-600"
+                        onClick={() => handleOpenInvoice(order, 'a4')}
+                        className="bg-indigo-500 text-white px-3 py-1 rounded text-sm hover:bg-indigo-600"
                       >
-                        Edit
+                        Invoice
                       </button>
+                      <button
+                        onClick={() => handleOpenInvoice(order, 'receipt')}
+                        className="bg-indigo-500 text-white px-3 py-1 rounded text-sm hover:bg-indigo-600"
+                      >
+                        Receipt
+                      </button>
+                    </>
+                  )}
+                  {order.status === 'pending' && (
+                    <>
+                      {!order.invoice?.number && !(order.amountPaid > 0) && (
+                        <button
+                          onClick={() => openEditOrder(order)}
+                          className="bg-gray-500 text-white px-3 py-1 rounded text-sm hover:bg-gray-600"
+                        >
+                          Edit
+                        </button>
+                      )}
                       <button
                         onClick={() => handleUpdateOrderStatus(order._id, 'confirmed')}
                         className="bg-blue-500 text-white px-3 py-1 rounded text-sm hover:bg-blue-600"
@@ -548,7 +717,7 @@ const OrderManagement = () => {
                   )}
                   {(order.status === 'pending' || order.status === 'confirmed') && (
                     <button
-                      onClick={() => handleUpdateOrderStatus(order._id, 'cancelled')}
+                      onClick={() => handleCancelPaidOrder(order)}
                       className="bg-red-500 text-white px-3 py-1 rounded text-sm hover:bg-red-600"
                     >
                       Cancel
@@ -657,6 +826,29 @@ const OrderManagement = () => {
                     <option value="delivery">Delivery</option>
                   </select>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Payment Method</label>
+                  <select
+                    name="paymentMethod"
+                    value={orderData.paymentMethod}
+                    onChange={handleOrderInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {PAYMENT_METHODS.map(method => (
+                      <option key={method.value} value={method.value}>{method.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Coupon Code</label>
+                  <input
+                    type="text"
+                    name="couponCode"
+                    value={orderData.couponCode}
+                    onChange={handleOrderInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg uppercase focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
               </div>
 
               {/* Menu Items Selection */}
@@ -747,14 +939,11 @@ const OrderManagement = () => {
                       </div>
                     ))}
                   </div>
-                  {orderData.items.length > 0 && (
-                    <div className="mt-3 p-3 bg-gray-50 rounded-lg">
-                      <div className="flex justify-between font-medium">
-                        <span>Total:</span>
-                        <span>${calculateOrderTotal().toFixed(2)}</span>
-                      </div>
-                    </div>
-                  )}
+                  <OrderPriceSummary
+                    items={orderData.items}
+                    orderType={orderData.orderType}
+                    couponCode={orderData.couponCode}
+                  />
                 </div>
               </div>
 
@@ -854,6 +1043,29 @@ const OrderManagement = () => {
                     <option value="delivery">Delivery</option>
                   </select>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Payment Method</label>
+                  <select
+                    name="paymentMethod"
+                    value={editOrderData.paymentMethod}
+                    onChange={handleEditOrderInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {PAYMENT_METHODS.map(method => (
+                      <option key={method.value} value={method.value}>{method.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Coupon Code</label>
+                  <input
+                    type="text"
+                    name="couponCode"
+                    value={editOrderData.couponCode}
+                    onChange={handleEditOrderInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg uppercase focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
               </div>
 
               {/* Menu Items Selection */}
@@ -943,14 +1155,11 @@ const OrderManagement = () => {
                       </div>
                     ))}
                   </div>
-                  {editOrderData.items.length > 0 && (
-                    <div className="mt-3 p-3 bg-gray-50 rounded-lg">
-                      <div className="flex justify-between font-medium">
-                        <span>Total:</span>
-                        <span>${calculateEditOrderTotal().toFixed(2)}</span>
-                      </div>
-                    </div>
-                  )}
+                  <OrderPriceSummary
+                    items={editOrderData.items}
+                    orderType={editOrderData.orderType}
+                    couponCode={editOrderData.couponCode}
+                  />
                 </div>
               </div>
 
@@ -988,6 +1197,17 @@ const OrderManagement = () => {
           </div>
         </div>
       )}
+
+      {/* Payments Modal */}
+      {paymentsOrder && (
+        <OrderPayments
+          order={paymentsOrder}
+          onClose={() => {
+            setPaymentsOrder(null);
+            if (connection !== 'live') fetchOrders(); // The live event refreshes the list otherwise
+          }}
+        />
+      )}
     </div>
   );
 };
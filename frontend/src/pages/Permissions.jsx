@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { PermissionAPI } from '../utils/api.js';
+
+const ROLES = ['admin', 'chef', 'employee'];
+
+const Permissions = () => {
+  const [permissions, setPermissions] = useState([]);
+  const [roles, setRoles] = useState({});
+  const [draft, setDraft] = useState({});
+  const [saving, setSaving] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const fetchMatrix = async () => {
+    setLoading(true);
+    try {
+      const response = await PermissionAPI.getMatrix();
+      setPermissions(response.data.permissions);
+      setRoles(response.data.roles);
+      setDraft(Object.fromEntries(
+        Object.entries(response.data.roles).map(([role, info]) => [role, info.permissions])
+      ));
+    } catch (error) {
+      toast.error('Failed to fetch permissions: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchMatrix();
+  }, []);
+
+  const togglePermission = (role, key) => {
+    setDraft(prev => {
+      const current = prev[role] || [];
+      return {
+        ...prev,
+        [role]: current.includes(key) ? current.filter(p => p !== key) : [...current, key]
+      };
+    });
+  };
+
+  const isChanged = (role) => {
+    const saved = roles[role]?.permissions || [];
+    const current = draft[role] || [];
+    return saved.length !== current.length || current.some(p => !saved.includes(p));
+  };
+
+  const handleSave = async (role) => {
+    setSaving(prev => ({ ...prev, [role]: true }));
+    try {
+      await PermissionAPI.updateRole(role, draft[role]);
+      toast.success(`Permissions of ${role} saved`);
+      fetchMatrix();
+    } catch (error) {
+      toast.error('Failed to save permissions: ' + error.message);
+    } finally {
+      setSaving(prev => ({ ...prev, [role]: false }));
+    }
+  };
+
+  const handleReset = async (role) => {
+    if (!window.confirm(`Reset ${role} to the default permissions?`)) {
+      return;
+    }
+
+    setSaving(prev => ({ ...prev, [role]: true }));
+    try {
+      await PermissionAPI.resetRole(role);
+      toast.success(`Permissions of ${role} reset`);
+      fetchMatrix();
+    } catch (error) {
+      toast.error('Failed to reset permissions: ' + error.message);
+    } finally {
+      setSaving(prev => ({ ...prev, [role]: false }));
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-semibold">Permissions</h2>
+        <p className="text-gray-600">What each role may do. Admins always have every permission.</p>
+      </div>
+
+      {loading && permissions.length === 0 ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Permission</th>
+                {ROLES.map(role => (
+                  <th key={role} className="py-2 px-3 text-center font-medium text-gray-700 capitalize">
+                    {role}
+                    {roles[role]?.editable && (
+                      <div className="text-xs font-normal text-gray-500">
+                        {roles[role].isDefault ? 'default' : 'customised'}
+                      </div>
+                    )}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {permissions.map(permission => (
+                <tr key={permission.key} className="border-t">
+                  <td className="py-2 px-3">
+                    <div className="font-mono text-gray-800">{permission.key}</div>
+                    <div className="text-xs text-gray-500">{permission.description}</div>
+                  </td>
+                  {ROLES.map(role => (
+                    <td key={role} className="py-2 px-3 text-center">
+                      <input
+                        type="checkbox"
+                        checked={(draft[role] || []).includes(permission.key)}
+                        disabled={!roles[role]?.editable || saving[role]}
+                        onChange={() => togglePermission(role, permission.key)}
+                        className="h-4 w-4"
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className="bg-gray-50 border-t">
+              <tr>
+                <td className="py-2 px-3"></td>
+                {ROLES.map(role => (
+                  <td key={role} className="py-2 px-3 text-center">
+                    {roles[role]?.editable && (
+                      <div className="flex justify-center space-x-2">
+                        <button
+                          onClick={() => handleSave(role)}
+                          disabled={!isChanged(role) || saving[role]}
+                          className="bg-blue-600 text-white px-3 py-1 rounded text-xs hover:bg-blue-700 disabled:opacity-50"
+                        >
+                          Save
+                        </button>
+                        <button
+                          onClick={() => handleReset(role)}
+                          disabled={roles[role].isDefault || saving[role]}
+                          className="bg-gray-200 text-gray-800 px-3 py-1 rounded text-xs hover:bg-gray-300 disabled:opacity-50"
+                        >
+                          Reset
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Permissions;
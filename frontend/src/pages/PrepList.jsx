@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { DailyInventoryAPI } from '../utils/api.js';
+
+const METHOD_LABELS = {
+  model: 'Sales forecast (prediction model)',
+  heuristic: 'Sales forecast (weekday heuristic)',
+  average: 'Average of past weeks'
+};
+
+// Today's date as YYYY-MM-DD in local time
+const todayString = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+const PrepList = () => {
+  const [prepList, setPrepList] = useState(null);
+  const [date, setDate] = useState(todayString());
+  const [source, setSource] = useState('forecast');
+  const [loading, setLoading] = useState(false);
+
+  const fetchPrepList = async () => {
+    setLoading(true);
+    try {
+      const response = await DailyInventoryAPI.getPrepList({ date, source });
+      setPrepList(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch prep list: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPrepList();
+  }, [date, source]);
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold">Prep List</h2>
+          {prepList && (
+            <p className="text-gray-600">
+              {prepList.dayOfWeek}, {prepList.date} · {METHOD_LABELS[prepList.method]}
+              {prepList.weeks ? ` (${prepList.weeks} weeks)` : ''}
+            </p>
+          )}
+        </div>
+        <div className="flex items-center space-x-2 print:hidden">
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          />
+          <select
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            <option value="forecast">Forecast</option>
+            <option value="average">Weekday average</option>
+          </select>
+          <button
+            onClick={() => window.print()}
+            disabled={!prepList}
+            className="bg-blue-600 text-white px-4 py-1.5 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            🖨️ Print
+          </button>
+        </div>
+      </div>
+
+      {loading && !prepList ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        </div>
+      ) : prepList && (
+        <>
+          {prepList.fallbackReason && prepList.method === 'heuristic' && (
+            <p className="text-xs text-yellow-700 bg-yellow-50 rounded p-2 mb-4 print:hidden">
+              Prediction service not used: {prepList.fallbackReason}.
+            </p>
+          )}
+
+          <div className="grid grid-cols-3 gap-4 mb-6">
+            <div className="bg-white rounded-lg shadow p-4 print:shadow-none print:border">
+              <p className="text-sm text-gray-500">Dishes Expected</p>
+              <p className="text-2xl font-semibold">{prepList.summary.dishCount}</p>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4 print:shadow-none print:border">
+              <p className="text-sm text-gray-500">Ingredients</p>
+              <p className="text-2xl font-semibold">{prepList.summary.ingredientCount}</p>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4 print:shadow-none print:border">
+              <p className="text-sm text-gray-500">Short</p>
+              <p className={`text-2xl font-semibold ${prepList.summary.shortfallCount > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                {prepList.summary.shortfallCount}
+              </p>
+            </div>
+          </div>
+
+          {prepList.ingredients.length === 0 ? (
+            <div className="bg-white rounded-lg shadow p-6 text-gray-600">
+              No sales history to plan from for this day.
+            </div>
+          ) : (
+            <div className="bg-white rounded-lg shadow overflow-x-auto mb-6 print:shadow-none">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700 w-8 hidden print:table-cell">✓</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Ingredient</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Needed</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">On Hand</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Shortfall</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Used In</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {prepList.ingredients.map(ingredient => (
+                    <tr key={ingredient.inventoryItem._id} className={`border-t ${ingredient.shortfall > 0 ? 'bg-red-50' : ''}`}>
+                      <td className="py-2 px-3 hidden print:table-cell">☐</td>
+                      <td className="py-2 px-3">
+                        <div className="font-medium text-gray-800">{ingredient.inventoryItem.name}</div>
+                        <div className="text-xs text-gray-500">{ingredient.inventoryItem.storageCondition?.replace(/_/g, ' ')}</div>
+                      </td>
+                      <td className="py-2 px-3 font-medium">{ingredient.requiredQuantity} {ingredient.unit}</td>
+                      <td className="py-2 px-3 text-gray-700">{ingredient.onHand} {ingredient.unit}</td>
+                      <td className={`py-2 px-3 font-medium ${ingredient.shortfall > 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                        {ingredient.shortfall > 0 ? `${ingredient.shortfall} ${ingredient.unit}` : '-'}
+                      </td>
+                      <td className="py-2 px-3 text-xs text-gray-600">
+                        {ingredient.usedBy.map(use => `${use.menuItem} ×${use.dishes}`).join(', ')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {prepList.dishes.length > 0 && (
+            <div className="bg-white rounded-lg shadow p-4 mb-6 print:shadow-none print:border">
+              <h3 className="font-semibold mb-2">Expected Dishes</h3>
+              <div className="flex flex-wrap gap-2">
+                {prepList.dishes.map(dish => (
+                  <span key={dish.menuItem._id} className="px-2 py-1 bg-gray-100 rounded text-sm">
+                    {dish.menuItem.name} × {dish.plannedUnits}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {prepList.unconverted.length > 0 && (
+            <div className="bg-yellow-50 rounded-lg p-4 text-sm text-yellow-800 print:hidden">
+              <p className="font-medium mb-1">Left out (recipe unit cannot be converted to the stock unit):</p>
+              <ul className="list-disc list-inside">
+                {prepList.unconverted.map((line, index) => (
+                  <li key={index}>{line.ingredient} in {line.menuItem} ({line.unit} → {line.stockUnit})</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PrepList;
@@ -0,0 +1,542 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { PromotionAPI, MenuAPI } from '../utils/api.js';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_PROMOTION = {
+  name: '',
+  description: '',
+  type: 'percentage',
+  value: '',
+  scope: 'order',
+  menuItems: [],
+  categories: '',
+  comboItems: [],
+  comboPrice: '',
+  minSubtotal: '',
+  couponCode: '',
+  daysOfWeek: [],
+  startTime: '',
+  endTime: '',
+  validFrom: '',
+  validUntil: '',
+  stackable: false,
+  isActive: true
+};
+
+// Stored dates as the value of a date input, in local time
+const toDateInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+const refId = (ref) => (ref && typeof ref === 'object' ? ref._id : ref);
+
+const toForm = (promotion) => ({
+  name: promotion.name || '',
+  description: promotion.description || '',
+  type: promotion.type,
+  value: promotion.value ?? '',
+  scope: promotion.scope || 'order',
+  menuItems: (promotion.menuItems || []).map(refId),
+  categories: (promotion.categories || []).join(', '),
+  comboItems: (promotion.comboItems || []).map(entry => ({ menuItem: refId(entry.menuItem), quantity: entry.quantity })),
+  comboPrice: promotion.comboPrice ?? '',
+  minSubtotal: promotion.minSubtotal || '',
+  couponCode: promotion.couponCode || '',
+  daysOfWeek: promotion.daysOfWeek || [],
+  startTime: promotion.startTime || '',
+  endTime: promotion.endTime || '',
+  validFrom: toDateInput(promotion.validFrom),
+  validUntil: toDateInput(promotion.validUntil),
+  stackable: Boolean(promotion.stackable),
+  isActive: promotion.isActive !== false
+});
+
+// The form as the API expects it; the end date includes the whole day
+const toPayload = (form) => ({
+  ...form,
+  value: Number(form.value) || 0,
+  categories: form.categories.split(',').map(category => category.trim()).filter(Boolean),
+  comboItems: form.type === 'combo'
+    ? form.comboItems.filter(entry => entry.menuItem).map(entry => ({ menuItem: entry.menuItem, quantity: Number(entry.quantity) || 1 }))
+    : [],
+  comboPrice: form.comboPrice === '' ? null : Number(form.comboPrice),
+  minSubtotal: Number(form.minSubtotal) || 0,
+  validFrom: form.validFrom ? new Date(`${form.validFrom}T00:00`).toISOString() : '',
+  validUntil: form.validUntil ? new Date(`${form.validUntil}T23:59:59`).toISOString() : ''
+});
+
+const describeDiscount = (promotion) => {
+  if (promotion.type === 'combo') {
+    const items = (promotion.comboItems || [])
+      .map(entry => `${entry.quantity} × ${entry.menuItem?.name || 'item'}`)
+      .join(' + ');
+    return `${items} for $${Number(promotion.comboPrice || 0).toFixed(2)}`;
+  }
+  const amount = promotion.type === 'percentage'
+    ? `${promotion.value}% off`
+    : `$${Number(promotion.value).toFixed(2)} off${promotion.scope === 'items' ? ' each' : ''}`;
+  if (promotion.scope !== 'items') return `${amount} the order`;
+  const targets = [
+    ...(promotion.menuItems || []).map(item => item.name),
+    ...(promotion.categories || [])
+  ];
+  return `${amount} ${targets.length > 0 ? targets.join(', ') : 'all items'}`;
+};
+
+const describeConditions = (promotion) => {
+  const conditions = [];
+  if (promotion.minSubtotal > 0) conditions.push(`Subtotal from $${Number(promotion.minSubtotal).toFixed(2)}`);
+  if (promotion.daysOfWeek?.length > 0) conditions.push(promotion.daysOfWeek.map(day => DAY_LABELS[day]).join(', '));
+  if (promotion.startTime) conditions.push(`${promotion.startTime}–${promotion.endTime}`);
+  if (promotion.validFrom) conditions.push(`From ${new Date(promotion.validFrom).toLocaleDateString()}`);
+  if (promotion.validUntil) conditions.push(`Until ${new Date(promotion.validUntil).toLocaleDateString()}`);
+  if (promotion.stackable) conditions.push('Stacks with others');
+  return conditions;
+};
+
+const Promotions = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [menuItems, setMenuItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(null);
+  const [editingPromotion, setEditingPromotion] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPromotions = async () => {
+    setLoading(true);
+    try {
+      const response = await PromotionAPI.getPromotions();
+      setPromotions(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch promotions: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPromotions();
+    const fetchMenuItems = async () => {
+      try {
+        const response = await MenuAPI.getAllMenuItems();
+        setMenuItems(response.data.docs || response.data || []);
+      } catch (error) {
+        toast.error('Failed to fetch menu items: ' + error.message);
+      }
+    };
+    fetchMenuItems();
+  }, []);
+
+  const openNewPromotion = () => {
+    setEditingPromotion(null);
+    setForm(EMPTY_PROMOTION);
+  };
+
+  const openEditPromotion = (promotion) => {
+    setEditingPromotion(promotion);
+    setForm(toForm(promotion));
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingPromotion(null);
+  };
+
+  const updateForm = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleListValue = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(entry => entry !== value)
+        : [...prev[field], value]
+    }));
+  };
+
+  const updateComboItem = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      comboItems: prev.comboItems.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editingPromotion) {
+        await PromotionAPI.updatePromotion(editingPromotion._id, toPayload(form));
+        toast.success('Promotion updated');
+      } else {
+        await PromotionAPI.createPromotion(toPayload(form));
+        toast.success('Promotion created');
+      }
+      closeForm();
+      fetchPromotions();
+    } catch (error) {
+      toast.error('Failed to save promotion: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (promotion) => {
+    try {
+      await PromotionAPI.updatePromotion(promotion._id, { isActive: !promotion.isActive });
+      fetchPromotions();
+    } catch (error) {
+      toast.error('Failed to update promotion: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (promotion) => {
+    if (!window.confirm(`Delete the promotion "${promotion.name}"? Orders that got it keep their discount.`)) return;
+    try {
+      await PromotionAPI.deletePromotion(promotion._id);
+      toast.success('Promotion deleted');
+      fetchPromotions();
+    } catch (error) {
+      toast.error('Failed to delete promotion: ' + error.message);
+    }
+  };
+
+  const statusBadge = (promotion) => {
+    if (!promotion.isActive) {
+      return <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">Inactive</span>;
+    }
+    if (promotion.inWindow) {
+      return <span className="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">Running now</span>;
+    }
+    return <span className="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Scheduled</span>;
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold">Promotions</h2>
+          <p className="text-gray-600">
+            Discounts, happy hours, combos and coupon codes applied when orders are priced.
+          </p>
+        </div>
+        <button onClick={openNewPromotion} className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 text-sm">
+          + Add Promotion
+        </button>
+      </div>
+
+      {loading && promotions.length === 0 ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        </div>
+      ) : promotions.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-6 text-gray-600">No promotions yet.</div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Name</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Discount</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Conditions</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Coupon</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Status</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {promotions.map(promotion => (
+                <tr key={promotion._id} className="border-t align-top">
+                  <td className="py-2 px-3">
+                    <div className="font-medium text-gray-800">{promotion.name}</div>
+                    {promotion.description && (
+                      <div className="text-xs text-gray-500">{promotion.description}</div>
+                    )}
+                  </td>
+                  <td className="py-2 px-3">{describeDiscount(promotion)}</td>
+                  <td className="py-2 px-3 text-gray-600">
+                    {describeConditions(promotion).map(condition => (
+                      <div key={condition}>{condition}</div>
+                    ))}
+                  </td>
+                  <td className="py-2 px-3 font-mono">{promotion.couponCode || '—'}</td>
+                  <td className="py-2 px-3">{statusBadge(promotion)}</td>
+                  <td className="py-2 px-3 space-x-3 whitespace-nowrap">
+                    <button onClick={() => openEditPromotion(promotion)} className="text-blue-600 hover:underline">Edit</button>
+                    <button onClick={() => handleToggleActive(promotion)} className="text-gray-600 hover:underline">
+                      {promotion.isActive ? 'Pause' : 'Activate'}
+                    </button>
+                    <button onClick={() => handleDelete(promotion)} className="text-red-600 hover:underline">Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {form && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-semibold">{editingPromotion ? 'Edit Promotion' : 'Add Promotion'}</h3>
+              <button onClick={closeForm} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+            <form onSubmit={handleSave} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Name *</label>
+                  <input
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => updateForm('name', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Type *</label>
+                  <select
+                    value={form.type}
+                    onChange={(e) => updateForm('type', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                  >
+                    <option value="percentage">Percentage off</option>
+                    <option value="fixed">Fixed amount off</option>
+                    <option value="combo">Combo price</option>
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Description</label>
+                <input
+                  type="text"
+                  value={form.description}
+                  onChange={(e) => updateForm('description', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
+              {form.type === 'combo' ? (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Combo Items *</label>
+                  <div className="space-y-2">
+                    {form.comboItems.map((entry, index) => (
+                      <div key={index} className="flex space-x-2">
+                        <select
+                          value={entry.menuItem}
+                          onChange={(e) => updateComboItem(index, 'menuItem', e.target.value)}
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                          required
+                        >
+                          <option value="">Select menu item</option>
+                          {menuItems.map(item => (
+                            <option key={item._id} value={item._id}>{item.name}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          min="1"
+                          value={entry.quantity}
+                          onChange={(e) => updateComboItem(index, 'quantity', e.target.value)}
+                          className="w-20 px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => updateForm('comboItems', form.comboItems.filter((_, i) => i !== index))}
+                          className="text-red-600 hover:text-red-800 px-2"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => updateForm('comboItems', [...form.comboItems, { menuItem: '', quantity: 1 }])}
+                      className="text-blue-600 hover:underline text-sm"
+                    >
+                      + Add item
+                    </button>
+                  </div>
+                  <label className="block text-sm font-medium mb-1 mt-3">Combo Price *</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={form.comboPrice}
+                    onChange={(e) => updateForm('comboPrice', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                    required
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Each full set of these items in an order costs this price.</p>
+                </div>
+              ) : (
+                <>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium mb-1">
+                        {form.type === 'percentage' ? 'Percent Off *' : 'Amount Off *'}
+                      </label>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        max={form.type === 'percentage' ? '100' : undefined}
+                        value={form.value}
+                        onChange={(e) => updateForm('value', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Applies To</label>
+                      <select
+                        value={form.scope}
+                        onChange={(e) => updateForm('scope', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                      >
+                        <option value="order">Whole order</option>
+                        <option value="items">Selected items or categories</option>
+                      </select>
+                    </div>
+                  </div>
+
+                  {form.scope === 'items' && (
+                    <div className="space-y-3">
+                      <div>
+                        <label className="block text-sm font-medium mb-1">Menu Items</label>
+                        <div className="grid grid-cols-2 gap-1 max-h-40 overflow-y-auto border border-gray-200 rounded-lg p-2">
+                          {menuItems.map(item => (
+                            <label key={item._id} className="flex items-center space-x-2 text-sm">
+                              <input
+                                type="checkbox"
+                                checked={form.menuItems.includes(item._id)}
+                                onChange={() => toggleListValue('menuItems', item._id)}
+                              />
+                              <span>{item.name}</span>
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-1">Categories</label>
+                        <input
+                          type="text"
+                          value={form.categories}
+                          onChange={(e) => updateForm('categories', e.target.value)}
+                          placeholder="e.g. Drinks, Desserts"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                          Comma separated. With no items or categories selected, every item is discounted.
+                          {form.type === 'fixed' && ' A fixed amount is taken off each matching unit.'}
+                        </p>
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Minimum Subtotal</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={form.minSubtotal}
+                    onChange={(e) => updateForm('minSubtotal', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Coupon Code</label>
+                  <input
+                    type="text"
+                    value={form.couponCode}
+                    onChange={(e) => updateForm('couponCode', e.target.value.toUpperCase())}
+                    placeholder="Applied automatically when empty"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Days</label>
+                <div className="flex flex-wrap gap-2">
+                  {DAY_LABELS.map((label, day) => (
+                    <label key={label} className="flex items-center space-x-1 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={form.daysOfWeek.includes(day)}
+                        onChange={() => toggleListValue('daysOfWeek', day)}
+                      />
+                      <span>{label}</span>
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">Every day when none are ticked.</p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                {[['startTime', 'Happy Hour From', 'time'], ['endTime', 'Happy Hour Until', 'time'],
+                  ['validFrom', 'Valid From', 'date'], ['validUntil', 'Valid Until', 'date']].map(([field, label, type]) => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium mb-1">{label}</label>
+                    <input
+                      type={type}
+                      value={form[field]}
+                      onChange={(e) => updateForm(field, e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">A happy hour ending before it starts runs past midnight.</p>
+
+              <div className="flex space-x-6">
+                <label className="flex items-center space-x-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={form.stackable}
+                    onChange={(e) => updateForm('stackable', e.target.checked)}
+                  />
+                  <span>Stacks with other stackable promotions</span>
+                </label>
+                <label className="flex items-center space-x-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={form.isActive}
+                    onChange={(e) => updateForm('isActive', e.target.checked)}
+                  />
+                  <span>Active</span>
+                </label>
+              </div>
+
+              <div className="flex justify-end space-x-2">
+                <button type="button" onClick={closeForm} className="px-4 py-2 rounded-lg bg-gray-200 hover:bg-gray-300">
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Promotions;
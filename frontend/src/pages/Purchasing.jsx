@@ -0,0 +1,894 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { SupplierAPI, PurchaseOrderAPI, InventoryAPI } from '../utils/api.js';
+
+const UNITS = ['kg', 'g', 'ltr', 'ml', 'pcs', 'lb', 'oz'];
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  sent: 'bg-blue-100 text-blue-800',
+  partially_received: 'bg-yellow-100 text-yellow-800',
+  received: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const emptySupplierForm = {
+  name: '',
+  email: '',
+  phone: '',
+  address: '',
+  leadTimeDays: '',
+  paymentTerms: '',
+  notes: '',
+  contacts: [],
+  priceList: []
+};
+
+const emptyOrderForm = {
+  supplier: '',
+  expectedDeliveryDate: '',
+  notes: '',
+  items: []
+};
+
+const Purchasing = () => {
+  const [activeTab, setActiveTab] = useState('orders'); // 'orders', 'suppliers'
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [inventoryItems, setInventoryItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('');
+
+  const [showSupplierForm, setShowSupplierForm] = useState(false);
+  const [editingSupplier, setEditingSupplier] = useState(null);
+  const [supplierForm, setSupplierForm] = useState(emptySupplierForm);
+
+  const [showOrderForm, setShowOrderForm] = useState(false);
+  const [editingOrder, setEditingOrder] = useState(null);
+  const [orderForm, setOrderForm] = useState(emptyOrderForm);
+
+  const [receivingOrder, setReceivingOrder] = useState(null);
+  const [receiptItems, setReceiptItems] = useState([]);
+  const [receiptNotes, setReceiptNotes] = useState('');
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const params = { limit: 100 };
+      if (statusFilter) params.status = statusFilter;
+
+      const [ordersResponse, suppliersResponse, itemsResponse] = await Promise.all([
+        PurchaseOrderAPI.getAllPurchaseOrders(params),
+        SupplierAPI.getAllSuppliers({ limit: 1000 }),
+        InventoryAPI.getAllItems({ limit: 1000 })
+      ]);
+
+      setPurchaseOrders(ordersResponse.data.docs || []);
+      setSuppliers(suppliersResponse.data.docs || []);
+      setInventoryItems(itemsResponse.data.docs || itemsResponse.data || []);
+    } catch (error) {
+      toast.error('Failed to fetch purchasing data: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [statusFilter]);
+
+  const getItemUnit = (itemId) => inventoryItems.find(item => item._id === itemId)?.unit || 'pcs';
+
+  // ===== Suppliers =====
+  const openSupplierForm = (supplier = null) => {
+    setEditingSupplier(supplier);
+    setSupplierForm(supplier ? {
+      name: supplier.name || '',
+      email: supplier.email || '',
+      phone: supplier.phone || '',
+      address: supplier.address || '',
+      leadTimeDays: supplier.leadTimeDays ?? '',
+      paymentTerms: supplier.paymentTerms || '',
+      notes: supplier.notes || '',
+      contacts: (supplier.contacts || []).map(contact => ({
+        name: contact.name || '',
+        role: contact.role || '',
+        email: contact.email || '',
+        phone: contact.phone || '',
+        isPrimary: !!contact.isPrimary
+      })),
+      priceList: (supplier.priceList || []).map(entry => ({
+        inventoryItem: entry.inventoryItem?._id || entry.inventoryItem || '',
+        unitPrice: entry.unitPrice ?? '',
+        unit: entry.unit || '',
+        minOrderQuantity: entry.minOrderQuantity ?? '',
+        supplierSku: entry.supplierSku || ''
+      }))
+    } : emptySupplierForm);
+    setShowSupplierForm(true);
+  };
+
+  const closeSupplierForm = () => {
+    setEditingSupplier(null);
+    setSupplierForm(emptySupplierForm);
+    setShowSupplierForm(false);
+  };
+
+  const updateSupplierList = (list, index, field, value) => {
+    setSupplierForm(prev => ({
+      ...prev,
+      [list]: prev[list].map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+    }));
+  };
+
+  const removeSupplierListEntry = (list, index) => {
+    setSupplierForm(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+  };
+
+  const handleSaveSupplier = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const payload = {
+        ...supplierForm,
+        contacts: supplierForm.contacts.filter(contact => contact.name.trim()),
+        priceList: supplierForm.priceList
+          .filter(entry => entry.inventoryItem)
+          .map(entry => ({ ...entry, unit: entry.unit || getItemUnit(entry.inventoryItem) }))
+      };
+
+      if (editingSupplier) {
+        await SupplierAPI.updateSupplier(editingSupplier._id, payload);
+        toast.success('Supplier updated successfully!');
+      } else {
+        await SupplierAPI.createSupplier(payload);
+        toast.success('Supplier created successfully!');
+      }
+      closeSupplierForm();
+      fetchData();
+    } catch (error) {
+      toast.error(`Failed to ${editingSupplier ? 'update' : 'create'} supplier: ` + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteSupplier = async (supplier) => {
+    if (!window.confirm(`Delete supplier "${supplier.name}"? Suppliers with purchase orders are deactivated instead.`)) return;
+    try {
+      const response = await SupplierAPI.deleteSupplier(supplier._id);
+      toast.success(response.message || 'Supplier deleted successfully!');
+      fetchData();
+    } catch (error) {
+      toast.error('Failed to delete supplier: ' + error.message);
+    }
+  };
+
+  // ===== Purchase orders =====
+  const openOrderForm = (order = null) => {
+    setEditingOrder(order);
+    setOrderForm(order ? {
+      supplier: order.supplier?._id || order.supplier || '',
+      expectedDeliveryDate: order.expectedDeliveryDate ? order.expectedDeliveryDate.slice(0, 10) : '',
+      notes: order.notes || '',
+      items: order.items.map(item => ({
+        inventoryItem: item.inventoryItem?._id || item.inventoryItem || '',
+        quantityOrdered: item.quantityOrdered,
+        unit: item.unit,
+        unitCost: item.unitCost ?? ''
+      }))
+    } : emptyOrderForm);
+    setShowOrderForm(true);
+  };
+
+  const closeOrderForm = () => {
+    setEditingOrder(null);
+    setOrderForm(emptyOrderForm);
+    setShowOrderForm(false);
+  };
+
+  // Suggest the supplier's list price and unit when an item is picked
+  const handleOrderItemChange = (index, field, value) => {
+    setOrderForm(prev => {
+      const items = prev.items.map((item, i) => {
+        if (i !== index) return item;
+        const updated = { ...item, [field]: value };
+        if (field === 'inventoryItem') {
+          const supplier = suppliers.find(s => s._id === prev.supplier);
+          const price = supplier?.priceList?.find(entry => (entry.inventoryItem?._id || entry.inventoryItem) === value);
+          updated.unit = price?.unit || getItemUnit(value);
+          updated.unitCost = price?.unitPrice ?? '';
+          if (price?.minOrderQuantity && !updated.quantityOrdered) {
+            updated.quantityOrdered = price.minOrderQuantity;
+          }
+        }
+        return updated;
+      });
+      return { ...prev, items };
+    });
+  };
+
+  const handleSaveOrder = async (e) => {
+    e.preventDefault();
+    if (orderForm.items.length === 0) {
+      toast.error('Add at least one item to the purchase order');
+      return;
+    }
+    setLoading(true);
+    try {
+      const payload = {
+        ...orderForm,
+        expectedDeliveryDate: orderForm.expectedDeliveryDate || undefined
+      };
+
+      if (editingOrder) {
+        await PurchaseOrderAPI.updatePurchaseOrder(editingOrder._id, payload);
+        toast.success('Purchase order updated successfully!');
+      } else {
+        await PurchaseOrderAPI.createPurchaseOrder(payload);
+        toast.success('Purchase order created as draft!');
+      }
+      closeOrderForm();
+      fetchData();
+    } catch (error) {
+      toast.error(`Failed to ${editingOrder ? 'update' : 'create'} purchase order: ` + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOrderAction = async (order, action) => {
+    const confirmations = {
+      send: `Mark ${order.poNumber} as sent to ${order.supplier?.name || 'the supplier'}?`,
+      cancel: `Cancel ${order.poNumber}?`,
+      delete: `Delete draft ${order.poNumber}?`
+    };
+    if (!window.confirm(confirmations[action])) return;
+
+    try {
+      if (action === 'send') {
+        await PurchaseOrderAPI.sendPurchaseOrder(order._id);
+        toast.success(`${order.poNumber} sent`);
+      } else if (action === 'cancel') {
+        await PurchaseOrderAPI.cancelPurchaseOrder(order._id);
+        toast.success(`${order.poNumber} cancelled`);
+      } else {
+        await PurchaseOrderAPI.deletePurchaseOrder(order._id);
+        toast.success(`${order.poNumber} deleted`);
+      }
+      fetchData();
+    } catch (error) {
+      toast.error(`Failed to ${action} purchase order: ` + error.message);
+    }
+  };
+
+  const openReceiveForm = (order) => {
+    setReceivingOrder(order);
+    setReceiptNotes('');
+    setReceiptItems(order.items.map(item => ({
+      lineId: item._id,
+      name: item.inventoryItem?.name || 'Unknown',
+      unit: item.unit,
+      outstanding: Math.max(0, item.quantityOrdered - (item.quantityReceived || 0)),
+      quantity: Math.max(0, item.quantityOrdered - (item.quantityReceived || 0)),
+      unitCost: item.unitCost ?? '',
+      expiryDate: '',
+      lotNumber: ''
+    })));
+  };
+
+  const handleReceive = async (e) => {
+    e.preventDefault();
+    const items = receiptItems
+      .filter(item => Number(item.quantity) > 0)
+      .map(item => ({
+        lineId: item.lineId,
+        quantity: Number(item.quantity),
+        unitCost: item.unitCost,
+        expiryDate: item.expiryDate || undefined,
+        lotNumber: item.lotNumber || undefined
+      }));
+
+    if (items.length === 0) {
+      toast.error('Enter a received quantity for at least one item');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await PurchaseOrderAPI.receivePurchaseOrder(receivingOrder._id, { items, notes: receiptNotes });
+      const status = response.data?.status === 'received' ? 'fully received' : 'partially received';
+      toast.success(`${receivingOrder.poNumber} ${status}. Stock and lots updated.`);
+      setReceivingOrder(null);
+      fetchData();
+    } catch (error) {
+      toast.error('Failed to receive delivery: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const activeSuppliers = suppliers.filter(supplier => supplier.isActive !== false);
+
+  if (loading && purchaseOrders.length === 0 && suppliers.length === 0) {
+    return (
+      <div className="p-8 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-8">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-semibold">Purchasing</h2>
+        <div className="flex space-x-3">
+          {activeTab === 'orders' ? (
+            <button
+              onClick={() => openOrderForm()}
+              disabled={activeSuppliers.length === 0}
+              className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors disabled:bg-gray-400"
+              title={activeSuppliers.length === 0 ? 'Add a supplier first' : ''}
+            >
+              New Purchase Order
+            </button>
+          ) : (
+            <button
+              onClick={() => openSupplierForm()}
+              className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors"
+            >
+              Add Supplier
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex space-x-4 mb-6">
+        <button
+          onClick={() => setActiveTab('orders')}
+          className={`px-4 py-2 rounded-lg transition-colors ${
+            activeTab === 'orders' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+          }`}
+        >
+          Purchase Orders ({purchaseOrders.length})
+        </button>
+        <button
+          onClick={() => setActiveTab('suppliers')}
+          className={`px-4 py-2 rounded-lg transition-colors ${
+            activeTab === 'suppliers' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+          }`}
+        >
+          Suppliers ({suppliers.length})
+        </button>
+      </div>
+
+      {/* Purchase Orders Tab */}
+      {activeTab === 'orders' && (
+        <div>
+          <div className="mb-4">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">All Statuses</option>
+              <option value="draft">Draft</option>
+              <option value="sent">Sent</option>
+              <option value="partially_received">Partially Received</option>
+              <option value="received">Received</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+          </div>
+
+          {purchaseOrders.length === 0 ? (
+            <p className="text-gray-500">No purchase orders yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white border border-gray-200 rounded-lg shadow">
+                <thead className="bg-blue-100">
+                  <tr>
+                    <th className="py-2 px-4 border-b text-left text-sm font-medium text-gray-700">PO Number</th>
+                    <th className="py-2 px-4 border-b text-left text-sm font-medium text-gray-700">Supplier</th>
+                    <th className="py-2 px-4 border-b text-left text-sm font-medium text-gray-700">Items</th>
+                    <th className="py-2 px-4 border-b text-left text-sm font-medium text-gray-700">Total</th>
+                    <th className="py-2 px-4 border-b text-left text-sm font-medium text-gray-700">Expected</th>
+                    <th className="py-2 px-4 border-b text-left text-sm font-medium text-gray-700">Status</th>
+                    <th className="py-2 px-4 border-b text-left text-sm font-medium text-gray-700">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {purchaseOrders.map((order) => (
+                    <tr key={order._id} className="hover:bg-gray-50 align-top">
+                      <td className="py-2 px-4 border-b text-sm font-mono text-gray-800">{order.poNumber}</td>
+                      <td className="py-2 px-4 border-b text-sm text-gray-800">{order.supplier?.name || 'N/A'}</td>
+                      <td className="py-2 px-4 border-b text-sm text-gray-800">
+                        {order.items.map(item => (
+                          <div key={item._id}>
+                            {item.inventoryItem?.name || 'Unknown'}: {item.quantityReceived || 0}/{item.quantityOrdered} {item.unit}
+                          </div>
+                        ))}
+                      </td>
+                      <td className="py-2 px-4 border-b text-sm text-gray-800">${Number(order.totalCost || 0).toFixed(2)}</td>
+                      <td className="py-2 px-4 border-b text-sm text-gray-800">
+                        {order.expectedDeliveryDate ? new Date(order.expectedDeliveryDate).toLocaleDateString() : '-'}
+                      </td>
+                      <td className="py-2 px-4 border-b text-sm">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[order.status] || ''}`}>
+                          {order.status.replace('_', ' ')}
+                        </span>
+                      </td>
+                      <td className="py-2 px-4 border-b text-sm space-x-2 whitespace-nowrap">
+                        {order.status === 'draft' && (
+                          <>
+                            <button onClick={() => openOrderForm(order)} className="text-blue-600 hover:underline">Edit</button>
+                            <button onClick={() => handleOrderAction(order, 'send')} className="text-green-600 hover:underline">Send</button>
+                            <button onClick={() => handleOrderAction(order, 'delete')} className="text-red-600 hover:underline">Delete</button>
+                          </>
+                        )}
+                        {['sent', 'partially_received'].includes(order.status) && (
+                          <button onClick={() => openReceiveForm(order)} className="text-green-600 hover:underline">Receive</button>
+                        )}
+                        {['draft', 'sent'].includes(order.status) && (
+                          <button onClick={() => handleOrderAction(order, 'cancel')} className="text-red-600 hover:underline">Cancel</button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Suppliers Tab */}
+      {activeTab === 'suppliers' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {suppliers.length === 0 && <p className="text-gray-500">No suppliers yet.</p>}
+          {suppliers.map((supplier) => {
+            const primaryContact = supplier.contacts?.find(contact => contact.isPrimary) || supplier.contacts?.[0];
+            return (
+              <div key={supplier._id} className={`bg-white rounded-lg shadow-md p-6 ${supplier.isActive === false ? 'opacity-60' : ''}`}>
+                <div className="flex justify-between items-start mb-2">
+                  <h3 className="text-lg font-semibold">{supplier.name}</h3>
+                  {supplier.isActive === false && (
+                    <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-200 text-gray-700">Inactive</span>
+                  )}
+                </div>
+                <div className="space-y-1 mb-4 text-sm">
+                  {primaryContact && (
+                    <p><span className="font-medium">Contact:</span> {primaryContact.name}{primaryContact.phone ? ` (${primaryContact.phone})` : ''}</p>
+                  )}
+                  {supplier.email && <p><span className="font-medium">Email:</span> {supplier.email}</p>}
+                  <p><span className="font-medium">Lead Time:</span> {supplier.leadTimeDays ?? 0} day(s)</p>
+                  {supplier.paymentTerms && <p><span className="font-medium">Payment Terms:</span> {supplier.paymentTerms}</p>}
+                  <p><span className="font-medium">Price List:</span> {supplier.priceList?.length || 0} item(s)</p>
+                  {supplier.priceList?.slice(0, 5).map(entry => (
+                    <p key={entry._id} className="text-gray-600 pl-2">
+                      {entry.inventoryItem?.name || 'Unknown'}: ${entry.unitPrice}/{entry.unit}
+                    </p>
+                  ))}
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => openSupplierForm(supplier)}
+                    className="flex-1 bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 transition-colors"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDeleteSupplier(supplier)}
+                    className="flex-1 bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600 transition-colors"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Supplier Form Modal */}
+      {showSupplierForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-semibold">{editingSupplier ? 'Edit Supplier' : 'Add Supplier'}</h3>
+              <button onClick={closeSupplierForm} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+            <form onSubmit={handleSaveSupplier} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {[
+                  ['name', 'Name *', 'text'],
+                  ['email', 'Email', 'email'],
+                  ['phone', 'Phone', 'text'],
+                  ['leadTimeDays', 'Lead Time (days)', 'number'],
+                  ['paymentTerms', 'Payment Terms', 'text'],
+                  ['address', 'Address', 'text']
+                ].map(([field, label, type]) => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium mb-1">{label}</label>
+                    <input
+                      type={type}
+                      min={type === 'number' ? '0' : undefined}
+                      value={supplierForm[field]}
+                      onChange={(e) => setSupplierForm(prev => ({ ...prev, [field]: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      required={field === 'name'}
+                    />
+                  </div>
+                ))}
+              </div>
+
+              {/* Contacts */}
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium">Contacts</label>
+                  <button
+                    type="button"
+                    onClick={() => setSupplierForm(prev => ({
+                      ...prev,
+                      contacts: [...prev.contacts, { name: '', role: '', email: '', phone: '', isPrimary: prev.contacts.length === 0 }]
+                    }))}
+                    className="text-sm text-blue-600 hover:underline"
+                  >
+                    + Add Contact
+                  </button>
+                </div>
+                {supplierForm.contacts.map((contact, index) => (
+                  <div key={index} className="grid grid-cols-6 gap-2 mb-2 items-center">
+                    {['name', 'role', 'email', 'phone'].map(field => (
+                      <input
+                        key={field}
+                        type="text"
+                        placeholder={field.charAt(0).toUpperCase() + field.slice(1)}
+                        value={contact[field]}
+                        onChange={(e) => updateSupplierList('contacts', index, field, e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                      />
+                    ))}
+                    <label className="text-sm flex items-center space-x-1">
+                      <input
+                        type="checkbox"
+                        checked={contact.isPrimary}
+                        onChange={(e) => updateSupplierList('contacts', index, 'isPrimary', e.target.checked)}
+                      />
+                      <span>Primary</span>
+                    </label>
+                    <button type="button" onClick={() => removeSupplierListEntry('contacts', index)} className="text-red-600 text-sm hover:underline">
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+
+              {/* Price List */}
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium">Price List</label>
+                  <button
+                    type="button"
+                    onClick={() => setSupplierForm(prev => ({
+                      ...prev,
+                      priceList: [...prev.priceList, { inventoryItem: '', unitPrice: '', unit: '', minOrderQuantity: '', supplierSku: '' }]
+                    }))}
+                    className="text-sm text-blue-600 hover:underline"
+                  >
+                    + Add Item Price
+                  </button>
+                </div>
+                {supplierForm.priceList.map((entry, index) => (
+                  <div key={index} className="grid grid-cols-6 gap-2 mb-2 items-center">
+                    <select
+                      value={entry.inventoryItem}
+                      onChange={(e) => updateSupplierList('priceList', index, 'inventoryItem', e.target.value)}
+                      className="col-span-2 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                      required
+                    >
+                      <option value="">Select item</option>
+                      {inventoryItems.map(item => (
+                        <option key={item._id} value={item._id}>{item.name}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      placeholder="Price"
+                      value={entry.unitPrice}
+                      onChange={(e) => updateSupplierList('priceList', index, 'unitPrice', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                      required
+                    />
+                    <select
+                      value={entry.unit || (entry.inventoryItem ? getItemUnit(entry.inventoryItem) : '')}
+                      onChange={(e) => updateSupplierList('priceList', index, 'unit', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                    >
+                      <option value="">Unit</option>
+                      {UNITS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                    </select>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      placeholder="Min qty"
+                      value={entry.minOrderQuantity}
+                      onChange={(e) => updateSupplierList('priceList', index, 'minOrderQuantity', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                    />
+                    <button type="button" onClick={() => removeSupplierListEntry('priceList', index)} className="text-red-600 text-sm hover:underline">
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <textarea
+                  value={supplierForm.notes}
+                  onChange={(e) => setSupplierForm(prev => ({ ...prev, notes: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  rows="2"
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={closeSupplierForm} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">
+                  Cancel
+                </button>
+                <button type="submit" disabled={loading} className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:bg-gray-400">
+                  {editingSupplier ? 'Update Supplier' : 'Create Supplier'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Purchase Order Form Modal */}
+      {showOrderForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-semibold">
+                {editingOrder ? `Edit ${editingOrder.poNumber}` : 'New Purchase Order'}
+              </h3>
+              <button onClick={closeOrderForm} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+            <form onSubmit={handleSaveOrder} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Supplier *</label>
+                  <select
+                    value={orderForm.supplier}
+                    onChange={(e) => setOrderForm(prev => ({ ...prev, supplier: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    required
+                  >
+                    <option value="">Select supplier</option>
+                    {activeSuppliers.map(supplier => (
+                      <option key={supplier._id} value={supplier._id}>
+                        {supplier.name} ({supplier.leadTimeDays ?? 0} day lead time)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Expected Delivery</label>
+                  <input
+                    type="date"
+                    value={orderForm.expectedDeliveryDate}
+                    onChange={(e) => setOrderForm(prev => ({ ...prev, expectedDeliveryDate: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Defaults to the supplier's lead time when sent</p>
+                </div>
+              </div>
+
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium">Items *</label>
+                  <button
+                    type="button"
+                    onClick={() => setOrderForm(prev => ({
+                      ...prev,
+                      items: [...prev.items, { inventoryItem: '', quantityOrdered: '', unit: '', unitCost: '' }]
+                    }))}
+                    className="text-sm text-blue-600 hover:underline"
+                  >
+                    + Add Item
+                  </button>
+                </div>
+                {orderForm.items.map((item, index) => (
+                  <div key={index} className="grid grid-cols-6 gap-2 mb-2 items-center">
+                    <select
+                      value={item.inventoryItem}
+                      onChange={(e) => handleOrderItemChange(index, 'inventoryItem', e.target.value)}
+                      className="col-span-2 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                      required
+                    >
+                      <option value="">Select item</option>
+                      {inventoryItems.map(inventoryItem => (
+                        <option key={inventoryItem._id} value={inventoryItem._id}>
+                          {inventoryItem.name} (stock: {inventoryItem.currentStock} {inventoryItem.unit})
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      placeholder="Quantity"
+                      value={item.quantityOrdered}
+                      onChange={(e) => handleOrderItemChange(index, 'quantityOrdered', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                      required
+                    />
+                    <select
+                      value={item.unit}
+                      onChange={(e) => handleOrderItemChange(index, 'unit', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                    >
+                      <option value="">Unit</option>
+                      {UNITS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                    </select>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      placeholder="Unit cost"
+                      value={item.unitCost}
+                      onChange={(e) => handleOrderItemChange(index, 'unitCost', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setOrderForm(prev => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }))}
+                      className="text-red-600 text-sm hover:underline"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <p className="text-sm text-gray-700 mt-2">
+                  Estimated total: $
+                  {orderForm.items
+                    .reduce((sum, item) => sum + (Number(item.quantityOrdered) || 0) * (Number(item.unitCost) || 0), 0)
+                    .toFixed(2)}
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <textarea
+                  value={orderForm.notes}
+                  onChange={(e) => setOrderForm(prev => ({ ...prev, notes: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  rows="2"
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={closeOrderForm} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">
+                  Cancel
+                </button>
+                <button type="submit" disabled={loading} className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:bg-gray-400">
+                  {editingOrder ? 'Update Draft' : 'Create Draft'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Receive Delivery Modal */}
+      {receivingOrder && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-semibold">
+                Receive {receivingOrder.poNumber} from {receivingOrder.supplier?.name || 'supplier'}
+              </h3>
+              <button onClick={() => setReceivingOrder(null)} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+            <form onSubmit={handleReceive} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Each received line is added to stock as a new lot at the actual unit cost.
+                Leave the expiry date empty to use the default for the item's category.
+              </p>
+              <div className="overflow-x-auto">
+                <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+                  <thead className="bg-blue-100">
+                    <tr>
+                      <th className="py-2 px-3 border-b text-left text-sm font-medium text-gray-700">Item</th>
+                      <th className="py-2 px-3 border-b text-left text-sm font-medium text-gray-700">Outstanding</th>
+                      <th className="py-2 px-3 border-b text-left text-sm font-medium text-gray-700">Received</th>
+                      <th className="py-2 px-3 border-b text-left text-sm font-medium text-gray-700">Unit Cost</th>
+                      <th className="py-2 px-3 border-b text-left text-sm font-medium text-gray-700">Expiry Date</th>
+                      <th className="py-2 px-3 border-b text-left text-sm font-medium text-gray-700">Lot Number</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {receiptItems.map((item, index) => {
+                      const updateReceiptItem = (field, value) => {
+                        setReceiptItems(prev => prev.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+                      };
+                      return (
+                        <tr key={item.lineId}>
+                          <td className="py-2 px-3 border-b text-sm text-gray-800">{item.name}</td>
+                          <td className="py-2 px-3 border-b text-sm text-gray-800">{item.outstanding} {item.unit}</td>
+                          <td className="py-2 px-3 border-b text-sm">
+                            <input
+                              type="number"
+                              step="0.01"
+                              min="0"
+                              value={item.quantity}
+                              onChange={(e) => updateReceiptItem('quantity', e.target.value)}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </td>
+                          <td className="py-2 px-3 border-b text-sm">
+                            <input
+                              type="number"
+                              step="0.01"
+                              min="0"
+                              value={item.unitCost}
+                              onChange={(e) => updateReceiptItem('unitCost', e.target.value)}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </td>
+                          <td className="py-2 px-3 border-b text-sm">
+                            <input
+                              type="date"
+                              value={item.expiryDate}
+                              onChange={(e) => updateReceiptItem('expiryDate', e.target.value)}
+                              className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </td>
+                          <td className="py-2 px-3 border-b text-sm">
+                            <input
+                              type="text"
+                              placeholder="Auto"
+                              value={item.lotNumber}
+                              onChange={(e) => updateReceiptItem('lotNumber', e.target.value)}
+                              className="w-32 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Delivery Notes</label>
+                <textarea
+                  value={receiptNotes}
+                  onChange={(e) => setReceiptNotes(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  rows="2"
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setReceivingOrder(null)} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">
+                  Cancel
+                </button>
+                <button type="submit" disabled={loading} className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:bg-gray-400">
+                  Receive Delivery
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Purchasing;
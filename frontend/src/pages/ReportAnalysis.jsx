@@ -18,6 +18,9 @@ import {
   Legend,
   ResponsiveContainer
 } from 'recharts';
+import MenuEngineering from '../components/MenuEngineering';
+import SalesForecast from '../components/SalesForecast';
+import ExportMenu from '../components/ExportMenu';
 
 const ReportAnalysis = () => {
   const [menuItems, setMenuItems] = useState([]);
@@ -444,15 +447,22 @@ const ReportAnalysis = () => {
           <div className="bg-white rounded-lg shadow-md p-6">
             <div className="flex justify-between items-center mb-4">
               <h3 className="text-lg font-semibold">Sales Analytics</h3>
-              <select
-                value={reportPeriod}
-                onChange={(e) => setReportPeriod(e.target.value)}
-                className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="7d">Last 7 Days</option>
-                <option value="30d">Last 30 Days</option>
-                <option value="90d">Last 90 Days</option>
-              </select>
+              <div className="flex items-center space-x-2">
+                <select
+                  value={reportPeriod}
+                  onChange={(e) => setReportPeriod(e.target.value)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="7d">Last 7 Days</option>
+                  <option value="30d">Last 30 Days</option>
+                  <option value="90d">Last 90 Days</option>
+                </select>
+                <ExportMenu
+                  filename="sales_analytics_export"
+                  className="px-4 py-2 rounded-lg bg-purple-500 hover:bg-purple-600"
+                  onExport={(format) => SalesAPI.exportSalesAnalytics({ format, period: reportPeriod })}
+                />
+              </div>
             </div>
             
             {reportLoading ? (
@@ -615,6 +625,12 @@ const ReportAnalysis = () => {
             </div>
           )}
 
+          {/* Menu Engineering */}
+          <MenuEngineering period={reportPeriod} />
+
+          {/* Sales Forecast */}
+          <SalesForecast />
+
           {/* Sales by Order Type */}
           {salesByCategory?.salesByOrderType && (
             <div className="bg-white rounded-lg shadow-md p-6">
@@ -0,0 +1,276 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { RestaurantAPI } from '../utils/api.js';
+
+const FIELDS = [
+  { name: 'name', label: 'Restaurant Name' },
+  { name: 'address', label: 'Address' },
+  { name: 'phone', label: 'Phone' },
+  { name: 'email', label: 'Email', type: 'email' },
+  { name: 'taxId', label: 'Tax ID (VAT, GST, ...)' },
+  { name: 'taxLabel', label: 'Tax Line Label' },
+  { name: 'currencySymbol', label: 'Currency Symbol' },
+  { name: 'invoicePrefix', label: 'Invoice Number Prefix' },
+  { name: 'receiptFooter', label: 'Receipt Footer' },
+  { name: 'timezone', label: 'Time Zone', placeholder: 'e.g. Asia/Kolkata' }
+];
+
+const emptyProfile = Object.fromEntries(FIELDS.map(field => [field.name, '']));
+
+const ORDER_TYPES = [
+  { value: 'dine-in', label: 'Dine In' },
+  { value: 'takeaway', label: 'Takeaway' },
+  { value: 'delivery', label: 'Delivery' }
+];
+
+const defaultTaxSettings = {
+  pricesIncludeTax: false,
+  taxRate: 0,
+  categoryTaxRates: [],
+  serviceChargeRate: 0,
+  serviceChargeLabel: 'Service charge',
+  serviceChargeOrderTypes: ['dine-in'],
+  serviceChargeTaxable: true
+};
+
+const RestaurantProfile = () => {
+  const [profile, setProfile] = useState(emptyProfile);
+  const [taxSettings, setTaxSettings] = useState(defaultTaxSettings);
+  const [lastInvoiceNumber, setLastInvoiceNumber] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const applyProfile = (data) => {
+    setProfile(Object.fromEntries(FIELDS.map(field => [field.name, data[field.name] ?? ''])));
+    setTaxSettings(Object.fromEntries(Object.keys(defaultTaxSettings).map(key => [key, data[key] ?? defaultTaxSettings[key]])));
+    setLastInvoiceNumber(data.lastInvoiceNumber || 0);
+  };
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      setLoading(true);
+      try {
+        const response = await RestaurantAPI.getProfile();
+        applyProfile(response.data);
+      } catch (error) {
+        toast.error('Failed to fetch restaurant profile: ' + error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchProfile();
+  }, []);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setProfile(prev => ({ ...prev, [name]: value }));
+  };
+
+  const updateTaxSetting = (name, value) => {
+    setTaxSettings(prev => ({ ...prev, [name]: value }));
+  };
+
+  const updateCategoryRate = (index, field, value) => {
+    setTaxSettings(prev => ({
+      ...prev,
+      categoryTaxRates: prev.categoryTaxRates.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+    }));
+  };
+
+  const toggleServiceChargeOrderType = (orderType) => {
+    setTaxSettings(prev => ({
+      ...prev,
+      serviceChargeOrderTypes: prev.serviceChargeOrderTypes.includes(orderType)
+        ? prev.serviceChargeOrderTypes.filter(type => type !== orderType)
+        : [...prev.serviceChargeOrderTypes, orderType]
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await RestaurantAPI.updateProfile({
+        ...profile,
+        ...taxSettings,
+        taxRate: Number(taxSettings.taxRate) || 0,
+        serviceChargeRate: Number(taxSettings.serviceChargeRate) || 0,
+        categoryTaxRates: taxSettings.categoryTaxRates
+          .filter(entry => entry.category.trim())
+          .map(entry => ({ category: entry.category.trim(), rate: Number(entry.rate) || 0 }))
+      });
+      applyProfile(response.data);
+      toast.success('Restaurant profile saved');
+    } catch (error) {
+      toast.error('Failed to save restaurant profile: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-semibold">Restaurant Profile</h2>
+        <p className="text-gray-600">
+          Printed on invoices and receipts, and used to price orders. The time zone sets the restaurant's business day, job schedules and promotion hours. Invoices already issued keep the details they were issued with.
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        </div>
+      ) : (
+        <form onSubmit={handleSave} className="bg-white rounded-lg shadow p-6 max-w-3xl">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {FIELDS.map(field => (
+              <div key={field.name}>
+                <label className="block text-sm font-medium mb-1">{field.label}</label>
+                <input
+                  type={field.type || 'text'}
+                  name={field.name}
+                  value={profile[field.name]}
+                  onChange={handleInputChange}
+                  placeholder={field.placeholder}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            ))}
+          </div>
+
+          <h3 className="text-lg font-semibold mt-8 mb-1">Tax &amp; Service Charge</h3>
+          <p className="text-sm text-gray-500 mb-4">
+            Applied to new orders and to orders whose items change; other orders keep the amounts they were priced with.
+          </p>
+          <div className="space-y-4">
+            <label className="flex items-center space-x-2 text-sm">
+              <input
+                type="checkbox"
+                checked={taxSettings.pricesIncludeTax}
+                onChange={(e) => updateTaxSetting('pricesIncludeTax', e.target.checked)}
+              />
+              <span>Menu prices include tax</span>
+            </label>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Default Tax Rate (%)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  max="100"
+                  value={taxSettings.taxRate}
+                  onChange={(e) => updateTaxSetting('taxRate', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">Category Tax Rates</label>
+              <div className="space-y-2">
+                {taxSettings.categoryTaxRates.map((entry, index) => (
+                  <div key={index} className="flex space-x-2">
+                    <input
+                      type="text"
+                      value={entry.category}
+                      onChange={(e) => updateCategoryRate(index, 'category', e.target.value)}
+                      placeholder="Menu category"
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                    />
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      max="100"
+                      value={entry.rate}
+                      onChange={(e) => updateCategoryRate(index, 'rate', e.target.value)}
+                      className="w-28 px-3 py-2 border border-gray-300 rounded-lg"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => updateTaxSetting('categoryTaxRates', taxSettings.categoryTaxRates.filter((_, i) => i !== index))}
+                      className="text-red-600 hover:text-red-800 px-2"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => updateTaxSetting('categoryTaxRates', [...taxSettings.categoryTaxRates, { category: '', rate: 0 }])}
+                  className="text-blue-600 hover:underline text-sm"
+                >
+                  + Add category rate
+                </button>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Service Charge (%)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  max="100"
+                  value={taxSettings.serviceChargeRate}
+                  onChange={(e) => updateTaxSetting('serviceChargeRate', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Service Charge Label</label>
+                <input
+                  type="text"
+                  value={taxSettings.serviceChargeLabel}
+                  onChange={(e) => updateTaxSetting('serviceChargeLabel', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-4 text-sm">
+              <span className="font-medium">Charged on:</span>
+              {ORDER_TYPES.map(orderType => (
+                <label key={orderType.value} className="flex items-center space-x-1">
+                  <input
+                    type="checkbox"
+                    checked={taxSettings.serviceChargeOrderTypes.includes(orderType.value)}
+                    onChange={() => toggleServiceChargeOrderType(orderType.value)}
+                  />
+                  <span>{orderType.label}</span>
+                </label>
+              ))}
+              <label className="flex items-center space-x-1">
+                <input
+                  type="checkbox"
+                  checked={taxSettings.serviceChargeTaxable}
+                  onChange={(e) => updateTaxSetting('serviceChargeTaxable', e.target.checked)}
+                />
+                <span>Service charge is taxed</span>
+              </label>
+            </div>
+          </div>
+
+          <div className="flex justify-between items-center mt-6">
+            <span className="text-sm text-gray-500">
+              Invoices issued: {lastInvoiceNumber}
+            </span>
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default RestaurantProfile;
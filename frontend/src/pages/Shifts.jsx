@@ -0,0 +1,569 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { ShiftAPI, TimeClockAPI } from '../utils/api.js';
+import { useAuth } from '../utils/useAuth';
+import { hasPermission } from '../utils/permissions';
+import { useLiveEvents } from '../utils/useLiveEvents';
+import TimeClockCard from '../components/TimeClockCard';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday 00:00 (local time) of the week a date falls in
+const startOfWeek = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Local date and time as the values of date, time and datetime-local inputs
+const toDateInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+const toTimeInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(11, 16);
+const toDateTimeInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+const formatDateTime = (value) => new Date(value).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+const EMPTY_SHIFT = { employee: '', date: '', start: '09:00', end: '17:00', position: '', notes: '' };
+
+const Shifts = () => {
+  const { user } = useAuth();
+  const canManage = hasPermission(user, 'shifts:manage');
+  const canClock = hasPermission(user, 'timeclock:use');
+  const canRead = hasPermission(user, 'shifts:read');
+
+  const [tab, setTab] = useState('schedule');
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [schedule, setSchedule] = useState({ shifts: [], employees: [] });
+  const [punches, setPunches] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const [shiftForm, setShiftForm] = useState(null);
+  const [editingShift, setEditingShift] = useState(null);
+  const [punchForm, setPunchForm] = useState(null);
+  const [editingPunch, setEditingPunch] = useState(null);
+
+  const weekDays = Array.from({ length: 7 }, (_, index) => addDays(weekStart, index));
+  const weekEnd = addDays(weekStart, 7);
+
+  const fetchSchedule = async () => {
+    if (!canRead) return;
+    setLoading(true);
+    try {
+      const response = await ShiftAPI.getShifts({ from: weekStart.toISOString(), to: weekEnd.toISOString() });
+      setSchedule(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch shifts: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPunches = async () => {
+    if (!canManage) return;
+    try {
+      const response = await TimeClockAPI.getPunches({ from: weekStart.toISOString(), to: weekEnd.toISOString() });
+      setPunches(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch time punches: ' + error.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchSchedule();
+    fetchPunches();
+  }, [weekStart]);
+
+  // Punches follow clock-ins and clock-outs made on other screens
+  useLiveEvents(['staff.*'], () => {
+    fetchPunches();
+  }, { enabled: canManage && hasPermission(user, 'events:read') });
+
+  // Shift form
+
+  const openNewShift = (employeeId = '', day = weekStart) => {
+    setEditingShift(null);
+    setShiftForm({ ...EMPTY_SHIFT, employee: employeeId, date: toDateInput(day) });
+  };
+
+  const openEditShift = (shift) => {
+    const start = new Date(shift.startTime);
+    setEditingShift(shift);
+    setShiftForm({
+      employee: shift.employee?._id || '',
+      date: toDateInput(start),
+      start: toTimeInput(start),
+      end: toTimeInput(new Date(shift.endTime)),
+      position: shift.position || '',
+      notes: shift.notes || ''
+    });
+  };
+
+  const closeShiftForm = () => {
+    setShiftForm(null);
+    setEditingShift(null);
+  };
+
+  const handleSaveShift = async (e) => {
+    e.preventDefault();
+
+    const startTime = new Date(`${shiftForm.date}T${shiftForm.start}`);
+    let endTime = new Date(`${shiftForm.date}T${shiftForm.end}`);
+    // An end before the start means the shift runs past midnight
+    if (endTime <= startTime) {
+      endTime = new Date(endTime.getTime() + DAY_MS);
+    }
+
+    const shiftData = {
+      employee: shiftForm.employee,
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      position: shiftForm.position,
+      notes: shiftForm.notes
+    };
+
+    try {
+      if (editingShift) {
+        await ShiftAPI.updateShift(editingShift._id, shiftData);
+        toast.success('Shift updated');
+      } else {
+        await ShiftAPI.createShift(shiftData);
+        toast.success('Shift scheduled');
+      }
+      closeShiftForm();
+      fetchSchedule();
+    } catch (error) {
+      toast.error('Failed to save shift: ' + error.message);
+    }
+  };
+
+  const handleDeleteShift = async () => {
+    if (!window.confirm('Delete this shift?')) return;
+
+    try {
+      await ShiftAPI.deleteShift(editingShift._id);
+      toast.success('Shift deleted');
+      closeShiftForm();
+      fetchSchedule();
+    } catch (error) {
+      toast.error('Failed to delete shift: ' + error.message);
+    }
+  };
+
+  const handleCopyLastWeek = async () => {
+    if (!window.confirm("Copy last week's shifts into this week?")) return;
+
+    try {
+      const response = await ShiftAPI.copyWeek(addDays(weekStart, -7).toISOString(), weekStart.toISOString());
+      const skipped = response.data.skipped.length;
+      toast.success(`Copied ${response.data.createdCount} shift(s)${skipped ? `, skipped ${skipped}` : ''}`);
+      fetchSchedule();
+    } catch (error) {
+      toast.error('Failed to copy shifts: ' + error.message);
+    }
+  };
+
+  // Punch form
+
+  const openNewPunch = () => {
+    const now = new Date();
+    setEditingPunch(null);
+    setPunchForm({
+      employee: '',
+      clockInAt: toDateTimeInput(new Date(now.getTime() - 8 * 60 * 60 * 1000)),
+      clockOutAt: toDateTimeInput(now),
+      breakMinutes: 0,
+      notes: ''
+    });
+  };
+
+  const openEditPunch = (punch) => {
+    setEditingPunch(punch);
+    setPunchForm({
+      employee: punch.employee?._id || '',
+      clockInAt: toDateTimeInput(new Date(punch.clockInAt)),
+      clockOutAt: punch.clockOutAt ? toDateTimeInput(new Date(punch.clockOutAt)) : '',
+      breakMinutes: punch.breakMinutes || 0,
+      notes: punch.notes || ''
+    });
+  };
+
+  const closePunchForm = () => {
+    setPunchForm(null);
+    setEditingPunch(null);
+  };
+
+  const handleSavePunch = async (e) => {
+    e.preventDefault();
+
+    const punchData = {
+      clockInAt: new Date(punchForm.clockInAt).toISOString(),
+      clockOutAt: punchForm.clockOutAt ? new Date(punchForm.clockOutAt).toISOString() : undefined,
+      breakMinutes: Number(punchForm.breakMinutes) || 0,
+      notes: punchForm.notes
+    };
+
+    try {
+      if (editingPunch) {
+        await TimeClockAPI.updatePunch(editingPunch._id, punchData);
+        toast.success('Time punch updated');
+      } else {
+        await TimeClockAPI.createPunch({ ...punchData, employee: punchForm.employee });
+        toast.success('Time punch added');
+      }
+      closePunchForm();
+      fetchPunches();
+    } catch (error) {
+      toast.error('Failed to save time punch: ' + error.message);
+    }
+  };
+
+  const handleDeletePunch = async (punch) => {
+    if (!window.confirm(`Delete the punch of ${punch.employee?.fullname || 'this user'}?`)) return;
+
+    try {
+      await TimeClockAPI.deletePunch(punch._id);
+      toast.success('Time punch deleted');
+      fetchPunches();
+    } catch (error) {
+      toast.error('Failed to delete time punch: ' + error.message);
+    }
+  };
+
+  const shiftsFor = (employeeId, day) => {
+    const dayEnd = addDays(day, 1);
+    return schedule.shifts.filter(shift =>
+      shift.employee?._id === employeeId &&
+      new Date(shift.startTime) >= day &&
+      new Date(shift.startTime) < dayEnd
+    );
+  };
+
+  const scheduledHours = (employeeId) => schedule.shifts
+    .filter(shift => shift.employee?._id === employeeId)
+    .reduce((sum, shift) => sum + (new Date(shift.endTime) - new Date(shift.startTime)) / (60 * 60 * 1000), 0);
+
+  const isToday = (day) => toDateInput(day) === toDateInput(new Date());
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold">Shifts</h2>
+          <p className="text-gray-600">
+            Week of {weekStart.toLocaleDateString([], { day: 'numeric', month: 'long', year: 'numeric' })}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button onClick={() => setWeekStart(addDays(weekStart, -7))} className="px-3 py-2 rounded-lg bg-gray-200 hover:bg-gray-300">‹</button>
+          <button onClick={() => setWeekStart(startOfWeek(new Date()))} className="px-3 py-2 rounded-lg bg-gray-200 hover:bg-gray-300">This Week</button>
+          <button onClick={() => setWeekStart(addDays(weekStart, 7))} className="px-3 py-2 rounded-lg bg-gray-200 hover:bg-gray-300">›</button>
+        </div>
+      </div>
+
+      {canClock && <TimeClockCard onChange={fetchPunches} />}
+
+      {canManage && (
+        <div className="flex space-x-4 border-b mb-4">
+          {[['schedule', 'Schedule'], ['punches', 'Time Punches']].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              className={`pb-2 ${tab === key ? 'border-b-2 border-blue-600 text-blue-700 font-medium' : 'text-gray-600'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {tab === 'schedule' && canRead && (
+        <>
+          {canManage && (
+            <div className="flex justify-end space-x-2 mb-4">
+              <button onClick={handleCopyLastWeek} className="px-4 py-2 rounded-lg bg-gray-200 hover:bg-gray-300 text-sm">
+                Copy Last Week
+              </button>
+              <button onClick={() => openNewShift()} className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 text-sm">
+                + Add Shift
+              </button>
+            </div>
+          )}
+
+          {loading && schedule.employees.length === 0 ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+            </div>
+          ) : (
+            <div className="bg-white rounded-lg shadow overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Employee</th>
+                    {weekDays.map(day => (
+                      <th
+                        key={day.toISOString()}
+                        className={`py-2 px-3 text-left font-medium ${isToday(day) ? 'text-blue-700' : 'text-gray-700'}`}
+                      >
+                        {day.toLocaleDateString([], { weekday: 'short', day: 'numeric' })}
+                      </th>
+                    ))}
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Hours</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {schedule.employees.map(employee => (
+                    <tr key={employee._id} className="border-t align-top">
+                      <td className="py-2 px-3">
+                        <div className="font-medium text-gray-800">{employee.fullname}</div>
+                        <div className="text-xs text-gray-500 capitalize">{employee.role}</div>
+                      </td>
+                      {weekDays.map(day => (
+                        <td key={day.toISOString()} className={`py-2 px-2 min-w-[110px] ${isToday(day) ? 'bg-blue-50' : ''}`}>
+                          {shiftsFor(employee._id, day).map(shift => (
+                            <button
+                              key={shift._id}
+                              onClick={() => canManage && openEditShift(shift)}
+                              className={`block w-full text-left mb-1 px-2 py-1 rounded bg-indigo-100 text-indigo-800 text-xs ${canManage ? 'hover:bg-indigo-200' : 'cursor-default'}`}
+                            >
+                              {formatTime(shift.startTime)} - {formatTime(shift.endTime)}
+                              {shift.position && <div className="text-indigo-600">{shift.position}</div>}
+                            </button>
+                          ))}
+                          {canManage && (
+                            <button
+                              onClick={() => openNewShift(employee._id, day)}
+                              className="text-xs text-gray-400 hover:text-blue-600"
+                            >
+                              +
+                            </button>
+                          )}
+                        </td>
+                      ))}
+                      <td className="py-2 px-3 font-medium">{Math.round(scheduledHours(employee._id) * 10) / 10}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      {tab === 'punches' && canManage && (
+        <>
+          <div className="flex justify-end mb-4">
+            <button onClick={openNewPunch} className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 text-sm">
+              + Add Missed Punch
+            </button>
+          </div>
+
+          {punches.length === 0 ? (
+            <div className="bg-white rounded-lg shadow p-6 text-gray-600">No time punches this week.</div>
+          ) : (
+            <div className="bg-white rounded-lg shadow overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Employee</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Clock In</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Clock Out</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Break</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Hours</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Cost</th>
+                    <th className="py-2 px-3 text-left font-medium text-gray-700">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {punches.map(punch => (
+                    <tr key={punch._id} className="border-t">
+                      <td className="py-2 px-3">
+                        <div className="font-medium text-gray-800">{punch.employee?.fullname || 'Unknown'}</div>
+                        {punch.editedBy && (
+                          <div className="text-xs text-gray-500">Edited by {punch.editedBy.fullname}</div>
+                        )}
+                      </td>
+                      <td className="py-2 px-3">{formatDateTime(punch.clockInAt)}</td>
+                      <td className="py-2 px-3">
+                        {punch.clockOutAt ? formatDateTime(punch.clockOutAt) : (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">On the clock</span>
+                        )}
+                      </td>
+                      <td className="py-2 px-3">{punch.breakMinutes} min</td>
+                      <td className="py-2 px-3">{punch.hours}</td>
+                      <td className="py-2 px-3">${punch.laborCost.toFixed(2)}</td>
+                      <td className="py-2 px-3 space-x-3 whitespace-nowrap">
+                        <button onClick={() => openEditPunch(punch)} className="text-blue-600 hover:underline">Edit</button>
+                        <button onClick={() => handleDeletePunch(punch)} className="text-red-600 hover:underline">Delete</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      {shiftForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-semibold">{editingShift ? 'Edit Shift' : 'Add Shift'}</h3>
+              <button onClick={closeShiftForm} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+            <form onSubmit={handleSaveShift} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Employee *</label>
+                <select
+                  value={shiftForm.employee}
+                  onChange={(e) => setShiftForm(prev => ({ ...prev, employee: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                  required
+                >
+                  <option value="">Select employee</option>
+                  {schedule.employees.map(employee => (
+                    <option key={employee._id} value={employee._id}>{employee.fullname}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-3 gap-4">
+                {[['date', 'Date *', 'date'], ['start', 'Start *', 'time'], ['end', 'End *', 'time']].map(([field, label, type]) => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium mb-1">{label}</label>
+                    <input
+                      type={type}
+                      value={shiftForm[field]}
+                      onChange={(e) => setShiftForm(prev => ({ ...prev, [field]: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      required
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">An end before the start means the shift ends the next day.</p>
+              {[['position', 'Position'], ['notes', 'Notes']].map(([field, label]) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium mb-1">{label}</label>
+                  <input
+                    type="text"
+                    value={shiftForm[field]}
+                    onChange={(e) => setShiftForm(prev => ({ ...prev, [field]: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              ))}
+              <div className="flex justify-between">
+                <div>
+                  {editingShift && (
+                    <button type="button" onClick={handleDeleteShift} className="px-4 py-2 rounded-lg text-red-600 hover:bg-red-50">
+                      Delete
+                    </button>
+                  )}
+                </div>
+                <div className="space-x-2">
+                  <button type="button" onClick={closeShiftForm} className="px-4 py-2 rounded-lg bg-gray-200 hover:bg-gray-300">
+                    Cancel
+                  </button>
+                  <button type="submit" className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700">
+                    Save
+                  </button>
+                </div>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {punchForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-semibold">
+                {editingPunch ? `Correct Punch of ${editingPunch.employee?.fullname || 'user'}` : 'Add Missed Punch'}
+              </h3>
+              <button onClick={closePunchForm} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+            <form onSubmit={handleSavePunch} className="space-y-4">
+              {!editingPunch && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Employee *</label>
+                  <select
+                    value={punchForm.employee}
+                    onChange={(e) => setPunchForm(prev => ({ ...prev, employee: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                    required
+                  >
+                    <option value="">Select employee</option>
+                    {schedule.employees.map(employee => (
+                      <option key={employee._id} value={employee._id}>{employee.fullname}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Clock In *</label>
+                  <input
+                    type="datetime-local"
+                    value={punchForm.clockInAt}
+                    onChange={(e) => setPunchForm(prev => ({ ...prev, clockInAt: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Clock Out{editingPunch ? '' : ' *'}</label>
+                  <input
+                    type="datetime-local"
+                    value={punchForm.clockOutAt}
+                    onChange={(e) => setPunchForm(prev => ({ ...prev, clockOutAt: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                    required={!editingPunch}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Break (min)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={punchForm.breakMinutes}
+                    onChange={(e) => setPunchForm(prev => ({ ...prev, breakMinutes: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Notes</label>
+                  <input
+                    type="text"
+                    value={punchForm.notes}
+                    onChange={(e) => setPunchForm(prev => ({ ...prev, notes: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                  />
+                </div>
+              </div>
+              <div className="flex justify-end space-x-2">
+                <button type="button" onClick={closePunchForm} className="px-4 py-2 rounded-lg bg-gray-200 hover:bg-gray-300">
+                  Cancel
+                </button>
+                <button type="submit" className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700">
+                  Save
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Shifts;
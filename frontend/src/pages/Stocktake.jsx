@@ -0,0 +1,632 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { StocktakeAPI } from '../utils/api.js';
+import { useAuth } from '../utils/useAuth';
+import { hasPermission } from '../utils/permissions';
+import { useLiveEvents } from '../utils/useLiveEvents';
+
+const STORAGE_AREAS = [
+  ['fridge', 'Fridge'],
+  ['freezer', 'Freezer'],
+  ['normal_temperature', 'Normal Temperature'],
+  ['room_temperature', 'Room Temperature'],
+  ['pantry', 'Pantry'],
+  ['dry_storage', 'Dry Storage']
+];
+
+const STATUS_STYLES = {
+  counting: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-700'
+};
+
+const areaLabel = (area) => STORAGE_AREAS.find(([key]) => key === area)?.[1] || area;
+
+const formatMoney = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value || 0).toFixed(2)}`;
+
+const formatQuantity = (value) => Number(Math.round(value * 1000) / 1000).toString();
+
+const varianceClass = (value) => (value < 0 ? 'text-red-600' : value > 0 ? 'text-green-700' : 'text-gray-500');
+
+const Stocktake = () => {
+  const { user } = useAuth();
+  const canApprove = hasPermission(user, 'stocktake:approve');
+
+  const [tab, setTab] = useState('stocktakes');
+  const [stocktakes, setStocktakes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [startForm, setStartForm] = useState(null);
+
+  // Count sheet of the open stocktake
+  const [sheet, setSheet] = useState(null);
+  const [drafts, setDrafts] = useState({});
+  const [areaFilter, setAreaFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Variance report
+  const [variance, setVariance] = useState({ items: [], areas: [] });
+  const [expandedItem, setExpandedItem] = useState(null);
+  const [itemHistory, setItemHistory] = useState([]);
+
+  const fetchStocktakes = async () => {
+    setLoading(true);
+    try {
+      const response = await StocktakeAPI.getStocktakes({ limit: 50 });
+      setStocktakes(response.data.docs || []);
+    } catch (error) {
+      toast.error('Failed to fetch stocktakes: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSheet = async (id) => {
+    try {
+      const response = await StocktakeAPI.getStocktake(id);
+      setSheet(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch stocktake: ' + error.message);
+    }
+  };
+
+  const fetchVariance = async () => {
+    try {
+      const response = await StocktakeAPI.getVarianceReport();
+      setVariance(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch variance report: ' + error.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchStocktakes();
+  }, []);
+
+  useEffect(() => {
+    if (tab === 'variance') fetchVariance();
+  }, [tab]);
+
+  // Counts entered on other devices show up on the open sheet
+  useLiveEvents(['stocktake.*'], (type, data) => {
+    if (type === 'stocktake.closed') fetchStocktakes();
+    if (sheet && String(data.stocktake || data._id) === String(sheet.stocktake._id)) {
+      fetchSheet(sheet.stocktake._id);
+    }
+  }, { enabled: hasPermission(user, 'events:read') });
+
+  const openSheet = (id) => {
+    setDrafts({});
+    setAreaFilter('');
+    setSearch('');
+    fetchSheet(id);
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await StocktakeAPI.startStocktake(startForm);
+      toast.success('Stocktake started');
+      setStartForm(null);
+      fetchStocktakes();
+      openSheet(response.data._id);
+    } catch (error) {
+      toast.error('Failed to start stocktake: ' + error.message);
+    }
+  };
+
+  const toggleStartArea = (area) => {
+    setStartForm(prev => ({
+      ...prev,
+      storageConditions: prev.storageConditions.includes(area)
+        ? prev.storageConditions.filter(a => a !== area)
+        : [...prev.storageConditions, area]
+    }));
+  };
+
+  // Save the counts typed on this device
+  const saveCounts = async (itemIds) => {
+    const counts = itemIds
+      .filter(id => drafts[id] !== undefined && drafts[id] !== '')
+      .map(id => ({ inventoryItem: id, countedQuantity: Number(drafts[id]) }));
+    if (counts.length === 0) return;
+
+    setSaving(true);
+    try {
+      await StocktakeAPI.recordCounts(sheet.stocktake._id, counts);
+      setDrafts(prev => {
+        const next = { ...prev };
+        counts.forEach(count => delete next[count.inventoryItem]);
+        return next;
+      });
+      await fetchSheet(sheet.stocktake._id);
+    } catch (error) {
+      toast.error('Failed to save count: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemoveCount = async (itemId) => {
+    try {
+      await StocktakeAPI.deleteCount(sheet.stocktake._id, itemId);
+      await fetchSheet(sheet.stocktake._id);
+    } catch (error) {
+      toast.error('Failed to remove count: ' + error.message);
+    }
+  };
+
+  const handleApprove = async () => {
+    const { summary } = sheet;
+    const uncounted = summary.totalItems - summary.itemsCounted;
+    if (!window.confirm(
+      `Approve this stocktake? ${summary.itemsWithVariance} item(s) will be adjusted (net ${formatMoney(summary.varianceCost)}).` +
+      (uncounted > 0 ? ` ${uncounted} item(s) were not counted and keep their stock.` : '')
+    )) {
+      return;
+    }
+
+    try {
+      const response = await StocktakeAPI.approveStocktake(sheet.stocktake._id);
+      toast.success(response.message);
+      fetchSheet(sheet.stocktake._id);
+      fetchStocktakes();
+    } catch (error) {
+      toast.error('Failed to approve stocktake: ' + error.message);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this stocktake? No stock will change.')) {
+      return;
+    }
+
+    try {
+      await StocktakeAPI.cancelStocktake(sheet.stocktake._id);
+      toast.success('Stocktake cancelled');
+      fetchSheet(sheet.stocktake._id);
+      fetchStocktakes();
+    } catch (error) {
+      toast.error('Failed to cancel stocktake: ' + error.message);
+    }
+  };
+
+  const toggleItemHistory = async (inventoryItem) => {
+    if (expandedItem === inventoryItem) {
+      setExpandedItem(null);
+      return;
+    }
+
+    try {
+      const response = await StocktakeAPI.getItemVarianceHistory(inventoryItem);
+      setItemHistory(response.data.history);
+      setExpandedItem(inventoryItem);
+    } catch (error) {
+      toast.error('Failed to fetch variance history: ' + error.message);
+    }
+  };
+
+  const countingStocktake = stocktakes.find(s => s.status === 'counting');
+
+  // Count sheet
+  if (sheet) {
+    const { stocktake, lines, summary } = sheet;
+    const isCounting = stocktake.status === 'counting';
+    const visibleLines = lines.filter(({ inventoryItem }) =>
+      (!areaFilter || inventoryItem.storageCondition === areaFilter) &&
+      (!search || inventoryItem.name.toLowerCase().includes(search.toLowerCase()))
+    );
+    const areas = [...new Set(lines.map(({ inventoryItem }) => inventoryItem.storageCondition))];
+    const pendingDrafts = Object.keys(drafts).filter(id => drafts[id] !== '');
+
+    return (
+      <div className="p-6">
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+          <div>
+            <button onClick={() => setSheet(null)} className="text-sm text-blue-600 hover:underline mb-1">← All stocktakes</button>
+            <h2 className="text-2xl font-semibold">{stocktake.name}</h2>
+            <p className="text-gray-600">
+              <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize mr-2 ${STATUS_STYLES[stocktake.status]}`}>
+                {stocktake.status}
+              </span>
+              {stocktake.storageConditions.length > 0 ? stocktake.storageConditions.map(areaLabel).join(', ') : 'All storage areas'}
+            </p>
+          </div>
+          {isCounting && (
+            <div className="flex space-x-2">
+              {pendingDrafts.length > 0 && (
+                <button
+                  onClick={() => saveCounts(pendingDrafts)}
+                  disabled={saving}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Save {pendingDrafts.length} Count(s)
+                </button>
+              )}
+              {canApprove && (
+                <>
+                  <button
+                    onClick={handleApprove}
+                    disabled={summary.itemsCounted === 0 || pendingDrafts.length > 0}
+                    className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={handleCancel}
+                    className="bg-gray-200 text-gray-800 px-4 py-2 rounded-lg hover:bg-gray-300"
+                  >
+                    Cancel Stocktake
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-600">Counted</p>
+            <p className="text-2xl font-semibold">{summary.itemsCounted} / {summary.totalItems}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-600">Shrinkage</p>
+            <p className="text-2xl font-semibold text-red-600">{formatMoney(summary.shrinkageCost)}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-600">Overage</p>
+            <p className="text-2xl font-semibold text-green-700">{formatMoney(summary.overageCost)}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-600">Net Variance</p>
+            <p className={`text-2xl font-semibold ${varianceClass(summary.varianceCost)}`}>{formatMoney(summary.varianceCost)}</p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-4 mb-4">
+          <select
+            value={areaFilter}
+            onChange={(e) => setAreaFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+          >
+            <option value="">All areas</option>
+            {areas.map(area => (
+              <option key={area} value={area}>{areaLabel(area)}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Search items..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg w-full md:w-64"
+          />
+        </div>
+
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Item</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Area</th>
+                <th className="py-2 px-3 text-right font-medium text-gray-700">Expected</th>
+                <th className="py-2 px-3 text-right font-medium text-gray-700">Counted</th>
+                <th className="py-2 px-3 text-right font-medium text-gray-700">Variance</th>
+                <th className="py-2 px-3 text-right font-medium text-gray-700">Cost Impact</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Counted By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleLines.map(({ inventoryItem, count }) => {
+                const itemId = inventoryItem._id;
+                const expected = count ? count.expectedQuantity : inventoryItem.currentStock;
+                return (
+                  <tr key={itemId} className="border-t">
+                    <td className="py-2 px-3">
+                      <div className="font-medium text-gray-800">{inventoryItem.name}</div>
+                      <div className="text-xs text-gray-500 capitalize">{inventoryItem.category}</div>
+                    </td>
+                    <td className="py-2 px-3">{areaLabel(inventoryItem.storageCondition)}</td>
+                    <td className="py-2 px-3 text-right">{formatQuantity(expected)} {inventoryItem.unit}</td>
+                    <td className="py-2 px-3 text-right">
+                      {isCounting ? (
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={drafts[itemId] ?? (count ? count.countedQuantity : '')}
+                          onChange={(e) => setDrafts(prev => ({ ...prev, [itemId]: e.target.value }))}
+                          onBlur={() => saveCounts([itemId])}
+                          onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                          className={`w-24 px-2 py-1 border rounded text-right ${drafts[itemId] !== undefined ? 'border-blue-400' : 'border-gray-300'}`}
+                        />
+                      ) : (
+                        count && `${formatQuantity(count.countedQuantity)} ${inventoryItem.unit}`
+                      )}
+                    </td>
+                    <td className={`py-2 px-3 text-right ${count ? varianceClass(count.variance) : ''}`}>
+                      {count ? `${count.variance > 0 ? '+' : ''}${formatQuantity(count.variance)}` : '—'}
+                    </td>
+                    <td className={`py-2 px-3 text-right ${count ? varianceClass(count.varianceCost) : ''}`}>
+                      {count ? formatMoney(count.varianceCost) : '—'}
+                    </td>
+                    <td className="py-2 px-3">
+                      {count && (
+                        <div className="flex items-center justify-between gap-2">
+                          <span className="text-gray-600">{count.countedBy?.fullname}</span>
+                          {isCounting && (
+                            <button
+                              onClick={() => handleRemoveCount(itemId)}
+                              className="text-xs text-red-600 hover:underline"
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {visibleLines.length === 0 && (
+            <div className="text-center py-8 text-gray-500">
+              <p>No items to count.</p>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold">Stocktake</h2>
+          <p className="text-gray-600">Count the stock, compare it with the system and post the differences.</p>
+        </div>
+        {canApprove && !countingStocktake && (
+          <button
+            onClick={() => setStartForm({ name: '', storageConditions: [], notes: '' })}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+          >
+            Start Stocktake
+          </button>
+        )}
+      </div>
+
+      {canApprove && (
+        <div className="flex space-x-4 border-b mb-4">
+          {[['stocktakes', 'Stocktakes'], ['variance', 'Variance History']].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              className={`pb-2 ${tab === key ? 'border-b-2 border-blue-600 text-blue-700 font-medium' : 'text-gray-600'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {tab === 'stocktakes' && (
+        loading && stocktakes.length === 0 ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="py-2 px-3 text-left font-medium text-gray-700">Stocktake</th>
+                  <th className="py-2 px-3 text-left font-medium text-gray-700">Status</th>
+                  <th className="py-2 px-3 text-left font-medium text-gray-700">Areas</th>
+                  <th className="py-2 px-3 text-left font-medium text-gray-700">Started</th>
+                  <th className="py-2 px-3 text-right font-medium text-gray-700">Items Counted</th>
+                  <th className="py-2 px-3 text-right font-medium text-gray-700">Net Variance</th>
+                  <th className="py-2 px-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {stocktakes.map(stocktake => (
+                  <tr key={stocktake._id} className="border-t">
+                    <td className="py-2 px-3 font-medium text-gray-800">{stocktake.name}</td>
+                    <td className="py-2 px-3">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[stocktake.status]}`}>
+                        {stocktake.status}
+                      </span>
+                    </td>
+                    <td className="py-2 px-3">
+                      {stocktake.storageConditions.length > 0 ? stocktake.storageConditions.map(areaLabel).join(', ') : 'All'}
+                    </td>
+                    <td className="py-2 px-3">
+                      {new Date(stocktake.createdAt).toLocaleString()}
+                      {stocktake.startedBy && <span className="text-xs text-gray-500 ml-1">by {stocktake.startedBy.fullname}</span>}
+                    </td>
+                    <td className="py-2 px-3 text-right">{stocktake.status === 'approved' ? stocktake.totals.itemsCounted : '—'}</td>
+                    <td className={`py-2 px-3 text-right ${stocktake.status === 'approved' ? varianceClass(stocktake.totals.varianceCost) : ''}`}>
+                      {stocktake.status === 'approved' ? formatMoney(stocktake.totals.varianceCost) : '—'}
+                    </td>
+                    <td className="py-2 px-3 text-right">
+                      <button
+                        onClick={() => openSheet(stocktake._id)}
+                        className="bg-blue-600 text-white px-3 py-1 rounded text-xs hover:bg-blue-700"
+                      >
+                        {stocktake.status === 'counting' ? 'Count' : 'View'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {stocktakes.length === 0 && (
+              <div className="text-center py-8 text-gray-500">
+                <p>No stocktakes yet.</p>
+              </div>
+            )}
+          </div>
+        )
+      )}
+
+      {tab === 'variance' && canApprove && (
+        <>
+          <div className="bg-white rounded-lg shadow overflow-x-auto mb-6">
+            <div className="px-4 py-3 border-b font-medium text-gray-700">By Storage Area</div>
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="py-2 px-3 text-left font-medium text-gray-700">Area</th>
+                  <th className="py-2 px-3 text-right font-medium text-gray-700">Counts</th>
+                  <th className="py-2 px-3 text-right font-medium text-gray-700">Shrinkage</th>
+                  <th className="py-2 px-3 text-right font-medium text-gray-700">Overage</th>
+                  <th className="py-2 px-3 text-right font-medium text-gray-700">Net</th>
+                </tr>
+              </thead>
+              <tbody>
+                {variance.areas.map(area => (
+                  <tr key={area.storageCondition} className="border-t">
+                    <td className="py-2 px-3">{areaLabel(area.storageCondition)}</td>
+                    <td className="py-2 px-3 text-right">{area.counts}</td>
+                    <td className="py-2 px-3 text-right text-red-600">{formatMoney(area.shrinkageCost)}</td>
+                    <td className="py-2 px-3 text-right text-green-700">{formatMoney(area.overageCost)}</td>
+                    <td className={`py-2 px-3 text-right ${varianceClass(area.netCost)}`}>{formatMoney(area.netCost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <div className="px-4 py-3 border-b font-medium text-gray-700">By Item (click for history)</div>
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="py-2 px-3 text-left font-medium text-gray-700">Item</th>
+                  <th className="py-2 px-3 text-left font-medium text-gray-700">Area</th>
+                  <th className="py-2 px-3 text-right font-medium text-gray-700">Counts</th>
+                  <th className="py-2 px-3 text-right font-medium text-gray-700">Shrinkage</th>
+                  <th className="py-2 px-3 text-right font-medium text-gray-700">Shrinkage Cost</th>
+                  <th className="py-2 px-3 text-right font-medium text-gray-700">Net Cost</th>
+                  <th className="py-2 px-3 text-left font-medium text-gray-700">Last Counted</th>
+                </tr>
+              </thead>
+              <tbody>
+                {variance.items.map(item => (
+                  <React.Fragment key={item.inventoryItem}>
+                    <tr onClick={() => toggleItemHistory(item.inventoryItem)} className="border-t cursor-pointer hover:bg-gray-50">
+                      <td className="py-2 px-3">
+                        {item.name}
+                        {item.deleted && <span className="text-xs text-gray-500 ml-1">(deleted)</span>}
+                      </td>
+                      <td className="py-2 px-3">{areaLabel(item.storageCondition)}</td>
+                      <td className="py-2 px-3 text-right">{item.counts}</td>
+                      <td className="py-2 px-3 text-right">{formatQuantity(item.shrinkageQuantity)} {item.unit}</td>
+                      <td className="py-2 px-3 text-right text-red-600">{formatMoney(item.shrinkageCost)}</td>
+                      <td className={`py-2 px-3 text-right ${varianceClass(item.netCost)}`}>{formatMoney(item.netCost)}</td>
+                      <td className="py-2 px-3">{new Date(item.lastCountedAt).toLocaleDateString()}</td>
+                    </tr>
+                    {expandedItem === item.inventoryItem && (
+                      <tr className="bg-gray-50">
+                        <td colSpan="7" className="px-3 py-3">
+                          <table className="min-w-full text-xs bg-white border rounded">
+                            <thead>
+                              <tr className="bg-gray-100">
+                                <th className="py-1 px-2 text-left font-medium text-gray-700">Stocktake</th>
+                                <th className="py-1 px-2 text-right font-medium text-gray-700">Expected</th>
+                                <th className="py-1 px-2 text-right font-medium text-gray-700">Counted</th>
+                                <th className="py-1 px-2 text-right font-medium text-gray-700">Variance</th>
+                                <th className="py-1 px-2 text-right font-medium text-gray-700">Cost</th>
+                                <th className="py-1 px-2 text-left font-medium text-gray-700">Counted By</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {itemHistory.map(count => (
+                                <tr key={count._id} className="border-t">
+                                  <td className="py-1 px-2">
+                                    {count.stocktake?.name} ({new Date(count.approvedAt).toLocaleDateString()})
+                                  </td>
+                                  <td className="py-1 px-2 text-right">{formatQuantity(count.expectedQuantity)} {count.unit}</td>
+                                  <td className="py-1 px-2 text-right">{formatQuantity(count.countedQuantity)} {count.unit}</td>
+                                  <td className={`py-1 px-2 text-right ${varianceClass(count.variance)}`}>{formatQuantity(count.variance)}</td>
+                                  <td className={`py-1 px-2 text-right ${varianceClass(count.varianceCost)}`}>{formatMoney(count.varianceCost)}</td>
+                                  <td className="py-1 px-2">{count.countedBy?.fullname}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+
+            {variance.items.length === 0 && (
+              <div className="text-center py-8 text-gray-500">
+                <p>No approved stocktakes yet.</p>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Start Stocktake Modal */}
+      {startForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <form onSubmit={handleStart} className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold mb-4">Start Stocktake</h3>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={startForm.name}
+              onChange={(e) => setStartForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g. Month-end count"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg mb-4"
+            />
+            <label className="block text-sm font-medium text-gray-700 mb-1">Storage areas (none selected counts everything)</label>
+            <div className="grid grid-cols-2 gap-2 mb-4">
+              {STORAGE_AREAS.map(([key, label]) => (
+                <label key={key} className="flex items-center space-x-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={startForm.storageConditions.includes(key)}
+                    onChange={() => toggleStartArea(key)}
+                    className="h-4 w-4"
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
+            </div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea
+              value={startForm.notes}
+              onChange={(e) => setStartForm(prev => ({ ...prev, notes: e.target.value }))}
+              rows="2"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg mb-4"
+            />
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setStartForm(null)}
+                className="bg-gray-200 text-gray-800 px-4 py-2 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">
+                Start
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Stocktake;
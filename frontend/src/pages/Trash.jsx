@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { InventoryAPI, MenuAPI, OrderAPI } from '../utils/api.js';
+import { useAuth } from '../utils/useAuth';
+import { hasPermission } from '../utils/permissions';
+
+// Each tab lists one kind of deleted record; the permission is the one needed to delete it
+const TABS = [
+  {
+    key: 'inventory',
+    label: 'Inventory Items',
+    permission: 'inventory:delete',
+    getTrash: (params) => InventoryAPI.getTrash(params),
+    restore: (id) => InventoryAPI.restoreItem(id),
+    describe: (item) => ({ name: item.name, details: `${item.category} · ${item.currentStock ?? item.quantity} ${item.unit}` })
+  },
+  {
+    key: 'menu',
+    label: 'Menu Items',
+    permission: 'menu:write',
+    getTrash: (params) => MenuAPI.getTrash(params),
+    restore: (id) => MenuAPI.restoreMenuItem(id),
+    describe: (item) => ({ name: item.name, details: `$${(item.suggestedPrice || 0).toFixed(2)} · ${item.ingredients.length} ingredients` })
+  },
+  {
+    key: 'orders',
+    label: 'Orders',
+    permission: 'orders:delete',
+    getTrash: (params) => OrderAPI.getTrash(params),
+    restore: (id) => OrderAPI.restoreOrder(id),
+    describe: (order) => ({
+      name: `${order.orderNumber} · ${order.customerName}`,
+      details: `${order.status} · $${(order.totalAmount || 0).toFixed(2)} · ${new Date(order.createdAt).toLocaleDateString()}`
+    })
+  }
+];
+
+const Trash = () => {
+  const { user } = useAuth();
+  const tabs = TABS.filter(tab => hasPermission(user, tab.permission));
+
+  const [activeTab, setActiveTab] = useState(tabs[0]?.key);
+  const [records, setRecords] = useState([]);
+  const [search, setSearch] = useState('');
+  const [restoring, setRestoring] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    totalPages: 1,
+    totalDocs: 0
+  });
+
+  const tab = tabs.find(t => t.key === activeTab);
+
+  const fetchTrash = async () => {
+    if (!tab) return;
+    setLoading(true);
+    try {
+      const response = await tab.getTrash({
+        page: pagination.page,
+        limit: pagination.limit,
+        ...(search && { search })
+      });
+      setRecords(response.data.docs || []);
+      setPagination(prev => ({
+        ...prev,
+        totalPages: response.data.totalPages || 1,
+        totalDocs: response.data.totalDocs || 0
+      }));
+    } catch (error) {
+      toast.error('Failed to fetch the trash: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTrash();
+  }, [activeTab, pagination.page, search]);
+
+  const switchTab = (key) => {
+    setActiveTab(key);
+    setRecords([]);
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const handleRestore = async (record) => {
+    setRestoring(record._id);
+    try {
+      const response = await tab.restore(record._id);
+      toast.success(response.message);
+      fetchTrash();
+    } catch (error) {
+      toast.error('Failed to restore: ' + error.message);
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (tabs.length === 0) {
+    return (
+      <div className="p-6">
+        <h2 className="text-2xl font-semibold mb-4">Trash</h2>
+        <div className="bg-white p-6 rounded-lg shadow">
+          <p className="text-gray-600">You do not have permission to delete or restore records.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-semibold">Trash</h2>
+        <p className="text-gray-600">Deleted records stay here and can be restored. Old orders and reports still show them.</p>
+      </div>
+
+      <div className="flex space-x-4 border-b mb-4">
+        {tabs.map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => switchTab(key)}
+            className={`pb-2 ${activeTab === key ? 'border-b-2 border-blue-600 text-blue-700 font-medium' : 'text-gray-600'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="mb-4">
+        <input
+          type="text"
+          placeholder="Search..."
+          value={search}
+          onChange={(e) => {
+            setSearch(e.target.value);
+            setPagination(prev => ({ ...prev, page: 1 }));
+          }}
+          className="w-full md:w-80 px-3 py-2 border border-gray-300 rounded-lg"
+        />
+      </div>
+
+      {loading && records.length === 0 ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <div className="px-4 py-3 border-b font-medium text-gray-700">
+            {tab.label} in the trash ({pagination.totalDocs})
+          </div>
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Record</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Deleted</th>
+                <th className="py-2 px-3 text-left font-medium text-gray-700">Deleted By</th>
+                <th className="py-2 px-3 text-right font-medium text-gray-700">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {records.map(record => {
+                const { name, details } = tab.describe(record);
+                return (
+                  <tr key={record._id} className="border-t">
+                    <td className="py-2 px-3">
+                      <div className="font-medium text-gray-800">{name}</div>
+                      <div className="text-xs text-gray-500 capitalize">{details}</div>
+                    </td>
+                    <td className="py-2 px-3 whitespace-nowrap">{new Date(record.deletedAt).toLocaleString()}</td>
+                    <td className="py-2 px-3">{record.deletedBy?.fullname || '—'}</td>
+                    <td className="py-2 px-3 text-right">
+                      <button
+                        onClick={() => handleRestore(record)}
+                        disabled={restoring === record._id}
+                        className="bg-green-600 text-white px-3 py-1 rounded text-xs hover:bg-green-700 disabled:opacity-50"
+                      >
+                        Restore
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {records.length === 0 && (
+            <div className="text-center py-8 text-gray-500">
+              <p>The trash is empty.</p>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="flex justify-center space-x-2 my-4">
+              <button
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                disabled={pagination.page === 1}
+                className="px-4 py-2 border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Previous
+              </button>
+              <span className="px-4 py-2">
+                Page {pagination.page} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                disabled={pagination.page === pagination.totalPages}
+                className="px-4 py-2 border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { toast } from 'sonner';
 import { WasteAPI } from '../utils/api.js';
+import ExportMenu from '../components/ExportMenu.jsx';
 
 function WastePrediction() {
   const [wastePredictions, setWastePredictions] = useState([]);
@@ -119,6 +120,17 @@ function WastePrediction() {
             <option value="30d">Last 30 days</option>
             <option value="90d">Last 90 days</option>
           </select>
+          <ExportMenu
+            label="Export Waste Logs"
+            filename="waste_logs_export"
+            className="px-4 py-2 rounded-lg bg-purple-500 hover:bg-purple-600"
+            onExport={(format) => {
+              // Export the logs of the selected period
+              const startDate = new Date();
+              startDate.setDate(startDate.getDate() - parseInt(filterPeriod));
+              return WasteAPI.exportWasteLogs({ format, startDate: startDate.toISOString() });
+            }}
+          />
         </div>
         
         <button
@@ -64,6 +64,117 @@ async function http(path, { method = "GET", body, headers = {} } = {}) {
   return data;
 }
 
+// Fetch a file (e.g. a CSV export) as a Blob, refreshing the session once if needed
+async function download(path) {
+  const url = `${API_BASE}${path}`;
+
+  // Get JWT token from localStorage
+  let token = null;
+  try {
+    token = localStorage.getItem("accessToken");
+  } catch (error) {
+    console.warn("Could not get access token:", error);
+  }
+
+  const headers = {};
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const doFetch = async (authHeaders) => fetch(url, {
+    method: "GET",
+    headers: authHeaders,
+    credentials: "include",
+  });
+
+  let res = await doFetch(headers);
+  if (res.status === 401) {
+    try {
+      const newToken = await refreshAccessToken();
+      if (newToken) {
+        const retryHeaders = { ...(headers || {}), Authorization: `Bearer ${newToken}` };
+        res = await doFetch(retryHeaders);
+      }
+    } catch {}
+  }
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    const message = data?.message || data?.error || "Export failed";
+    throw new Error(message);
+  }
+  return res.blob();
+}
+
+// Read a Server-Sent Events stream, calling onEvent(event, data) for each message.
+// EventSource cannot send the Authorization header, so the stream is read with fetch.
+// Resolves when the server closes the stream; abort it with the given signal.
+async function stream(path, { onEvent, signal } = {}) {
+  const url = `${API_BASE}${path}`;
+
+  let token = null;
+  try {
+    token = localStorage.getItem("accessToken");
+  } catch (error) {
+    console.warn("Could not get access token:", error);
+  }
+
+  const doFetch = async (authToken) => fetch(url, {
+    method: "GET",
+    headers: {
+      Accept: "text/event-stream",
+      ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    },
+    credentials: "include",
+    signal,
+  });
+
+  let res = await doFetch(token);
+  if (res.status === 401) {
+    try {
+      const newToken = await refreshAccessToken();
+      if (newToken) {
+        res = await doFetch(newToken);
+      }
+    } catch {}
+  }
+  if (!res.ok || !res.body) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data?.message || data?.error || "Stream failed");
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Messages are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const message = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      const dataLines = [];
+      for (const line of message.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) dataLines.push(line.slice(5).trim());
+      }
+      // Comment-only messages (heartbeats) carry no data
+      if (dataLines.length === 0) continue;
+
+      try {
+        onEvent?.(event, JSON.parse(dataLines.join("\n")));
+      } catch (error) {
+        console.warn("Could not parse stream message:", error);
+      }
+    }
+  }
+}
+
 export const AuthAPI = {
   login(email, password) {
     return http("/user/login", { method: "POST", body: { email, password } });
@@ -188,9 +299,25 @@ export const InventoryAPI = {
     });
   },
 
-  // Delete inventory item
-  deleteItem(id) {
-    return http(`/inventory/${id}`, { method: "DELETE" });
+  // Move inventory item to the trash (force when menu items still use it)
+  deleteItem(id, force = false) {
+    return http(`/inventory/${id}${force ? '?force=true' : ''}`, { method: "DELETE" });
+  },
+
+  // Get the menu items whose recipes use an inventory item
+  getItemUsage(id) {
+    return http(`/inventory/${id}/usage`);
+  },
+
+  // Get the inventory items in the trash
+  getTrash(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/inventory/trash${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Restore inventory item from the trash
+  restoreItem(id) {
+    return http(`/inventory/${id}/restore`, { method: "POST" });
   },
 
   // Get low stock items
@@ -213,11 +340,11 @@ export const InventoryAPI = {
     return http(`/inventory/category/${category}`);
   },
 
-  // Export inventory to CSV
-  exportToCSV(params = {}) {
-    const queryParams = new URLSearchParams(params).toString();
-    const url = `${API_BASE}/inventory/export${queryParams ? `?${queryParams}` : ''}`;
-    
+  // Import inventory items from a CSV or XLSX file (dry run unless commit is true)
+  importItems(file, commit = false) {
+    const formData = new FormData();
+    formData.append('file', file);
+
     // Get JWT token from localStorage
     let token = null;
     try {
@@ -231,10 +358,11 @@ export const InventoryAPI = {
       headers['Authorization'] = `Bearer ${token}`;
     }
 
-    const doFetch = async (authHeaders) => fetch(url, {
-      method: "GET",
+    const doFetch = async (authHeaders) => fetch(`${API_BASE}/inventory/import${commit ? '?commit=true' : ''}`, {
+      method: "POST",
       headers: authHeaders,
       credentials: "include",
+      body: formData,
     });
 
     return doFetch(headers).then(async (res) => {
@@ -247,15 +375,33 @@ export const InventoryAPI = {
           }
         } catch {}
       }
+      const data = await res.json().catch(() => ({}));
       if (!res.ok) {
-        const data = await res.json().catch(() => ({}));
-        const message = data?.message || data?.error || "Export failed";
+        const message = data?.message || data?.error || "Request failed";
         throw new Error(message);
       }
-      return res.blob();
+      return data;
     });
   },
 
+  // Export inventory as a file (params: format csv/xlsx/pdf and the list filters)
+  exportItems(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return download(`/inventory/export${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Get reorder suggestions (consumption rate, thresholds and supplier lead time)
+  getReorderSuggestions(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/inventory/reorder-suggestions${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Export reorder suggestions as a file (params: format csv/xlsx/pdf)
+  exportReorderSuggestions(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return download(`/inventory/reorder-suggestions/export${queryParams ? `?${queryParams}` : ''}`);
+  },
+
 
 };
 
@@ -268,6 +414,12 @@ export const DashboardAPI = {
   // Get dashboard charts data
   getCharts() {
     return http("/dashboard/charts");
+  },
+
+  // Get labor cost against sales revenue per day (days), in the restaurant's time zone
+  getLaborCost(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/dashboard/labor-cost${queryParams ? `?${queryParams}` : ''}`);
   }
 };
 
@@ -278,6 +430,12 @@ export const MenuAPI = {
     return http(`/menu/items${queryParams ? `?${queryParams}` : ''}`);
   },
 
+  // Export the menu with costs as a file (params: format csv/xlsx/pdf and the list filters)
+  exportMenuItems(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return download(`/menu/items/export${queryParams ? `?${queryParams}` : ''}`);
+  },
+
   // Get single menu item
   getMenuItemById(id) {
     return http(`/menu/items/${id}`);
@@ -293,11 +451,32 @@ export const MenuAPI = {
     return http(`/menu/items/${id}`, { method: "PUT", body: itemData });
   },
 
-  // Delete menu item
+  // Move menu item to the trash
   deleteMenuItem(id) {
     return http(`/menu/items/${id}`, { method: "DELETE" });
   },
 
+  // Get the menu items in the trash
+  getTrash(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/menu/items/trash${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Restore menu item from the trash
+  restoreMenuItem(id) {
+    return http(`/menu/items/${id}/restore`, { method: "POST" });
+  },
+
+  // Get the recipe cost history of a menu item
+  getMenuItemCostHistory(id) {
+    return http(`/menu/items/${id}/cost-history`);
+  },
+
+  // Recalculate recipe costs of all menu items from current ingredient costs
+  recalculateAllCosts() {
+    return http("/menu/items/recalculate-costs", { method: "POST" });
+  },
+
   // Get available ingredients
   getAvailableIngredients(params = {}) {
     const queryParams = new URLSearchParams(params).toString();
@@ -333,6 +512,12 @@ export const OrderAPI = {
     return http(`/orders${queryParams ? `?${queryParams}` : ''}`);
   },
 
+  // Export orders as a file (params: format csv/xlsx/pdf and the list filters)
+  exportOrders(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return download(`/orders/export${queryParams ? `?${queryParams}` : ''}`);
+  },
+
   // Get single order
   getOrderById(id) {
     return http(`/orders/${id}`);
@@ -353,19 +538,80 @@ export const OrderAPI = {
     return http(`/orders/${id}/status`, { method: "PUT", body: statusData });
   },
 
-  // Delete order
+  // Move order to the trash
   deleteOrder(id) {
     return http(`/orders/${id}`, { method: "DELETE" });
   },
 
+  // Get the orders in the trash
+  getTrash(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/orders/trash${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Restore order from the trash
+  restoreOrder(id) {
+    return http(`/orders/${id}/restore`, { method: "POST" });
+  },
+
+  // Price a cart with the restaurant's promotions and taxes without placing it
+  quoteOrder(quoteData) {
+    return http("/orders/quote", { method: "POST", body: quoteData });
+  },
+
   // Get order statistics
   getOrderStats() {
     return http("/orders/stats");
   },
 
-  // Get invoice data
+  // Issue the invoice of a paid or completed order (takes the next invoice number)
+  issueInvoice(id) {
+    return http(`/orders/${id}/invoice`, { method: "POST" });
+  },
+
+  // Get invoice data (404 until the invoice is issued)
   getInvoice(id) {
     return http(`/orders/${id}/invoice`);
+  },
+
+  // Download the invoice as a PDF; layout is "a4" or "receipt" (80 mm)
+  getInvoicePdf(id, layout = "a4") {
+    return download(`/orders/${id}/invoice.pdf?layout=${layout}`);
+  },
+
+  // Get the kitchen display queue (active orders, oldest first)
+  getKitchenQueue() {
+    return http("/orders/kds");
+  },
+
+  // Bump a kitchen ticket to its next status
+  bumpOrder(id, fromStatus) {
+    return http(`/orders/${id}/bump`, { method: "POST", body: { fromStatus } });
+  },
+
+  // Get an order's payments and refunds
+  getPayments(id) {
+    return http(`/orders/${id}/payments`);
+  },
+
+  // Take payment (tenders: [{ method, amount, tendered, reference }], bill: split bill index)
+  takePayment(id, paymentData) {
+    return http(`/orders/${id}/payments`, { method: "POST", body: paymentData });
+  },
+
+  // Refund payments ({ amount, payment, method, reason }, all optional)
+  refundOrder(id, refundData) {
+    return http(`/orders/${id}/refunds`, { method: "POST", body: refundData });
+  },
+
+  // Split the bill ({ mode: "even", count } or { mode: "items", bills })
+  splitBill(id, splitData) {
+    return http(`/orders/${id}/split-bill`, { method: "PUT", body: splitData });
+  },
+
+  // Put a split bill back together
+  unsplitBill(id) {
+    return http(`/orders/${id}/split-bill`, { method: "DELETE" });
   }
 };
 
@@ -376,6 +622,12 @@ export const SalesAPI = {
     return http(`/sales/analytics${queryParams ? `?${queryParams}` : ''}`);
   },
 
+  // Export sales analytics per menu item as a file (params: format csv/xlsx/pdf and the date filters)
+  exportSalesAnalytics(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return download(`/sales/analytics/export${queryParams ? `?${queryParams}` : ''}`);
+  },
+
   // Get sales trends over time
   getSalesTrends(params = {}) {
     const queryParams = new URLSearchParams(params).toString();
@@ -398,6 +650,18 @@ export const SalesAPI = {
   getProfitMarginAnalysis(params = {}) {
     const queryParams = new URLSearchParams(params).toString();
     return http(`/sales/profit-margin${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Get menu engineering report (popularity x contribution margin)
+  getMenuEngineering(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/sales/menu-engineering${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Get forecast units per menu item for the next days (params: days, menuItem, method)
+  getSalesForecast(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/sales/forecast${queryParams ? `?${queryParams}` : ''}`);
   }
 };
 
@@ -408,6 +672,12 @@ export const WasteAPI = {
     return http(`/waste${queryParams ? `?${queryParams}` : ''}`);
   },
 
+  // Export waste logs as a file (params: format csv/xlsx/pdf and the list filters)
+  exportWasteLogs(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return download(`/waste/export${queryParams ? `?${queryParams}` : ''}`);
+  },
+
   // Get single waste log
   getWasteLogById(id) {
     return http(`/waste/${id}`);
@@ -474,13 +744,366 @@ export const DailyInventoryAPI = {
     return http("/daily-inventory/add-item", { method: "POST", body: itemData });
   },
 
-  // End the day
-  endDay() {
-    return http("/daily-inventory/end-day", { method: "POST" });
+  // End the day (also closes the cash drawer, with countedCash if it is counted now)
+  endDay(countedCash) {
+    return http("/daily-inventory/end-day", {
+      method: "POST",
+      body: countedCash !== undefined ? { countedCash } : {}
+    });
   },
 
   // Start new day
   startNewDay() {
     return http("/daily-inventory/start-new-day", { method: "POST" });
+  },
+
+  // Get the prep list for a day
+  getPrepList(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/daily-inventory/prep-list${queryParams ? `?${queryParams}` : ''}`);
+  }
+};
+
+export const SupplierAPI = {
+  // Get all suppliers
+  getAllSuppliers(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/suppliers${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Get single supplier
+  getSupplierById(id) {
+    return http(`/suppliers/${id}`);
+  },
+
+  // Get the suppliers that sell an inventory item, cheapest first
+  getSuppliersForItem(inventoryItemId) {
+    return http(`/suppliers/item/${inventoryItemId}`);
+  },
+
+  // Create new supplier
+  createSupplier(supplierData) {
+    return http("/suppliers", { method: "POST", body: supplierData });
+  },
+
+  // Update supplier
+  updateSupplier(id, supplierData) {
+    return http(`/suppliers/${id}`, { method: "PUT", body: supplierData });
+  },
+
+  // Delete supplier (deactivated instead if it has purchase orders)
+  deleteSupplier(id) {
+    return http(`/suppliers/${id}`, { method: "DELETE" });
+  }
+};
+
+export const PurchaseOrderAPI = {
+  // Get all purchase orders
+  getAllPurchaseOrders(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/purchase-orders${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Get single purchase order
+  getPurchaseOrderById(id) {
+    return http(`/purchase-orders/${id}`);
+  },
+
+  // Create new purchase order (draft)
+  createPurchaseOrder(purchaseOrderData) {
+    return http("/purchase-orders", { method: "POST", body: purchaseOrderData });
+  },
+
+  // Create draft purchase orders (one per supplier) from reorder suggestions
+  createFromSuggestions(selection = {}) {
+    return http("/purchase-orders/from-suggestions", { method: "POST", body: selection });
+  },
+
+  // Update draft purchase order
+  updatePurchaseOrder(id, purchaseOrderData) {
+    return http(`/purchase-orders/${id}`, { method: "PUT", body: purchaseOrderData });
+  },
+
+  // Mark purchase order as sent to the supplier
+  sendPurchaseOrder(id) {
+    return http(`/purchase-orders/${id}/send`, { method: "POST" });
+  },
+
+  // Receive a delivery against a purchase order
+  receivePurchaseOrder(id, receiptData) {
+    return http(`/purchase-orders/${id}/receive`, { method: "POST", body: receiptData });
+  },
+
+  // Cancel purchase order
+  cancelPurchaseOrder(id) {
+    return http(`/purchase-orders/${id}/cancel`, { method: "POST" });
+  },
+
+  // Delete draft purchase order
+  deletePurchaseOrder(id) {
+    return http(`/purchase-orders/${id}`, { method: "DELETE" });
+  }
+};
+
+export const EventsAPI = {
+  // Listen to live events (e.g. ["order.*", "inventory.low_stock"]); onEvent receives (type, event)
+  subscribe(types = [], onEvent, signal) {
+    const query = types.length ? `?types=${encodeURIComponent(types.join(","))}` : "";
+    return stream(`/events${query}`, { onEvent, signal });
+  }
+};
+
+export const PermissionAPI = {
+  // Get the logged-in user's role and permissions
+  getMine() {
+    return http("/permissions/me");
+  },
+
+  // Get every permission and the permissions of each role
+  getMatrix() {
+    return http("/permissions");
+  },
+
+  // Set the permissions of a role (chef or employee)
+  updateRole(role, permissions) {
+    return http(`/permissions/roles/${role}`, { method: "PUT", body: { permissions } });
+  },
+
+  // Reset a role to its default permissions
+  resetRole(role) {
+    return http(`/permissions/roles/${role}`, { method: "DELETE" });
+  },
+
+  // Get a user's permissions
+  getUser(userId) {
+    return http(`/permissions/users/${userId}`);
+  },
+
+  // Grant or revoke permissions for one user
+  updateUser(userId, { granted = [], revoked = [] }) {
+    return http(`/permissions/users/${userId}`, { method: "PUT", body: { granted, revoked } });
+  }
+};
+
+export const StaffAPI = {
+  // Get the users of the restaurant
+  getStaff(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/user/staff${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Get a user of the restaurant
+  getStaffMember(userId) {
+    return http(`/user/staff/${userId}`);
+  },
+
+  // Invite a user (a temporary password is returned when none is given)
+  inviteStaffMember(userData) {
+    return http("/user/staff", { method: "POST", body: userData });
+  },
+
+  // Update a user's details or role
+  updateStaffMember(userId, userData) {
+    return http(`/user/staff/${userId}`, { method: "PATCH", body: userData });
+  },
+
+  // Deactivate a user (blocks login)
+  deactivateStaffMember(userId) {
+    return http(`/user/staff/${userId}/deactivate`, { method: "POST" });
+  },
+
+  // Reactivate a deactivated user
+  activateStaffMember(userId) {
+    return http(`/user/staff/${userId}/activate`, { method: "POST" });
+  },
+
+  // Reset a user's password (a temporary password is returned when none is given)
+  resetPassword(userId, password) {
+    return http(`/user/staff/${userId}/reset-password`, { method: "POST", body: password ? { password } : {} });
+  }
+};
+
+export const ShiftAPI = {
+  // Get the shifts in a period (from, to, employee)
+  getShifts(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/shifts${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Schedule a shift
+  createShift(shiftData) {
+    return http("/shifts", { method: "POST", body: shiftData });
+  },
+
+  // Update shift
+  updateShift(id, shiftData) {
+    return http(`/shifts/${id}`, { method: "PUT", body: shiftData });
+  },
+
+  // Delete shift
+  deleteShift(id) {
+    return http(`/shifts/${id}`, { method: "DELETE" });
+  },
+
+  // Copy a week's shifts to another week
+  copyWeek(fromWeekStart, toWeekStart) {
+    return http("/shifts/copy-week", { method: "POST", body: { fromWeekStart, toWeekStart } });
+  }
+};
+
+export const TimeClockAPI = {
+  // Get the logged-in user's time clock
+  getMine() {
+    return http("/timeclock/me");
+  },
+
+  // Clock in
+  clockIn() {
+    return http("/timeclock/clock-in", { method: "POST" });
+  },
+
+  // Clock out with the unpaid break taken
+  clockOut(breakMinutes = 0) {
+    return http("/timeclock/clock-out", { method: "POST", body: { breakMinutes } });
+  },
+
+  // Get the restaurant's punches (from, to, employee, status)
+  getPunches(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/timeclock/punches${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Add a missed punch
+  createPunch(punchData) {
+    return http("/timeclock/punches", { method: "POST", body: punchData });
+  },
+
+  // Correct a punch
+  updatePunch(id, punchData) {
+    return http(`/timeclock/punches/${id}`, { method: "PUT", body: punchData });
+  },
+
+  // Delete a punch
+  deletePunch(id) {
+    return http(`/timeclock/punches/${id}`, { method: "DELETE" });
+  }
+};
+
+export const StocktakeAPI = {
+  // Get the stocktakes (status, page, limit)
+  getStocktakes(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/stocktakes${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Start a stocktake of all items or of some storage areas
+  startStocktake(stocktakeData) {
+    return http("/stocktakes", { method: "POST", body: stocktakeData });
+  },
+
+  // Get a stocktake with its count sheet
+  getStocktake(id) {
+    return http(`/stocktakes/${id}`);
+  },
+
+  // Record counted quantities ([{ inventoryItem, countedQuantity, notes }])
+  recordCounts(id, counts) {
+    return http(`/stocktakes/${id}/counts`, { method: "PUT", body: { counts } });
+  },
+
+  // Remove the count of an item
+  deleteCount(id, inventoryItemId) {
+    return http(`/stocktakes/${id}/counts/${inventoryItemId}`, { method: "DELETE" });
+  },
+
+  // Approve a stocktake and adjust the stock
+  approveStocktake(id) {
+    return http(`/stocktakes/${id}/approve`, { method: "POST" });
+  },
+
+  // Cancel a stocktake
+  cancelStocktake(id) {
+    return http(`/stocktakes/${id}/cancel`, { method: "POST" });
+  },
+
+  // Get the stock variances per item and storage area (from, to, storageCondition)
+  getVarianceReport(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/stocktakes/variance${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Get the variance history of an item
+  getItemVarianceHistory(inventoryItemId) {
+    return http(`/stocktakes/variance/${inventoryItemId}`);
+  }
+};
+
+export const AuditLogAPI = {
+  // Get audit log entries (entity, entityId, action, actor, from, to, page, limit)
+  getLogs(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/audit-logs${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Get the entities and users that appear in the audit log
+  getFilters() {
+    return http("/audit-logs/filters");
+  },
+
+  // Get an audit log entry with the full record
+  getLog(id) {
+    return http(`/audit-logs/${id}`);
+  }
+};
+
+export const RestaurantAPI = {
+  // Get the details printed on invoices and receipts
+  getProfile() {
+    return http("/restaurant/profile");
+  },
+
+  // Update the details printed on invoices and receipts
+  updateProfile(profileData) {
+    return http("/restaurant/profile", { method: "PUT", body: profileData });
+  }
+};
+
+export const PromotionAPI = {
+  // Get promotions (active: "true" or "false")
+  getPromotions(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return http(`/promotions${queryParams ? `?${queryParams}` : ''}`);
+  },
+
+  // Create promotion
+  createPromotion(promotionData) {
+    return http("/promotions", { method: "POST", body: promotionData });
+  },
+
+  // Update promotion
+  updatePromotion(id, promotionData) {
+    return http(`/promotions/${id}`, { method: "PUT", body: promotionData });
+  },
+
+  // Delete promotion
+  deletePromotion(id) {
+    return http(`/promotions/${id}`, { method: "DELETE" });
+  }
+};
+
+export const CashDrawerAPI = {
+  // Get the cash drawer reconciliation of a day (date: YYYY-MM-DD, today when omitted)
+  getReport(date) {
+    return http(`/cash-drawer${date ? `?date=${date}` : ''}`);
+  },
+
+  // Set today's opening float
+  setFloat(openingFloat) {
+    return http("/cash-drawer/float", { method: "PUT", body: { openingFloat } });
+  },
+
+  // Record the cash counted in today's drawer
+  countCash(countData) {
+    return http("/cash-drawer/count", { method: "PUT", body: countData });
   }
 };
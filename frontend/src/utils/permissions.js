@@ -0,0 +1,5 @@
+// Whether the logged-in user has a permission (e.g. "inventory:write")
+// The permissions come with the login response and are refreshed when the app loads
+export function hasPermission(user, permission) {
+  return Array.isArray(user?.permissions) && user.permissions.includes(permission);
+}
@@ -0,0 +1,63 @@
+import { useEffect, useRef, useState } from "react";
+import { EventsAPI } from "./api";
+
+// Reconnect delays grow up to this cap while the stream keeps failing
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// Subscribe to live server events while the component is mounted.
+// onEvent(type, data) runs for every event; onConnect() runs on every (re)connect,
+// which is where a page loads its current state so nothing missed while offline is lost.
+// Pass enabled: false to stay disconnected (e.g. for users without access).
+// Returns the connection state: "connecting", "live" or "offline".
+export function useLiveEvents(types, onEvent, { onConnect, enabled = true } = {}) {
+  const [connection, setConnection] = useState("connecting");
+  const handlers = useRef({ onEvent, onConnect });
+  handlers.current = { onEvent, onConnect };
+
+  const typesKey = types.join(",");
+
+  useEffect(() => {
+    if (!enabled) {
+      setConnection("offline");
+      return;
+    }
+
+    const controller = new AbortController();
+    let reconnectTimer = null;
+    let delay = 1000;
+
+    const handleEvent = (type, event) => {
+      if (type === "ready") {
+        setConnection("live");
+        delay = 1000;
+        handlers.current.onConnect?.();
+        return;
+      }
+      handlers.current.onEvent?.(type, event.data);
+    };
+
+    const connect = async () => {
+      setConnection("connecting");
+      try {
+        await EventsAPI.subscribe(typesKey ? typesKey.split(",") : [], handleEvent, controller.signal);
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error("Live event stream failed:", error);
+      }
+      if (controller.signal.aborted) return;
+
+      setConnection("offline");
+      reconnectTimer = setTimeout(connect, delay);
+      delay = Math.min(delay * 2, MAX_RECONNECT_DELAY_MS);
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(reconnectTimer);
+    };
+  }, [typesKey, enabled]);
+
+  return connection;
+}